@@ -0,0 +1,178 @@
+-- ============================================================================
+-- AYUBO CAFE ATOMIC POS BILL MIGRATION
+-- Version: 010
+-- Date: 2025-11-03
+-- Description: Adds create_pos_bill() stored function so the cashier screen
+--              writes the order, its items and the FIFO batch deductions in a
+--              single transaction instead of chaining client-side calls
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 008_returns_management_schema.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- FUNCTION: Create POS bill (transaction-safe)
+-- ============================================================================
+-- p_items is an array of {product_id, quantity, unit_price}
+-- The same product may appear more than once (e.g. two weighed cake slices);
+-- stock is validated against the combined quantity per product.
+CREATE OR REPLACE FUNCTION create_pos_bill(
+  p_items JSONB,
+  p_order_date TIMESTAMP DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order_id BIGINT;
+  v_order_date TIMESTAMP;
+  v_total DECIMAL(10, 2) := 0;
+  v_item JSONB;
+  v_requested RECORD;
+  v_available DECIMAL(10, 2);
+  v_remaining DECIMAL(10, 2);
+  v_batch RECORD;
+  v_product_name TEXT;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Bill must contain at least one item';
+  END IF;
+
+  -- Validate each line
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF (v_item->>'product_id') IS NULL THEN
+      RAISE EXCEPTION 'Bill item is missing product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'unit_price')::DECIMAL, -1) < 0 THEN
+      RAISE EXCEPTION 'Invalid unit price for product %', v_item->>'product_id';
+    END IF;
+
+    v_total := v_total + ROUND((v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::DECIMAL, 2);
+  END LOOP;
+
+  IF v_total <= 0 THEN
+    RAISE EXCEPTION 'Bill total must be greater than 0';
+  END IF;
+
+  -- Validate stock per product, locking the batches so concurrent bills
+  -- cannot sell the same units twice
+  FOR v_requested IN
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY (elem->>'product_id')::INTEGER
+  LOOP
+    SELECT name INTO v_product_name
+    FROM products
+    WHERE product_id = v_requested.product_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_requested.product_id;
+    END IF;
+
+    PERFORM 1
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0
+    FOR UPDATE;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_available
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0;
+
+    IF v_requested.quantity > v_available THEN
+      RAISE EXCEPTION 'Insufficient stock for %. Requested: %, Available: %',
+        v_product_name, v_requested.quantity, v_available;
+    END IF;
+  END LOOP;
+
+  -- Create order
+  v_order_date := COALESCE(p_order_date, CURRENT_TIMESTAMP);
+
+  INSERT INTO orders (order_date, value)
+  VALUES (v_order_date, v_total)
+  RETURNING order_id INTO v_order_id;
+
+  -- Insert order items
+  INSERT INTO order_items (order_id, product_id, quantity, subtotal)
+  SELECT
+    v_order_id,
+    (elem->>'product_id')::INTEGER,
+    (elem->>'quantity')::DECIMAL,
+    ROUND((elem->>'unit_price')::DECIMAL * (elem->>'quantity')::DECIMAL, 2)
+  FROM jsonb_array_elements(p_items) AS elem;
+
+  -- Deduct from oldest batches first (FIFO)
+  FOR v_requested IN
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY (elem->>'product_id')::INTEGER
+  LOOP
+    v_remaining := v_requested.quantity;
+
+    FOR v_batch IN
+      SELECT id, quantity
+      FROM inventory_batches
+      WHERE product_id = v_requested.product_id
+        AND quantity > 0
+      ORDER BY date_added ASC, id ASC
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+
+      IF v_batch.quantity <= v_remaining THEN
+        -- Entire batch is consumed
+        DELETE FROM inventory_batches WHERE id = v_batch.id;
+        v_remaining := v_remaining - v_batch.quantity;
+      ELSE
+        UPDATE inventory_batches
+        SET quantity = v_batch.quantity - v_remaining
+        WHERE id = v_batch.id;
+        v_remaining := 0;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN (
+    SELECT jsonb_build_object(
+      'order_id', o.order_id,
+      'order_date', o.order_date,
+      'value', o.value,
+      'order_items', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'order_item_id', oi.order_item_id,
+          'product_id', oi.product_id,
+          'quantity', oi.quantity,
+          'subtotal', oi.subtotal,
+          'products', jsonb_build_object('name', p.name)
+        ) ORDER BY oi.order_item_id)
+        FROM order_items oi
+        LEFT JOIN products p ON p.product_id = oi.product_id
+        WHERE oi.order_id = o.order_id
+      ), '[]'::jsonb)
+    )
+    FROM orders o
+    WHERE o.order_id = v_order_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_pos_bill IS 'Validates stock, creates a POS order with its items and deducts batches FIFO in a single transaction';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created create_pos_bill() stored function
+-- ✓ Stock validation, order, order items and FIFO deductions share one transaction
+-- ✓ Batches are row-locked while a bill is being written
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. The billing screen calls it via supabaseClient.rpc('create_pos_bill', ...)
@@ -0,0 +1,256 @@
+-- ============================================================================
+-- AYUBO CAFE POS BILL VOID / REFUND MIGRATION
+-- Version: 011
+-- Date: 2025-11-03
+-- Description: Replaces hard-deleting POS bills with a void/refund workflow
+--              Includes: order status, refund records, stock reversal function,
+--              audit actions for voids and refunds
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 010_atomic_pos_bill.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: ORDER STATUS
+-- ============================================================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS status VARCHAR(30) DEFAULT 'completed' NOT NULL
+CHECK (status IN ('completed', 'partially_refunded', 'voided'));
+
+COMMENT ON COLUMN orders.status IS 'completed, partially_refunded (some lines refunded) or voided (everything refunded)';
+
+-- ============================================================================
+-- SECTION 2: CREATE POS REFUNDS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pos_refunds (
+    id BIGSERIAL PRIMARY KEY,
+    order_id BIGINT NOT NULL,
+    refund_type VARCHAR(20) NOT NULL CHECK (refund_type IN ('void', 'refund')),
+    reason TEXT NOT NULL CHECK (LENGTH(TRIM(reason)) > 0),
+    total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount >= 0),
+    requested_by UUID NOT NULL,
+    approved_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    -- Refunds keep the original bill; bills with refunds can no longer be deleted
+    CONSTRAINT fk_pos_refunds_order
+        FOREIGN KEY (order_id)
+        REFERENCES orders(order_id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT fk_pos_refunds_requested_by
+        FOREIGN KEY (requested_by)
+        REFERENCES users(user_id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT fk_pos_refunds_approved_by
+        FOREIGN KEY (approved_by)
+        REFERENCES users(user_id)
+        ON DELETE RESTRICT
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_refunds_order ON pos_refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_pos_refunds_created_at ON pos_refunds(created_at DESC);
+
+-- ============================================================================
+-- SECTION 3: CREATE POS REFUND ITEMS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pos_refund_items (
+    id BIGSERIAL PRIMARY KEY,
+    refund_id BIGINT NOT NULL,
+    order_item_id INTEGER NOT NULL,
+    product_id INTEGER,
+    quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    restocked BOOLEAN DEFAULT TRUE NOT NULL,
+    batch_id BIGINT,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_pos_refund_items_refund
+        FOREIGN KEY (refund_id)
+        REFERENCES pos_refunds(id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_pos_refund_items_order_item
+        FOREIGN KEY (order_item_id)
+        REFERENCES order_items(order_item_id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT fk_pos_refund_items_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE SET NULL,
+
+    CONSTRAINT fk_pos_refund_items_batch
+        FOREIGN KEY (batch_id)
+        REFERENCES inventory_batches(id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_refund_items_refund ON pos_refund_items(refund_id);
+CREATE INDEX IF NOT EXISTS idx_pos_refund_items_order_item ON pos_refund_items(order_item_id);
+
+COMMENT ON TABLE pos_refunds IS 'Voids and refunds of POS bills (negative sales)';
+COMMENT ON COLUMN pos_refunds.approved_by IS 'Owner who approved the refund (same as requested_by when an owner refunds)';
+COMMENT ON TABLE pos_refund_items IS 'Refunded lines of a POS bill';
+COMMENT ON COLUMN pos_refund_items.restocked IS 'Whether the refunded quantity was put back into inventory';
+COMMENT ON COLUMN pos_refund_items.batch_id IS 'Inventory batch recreated for the restocked quantity';
+
+-- ============================================================================
+-- SECTION 4: AUDIT ACTIONS
+-- ============================================================================
+
+ALTER TYPE audit_action ADD VALUE IF NOT EXISTS 'bill_voided';
+ALTER TYPE audit_action ADD VALUE IF NOT EXISTS 'bill_refunded';
+
+-- ============================================================================
+-- FUNCTION: Refund POS bill lines (transaction-safe)
+-- ============================================================================
+-- p_items is an array of {order_item_id, quantity, restock}
+-- restock defaults to true; restocked quantities become a new inventory batch
+-- dated on the original sale date so batch age is preserved
+CREATE OR REPLACE FUNCTION refund_pos_bill(
+  p_order_id BIGINT,
+  p_items JSONB,
+  p_reason TEXT,
+  p_requested_by UUID,
+  p_approved_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order RECORD;
+  v_item JSONB;
+  v_order_item RECORD;
+  v_already_refunded DECIMAL(10, 2);
+  v_quantity DECIMAL(10, 2);
+  v_amount DECIMAL(10, 2);
+  v_total DECIMAL(10, 2) := 0;
+  v_refund_id BIGINT;
+  v_batch_id BIGINT;
+  v_restock BOOLEAN;
+  v_sold_total DECIMAL(10, 2);
+  v_refunded_total DECIMAL(10, 2);
+  v_refund_type VARCHAR(20);
+  v_new_status VARCHAR(30);
+BEGIN
+  IF p_reason IS NULL OR LENGTH(TRIM(p_reason)) = 0 THEN
+    RAISE EXCEPTION 'A reason is required to void or refund a bill';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Select at least one item to refund';
+  END IF;
+
+  SELECT order_id, order_date, status INTO v_order
+  FROM orders
+  WHERE order_id = p_order_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bill not found: %', p_order_id;
+  END IF;
+
+  IF v_order.status = 'voided' THEN
+    RAISE EXCEPTION 'Bill #% has already been voided', p_order_id;
+  END IF;
+
+  -- Totals and refund type are filled in once all lines are processed
+  INSERT INTO pos_refunds (order_id, refund_type, reason, total_amount, requested_by, approved_by)
+  VALUES (p_order_id, 'refund', TRIM(p_reason), 0, p_requested_by, COALESCE(p_approved_by, p_requested_by))
+  RETURNING id INTO v_refund_id;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    SELECT order_item_id, product_id, quantity, subtotal INTO v_order_item
+    FROM order_items
+    WHERE order_item_id = (v_item->>'order_item_id')::INTEGER
+      AND order_id = p_order_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Item % does not belong to bill #%', v_item->>'order_item_id', p_order_id;
+    END IF;
+
+    v_quantity := (v_item->>'quantity')::DECIMAL;
+    IF v_quantity IS NULL OR v_quantity <= 0 THEN
+      RAISE EXCEPTION 'Invalid refund quantity for item %', v_order_item.order_item_id;
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_already_refunded
+    FROM pos_refund_items
+    WHERE order_item_id = v_order_item.order_item_id;
+
+    IF v_already_refunded + v_quantity > v_order_item.quantity THEN
+      RAISE EXCEPTION 'Cannot refund % of item %. Sold: %, already refunded: %',
+        v_quantity, v_order_item.order_item_id, v_order_item.quantity, v_already_refunded;
+    END IF;
+
+    v_amount := ROUND(v_order_item.subtotal * v_quantity / v_order_item.quantity, 2);
+    v_total := v_total + v_amount;
+    v_restock := COALESCE((v_item->>'restock')::BOOLEAN, TRUE);
+    v_batch_id := NULL;
+
+    IF v_restock THEN
+      INSERT INTO inventory_batches (product_id, quantity, date_added)
+      VALUES (v_order_item.product_id, v_quantity, v_order.order_date::DATE)
+      RETURNING id INTO v_batch_id;
+    END IF;
+
+    INSERT INTO pos_refund_items (refund_id, order_item_id, product_id, quantity, amount, restocked, batch_id)
+    VALUES (v_refund_id, v_order_item.order_item_id, v_order_item.product_id, v_quantity, v_amount, v_restock, v_batch_id);
+  END LOOP;
+
+  -- Work out whether the whole bill has now been refunded
+  SELECT COALESCE(SUM(quantity), 0) INTO v_sold_total
+  FROM order_items
+  WHERE order_id = p_order_id;
+
+  SELECT COALESCE(SUM(ri.quantity), 0) INTO v_refunded_total
+  FROM pos_refund_items ri
+  JOIN pos_refunds r ON r.id = ri.refund_id
+  WHERE r.order_id = p_order_id;
+
+  IF v_refunded_total >= v_sold_total THEN
+    v_new_status := 'voided';
+    v_refund_type := CASE WHEN v_order.status = 'completed' THEN 'void' ELSE 'refund' END;
+  ELSE
+    v_new_status := 'partially_refunded';
+    v_refund_type := 'refund';
+  END IF;
+
+  UPDATE pos_refunds
+  SET total_amount = v_total,
+      refund_type = v_refund_type
+  WHERE id = v_refund_id;
+
+  UPDATE orders
+  SET status = v_new_status
+  WHERE order_id = p_order_id;
+
+  RETURN jsonb_build_object(
+    'refund_id', v_refund_id,
+    'order_id', p_order_id,
+    'refund_type', v_refund_type,
+    'total_amount', v_total,
+    'order_status', v_new_status
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION refund_pos_bill IS 'Voids or partially refunds a POS bill, recreating inventory batches for restocked lines';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Added status column to orders
+-- ✓ Created pos_refunds and pos_refund_items tables
+-- ✓ Added bill_voided / bill_refunded audit actions
+-- ✓ Created refund_pos_bill() stored function
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Bills are voided from the Sales page instead of being deleted
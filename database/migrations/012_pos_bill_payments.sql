@@ -0,0 +1,289 @@
+-- ============================================================================
+-- AYUBO CAFE POS SPLIT PAYMENTS MIGRATION
+-- Version: 012
+-- Date: 2025-11-04
+-- Description: Records how each POS bill was paid (cash, card, bank transfer,
+--              QR) so one bill can be settled with several tenders
+--              Includes: tender lines table, create_pos_bill() with payments
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 011_pos_bill_refunds.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE POS BILL PAYMENTS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pos_bill_payments (
+    id BIGSERIAL PRIMARY KEY,
+    order_id BIGINT NOT NULL,
+    method VARCHAR(20) NOT NULL CHECK (method IN ('cash', 'card', 'bank_transfer', 'qr')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    tendered DECIMAL(10, 2) NOT NULL,
+    change_given DECIMAL(10, 2) DEFAULT 0 NOT NULL CHECK (change_given >= 0),
+    reference VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_pos_bill_payments_order
+        FOREIGN KEY (order_id)
+        REFERENCES orders(order_id)
+        ON DELETE CASCADE,
+
+    -- Change is only ever given on cash
+    CONSTRAINT chk_pos_bill_payments_change
+        CHECK (tendered = amount + change_given AND (method = 'cash' OR change_given = 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_bill_payments_order ON pos_bill_payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_pos_bill_payments_method ON pos_bill_payments(method);
+
+COMMENT ON TABLE pos_bill_payments IS 'Tender lines of a POS bill; amounts add up to orders.value';
+COMMENT ON COLUMN pos_bill_payments.amount IS 'Part of the bill settled by this tender';
+COMMENT ON COLUMN pos_bill_payments.tendered IS 'Amount handed over by the customer (above amount only for cash)';
+COMMENT ON COLUMN pos_bill_payments.reference IS 'Card slip / transfer / QR reference';
+
+-- ============================================================================
+-- SECTION 2: BACKFILL EXISTING BILLS AS CASH
+-- ============================================================================
+
+INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given)
+SELECT o.order_id, 'cash', o.value, o.value, 0
+FROM orders o
+WHERE o.value > 0
+  AND NOT EXISTS (SELECT 1 FROM pos_bill_payments bp WHERE bp.order_id = o.order_id);
+
+-- ============================================================================
+-- FUNCTION: Create POS bill with payments (transaction-safe)
+-- ============================================================================
+-- Replaces the two-argument version from migration 010
+DROP FUNCTION IF EXISTS create_pos_bill(JSONB, TIMESTAMP);
+
+-- p_items is an array of {product_id, quantity, unit_price}
+-- The same product may appear more than once (e.g. two weighed cake slices);
+-- stock is validated against the combined quantity per product.
+-- p_payments is an array of {method, amount, tendered, reference} where amount
+-- is the part of the bill settled by that tender. Only cash may be tendered
+-- above its amount (the difference is the change). Without payments the bill
+-- is recorded as paid in exact cash.
+CREATE OR REPLACE FUNCTION create_pos_bill(
+  p_items JSONB,
+  p_order_date TIMESTAMP DEFAULT NULL,
+  p_payments JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order_id BIGINT;
+  v_order_date TIMESTAMP;
+  v_total DECIMAL(10, 2) := 0;
+  v_item JSONB;
+  v_requested RECORD;
+  v_available DECIMAL(10, 2);
+  v_remaining DECIMAL(10, 2);
+  v_batch RECORD;
+  v_product_name TEXT;
+  v_payment JSONB;
+  v_method VARCHAR(20);
+  v_amount DECIMAL(10, 2);
+  v_tendered DECIMAL(10, 2);
+  v_paid DECIMAL(10, 2) := 0;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Bill must contain at least one item';
+  END IF;
+
+  -- Validate each line
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF (v_item->>'product_id') IS NULL THEN
+      RAISE EXCEPTION 'Bill item is missing product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'unit_price')::DECIMAL, -1) < 0 THEN
+      RAISE EXCEPTION 'Invalid unit price for product %', v_item->>'product_id';
+    END IF;
+
+    v_total := v_total + ROUND((v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::DECIMAL, 2);
+  END LOOP;
+
+  IF v_total <= 0 THEN
+    RAISE EXCEPTION 'Bill total must be greater than 0';
+  END IF;
+
+  -- Validate stock per product, locking the batches so concurrent bills
+  -- cannot sell the same units twice
+  FOR v_requested IN
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY (elem->>'product_id')::INTEGER
+  LOOP
+    SELECT name INTO v_product_name
+    FROM products
+    WHERE product_id = v_requested.product_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_requested.product_id;
+    END IF;
+
+    PERFORM 1
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0
+    FOR UPDATE;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_available
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0;
+
+    IF v_requested.quantity > v_available THEN
+      RAISE EXCEPTION 'Insufficient stock for %. Requested: %, Available: %',
+        v_product_name, v_requested.quantity, v_available;
+    END IF;
+  END LOOP;
+
+  -- Create order
+  v_order_date := COALESCE(p_order_date, CURRENT_TIMESTAMP);
+
+  INSERT INTO orders (order_date, value)
+  VALUES (v_order_date, v_total)
+  RETURNING order_id INTO v_order_id;
+
+  -- Record tender lines
+  IF p_payments IS NULL OR jsonb_array_length(p_payments) = 0 THEN
+    INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given)
+    VALUES (v_order_id, 'cash', v_total, v_total, 0);
+  ELSE
+    FOR v_payment IN SELECT * FROM jsonb_array_elements(p_payments)
+    LOOP
+      v_method := v_payment->>'method';
+      v_amount := COALESCE((v_payment->>'amount')::DECIMAL, 0);
+      v_tendered := COALESCE((v_payment->>'tendered')::DECIMAL, v_amount);
+
+      IF v_method IS NULL OR v_method NOT IN ('cash', 'card', 'bank_transfer', 'qr') THEN
+        RAISE EXCEPTION 'Invalid payment method: %', COALESCE(v_method, 'none');
+      END IF;
+
+      IF v_amount <= 0 THEN
+        RAISE EXCEPTION 'Invalid payment amount for %', v_method;
+      END IF;
+
+      IF v_tendered < v_amount THEN
+        RAISE EXCEPTION 'Tendered amount for % is less than the amount applied', v_method;
+      END IF;
+
+      IF v_method <> 'cash' AND v_tendered <> v_amount THEN
+        RAISE EXCEPTION 'Change can only be given on cash payments';
+      END IF;
+
+      v_paid := v_paid + v_amount;
+
+      INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given, reference)
+      VALUES (
+        v_order_id,
+        v_method,
+        v_amount,
+        v_tendered,
+        v_tendered - v_amount,
+        NULLIF(TRIM(v_payment->>'reference'), '')
+      );
+    END LOOP;
+
+    IF v_paid <> v_total THEN
+      RAISE EXCEPTION 'Payments (%) do not match bill total (%)', v_paid, v_total;
+    END IF;
+  END IF;
+
+  -- Insert order items
+  INSERT INTO order_items (order_id, product_id, quantity, subtotal)
+  SELECT
+    v_order_id,
+    (elem->>'product_id')::INTEGER,
+    (elem->>'quantity')::DECIMAL,
+    ROUND((elem->>'unit_price')::DECIMAL * (elem->>'quantity')::DECIMAL, 2)
+  FROM jsonb_array_elements(p_items) AS elem;
+
+  -- Deduct from oldest batches first (FIFO)
+  FOR v_requested IN
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY (elem->>'product_id')::INTEGER
+  LOOP
+    v_remaining := v_requested.quantity;
+
+    FOR v_batch IN
+      SELECT id, quantity
+      FROM inventory_batches
+      WHERE product_id = v_requested.product_id
+        AND quantity > 0
+      ORDER BY date_added ASC, id ASC
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+
+      IF v_batch.quantity <= v_remaining THEN
+        -- Entire batch is consumed
+        DELETE FROM inventory_batches WHERE id = v_batch.id;
+        v_remaining := v_remaining - v_batch.quantity;
+      ELSE
+        UPDATE inventory_batches
+        SET quantity = v_batch.quantity - v_remaining
+        WHERE id = v_batch.id;
+        v_remaining := 0;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN (
+    SELECT jsonb_build_object(
+      'order_id', o.order_id,
+      'order_date', o.order_date,
+      'value', o.value,
+      'order_items', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'order_item_id', oi.order_item_id,
+          'product_id', oi.product_id,
+          'quantity', oi.quantity,
+          'subtotal', oi.subtotal,
+          'products', jsonb_build_object('name', p.name)
+        ) ORDER BY oi.order_item_id)
+        FROM order_items oi
+        LEFT JOIN products p ON p.product_id = oi.product_id
+        WHERE oi.order_id = o.order_id
+      ), '[]'::jsonb),
+      'pos_bill_payments', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'method', bp.method,
+          'amount', bp.amount,
+          'tendered', bp.tendered,
+          'change_given', bp.change_given,
+          'reference', bp.reference
+        ) ORDER BY bp.id)
+        FROM pos_bill_payments bp
+        WHERE bp.order_id = o.order_id
+      ), '[]'::jsonb)
+    )
+    FROM orders o
+    WHERE o.order_id = v_order_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_pos_bill IS 'Validates stock and payments, creates a POS order with its items and tender lines and deducts batches FIFO in a single transaction';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created pos_bill_payments table
+-- ✓ Existing bills backfilled as exact cash
+-- ✓ create_pos_bill() records tender lines and validates they match the total
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. The Sales page breaks takings down by payment method
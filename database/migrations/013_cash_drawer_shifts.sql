@@ -0,0 +1,123 @@
+-- ============================================================================
+-- AYUBO CAFE CASH DRAWER SHIFTS MIGRATION
+-- Version: 013
+-- Date: 2025-11-05
+-- Description: Cashier shifts with opening float, cash-ins/cash-outs and a
+--              denomination count on close (expected vs counted cash)
+--              Includes: cash_shifts, cash_movements, shift audit actions
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 012_pos_bill_payments.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE CASH SHIFTS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS cash_shifts (
+    id BIGSERIAL PRIMARY KEY,
+    status VARCHAR(20) DEFAULT 'open' NOT NULL CHECK (status IN ('open', 'closed')),
+    opened_by UUID NOT NULL,
+    opened_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    opening_float DECIMAL(10, 2) NOT NULL CHECK (opening_float >= 0),
+    closed_by UUID,
+    closed_at TIMESTAMPTZ,
+    expected_cash DECIMAL(10, 2),
+    counted_cash DECIMAL(10, 2) CHECK (counted_cash IS NULL OR counted_cash >= 0),
+    cash_variance DECIMAL(10, 2),
+    denomination_counts JSONB,
+    closing_notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_cash_shifts_opened_by
+        FOREIGN KEY (opened_by)
+        REFERENCES users(user_id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT fk_cash_shifts_closed_by
+        FOREIGN KEY (closed_by)
+        REFERENCES users(user_id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT chk_cash_shifts_closed
+        CHECK (status = 'open' OR (closed_at IS NOT NULL AND counted_cash IS NOT NULL))
+);
+
+-- There is a single cash drawer, so only one shift can be open at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cash_shifts_single_open
+    ON cash_shifts(status) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_cash_shifts_opened_at ON cash_shifts(opened_at DESC);
+
+COMMENT ON TABLE cash_shifts IS 'Cashier shifts on the POS cash drawer';
+COMMENT ON COLUMN cash_shifts.opening_float IS 'Cash in the drawer when the shift was opened';
+COMMENT ON COLUMN cash_shifts.expected_cash IS 'Float + cash sales + cash-ins - cash-outs - cash refunds at close';
+COMMENT ON COLUMN cash_shifts.denomination_counts IS 'Counted notes/coins at close, e.g. {"5000": 2, "1000": 7}';
+COMMENT ON COLUMN cash_shifts.cash_variance IS 'counted_cash - expected_cash (negative means cash short)';
+
+-- ============================================================================
+-- SECTION 2: CREATE CASH MOVEMENTS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS cash_movements (
+    id BIGSERIAL PRIMARY KEY,
+    shift_id BIGINT NOT NULL,
+    movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('cash_in', 'cash_out')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL CHECK (LENGTH(TRIM(reason)) > 0),
+    created_by UUID NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_cash_movements_shift
+        FOREIGN KEY (shift_id)
+        REFERENCES cash_shifts(id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_cash_movements_created_by
+        FOREIGN KEY (created_by)
+        REFERENCES users(user_id)
+        ON DELETE RESTRICT
+);
+
+CREATE INDEX IF NOT EXISTS idx_cash_movements_shift ON cash_movements(shift_id);
+
+COMMENT ON TABLE cash_movements IS 'Cash put into or taken out of the drawer during a shift (petty cash, supplier payments)';
+
+-- ============================================================================
+-- SECTION 3: TRIGGERS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION update_cash_shifts_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_cash_shifts_updated_at ON cash_shifts;
+CREATE TRIGGER trigger_cash_shifts_updated_at
+  BEFORE UPDATE ON cash_shifts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_cash_shifts_updated_at();
+
+-- ============================================================================
+-- SECTION 4: AUDIT ACTIONS
+-- ============================================================================
+
+ALTER TYPE audit_action ADD VALUE IF NOT EXISTS 'shift_opened';
+ALTER TYPE audit_action ADD VALUE IF NOT EXISTS 'shift_closed';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created cash_shifts table (single open shift enforced)
+-- ✓ Created cash_movements table
+-- ✓ Added shift_opened / shift_closed audit actions
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Open a shift from the billing screen before taking cash
+-- 3. X and Z reports are printed from the Sales page
@@ -0,0 +1,676 @@
+-- ============================================================================
+-- AYUBO CAFE PROMOTIONS MIGRATION
+-- Version: 014
+-- Date: 2025-11-06
+-- Description: Discounts and promotions for POS bills and customer orders
+--              (percentage / fixed discounts on items, categories or the whole
+--              bill, buy-X-get-Y, happy-hour windows and coupon codes)
+--              Includes: promotions, applied_discounts, POS product categories,
+--              create_pos_bill() and create_customer_order() with discounts
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 013_cash_drawer_shifts.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: POS PRODUCT CATEGORIES
+-- ============================================================================
+-- POS products share the customer catalog categories so one category
+-- promotion can apply at the counter and online
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS category_id UUID;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'fk_products_category'
+  ) THEN
+    ALTER TABLE products
+    ADD CONSTRAINT fk_products_category
+        FOREIGN KEY (category_id)
+        REFERENCES product_categories(category_id)
+        ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_products_category ON products(category_id);
+
+COMMENT ON COLUMN products.category_id IS 'Product category, used by category promotions';
+
+-- ============================================================================
+-- SECTION 2: CREATE PROMOTIONS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS promotions (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed_amount', 'buy_x_get_y')),
+    discount_value DECIMAL(10, 2) DEFAULT 0 NOT NULL CHECK (discount_value >= 0),
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('item', 'category', 'bill')),
+    channel VARCHAR(10) DEFAULT 'both' NOT NULL CHECK (channel IN ('pos', 'online', 'both')),
+
+    -- Targets for item and category scope
+    pos_product_ids INTEGER[] DEFAULT '{}' NOT NULL,
+    catalog_product_ids UUID[] DEFAULT '{}' NOT NULL,
+    category_ids UUID[] DEFAULT '{}' NOT NULL,
+
+    -- Buy X get Y (discount_value is not used)
+    buy_quantity INTEGER CHECK (buy_quantity IS NULL OR buy_quantity > 0),
+    get_quantity INTEGER CHECK (get_quantity IS NULL OR get_quantity > 0),
+    get_discount_percentage DECIMAL(5, 2) DEFAULT 100 NOT NULL
+        CHECK (get_discount_percentage > 0 AND get_discount_percentage <= 100),
+
+    min_bill_amount DECIMAL(10, 2) DEFAULT 0 NOT NULL CHECK (min_bill_amount >= 0),
+
+    -- Validity and happy-hour windows
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    days_of_week SMALLINT[] DEFAULT '{}' NOT NULL,
+    start_time TIME,
+    end_time TIME,
+
+    -- Coupon codes
+    coupon_code VARCHAR(30),
+    usage_limit INTEGER CHECK (usage_limit IS NULL OR usage_limit > 0),
+    usage_count INTEGER DEFAULT 0 NOT NULL CHECK (usage_count >= 0),
+
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_promotions_created_by
+        FOREIGN KEY (created_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL,
+
+    CONSTRAINT chk_promotions_percentage
+        CHECK (discount_type <> 'percentage' OR discount_value <= 100),
+
+    CONSTRAINT chk_promotions_buy_x_get_y
+        CHECK (discount_type <> 'buy_x_get_y'
+               OR (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL AND scope <> 'bill')),
+
+    CONSTRAINT chk_promotions_dates
+        CHECK (starts_at IS NULL OR ends_at IS NULL OR starts_at < ends_at),
+
+    CONSTRAINT chk_promotions_times
+        CHECK ((start_time IS NULL) = (end_time IS NULL)),
+
+    CONSTRAINT chk_promotions_usage
+        CHECK (usage_limit IS NULL OR usage_count <= usage_limit)
+);
+
+-- Coupon codes are matched case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promotions_coupon_code
+    ON promotions(UPPER(coupon_code))
+    WHERE coupon_code IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_promotions_active ON promotions(is_active, channel);
+
+COMMENT ON TABLE promotions IS 'Discount rules applied to POS bills and customer orders';
+COMMENT ON COLUMN promotions.discount_value IS 'Percentage (0-100) or fixed amount in Rs. (per unit for item/category scope, per bill for bill scope)';
+COMMENT ON COLUMN promotions.days_of_week IS 'Days the promotion runs (0 = Sunday); empty means every day';
+COMMENT ON COLUMN promotions.start_time IS 'Happy-hour start; a window may pass midnight (e.g. 22:00-02:00)';
+COMMENT ON COLUMN promotions.coupon_code IS 'When set, the promotion only applies if the code is entered';
+COMMENT ON COLUMN promotions.usage_count IS 'Bills and orders that redeemed the coupon';
+
+-- ============================================================================
+-- SECTION 3: CREATE APPLIED DISCOUNTS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS applied_discounts (
+    id BIGSERIAL PRIMARY KEY,
+    order_id BIGINT,
+    customer_order_id UUID,
+    promotion_id BIGINT,
+    promotion_name VARCHAR(100) NOT NULL,
+    coupon_code VARCHAR(30),
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('item', 'category', 'bill')),
+    product_ref VARCHAR(50),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_applied_discounts_order
+        FOREIGN KEY (order_id)
+        REFERENCES orders(order_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_applied_discounts_customer_order
+        FOREIGN KEY (customer_order_id)
+        REFERENCES customer_orders(order_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_applied_discounts_promotion
+        FOREIGN KEY (promotion_id)
+        REFERENCES promotions(id)
+        ON DELETE SET NULL,
+
+    -- A discount belongs to either a POS bill or a customer order
+    CONSTRAINT chk_applied_discounts_target
+        CHECK ((order_id IS NULL) <> (customer_order_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_applied_discounts_order ON applied_discounts(order_id);
+CREATE INDEX IF NOT EXISTS idx_applied_discounts_customer_order ON applied_discounts(customer_order_id);
+CREATE INDEX IF NOT EXISTS idx_applied_discounts_promotion ON applied_discounts(promotion_id);
+
+COMMENT ON TABLE applied_discounts IS 'Discounts given on POS bills and customer orders, for reporting';
+COMMENT ON COLUMN applied_discounts.promotion_name IS 'Promotion name at the time of sale (kept if the promotion is deleted)';
+COMMENT ON COLUMN applied_discounts.product_ref IS 'POS product_id or catalog product UUID the discount applied to (NULL for bill discounts)';
+
+-- ============================================================================
+-- SECTION 4: DISCOUNT COLUMNS ON BILLS AND ORDERS
+-- ============================================================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS discount_total DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+ALTER TABLE customer_orders
+ADD COLUMN IF NOT EXISTS discount_total DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+COMMENT ON COLUMN orders.discount_total IS 'Total discount given; value is already net of it';
+COMMENT ON COLUMN order_items.discount_amount IS 'Discount on the line; subtotal is already net of it (refunds pay back the net amount)';
+COMMENT ON COLUMN customer_orders.discount_total IS 'Total discount given; total_amount = subtotal - discount_total';
+
+-- ============================================================================
+-- FUNCTION: Redeem coupon / validate applied discounts
+-- ============================================================================
+-- p_discounts is an array of {promotion_id, coupon_code, scope, product_ref, amount}
+-- Each promotion must exist and be active. A coupon is redeemed once per
+-- bill or order; the usage limit is enforced with a conditional update so
+-- two tills cannot redeem the last use at the same time.
+CREATE OR REPLACE FUNCTION redeem_applied_discounts(
+  p_discounts JSONB,
+  p_order_id BIGINT DEFAULT NULL,
+  p_customer_order_id UUID DEFAULT NULL
+)
+RETURNS DECIMAL AS $$
+DECLARE
+  v_discount JSONB;
+  v_promotion RECORD;
+  v_amount DECIMAL(10, 2);
+  v_total DECIMAL(10, 2) := 0;
+  v_coupon_promotion_id BIGINT;
+BEGIN
+  IF p_discounts IS NULL OR jsonb_array_length(p_discounts) = 0 THEN
+    RETURN 0;
+  END IF;
+
+  FOR v_discount IN SELECT * FROM jsonb_array_elements(p_discounts)
+  LOOP
+    v_amount := COALESCE((v_discount->>'amount')::DECIMAL, 0);
+    IF v_amount <= 0 THEN
+      RAISE EXCEPTION 'Invalid discount amount';
+    END IF;
+
+    SELECT id, name, coupon_code, is_active INTO v_promotion
+    FROM promotions
+    WHERE id = (v_discount->>'promotion_id')::BIGINT;
+
+    IF NOT FOUND OR NOT v_promotion.is_active THEN
+      RAISE EXCEPTION 'Promotion % is no longer available', COALESCE(v_discount->>'promotion_id', 'none');
+    END IF;
+
+    INSERT INTO applied_discounts (
+      order_id, customer_order_id, promotion_id, promotion_name,
+      coupon_code, scope, product_ref, amount
+    ) VALUES (
+      p_order_id,
+      p_customer_order_id,
+      v_promotion.id,
+      v_promotion.name,
+      v_promotion.coupon_code,
+      v_discount->>'scope',
+      v_discount->>'product_ref',
+      v_amount
+    );
+
+    v_total := v_total + v_amount;
+  END LOOP;
+
+  -- Count each coupon once, however many lines it discounted
+  FOR v_coupon_promotion_id IN
+    SELECT DISTINCT promotion_id
+    FROM applied_discounts
+    WHERE coupon_code IS NOT NULL
+      AND promotion_id IS NOT NULL
+      AND (order_id = p_order_id OR customer_order_id = p_customer_order_id)
+  LOOP
+    UPDATE promotions
+    SET usage_count = usage_count + 1,
+        updated_at = NOW()
+    WHERE id = v_coupon_promotion_id
+      AND (usage_limit IS NULL OR usage_count < usage_limit);
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Coupon has reached its usage limit';
+    END IF;
+  END LOOP;
+
+  RETURN v_total;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION redeem_applied_discounts IS 'Records applied discounts on a bill or order and redeems coupon uses';
+
+-- ============================================================================
+-- FUNCTION: Create POS bill with payments and discounts (transaction-safe)
+-- ============================================================================
+-- Replaces the three-argument version from migration 012
+DROP FUNCTION IF EXISTS create_pos_bill(JSONB, TIMESTAMP, JSONB);
+
+-- p_items is an array of {product_id, quantity, unit_price, discount_amount}
+-- The same product may appear more than once (e.g. two weighed cake slices);
+-- stock is validated against the combined quantity per product.
+-- discount_amount is the line's share of all discounts (including bill
+-- discounts) and p_discounts lists the promotions behind them; both must add
+-- up to the same amount. Lines are stored net of their discount.
+-- p_payments is an array of {method, amount, tendered, reference} where amount
+-- is the part of the bill settled by that tender. Only cash may be tendered
+-- above its amount (the difference is the change). Without payments the bill
+-- is recorded as paid in exact cash.
+CREATE OR REPLACE FUNCTION create_pos_bill(
+  p_items JSONB,
+  p_order_date TIMESTAMP DEFAULT NULL,
+  p_payments JSONB DEFAULT NULL,
+  p_discounts JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order_id BIGINT;
+  v_order_date TIMESTAMP;
+  v_total DECIMAL(10, 2) := 0;
+  v_discount_total DECIMAL(10, 2) := 0;
+  v_redeemed DECIMAL(10, 2);
+  v_line_total DECIMAL(10, 2);
+  v_line_discount DECIMAL(10, 2);
+  v_item JSONB;
+  v_requested RECORD;
+  v_available DECIMAL(10, 2);
+  v_remaining DECIMAL(10, 2);
+  v_batch RECORD;
+  v_product_name TEXT;
+  v_payment JSONB;
+  v_method VARCHAR(20);
+  v_amount DECIMAL(10, 2);
+  v_tendered DECIMAL(10, 2);
+  v_paid DECIMAL(10, 2) := 0;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Bill must contain at least one item';
+  END IF;
+
+  -- Validate each line
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF (v_item->>'product_id') IS NULL THEN
+      RAISE EXCEPTION 'Bill item is missing product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'unit_price')::DECIMAL, -1) < 0 THEN
+      RAISE EXCEPTION 'Invalid unit price for product %', v_item->>'product_id';
+    END IF;
+
+    v_line_total := ROUND((v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::DECIMAL, 2);
+    v_line_discount := COALESCE((v_item->>'discount_amount')::DECIMAL, 0);
+
+    IF v_line_discount < 0 OR v_line_discount > v_line_total THEN
+      RAISE EXCEPTION 'Invalid discount for product %', v_item->>'product_id';
+    END IF;
+
+    v_total := v_total + v_line_total - v_line_discount;
+    v_discount_total := v_discount_total + v_line_discount;
+  END LOOP;
+
+  IF v_total <= 0 THEN
+    RAISE EXCEPTION 'Bill total must be greater than 0';
+  END IF;
+
+  -- Validate stock per product, locking the batches so concurrent bills
+  -- cannot sell the same units twice
+  FOR v_requested IN
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY (elem->>'product_id')::INTEGER
+  LOOP
+    SELECT name INTO v_product_name
+    FROM products
+    WHERE product_id = v_requested.product_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_requested.product_id;
+    END IF;
+
+    PERFORM 1
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0
+    FOR UPDATE;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_available
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0;
+
+    IF v_requested.quantity > v_available THEN
+      RAISE EXCEPTION 'Insufficient stock for %. Requested: %, Available: %',
+        v_product_name, v_requested.quantity, v_available;
+    END IF;
+  END LOOP;
+
+  -- Create order
+  v_order_date := COALESCE(p_order_date, CURRENT_TIMESTAMP);
+
+  INSERT INTO orders (order_date, value, discount_total)
+  VALUES (v_order_date, v_total, v_discount_total)
+  RETURNING order_id INTO v_order_id;
+
+  -- Record the promotions behind the line discounts
+  v_redeemed := redeem_applied_discounts(p_discounts, v_order_id, NULL);
+
+  IF v_redeemed <> v_discount_total THEN
+    RAISE EXCEPTION 'Applied discounts (%) do not match line discounts (%)', v_redeemed, v_discount_total;
+  END IF;
+
+  -- Record tender lines
+  IF p_payments IS NULL OR jsonb_array_length(p_payments) = 0 THEN
+    INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given)
+    VALUES (v_order_id, 'cash', v_total, v_total, 0);
+  ELSE
+    FOR v_payment IN SELECT * FROM jsonb_array_elements(p_payments)
+    LOOP
+      v_method := v_payment->>'method';
+      v_amount := COALESCE((v_payment->>'amount')::DECIMAL, 0);
+      v_tendered := COALESCE((v_payment->>'tendered')::DECIMAL, v_amount);
+
+      IF v_method IS NULL OR v_method NOT IN ('cash', 'card', 'bank_transfer', 'qr') THEN
+        RAISE EXCEPTION 'Invalid payment method: %', COALESCE(v_method, 'none');
+      END IF;
+
+      IF v_amount <= 0 THEN
+        RAISE EXCEPTION 'Invalid payment amount for %', v_method;
+      END IF;
+
+      IF v_tendered < v_amount THEN
+        RAISE EXCEPTION 'Tendered amount for % is less than the amount applied', v_method;
+      END IF;
+
+      IF v_method <> 'cash' AND v_tendered <> v_amount THEN
+        RAISE EXCEPTION 'Change can only be given on cash payments';
+      END IF;
+
+      v_paid := v_paid + v_amount;
+
+      INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given, reference)
+      VALUES (
+        v_order_id,
+        v_method,
+        v_amount,
+        v_tendered,
+        v_tendered - v_amount,
+        NULLIF(TRIM(v_payment->>'reference'), '')
+      );
+    END LOOP;
+
+    IF v_paid <> v_total THEN
+      RAISE EXCEPTION 'Payments (%) do not match bill total (%)', v_paid, v_total;
+    END IF;
+  END IF;
+
+  -- Insert order items (net of their discount)
+  INSERT INTO order_items (order_id, product_id, quantity, subtotal, discount_amount)
+  SELECT
+    v_order_id,
+    (elem->>'product_id')::INTEGER,
+    (elem->>'quantity')::DECIMAL,
+    ROUND((elem->>'unit_price')::DECIMAL * (elem->>'quantity')::DECIMAL, 2)
+      - COALESCE((elem->>'discount_amount')::DECIMAL, 0),
+    COALESCE((elem->>'discount_amount')::DECIMAL, 0)
+  FROM jsonb_array_elements(p_items) AS elem;
+
+  -- Deduct from oldest batches first (FIFO)
+  FOR v_requested IN
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY (elem->>'product_id')::INTEGER
+  LOOP
+    v_remaining := v_requested.quantity;
+
+    FOR v_batch IN
+      SELECT id, quantity
+      FROM inventory_batches
+      WHERE product_id = v_requested.product_id
+        AND quantity > 0
+      ORDER BY date_added ASC, id ASC
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+
+      IF v_batch.quantity <= v_remaining THEN
+        -- Entire batch is consumed
+        DELETE FROM inventory_batches WHERE id = v_batch.id;
+        v_remaining := v_remaining - v_batch.quantity;
+      ELSE
+        UPDATE inventory_batches
+        SET quantity = v_batch.quantity - v_remaining
+        WHERE id = v_batch.id;
+        v_remaining := 0;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN (
+    SELECT jsonb_build_object(
+      'order_id', o.order_id,
+      'order_date', o.order_date,
+      'value', o.value,
+      'discount_total', o.discount_total,
+      'order_items', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'order_item_id', oi.order_item_id,
+          'product_id', oi.product_id,
+          'quantity', oi.quantity,
+          'subtotal', oi.subtotal,
+          'discount_amount', oi.discount_amount,
+          'products', jsonb_build_object('name', p.name)
+        ) ORDER BY oi.order_item_id)
+        FROM order_items oi
+        LEFT JOIN products p ON p.product_id = oi.product_id
+        WHERE oi.order_id = o.order_id
+      ), '[]'::jsonb),
+      'pos_bill_payments', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'method', bp.method,
+          'amount', bp.amount,
+          'tendered', bp.tendered,
+          'change_given', bp.change_given,
+          'reference', bp.reference
+        ) ORDER BY bp.id)
+        FROM pos_bill_payments bp
+        WHERE bp.order_id = o.order_id
+      ), '[]'::jsonb),
+      'applied_discounts', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'promotion_id', ad.promotion_id,
+          'promotion_name', ad.promotion_name,
+          'coupon_code', ad.coupon_code,
+          'scope', ad.scope,
+          'product_ref', ad.product_ref,
+          'amount', ad.amount
+        ) ORDER BY ad.id)
+        FROM applied_discounts ad
+        WHERE ad.order_id = o.order_id
+      ), '[]'::jsonb)
+    )
+    FROM orders o
+    WHERE o.order_id = v_order_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_pos_bill IS 'Validates stock, payments and discounts, creates a POS order with its items, tender lines and applied discounts and deducts batches FIFO in a single transaction';
+
+-- ============================================================================
+-- FUNCTION: Create customer order with discounts
+-- ============================================================================
+-- Replaces the seven-argument version from migration 006
+DROP FUNCTION IF EXISTS create_customer_order(UUID, VARCHAR, DATE, TIME, TEXT, JSONB, INTEGER);
+
+-- Items are stored at full price; the discount comes off the order total and
+-- the deposit is taken on the discounted total
+CREATE OR REPLACE FUNCTION create_customer_order(
+  p_customer_id UUID,
+  p_order_type VARCHAR(20),
+  p_pickup_date DATE,
+  p_pickup_time TIME,
+  p_special_instructions TEXT,
+  p_order_items JSONB,  -- Array of {product_id, pricing_id, quantity, unit_price}
+  p_deposit_percentage INTEGER DEFAULT 40,
+  p_applied_discounts JSONB DEFAULT NULL  -- Array of {promotion_id, coupon_code, scope, product_ref, amount}
+)
+RETURNS UUID AS $$
+DECLARE
+  v_order_id UUID;
+  v_subtotal DECIMAL(10, 2) := 0;
+  v_discount DECIMAL(10, 2) := 0;
+  v_deposit DECIMAL(10, 2);
+  v_total DECIMAL(10, 2);
+  v_remaining DECIMAL(10, 2);
+  v_item JSONB;
+  v_product_name VARCHAR(255);
+  v_weight VARCHAR(50);
+BEGIN
+  -- Validate pickup date
+  PERFORM validate_pickup_date(p_pickup_date);
+
+  -- Validate order type
+  IF p_order_type NOT IN ('pre-made', 'custom') THEN
+    RAISE EXCEPTION 'Invalid order type: %', p_order_type;
+  END IF;
+
+  -- Calculate subtotal from order items
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_order_items)
+  LOOP
+    v_subtotal := v_subtotal + ((v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::INTEGER);
+  END LOOP;
+
+  IF v_subtotal <= 0 THEN
+    RAISE EXCEPTION 'Order must have at least one item with valid price';
+  END IF;
+
+  IF p_applied_discounts IS NOT NULL THEN
+    SELECT COALESCE(SUM((elem->>'amount')::DECIMAL), 0) INTO v_discount
+    FROM jsonb_array_elements(p_applied_discounts) AS elem;
+  END IF;
+
+  IF v_discount < 0 OR v_discount >= v_subtotal THEN
+    RAISE EXCEPTION 'Invalid discount for this order';
+  END IF;
+
+  -- Calculate totals on the discounted amount
+  SELECT * INTO v_deposit, v_total, v_remaining
+  FROM calculate_order_totals(v_subtotal - v_discount, p_deposit_percentage);
+
+  -- Create order (order_number will be auto-generated by trigger)
+  INSERT INTO customer_orders (
+    customer_id,
+    order_type,
+    pickup_date,
+    pickup_time,
+    special_instructions,
+    subtotal,
+    discount_total,
+    deposit_percentage,
+    deposit_amount,
+    total_amount,
+    remaining_balance,
+    order_number
+  ) VALUES (
+    p_customer_id,
+    p_order_type,
+    p_pickup_date,
+    p_pickup_time,
+    p_special_instructions,
+    v_subtotal,
+    v_discount,
+    p_deposit_percentage,
+    v_deposit,
+    v_total,
+    v_remaining,
+    '' -- Will be generated by trigger
+  )
+  RETURNING order_id INTO v_order_id;
+
+  PERFORM redeem_applied_discounts(p_applied_discounts, NULL, v_order_id);
+
+  -- Insert order items
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_order_items)
+  LOOP
+    -- Get product name and weight from product_catalog and product_pricing
+    IF (v_item->>'product_id') IS NOT NULL THEN
+      SELECT pc.name, pp.weight INTO v_product_name, v_weight
+      FROM product_catalog pc
+      LEFT JOIN product_pricing pp ON pp.pricing_id = (v_item->>'pricing_id')::UUID
+      WHERE pc.product_id = (v_item->>'product_id')::UUID;
+    ELSE
+      v_product_name := COALESCE(v_item->>'product_name', 'Custom Cake');
+      v_weight := v_item->>'weight';
+    END IF;
+
+    INSERT INTO customer_order_items (
+      order_id,
+      product_id,
+      pricing_id,
+      item_type,
+      product_name,
+      weight,
+      quantity,
+      unit_price,
+      total_price,
+      custom_specifications
+    ) VALUES (
+      v_order_id,
+      (v_item->>'product_id')::UUID,
+      (v_item->>'pricing_id')::UUID,
+      p_order_type,
+      v_product_name,
+      v_weight,
+      (v_item->>'quantity')::INTEGER,
+      (v_item->>'unit_price')::DECIMAL,
+      (v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::INTEGER,
+      v_item->>'custom_specifications'
+    );
+  END LOOP;
+
+  RETURN v_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_customer_order IS 'Creates a customer order with its items and applied discounts; the deposit is taken on the discounted total';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Added category_id to POS products
+-- ✓ Created promotions and applied_discounts tables
+-- ✓ Added discount columns to orders, order_items and customer_orders
+-- ✓ create_pos_bill() stores line discounts and the promotions behind them
+-- ✓ create_customer_order() takes applied discounts and redeems coupons
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Set up promotions from the Promotions page (owner)
+-- 3. Assign categories to POS products on the Products page
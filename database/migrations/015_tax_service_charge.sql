@@ -0,0 +1,711 @@
+-- ============================================================================
+-- AYUBO CAFE TAX AND SERVICE CHARGE MIGRATION
+-- Version: 015
+-- Date: 2025-11-07
+-- Description: Configurable tax rates (VAT, SSCL, ...) per product or category,
+--              tax-inclusive or tax-exclusive pricing, and an optional
+--              service charge on dine-in POS bills
+--              Includes: tax_rates, bill_taxes, tax columns on bills and
+--              orders, create_pos_bill() and create_customer_order() with taxes
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 014_promotions.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE TAX RATES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    rate DECIMAL(5, 2) NOT NULL CHECK (rate > 0 AND rate <= 100),
+    is_inclusive BOOLEAN DEFAULT FALSE NOT NULL,
+
+    -- Targets (a line is taxed if any of them match)
+    applies_to_all BOOLEAN DEFAULT FALSE NOT NULL,
+    pos_product_ids INTEGER[] DEFAULT '{}' NOT NULL,
+    catalog_product_ids UUID[] DEFAULT '{}' NOT NULL,
+    category_ids UUID[] DEFAULT '{}' NOT NULL,
+
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_tax_rates_created_by
+        FOREIGN KEY (created_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_rates_active ON tax_rates(is_active);
+
+COMMENT ON TABLE tax_rates IS 'Tax rates applied to POS bills and customer orders';
+COMMENT ON COLUMN tax_rates.is_inclusive IS 'TRUE when prices already include the tax; FALSE adds the tax on top of the price';
+COMMENT ON COLUMN tax_rates.applies_to_all IS 'Tax every product (otherwise only the listed products and categories)';
+
+-- ============================================================================
+-- SECTION 2: CREATE BILL TAXES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS bill_taxes (
+    id BIGSERIAL PRIMARY KEY,
+    order_id BIGINT,
+    customer_order_id UUID,
+    kind VARCHAR(20) DEFAULT 'tax' NOT NULL CHECK (kind IN ('tax', 'service_charge')),
+    tax_rate_id BIGINT,
+    name VARCHAR(50) NOT NULL,
+    rate DECIMAL(5, 2) NOT NULL,
+    is_inclusive BOOLEAN DEFAULT FALSE NOT NULL,
+    taxable_amount DECIMAL(10, 2) NOT NULL CHECK (taxable_amount >= 0),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_bill_taxes_order
+        FOREIGN KEY (order_id)
+        REFERENCES orders(order_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_bill_taxes_customer_order
+        FOREIGN KEY (customer_order_id)
+        REFERENCES customer_orders(order_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_bill_taxes_tax_rate
+        FOREIGN KEY (tax_rate_id)
+        REFERENCES tax_rates(id)
+        ON DELETE SET NULL,
+
+    -- A tax line belongs to either a POS bill or a customer order
+    CONSTRAINT chk_bill_taxes_target
+        CHECK ((order_id IS NULL) <> (customer_order_id IS NULL)),
+
+    -- Service charge is always added on top
+    CONSTRAINT chk_bill_taxes_service_charge
+        CHECK (kind <> 'service_charge' OR NOT is_inclusive)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_taxes_order ON bill_taxes(order_id);
+CREATE INDEX IF NOT EXISTS idx_bill_taxes_customer_order ON bill_taxes(customer_order_id);
+CREATE INDEX IF NOT EXISTS idx_bill_taxes_tax_rate ON bill_taxes(tax_rate_id);
+
+COMMENT ON TABLE bill_taxes IS 'Tax and service charge breakdown of POS bills and customer orders';
+COMMENT ON COLUMN bill_taxes.name IS 'Tax name at the time of sale (kept if the rate is changed or deleted)';
+COMMENT ON COLUMN bill_taxes.taxable_amount IS 'Amount the rate was applied to (net of discounts and of inclusive tax)';
+
+-- ============================================================================
+-- SECTION 3: TAX COLUMNS ON BILLS AND ORDERS
+-- ============================================================================
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS tax_total DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS service_charge DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS exclusive_tax_amount DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+ALTER TABLE order_items
+ADD COLUMN IF NOT EXISTS service_charge_amount DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+ALTER TABLE customer_orders
+ADD COLUMN IF NOT EXISTS tax_total DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+COMMENT ON COLUMN orders.tax_total IS 'Total tax on the bill (inclusive and exclusive); value already contains it';
+COMMENT ON COLUMN orders.service_charge IS 'Service charge added to the bill; value already contains it';
+COMMENT ON COLUMN order_items.tax_amount IS 'Tax contained in the line (inclusive and exclusive)';
+COMMENT ON COLUMN order_items.exclusive_tax_amount IS 'Tax added on top of the line price; subtotal = price - discount + exclusive tax + service charge';
+COMMENT ON COLUMN order_items.service_charge_amount IS 'Line share of the service charge (refunds pay it back with the line)';
+COMMENT ON COLUMN customer_orders.tax_total IS 'Total tax on the order; total_amount = subtotal - discount_total + exclusive tax';
+
+-- ============================================================================
+-- SECTION 4: SERVICE CHARGE CONFIGURATION
+-- ============================================================================
+
+INSERT INTO system_configuration (config_key, config_value, data_type, description, is_public)
+VALUES ('service_charge_percentage', '10', 'number', 'Service charge added to dine-in POS bills (%)', false)
+ON CONFLICT (config_key) DO NOTHING;
+
+-- ============================================================================
+-- FUNCTION: Record tax breakdown
+-- ============================================================================
+-- p_taxes is an array of {kind, tax_rate_id, name, rate, is_inclusive,
+-- taxable_amount, amount}. Each tax line must point at an active tax rate.
+-- Returns the total of the lines added on top of the price (exclusive taxes
+-- and service charge).
+CREATE OR REPLACE FUNCTION record_bill_taxes(
+  p_taxes JSONB,
+  p_order_id BIGINT DEFAULT NULL,
+  p_customer_order_id UUID DEFAULT NULL
+)
+RETURNS DECIMAL AS $$
+DECLARE
+  v_tax JSONB;
+  v_kind VARCHAR(20);
+  v_tax_rate RECORD;
+  v_amount DECIMAL(10, 2);
+  v_is_inclusive BOOLEAN;
+  v_added DECIMAL(10, 2) := 0;
+BEGIN
+  IF p_taxes IS NULL OR jsonb_array_length(p_taxes) = 0 THEN
+    RETURN 0;
+  END IF;
+
+  FOR v_tax IN SELECT * FROM jsonb_array_elements(p_taxes)
+  LOOP
+    v_kind := COALESCE(v_tax->>'kind', 'tax');
+    v_amount := COALESCE((v_tax->>'amount')::DECIMAL, 0);
+    v_is_inclusive := COALESCE((v_tax->>'is_inclusive')::BOOLEAN, FALSE);
+
+    IF v_amount <= 0 THEN
+      RAISE EXCEPTION 'Invalid tax amount';
+    END IF;
+
+    IF v_kind = 'tax' THEN
+      SELECT id, is_active INTO v_tax_rate
+      FROM tax_rates
+      WHERE id = (v_tax->>'tax_rate_id')::BIGINT;
+
+      IF NOT FOUND OR NOT v_tax_rate.is_active THEN
+        RAISE EXCEPTION 'Tax rate % is no longer available', COALESCE(v_tax->>'tax_rate_id', 'none');
+      END IF;
+    END IF;
+
+    INSERT INTO bill_taxes (
+      order_id, customer_order_id, kind, tax_rate_id, name,
+      rate, is_inclusive, taxable_amount, amount
+    ) VALUES (
+      p_order_id,
+      p_customer_order_id,
+      v_kind,
+      CASE WHEN v_kind = 'tax' THEN (v_tax->>'tax_rate_id')::BIGINT END,
+      v_tax->>'name',
+      COALESCE((v_tax->>'rate')::DECIMAL, 0),
+      v_is_inclusive,
+      COALESCE((v_tax->>'taxable_amount')::DECIMAL, 0),
+      v_amount
+    );
+
+    IF NOT v_is_inclusive THEN
+      v_added := v_added + v_amount;
+    END IF;
+  END LOOP;
+
+  RETURN v_added;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION record_bill_taxes IS 'Records the tax and service charge breakdown of a bill or order';
+
+-- ============================================================================
+-- FUNCTION: Create POS bill with payments, discounts and taxes (transaction-safe)
+-- ============================================================================
+-- Replaces the four-argument version from migration 014
+DROP FUNCTION IF EXISTS create_pos_bill(JSONB, TIMESTAMP, JSONB, JSONB);
+
+-- p_items is an array of {product_id, quantity, unit_price, discount_amount,
+-- tax_amount, exclusive_tax_amount, service_charge_amount}
+-- The same product may appear more than once (e.g. two weighed cake slices);
+-- stock is validated against the combined quantity per product.
+-- discount_amount is the line's share of all discounts (including bill
+-- discounts) and p_discounts lists the promotions behind them; both must add
+-- up to the same amount.
+-- tax_amount is all tax contained in the line; exclusive_tax_amount (the part
+-- added on top of the price) and service_charge_amount are added to the line,
+-- so lines are stored at what the customer paid for them and refunds stay
+-- per line. p_taxes holds the breakdown by rate and must add up to the lines.
+-- p_payments is an array of {method, amount, tendered, reference} where amount
+-- is the part of the bill settled by that tender. Only cash may be tendered
+-- above its amount (the difference is the change). Without payments the bill
+-- is recorded as paid in exact cash.
+CREATE OR REPLACE FUNCTION create_pos_bill(
+  p_items JSONB,
+  p_order_date TIMESTAMP DEFAULT NULL,
+  p_payments JSONB DEFAULT NULL,
+  p_discounts JSONB DEFAULT NULL,
+  p_taxes JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order_id BIGINT;
+  v_order_date TIMESTAMP;
+  v_total DECIMAL(10, 2) := 0;
+  v_discount_total DECIMAL(10, 2) := 0;
+  v_tax_total DECIMAL(10, 2) := 0;
+  v_added_total DECIMAL(10, 2) := 0;
+  v_service_charge DECIMAL(10, 2) := 0;
+  v_redeemed DECIMAL(10, 2);
+  v_recorded DECIMAL(10, 2);
+  v_line_total DECIMAL(10, 2);
+  v_line_discount DECIMAL(10, 2);
+  v_line_tax DECIMAL(10, 2);
+  v_line_exclusive_tax DECIMAL(10, 2);
+  v_line_service DECIMAL(10, 2);
+  v_item JSONB;
+  v_requested RECORD;
+  v_available DECIMAL(10, 2);
+  v_remaining DECIMAL(10, 2);
+  v_batch RECORD;
+  v_product_name TEXT;
+  v_payment JSONB;
+  v_method VARCHAR(20);
+  v_amount DECIMAL(10, 2);
+  v_tendered DECIMAL(10, 2);
+  v_paid DECIMAL(10, 2) := 0;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Bill must contain at least one item';
+  END IF;
+
+  -- Validate each line
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF (v_item->>'product_id') IS NULL THEN
+      RAISE EXCEPTION 'Bill item is missing product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'unit_price')::DECIMAL, -1) < 0 THEN
+      RAISE EXCEPTION 'Invalid unit price for product %', v_item->>'product_id';
+    END IF;
+
+    v_line_total := ROUND((v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::DECIMAL, 2);
+    v_line_discount := COALESCE((v_item->>'discount_amount')::DECIMAL, 0);
+    v_line_tax := COALESCE((v_item->>'tax_amount')::DECIMAL, 0);
+    v_line_exclusive_tax := COALESCE((v_item->>'exclusive_tax_amount')::DECIMAL, 0);
+    v_line_service := COALESCE((v_item->>'service_charge_amount')::DECIMAL, 0);
+
+    IF v_line_discount < 0 OR v_line_discount > v_line_total THEN
+      RAISE EXCEPTION 'Invalid discount for product %', v_item->>'product_id';
+    END IF;
+
+    -- Inclusive tax is part of the net price and cannot exceed it
+    IF v_line_exclusive_tax < 0 OR v_line_exclusive_tax > v_line_tax
+       OR v_line_tax - v_line_exclusive_tax > v_line_total - v_line_discount THEN
+      RAISE EXCEPTION 'Invalid tax for product %', v_item->>'product_id';
+    END IF;
+
+    IF v_line_service < 0 THEN
+      RAISE EXCEPTION 'Invalid service charge for product %', v_item->>'product_id';
+    END IF;
+
+    v_total := v_total + v_line_total - v_line_discount + v_line_exclusive_tax + v_line_service;
+    v_discount_total := v_discount_total + v_line_discount;
+    v_tax_total := v_tax_total + v_line_tax;
+    v_added_total := v_added_total + v_line_exclusive_tax + v_line_service;
+    v_service_charge := v_service_charge + v_line_service;
+  END LOOP;
+
+  IF v_total <= 0 THEN
+    RAISE EXCEPTION 'Bill total must be greater than 0';
+  END IF;
+
+  -- Validate stock per product, locking the batches so concurrent bills
+  -- cannot sell the same units twice
+  FOR v_requested IN
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY (elem->>'product_id')::INTEGER
+  LOOP
+    SELECT name INTO v_product_name
+    FROM products
+    WHERE product_id = v_requested.product_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_requested.product_id;
+    END IF;
+
+    PERFORM 1
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0
+    FOR UPDATE;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_available
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0;
+
+    IF v_requested.quantity > v_available THEN
+      RAISE EXCEPTION 'Insufficient stock for %. Requested: %, Available: %',
+        v_product_name, v_requested.quantity, v_available;
+    END IF;
+  END LOOP;
+
+  -- Create order
+  v_order_date := COALESCE(p_order_date, CURRENT_TIMESTAMP);
+
+  INSERT INTO orders (order_date, value, discount_total, tax_total, service_charge)
+  VALUES (v_order_date, v_total, v_discount_total, v_tax_total, v_service_charge)
+  RETURNING order_id INTO v_order_id;
+
+  -- Record the promotions behind the line discounts
+  v_redeemed := redeem_applied_discounts(p_discounts, v_order_id, NULL);
+
+  IF v_redeemed <> v_discount_total THEN
+    RAISE EXCEPTION 'Applied discounts (%) do not match line discounts (%)', v_redeemed, v_discount_total;
+  END IF;
+
+  -- Record the tax breakdown behind the line taxes
+  v_recorded := record_bill_taxes(p_taxes, v_order_id, NULL);
+
+  IF v_recorded <> v_added_total THEN
+    RAISE EXCEPTION 'Tax breakdown (%) does not match line taxes and service charge (%)', v_recorded, v_added_total;
+  END IF;
+
+  IF (SELECT COALESCE(SUM(amount), 0) FROM bill_taxes WHERE order_id = v_order_id AND kind = 'tax') <> v_tax_total THEN
+    RAISE EXCEPTION 'Tax breakdown does not match line taxes (%)', v_tax_total;
+  END IF;
+
+  -- Record tender lines
+  IF p_payments IS NULL OR jsonb_array_length(p_payments) = 0 THEN
+    INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given)
+    VALUES (v_order_id, 'cash', v_total, v_total, 0);
+  ELSE
+    FOR v_payment IN SELECT * FROM jsonb_array_elements(p_payments)
+    LOOP
+      v_method := v_payment->>'method';
+      v_amount := COALESCE((v_payment->>'amount')::DECIMAL, 0);
+      v_tendered := COALESCE((v_payment->>'tendered')::DECIMAL, v_amount);
+
+      IF v_method IS NULL OR v_method NOT IN ('cash', 'card', 'bank_transfer', 'qr') THEN
+        RAISE EXCEPTION 'Invalid payment method: %', COALESCE(v_method, 'none');
+      END IF;
+
+      IF v_amount <= 0 THEN
+        RAISE EXCEPTION 'Invalid payment amount for %', v_method;
+      END IF;
+
+      IF v_tendered < v_amount THEN
+        RAISE EXCEPTION 'Tendered amount for % is less than the amount applied', v_method;
+      END IF;
+
+      IF v_method <> 'cash' AND v_tendered <> v_amount THEN
+        RAISE EXCEPTION 'Change can only be given on cash payments';
+      END IF;
+
+      v_paid := v_paid + v_amount;
+
+      INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given, reference)
+      VALUES (
+        v_order_id,
+        v_method,
+        v_amount,
+        v_tendered,
+        v_tendered - v_amount,
+        NULLIF(TRIM(v_payment->>'reference'), '')
+      );
+    END LOOP;
+
+    IF v_paid <> v_total THEN
+      RAISE EXCEPTION 'Payments (%) do not match bill total (%)', v_paid, v_total;
+    END IF;
+  END IF;
+
+  -- Insert order items at what the customer paid for them
+  INSERT INTO order_items (
+    order_id, product_id, quantity, subtotal, discount_amount,
+    tax_amount, exclusive_tax_amount, service_charge_amount
+  )
+  SELECT
+    v_order_id,
+    (elem->>'product_id')::INTEGER,
+    (elem->>'quantity')::DECIMAL,
+    ROUND((elem->>'unit_price')::DECIMAL * (elem->>'quantity')::DECIMAL, 2)
+      - COALESCE((elem->>'discount_amount')::DECIMAL, 0)
+      + COALESCE((elem->>'exclusive_tax_amount')::DECIMAL, 0)
+      + COALESCE((elem->>'service_charge_amount')::DECIMAL, 0),
+    COALESCE((elem->>'discount_amount')::DECIMAL, 0),
+    COALESCE((elem->>'tax_amount')::DECIMAL, 0),
+    COALESCE((elem->>'exclusive_tax_amount')::DECIMAL, 0),
+    COALESCE((elem->>'service_charge_amount')::DECIMAL, 0)
+  FROM jsonb_array_elements(p_items) AS elem;
+
+  -- Deduct from oldest batches first (FIFO)
+  FOR v_requested IN
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    GROUP BY (elem->>'product_id')::INTEGER
+  LOOP
+    v_remaining := v_requested.quantity;
+
+    FOR v_batch IN
+      SELECT id, quantity
+      FROM inventory_batches
+      WHERE product_id = v_requested.product_id
+        AND quantity > 0
+      ORDER BY date_added ASC, id ASC
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+
+      IF v_batch.quantity <= v_remaining THEN
+        -- Entire batch is consumed
+        DELETE FROM inventory_batches WHERE id = v_batch.id;
+        v_remaining := v_remaining - v_batch.quantity;
+      ELSE
+        UPDATE inventory_batches
+        SET quantity = v_batch.quantity - v_remaining
+        WHERE id = v_batch.id;
+        v_remaining := 0;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN (
+    SELECT jsonb_build_object(
+      'order_id', o.order_id,
+      'order_date', o.order_date,
+      'value', o.value,
+      'discount_total', o.discount_total,
+      'tax_total', o.tax_total,
+      'service_charge', o.service_charge,
+      'order_items', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'order_item_id', oi.order_item_id,
+          'product_id', oi.product_id,
+          'quantity', oi.quantity,
+          'subtotal', oi.subtotal,
+          'discount_amount', oi.discount_amount,
+          'tax_amount', oi.tax_amount,
+          'exclusive_tax_amount', oi.exclusive_tax_amount,
+          'service_charge_amount', oi.service_charge_amount,
+          'products', jsonb_build_object('name', p.name)
+        ) ORDER BY oi.order_item_id)
+        FROM order_items oi
+        LEFT JOIN products p ON p.product_id = oi.product_id
+        WHERE oi.order_id = o.order_id
+      ), '[]'::jsonb),
+      'pos_bill_payments', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'method', bp.method,
+          'amount', bp.amount,
+          'tendered', bp.tendered,
+          'change_given', bp.change_given,
+          'reference', bp.reference
+        ) ORDER BY bp.id)
+        FROM pos_bill_payments bp
+        WHERE bp.order_id = o.order_id
+      ), '[]'::jsonb),
+      'applied_discounts', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'promotion_id', ad.promotion_id,
+          'promotion_name', ad.promotion_name,
+          'coupon_code', ad.coupon_code,
+          'scope', ad.scope,
+          'product_ref', ad.product_ref,
+          'amount', ad.amount
+        ) ORDER BY ad.id)
+        FROM applied_discounts ad
+        WHERE ad.order_id = o.order_id
+      ), '[]'::jsonb),
+      'bill_taxes', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'kind', bt.kind,
+          'tax_rate_id', bt.tax_rate_id,
+          'name', bt.name,
+          'rate', bt.rate,
+          'is_inclusive', bt.is_inclusive,
+          'taxable_amount', bt.taxable_amount,
+          'amount', bt.amount
+        ) ORDER BY bt.id)
+        FROM bill_taxes bt
+        WHERE bt.order_id = o.order_id
+      ), '[]'::jsonb)
+    )
+    FROM orders o
+    WHERE o.order_id = v_order_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_pos_bill IS 'Validates stock, payments, discounts and taxes, creates a POS order with its items, tender lines, applied discounts and tax breakdown and deducts batches FIFO in a single transaction';
+
+-- ============================================================================
+-- FUNCTION: Create customer order with discounts and taxes
+-- ============================================================================
+-- Replaces the eight-argument version from migration 014
+DROP FUNCTION IF EXISTS create_customer_order(UUID, VARCHAR, DATE, TIME, TEXT, JSONB, INTEGER, JSONB);
+
+-- Items are stored at full price; the discount comes off the order total,
+-- exclusive taxes are added to it and the deposit is taken on the result
+CREATE OR REPLACE FUNCTION create_customer_order(
+  p_customer_id UUID,
+  p_order_type VARCHAR(20),
+  p_pickup_date DATE,
+  p_pickup_time TIME,
+  p_special_instructions TEXT,
+  p_order_items JSONB,  -- Array of {product_id, pricing_id, quantity, unit_price}
+  p_deposit_percentage INTEGER DEFAULT 40,
+  p_applied_discounts JSONB DEFAULT NULL,  -- Array of {promotion_id, coupon_code, scope, product_ref, amount}
+  p_taxes JSONB DEFAULT NULL  -- Array of {tax_rate_id, name, rate, is_inclusive, taxable_amount, amount}
+)
+RETURNS UUID AS $$
+DECLARE
+  v_order_id UUID;
+  v_subtotal DECIMAL(10, 2) := 0;
+  v_discount DECIMAL(10, 2) := 0;
+  v_tax_total DECIMAL(10, 2) := 0;
+  v_exclusive_tax DECIMAL(10, 2) := 0;
+  v_deposit DECIMAL(10, 2);
+  v_total DECIMAL(10, 2);
+  v_remaining DECIMAL(10, 2);
+  v_item JSONB;
+  v_product_name VARCHAR(255);
+  v_weight VARCHAR(50);
+BEGIN
+  -- Validate pickup date
+  PERFORM validate_pickup_date(p_pickup_date);
+
+  -- Validate order type
+  IF p_order_type NOT IN ('pre-made', 'custom') THEN
+    RAISE EXCEPTION 'Invalid order type: %', p_order_type;
+  END IF;
+
+  -- Calculate subtotal from order items
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_order_items)
+  LOOP
+    v_subtotal := v_subtotal + ((v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::INTEGER);
+  END LOOP;
+
+  IF v_subtotal <= 0 THEN
+    RAISE EXCEPTION 'Order must have at least one item with valid price';
+  END IF;
+
+  IF p_applied_discounts IS NOT NULL THEN
+    SELECT COALESCE(SUM((elem->>'amount')::DECIMAL), 0) INTO v_discount
+    FROM jsonb_array_elements(p_applied_discounts) AS elem;
+  END IF;
+
+  IF v_discount < 0 OR v_discount >= v_subtotal THEN
+    RAISE EXCEPTION 'Invalid discount for this order';
+  END IF;
+
+  -- Online orders carry taxes only (no service charge)
+  IF p_taxes IS NOT NULL THEN
+    SELECT
+      COALESCE(SUM((elem->>'amount')::DECIMAL), 0),
+      COALESCE(SUM((elem->>'amount')::DECIMAL) FILTER (
+        WHERE NOT COALESCE((elem->>'is_inclusive')::BOOLEAN, FALSE)
+      ), 0)
+    INTO v_tax_total, v_exclusive_tax
+    FROM jsonb_array_elements(p_taxes) AS elem
+    WHERE COALESCE(elem->>'kind', 'tax') = 'tax';
+  END IF;
+
+  -- Calculate totals on the discounted, taxed amount
+  SELECT * INTO v_deposit, v_total, v_remaining
+  FROM calculate_order_totals(v_subtotal - v_discount + v_exclusive_tax, p_deposit_percentage);
+
+  -- Create order (order_number will be auto-generated by trigger)
+  INSERT INTO customer_orders (
+    customer_id,
+    order_type,
+    pickup_date,
+    pickup_time,
+    special_instructions,
+    subtotal,
+    discount_total,
+    tax_total,
+    deposit_percentage,
+    deposit_amount,
+    total_amount,
+    remaining_balance,
+    order_number
+  ) VALUES (
+    p_customer_id,
+    p_order_type,
+    p_pickup_date,
+    p_pickup_time,
+    p_special_instructions,
+    v_subtotal,
+    v_discount,
+    v_tax_total,
+    p_deposit_percentage,
+    v_deposit,
+    v_total,
+    v_remaining,
+    '' -- Will be generated by trigger
+  )
+  RETURNING order_id INTO v_order_id;
+
+  PERFORM redeem_applied_discounts(p_applied_discounts, NULL, v_order_id);
+
+  IF record_bill_taxes(
+    (SELECT jsonb_agg(elem) FROM jsonb_array_elements(COALESCE(p_taxes, '[]'::jsonb)) AS elem
+     WHERE COALESCE(elem->>'kind', 'tax') = 'tax'),
+    NULL,
+    v_order_id
+  ) <> v_exclusive_tax THEN
+    RAISE EXCEPTION 'Invalid tax breakdown for this order';
+  END IF;
+
+  -- Insert order items
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_order_items)
+  LOOP
+    -- Get product name and weight from product_catalog and product_pricing
+    IF (v_item->>'product_id') IS NOT NULL THEN
+      SELECT pc.name, pp.weight INTO v_product_name, v_weight
+      FROM product_catalog pc
+      LEFT JOIN product_pricing pp ON pp.pricing_id = (v_item->>'pricing_id')::UUID
+      WHERE pc.product_id = (v_item->>'product_id')::UUID;
+    ELSE
+      v_product_name := COALESCE(v_item->>'product_name', 'Custom Cake');
+      v_weight := v_item->>'weight';
+    END IF;
+
+    INSERT INTO customer_order_items (
+      order_id,
+      product_id,
+      pricing_id,
+      item_type,
+      product_name,
+      weight,
+      quantity,
+      unit_price,
+      total_price,
+      custom_specifications
+    ) VALUES (
+      v_order_id,
+      (v_item->>'product_id')::UUID,
+      (v_item->>'pricing_id')::UUID,
+      p_order_type,
+      v_product_name,
+      v_weight,
+      (v_item->>'quantity')::INTEGER,
+      (v_item->>'unit_price')::DECIMAL,
+      (v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::INTEGER,
+      v_item->>'custom_specifications'
+    );
+  END LOOP;
+
+  RETURN v_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_customer_order IS 'Creates a customer order with its items, applied discounts and tax breakdown; the deposit is taken on the discounted total including exclusive tax';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created tax_rates and bill_taxes tables
+-- ✓ Added tax and service charge columns to orders, order_items and customer_orders
+-- ✓ Added service_charge_percentage to system_configuration
+-- ✓ create_pos_bill() stores line taxes, service charge and the tax breakdown
+-- ✓ create_customer_order() adds exclusive taxes and records the breakdown
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Set up tax rates and the service charge from the Taxes page (owner)
+-- 3. Assign categories to POS products so category rates apply
@@ -0,0 +1,72 @@
+-- ============================================================================
+-- AYUBO CAFE PRODUCT BARCODE AND PLU MIGRATION
+-- Version: 016
+-- Date: 2025-11-08
+-- Description: Barcode and PLU codes on POS products so items can be scanned
+--              at the till. Packaged items carry their own EAN/UPC barcode;
+--              weight-based items are looked up by the PLU (item code) the
+--              scale prints inside its price/weight-embedded EAN-13 labels
+--              Includes: barcode and plu_code columns with unique indexes
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 015_tax_service_charge.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: ADD BARCODE AND PLU COLUMNS
+-- ============================================================================
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS barcode VARCHAR(14);
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS plu_code VARCHAR(5);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_products_barcode_digits'
+    ) THEN
+        ALTER TABLE products
+        ADD CONSTRAINT chk_products_barcode_digits
+            CHECK (barcode IS NULL OR barcode ~ '^[0-9]{8,14}$');
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_products_plu_digits'
+    ) THEN
+        ALTER TABLE products
+        ADD CONSTRAINT chk_products_plu_digits
+            CHECK (plu_code IS NULL OR plu_code ~ '^[0-9]{1,5}$');
+    END IF;
+END $$;
+
+COMMENT ON COLUMN products.barcode IS 'Printed EAN-8/EAN-13/UPC barcode for packaged items';
+COMMENT ON COLUMN products.plu_code IS 'PLU typed at the till and used as the item code in scale-printed EAN-13 labels';
+
+-- ============================================================================
+-- SECTION 2: UNIQUE INDEXES
+-- ============================================================================
+
+-- A code can only point at one product
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_barcode
+ON products(barcode)
+WHERE barcode IS NOT NULL;
+
+-- PLUs are compared as numbers so 042 and 42 are the same code
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_plu_code
+ON products((plu_code::INTEGER))
+WHERE plu_code IS NOT NULL;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Added barcode and plu_code columns to products
+-- ✓ Barcodes and PLUs are digits only and unique per product
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Enter barcodes for packaged items and PLUs for weighed items on the Products page
+-- 3. Program the scale with the same PLUs as item codes
@@ -0,0 +1,797 @@
+-- ============================================================================
+-- AYUBO CAFE COMBO / BUNDLE PRODUCTS MIGRATION
+-- Version: 018
+-- Date: 2025-11-10
+-- Description: Combo products ("tea + bun", party packs) sold at their own
+--              price but made of other products. Selling a combo deducts
+--              each component from its oldest batches, and the line's
+--              revenue is split across the components for item-wise sales
+--              Includes: is_bundle on products, product_bundle_items,
+--              order_item_components, set_bundle_components(),
+--              get_bill_stock_demand(), create_pos_bill() and
+--              refund_pos_bill() with combo components
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 017_product_variants.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: MARK COMBO PRODUCTS
+-- ============================================================================
+
+-- A combo has no batches of its own; its stock is whatever its components allow
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS is_bundle BOOLEAN DEFAULT FALSE NOT NULL;
+
+COMMENT ON COLUMN products.is_bundle IS 'Combo product made of other products (see product_bundle_items); never has its own batches';
+
+-- ============================================================================
+-- SECTION 2: CREATE COMBO COMPONENTS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS product_bundle_items (
+    id BIGSERIAL PRIMARY KEY,
+    bundle_product_id INTEGER NOT NULL,
+    component_product_id INTEGER NOT NULL,
+    -- Units (or kg for weight-based components) of the component in one combo
+    quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_bundle_items_bundle
+        FOREIGN KEY (bundle_product_id)
+        REFERENCES products(product_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_bundle_items_component
+        FOREIGN KEY (component_product_id)
+        REFERENCES products(product_id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT chk_bundle_items_not_self
+        CHECK (bundle_product_id <> component_product_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bundle_items_component
+ON product_bundle_items(bundle_product_id, component_product_id);
+
+CREATE INDEX IF NOT EXISTS idx_bundle_items_component_product
+ON product_bundle_items(component_product_id);
+
+COMMENT ON TABLE product_bundle_items IS 'Components of a combo product and how many of each one combo contains';
+
+-- ============================================================================
+-- SECTION 3: COMBO COMPONENTS ON BILL LINES
+-- ============================================================================
+
+-- What a sold combo line was made of, with the line's revenue split across
+-- the components by their list price. Kept per line so reports and refunds
+-- do not change when the combo is edited later.
+CREATE TABLE IF NOT EXISTS order_item_components (
+    id BIGSERIAL PRIMARY KEY,
+    order_item_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    -- Total component quantity for the line (combo quantity x component quantity)
+    quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+    revenue DECIMAL(10, 2) NOT NULL,
+
+    CONSTRAINT fk_order_item_components_item
+        FOREIGN KEY (order_item_id)
+        REFERENCES order_items(order_item_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_order_item_components_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE RESTRICT
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_item_components_item
+ON order_item_components(order_item_id);
+
+CREATE INDEX IF NOT EXISTS idx_order_item_components_product
+ON order_item_components(product_id);
+
+COMMENT ON TABLE order_item_components IS 'Components of a sold combo line with their share of the line revenue';
+
+-- ============================================================================
+-- FUNCTION: Set the components of a combo (transaction-safe)
+-- ============================================================================
+-- p_components is an array of {product_id, quantity}. An empty array turns
+-- the product back into a normal product.
+-- A product can only become a combo while it has no stock of its own, and
+-- combos cannot contain other combos.
+CREATE OR REPLACE FUNCTION set_bundle_components(
+  p_bundle_id INTEGER,
+  p_components JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_product RECORD;
+  v_component JSONB;
+  v_component_product RECORD;
+  v_count INTEGER;
+BEGIN
+  SELECT product_id, name, is_weight_based, is_bundle INTO v_product
+  FROM products
+  WHERE product_id = p_bundle_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Product not found: %', p_bundle_id;
+  END IF;
+
+  v_count := jsonb_array_length(COALESCE(p_components, '[]'::jsonb));
+
+  IF v_count > 0 THEN
+    IF v_product.is_weight_based THEN
+      RAISE EXCEPTION '% is sold by weight and cannot be a combo', v_product.name;
+    END IF;
+
+    IF NOT v_product.is_bundle AND EXISTS (
+      SELECT 1 FROM inventory_batches WHERE product_id = p_bundle_id AND quantity > 0
+    ) THEN
+      RAISE EXCEPTION '% still has stock. Sell or return it before making it a combo', v_product.name;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM product_variants WHERE product_id = p_bundle_id AND is_active = TRUE) THEN
+      RAISE EXCEPTION '% has variants and cannot be a combo', v_product.name;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM product_bundle_items WHERE component_product_id = p_bundle_id) THEN
+      RAISE EXCEPTION '% is part of another combo and cannot be a combo itself', v_product.name;
+    END IF;
+  END IF;
+
+  DELETE FROM product_bundle_items WHERE bundle_product_id = p_bundle_id;
+
+  FOR v_component IN SELECT * FROM jsonb_array_elements(COALESCE(p_components, '[]'::jsonb))
+  LOOP
+    SELECT product_id, name, is_bundle INTO v_component_product
+    FROM products
+    WHERE product_id = (v_component->>'product_id')::INTEGER;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_component->>'product_id';
+    END IF;
+
+    IF v_component_product.is_bundle THEN
+      RAISE EXCEPTION '% is a combo and cannot be part of another combo', v_component_product.name;
+    END IF;
+
+    IF COALESCE((v_component->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for %', v_component_product.name;
+    END IF;
+
+    INSERT INTO product_bundle_items (bundle_product_id, component_product_id, quantity)
+    VALUES (p_bundle_id, v_component_product.product_id, (v_component->>'quantity')::DECIMAL);
+  END LOOP;
+
+  UPDATE products
+  SET is_bundle = v_count > 0,
+      updated_time = CURRENT_TIMESTAMP
+  WHERE product_id = p_bundle_id;
+
+  RETURN jsonb_build_object(
+    'product_id', p_bundle_id,
+    'is_bundle', v_count > 0,
+    'components', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'component_product_id', component_product_id,
+        'quantity', quantity
+      ) ORDER BY id)
+      FROM product_bundle_items
+      WHERE bundle_product_id = p_bundle_id
+    ), '[]'::jsonb)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION set_bundle_components IS 'Replaces the components of a combo product and keeps products.is_bundle in step';
+
+-- ============================================================================
+-- FUNCTION: Stock needed by bill lines
+-- ============================================================================
+-- Quantity of each stocked product needed by p_items: variant lines use
+-- quantity x stock_units and combo lines are expanded into their components
+CREATE OR REPLACE FUNCTION get_bill_stock_demand(p_items JSONB)
+RETURNS TABLE (product_id INTEGER, quantity DECIMAL) AS $$
+  WITH lines AS (
+    SELECT (elem->>'product_id')::INTEGER AS product_id,
+           (elem->>'quantity')::DECIMAL * COALESCE(pv.stock_units, 1) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    LEFT JOIN product_variants pv ON pv.id = (elem->>'variant_id')::BIGINT
+  )
+  SELECT COALESCE(bi.component_product_id, l.product_id) AS product_id,
+         SUM(l.quantity * COALESCE(bi.quantity, 1)) AS quantity
+  FROM lines l
+  LEFT JOIN product_bundle_items bi ON bi.bundle_product_id = l.product_id
+  GROUP BY COALESCE(bi.component_product_id, l.product_id);
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_bill_stock_demand IS 'Stock needed per product by POS bill lines, with combos expanded into their components';
+
+-- ============================================================================
+-- FUNCTION: Create POS bill with combo products (transaction-safe)
+-- ============================================================================
+-- p_items is an array of {product_id, variant_id, modifier_ids, quantity,
+-- unit_price, discount_amount, tax_amount, exclusive_tax_amount,
+-- service_charge_amount}
+-- unit_price is the variant price plus its modifiers. The variant and
+-- modifiers must be active options of the product; their names are copied
+-- onto the line. A variant line uses quantity x stock_units of the product's
+-- stock.
+-- A combo line uses its components' stock, never its own, and its revenue
+-- is split across the components in order_item_components.
+-- The same product may appear more than once (e.g. two weighed cake slices,
+-- or a small and a large tea) or inside a combo; stock is validated against
+-- the combined quantity per product (see get_bill_stock_demand).
+-- discount_amount is the line's share of all discounts (including bill
+-- discounts) and p_discounts lists the promotions behind them; both must add
+-- up to the same amount.
+-- tax_amount is all tax contained in the line; exclusive_tax_amount (the part
+-- added on top of the price) and service_charge_amount are added to the line,
+-- so lines are stored at what the customer paid for them and refunds stay
+-- per line. p_taxes holds the breakdown by rate and must add up to the lines.
+-- p_payments is an array of {method, amount, tendered, reference} where amount
+-- is the part of the bill settled by that tender. Only cash may be tendered
+-- above its amount (the difference is the change). Without payments the bill
+-- is recorded as paid in exact cash.
+CREATE OR REPLACE FUNCTION create_pos_bill(
+  p_items JSONB,
+  p_order_date TIMESTAMP DEFAULT NULL,
+  p_payments JSONB DEFAULT NULL,
+  p_discounts JSONB DEFAULT NULL,
+  p_taxes JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order_id BIGINT;
+  v_order_date TIMESTAMP;
+  v_total DECIMAL(10, 2) := 0;
+  v_discount_total DECIMAL(10, 2) := 0;
+  v_tax_total DECIMAL(10, 2) := 0;
+  v_added_total DECIMAL(10, 2) := 0;
+  v_service_charge DECIMAL(10, 2) := 0;
+  v_redeemed DECIMAL(10, 2);
+  v_recorded DECIMAL(10, 2);
+  v_line_total DECIMAL(10, 2);
+  v_line_discount DECIMAL(10, 2);
+  v_line_tax DECIMAL(10, 2);
+  v_line_exclusive_tax DECIMAL(10, 2);
+  v_line_service DECIMAL(10, 2);
+  v_item JSONB;
+  v_requested RECORD;
+  v_available DECIMAL(10, 2);
+  v_remaining DECIMAL(10, 2);
+  v_batch RECORD;
+  v_product_name TEXT;
+  v_payment JSONB;
+  v_method VARCHAR(20);
+  v_amount DECIMAL(10, 2);
+  v_tendered DECIMAL(10, 2);
+  v_paid DECIMAL(10, 2) := 0;
+  v_modifier_count INTEGER;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Bill must contain at least one item';
+  END IF;
+
+  -- Validate each line
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF (v_item->>'product_id') IS NULL THEN
+      RAISE EXCEPTION 'Bill item is missing product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'unit_price')::DECIMAL, -1) < 0 THEN
+      RAISE EXCEPTION 'Invalid unit price for product %', v_item->>'product_id';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM products
+      WHERE product_id = (v_item->>'product_id')::INTEGER
+        AND is_bundle = TRUE
+        AND NOT EXISTS (
+          SELECT 1 FROM product_bundle_items
+          WHERE bundle_product_id = (v_item->>'product_id')::INTEGER
+        )
+    ) THEN
+      RAISE EXCEPTION 'Combo % has no components', v_item->>'product_id';
+    END IF;
+
+    IF (v_item->>'variant_id') IS NOT NULL THEN
+      PERFORM 1
+      FROM product_variants
+      WHERE id = (v_item->>'variant_id')::BIGINT
+        AND product_id = (v_item->>'product_id')::INTEGER
+        AND is_active = TRUE;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invalid variant for product %', v_item->>'product_id';
+      END IF;
+    END IF;
+
+    v_modifier_count := jsonb_array_length(COALESCE(v_item->'modifier_ids', '[]'::jsonb));
+    IF v_modifier_count > 0 THEN
+      IF (
+        SELECT COUNT(*)
+        FROM product_modifiers
+        WHERE product_id = (v_item->>'product_id')::INTEGER
+          AND is_active = TRUE
+          AND id IN (SELECT jsonb_array_elements_text(v_item->'modifier_ids')::BIGINT)
+      ) <> v_modifier_count THEN
+        RAISE EXCEPTION 'Invalid modifier for product %', v_item->>'product_id';
+      END IF;
+    END IF;
+
+    v_line_total := ROUND((v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::DECIMAL, 2);
+    v_line_discount := COALESCE((v_item->>'discount_amount')::DECIMAL, 0);
+    v_line_tax := COALESCE((v_item->>'tax_amount')::DECIMAL, 0);
+    v_line_exclusive_tax := COALESCE((v_item->>'exclusive_tax_amount')::DECIMAL, 0);
+    v_line_service := COALESCE((v_item->>'service_charge_amount')::DECIMAL, 0);
+
+    IF v_line_discount < 0 OR v_line_discount > v_line_total THEN
+      RAISE EXCEPTION 'Invalid discount for product %', v_item->>'product_id';
+    END IF;
+
+    -- Inclusive tax is part of the net price and cannot exceed it
+    IF v_line_exclusive_tax < 0 OR v_line_exclusive_tax > v_line_tax
+       OR v_line_tax - v_line_exclusive_tax > v_line_total - v_line_discount THEN
+      RAISE EXCEPTION 'Invalid tax for product %', v_item->>'product_id';
+    END IF;
+
+    IF v_line_service < 0 THEN
+      RAISE EXCEPTION 'Invalid service charge for product %', v_item->>'product_id';
+    END IF;
+
+    v_total := v_total + v_line_total - v_line_discount + v_line_exclusive_tax + v_line_service;
+    v_discount_total := v_discount_total + v_line_discount;
+    v_tax_total := v_tax_total + v_line_tax;
+    v_added_total := v_added_total + v_line_exclusive_tax + v_line_service;
+    v_service_charge := v_service_charge + v_line_service;
+  END LOOP;
+
+  IF v_total <= 0 THEN
+    RAISE EXCEPTION 'Bill total must be greater than 0';
+  END IF;
+
+  -- Validate stock per product, locking the batches so concurrent bills
+  -- cannot sell the same units twice
+  FOR v_requested IN
+    SELECT * FROM get_bill_stock_demand(p_items)
+  LOOP
+    SELECT name INTO v_product_name
+    FROM products
+    WHERE product_id = v_requested.product_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_requested.product_id;
+    END IF;
+
+    PERFORM 1
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0
+    FOR UPDATE;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_available
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0;
+
+    IF v_requested.quantity > v_available THEN
+      RAISE EXCEPTION 'Insufficient stock for %. Requested: %, Available: %',
+        v_product_name, v_requested.quantity, v_available;
+    END IF;
+  END LOOP;
+
+  -- Create order
+  v_order_date := COALESCE(p_order_date, CURRENT_TIMESTAMP);
+
+  INSERT INTO orders (order_date, value, discount_total, tax_total, service_charge)
+  VALUES (v_order_date, v_total, v_discount_total, v_tax_total, v_service_charge)
+  RETURNING order_id INTO v_order_id;
+
+  -- Record the promotions behind the line discounts
+  v_redeemed := redeem_applied_discounts(p_discounts, v_order_id, NULL);
+
+  IF v_redeemed <> v_discount_total THEN
+    RAISE EXCEPTION 'Applied discounts (%) do not match line discounts (%)', v_redeemed, v_discount_total;
+  END IF;
+
+  -- Record the tax breakdown behind the line taxes
+  v_recorded := record_bill_taxes(p_taxes, v_order_id, NULL);
+
+  IF v_recorded <> v_added_total THEN
+    RAISE EXCEPTION 'Tax breakdown (%) does not match line taxes and service charge (%)', v_recorded, v_added_total;
+  END IF;
+
+  IF (SELECT COALESCE(SUM(amount), 0) FROM bill_taxes WHERE order_id = v_order_id AND kind = 'tax') <> v_tax_total THEN
+    RAISE EXCEPTION 'Tax breakdown does not match line taxes (%)', v_tax_total;
+  END IF;
+
+  -- Record tender lines
+  IF p_payments IS NULL OR jsonb_array_length(p_payments) = 0 THEN
+    INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given)
+    VALUES (v_order_id, 'cash', v_total, v_total, 0);
+  ELSE
+    FOR v_payment IN SELECT * FROM jsonb_array_elements(p_payments)
+    LOOP
+      v_method := v_payment->>'method';
+      v_amount := COALESCE((v_payment->>'amount')::DECIMAL, 0);
+      v_tendered := COALESCE((v_payment->>'tendered')::DECIMAL, v_amount);
+
+      IF v_method IS NULL OR v_method NOT IN ('cash', 'card', 'bank_transfer', 'qr') THEN
+        RAISE EXCEPTION 'Invalid payment method: %', COALESCE(v_method, 'none');
+      END IF;
+
+      IF v_amount <= 0 THEN
+        RAISE EXCEPTION 'Invalid payment amount for %', v_method;
+      END IF;
+
+      IF v_tendered < v_amount THEN
+        RAISE EXCEPTION 'Tendered amount for % is less than the amount applied', v_method;
+      END IF;
+
+      IF v_method <> 'cash' AND v_tendered <> v_amount THEN
+        RAISE EXCEPTION 'Change can only be given on cash payments';
+      END IF;
+
+      v_paid := v_paid + v_amount;
+
+      INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given, reference)
+      VALUES (
+        v_order_id,
+        v_method,
+        v_amount,
+        v_tendered,
+        v_tendered - v_amount,
+        NULLIF(TRIM(v_payment->>'reference'), '')
+      );
+    END LOOP;
+
+    IF v_paid <> v_total THEN
+      RAISE EXCEPTION 'Payments (%) do not match bill total (%)', v_paid, v_total;
+    END IF;
+  END IF;
+
+  -- Insert order items at what the customer paid for them
+  INSERT INTO order_items (
+    order_id, product_id, quantity, subtotal, discount_amount,
+    tax_amount, exclusive_tax_amount, service_charge_amount,
+    variant_id, variant_name, modifiers, stock_units
+  )
+  SELECT
+    v_order_id,
+    (elem->>'product_id')::INTEGER,
+    (elem->>'quantity')::DECIMAL,
+    ROUND((elem->>'unit_price')::DECIMAL * (elem->>'quantity')::DECIMAL, 2)
+      - COALESCE((elem->>'discount_amount')::DECIMAL, 0)
+      + COALESCE((elem->>'exclusive_tax_amount')::DECIMAL, 0)
+      + COALESCE((elem->>'service_charge_amount')::DECIMAL, 0),
+    COALESCE((elem->>'discount_amount')::DECIMAL, 0),
+    COALESCE((elem->>'tax_amount')::DECIMAL, 0),
+    COALESCE((elem->>'exclusive_tax_amount')::DECIMAL, 0),
+    COALESCE((elem->>'service_charge_amount')::DECIMAL, 0),
+    pv.id,
+    pv.name,
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('id', pm.id, 'name', pm.name, 'price', pm.price) ORDER BY pm.sort_order, pm.id)
+      FROM product_modifiers pm
+      WHERE pm.id IN (SELECT jsonb_array_elements_text(COALESCE(elem->'modifier_ids', '[]'::jsonb))::BIGINT)
+    ), '[]'::jsonb),
+    COALESCE(pv.stock_units, 1)
+  FROM jsonb_array_elements(p_items) AS elem
+  LEFT JOIN product_variants pv ON pv.id = (elem->>'variant_id')::BIGINT;
+
+  -- Split combo lines' revenue across their components by list price;
+  -- the last component takes the rounding difference
+  INSERT INTO order_item_components (order_item_id, product_id, quantity, revenue)
+  SELECT
+    order_item_id,
+    component_product_id,
+    quantity,
+    CASE
+      WHEN component_number = component_count
+        THEN subtotal - (SUM(share) OVER (PARTITION BY order_item_id) - share)
+      ELSE share
+    END
+  FROM (
+    SELECT *,
+      CASE
+        WHEN total_weight > 0 THEN ROUND(subtotal * weight / total_weight, 2)
+        ELSE ROUND(subtotal / component_count, 2)
+      END AS share
+    FROM (
+      SELECT
+        oi.order_item_id,
+        oi.subtotal,
+        bi.component_product_id,
+        oi.quantity * bi.quantity AS quantity,
+        p.price * bi.quantity AS weight,
+        SUM(p.price * bi.quantity) OVER (PARTITION BY oi.order_item_id) AS total_weight,
+        ROW_NUMBER() OVER (PARTITION BY oi.order_item_id ORDER BY bi.id) AS component_number,
+        COUNT(*) OVER (PARTITION BY oi.order_item_id) AS component_count
+      FROM order_items oi
+      JOIN product_bundle_items bi ON bi.bundle_product_id = oi.product_id
+      JOIN products p ON p.product_id = bi.component_product_id
+      WHERE oi.order_id = v_order_id
+    ) AS weighted
+  ) AS shares;
+
+  -- Deduct from oldest batches first (FIFO), combos from their components
+  FOR v_requested IN
+    SELECT * FROM get_bill_stock_demand(p_items)
+  LOOP
+    v_remaining := v_requested.quantity;
+
+    FOR v_batch IN
+      SELECT id, quantity
+      FROM inventory_batches
+      WHERE product_id = v_requested.product_id
+        AND quantity > 0
+      ORDER BY date_added ASC, id ASC
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+
+      IF v_batch.quantity <= v_remaining THEN
+        -- Entire batch is consumed
+        DELETE FROM inventory_batches WHERE id = v_batch.id;
+        v_remaining := v_remaining - v_batch.quantity;
+      ELSE
+        UPDATE inventory_batches
+        SET quantity = v_batch.quantity - v_remaining
+        WHERE id = v_batch.id;
+        v_remaining := 0;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN (
+    SELECT jsonb_build_object(
+      'order_id', o.order_id,
+      'order_date', o.order_date,
+      'value', o.value,
+      'discount_total', o.discount_total,
+      'tax_total', o.tax_total,
+      'service_charge', o.service_charge,
+      'order_items', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'order_item_id', oi.order_item_id,
+          'product_id', oi.product_id,
+          'quantity', oi.quantity,
+          'subtotal', oi.subtotal,
+          'discount_amount', oi.discount_amount,
+          'tax_amount', oi.tax_amount,
+          'exclusive_tax_amount', oi.exclusive_tax_amount,
+          'service_charge_amount', oi.service_charge_amount,
+          'variant_id', oi.variant_id,
+          'variant_name', oi.variant_name,
+          'modifiers', oi.modifiers,
+          'stock_units', oi.stock_units,
+          'products', jsonb_build_object('name', p.name)
+        ) ORDER BY oi.order_item_id)
+        FROM order_items oi
+        LEFT JOIN products p ON p.product_id = oi.product_id
+        WHERE oi.order_id = o.order_id
+      ), '[]'::jsonb),
+      'pos_bill_payments', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'method', bp.method,
+          'amount', bp.amount,
+          'tendered', bp.tendered,
+          'change_given', bp.change_given,
+          'reference', bp.reference
+        ) ORDER BY bp.id)
+        FROM pos_bill_payments bp
+        WHERE bp.order_id = o.order_id
+      ), '[]'::jsonb),
+      'applied_discounts', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'promotion_id', ad.promotion_id,
+          'promotion_name', ad.promotion_name,
+          'coupon_code', ad.coupon_code,
+          'scope', ad.scope,
+          'product_ref', ad.product_ref,
+          'amount', ad.amount
+        ) ORDER BY ad.id)
+        FROM applied_discounts ad
+        WHERE ad.order_id = o.order_id
+      ), '[]'::jsonb),
+      'bill_taxes', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+          'kind', bt.kind,
+          'tax_rate_id', bt.tax_rate_id,
+          'name', bt.name,
+          'rate', bt.rate,
+          'is_inclusive', bt.is_inclusive,
+          'taxable_amount', bt.taxable_amount,
+          'amount', bt.amount
+        ) ORDER BY bt.id)
+        FROM bill_taxes bt
+        WHERE bt.order_id = o.order_id
+      ), '[]'::jsonb)
+    )
+    FROM orders o
+    WHERE o.order_id = v_order_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_pos_bill IS 'Validates stock (combos by component), variants, payments, discounts and taxes, creates a POS order with its items, combo components, tender lines, applied discounts and tax breakdown and deducts batches FIFO in a single transaction';
+
+-- ============================================================================
+-- FUNCTION: Refund POS bill lines (transaction-safe)
+-- ============================================================================
+-- p_items is an array of {order_item_id, quantity, restock}
+-- restock defaults to true; restocked quantities become a new inventory batch
+-- dated on the original sale date so batch age is preserved
+-- Variant lines restock quantity x stock_units (e.g. two quarter cakes put
+-- back half a cake). Combo lines restock their components, one batch each,
+-- and leave batch_id empty on the refund line.
+CREATE OR REPLACE FUNCTION refund_pos_bill(
+  p_order_id BIGINT,
+  p_items JSONB,
+  p_reason TEXT,
+  p_requested_by UUID,
+  p_approved_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order RECORD;
+  v_item JSONB;
+  v_order_item RECORD;
+  v_already_refunded DECIMAL(10, 2);
+  v_quantity DECIMAL(10, 2);
+  v_amount DECIMAL(10, 2);
+  v_total DECIMAL(10, 2) := 0;
+  v_refund_id BIGINT;
+  v_batch_id BIGINT;
+  v_restock BOOLEAN;
+  v_sold_total DECIMAL(10, 2);
+  v_refunded_total DECIMAL(10, 2);
+  v_refund_type VARCHAR(20);
+  v_new_status VARCHAR(30);
+  v_component RECORD;
+BEGIN
+  IF p_reason IS NULL OR LENGTH(TRIM(p_reason)) = 0 THEN
+    RAISE EXCEPTION 'A reason is required to void or refund a bill';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Select at least one item to refund';
+  END IF;
+
+  SELECT order_id, order_date, status INTO v_order
+  FROM orders
+  WHERE order_id = p_order_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bill not found: %', p_order_id;
+  END IF;
+
+  IF v_order.status = 'voided' THEN
+    RAISE EXCEPTION 'Bill #% has already been voided', p_order_id;
+  END IF;
+
+  -- Totals and refund type are filled in once all lines are processed
+  INSERT INTO pos_refunds (order_id, refund_type, reason, total_amount, requested_by, approved_by)
+  VALUES (p_order_id, 'refund', TRIM(p_reason), 0, p_requested_by, COALESCE(p_approved_by, p_requested_by))
+  RETURNING id INTO v_refund_id;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    SELECT order_item_id, product_id, quantity, subtotal, stock_units INTO v_order_item
+    FROM order_items
+    WHERE order_item_id = (v_item->>'order_item_id')::INTEGER
+      AND order_id = p_order_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Item % does not belong to bill #%', v_item->>'order_item_id', p_order_id;
+    END IF;
+
+    v_quantity := (v_item->>'quantity')::DECIMAL;
+    IF v_quantity IS NULL OR v_quantity <= 0 THEN
+      RAISE EXCEPTION 'Invalid refund quantity for item %', v_order_item.order_item_id;
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_already_refunded
+    FROM pos_refund_items
+    WHERE order_item_id = v_order_item.order_item_id;
+
+    IF v_already_refunded + v_quantity > v_order_item.quantity THEN
+      RAISE EXCEPTION 'Cannot refund % of item %. Sold: %, already refunded: %',
+        v_quantity, v_order_item.order_item_id, v_order_item.quantity, v_already_refunded;
+    END IF;
+
+    v_amount := ROUND(v_order_item.subtotal * v_quantity / v_order_item.quantity, 2);
+    v_total := v_total + v_amount;
+    v_restock := COALESCE((v_item->>'restock')::BOOLEAN, TRUE);
+    v_batch_id := NULL;
+
+    IF v_restock AND EXISTS (
+      SELECT 1 FROM order_item_components WHERE order_item_id = v_order_item.order_item_id
+    ) THEN
+      FOR v_component IN
+        SELECT product_id, quantity
+        FROM order_item_components
+        WHERE order_item_id = v_order_item.order_item_id
+        ORDER BY id
+      LOOP
+        INSERT INTO inventory_batches (product_id, quantity, date_added)
+        VALUES (
+          v_component.product_id,
+          ROUND(v_component.quantity * v_quantity / v_order_item.quantity, 2),
+          v_order.order_date::DATE
+        );
+      END LOOP;
+    ELSIF v_restock THEN
+      INSERT INTO inventory_batches (product_id, quantity, date_added)
+      VALUES (v_order_item.product_id, v_quantity * COALESCE(v_order_item.stock_units, 1), v_order.order_date::DATE)
+      RETURNING id INTO v_batch_id;
+    END IF;
+
+    INSERT INTO pos_refund_items (refund_id, order_item_id, product_id, quantity, amount, restocked, batch_id)
+    VALUES (v_refund_id, v_order_item.order_item_id, v_order_item.product_id, v_quantity, v_amount, v_restock, v_batch_id);
+  END LOOP;
+
+  -- Work out whether the whole bill has now been refunded
+  SELECT COALESCE(SUM(quantity), 0) INTO v_sold_total
+  FROM order_items
+  WHERE order_id = p_order_id;
+
+  SELECT COALESCE(SUM(ri.quantity), 0) INTO v_refunded_total
+  FROM pos_refund_items ri
+  JOIN pos_refunds r ON r.id = ri.refund_id
+  WHERE r.order_id = p_order_id;
+
+  IF v_refunded_total >= v_sold_total THEN
+    v_new_status := 'voided';
+    v_refund_type := CASE WHEN v_order.status = 'completed' THEN 'void' ELSE 'refund' END;
+  ELSE
+    v_new_status := 'partially_refunded';
+    v_refund_type := 'refund';
+  END IF;
+
+  UPDATE pos_refunds
+  SET total_amount = v_total,
+      refund_type = v_refund_type
+  WHERE id = v_refund_id;
+
+  UPDATE orders
+  SET status = v_new_status
+  WHERE order_id = p_order_id;
+
+  RETURN jsonb_build_object(
+    'refund_id', v_refund_id,
+    'order_id', p_order_id,
+    'refund_type', v_refund_type,
+    'total_amount', v_total,
+    'order_status', v_new_status
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION refund_pos_bill IS 'Voids or partially refunds a POS bill, recreating inventory batches for restocked lines (combo lines by component)';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Added is_bundle to products
+-- ✓ Created product_bundle_items and order_item_components tables
+-- ✓ set_bundle_components() edits a combo's components in one transaction
+-- ✓ create_pos_bill() checks and deducts combo components FIFO and splits
+--   combo revenue across the components
+-- ✓ refund_pos_bill() restocks combo lines by component
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Add a product for each combo (e.g. "Tea + Bun") with the combo price
+-- 3. Set its components from the Products page (Combo)
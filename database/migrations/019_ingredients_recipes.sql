@@ -0,0 +1,251 @@
+-- ============================================================================
+-- AYUBO CAFE INGREDIENTS AND RECIPES MIGRATION
+-- Version: 019
+-- Date: 2025-11-11
+-- Description: Raw ingredient stock (flour, eggs, butter) with reorder
+--              levels, and recipes (bill of materials) giving the
+--              ingredients used per unit of a product. Recording production
+--              in the Daily Stock Check-In creates the batch and consumes
+--              the recipe's ingredients in one transaction
+--              Includes: ingredients, product_recipes, ingredient_movements,
+--              record_production(), adjust_ingredient_stock()
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 018_product_bundles.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE INGREDIENTS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS ingredients (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    unit VARCHAR(10) NOT NULL CHECK (unit IN ('kg', 'g', 'l', 'ml', 'pcs')),
+    -- May go below zero when production uses more than was recorded;
+    -- the ingredient view flags it for a recount
+    stock_quantity DECIMAL(12, 3) DEFAULT 0 NOT NULL,
+    reorder_level DECIMAL(12, 3) DEFAULT 0 NOT NULL CHECK (reorder_level >= 0),
+    cost_per_unit DECIMAL(10, 2) CHECK (cost_per_unit IS NULL OR cost_per_unit >= 0),
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    -- Set when staff were told the ingredient is low; cleared once it is
+    -- restocked above the reorder level so each shortage is notified once
+    low_stock_notified_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ingredients_name
+ON ingredients(LOWER(name));
+
+COMMENT ON TABLE ingredients IS 'Raw ingredients used in production, with stock and reorder level';
+COMMENT ON COLUMN ingredients.reorder_level IS 'Staff are notified when stock falls to or below this level';
+
+-- ============================================================================
+-- SECTION 2: CREATE RECIPES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS product_recipes (
+    id BIGSERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL,
+    ingredient_id BIGINT NOT NULL,
+    -- Ingredient used per unit (or kg for weight-based products) produced,
+    -- in the ingredient's unit
+    quantity DECIMAL(12, 3) NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_product_recipes_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_product_recipes_ingredient
+        FOREIGN KEY (ingredient_id)
+        REFERENCES ingredients(id)
+        ON DELETE RESTRICT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_recipes_ingredient
+ON product_recipes(product_id, ingredient_id);
+
+COMMENT ON TABLE product_recipes IS 'Bill of materials: ingredients used per unit of a product produced';
+
+-- ============================================================================
+-- SECTION 3: CREATE INGREDIENT MOVEMENTS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS ingredient_movements (
+    id BIGSERIAL PRIMARY KEY,
+    ingredient_id BIGINT NOT NULL,
+    -- Positive for purchases, negative for production
+    change DECIMAL(12, 3) NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('production', 'purchase', 'adjustment')),
+    -- Production: the batch and product made (batches are deleted once sold,
+    -- so batch_id is not a foreign key)
+    product_id INTEGER,
+    batch_id BIGINT,
+    notes TEXT,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_ingredient_movements_ingredient
+        FOREIGN KEY (ingredient_id)
+        REFERENCES ingredients(id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_ingredient_movements_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE SET NULL,
+
+    CONSTRAINT fk_ingredient_movements_created_by
+        FOREIGN KEY (created_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingredient_movements_ingredient
+ON ingredient_movements(ingredient_id, created_at DESC);
+
+COMMENT ON TABLE ingredient_movements IS 'Every change to ingredient stock: production use, purchases and count adjustments';
+
+-- ============================================================================
+-- FUNCTION: Record production (transaction-safe)
+-- ============================================================================
+-- Creates the day's inventory batch for a product and takes the recipe's
+-- ingredients off stock. Returns the batch and the ingredients that have just
+-- fallen to their reorder level (each shortage is only returned once, so the
+-- caller can notify staff without repeating itself).
+CREATE OR REPLACE FUNCTION record_production(
+  p_product_id INTEGER,
+  p_quantity DECIMAL,
+  p_date_added DATE DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_batch RECORD;
+  v_recipe RECORD;
+  v_used DECIMAL(12, 3);
+  v_low JSONB := '[]'::jsonb;
+BEGIN
+  IF p_quantity IS NULL OR p_quantity <= 0 THEN
+    RAISE EXCEPTION 'Invalid quantity for product %', p_product_id;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM products WHERE product_id = p_product_id) THEN
+    RAISE EXCEPTION 'Product not found: %', p_product_id;
+  END IF;
+
+  INSERT INTO inventory_batches (product_id, quantity, date_added)
+  VALUES (p_product_id, p_quantity, COALESCE(p_date_added, CURRENT_DATE))
+  RETURNING * INTO v_batch;
+
+  FOR v_recipe IN
+    SELECT r.ingredient_id, r.quantity
+    FROM product_recipes r
+    JOIN ingredients i ON i.id = r.ingredient_id
+    WHERE r.product_id = p_product_id
+    ORDER BY r.id
+    FOR UPDATE OF i
+  LOOP
+    v_used := ROUND(v_recipe.quantity * p_quantity, 3);
+
+    UPDATE ingredients
+    SET stock_quantity = stock_quantity - v_used,
+        updated_at = NOW()
+    WHERE id = v_recipe.ingredient_id;
+
+    INSERT INTO ingredient_movements (ingredient_id, change, reason, product_id, batch_id, created_by)
+    VALUES (v_recipe.ingredient_id, -v_used, 'production', p_product_id, v_batch.id, p_created_by);
+  END LOOP;
+
+  -- Ingredients this production has taken to their reorder level
+  WITH newly_low AS (
+    UPDATE ingredients i
+    SET low_stock_notified_at = NOW()
+    FROM product_recipes r
+    WHERE r.product_id = p_product_id
+      AND r.ingredient_id = i.id
+      AND i.is_active = TRUE
+      AND i.stock_quantity <= i.reorder_level
+      AND i.low_stock_notified_at IS NULL
+    RETURNING i.id, i.name, i.unit, i.stock_quantity, i.reorder_level
+  )
+  SELECT COALESCE(jsonb_agg(to_jsonb(newly_low) ORDER BY name), '[]'::jsonb) INTO v_low
+  FROM newly_low;
+
+  RETURN jsonb_build_object(
+    'batch', to_jsonb(v_batch),
+    'low_ingredients', v_low
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION record_production IS 'Creates a production batch and consumes its recipe ingredients in a single transaction; returns ingredients that have just run low';
+
+-- ============================================================================
+-- FUNCTION: Adjust ingredient stock (transaction-safe)
+-- ============================================================================
+-- p_change is added to stock: positive for purchases, either sign for count
+-- adjustments. Restocking above the reorder level re-arms the low stock
+-- notification.
+CREATE OR REPLACE FUNCTION adjust_ingredient_stock(
+  p_ingredient_id BIGINT,
+  p_change DECIMAL,
+  p_reason VARCHAR,
+  p_notes TEXT DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_ingredient RECORD;
+BEGIN
+  IF p_change IS NULL OR p_change = 0 THEN
+    RAISE EXCEPTION 'Enter the quantity to add or remove';
+  END IF;
+
+  IF p_reason NOT IN ('purchase', 'adjustment') THEN
+    RAISE EXCEPTION 'Invalid reason: %', p_reason;
+  END IF;
+
+  IF p_reason = 'purchase' AND p_change < 0 THEN
+    RAISE EXCEPTION 'A purchase must add stock';
+  END IF;
+
+  UPDATE ingredients
+  SET stock_quantity = stock_quantity + p_change,
+      low_stock_notified_at = CASE
+        WHEN stock_quantity + p_change > reorder_level THEN NULL
+        ELSE low_stock_notified_at
+      END,
+      updated_at = NOW()
+  WHERE id = p_ingredient_id
+  RETURNING * INTO v_ingredient;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Ingredient not found: %', p_ingredient_id;
+  END IF;
+
+  INSERT INTO ingredient_movements (ingredient_id, change, reason, notes, created_by)
+  VALUES (p_ingredient_id, p_change, p_reason, NULLIF(TRIM(p_notes), ''), p_created_by);
+
+  RETURN to_jsonb(v_ingredient);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION adjust_ingredient_stock IS 'Adds a purchase or count adjustment to ingredient stock and records the movement';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created ingredients, product_recipes and ingredient_movements tables
+-- ✓ record_production() creates the batch and consumes recipe ingredients
+-- ✓ adjust_ingredient_stock() records purchases and count adjustments
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Add ingredients with their opening stock and reorder levels (Ingredients page)
+-- 3. Add a recipe to each product made in-house (Products page → Recipe)
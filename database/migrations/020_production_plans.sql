@@ -0,0 +1,96 @@
+-- ============================================================================
+-- AYUBO CAFE PRODUCTION PLANS MIGRATION
+-- Version: 020
+-- Date: 2025-11-12
+-- Description: Records the daily production plan made in the Daily Stock
+--              Check-In: the suggested quantity for each product and what
+--              staff decided to make, so it can be reported against what
+--              sold and what was returned
+--              Includes: production_plan_items, record_production_plan()
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 019_ingredients_recipes.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE PRODUCTION PLAN ITEMS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS production_plan_items (
+    id BIGSERIAL PRIMARY KEY,
+    plan_date DATE NOT NULL,
+    product_id INTEGER NOT NULL,
+    -- Quantity suggested from recent sales, returns, leftovers and customer
+    -- orders (NULL when the plan was made without suggestions)
+    suggested_quantity DECIMAL(10, 2) CHECK (suggested_quantity IS NULL OR suggested_quantity >= 0),
+    -- Quantity staff decided to make (batches created at check-in)
+    planned_quantity DECIMAL(10, 2) DEFAULT 0 NOT NULL CHECK (planned_quantity >= 0),
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_production_plan_items_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_production_plan_items_created_by
+        FOREIGN KEY (created_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_production_plan_items_date_product
+ON production_plan_items(plan_date, product_id);
+
+COMMENT ON TABLE production_plan_items IS 'Daily production plan per product: suggested vs planned quantity';
+COMMENT ON COLUMN production_plan_items.planned_quantity IS 'Total made on the day; later check-ins on the same day add to it';
+
+-- ============================================================================
+-- FUNCTION: Record production plan (transaction-safe)
+-- ============================================================================
+-- p_items: [{ product_id, suggested_quantity, planned_quantity }]
+-- A second check-in on the same day tops up production, so its planned
+-- quantity is added; the first suggestion of the day is kept.
+CREATE OR REPLACE FUNCTION record_production_plan(
+  p_plan_date DATE,
+  p_items JSONB,
+  p_created_by UUID DEFAULT NULL
+)
+RETURNS SETOF production_plan_items AS $$
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Production plan has no items';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO production_plan_items (plan_date, product_id, suggested_quantity, planned_quantity, created_by)
+  SELECT
+    COALESCE(p_plan_date, CURRENT_DATE),
+    (item->>'product_id')::INTEGER,
+    (item->>'suggested_quantity')::DECIMAL,
+    COALESCE((item->>'planned_quantity')::DECIMAL, 0),
+    p_created_by
+  FROM jsonb_array_elements(p_items) AS item
+  ON CONFLICT (plan_date, product_id) DO UPDATE
+  SET planned_quantity = production_plan_items.planned_quantity + EXCLUDED.planned_quantity,
+      suggested_quantity = COALESCE(production_plan_items.suggested_quantity, EXCLUDED.suggested_quantity),
+      updated_at = NOW()
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION record_production_plan IS 'Records the day''s suggested and planned production, adding to an earlier plan for the same day';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created production_plan_items table
+-- ✓ record_production_plan() records suggested and planned quantities
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Use "Use Suggestions" in the Daily Stock Check-In, adjust and create batches
+-- 3. Compare plan vs sold vs returned in Sales Reports → Production Plan vs Actual
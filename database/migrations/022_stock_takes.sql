@@ -0,0 +1,284 @@
+-- ============================================================================
+-- AYUBO CAFE STOCK TAKE MIGRATION
+-- Version: 022
+-- Date: 2025-11-14
+-- Description: Physical stock takes. Counted quantities are compared with
+--              the batch totals; the owner approves the variances with a
+--              reason and batches are corrected oldest-first, recorded in
+--              the stock movement ledger against the stock take
+--              Includes: stock_takes, stock_take_items, submit_stock_take(),
+--              approve_stock_take(), reject_stock_take()
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 021_stock_movements.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE STOCK TAKES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS stock_takes (
+    id BIGSERIAL PRIMARY KEY,
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'approved', 'rejected')),
+    notes TEXT,
+    counted_by UUID,
+    counted_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    -- Owner who approved or rejected the variances, and why
+    reviewed_by UUID,
+    reviewed_at TIMESTAMPTZ,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_stock_takes_counted_by
+        FOREIGN KEY (counted_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL,
+
+    CONSTRAINT fk_stock_takes_reviewed_by
+        FOREIGN KEY (reviewed_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_takes_counted_at
+ON stock_takes(counted_at DESC);
+
+COMMENT ON TABLE stock_takes IS 'Physical stock counts; approved variances correct inventory batches';
+COMMENT ON COLUMN stock_takes.reason IS 'Why the variances were approved or rejected';
+
+-- ============================================================================
+-- SECTION 2: CREATE STOCK TAKE ITEMS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS stock_take_items (
+    id BIGSERIAL PRIMARY KEY,
+    stock_take_id BIGINT NOT NULL,
+    product_id INTEGER,
+    -- Snapshots so the stock take still reads correctly if the product changes
+    product_name TEXT NOT NULL,
+    unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+    system_quantity DECIMAL(10, 2) NOT NULL,
+    counted_quantity DECIMAL(10, 2) NOT NULL CHECK (counted_quantity >= 0),
+    variance DECIMAL(10, 2) GENERATED ALWAYS AS (counted_quantity - system_quantity) STORED,
+    variance_value DECIMAL(10, 2) GENERATED ALWAYS AS (ROUND((counted_quantity - system_quantity) * unit_price, 2)) STORED,
+
+    CONSTRAINT fk_stock_take_items_stock_take
+        FOREIGN KEY (stock_take_id)
+        REFERENCES stock_takes(id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_stock_take_items_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_take_items_stock_take
+ON stock_take_items(stock_take_id);
+
+COMMENT ON TABLE stock_take_items IS 'Counted vs system quantity per product in a stock take';
+COMMENT ON COLUMN stock_take_items.variance IS 'Counted minus system quantity (negative = missing stock)';
+
+-- ============================================================================
+-- FUNCTION: Submit a stock take (transaction-safe)
+-- ============================================================================
+-- p_items: [{ product_id, system_quantity, counted_quantity }]
+-- system_quantity is the batch total shown while counting.
+CREATE OR REPLACE FUNCTION submit_stock_take(
+  p_items JSONB,
+  p_counted_by UUID DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_stock_take_id BIGINT;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Enter at least one counted quantity';
+  END IF;
+
+  INSERT INTO stock_takes (notes, counted_by)
+  VALUES (NULLIF(TRIM(p_notes), ''), p_counted_by)
+  RETURNING id INTO v_stock_take_id;
+
+  INSERT INTO stock_take_items (stock_take_id, product_id, product_name, unit_price, system_quantity, counted_quantity)
+  SELECT
+    v_stock_take_id,
+    p.product_id,
+    p.name,
+    p.price,
+    COALESCE((item->>'system_quantity')::DECIMAL, 0),
+    (item->>'counted_quantity')::DECIMAL
+  FROM jsonb_array_elements(p_items) AS item
+  JOIN products p ON p.product_id = (item->>'product_id')::INTEGER;
+
+  RETURN jsonb_build_object('id', v_stock_take_id);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION submit_stock_take IS 'Records a stock count for the owner to approve';
+
+-- ============================================================================
+-- FUNCTION: Approve a stock take (transaction-safe)
+-- ============================================================================
+-- Applies each variance to the product's batches: missing stock is taken
+-- from the oldest batches first; extra stock is added to the oldest batch
+-- (or a new batch dated today when there is none). Corrections are recorded
+-- as adjustment movements against the stock take.
+CREATE OR REPLACE FUNCTION approve_stock_take(
+  p_stock_take_id BIGINT,
+  p_reason TEXT,
+  p_approved_by UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_stock_take RECORD;
+  v_item RECORD;
+  v_batch RECORD;
+  v_remaining DECIMAL(10, 2);
+  v_adjusted INTEGER := 0;
+BEGIN
+  IF p_reason IS NULL OR LENGTH(TRIM(p_reason)) = 0 THEN
+    RAISE EXCEPTION 'A reason is required to approve stock adjustments';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM users WHERE user_id = p_approved_by AND role = 'owner' AND is_active) THEN
+    RAISE EXCEPTION 'Only the owner can approve stock adjustments';
+  END IF;
+
+  SELECT id, status INTO v_stock_take
+  FROM stock_takes
+  WHERE id = p_stock_take_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Stock take not found: %', p_stock_take_id;
+  END IF;
+
+  IF v_stock_take.status <> 'pending' THEN
+    RAISE EXCEPTION 'Stock take #% has already been %', p_stock_take_id, v_stock_take.status;
+  END IF;
+
+  PERFORM set_stock_movement_context('adjustment', 'stock_take', p_stock_take_id, p_approved_by);
+
+  FOR v_item IN
+    SELECT product_id, variance
+    FROM stock_take_items
+    WHERE stock_take_id = p_stock_take_id
+      AND product_id IS NOT NULL
+      AND variance <> 0
+    ORDER BY id
+  LOOP
+    v_adjusted := v_adjusted + 1;
+
+    IF v_item.variance > 0 THEN
+      SELECT id INTO v_batch
+      FROM inventory_batches
+      WHERE product_id = v_item.product_id
+      ORDER BY date_added ASC, id ASC
+      LIMIT 1
+      FOR UPDATE;
+
+      IF FOUND THEN
+        UPDATE inventory_batches
+        SET quantity = quantity + v_item.variance,
+            updated_at = NOW()
+        WHERE id = v_batch.id;
+      ELSE
+        INSERT INTO inventory_batches (product_id, quantity, date_added)
+        VALUES (v_item.product_id, v_item.variance, CURRENT_DATE);
+      END IF;
+
+      CONTINUE;
+    END IF;
+
+    -- Missing stock: take it from the oldest batches first
+    v_remaining := -v_item.variance;
+
+    FOR v_batch IN
+      SELECT id, quantity
+      FROM inventory_batches
+      WHERE product_id = v_item.product_id
+        AND quantity > 0
+      ORDER BY date_added ASC, id ASC
+      FOR UPDATE
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+
+      IF v_batch.quantity <= v_remaining THEN
+        DELETE FROM inventory_batches WHERE id = v_batch.id;
+        v_remaining := v_remaining - v_batch.quantity;
+      ELSE
+        UPDATE inventory_batches
+        SET quantity = v_batch.quantity - v_remaining,
+            updated_at = NOW()
+        WHERE id = v_batch.id;
+        v_remaining := 0;
+      END IF;
+    END LOOP;
+    -- Anything still remaining was sold since the count; there is no stock left to remove
+  END LOOP;
+
+  UPDATE stock_takes
+  SET status = 'approved',
+      reviewed_by = p_approved_by,
+      reviewed_at = NOW(),
+      reason = TRIM(p_reason)
+  WHERE id = p_stock_take_id;
+
+  RETURN jsonb_build_object('id', p_stock_take_id, 'products_adjusted', v_adjusted);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION approve_stock_take IS 'Approves a stock take and corrects batches oldest-first, recording adjustment movements';
+
+-- ============================================================================
+-- FUNCTION: Reject a stock take
+-- ============================================================================
+CREATE OR REPLACE FUNCTION reject_stock_take(
+  p_stock_take_id BIGINT,
+  p_reason TEXT,
+  p_rejected_by UUID
+)
+RETURNS JSONB AS $$
+BEGIN
+  IF p_reason IS NULL OR LENGTH(TRIM(p_reason)) = 0 THEN
+    RAISE EXCEPTION 'A reason is required to reject a stock take';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM users WHERE user_id = p_rejected_by AND role = 'owner' AND is_active) THEN
+    RAISE EXCEPTION 'Only the owner can reject a stock take';
+  END IF;
+
+  UPDATE stock_takes
+  SET status = 'rejected',
+      reviewed_by = p_rejected_by,
+      reviewed_at = NOW(),
+      reason = TRIM(p_reason)
+  WHERE id = p_stock_take_id
+    AND status = 'pending';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Stock take #% is not waiting for approval', p_stock_take_id;
+  END IF;
+
+  RETURN jsonb_build_object('id', p_stock_take_id);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION reject_stock_take IS 'Rejects a stock take without changing stock';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created stock_takes and stock_take_items tables
+-- ✓ submit_stock_take() records counted vs system quantities
+-- ✓ approve_stock_take() corrects batches oldest-first with a reason
+-- ✓ reject_stock_take() closes a count without changing stock
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Count the shelves from the Stock Take page (print the count sheet if needed)
+-- 3. Owner reviews variances and approves them with a reason
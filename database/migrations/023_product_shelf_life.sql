@@ -0,0 +1,80 @@
+-- ============================================================================
+-- AYUBO CAFE PRODUCT SHELF LIFE MIGRATION
+-- Version: 023
+-- Date: 2025-11-15
+-- Description: Per-product shelf life and batch age thresholds. Cream buns
+--              and cakes expire faster than packaged items, so each product
+--              can set how many days its batches may be sold for, when a
+--              batch stops being fresh and when it counts as old, and
+--              whether the POS warns or blocks when only expired stock is left
+--              Includes: shelf_life_days, fresh_days, aging_days and
+--              expiry_action columns on products
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 022_stock_takes.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: ADD SHELF LIFE COLUMNS
+-- ============================================================================
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS shelf_life_days INTEGER;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS fresh_days INTEGER;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS aging_days INTEGER;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS expiry_action VARCHAR(10) DEFAULT 'warn' NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_products_shelf_life_days'
+    ) THEN
+        ALTER TABLE products
+        ADD CONSTRAINT chk_products_shelf_life_days
+            CHECK (shelf_life_days IS NULL OR shelf_life_days > 0);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_products_age_thresholds'
+    ) THEN
+        ALTER TABLE products
+        ADD CONSTRAINT chk_products_age_thresholds
+            CHECK (
+                (fresh_days IS NULL OR fresh_days >= 0)
+                AND (aging_days IS NULL OR aging_days >= 0)
+                AND (fresh_days IS NULL OR aging_days IS NULL OR fresh_days <= aging_days)
+            );
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_products_expiry_action'
+    ) THEN
+        ALTER TABLE products
+        ADD CONSTRAINT chk_products_expiry_action
+            CHECK (expiry_action IN ('warn', 'block'));
+    END IF;
+END $$;
+
+COMMENT ON COLUMN products.shelf_life_days IS 'Days a batch can be sold; a batch this many days old is expired (NULL = no expiry)';
+COMMENT ON COLUMN products.fresh_days IS 'Last batch age in days shown as fresh (NULL = 2)';
+COMMENT ON COLUMN products.aging_days IS 'Last batch age in days shown as aging before it counts as old (NULL = 7)';
+COMMENT ON COLUMN products.expiry_action IS 'What the POS does when only expired stock is left: warn or block';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Added shelf_life_days, fresh_days and aging_days to products
+-- ✓ Added expiry_action so the POS can warn or block on expired stock
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Set shelf life and age thresholds for short-lived products on the Products page
+-- 3. Check the "Expiring Today" list on the Returns page at closing
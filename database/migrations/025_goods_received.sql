@@ -0,0 +1,309 @@
+-- ============================================================================
+-- AYUBO CAFE GOODS RECEIVED MIGRATION
+-- Version: 025
+-- Date: 2025-11-17
+-- Description: Suppliers and goods-received notes for deliveries from the
+--              central bakery and other suppliers. Each delivery records the
+--              supplier's delivery note number and lines with quantity and
+--              unit cost; every line creates an inventory batch carrying its
+--              cost. Receipts are later reconciled against the supplier's
+--              invoice and flagged when the delivery was short or over
+--              Includes: suppliers, goods_receipts, goods_receipt_items,
+--              inventory_batches unit_cost, receive_goods(),
+--              reconcile_goods_receipt()
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 024_batch_markdowns.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE SUPPLIERS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS suppliers (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    contact_name TEXT,
+    phone VARCHAR(20),
+    email TEXT,
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppliers_name
+ON suppliers(LOWER(name));
+
+COMMENT ON TABLE suppliers IS 'Bakeries and other suppliers that deliver stock';
+
+-- ============================================================================
+-- SECTION 2: CREATE GOODS RECEIPTS TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS goods_receipts (
+    id BIGSERIAL PRIMARY KEY,
+    supplier_id BIGINT NOT NULL,
+    delivery_note_number TEXT NOT NULL,
+    received_date DATE DEFAULT CURRENT_DATE NOT NULL,
+    notes TEXT,
+    received_by UUID,
+    -- Filled in when the supplier's invoice is checked against the delivery
+    status VARCHAR(20) DEFAULT 'received' NOT NULL CHECK (status IN ('received', 'reconciled', 'discrepancy')),
+    invoice_number TEXT,
+    invoice_total DECIMAL(10, 2),
+    reconciled_by UUID,
+    reconciled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_goods_receipts_supplier
+        FOREIGN KEY (supplier_id)
+        REFERENCES suppliers(id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT fk_goods_receipts_received_by
+        FOREIGN KEY (received_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL,
+
+    CONSTRAINT fk_goods_receipts_reconciled_by
+        FOREIGN KEY (reconciled_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL
+);
+
+-- A delivery note can only be received once per supplier
+CREATE UNIQUE INDEX IF NOT EXISTS idx_goods_receipts_delivery_note
+ON goods_receipts(supplier_id, LOWER(delivery_note_number));
+
+CREATE INDEX IF NOT EXISTS idx_goods_receipts_received_date
+ON goods_receipts(received_date DESC);
+
+COMMENT ON TABLE goods_receipts IS 'Deliveries received from suppliers (goods-received notes)';
+COMMENT ON COLUMN goods_receipts.status IS 'received = invoice not checked yet; reconciled = invoice matches; discrepancy = short or over delivery';
+
+CREATE TABLE IF NOT EXISTS goods_receipt_items (
+    id BIGSERIAL PRIMARY KEY,
+    goods_receipt_id BIGINT NOT NULL,
+    product_id INTEGER,
+    product_name TEXT NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+    unit_cost DECIMAL(10, 2) NOT NULL CHECK (unit_cost >= 0),
+    line_total DECIMAL(10, 2) GENERATED ALWAYS AS (ROUND(quantity * unit_cost, 2)) STORED,
+    -- Not a foreign key: sold-out batches are deleted
+    batch_id BIGINT,
+    -- What the supplier's invoice charges for this line
+    invoiced_quantity DECIMAL(10, 2) CHECK (invoiced_quantity IS NULL OR invoiced_quantity >= 0),
+    invoiced_unit_cost DECIMAL(10, 2) CHECK (invoiced_unit_cost IS NULL OR invoiced_unit_cost >= 0),
+
+    CONSTRAINT fk_goods_receipt_items_receipt
+        FOREIGN KEY (goods_receipt_id)
+        REFERENCES goods_receipts(id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_goods_receipt_items_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_goods_receipt_items_receipt
+ON goods_receipt_items(goods_receipt_id);
+
+COMMENT ON TABLE goods_receipt_items IS 'Products received on a delivery with their cost and invoiced amounts';
+
+-- ============================================================================
+-- SECTION 3: BATCH COST
+-- ============================================================================
+
+ALTER TABLE inventory_batches
+ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(10, 2);
+
+ALTER TABLE inventory_batches
+ADD COLUMN IF NOT EXISTS goods_receipt_id BIGINT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'fk_inventory_batches_goods_receipt'
+    ) THEN
+        ALTER TABLE inventory_batches
+        ADD CONSTRAINT fk_inventory_batches_goods_receipt
+            FOREIGN KEY (goods_receipt_id)
+            REFERENCES goods_receipts(id)
+            ON DELETE SET NULL;
+    END IF;
+END $$;
+
+COMMENT ON COLUMN inventory_batches.unit_cost IS 'Cost per unit from the delivery the batch came in on (NULL for own production)';
+
+-- ============================================================================
+-- FUNCTION: Receive a delivery (transaction-safe)
+-- ============================================================================
+-- p_items: [{ product_id, quantity, unit_cost }]
+-- Creates the receipt, its lines and one batch per line dated the received
+-- date, recorded as check-in movements against the receipt.
+CREATE OR REPLACE FUNCTION receive_goods(
+  p_supplier_id BIGINT,
+  p_delivery_note_number TEXT,
+  p_items JSONB,
+  p_received_date DATE DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_received_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_receipt_id BIGINT;
+  v_item JSONB;
+  v_product RECORD;
+  v_batch_id BIGINT;
+  v_received_date DATE := COALESCE(p_received_date, CURRENT_DATE);
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Delivery must contain at least one line';
+  END IF;
+
+  IF p_delivery_note_number IS NULL OR LENGTH(TRIM(p_delivery_note_number)) = 0 THEN
+    RAISE EXCEPTION 'Delivery note number is required';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM suppliers WHERE id = p_supplier_id AND is_active) THEN
+    RAISE EXCEPTION 'Supplier not found: %', p_supplier_id;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM goods_receipts
+    WHERE supplier_id = p_supplier_id
+      AND LOWER(delivery_note_number) = LOWER(TRIM(p_delivery_note_number))
+  ) THEN
+    RAISE EXCEPTION 'Delivery note % has already been received', TRIM(p_delivery_note_number);
+  END IF;
+
+  INSERT INTO goods_receipts (supplier_id, delivery_note_number, received_date, notes, received_by)
+  VALUES (p_supplier_id, TRIM(p_delivery_note_number), v_received_date, NULLIF(TRIM(p_notes), ''), p_received_by)
+  RETURNING id INTO v_receipt_id;
+
+  PERFORM set_stock_movement_context('check_in', 'goods_receipt', v_receipt_id, p_received_by);
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'unit_cost')::DECIMAL, -1) < 0 THEN
+      RAISE EXCEPTION 'Invalid unit cost for product %', v_item->>'product_id';
+    END IF;
+
+    SELECT product_id, name, is_bundle INTO v_product
+    FROM products
+    WHERE product_id = (v_item->>'product_id')::INTEGER;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_item->>'product_id';
+    END IF;
+
+    IF v_product.is_bundle THEN
+      RAISE EXCEPTION 'Combo % cannot be received; receive its components', v_product.name;
+    END IF;
+
+    INSERT INTO inventory_batches (product_id, quantity, date_added, unit_cost, goods_receipt_id)
+    VALUES (v_product.product_id, (v_item->>'quantity')::DECIMAL, v_received_date, (v_item->>'unit_cost')::DECIMAL, v_receipt_id)
+    RETURNING id INTO v_batch_id;
+
+    INSERT INTO goods_receipt_items (goods_receipt_id, product_id, product_name, quantity, unit_cost, batch_id)
+    VALUES (v_receipt_id, v_product.product_id, v_product.name, (v_item->>'quantity')::DECIMAL, (v_item->>'unit_cost')::DECIMAL, v_batch_id);
+  END LOOP;
+
+  RETURN jsonb_build_object('id', v_receipt_id);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION receive_goods IS 'Records a delivery and creates a costed batch per line in a single transaction';
+
+-- ============================================================================
+-- FUNCTION: Reconcile a delivery with the supplier's invoice
+-- ============================================================================
+-- p_items: [{ id, invoiced_quantity, invoiced_unit_cost }] for the receipt's
+-- lines. The receipt is flagged as a discrepancy when any line was received
+-- short or over what was invoiced, or invoiced at a different cost.
+CREATE OR REPLACE FUNCTION reconcile_goods_receipt(
+  p_receipt_id BIGINT,
+  p_invoice_number TEXT,
+  p_items JSONB,
+  p_reconciled_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_item JSONB;
+  v_status VARCHAR(20);
+  v_invoice_total DECIMAL(10, 2);
+BEGIN
+  IF p_invoice_number IS NULL OR LENGTH(TRIM(p_invoice_number)) = 0 THEN
+    RAISE EXCEPTION 'Invoice number is required';
+  END IF;
+
+  PERFORM 1 FROM goods_receipts WHERE id = p_receipt_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Goods receipt not found: %', p_receipt_id;
+  END IF;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_items, '[]'::jsonb))
+  LOOP
+    UPDATE goods_receipt_items
+    SET invoiced_quantity = (v_item->>'invoiced_quantity')::DECIMAL,
+        invoiced_unit_cost = (v_item->>'invoiced_unit_cost')::DECIMAL
+    WHERE id = (v_item->>'id')::BIGINT
+      AND goods_receipt_id = p_receipt_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Line % is not on goods receipt %', v_item->>'id', p_receipt_id;
+    END IF;
+  END LOOP;
+
+  IF EXISTS (
+    SELECT 1 FROM goods_receipt_items
+    WHERE goods_receipt_id = p_receipt_id
+      AND (invoiced_quantity IS NULL OR invoiced_unit_cost IS NULL)
+  ) THEN
+    RAISE EXCEPTION 'Enter the invoiced quantity and cost for every line';
+  END IF;
+
+  SELECT
+    CASE
+      WHEN BOOL_OR(invoiced_quantity <> quantity OR invoiced_unit_cost <> unit_cost) THEN 'discrepancy'
+      ELSE 'reconciled'
+    END,
+    SUM(ROUND(invoiced_quantity * invoiced_unit_cost, 2))
+  INTO v_status, v_invoice_total
+  FROM goods_receipt_items
+  WHERE goods_receipt_id = p_receipt_id;
+
+  UPDATE goods_receipts
+  SET status = v_status,
+      invoice_number = TRIM(p_invoice_number),
+      invoice_total = v_invoice_total,
+      reconciled_by = p_reconciled_by,
+      reconciled_at = NOW()
+  WHERE id = p_receipt_id;
+
+  RETURN jsonb_build_object('id', p_receipt_id, 'status', v_status, 'invoice_total', v_invoice_total);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION reconcile_goods_receipt IS 'Records the supplier invoice against a delivery and flags short or over deliveries';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created suppliers, goods_receipts and goods_receipt_items tables
+-- ✓ Batches carry their unit cost and the delivery they came in on
+-- ✓ receive_goods() creates costed batches recorded as check-ins
+-- ✓ reconcile_goods_receipt() flags short or over deliveries
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Add suppliers and receive deliveries from the Receiving page
+-- 3. Reconcile each delivery when the supplier's invoice arrives
@@ -0,0 +1,312 @@
+-- ============================================================================
+-- AYUBO CAFE PURCHASE ORDERS MIGRATION
+-- Version: 026
+-- Date: 2025-11-18
+-- Description: Purchase orders to suppliers, with lines and an expected
+--              delivery date. Deliveries can be received against a purchase
+--              order; each delivery adds to the quantity received on the
+--              order's lines and moves the order to partially received or
+--              closed. A partially received order can also be closed short
+--              Includes: purchase_orders, purchase_order_items,
+--              goods_receipts.purchase_order_id, create_purchase_order(),
+--              receive_goods() with purchase order receiving
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 025_goods_received.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE PURCHASE ORDERS TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id BIGSERIAL PRIMARY KEY,
+    supplier_id BIGINT NOT NULL,
+    status VARCHAR(20) DEFAULT 'open' NOT NULL CHECK (status IN ('open', 'partial', 'closed', 'cancelled')),
+    expected_date DATE,
+    notes TEXT,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    -- Last time the order was emailed to the supplier
+    sent_at TIMESTAMPTZ,
+    closed_at TIMESTAMPTZ,
+
+    CONSTRAINT fk_purchase_orders_supplier
+        FOREIGN KEY (supplier_id)
+        REFERENCES suppliers(id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT fk_purchase_orders_created_by
+        FOREIGN KEY (created_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status
+ON purchase_orders(status, expected_date);
+
+COMMENT ON TABLE purchase_orders IS 'Orders placed with suppliers';
+COMMENT ON COLUMN purchase_orders.status IS 'open = nothing received; partial = some lines received; closed = fully received or closed short; cancelled';
+
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+    id BIGSERIAL PRIMARY KEY,
+    purchase_order_id BIGINT NOT NULL,
+    product_id INTEGER,
+    product_name TEXT NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+    -- Agreed cost, used to prefill the delivery (NULL if not agreed)
+    unit_cost DECIMAL(10, 2) CHECK (unit_cost IS NULL OR unit_cost >= 0),
+    received_quantity DECIMAL(10, 2) DEFAULT 0 NOT NULL CHECK (received_quantity >= 0),
+
+    CONSTRAINT fk_purchase_order_items_order
+        FOREIGN KEY (purchase_order_id)
+        REFERENCES purchase_orders(id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_purchase_order_items_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_order
+ON purchase_order_items(purchase_order_id);
+
+COMMENT ON TABLE purchase_order_items IS 'Products ordered on a purchase order and how much has been received';
+
+-- ============================================================================
+-- SECTION 2: LINK DELIVERIES TO PURCHASE ORDERS
+-- ============================================================================
+
+ALTER TABLE goods_receipts
+ADD COLUMN IF NOT EXISTS purchase_order_id BIGINT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'fk_goods_receipts_purchase_order'
+    ) THEN
+        ALTER TABLE goods_receipts
+        ADD CONSTRAINT fk_goods_receipts_purchase_order
+            FOREIGN KEY (purchase_order_id)
+            REFERENCES purchase_orders(id)
+            ON DELETE SET NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_goods_receipts_purchase_order
+ON goods_receipts(purchase_order_id);
+
+-- ============================================================================
+-- FUNCTION: Create a purchase order (transaction-safe)
+-- ============================================================================
+-- p_items: [{ product_id, quantity, unit_cost }] (unit_cost optional)
+CREATE OR REPLACE FUNCTION create_purchase_order(
+  p_supplier_id BIGINT,
+  p_items JSONB,
+  p_expected_date DATE DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order_id BIGINT;
+  v_item JSONB;
+  v_product RECORD;
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Purchase order must contain at least one line';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM suppliers WHERE id = p_supplier_id AND is_active) THEN
+    RAISE EXCEPTION 'Supplier not found: %', p_supplier_id;
+  END IF;
+
+  INSERT INTO purchase_orders (supplier_id, expected_date, notes, created_by)
+  VALUES (p_supplier_id, p_expected_date, NULLIF(TRIM(p_notes), ''), p_created_by)
+  RETURNING id INTO v_order_id;
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    SELECT product_id, name, is_bundle INTO v_product
+    FROM products
+    WHERE product_id = (v_item->>'product_id')::INTEGER;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_item->>'product_id';
+    END IF;
+
+    IF v_product.is_bundle THEN
+      RAISE EXCEPTION 'Combo % cannot be ordered; order its components', v_product.name;
+    END IF;
+
+    INSERT INTO purchase_order_items (purchase_order_id, product_id, product_name, quantity, unit_cost)
+    VALUES (v_order_id, v_product.product_id, v_product.name, (v_item->>'quantity')::DECIMAL, (v_item->>'unit_cost')::DECIMAL);
+  END LOOP;
+
+  RETURN jsonb_build_object('id', v_order_id);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_purchase_order IS 'Creates a purchase order with its lines in a single transaction';
+
+-- ============================================================================
+-- FUNCTION: Receive a delivery (transaction-safe)
+-- ============================================================================
+-- p_items: [{ product_id, quantity, unit_cost }]
+-- Creates the receipt, its lines and one batch per line dated the received
+-- date, recorded as check-in movements against the receipt.
+-- With p_purchase_order_id the quantities are added to the order's lines;
+-- the order is closed once every line is fully received, or straight away
+-- when p_close_purchase_order is set (the rest is not coming).
+DROP FUNCTION IF EXISTS receive_goods(BIGINT, TEXT, JSONB, DATE, TEXT, UUID);
+
+CREATE OR REPLACE FUNCTION receive_goods(
+  p_supplier_id BIGINT,
+  p_delivery_note_number TEXT,
+  p_items JSONB,
+  p_received_date DATE DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_received_by UUID DEFAULT NULL,
+  p_purchase_order_id BIGINT DEFAULT NULL,
+  p_close_purchase_order BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_receipt_id BIGINT;
+  v_item JSONB;
+  v_product RECORD;
+  v_order RECORD;
+  v_batch_id BIGINT;
+  v_received_date DATE := COALESCE(p_received_date, CURRENT_DATE);
+  v_order_status VARCHAR(20);
+BEGIN
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Delivery must contain at least one line';
+  END IF;
+
+  IF p_delivery_note_number IS NULL OR LENGTH(TRIM(p_delivery_note_number)) = 0 THEN
+    RAISE EXCEPTION 'Delivery note number is required';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM suppliers WHERE id = p_supplier_id AND is_active) THEN
+    RAISE EXCEPTION 'Supplier not found: %', p_supplier_id;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM goods_receipts
+    WHERE supplier_id = p_supplier_id
+      AND LOWER(delivery_note_number) = LOWER(TRIM(p_delivery_note_number))
+  ) THEN
+    RAISE EXCEPTION 'Delivery note % has already been received', TRIM(p_delivery_note_number);
+  END IF;
+
+  IF p_purchase_order_id IS NOT NULL THEN
+    SELECT id, supplier_id, status INTO v_order
+    FROM purchase_orders
+    WHERE id = p_purchase_order_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Purchase order not found: %', p_purchase_order_id;
+    END IF;
+
+    IF v_order.supplier_id <> p_supplier_id THEN
+      RAISE EXCEPTION 'Purchase order % is for a different supplier', p_purchase_order_id;
+    END IF;
+
+    IF v_order.status NOT IN ('open', 'partial') THEN
+      RAISE EXCEPTION 'Purchase order % is %', p_purchase_order_id, v_order.status;
+    END IF;
+  END IF;
+
+  INSERT INTO goods_receipts (supplier_id, delivery_note_number, received_date, notes, received_by, purchase_order_id)
+  VALUES (p_supplier_id, TRIM(p_delivery_note_number), v_received_date, NULLIF(TRIM(p_notes), ''), p_received_by, p_purchase_order_id)
+  RETURNING id INTO v_receipt_id;
+
+  PERFORM set_stock_movement_context('check_in', 'goods_receipt', v_receipt_id, p_received_by);
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'unit_cost')::DECIMAL, -1) < 0 THEN
+      RAISE EXCEPTION 'Invalid unit cost for product %', v_item->>'product_id';
+    END IF;
+
+    SELECT product_id, name, is_bundle INTO v_product
+    FROM products
+    WHERE product_id = (v_item->>'product_id')::INTEGER;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_item->>'product_id';
+    END IF;
+
+    IF v_product.is_bundle THEN
+      RAISE EXCEPTION 'Combo % cannot be received; receive its components', v_product.name;
+    END IF;
+
+    INSERT INTO inventory_batches (product_id, quantity, date_added, unit_cost, goods_receipt_id)
+    VALUES (v_product.product_id, (v_item->>'quantity')::DECIMAL, v_received_date, (v_item->>'unit_cost')::DECIMAL, v_receipt_id)
+    RETURNING id INTO v_batch_id;
+
+    INSERT INTO goods_receipt_items (goods_receipt_id, product_id, product_name, quantity, unit_cost, batch_id)
+    VALUES (v_receipt_id, v_product.product_id, v_product.name, (v_item->>'quantity')::DECIMAL, (v_item->>'unit_cost')::DECIMAL, v_batch_id);
+
+    -- Products not on the order are still received, they just don't count against it
+    IF p_purchase_order_id IS NOT NULL THEN
+      UPDATE purchase_order_items
+      SET received_quantity = received_quantity + (v_item->>'quantity')::DECIMAL
+      WHERE id = (
+        SELECT id FROM purchase_order_items
+        WHERE purchase_order_id = p_purchase_order_id
+          AND product_id = v_product.product_id
+        ORDER BY id
+        LIMIT 1
+      );
+    END IF;
+  END LOOP;
+
+  IF p_purchase_order_id IS NOT NULL THEN
+    SELECT
+      CASE
+        WHEN p_close_purchase_order OR BOOL_AND(received_quantity >= quantity) THEN 'closed'
+        ELSE 'partial'
+      END
+    INTO v_order_status
+    FROM purchase_order_items
+    WHERE purchase_order_id = p_purchase_order_id;
+
+    UPDATE purchase_orders
+    SET status = v_order_status,
+        closed_at = CASE WHEN v_order_status = 'closed' THEN NOW() ELSE NULL END
+    WHERE id = p_purchase_order_id;
+  END IF;
+
+  RETURN jsonb_build_object('id', v_receipt_id, 'purchase_order_status', v_order_status);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION receive_goods IS 'Records a delivery, optionally against a purchase order, and creates a costed batch per line in a single transaction';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created purchase_orders and purchase_order_items tables
+-- ✓ create_purchase_order() creates an order with its lines
+-- ✓ Deliveries can be linked to a purchase order
+-- ✓ receive_goods() records received quantities against the order and
+--   closes it when complete or when closed short
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Create purchase orders from the Purchase Orders page
+-- 3. Pick the purchase order when receiving its delivery
@@ -0,0 +1,221 @@
+-- ============================================================================
+-- AYUBO CAFE SUPPLIER CREDIT NOTES MIGRATION
+-- Version: 027
+-- Date: 2025-11-19
+-- Description: Tracks whether the bakery credited us for what was returned.
+--              A return records the supplier it went back to, and supplier
+--              credit notes are recorded against one or more returns. Each
+--              return keeps the credited total so outstanding and credited
+--              balances can be reported per supplier
+--              Includes: returns.supplier_id, returns.credited_value,
+--              supplier_credit_notes, supplier_credit_note_returns,
+--              record_supplier_credit_note()
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 026_purchase_orders.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: RETURN SUPPLIER AND CREDITED VALUE
+-- ============================================================================
+
+ALTER TABLE returns
+ADD COLUMN IF NOT EXISTS supplier_id BIGINT;
+
+ALTER TABLE returns
+ADD COLUMN IF NOT EXISTS credited_value DECIMAL(10, 2) DEFAULT 0 NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'fk_returns_supplier'
+    ) THEN
+        ALTER TABLE returns
+        ADD CONSTRAINT fk_returns_supplier
+            FOREIGN KEY (supplier_id)
+            REFERENCES suppliers(id)
+            ON DELETE SET NULL;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_returns_credited_value'
+    ) THEN
+        ALTER TABLE returns
+        ADD CONSTRAINT chk_returns_credited_value
+            CHECK (credited_value >= 0 AND credited_value <= total_value);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_returns_supplier
+ON returns(supplier_id, return_date);
+
+COMMENT ON COLUMN returns.supplier_id IS 'Supplier the goods went back to (NULL until known)';
+COMMENT ON COLUMN returns.credited_value IS 'Total credited by the supplier so far (maintained by record_supplier_credit_note)';
+
+-- ============================================================================
+-- SECTION 2: CREATE SUPPLIER CREDIT NOTES TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS supplier_credit_notes (
+    id BIGSERIAL PRIMARY KEY,
+    supplier_id BIGINT NOT NULL,
+    credit_note_number TEXT NOT NULL,
+    credit_date DATE DEFAULT CURRENT_DATE NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    notes TEXT,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_supplier_credit_notes_supplier
+        FOREIGN KEY (supplier_id)
+        REFERENCES suppliers(id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT fk_supplier_credit_notes_created_by
+        FOREIGN KEY (created_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_supplier_credit_notes_number
+ON supplier_credit_notes(supplier_id, LOWER(credit_note_number));
+
+CREATE INDEX IF NOT EXISTS idx_supplier_credit_notes_date
+ON supplier_credit_notes(supplier_id, credit_date);
+
+COMMENT ON TABLE supplier_credit_notes IS 'Credit notes received from suppliers for returned goods';
+
+-- How much of a credit note covers each return. Returns with credit cannot
+-- be undone (the supplier has already paid for them)
+CREATE TABLE IF NOT EXISTS supplier_credit_note_returns (
+    id BIGSERIAL PRIMARY KEY,
+    credit_note_id BIGINT NOT NULL,
+    return_id BIGINT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+
+    CONSTRAINT fk_supplier_credit_note_returns_credit_note
+        FOREIGN KEY (credit_note_id)
+        REFERENCES supplier_credit_notes(id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_supplier_credit_note_returns_return
+        FOREIGN KEY (return_id)
+        REFERENCES returns(id)
+        ON DELETE RESTRICT,
+
+    CONSTRAINT uq_supplier_credit_note_returns
+        UNIQUE (credit_note_id, return_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_supplier_credit_note_returns_return
+ON supplier_credit_note_returns(return_id);
+
+COMMENT ON TABLE supplier_credit_note_returns IS 'Returns covered by each supplier credit note and the amount credited';
+
+-- ============================================================================
+-- FUNCTION: Record a supplier credit note (transaction-safe)
+-- ============================================================================
+-- p_allocations: [{ return_id, amount }]
+-- The credit note amount is the total of its allocations. A return can be
+-- credited in parts across several credit notes but never beyond its
+-- total_value; returns without a supplier are assigned to this one.
+CREATE OR REPLACE FUNCTION record_supplier_credit_note(
+  p_supplier_id BIGINT,
+  p_credit_note_number TEXT,
+  p_allocations JSONB,
+  p_credit_date DATE DEFAULT NULL,
+  p_notes TEXT DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_credit_note_id BIGINT;
+  v_allocation JSONB;
+  v_return RECORD;
+  v_amount DECIMAL(10, 2);
+  v_total DECIMAL(10, 2) := 0;
+BEGIN
+  IF p_allocations IS NULL OR jsonb_array_length(p_allocations) = 0 THEN
+    RAISE EXCEPTION 'Credit note must cover at least one return';
+  END IF;
+
+  IF p_credit_note_number IS NULL OR LENGTH(TRIM(p_credit_note_number)) = 0 THEN
+    RAISE EXCEPTION 'Credit note number is required';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM suppliers WHERE id = p_supplier_id) THEN
+    RAISE EXCEPTION 'Supplier not found: %', p_supplier_id;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM supplier_credit_notes
+    WHERE supplier_id = p_supplier_id
+      AND LOWER(credit_note_number) = LOWER(TRIM(p_credit_note_number))
+  ) THEN
+    RAISE EXCEPTION 'Credit note % has already been recorded', TRIM(p_credit_note_number);
+  END IF;
+
+  -- Amount is set once the allocations are known
+  INSERT INTO supplier_credit_notes (supplier_id, credit_note_number, credit_date, amount, notes, created_by)
+  VALUES (p_supplier_id, TRIM(p_credit_note_number), COALESCE(p_credit_date, CURRENT_DATE), 0.01, NULLIF(TRIM(p_notes), ''), p_created_by)
+  RETURNING id INTO v_credit_note_id;
+
+  FOR v_allocation IN SELECT * FROM jsonb_array_elements(p_allocations)
+  LOOP
+    v_amount := (v_allocation->>'amount')::DECIMAL;
+
+    IF COALESCE(v_amount, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid credit amount for return %', v_allocation->>'return_id';
+    END IF;
+
+    SELECT id, supplier_id, total_value, credited_value INTO v_return
+    FROM returns
+    WHERE id = (v_allocation->>'return_id')::BIGINT
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Return not found: %', v_allocation->>'return_id';
+    END IF;
+
+    IF v_return.supplier_id IS NOT NULL AND v_return.supplier_id <> p_supplier_id THEN
+      RAISE EXCEPTION 'Return % was sent to a different supplier', v_return.id;
+    END IF;
+
+    IF v_return.credited_value + v_amount > v_return.total_value THEN
+      RAISE EXCEPTION 'Return % only has Rs. % left to credit', v_return.id, v_return.total_value - v_return.credited_value;
+    END IF;
+
+    INSERT INTO supplier_credit_note_returns (credit_note_id, return_id, amount)
+    VALUES (v_credit_note_id, v_return.id, v_amount);
+
+    UPDATE returns
+    SET credited_value = credited_value + v_amount,
+        supplier_id = p_supplier_id
+    WHERE id = v_return.id;
+
+    v_total := v_total + v_amount;
+  END LOOP;
+
+  UPDATE supplier_credit_notes
+  SET amount = v_total
+  WHERE id = v_credit_note_id;
+
+  RETURN jsonb_build_object('id', v_credit_note_id, 'amount', v_total);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION record_supplier_credit_note IS 'Records a supplier credit note against one or more returns in a single transaction';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Returns record their supplier and how much has been credited
+-- ✓ Created supplier_credit_notes and supplier_credit_note_returns tables
+-- ✓ record_supplier_credit_note() credits returns without over-crediting
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Record credit notes from the Supplier Credits page
+-- 3. Follow up returns flagged on the Returned Log as not credited
@@ -0,0 +1,127 @@
+-- ============================================================================
+-- AYUBO CAFE RETURN RATE RULES MIGRATION
+-- Version: 028
+-- Date: 2025-11-20
+-- Description: Return percentages from the supplier agreement. Rules such as
+--              "50% at day 1, 20% at day 3, 0% from day 6" give the
+--              percentage for a returned batch from its age, for one
+--              product, one category or every product. Each returned line
+--              records the rule applied, and a percentage that differs from
+--              the rule is flagged as an override with a reason
+--              Includes: return_rate_rules, return_items
+--              return_rate_rule_id, rule_percentage, is_override and
+--              override_reason
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 027_supplier_credit_notes.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE RETURN RATE RULES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS return_rate_rules (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    return_percentage INTEGER NOT NULL CHECK (return_percentage >= 0 AND return_percentage <= 100),
+    -- One product, one category, or every product when both are empty
+    product_id INTEGER,
+    category_id UUID,
+    -- Batches at least this many days old, until a rule for an older age takes over
+    min_batch_age_days INTEGER NOT NULL CHECK (min_batch_age_days >= 0),
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT chk_return_rate_rules_target
+        CHECK (product_id IS NULL OR category_id IS NULL),
+
+    CONSTRAINT fk_return_rate_rules_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE CASCADE,
+
+    CONSTRAINT fk_return_rate_rules_category
+        FOREIGN KEY (category_id)
+        REFERENCES product_categories(category_id)
+        ON DELETE CASCADE
+);
+
+COMMENT ON TABLE return_rate_rules IS 'Percentage of the original price the supplier credits for returned batches, by batch age and product or category';
+COMMENT ON COLUMN return_rate_rules.min_batch_age_days IS 'Applies to batches at least this many days old; the rule with the highest age reached wins';
+
+-- ============================================================================
+-- SECTION 2: RECORD THE RULE APPLIED ON RETURN ITEMS
+-- ============================================================================
+
+-- Rules can pay any percentage, not only 20 or 100
+ALTER TABLE return_items
+DROP CONSTRAINT IF EXISTS return_items_return_percentage_check;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_return_items_return_percentage'
+    ) THEN
+        ALTER TABLE return_items
+        ADD CONSTRAINT chk_return_items_return_percentage
+            CHECK (return_percentage >= 0 AND return_percentage <= 100);
+    END IF;
+END $$;
+
+ALTER TABLE return_items
+ADD COLUMN IF NOT EXISTS return_rate_rule_id BIGINT;
+
+ALTER TABLE return_items
+ADD COLUMN IF NOT EXISTS rule_percentage INTEGER;
+
+ALTER TABLE return_items
+ADD COLUMN IF NOT EXISTS is_override BOOLEAN DEFAULT FALSE NOT NULL;
+
+ALTER TABLE return_items
+ADD COLUMN IF NOT EXISTS override_reason TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'fk_return_items_return_rate_rule'
+    ) THEN
+        ALTER TABLE return_items
+        ADD CONSTRAINT fk_return_items_return_rate_rule
+            FOREIGN KEY (return_rate_rule_id)
+            REFERENCES return_rate_rules(id)
+            ON DELETE SET NULL;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_return_items_override_reason'
+    ) THEN
+        ALTER TABLE return_items
+        ADD CONSTRAINT chk_return_items_override_reason
+            CHECK (NOT is_override OR length(trim(coalesce(override_reason, ''))) > 0);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_return_items_override
+ON return_items(return_id)
+WHERE is_override;
+
+COMMENT ON COLUMN return_items.return_percentage IS 'Percentage of original price returned';
+COMMENT ON COLUMN return_items.return_rate_rule_id IS 'Return rate rule that set the percentage (NULL = product default)';
+COMMENT ON COLUMN return_items.rule_percentage IS 'Percentage the rules gave before any override';
+COMMENT ON COLUMN return_items.is_override IS 'The percentage was changed by hand from rule_percentage';
+COMMENT ON COLUMN return_items.override_reason IS 'Why the percentage was overridden';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created return_rate_rules table
+-- ✓ Return items accept any percentage from 0 to 100
+-- ✓ Return items record the rule applied and flag overrides with a reason
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Enter the supplier agreement's rates under Return Rates on the Returns page
+-- 3. Review overridden lines on the Returned Log
@@ -0,0 +1,289 @@
+-- ============================================================================
+-- AYUBO CAFE CUSTOMER RETURNS MIGRATION
+-- Version: 029
+-- Date: 2025-11-21
+-- Description: Customers bringing back goods bought at the POS. A customer
+--              return refunds selected lines of the original bill, each
+--              either put back into stock or wasted, and is paid back on
+--              the bill's original tenders. Every refund now records how it
+--              was paid back, so shift reports only take cash refunds out
+--              of the drawer
+--              Includes: pos_refunds.is_customer_return,
+--              pos_refund_payments, customer_return audit action,
+--              refund_pos_bill() with p_customer_return
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 028_return_rate_rules.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: MARK CUSTOMER RETURNS
+-- ============================================================================
+
+ALTER TABLE pos_refunds
+ADD COLUMN IF NOT EXISTS is_customer_return BOOLEAN DEFAULT FALSE NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pos_refunds_customer_return
+ON pos_refunds(created_at DESC)
+WHERE is_customer_return;
+
+COMMENT ON COLUMN pos_refunds.is_customer_return IS 'Goods brought back by the customer (rather than a void or correction at the till)';
+COMMENT ON COLUMN pos_refund_items.restocked IS 'Whether the refunded quantity was put back into inventory (false = wasted)';
+
+-- ============================================================================
+-- SECTION 2: CREATE POS REFUND PAYMENTS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pos_refund_payments (
+    id BIGSERIAL PRIMARY KEY,
+    refund_id BIGINT NOT NULL,
+    method VARCHAR(20) NOT NULL CHECK (method IN ('cash', 'card', 'bank_transfer', 'qr')),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_pos_refund_payments_refund
+        FOREIGN KEY (refund_id)
+        REFERENCES pos_refunds(id)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_refund_payments_refund ON pos_refund_payments(refund_id);
+
+COMMENT ON TABLE pos_refund_payments IS 'How a refund was paid back; amounts add up to pos_refunds.total_amount';
+
+-- Earlier refunds were paid back in cash
+INSERT INTO pos_refund_payments (refund_id, method, amount)
+SELECT r.id, 'cash', r.total_amount
+FROM pos_refunds r
+WHERE r.total_amount > 0
+  AND NOT EXISTS (SELECT 1 FROM pos_refund_payments rp WHERE rp.refund_id = r.id);
+
+-- ============================================================================
+-- SECTION 3: AUDIT ACTION
+-- ============================================================================
+
+ALTER TYPE audit_action ADD VALUE IF NOT EXISTS 'customer_return';
+
+-- ============================================================================
+-- FUNCTION: Refund POS bill lines on their original tenders (transaction-safe)
+-- ============================================================================
+-- Same as migration 021 with p_customer_return, and the refund paid back on
+-- the bill's tenders: non-cash tenders first, up to what each has left after
+-- earlier refunds, then cash for the rest.
+DROP FUNCTION IF EXISTS refund_pos_bill(BIGINT, JSONB, TEXT, UUID, UUID);
+
+-- p_items is an array of {order_item_id, quantity, restock}
+-- restock defaults to true; restocked quantities become a new inventory batch
+-- dated on the original sale date so batch age is preserved. Lines that are
+-- not restocked are wasted and leave stock as it is.
+-- Variant lines restock quantity x stock_units (e.g. two quarter cakes put
+-- back half a cake). Combo lines restock their components, one batch each,
+-- and leave batch_id empty on the refund line.
+-- Restocked batches are recorded as refund movements.
+CREATE OR REPLACE FUNCTION refund_pos_bill(
+  p_order_id BIGINT,
+  p_items JSONB,
+  p_reason TEXT,
+  p_requested_by UUID,
+  p_approved_by UUID DEFAULT NULL,
+  p_customer_return BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order RECORD;
+  v_item JSONB;
+  v_order_item RECORD;
+  v_already_refunded DECIMAL(10, 2);
+  v_quantity DECIMAL(10, 2);
+  v_amount DECIMAL(10, 2);
+  v_total DECIMAL(10, 2) := 0;
+  v_refund_id BIGINT;
+  v_batch_id BIGINT;
+  v_restock BOOLEAN;
+  v_sold_total DECIMAL(10, 2);
+  v_refunded_total DECIMAL(10, 2);
+  v_refund_type VARCHAR(20);
+  v_new_status VARCHAR(30);
+  v_component RECORD;
+  v_tender RECORD;
+  v_remaining DECIMAL(10, 2);
+BEGIN
+  IF p_reason IS NULL OR LENGTH(TRIM(p_reason)) = 0 THEN
+    RAISE EXCEPTION 'A reason is required to void or refund a bill';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Select at least one item to refund';
+  END IF;
+
+  SELECT order_id, order_date, status INTO v_order
+  FROM orders
+  WHERE order_id = p_order_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bill not found: %', p_order_id;
+  END IF;
+
+  IF v_order.status = 'voided' THEN
+    RAISE EXCEPTION 'Bill #% has already been voided', p_order_id;
+  END IF;
+
+  -- Totals and refund type are filled in once all lines are processed
+  INSERT INTO pos_refunds (order_id, refund_type, reason, total_amount, requested_by, approved_by, is_customer_return)
+  VALUES (p_order_id, 'refund', TRIM(p_reason), 0, p_requested_by, COALESCE(p_approved_by, p_requested_by), COALESCE(p_customer_return, FALSE))
+  RETURNING id INTO v_refund_id;
+
+  PERFORM set_stock_movement_context('refund', 'refund', v_refund_id, p_requested_by);
+
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    SELECT order_item_id, product_id, quantity, subtotal, stock_units INTO v_order_item
+    FROM order_items
+    WHERE order_item_id = (v_item->>'order_item_id')::INTEGER
+      AND order_id = p_order_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Item % does not belong to bill #%', v_item->>'order_item_id', p_order_id;
+    END IF;
+
+    v_quantity := (v_item->>'quantity')::DECIMAL;
+    IF v_quantity IS NULL OR v_quantity <= 0 THEN
+      RAISE EXCEPTION 'Invalid refund quantity for item %', v_order_item.order_item_id;
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_already_refunded
+    FROM pos_refund_items
+    WHERE order_item_id = v_order_item.order_item_id;
+
+    IF v_already_refunded + v_quantity > v_order_item.quantity THEN
+      RAISE EXCEPTION 'Cannot refund % of item %. Sold: %, already refunded: %',
+        v_quantity, v_order_item.order_item_id, v_order_item.quantity, v_already_refunded;
+    END IF;
+
+    v_amount := ROUND(v_order_item.subtotal * v_quantity / v_order_item.quantity, 2);
+    v_total := v_total + v_amount;
+    v_restock := COALESCE((v_item->>'restock')::BOOLEAN, TRUE);
+    v_batch_id := NULL;
+
+    IF v_restock AND EXISTS (
+      SELECT 1 FROM order_item_components WHERE order_item_id = v_order_item.order_item_id
+    ) THEN
+      FOR v_component IN
+        SELECT product_id, quantity
+        FROM order_item_components
+        WHERE order_item_id = v_order_item.order_item_id
+        ORDER BY id
+      LOOP
+        INSERT INTO inventory_batches (product_id, quantity, date_added)
+        VALUES (
+          v_component.product_id,
+          ROUND(v_component.quantity * v_quantity / v_order_item.quantity, 2),
+          v_order.order_date::DATE
+        );
+      END LOOP;
+    ELSIF v_restock THEN
+      INSERT INTO inventory_batches (product_id, quantity, date_added)
+      VALUES (v_order_item.product_id, v_quantity * COALESCE(v_order_item.stock_units, 1), v_order.order_date::DATE)
+      RETURNING id INTO v_batch_id;
+    END IF;
+
+    INSERT INTO pos_refund_items (refund_id, order_item_id, product_id, quantity, amount, restocked, batch_id)
+    VALUES (v_refund_id, v_order_item.order_item_id, v_order_item.product_id, v_quantity, v_amount, v_restock, v_batch_id);
+  END LOOP;
+
+  -- Pay the refund back on the original tenders, cash last; cash also
+  -- covers anything the tenders cannot (e.g. bills without payment lines)
+  v_remaining := v_total;
+  FOR v_tender IN
+    SELECT
+      bp.method,
+      bp.amount - COALESCE((
+        SELECT SUM(rp.amount)
+        FROM pos_refund_payments rp
+        JOIN pos_refunds r ON r.id = rp.refund_id
+        WHERE r.order_id = p_order_id
+          AND rp.method = bp.method
+      ), 0) AS refundable
+    FROM (
+      SELECT method, SUM(amount) AS amount
+      FROM pos_bill_payments
+      WHERE order_id = p_order_id
+      GROUP BY method
+    ) bp
+    WHERE bp.method <> 'cash'
+    ORDER BY bp.method
+  LOOP
+    EXIT WHEN v_remaining <= 0;
+    v_amount := LEAST(v_remaining, v_tender.refundable);
+    IF v_amount > 0 THEN
+      INSERT INTO pos_refund_payments (refund_id, method, amount)
+      VALUES (v_refund_id, v_tender.method, v_amount);
+      v_remaining := v_remaining - v_amount;
+    END IF;
+  END LOOP;
+
+  IF v_remaining > 0 THEN
+    INSERT INTO pos_refund_payments (refund_id, method, amount)
+    VALUES (v_refund_id, 'cash', v_remaining);
+  END IF;
+
+  -- Work out whether the whole bill has now been refunded
+  SELECT COALESCE(SUM(quantity), 0) INTO v_sold_total
+  FROM order_items
+  WHERE order_id = p_order_id;
+
+  SELECT COALESCE(SUM(ri.quantity), 0) INTO v_refunded_total
+  FROM pos_refund_items ri
+  JOIN pos_refunds r ON r.id = ri.refund_id
+  WHERE r.order_id = p_order_id;
+
+  IF v_refunded_total >= v_sold_total THEN
+    v_new_status := 'voided';
+    v_refund_type := CASE WHEN v_order.status = 'completed' THEN 'void' ELSE 'refund' END;
+  ELSE
+    v_new_status := 'partially_refunded';
+    v_refund_type := 'refund';
+  END IF;
+
+  UPDATE pos_refunds
+  SET total_amount = v_total,
+      refund_type = v_refund_type
+  WHERE id = v_refund_id;
+
+  UPDATE orders
+  SET status = v_new_status
+  WHERE order_id = p_order_id;
+
+  RETURN jsonb_build_object(
+    'refund_id', v_refund_id,
+    'order_id', p_order_id,
+    'refund_type', v_refund_type,
+    'total_amount', v_total,
+    'order_status', v_new_status,
+    'customer_return', COALESCE(p_customer_return, FALSE),
+    'payments', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('method', rp.method, 'amount', rp.amount) ORDER BY rp.id)
+      FROM pos_refund_payments rp
+      WHERE rp.refund_id = v_refund_id
+    ), '[]'::jsonb)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION refund_pos_bill IS 'Voids, refunds or takes back (customer return) POS bill lines, restocking or wasting each line, paying back on the original tenders and recording restocked batches as refund movements';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Refunds can be marked as customer returns
+-- ✓ Created pos_refund_payments, backfilling earlier refunds as cash
+-- ✓ Added customer_return audit action
+-- ✓ refund_pos_bill() pays refunds back on the bill's original tenders
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Take customer returns from the POS with "Customer Return"
+-- 3. Check that shift reports only deduct cash refunds from the drawer
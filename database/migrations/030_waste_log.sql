@@ -0,0 +1,176 @@
+-- ============================================================================
+-- AYUBO CAFE WASTE LOG MIGRATION
+-- Version: 030
+-- Date: 2025-11-22
+-- Description: Stock that is dropped, burnt, eaten by staff, given away as
+--              samples or expires without being returned. Each waste entry
+--              records the product, batch, quantity, reason and who recorded
+--              it, and takes the quantity out of that batch as a waste
+--              movement in the stock movement ledger
+--              Includes: waste_entries, stock_movements 'waste' type,
+--              record_waste()
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 029_customer_returns.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: CREATE WASTE ENTRIES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS waste_entries (
+    id BIGSERIAL PRIMARY KEY,
+    product_id INTEGER,
+    -- Not a foreign key: a batch wasted to zero is deleted
+    batch_id BIGINT,
+    -- Snapshots so the log still reads correctly if the product or batch changes
+    product_name TEXT NOT NULL,
+    batch_date DATE NOT NULL,
+    unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+    quantity DECIMAL(10, 2) NOT NULL CHECK (quantity > 0),
+    waste_value DECIMAL(10, 2) GENERATED ALWAYS AS (ROUND(quantity * unit_price, 2)) STORED,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('damaged', 'expired', 'staff_meal', 'sample')),
+    notes TEXT,
+    recorded_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+
+    CONSTRAINT fk_waste_entries_product
+        FOREIGN KEY (product_id)
+        REFERENCES products(product_id)
+        ON DELETE SET NULL,
+
+    CONSTRAINT fk_waste_entries_recorded_by
+        FOREIGN KEY (recorded_by)
+        REFERENCES users(user_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_waste_entries_created_at
+ON waste_entries(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_waste_entries_product
+ON waste_entries(product_id);
+
+COMMENT ON TABLE waste_entries IS 'Stock written off without being sold or returned to the supplier';
+COMMENT ON COLUMN waste_entries.reason IS 'damaged, expired, staff_meal or sample';
+COMMENT ON COLUMN waste_entries.waste_value IS 'Quantity at the selling price when it was wasted';
+
+-- ============================================================================
+-- SECTION 2: WASTE STOCK MOVEMENTS
+-- ============================================================================
+
+ALTER TABLE stock_movements
+DROP CONSTRAINT IF EXISTS stock_movements_movement_type_check;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_stock_movements_movement_type'
+    ) THEN
+        ALTER TABLE stock_movements
+        ADD CONSTRAINT chk_stock_movements_movement_type
+            CHECK (movement_type IN (
+                'opening',
+                'check_in',
+                'sale',
+                'refund',
+                'return',
+                'keep',
+                'adjustment',
+                'undo',
+                'waste'
+            ));
+    END IF;
+END $$;
+
+COMMENT ON COLUMN stock_movements.movement_type IS 'opening, check_in, sale, refund, return, keep, adjustment, undo or waste';
+
+-- ============================================================================
+-- FUNCTION: Record waste from a batch (transaction-safe)
+-- ============================================================================
+-- Takes the quantity out of the batch (deleting it when it reaches zero) and
+-- records a waste movement against the waste entry.
+CREATE OR REPLACE FUNCTION record_waste(
+  p_batch_id BIGINT,
+  p_quantity DECIMAL,
+  p_reason VARCHAR,
+  p_recorded_by UUID,
+  p_notes TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_batch RECORD;
+  v_entry_id BIGINT;
+BEGIN
+  IF p_quantity IS NULL OR p_quantity <= 0 THEN
+    RAISE EXCEPTION 'Wasted quantity must be more than 0';
+  END IF;
+
+  IF p_reason IS NULL OR p_reason NOT IN ('damaged', 'expired', 'staff_meal', 'sample') THEN
+    RAISE EXCEPTION 'Choose a waste reason';
+  END IF;
+
+  SELECT b.id, b.product_id, b.quantity, b.date_added, p.name, p.price INTO v_batch
+  FROM inventory_batches b
+  JOIN products p ON p.product_id = b.product_id
+  WHERE b.id = p_batch_id
+  FOR UPDATE OF b;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Batch not found: %', p_batch_id;
+  END IF;
+
+  IF p_quantity > v_batch.quantity THEN
+    RAISE EXCEPTION 'Cannot waste % of % - only % left in the batch from %',
+      p_quantity, v_batch.name, v_batch.quantity, v_batch.date_added;
+  END IF;
+
+  INSERT INTO waste_entries (product_id, batch_id, product_name, batch_date, unit_price, quantity, reason, notes, recorded_by)
+  VALUES (
+    v_batch.product_id,
+    v_batch.id,
+    v_batch.name,
+    v_batch.date_added::DATE,
+    COALESCE(v_batch.price, 0),
+    p_quantity,
+    p_reason,
+    NULLIF(TRIM(p_notes), ''),
+    p_recorded_by
+  )
+  RETURNING id INTO v_entry_id;
+
+  PERFORM set_stock_movement_context('waste', 'waste', v_entry_id, p_recorded_by);
+
+  IF p_quantity = v_batch.quantity THEN
+    DELETE FROM inventory_batches WHERE id = v_batch.id;
+  ELSE
+    UPDATE inventory_batches
+    SET quantity = quantity - p_quantity,
+        updated_at = NOW()
+    WHERE id = v_batch.id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'id', v_entry_id,
+    'product_name', v_batch.name,
+    'quantity', p_quantity,
+    'waste_value', ROUND(p_quantity * COALESCE(v_batch.price, 0), 2)
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION record_waste IS 'Writes off stock from a batch with a reason, recording a waste movement';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ Created waste_entries table
+-- ✓ Added the waste stock movement type
+-- ✓ record_waste() deducts the batch and logs who wasted what and why
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Record dropped, burnt, expired, staff meal and sample stock from the Waste page
+-- 3. Review waste and returns together on the Shrinkage dashboard
@@ -0,0 +1,70 @@
+-- ============================================================================
+-- AYUBO CAFE STAFF NOTIFICATIONS MIGRATION
+-- Version: 033
+-- Date: 2025-11-25
+-- Description: Staff notifications (new orders, payments to verify, low
+--              ingredient stock) are kept in customer_notifications with no
+--              customer. The table was built for customer messages only, so
+--              it required a customer, channel and recipient and had no
+--              title, link or read flag, and every staff insert was
+--              rejected. Staff rows now leave the customer and recipient
+--              empty and carry a title, the item they link to and a read flag
+--              Includes: staff columns on customer_notifications
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 032_refund_owner_approval.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- SECTION 1: STAFF NOTIFICATION COLUMNS
+-- ============================================================================
+
+-- Staff notifications have no customer or recipient and are shown in-app
+ALTER TABLE customer_notifications
+ALTER COLUMN customer_id DROP NOT NULL;
+
+ALTER TABLE customer_notifications
+ALTER COLUMN recipient DROP NOT NULL;
+
+ALTER TABLE customer_notifications
+ALTER COLUMN channel SET DEFAULT 'in-app';
+
+ALTER TABLE customer_notifications
+ADD COLUMN IF NOT EXISTS title VARCHAR(255),
+ADD COLUMN IF NOT EXISTS related_type VARCHAR(50),
+ADD COLUMN IF NOT EXISTS related_id TEXT,
+ADD COLUMN IF NOT EXISTS is_read BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Customer notifications still need somewhere to be sent
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_customer_notifications_recipient'
+    ) THEN
+        ALTER TABLE customer_notifications
+        ADD CONSTRAINT chk_customer_notifications_recipient
+            CHECK (customer_id IS NULL OR recipient IS NOT NULL);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_staff_unread
+ON customer_notifications(is_read, created_at DESC)
+WHERE customer_id IS NULL;
+
+COMMENT ON COLUMN customer_notifications.customer_id IS 'Customer the notification is for; NULL for staff notifications';
+COMMENT ON COLUMN customer_notifications.title IS 'Staff notification heading, e.g. "Low stock: Flour"';
+COMMENT ON COLUMN customer_notifications.related_type IS 'Kind of item a staff notification links to, e.g. order, ingredient';
+COMMENT ON COLUMN customer_notifications.related_id IS 'ID of the item a staff notification links to';
+COMMENT ON COLUMN customer_notifications.is_read IS 'Whether staff have read the notification';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ customer_notifications accepts staff notifications without a customer
+-- ✓ Added title, related_type, related_id and is_read for staff notifications
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Record a check-in that runs an ingredient low and check the bell in the staff header
@@ -0,0 +1,504 @@
+-- ============================================================================
+-- AYUBO CAFE MARKDOWN RULE CHECKS MIGRATION
+-- Version: 034
+-- Date: 2025-11-26
+-- Description: create_pos_bill() checked a marked-down line's rule against
+--              the product, category, active flag and price, but left the
+--              batch age and time of day to the till. It now also checks
+--              that the batch is old enough for the rule and that the sale
+--              was made after the rule's start time, both as of when the
+--              bill was rung up so replayed offline bills are judged by
+--              when they were captured
+--              Includes: create_pos_bill() with batch age and start time
+--              checks on marked-down lines
+-- ============================================================================
+
+-- IMPORTANT: Run this AFTER migration 033_staff_notifications.sql
+-- This migration is idempotent - safe to run multiple times
+
+-- ============================================================================
+-- FUNCTION: Create POS bill with markdown rules checked (transaction-safe)
+-- ============================================================================
+-- Same as migration 031, with the markdown rule's batch age and start time
+-- checked here rather than only at the till.
+
+-- p_items is an array of {product_id, variant_id, modifier_ids, quantity,
+-- unit_price, discount_amount, tax_amount, exclusive_tax_amount,
+-- service_charge_amount, batch_id, markdown_rule_id}
+-- unit_price is the variant price plus its modifiers. The variant and
+-- modifiers must be active options of the product; their names are copied
+-- onto the line. A variant line uses quantity x stock_units of the product's
+-- stock.
+-- A combo line uses its components' stock, never its own, and its revenue
+-- is split across the components in order_item_components.
+-- The same product may appear more than once (e.g. two weighed cake slices,
+-- or a small and a large tea) or inside a combo; stock is validated against
+-- the combined quantity per product (see get_bill_stock_demand).
+-- discount_amount is the line's share of all discounts (including bill
+-- discounts) and p_discounts lists the promotions behind them; both must add
+-- up to the same amount.
+-- tax_amount is all tax contained in the line; exclusive_tax_amount (the part
+-- added on top of the price) and service_charge_amount are added to the line,
+-- so lines are stored at what the customer paid for them and refunds stay
+-- per line. p_taxes holds the breakdown by rate and must add up to the lines.
+-- p_payments is an array of {method, amount, tendered, reference} where amount
+-- is the part of the bill settled by that tender. Only cash may be tendered
+-- above its amount (the difference is the change). Without payments the bill
+-- is recorded as paid in exact cash.
+-- p_created_by is the cashier; the stock taken off is recorded as sale
+-- movements against the order.
+-- p_client_bill_id is generated by the till when the bill is captured; a
+-- bill already created with that ID is returned without any changes.
+-- A marked-down line names the batch it is sold from and the markdown rule
+-- behind its price. The rule must apply to the product, the batch must be at
+-- least the rule's minimum age and the bill must be rung up after the rule's
+-- start time (both as of the order date, so a replayed offline bill is judged
+-- by when it was captured). The unit price must be the list price less the
+-- rule's percentage. That batch is deducted instead of FIFO and the price
+-- difference is stored as markdown_amount.
+CREATE OR REPLACE FUNCTION create_pos_bill(
+  p_items JSONB,
+  p_order_date TIMESTAMP DEFAULT NULL,
+  p_payments JSONB DEFAULT NULL,
+  p_discounts JSONB DEFAULT NULL,
+  p_taxes JSONB DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL,
+  p_client_bill_id UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_order_id BIGINT;
+  v_order_date TIMESTAMP;
+  v_total DECIMAL(10, 2) := 0;
+  v_discount_total DECIMAL(10, 2) := 0;
+  v_tax_total DECIMAL(10, 2) := 0;
+  v_added_total DECIMAL(10, 2) := 0;
+  v_service_charge DECIMAL(10, 2) := 0;
+  v_redeemed DECIMAL(10, 2);
+  v_recorded DECIMAL(10, 2);
+  v_line_total DECIMAL(10, 2);
+  v_line_discount DECIMAL(10, 2);
+  v_line_tax DECIMAL(10, 2);
+  v_line_exclusive_tax DECIMAL(10, 2);
+  v_line_service DECIMAL(10, 2);
+  v_item JSONB;
+  v_requested RECORD;
+  v_available DECIMAL(10, 2);
+  v_remaining DECIMAL(10, 2);
+  v_batch RECORD;
+  v_product_name TEXT;
+  v_payment JSONB;
+  v_method VARCHAR(20);
+  v_amount DECIMAL(10, 2);
+  v_tendered DECIMAL(10, 2);
+  v_paid DECIMAL(10, 2) := 0;
+  v_modifier_count INTEGER;
+  v_markdown RECORD;
+BEGIN
+  IF p_client_bill_id IS NOT NULL THEN
+    -- Serialise retries of the same bill so only one of them inserts it
+    PERFORM pg_advisory_xact_lock(hashtext(p_client_bill_id::TEXT));
+
+    SELECT order_id INTO v_order_id
+    FROM orders
+    WHERE client_bill_id = p_client_bill_id;
+
+    IF FOUND THEN
+      RETURN get_pos_bill(v_order_id);
+    END IF;
+  END IF;
+
+  IF p_items IS NULL OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'Bill must contain at least one item';
+  END IF;
+
+  -- Markdown rules are checked as of when the bill was rung up
+  v_order_date := COALESCE(p_order_date, CURRENT_TIMESTAMP);
+
+  -- Validate each line
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items)
+  LOOP
+    IF (v_item->>'product_id') IS NULL THEN
+      RAISE EXCEPTION 'Bill item is missing product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'quantity')::DECIMAL, 0) <= 0 THEN
+      RAISE EXCEPTION 'Invalid quantity for product %', v_item->>'product_id';
+    END IF;
+
+    IF COALESCE((v_item->>'unit_price')::DECIMAL, -1) < 0 THEN
+      RAISE EXCEPTION 'Invalid unit price for product %', v_item->>'product_id';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM products
+      WHERE product_id = (v_item->>'product_id')::INTEGER
+        AND is_bundle = TRUE
+        AND NOT EXISTS (
+          SELECT 1 FROM product_bundle_items
+          WHERE bundle_product_id = (v_item->>'product_id')::INTEGER
+        )
+    ) THEN
+      RAISE EXCEPTION 'Combo % has no components', v_item->>'product_id';
+    END IF;
+
+    IF (v_item->>'variant_id') IS NOT NULL THEN
+      PERFORM 1
+      FROM product_variants
+      WHERE id = (v_item->>'variant_id')::BIGINT
+        AND product_id = (v_item->>'product_id')::INTEGER
+        AND is_active = TRUE;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invalid variant for product %', v_item->>'product_id';
+      END IF;
+    END IF;
+
+    v_modifier_count := jsonb_array_length(COALESCE(v_item->'modifier_ids', '[]'::jsonb));
+    IF v_modifier_count > 0 THEN
+      IF (
+        SELECT COUNT(*)
+        FROM product_modifiers
+        WHERE product_id = (v_item->>'product_id')::INTEGER
+          AND is_active = TRUE
+          AND id IN (SELECT jsonb_array_elements_text(v_item->'modifier_ids')::BIGINT)
+      ) <> v_modifier_count THEN
+        RAISE EXCEPTION 'Invalid modifier for product %', v_item->>'product_id';
+      END IF;
+    END IF;
+
+    IF (v_item->>'batch_id') IS NOT NULL OR (v_item->>'markdown_rule_id') IS NOT NULL THEN
+      IF (v_item->>'batch_id') IS NULL OR (v_item->>'markdown_rule_id') IS NULL THEN
+        RAISE EXCEPTION 'Marked-down line for product % needs both a batch and a markdown rule', v_item->>'product_id';
+      END IF;
+
+      IF (v_item->>'variant_id') IS NOT NULL OR v_modifier_count > 0 THEN
+        RAISE EXCEPTION 'Marked-down lines cannot have options (product %)', v_item->>'product_id';
+      END IF;
+
+      -- A missing batch is reported with the batch stock check below
+      SELECT r.percent_off, r.min_batch_age_days, r.start_time, p.price, b.date_added INTO v_markdown
+      FROM markdown_rules r
+      JOIN products p ON p.product_id = (v_item->>'product_id')::INTEGER
+      LEFT JOIN inventory_batches b
+        ON b.id = (v_item->>'batch_id')::BIGINT
+        AND b.product_id = p.product_id
+      WHERE r.id = (v_item->>'markdown_rule_id')::BIGINT
+        AND r.is_active = TRUE
+        AND p.is_bundle = FALSE
+        AND (r.product_id IS NULL OR r.product_id = p.product_id)
+        AND (r.category_id IS NULL OR r.category_id = p.category_id);
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'Markdown does not apply to product %', v_item->>'product_id';
+      END IF;
+
+      IF v_markdown.min_batch_age_days IS NOT NULL
+        AND v_order_date::DATE - v_markdown.date_added < v_markdown.min_batch_age_days THEN
+        RAISE EXCEPTION 'Batch % is too new for the markdown on product %', v_item->>'batch_id', v_item->>'product_id';
+      END IF;
+
+      IF v_markdown.start_time IS NOT NULL AND v_order_date::TIME < v_markdown.start_time THEN
+        RAISE EXCEPTION 'Markdown for product % does not start until %', v_item->>'product_id', v_markdown.start_time;
+      END IF;
+
+      IF (v_item->>'unit_price')::DECIMAL <> ROUND(v_markdown.price * (100 - v_markdown.percent_off) / 100, 2) THEN
+        RAISE EXCEPTION 'Marked-down price for product % does not match the markdown', v_item->>'product_id';
+      END IF;
+    END IF;
+
+    v_line_total := ROUND((v_item->>'unit_price')::DECIMAL * (v_item->>'quantity')::DECIMAL, 2);
+    v_line_discount := COALESCE((v_item->>'discount_amount')::DECIMAL, 0);
+    v_line_tax := COALESCE((v_item->>'tax_amount')::DECIMAL, 0);
+    v_line_exclusive_tax := COALESCE((v_item->>'exclusive_tax_amount')::DECIMAL, 0);
+    v_line_service := COALESCE((v_item->>'service_charge_amount')::DECIMAL, 0);
+
+    IF v_line_discount < 0 OR v_line_discount > v_line_total THEN
+      RAISE EXCEPTION 'Invalid discount for product %', v_item->>'product_id';
+    END IF;
+
+    -- Inclusive tax is part of the net price and cannot exceed it
+    IF v_line_exclusive_tax < 0 OR v_line_exclusive_tax > v_line_tax
+       OR v_line_tax - v_line_exclusive_tax > v_line_total - v_line_discount THEN
+      RAISE EXCEPTION 'Invalid tax for product %', v_item->>'product_id';
+    END IF;
+
+    IF v_line_service < 0 THEN
+      RAISE EXCEPTION 'Invalid service charge for product %', v_item->>'product_id';
+    END IF;
+
+    v_total := v_total + v_line_total - v_line_discount + v_line_exclusive_tax + v_line_service;
+    v_discount_total := v_discount_total + v_line_discount;
+    v_tax_total := v_tax_total + v_line_tax;
+    v_added_total := v_added_total + v_line_exclusive_tax + v_line_service;
+    v_service_charge := v_service_charge + v_line_service;
+  END LOOP;
+
+  IF v_total <= 0 THEN
+    RAISE EXCEPTION 'Bill total must be greater than 0';
+  END IF;
+
+  -- Validate stock per product, locking the batches so concurrent bills
+  -- cannot sell the same units twice
+  FOR v_requested IN
+    SELECT * FROM get_bill_stock_demand(p_items)
+  LOOP
+    SELECT name INTO v_product_name
+    FROM products
+    WHERE product_id = v_requested.product_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Product not found: %', v_requested.product_id;
+    END IF;
+
+    PERFORM 1
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0
+    FOR UPDATE;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO v_available
+    FROM inventory_batches
+    WHERE product_id = v_requested.product_id
+      AND quantity > 0;
+
+    IF v_requested.quantity > v_available THEN
+      RAISE EXCEPTION 'Insufficient stock for %. Requested: %, Available: %',
+        v_product_name, v_requested.quantity, v_available;
+    END IF;
+  END LOOP;
+
+  -- Marked-down lines must fit in the batch they are sold from
+  FOR v_requested IN
+    SELECT (elem->>'batch_id')::BIGINT AS batch_id,
+           (elem->>'product_id')::INTEGER AS product_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    WHERE (elem->>'batch_id') IS NOT NULL
+    GROUP BY 1, 2
+  LOOP
+    SELECT quantity INTO v_available
+    FROM inventory_batches
+    WHERE id = v_requested.batch_id
+      AND product_id = v_requested.product_id;
+
+    IF NOT FOUND OR v_requested.quantity > v_available THEN
+      RAISE EXCEPTION 'Marked-down batch % has only % left', v_requested.batch_id, COALESCE(v_available, 0);
+    END IF;
+  END LOOP;
+
+  -- Create order
+  INSERT INTO orders (order_date, value, discount_total, tax_total, service_charge, client_bill_id)
+  VALUES (v_order_date, v_total, v_discount_total, v_tax_total, v_service_charge, p_client_bill_id)
+  RETURNING order_id INTO v_order_id;
+
+  -- Record the promotions behind the line discounts
+  v_redeemed := redeem_applied_discounts(p_discounts, v_order_id, NULL);
+
+  IF v_redeemed <> v_discount_total THEN
+    RAISE EXCEPTION 'Applied discounts (%) do not match line discounts (%)', v_redeemed, v_discount_total;
+  END IF;
+
+  -- Record the tax breakdown behind the line taxes
+  v_recorded := record_bill_taxes(p_taxes, v_order_id, NULL);
+
+  IF v_recorded <> v_added_total THEN
+    RAISE EXCEPTION 'Tax breakdown (%) does not match line taxes and service charge (%)', v_recorded, v_added_total;
+  END IF;
+
+  IF (SELECT COALESCE(SUM(amount), 0) FROM bill_taxes WHERE order_id = v_order_id AND kind = 'tax') <> v_tax_total THEN
+    RAISE EXCEPTION 'Tax breakdown does not match line taxes (%)', v_tax_total;
+  END IF;
+
+  -- Record tender lines
+  IF p_payments IS NULL OR jsonb_array_length(p_payments) = 0 THEN
+    INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given)
+    VALUES (v_order_id, 'cash', v_total, v_total, 0);
+  ELSE
+    FOR v_payment IN SELECT * FROM jsonb_array_elements(p_payments)
+    LOOP
+      v_method := v_payment->>'method';
+      v_amount := COALESCE((v_payment->>'amount')::DECIMAL, 0);
+      v_tendered := COALESCE((v_payment->>'tendered')::DECIMAL, v_amount);
+
+      IF v_method IS NULL OR v_method NOT IN ('cash', 'card', 'bank_transfer', 'qr') THEN
+        RAISE EXCEPTION 'Invalid payment method: %', COALESCE(v_method, 'none');
+      END IF;
+
+      IF v_amount <= 0 THEN
+        RAISE EXCEPTION 'Invalid payment amount for %', v_method;
+      END IF;
+
+      IF v_tendered < v_amount THEN
+        RAISE EXCEPTION 'Tendered amount for % is less than the amount applied', v_method;
+      END IF;
+
+      IF v_method <> 'cash' AND v_tendered <> v_amount THEN
+        RAISE EXCEPTION 'Change can only be given on cash payments';
+      END IF;
+
+      v_paid := v_paid + v_amount;
+
+      INSERT INTO pos_bill_payments (order_id, method, amount, tendered, change_given, reference)
+      VALUES (
+        v_order_id,
+        v_method,
+        v_amount,
+        v_tendered,
+        v_tendered - v_amount,
+        NULLIF(TRIM(v_payment->>'reference'), '')
+      );
+    END LOOP;
+
+    IF v_paid <> v_total THEN
+      RAISE EXCEPTION 'Payments (%) do not match bill total (%)', v_paid, v_total;
+    END IF;
+  END IF;
+
+  -- Insert order items at what the customer paid for them
+  INSERT INTO order_items (
+    order_id, product_id, quantity, subtotal, discount_amount,
+    tax_amount, exclusive_tax_amount, service_charge_amount,
+    variant_id, variant_name, modifiers, stock_units,
+    batch_id, markdown_rule_id, markdown_amount
+  )
+  SELECT
+    v_order_id,
+    (elem->>'product_id')::INTEGER,
+    (elem->>'quantity')::DECIMAL,
+    ROUND((elem->>'unit_price')::DECIMAL * (elem->>'quantity')::DECIMAL, 2)
+      - COALESCE((elem->>'discount_amount')::DECIMAL, 0)
+      + COALESCE((elem->>'exclusive_tax_amount')::DECIMAL, 0)
+      + COALESCE((elem->>'service_charge_amount')::DECIMAL, 0),
+    COALESCE((elem->>'discount_amount')::DECIMAL, 0),
+    COALESCE((elem->>'tax_amount')::DECIMAL, 0),
+    COALESCE((elem->>'exclusive_tax_amount')::DECIMAL, 0),
+    COALESCE((elem->>'service_charge_amount')::DECIMAL, 0),
+    pv.id,
+    pv.name,
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('id', pm.id, 'name', pm.name, 'price', pm.price) ORDER BY pm.sort_order, pm.id)
+      FROM product_modifiers pm
+      WHERE pm.id IN (SELECT jsonb_array_elements_text(COALESCE(elem->'modifier_ids', '[]'::jsonb))::BIGINT)
+    ), '[]'::jsonb),
+    COALESCE(pv.stock_units, 1),
+    (elem->>'batch_id')::BIGINT,
+    (elem->>'markdown_rule_id')::BIGINT,
+    CASE
+      WHEN (elem->>'markdown_rule_id') IS NOT NULL
+        THEN ROUND(mp.price * (elem->>'quantity')::DECIMAL, 2)
+          - ROUND((elem->>'unit_price')::DECIMAL * (elem->>'quantity')::DECIMAL, 2)
+      ELSE 0
+    END
+  FROM jsonb_array_elements(p_items) AS elem
+  LEFT JOIN product_variants pv ON pv.id = (elem->>'variant_id')::BIGINT
+  LEFT JOIN products mp ON mp.product_id = (elem->>'product_id')::INTEGER;
+
+  -- Split combo lines' revenue across their components by list price;
+  -- the last component takes the rounding difference
+  INSERT INTO order_item_components (order_item_id, product_id, quantity, revenue)
+  SELECT
+    order_item_id,
+    component_product_id,
+    quantity,
+    CASE
+      WHEN component_number = component_count
+        THEN subtotal - (SUM(share) OVER (PARTITION BY order_item_id) - share)
+      ELSE share
+    END
+  FROM (
+    SELECT *,
+      CASE
+        WHEN total_weight > 0 THEN ROUND(subtotal * weight / total_weight, 2)
+        ELSE ROUND(subtotal / component_count, 2)
+      END AS share
+    FROM (
+      SELECT
+        oi.order_item_id,
+        oi.subtotal,
+        bi.component_product_id,
+        oi.quantity * bi.quantity AS quantity,
+        p.price * bi.quantity AS weight,
+        SUM(p.price * bi.quantity) OVER (PARTITION BY oi.order_item_id) AS total_weight,
+        ROW_NUMBER() OVER (PARTITION BY oi.order_item_id ORDER BY bi.id) AS component_number,
+        COUNT(*) OVER (PARTITION BY oi.order_item_id) AS component_count
+      FROM order_items oi
+      JOIN product_bundle_items bi ON bi.bundle_product_id = oi.product_id
+      JOIN products p ON p.product_id = bi.component_product_id
+      WHERE oi.order_id = v_order_id
+    ) AS weighted
+  ) AS shares;
+
+  PERFORM set_stock_movement_context('sale', 'order', v_order_id, p_created_by);
+
+  -- Marked-down lines come out of their own batch
+  FOR v_requested IN
+    SELECT (elem->>'batch_id')::BIGINT AS batch_id,
+           SUM((elem->>'quantity')::DECIMAL) AS quantity
+    FROM jsonb_array_elements(p_items) AS elem
+    WHERE (elem->>'batch_id') IS NOT NULL
+    GROUP BY 1
+  LOOP
+    SELECT quantity INTO v_available
+    FROM inventory_batches
+    WHERE id = v_requested.batch_id;
+
+    IF v_available <= v_requested.quantity THEN
+      DELETE FROM inventory_batches WHERE id = v_requested.batch_id;
+    ELSE
+      UPDATE inventory_batches
+      SET quantity = v_available - v_requested.quantity
+      WHERE id = v_requested.batch_id;
+    END IF;
+  END LOOP;
+
+  -- Deduct everything else from oldest batches first (FIFO), combos from
+  -- their components
+  FOR v_requested IN
+    SELECT * FROM get_bill_stock_demand(COALESCE((
+      SELECT jsonb_agg(elem)
+      FROM jsonb_array_elements(p_items) AS elem
+      WHERE (elem->>'batch_id') IS NULL
+    ), '[]'::jsonb))
+  LOOP
+    v_remaining := v_requested.quantity;
+
+    FOR v_batch IN
+      SELECT id, quantity
+      FROM inventory_batches
+      WHERE product_id = v_requested.product_id
+        AND quantity > 0
+      ORDER BY date_added ASC, id ASC
+    LOOP
+      EXIT WHEN v_remaining <= 0;
+
+      IF v_batch.quantity <= v_remaining THEN
+        -- Entire batch is consumed
+        DELETE FROM inventory_batches WHERE id = v_batch.id;
+        v_remaining := v_remaining - v_batch.quantity;
+      ELSE
+        UPDATE inventory_batches
+        SET quantity = v_batch.quantity - v_remaining
+        WHERE id = v_batch.id;
+        v_remaining := 0;
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  RETURN get_pos_bill(v_order_id);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION create_pos_bill IS 'Validates stock (combos by component), variants, payments, discounts and taxes, creates a POS order with its items, combo components, tender lines, applied discounts and tax breakdown and deducts marked-down lines from their batch and the rest FIFO (recorded as sale movements) in a single transaction, once per client bill ID, checking markdown rules against the batch age and time of sale';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+
+-- Summary:
+-- ✓ create_pos_bill() rejects marked-down lines from batches younger than the rule allows
+-- ✓ create_pos_bill() rejects marked-down lines sold before the rule's start time
+
+-- Next Steps:
+-- 1. Run this migration in the Supabase SQL Editor
+-- 2. Check that a day-old markdown on a batch added today is rejected
@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { supabaseClient } from './config/supabase';
 import { useAuth } from './context/AuthContext';
 import { useSession } from './hooks/useSession';
@@ -32,30 +32,95 @@ import UserManagement from './components/UserManagement';
 import AuditLogs from './components/AuditLogs';
 import ProductsPage from './components/ProductsPage';
 import SalesPage from './components/SalesPage';
+import ShrinkagePage from './components/ShrinkagePage';
 import ReturnsPage from './components/ReturnsPage';
+import PromotionsPage from './components/PromotionsPage';
+import TaxSettingsPage from './components/TaxSettingsPage';
+import IngredientsPage from './components/IngredientsPage';
+import StockTakePage from './components/StockTakePage';
+import WastePage from './components/WastePage';
+import GoodsReceivingPage from './components/GoodsReceivingPage';
+import PurchaseOrdersPage from './components/PurchaseOrdersPage';
+import SyncStatusIndicator from './components/SyncStatusIndicator';
+import NotificationBell from './components/staff/NotificationBell';
+import OfflineSyncReview from './components/OfflineSyncReview';
+import VoidBillModal from './components/VoidBillModal';
+import CustomerReturnModal from './components/CustomerReturnModal';
+import ReceiptModal from './components/ReceiptModal';
+import ParkedBillsBar from './components/ParkedBillsBar';
+import MarkdownOffersBar from './components/MarkdownOffersBar';
+import TenderEntry from './components/TenderEntry';
+import CashDrawerModal from './components/CashDrawerModal';
+import BillingDialog from './components/BillingDialog';
+import NumericKeypad from './components/NumericKeypad';
+import HotkeySettings from './components/HotkeySettings';
+import VariantPicker from './components/VariantPicker';
+import useOfflineBilling from './hooks/useOfflineBilling';
+import useCashShift from './hooks/useCashShift';
+import useMarkdowns from './hooks/useMarkdowns';
+import useBillingDialog, { DIALOG_TONES } from './hooks/useBillingDialog';
 import {
   validateStock,
-  calculateStockDeductions,
   generateInsufficientStockMessage,
   getStockStatus,
-  getStockStatusColors
+  getStockStatusColors,
+  enrichProductsWithBatchStock,
+  getExpiredOnlyProducts
 } from './utils/inventory';
 import {
   fetchSalesData,
   sortProductsBySales,
   invalidateSalesCache
 } from './utils/productSorting';
+import { createPosBill, createClientBillId } from './utils/posBilling';
+import { resolveScannedCode } from './utils/barcodes';
 import {
-  getBatchesByProduct,
-  deductFromOldestBatches
-} from './utils/batchTracking';
+  getFastBillingSettings,
+  saveFastBillingSettings,
+  resolveHotkeys,
+  getProductHotkey,
+  parseMultiplier
+} from './utils/fastBilling';
+import {
+  PRODUCT_OPTIONS_SELECT,
+  hasProductOptions,
+  getCartLineKey
+} from './utils/productVariants';
+import { buildMarkdownCartItem, getBatchCartUsage } from './utils/markdowns';
+import { PRODUCT_BUNDLE_SELECT, getStockDemand } from './utils/productBundles';
+import { fetchBillRefunds, describeRefundPayments } from './utils/billRefunds';
+import { validatePayments, buildPaymentLines } from './utils/posPayments';
+import {
+  getParkedBills,
+  parkBill,
+  recallParkedBill,
+  removeParkedBill
+} from './utils/parkedBills';
+import {
+  applyPromotions,
+  cartToPromotionLines,
+  fetchActivePromotions,
+  PROMOTION_CHANNELS
+} from './utils/promotions';
+import {
+  applyTaxes,
+  describeTaxRate,
+  fetchTaxRates,
+  fetchServiceChargeRate
+} from './utils/taxes';
+import {
+  isNetworkError,
+  cacheProducts,
+  getCachedProducts,
+  applyLocalStockDeduction
+} from './utils/offlineBillQueue';
 
 const AyuboCafe = () => {
   const { currentUser, isAuthenticated, loading: authLoading, logout } = useAuth();
   useSession(); // Initialize session management (auto-refresh, inactivity detection)
 
   // Navigation state
-  const [currentView, setCurrentView] = useState('billing'); // 'billing', 'products', 'sales', 'returns', 'users', 'audit-logs'
+  const [currentView, setCurrentView] = useState('billing'); // 'billing', 'products', 'ingredients', 'stock-take', 'sales', 'returns', 'promotions', 'taxes', 'users', 'audit-logs'
   const [showForgotPassword, setShowForgotPassword] = useState(false);
   const [showChangePassword, setShowChangePassword] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
@@ -69,14 +134,60 @@ const AyuboCafe = () => {
   const [newProduct, setNewProduct] = useState({ name: '', price: '', isWeightBased: false, stockQuantity: 0, lowStockThreshold: 5 });
   const [editingProduct, setEditingProduct] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  const [scanCode, setScanCode] = useState('');
   const [showBillPreview, setShowBillPreview] = useState(false);
   const [showWeightModal, setShowWeightModal] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [weight, setWeight] = useState('');
-  const [customerPaid, setCustomerPaid] = useState('');
+  const [tenders, setTenders] = useState({});
+  const [tenderReferences, setTenderReferences] = useState({});
   const [loading, setLoading] = useState(true);
   const [salesData, setSalesData] = useState([]);
   const [loadingSalesData, setLoadingSalesData] = useState(false);
+  const [showSyncReview, setShowSyncReview] = useState(false);
+  const [billRefunds, setBillRefunds] = useState([]);
+  const [voidingBill, setVoidingBill] = useState(null);
+  const [showCustomerReturn, setShowCustomerReturn] = useState(false);
+  const [receiptBill, setReceiptBill] = useState(null);
+  const [parkedBills, setParkedBills] = useState(() => getParkedBills());
+  const [recallingBill, setRecallingBill] = useState(false);
+  const [showCashDrawer, setShowCashDrawer] = useState(false);
+  const [promotions, setPromotions] = useState([]);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [taxRates, setTaxRates] = useState([]);
+  const [serviceChargeRate, setServiceChargeRate] = useState(0);
+  const [isDineIn, setIsDineIn] = useState(false);
+  const [fastBilling, setFastBilling] = useState(() => getFastBillingSettings());
+  const [multiplier, setMultiplier] = useState(1);
+  const [showHotkeySettings, setShowHotkeySettings] = useState(false);
+  const [savingBill, setSavingBill] = useState(false);
+  const [pickingProduct, setPickingProduct] = useState(null);
+  const scanInputRef = useRef(null);
+  const fastKeyHandler = useRef(null);
+  const { dialog, showMessage, askConfirm, closeDialog } = useBillingDialog();
+
+  // Cash drawer shift for the logged in cashier
+  const cashShift = useCashShift(currentUser);
+  const { offers: markdownOffers } = useMarkdowns(products);
+
+  // Offline billing queue - bills captured offline sync when connectivity returns
+  const {
+    isOnline,
+    syncing,
+    pendingBills,
+    conflictBills,
+    queueBill,
+    syncNow,
+    retryBill,
+    discardBill
+  } = useOfflineBilling({
+    onSynced: async () => {
+      invalidateSalesCache();
+      await loadProducts();
+      await loadBills();
+    }
+  });
 
   // Stock check-in hook - triggers daily check-in modal for cashiers/owners
   const {
@@ -116,26 +227,59 @@ const AyuboCafe = () => {
     loadProducts();
     loadBills();
     loadSalesData();
+    loadPromotions();
+    loadTaxes();
     }
   }, [isAuthenticated, sortN, currentView]);
 
+  const loadPromotions = async () => {
+    const { data, error } = await fetchActivePromotions(supabaseClient, PROMOTION_CHANNELS.POS);
+    // Offline, keep the promotions that were last loaded
+    if (!error) {
+      setPromotions(data);
+    }
+  };
+
+  const loadTaxes = async () => {
+    const [taxRatesResult, serviceChargeResult] = await Promise.all([
+      fetchTaxRates(supabaseClient),
+      fetchServiceChargeRate(supabaseClient)
+    ]);
+    // Offline, keep the rates that were last loaded
+    if (!taxRatesResult.error) {
+      setTaxRates(taxRatesResult.data);
+    }
+    if (!serviceChargeResult.error) {
+      setServiceChargeRate(serviceChargeResult.data);
+    }
+  };
+
   const loadProducts = async () => {
     try {
       const { data, error } = await supabaseClient
         .from('products')
-        .select('product_id, name, price, is_weight_based, stock_quantity, low_stock_threshold, updated_time')
+        .select(`product_id, name, price, is_weight_based, stock_quantity, low_stock_threshold, shelf_life_days, expiry_action, category_id, barcode, plu_code, updated_time, ${PRODUCT_OPTIONS_SELECT}, ${PRODUCT_BUNDLE_SELECT}`)
         .order('product_id', { ascending: true });
 
       if (error) throw error;
 
       if (data && data.length > 0) {
-        setProducts(data);
+        // Use batch stock so offline billing works from the last known batch totals
+        const productsWithStock = await enrichProductsWithBatchStock(data, supabaseClient);
+        setProducts(productsWithStock);
+        cacheProducts(productsWithStock);
       } else {
         await initializeDefaultProducts();
       }
     } catch (error) {
       console.error('Error loading products:', error);
-      alert('Error loading products. Please refresh the page.');
+      const cachedProducts = getCachedProducts();
+      if (cachedProducts.length > 0) {
+        // Offline - fall back to the last known product list
+        setProducts(cachedProducts);
+      } else {
+        showMessage('Error loading products. Please refresh the page.');
+      }
     } finally {
       setLoading(false);
     }
@@ -163,8 +307,7 @@ const AyuboCafe = () => {
       { product_id: 18, name: 'Tea Bun', price: 50, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
       { product_id: 19, name: 'Cream Bun', price: 60, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
       { product_id: 20, name: 'Kothmale Chocolate', price: 100, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
-      { product_id: 21, name: 'Plane Tea(Ginger)', price: 50, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
-      { product_id: 22, name: 'Plane Tea (Normal)', price: 40, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
+      { product_id: 21, name: 'Plane Tea', price: 40, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
       { product_id: 23, name: 'Tea', price: 100, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
       { product_id: 24, name: 'Chai Tea', price: 140, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
       { product_id: 25, name: 'Cordial', price: 100, is_weight_based: false, stock_quantity: 0, low_stock_threshold: 5 },
@@ -180,15 +323,35 @@ const AyuboCafe = () => {
       { product_id: 35, name: 'Ribbon Cake', price: 1200, is_weight_based: true, stock_quantity: 0, low_stock_threshold: 5 }
     ];
 
+    // Sizes/options are variants of one product rather than separate rows
+    const defaultVariants = [
+      { product_id: 21, name: 'Normal', price: 40, stock_units: 1, sort_order: 1 },
+      { product_id: 21, name: 'Ginger', price: 50, stock_units: 1, sort_order: 2 }
+    ];
+
     const { error } = await supabaseClient
       .from('products')
       .insert(defaultProducts);
 
     if (error) {
       console.error('Error initializing products:', error);
-    } else {
-      setProducts(defaultProducts);
+      return;
+    }
+
+    const { data: variants, error: variantError } = await supabaseClient
+      .from('product_variants')
+      .insert(defaultVariants)
+      .select();
+
+    if (variantError) {
+      console.error('Error initializing product variants:', variantError);
     }
+
+    setProducts(defaultProducts.map(product => ({
+      ...product,
+      product_variants: (variants || []).filter(variant => variant.product_id === product.product_id),
+      product_modifiers: []
+    })));
   };
 
   const loadBills = async () => {
@@ -199,20 +362,46 @@ const AyuboCafe = () => {
           order_id,
           order_date,
           value,
+          status,
           order_items (
             order_item_id,
             product_id,
             quantity,
             subtotal,
+            discount_amount,
+            tax_amount,
+            exclusive_tax_amount,
+            service_charge_amount,
+            variant_name,
+            modifiers,
             products (
               name
             )
+          ),
+          pos_bill_payments (
+            method,
+            amount,
+            tendered,
+            change_given,
+            reference
+          ),
+          applied_discounts (
+            promotion_name,
+            amount
+          ),
+          bill_taxes (
+            kind,
+            name,
+            rate,
+            is_inclusive,
+            amount
           )
         `)
         .order('order_date', { ascending: false });
 
       if (error) throw error;
       setBills(data || []);
+      setBillRefunds(await fetchBillRefunds(supabaseClient));
     } catch (error) {
       console.error('Error loading bills:', error);
     }
@@ -241,14 +430,14 @@ const AyuboCafe = () => {
 
   // ... [Keep all the existing cart, billing, and product management functions]
   // addToCart, addWeightBasedProduct, updateQuantity, removeFromCart, 
-  // calculateTotal, calculateBalance, generateBill, confirmBill,
-  // addProduct, deleteProduct, deleteBill, startEdit, saveEdit,
+  // calculateTotal, generateBill, confirmBill,
+  // addProduct, deleteProduct, startEdit, saveEdit,
   // getDailySales, getTotalSales, getItemWiseSales, getUniqueBills
 
-  const addToCart = (product) => {
+  const addToCart = (product, quantity = 1) => {
     const stockStatus = getStockStatus(product);
     if (stockStatus === 'out') {
-      alert(`❌ ${product.name} is out of stock!`);
+      showMessage(`${product.name} is out of stock!`);
       return;
     }
 
@@ -258,48 +447,164 @@ const AyuboCafe = () => {
       return;
     }
 
-    const existing = cart.find(item => item.product_id === product.product_id && !item.weight);
-    const currentCartQuantity = existing ? existing.quantity : 0;
-    
-    if (currentCartQuantity + 1 > product.stock_quantity) {
-      alert(`❌ Cannot add more. Only ${product.stock_quantity} ${product.name} available in stock.`);
+    if (hasProductOptions(product)) {
+      setPickingProduct({ product, quantity });
       return;
     }
 
+    addCartItem({ ...product, quantity });
+  };
+
+  /**
+   * Warn when only expired stock is left for a line, or refuse it when the
+   * product is set to block expired sales
+   * @returns {boolean} True if the line may be added
+   */
+  const checkExpiredStock = (cartItem) => {
+    const expiredProducts = getExpiredOnlyProducts(cartItem, products);
+    if (expiredProducts.length === 0) return true;
+
+    const names = expiredProducts.map(product => product.name).join(', ');
+    if (expiredProducts.some(product => product.expiry_action === 'block')) {
+      showMessage(`Only expired ${names} is left. Take it off the shelf instead of selling it.`);
+      return false;
+    }
+
+    showMessage(`⚠️ Only expired ${names} is left in stock. Check it before selling.`);
+    return true;
+  };
+
+  /**
+   * Add a priced line, merging it with an identical line (same product,
+   * variant and modifiers). Variant lines use quantity x stock_units of stock
+   * and combos use their components' stock.
+   * @returns {boolean} True if the line was added
+   */
+  const addCartItem = (cartItem) => {
+    const key = getCartLineKey(cartItem);
+    const existing = cart.find(item => !item.weight && getCartLineKey(item) === key);
+
+    // Other lines may use the same stock (a tea on its own and in a combo)
+    const demand = getStockDemand([...cart, cartItem], products);
+    const shortProduct = Array.from(getStockDemand([cartItem], products).keys())
+      .map(productId => products.find(p => p.product_id === productId) || cartItem)
+      .find(product => demand.get(product.product_id).requested > (product.stock_quantity || 0));
+
+    if (shortProduct) {
+      showMessage(`Cannot add more. Only ${shortProduct.stock_quantity || 0} ${shortProduct.name} available in stock.`);
+      return false;
+    }
+
+    if (cartItem.batch_id && getBatchCartUsage(cart, cartItem.batch_id) + cartItem.quantity > cartItem.batch_quantity) {
+      showMessage(`Cannot add more. Only ${cartItem.batch_quantity} ${cartItem.name} left in that marked-down batch.`);
+      return false;
+    }
+
+    if (!checkExpiredStock(cartItem)) return false;
+
     if (existing) {
       setCart(cart.map(item =>
-        item.product_id === product.product_id && !item.weight ? { ...item, quantity: item.quantity + 1 } : item
+        item === existing ? { ...item, quantity: item.quantity + cartItem.quantity } : item
       ));
     } else {
-      setCart([...cart, { ...product, quantity: 1 }]);
+      setCart([...cart, cartItem]);
     }
+    return true;
   };
 
-  const addWeightBasedProduct = () => {
-    const weightValue = parseFloat(weight);
-    if (!weightValue || weightValue <= 0) {
-      alert('Please enter a valid weight');
-      return;
+  /**
+   * Add a weighed line to the cart
+   * @returns {boolean} True if the line was added
+   */
+  const addWeighedItem = (product, weightValue) => {
+    if (weightValue > product.stock_quantity) {
+      showMessage(`Only ${product.stock_quantity} kg available in stock.`);
+      return false;
     }
 
-    if (weightValue > selectedProduct.stock_quantity) {
-      alert(`❌ Only ${selectedProduct.stock_quantity} kg available in stock.`);
-      return;
-    }
+    if (!checkExpiredStock({ ...product, quantity: weightValue })) return false;
 
     const cartItem = {
-      ...selectedProduct,
+      ...product,
       quantity: weightValue,
       weight: weightValue,
-      displayName: `${selectedProduct.name} (${weightValue}kg)`
+      displayName: `${product.name} (${weightValue}kg${product.markdown_label ? `, ${product.markdown_label}` : ''})`
     };
 
     setCart([...cart, cartItem]);
+    return true;
+  };
+
+  /**
+   * Sell from a marked-down batch; weighed products go through the weight
+   * modal limited to what is left in the batch
+   */
+  const addMarkdownOffer = (offer) => {
+    const cartItem = buildMarkdownCartItem(offer, multiplier);
+    setMultiplier(1);
+
+    if (offer.product.is_weight_based) {
+      setSelectedProduct({
+        ...cartItem,
+        stock_quantity: Math.round((cartItem.batch_quantity - getBatchCartUsage(cart, cartItem.batch_id)) * 100) / 100
+      });
+      setShowWeightModal(true);
+      return;
+    }
+
+    addCartItem(cartItem);
+  };
+
+  const addWeightBasedProduct = () => {
+    const weightValue = parseFloat(weight);
+    if (!weightValue || weightValue <= 0) {
+      showMessage('Please enter a valid weight');
+      return;
+    }
+
+    if (!addWeighedItem(selectedProduct, weightValue)) return;
+
     setShowWeightModal(false);
     setWeight('');
     setSelectedProduct(null);
   };
 
+  /**
+   * Add the product behind a scanned barcode, scale label or typed PLU.
+   * Scale labels carry the weight, so the weight modal is skipped.
+   * In fast billing mode Enter on an empty scan box opens the bill preview.
+   */
+  const handleScan = (e) => {
+    e.preventDefault();
+    if (!scanCode.trim()) {
+      if (fastBilling.enabled && cart.length > 0) {
+        generateBill();
+      }
+      return;
+    }
+
+    const { product, weight: labelWeight, error } = resolveScannedCode(products, scanCode);
+    const quantity = multiplier;
+    setScanCode('');
+    setMultiplier(1);
+
+    if (error) {
+      showMessage(error);
+      return;
+    }
+
+    if (labelWeight) {
+      if (getStockStatus(product) === 'out') {
+        showMessage(`${product.name} is out of stock!`);
+        return;
+      }
+      addWeighedItem(product, labelWeight);
+      return;
+    }
+
+    addToCart(product, quantity);
+  };
+
   const updateQuantity = (index, quantity) => {
     if (quantity <= 0) {
       setCart(cart.filter((_, i) => i !== index));
@@ -314,109 +619,194 @@ const AyuboCafe = () => {
     setCart(cart.filter((_, i) => i !== index));
   };
 
+  /**
+   * Price the cart with active promotions (happy hours are checked against now),
+   * then add taxes and the service charge for dine-in bills
+   */
+  const getCartPricing = () => applyTaxes(
+    applyPromotions(
+      cartToPromotionLines(cart),
+      promotions,
+      { channel: PROMOTION_CHANNELS.POS, couponCode }
+    ),
+    taxRates,
+    { channel: PROMOTION_CHANNELS.POS, serviceChargeRate: isDineIn ? serviceChargeRate : 0 }
+  );
+
   const calculateTotal = () => {
-    return cart.reduce((sum, item) => sum + (item.price * item.quantity), 0).toFixed(2);
+    return getCartPricing().total.toFixed(2);
   };
 
-  const calculateBalance = () => {
-    const paid = parseFloat(customerPaid) || 0;
-    const total = parseFloat(calculateTotal());
-    return (paid - total).toFixed(2);
+  const resetTenders = () => {
+    setTenders({});
+    setTenderReferences({});
+    setCouponInput('');
+    setCouponCode('');
+    setIsDineIn(false);
   };
 
   const generateBill = () => {
     if (cart.length === 0) {
-      alert('Cart is empty!');
+      showMessage('Cart is empty!');
       return;
     }
     setShowBillPreview(true);
   };
 
-  const confirmBill = async () => {
-    try {
-      const stockValidation = await validateStock(cart, products, supabaseClient);
-      if (!stockValidation.isValid) {
-        const errorMessage = generateInsufficientStockMessage(stockValidation.insufficientItems);
-        alert(`❌ ${errorMessage}`);
+  /**
+   * Save the bill to the offline queue and deduct the last known stock locally
+   */
+  const queueBillOffline = async (payments, pricing, clientBillId) => {
+    const { error } = await queueBill(cart, { total: pricing.total, payments, pricing, userId: currentUser?.user_id, clientBillId });
+    if (error) throw error;
+
+    const updatedProducts = applyLocalStockDeduction(products, cart);
+    setProducts(updatedProducts);
+    cacheProducts(updatedProducts);
+    setCart([]);
+    resetTenders();
+    setShowBillPreview(false);
+    showMessage('📴 You are offline. Bill saved on this device and will sync when the connection returns.', DIALOG_TONES.INFO);
+  };
+
+  /**
+   * Park the current cart under a label and start a new one
+   */
+  const handleParkBill = (label) => {
+    const { error } = parkBill(cart, label, { parkedBy: currentUser?.user_id });
+    if (error) {
+      showMessage(error.message);
+      return;
+    }
+
+    setParkedBills(getParkedBills());
+    setCart([]);
+    resetTenders();
+  };
+
+  /**
+   * Recall a parked cart. Any open cart is parked in its place (only once
+   * the recalled bill is known to still be parked, so the open cart is never
+   * both on screen and parked), and stock is checked again because it may
+   * have sold while the cart was parked.
+   */
+  const handleRecallBill = async (id) => {
+    if (!getParkedBills().some(parked => parked.id === id)) {
+      setParkedBills(getParkedBills());
+      showMessage('That parked bill is no longer available. It may have been recalled on another screen.', DIALOG_TONES.WARNING);
+      return;
+    }
+
+    const parkingOpenCart = cart.length > 0;
+    if (parkingOpenCart) {
+      const { error } = parkBill(cart, '', { parkedBy: currentUser?.user_id });
+      if (error) {
+        showMessage(error.message);
         return;
       }
+    }
 
-      const totalAmount = parseFloat(calculateTotal());
+    const recalled = recallParkedBill(id);
+    setParkedBills(getParkedBills());
+    if (!recalled) {
+      // Taken elsewhere after the check; the open cart is parked, so clear it
+      if (parkingOpenCart) {
+        setCart([]);
+        resetTenders();
+      }
+      showMessage('That parked bill is no longer available. It may have been recalled on another screen.', DIALOG_TONES.WARNING);
+      return;
+    }
 
-      const { data: orderData, error: orderError } = await supabaseClient
-        .from('orders')
-        .insert({
-          order_date: new Date().toISOString(),
-          value: totalAmount
-        })
-        .select()
-        .single();
+    setCart(recalled.cart);
+    resetTenders();
 
-      if (orderError) throw orderError;
+    try {
+      setRecallingBill(true);
+      // Offline, fall back to the last known (cached) batch stock
+      const stockValidation = navigator.onLine
+        ? await validateStock(recalled.cart, products, supabaseClient)
+        : await validateStock(recalled.cart, products);
 
-      const orderId = orderData.order_id;
+      if (!stockValidation.isValid) {
+        const errorMessage = generateInsufficientStockMessage(stockValidation.insufficientItems);
+        showMessage(`"${recalled.label}" recalled, but stock has changed.\n${errorMessage}\nPlease adjust the cart before billing.`, DIALOG_TONES.WARNING);
+      }
+    } finally {
+      setRecallingBill(false);
+    }
+  };
 
-      const orderItems = cart.map(item => ({
-        order_id: orderId,
-        product_id: item.product_id,
-        quantity: item.quantity,
-        subtotal: item.price * item.quantity
-      }));
+  const handleDiscardParkedBill = async (id) => {
+    const bill = parkedBills.find(parked => parked.id === id);
+    if (!bill || !(await askConfirm(`Discard parked bill "${bill.label}"?`, { confirmLabel: 'Discard' }))) return;
+    setParkedBills(removeParkedBill(id));
+  };
 
-      const { error: itemsError } = await supabaseClient
-        .from('order_items')
-        .insert(orderItems);
+  const handleDiscardOfflineBill = async (localId) => {
+    if (!(await askConfirm('Discard this bill? It will not be recorded in sales.', { confirmLabel: 'Discard' }))) return;
+    await discardBill(localId);
+  };
 
-      if (itemsError) throw itemsError;
+  /**
+   * Clear the cart (Escape in fast billing mode)
+   */
+  const clearCart = async () => {
+    if (!(await askConfirm('Clear the cart?', { confirmLabel: 'Clear' }))) return;
+    setCart([]);
+    resetTenders();
+  };
 
-      const stockDeductions = calculateStockDeductions(cart);
-      
-      // Deduct from oldest batches first (FIFO logic)
-      const batchDeductionPromises = stockDeductions.map(async ({ product_id, deductAmount }) => {
-        const product = products.find(p => p.product_id === product_id);
-        
-        // Get all batches for this product
-        const batches = await getBatchesByProduct(supabaseClient, product_id);
-        
-        if (batches.length === 0) {
-          throw new Error(`No inventory batches available for ${product.name}`);
-        }
+  const confirmBill = async () => {
+    // Enter can be pressed again while the bill is saving
+    if (savingBill) return;
 
-        // Deduct from oldest batches first
-        const result = await deductFromOldestBatches(
-          supabaseClient,
-          product_id,
-          deductAmount,
-          batches
-        );
+    const pricing = getCartPricing();
+    if (couponCode && pricing.couponError) {
+      showMessage(pricing.couponError);
+      return;
+    }
 
-        if (!result.success) {
-          throw new Error(`Failed to deduct stock for ${product.name}: ${result.error}`);
-        }
+    const total = pricing.total;
+    const paymentValidation = validatePayments(total, tenders);
+    if (!paymentValidation.isValid) {
+      showMessage(paymentValidation.errors.join('\n'));
+      return;
+    }
+    const payments = buildPaymentLines(total, tenders, tenderReferences);
+    // Kept with the bill if it has to be queued: the attempt below may commit without a response
+    const clientBillId = createClientBillId();
 
-        return result;
-      });
+    setSavingBill(true);
+    try {
+      if (!navigator.onLine) {
+        await queueBillOffline(payments, pricing, clientBillId);
+        return;
+      }
 
-      const batchResults = await Promise.all(batchDeductionPromises);
-      
-      // Check for any failures
-      const failures = batchResults.filter(result => !result.success);
-      if (failures.length > 0) {
-        console.error('Batch deduction errors:', failures);
-        throw new Error('Failed to update stock batches');
+      // Stock validation, order, items, discounts, tender lines and FIFO batch deductions run in one transaction
+      const { data: bill, error } = await createPosBill(supabaseClient, cart, { payments, pricing, userId: currentUser?.user_id, clientBillId });
+      if (error) {
+        if (isNetworkError(error)) {
+          await queueBillOffline(payments, pricing, clientBillId);
+          return;
+        }
+        throw error;
       }
-      
+
       invalidateSalesCache();
       await loadProducts();
       await loadBills();
       await loadSalesData();
       setCart([]);
-      setCustomerPaid('');
+      resetTenders();
       setShowBillPreview(false);
-      alert('✅ Bill saved successfully! Stock updated.');
+      setReceiptBill({ bill, reprint: false });
     } catch (error) {
       console.error('Error saving bill:', error);
-      alert(`❌ Error saving bill: ${error.message || 'Please try again.'}`);
+      showMessage(`Error saving bill: ${error.message || 'Please try again.'}`);
+    } finally {
+      setSavingBill(false);
     }
   };
 
@@ -470,23 +860,18 @@ const AyuboCafe = () => {
     }
   };
 
-  const deleteBill = async (orderId) => {
-    if (!window.confirm('Are you sure you want to delete this order?')) return;
-
-    try {
-      const { error } = await supabaseClient
-        .from('orders')
-        .delete()
-        .eq('order_id', orderId);
-
-      if (error) throw error;
+  const handleBillRefunded = async (refund) => {
+    setVoidingBill(null);
+    setShowCustomerReturn(false);
+    await Promise.all([loadBills(), loadProducts()]);
+    const label = refund.customer_return ? 'Customer return' : refund.refund_type === 'void' ? 'Bill voided' : 'Refund recorded';
+    showMessage(`${label}: Rs. ${parseFloat(refund.total_amount).toFixed(2)}. Paid back: ${describeRefundPayments(refund.payments)}.`, DIALOG_TONES.SUCCESS);
+  };
 
-      await loadBills();
-      alert('Order deleted successfully!');
-    } catch (error) {
-      console.error('Error deleting order:', error);
-      alert('Error deleting order. Please try again.');
-    }
+  const getTodaysBills = () => {
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+    return bills.filter(order => new Date(order.order_date) >= todayStart);
   };
 
   const startEdit = (product) => {
@@ -575,8 +960,10 @@ const AyuboCafe = () => {
   }, [products, salesData]);
 
   const filteredProducts = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
     const filtered = sortedProducts.filter(product =>
-      product.name.toLowerCase().includes(searchQuery.toLowerCase())
+      product.name.toLowerCase().includes(query) ||
+      (query && (product.barcode === query || product.plu_code === query))
     );
     
     // Move out-of-stock products to the bottom
@@ -593,6 +980,117 @@ const AyuboCafe = () => {
     });
   }, [sortedProducts, searchQuery]);
 
+  const hotkeys = useMemo(() => {
+    return resolveHotkeys(fastBilling.hotkeys, sortedProducts);
+  }, [fastBilling.hotkeys, sortedProducts]);
+
+  const updateFastBilling = (settings) => {
+    saveFastBillingSettings(settings);
+    setFastBilling(getFastBillingSettings());
+  };
+
+  /**
+   * Fast billing keys:
+   * - "3*" then a product key adds three; letter keys add their product
+   * - Enter opens the bill preview, Enter again confirms it
+   * - Escape clears the pending entry, then the cart (or leaves the preview)
+   */
+  const handleFastBillingKey = (e) => {
+    if (!fastBilling.enabled || currentView !== 'billing' || e.defaultPrevented) return;
+    if (e.ctrlKey || e.altKey || e.metaKey) return;
+    if (showSyncReview || showCashDrawer || voidingBill || showCustomerReturn || showHotkeySettings || shouldShowCheckIn || pickingProduct) return;
+
+    const isScanBox = e.target === scanInputRef.current;
+    const isOtherField = !isScanBox && ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+
+    if (receiptBill) {
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        e.preventDefault();
+        setReceiptBill(null);
+      }
+      return;
+    }
+
+    if (showWeightModal) {
+      // Enter is handled by the weight field
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setShowWeightModal(false);
+        setWeight('');
+        setSelectedProduct(null);
+      }
+      return;
+    }
+
+    if (showBillPreview) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setShowBillPreview(false);
+      } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+        e.preventDefault();
+        confirmBill();
+      }
+      return;
+    }
+
+    if (isOtherField) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      if (scanCode || multiplier > 1) {
+        setScanCode('');
+        setMultiplier(1);
+      } else if (cart.length > 0) {
+        clearCart();
+      }
+      return;
+    }
+
+    if (e.key === '*') {
+      e.preventDefault();
+      const quantity = parseMultiplier(scanCode);
+      if (quantity) {
+        setMultiplier(quantity);
+        setScanCode('');
+      }
+      return;
+    }
+
+    if (/^[a-z]$/i.test(e.key)) {
+      e.preventDefault();
+      const product = hotkeys[e.key.toUpperCase()];
+      if (product) {
+        addToCart(product, multiplier);
+        setMultiplier(1);
+        setScanCode('');
+      }
+      return;
+    }
+
+    if (e.key === 'Enter' && !isScanBox && cart.length > 0) {
+      e.preventDefault();
+      generateBill();
+      return;
+    }
+
+    // Typing digits anywhere on the screen goes to the scan box
+    if (/^\d$/.test(e.key) && !isScanBox) {
+      scanInputRef.current?.focus();
+    }
+  };
+
+  useEffect(() => {
+    fastKeyHandler.current = handleFastBillingKey;
+  });
+
+  useEffect(() => {
+    if (!fastBilling.enabled) return undefined;
+
+    const listener = (e) => fastKeyHandler.current?.(e);
+    window.addEventListener('keydown', listener);
+    return () => window.removeEventListener('keydown', listener);
+  }, [fastBilling.enabled]);
+
   // Loading state for auth
   if (authLoading) {
     return (
@@ -690,6 +1188,12 @@ const AyuboCafe = () => {
               autoFocus
               onKeyPress={(e) => e.key === 'Enter' && addWeightBasedProduct()}
             />
+
+            {fastBilling.enabled && (
+              <div className="mt-3">
+                <NumericKeypad value={weight} onChange={setWeight} />
+              </div>
+            )}
             
             {weight && (
               <div className="mt-3 p-3 bg-green-50 border-2 border-green-300 rounded-lg">
@@ -708,6 +1212,7 @@ const AyuboCafe = () => {
             Add to Cart
           </button>
         </div>
+        <BillingDialog dialog={dialog} onClose={closeDialog} />
       </div>
     );
   }
@@ -716,6 +1221,8 @@ const AyuboCafe = () => {
   // [Rest of the component continues as in original App.jsx]
 
   if (showBillPreview) {
+    const previewPricing = getCartPricing();
+
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 via-yellow-50 to-green-50 p-4">
         <div className="max-w-2xl mx-auto">
@@ -749,47 +1256,110 @@ const AyuboCafe = () => {
                 </div>
               ))}
 
+              {(previewPricing.applied.length > 0 || previewPricing.taxes.length > 0) && (
+                <div className="border-t border-gray-300 mt-2 pt-2 text-sm">
+                  <div className="flex justify-between">
+                    <span>Subtotal:</span>
+                    <span>Rs. {previewPricing.subtotal.toFixed(2)}</span>
+                  </div>
+                  {previewPricing.applied.map((discount, index) => (
+                    <div key={index} className="flex justify-between text-green-700">
+                      <span>{discount.promotion_name}</span>
+                      <span>-{discount.amount.toFixed(2)}</span>
+                    </div>
+                  ))}
+                  {previewPricing.taxes.map((tax, index) => (
+                    <div key={`tax-${index}`} className="flex justify-between text-gray-600">
+                      <span>{tax.is_inclusive ? `Includes ${describeTaxRate(tax)}` : describeTaxRate(tax)}</span>
+                      <span>{tax.is_inclusive ? '' : '+'}{tax.amount.toFixed(2)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div className="border-t-2 border-gray-300 mt-2 pt-2">
                 <div className="flex justify-between text-lg font-bold mb-2">
                   <span>Total:</span>
-                  <span className="text-blue-700">Rs. {calculateTotal()}</span>
+                  <span className="text-blue-700">Rs. {previewPricing.total.toFixed(2)}</span>
                 </div>
               </div>
             </div>
 
             <div className="space-y-3">
+              {serviceChargeRate > 0 && (
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={isDineIn}
+                    onChange={(e) => setIsDineIn(e.target.checked)}
+                    className="w-4 h-4"
+                  />
+                  Dine-in (add {serviceChargeRate}% service charge)
+                </label>
+              )}
+
               <div>
-                <label className="block text-sm font-semibold mb-1">Customer Paid:</label>
-                <input
-                  type="number"
-                  step="0.01"
-                  value={customerPaid}
-                  onChange={(e) => setCustomerPaid(e.target.value)}
-                  placeholder="Enter amount"
-                  className="w-full px-4 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-lg"
-                />
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={couponInput}
+                    onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                    onKeyDown={(e) => {
+                      // Enter applies the coupon rather than confirming the bill
+                      if (e.key === 'Enter') {
+                        e.preventDefault();
+                        setCouponCode(couponInput.trim());
+                      }
+                    }}
+                    placeholder="Coupon code"
+                    className="flex-1 min-w-0 px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm uppercase"
+                  />
+                  {couponCode ? (
+                    <button
+                      onClick={() => { setCouponCode(''); setCouponInput(''); }}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+                    >
+                      Remove
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => setCouponCode(couponInput.trim())}
+                      disabled={!couponInput.trim()}
+                      className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Apply
+                    </button>
+                  )}
+                </div>
+                {couponCode && previewPricing.couponError && (
+                  <p className="text-sm text-red-600 mt-1">{previewPricing.couponError}</p>
+                )}
               </div>
 
-              {customerPaid && (
-                <div className="bg-green-50 border-2 border-green-300 rounded-lg p-3">
-                  <div className="flex justify-between text-lg font-bold">
-                    <span>Balance:</span>
-                    <span className={parseFloat(calculateBalance()) >= 0 ? 'text-green-700' : 'text-red-700'}>
-                      Rs. {calculateBalance()}
-                    </span>
-                  </div>
-                </div>
-              )}
+              <TenderEntry
+                total={previewPricing.total}
+                tenders={tenders}
+                references={tenderReferences}
+                onTenderChange={(method, amount) => setTenders(prev => ({ ...prev, [method]: amount }))}
+                onReferenceChange={(method, reference) => setTenderReferences(prev => ({ ...prev, [method]: reference }))}
+                fastMode={fastBilling.enabled}
+              />
 
               <button
                 onClick={confirmBill}
-                className="w-full bg-gradient-to-r from-green-600 to-green-700 text-white py-3 rounded-lg font-bold hover:from-green-700 hover:to-green-800 transition"
+                disabled={savingBill}
+                className="w-full bg-gradient-to-r from-green-600 to-green-700 text-white py-3 rounded-lg font-bold hover:from-green-700 hover:to-green-800 transition disabled:opacity-50"
               >
-                Confirm & Save Bill
+                {savingBill ? 'Saving...' : 'Confirm & Save Bill'}
+                {fastBilling.enabled && !savingBill && <span className="ml-2 text-xs opacity-75">Enter</span>}
               </button>
+              {fastBilling.enabled && (
+                <p className="text-xs text-gray-500 text-center">Esc goes back to the cart</p>
+              )}
             </div>
           </div>
         </div>
+        <BillingDialog dialog={dialog} onClose={closeDialog} />
       </div>
     );
   }
@@ -832,6 +1402,39 @@ const AyuboCafe = () => {
                 </button>
               )}
 
+              {/* Ingredients button (cashier and owner) */}
+              {(currentUser?.role === 'cashier' || currentUser?.role === 'owner') && (
+                <button
+                  onClick={() => setCurrentView('ingredients')}
+                  className="flex items-center gap-2 bg-amber-600 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-amber-700 transition text-sm"
+                >
+                  🧂
+                  <span className="hidden sm:inline">Ingredients</span>
+                </button>
+              )}
+
+              {/* Stock Take button (cashier and owner) */}
+              {(currentUser?.role === 'cashier' || currentUser?.role === 'owner') && (
+                <button
+                  onClick={() => setCurrentView('stock-take')}
+                  className="flex items-center gap-2 bg-cyan-600 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-cyan-700 transition text-sm"
+                >
+                  📋
+                  <span className="hidden sm:inline">Stock Take</span>
+                </button>
+              )}
+
+              {/* Receiving button (cashier and owner) */}
+              {(currentUser?.role === 'cashier' || currentUser?.role === 'owner') && (
+                <button
+                  onClick={() => setCurrentView('receiving')}
+                  className="flex items-center gap-2 bg-lime-700 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-lime-800 transition text-sm"
+                >
+                  🚚
+                  <span className="hidden sm:inline">Receiving</span>
+                </button>
+              )}
+
               {/* Returns button (cashier and owner) */}
               {(currentUser?.role === 'cashier' || currentUser?.role === 'owner') && (
                 <button
@@ -843,6 +1446,17 @@ const AyuboCafe = () => {
                 </button>
               )}
 
+              {/* Waste button (cashier and owner) */}
+              {(currentUser?.role === 'cashier' || currentUser?.role === 'owner') && (
+                <button
+                  onClick={() => setCurrentView('waste')}
+                  className="flex items-center gap-2 bg-red-600 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-red-700 transition text-sm"
+                >
+                  🗑️
+                  <span className="hidden sm:inline">Waste</span>
+                </button>
+              )}
+
               {/* Owner-only navigation */}
               {currentUser?.role === 'owner' && (
                 <>
@@ -853,6 +1467,34 @@ const AyuboCafe = () => {
                     <TrendingUp size={18} />
                     <span className="hidden sm:inline">Sales</span>
                   </button>
+                  <button
+                    onClick={() => setCurrentView('shrinkage')}
+                    className="flex items-center gap-2 bg-rose-700 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-rose-800 transition text-sm"
+                  >
+                    📉
+                    <span className="hidden sm:inline">Shrinkage</span>
+                  </button>
+                  <button
+                    onClick={() => setCurrentView('purchase-orders')}
+                    className="flex items-center gap-2 bg-emerald-700 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-emerald-800 transition text-sm"
+                  >
+                    🛒
+                    <span className="hidden sm:inline">Purchase Orders</span>
+                  </button>
+                  <button
+                    onClick={() => setCurrentView('promotions')}
+                    className="flex items-center gap-2 bg-pink-600 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-pink-700 transition text-sm"
+                  >
+                    🏷️
+                    <span className="hidden sm:inline">Promotions</span>
+                  </button>
+                  <button
+                    onClick={() => setCurrentView('taxes')}
+                    className="flex items-center gap-2 bg-teal-600 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-teal-700 transition text-sm"
+                  >
+                    🧾
+                    <span className="hidden sm:inline">Taxes</span>
+                  </button>
                   <button
                     onClick={() => setCurrentView('users')}
                     className="flex items-center gap-2 bg-purple-600 text-white px-3 sm:px-4 py-2 rounded-lg hover:bg-purple-700 transition text-sm"
@@ -870,6 +1512,31 @@ const AyuboCafe = () => {
                 </>
               )}
 
+              {/* Staff notifications (e.g. low ingredients) */}
+              <NotificationBell onNavigate={setCurrentView} />
+
+              {/* Online / offline / pending sync indicator */}
+              <SyncStatusIndicator
+                isOnline={isOnline}
+                syncing={syncing}
+                pendingCount={pendingBills.length}
+                conflictCount={conflictBills.length}
+                onClick={() => setShowSyncReview(true)}
+              />
+
+              {/* Cash drawer shift */}
+              <button
+                onClick={() => setShowCashDrawer(true)}
+                className={`px-3 py-2 rounded-lg text-sm font-medium border transition ${
+                  cashShift.currentShift
+                    ? 'bg-green-50 border-green-300 text-green-800 hover:bg-green-100'
+                    : 'bg-orange-50 border-orange-300 text-orange-800 hover:bg-orange-100'
+                }`}
+                title="Open/close shift, cash in/out, X report"
+              >
+                💵 {cashShift.currentShift ? `Shift #${cashShift.currentShift.id}` : 'No Shift'}
+              </button>
+
               {/* User menu dropdown */}
               <div className="relative">
                 <button
@@ -914,16 +1581,56 @@ const AyuboCafe = () => {
             <ProductsPage />
           )}
 
+          {/* Ingredient Stock View */}
+          {currentView === 'ingredients' && (
+            <IngredientsPage />
+          )}
+
+          {/* Stock Take View */}
+          {currentView === 'stock-take' && (
+            <StockTakePage />
+          )}
+
+          {/* Goods Receiving View */}
+          {currentView === 'receiving' && (
+            <GoodsReceivingPage />
+          )}
+
+          {/* Purchase Orders View */}
+          {currentView === 'purchase-orders' && (
+            <PurchaseOrdersPage />
+          )}
+
           {/* Sales Reports View */}
           {currentView === 'sales' && (
             <SalesPage />
           )}
 
+          {/* Shrinkage View */}
+          {currentView === 'shrinkage' && (
+            <ShrinkagePage />
+          )}
+
+          {/* Waste Log View */}
+          {currentView === 'waste' && (
+            <WastePage />
+          )}
+
           {/* Returns Management View */}
           {currentView === 'returns' && (
             <ReturnsPage />
           )}
 
+          {/* Promotions View */}
+          {currentView === 'promotions' && (
+            <PromotionsPage />
+          )}
+
+          {/* Tax Settings View */}
+          {currentView === 'taxes' && (
+            <TaxSettingsPage />
+          )}
+
           {/* User Management View */}
           {currentView === 'users' && (
             <UserManagement />
@@ -939,7 +1646,47 @@ const AyuboCafe = () => {
             <>
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
                 <div>
-              <h2 className="text-lg sm:text-xl font-bold mb-4 text-blue-700">Products</h2>
+              <div className="flex items-center justify-between gap-2 mb-4">
+                <h2 className="text-lg sm:text-xl font-bold text-blue-700">Products</h2>
+                <div className="flex gap-2">
+                  {fastBilling.enabled && (
+                    <button
+                      onClick={() => setShowHotkeySettings(true)}
+                      className="px-3 py-1.5 border border-blue-300 text-blue-700 rounded-lg text-xs font-semibold hover:bg-blue-50"
+                    >
+                      Hotkeys
+                    </button>
+                  )}
+                  <button
+                    onClick={() => updateFastBilling({ enabled: !fastBilling.enabled })}
+                    title="Keyboard mode: letter keys add products, 3* sets a quantity, Enter bills, Esc clears"
+                    className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition ${
+                      fastBilling.enabled ? 'bg-blue-600 text-white hover:bg-blue-700' : 'border border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    ⌨️ Fast Mode {fastBilling.enabled ? 'On' : 'Off'}
+                  </button>
+                </div>
+              </div>
+              <form onSubmit={handleScan} className="mb-2 flex gap-2">
+                {multiplier > 1 && (
+                  <span className="flex items-center px-3 bg-blue-600 text-white rounded-lg font-bold text-sm" title="Next product is added this many times">
+                    {multiplier} ×
+                  </span>
+                )}
+                <input
+                  ref={scanInputRef}
+                  type="text"
+                  inputMode="numeric"
+                  placeholder={fastBilling.enabled
+                    ? 'Scan / PLU + Enter • 3* for quantity • Enter to bill'
+                    : 'Scan barcode or type PLU + Enter'}
+                  value={scanCode}
+                  onChange={(e) => setScanCode(e.target.value)}
+                  className="flex-1 min-w-0 px-4 py-2 border-2 border-green-300 rounded-lg focus:outline-none focus:border-green-500 text-sm font-mono"
+                  autoFocus
+                />
+              </form>
               <div className="mb-4 relative">
                 <Search size={20} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
                 <input
@@ -950,6 +1697,7 @@ const AyuboCafe = () => {
                   className="w-full pl-10 pr-4 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
                 />
               </div>
+              <MarkdownOffersBar offers={markdownOffers} onSelect={addMarkdownOffer} />
               <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-2 xl:grid-cols-3 gap-2 sm:gap-3 max-h-96 overflow-y-auto" style={{ transition: 'all 300ms ease-in-out' }}>
                 {filteredProducts.length > 0 ? (
                   filteredProducts.map(product => {
@@ -976,6 +1724,11 @@ const AyuboCafe = () => {
                             <Weight size={16} className="text-orange-700" />
                           </div>
                         )}
+                        {fastBilling.enabled && getProductHotkey(hotkeys, product.product_id) && (
+                          <span className="absolute top-0.5 left-0.5 w-5 h-5 flex items-center justify-center bg-blue-700 text-white text-xs font-mono font-bold rounded-full shadow">
+                            {getProductHotkey(hotkeys, product.product_id)}
+                          </span>
+                        )}
                         
                         <div className="group-hover:hidden">
                           <div className="flex items-center justify-between gap-2">
@@ -1027,6 +1780,14 @@ const AyuboCafe = () => {
                 <ShoppingCart size={24} />
                 Cart
               </h2>
+              <ParkedBillsBar
+                parkedBills={parkedBills}
+                canPark={cart.length > 0}
+                onPark={handleParkBill}
+                onRecall={handleRecallBill}
+                onDiscard={handleDiscardParkedBill}
+                recalling={recallingBill}
+              />
               <div className="bg-blue-50 rounded-lg p-3 sm:p-4 border-2 border-blue-200">
                 {cart.length === 0 ? (
                   <p className="text-gray-500 text-center py-8">Cart is empty</p>
@@ -1075,17 +1836,156 @@ const AyuboCafe = () => {
                         className="w-full bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 text-white py-3 rounded-lg font-bold transition shadow-md hover:shadow-lg"
                       >
                         Generate Bill
+                        {fastBilling.enabled && <span className="ml-2 text-xs opacity-75">Enter</span>}
                       </button>
                     </div>
                   </>
                 )}
               </div>
+
+              {/* Goods brought back against an earlier bill */}
+              <button
+                onClick={() => setShowCustomerReturn(true)}
+                className="mt-4 w-full text-sm px-3 py-2 border-2 border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 font-semibold"
+              >
+                ↩️ Customer Return
+              </button>
+
+              {/* Today's bills - void/refund needs owner approval for cashiers */}
+              {getTodaysBills().length > 0 && (
+                <div className="mt-4">
+                  <h3 className="text-sm font-bold text-gray-700 mb-2">Today's Bills</h3>
+                  <div className="space-y-1 max-h-48 overflow-y-auto">
+                    {getTodaysBills().map(order => (
+                      <div key={order.order_id} className="flex items-center justify-between gap-2 bg-gray-50 px-3 py-2 rounded border border-gray-200 text-sm">
+                        <span className="text-gray-600">
+                          #{order.order_id} • {new Date(order.order_date).toLocaleTimeString()}
+                          {order.status && order.status !== 'completed' && (
+                            <span className="ml-2 text-xs font-semibold text-red-700 uppercase">
+                              {order.status === 'voided' ? 'Voided' : 'Partly refunded'}
+                            </span>
+                          )}
+                        </span>
+                        <div className="flex items-center gap-2">
+                          <span className={`font-semibold ${order.status === 'voided' ? 'text-gray-400 line-through' : 'text-green-700'}`}>
+                            Rs. {parseFloat(order.value).toFixed(2)}
+                          </span>
+                          <button
+                            onClick={() => setReceiptBill({ bill: order, reprint: true })}
+                            className="text-xs px-2 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-100"
+                            title="Reprint receipt"
+                          >
+                            🖨️
+                          </button>
+                          {order.status !== 'voided' && (
+                            <button
+                              onClick={() => setVoidingBill(order)}
+                              className="text-xs px-2 py-1 border border-red-300 text-red-700 rounded hover:bg-red-50"
+                            >
+                              Void/Refund
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           </div>
             </>
           )}
         </div>
 
+        {/* Offline Bills Review Modal */}
+        {showSyncReview && (
+          <OfflineSyncReview
+            isOnline={isOnline}
+            syncing={syncing}
+            pendingBills={pendingBills}
+            conflictBills={conflictBills}
+            onSyncNow={syncNow}
+            onRetry={(bill) => retryBill(bill)}
+            onDiscard={handleDiscardOfflineBill}
+            onClose={() => setShowSyncReview(false)}
+          />
+        )}
+
+        {/* Cash Drawer Modal */}
+        {showCashDrawer && (
+          <CashDrawerModal
+            currentUser={currentUser}
+            shift={cashShift}
+            onClose={() => setShowCashDrawer(false)}
+          />
+        )}
+
+        {/* Void / Refund Modal */}
+        {voidingBill && (
+          <VoidBillModal
+            bill={voidingBill}
+            refundItems={billRefunds
+              .filter(refund => refund.order_id === voidingBill.order_id)
+              .flatMap(refund => refund.pos_refund_items || [])}
+            refundPayments={billRefunds
+              .filter(refund => refund.order_id === voidingBill.order_id)
+              .flatMap(refund => refund.pos_refund_payments || [])}
+            onClose={() => setVoidingBill(null)}
+            onRefunded={handleBillRefunded}
+          />
+        )}
+
+        {/* Customer Return Modal */}
+        {showCustomerReturn && (
+          <CustomerReturnModal
+            onClose={() => setShowCustomerReturn(false)}
+            onRefunded={handleBillRefunded}
+          />
+        )}
+
+        {/* Variant / Modifier Picker */}
+        {pickingProduct && (
+          <VariantPicker
+            product={pickingProduct.product}
+            quantity={pickingProduct.quantity}
+            onAdd={(cartItem) => {
+              if (addCartItem(cartItem)) {
+                setPickingProduct(null);
+              }
+            }}
+            onClose={() => setPickingProduct(null)}
+          />
+        )}
+
+        {/* Fast Billing Hotkeys */}
+        {showHotkeySettings && (
+          <HotkeySettings
+            products={sortedProducts}
+            hotkeys={Object.fromEntries(
+              Object.entries(hotkeys).map(([key, product]) => [key, product.product_id])
+            )}
+            onSave={(saved) => {
+              updateFastBilling({ hotkeys: saved });
+              setShowHotkeySettings(false);
+            }}
+            onReset={() => {
+              updateFastBilling({ hotkeys: null });
+              setShowHotkeySettings(false);
+            }}
+            onClose={() => setShowHotkeySettings(false)}
+          />
+        )}
+
+        {/* Receipt Modal */}
+        {receiptBill && (
+          <ReceiptModal
+            bill={receiptBill.bill}
+            reprint={receiptBill.reprint}
+            autoPrint={!receiptBill.reprint}
+            onClose={() => setReceiptBill(null)}
+          />
+        )}
+
         {/* Daily Stock Check-In Modal */}
         {shouldShowCheckIn && currentUser && (
           <DailyStockCheckIn
@@ -1099,6 +1999,9 @@ const AyuboCafe = () => {
             supabaseClient={supabaseClient}
           />
         )}
+
+        {/* Billing messages and confirmations */}
+        <BillingDialog dialog={dialog} onClose={closeDialog} />
       </div>
     </div>
   );
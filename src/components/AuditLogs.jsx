@@ -27,6 +27,11 @@ const ACTION_LABELS = {
   user_deactivated: 'User Deactivated',
   user_activated: 'User Activated',
   session_expired: 'Session Expired',
+  bill_voided: 'Bill Voided',
+  bill_refunded: 'Bill Refunded',
+  customer_return: 'Customer Return',
+  shift_opened: 'Shift Opened',
+  shift_closed: 'Shift Closed',
 };
 
 const AuditLogs = () => {
@@ -199,7 +204,7 @@ const AuditLogs = () => {
    */
   const getActionColor = (action) => {
     const dangerActions = ['failed_login', 'user_deactivated', 'session_expired', 'password_reset_requested'];
-    const warningActions = ['password_change', 'password_reset_completed', 'user_updated'];
+    const warningActions = ['password_change', 'password_reset_completed', 'user_updated', 'bill_voided', 'bill_refunded', 'customer_return'];
     
     if (dangerActions.includes(action)) {
       return 'bg-red-100 text-red-700';
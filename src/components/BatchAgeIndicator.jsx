@@ -1,27 +1,31 @@
 /**
  * Batch Age Indicator Component
- * Displays a color-coded badge showing the age of an inventory batch
+ * Displays a color-coded badge showing the age of an inventory batch,
+ * using the product's own age thresholds and shelf life when it has them
  */
 
-import { getBatchAgeColors } from '../utils/batchTracking';
+import { getBatchAgeColors, getDaysUntilExpiry } from '../utils/batchTracking';
 
 /**
  * BatchAgeIndicator Component
  * @param {Object} props
  * @param {number} props.age - Age of the batch in days
+ * @param {Object} props.product - Product with optional fresh_days, aging_days and shelf_life_days
  */
-const BatchAgeIndicator = ({ age }) => {
-  const colors = getBatchAgeColors(age);
+const BatchAgeIndicator = ({ age, product = null }) => {
+  const colors = getBatchAgeColors(age, product);
+  const daysLeft = getDaysUntilExpiry(age, product);
 
   return (
     <div className={`inline-flex items-center gap-2 px-3 py-1 rounded-full ${colors.bg}`}>
       <div className={`w-2 h-2 rounded-full ${colors.badge}`}></div>
       <span className={`text-xs font-bold ${colors.text}`}>
         Day {age}
+        {daysLeft !== null && daysLeft <= 0 && ' • Expired'}
+        {daysLeft === 1 && ' • Last day'}
       </span>
     </div>
   );
 };
 
 export default BatchAgeIndicator;
-
@@ -0,0 +1,76 @@
+/**
+ * Billing Dialog Component
+ * Shows the message or confirmation at the head of the useBillingDialog
+ * queue. Enter accepts and Escape cancels, so the cashier can keep both
+ * hands on the keyboard.
+ */
+
+import { useEffect } from 'react';
+import { DIALOG_TONES } from '../hooks/useBillingDialog';
+
+const TONE_STYLES = {
+  [DIALOG_TONES.ERROR]: { title: '❌ Cannot continue', border: 'border-red-400', button: 'bg-red-600 hover:bg-red-700' },
+  [DIALOG_TONES.WARNING]: { title: '⚠️ Please check', border: 'border-yellow-400', button: 'bg-yellow-600 hover:bg-yellow-700' },
+  [DIALOG_TONES.SUCCESS]: { title: '✅ Done', border: 'border-green-400', button: 'bg-green-600 hover:bg-green-700' },
+  [DIALOG_TONES.INFO]: { title: 'ℹ️ Note', border: 'border-blue-400', button: 'bg-blue-600 hover:bg-blue-700' }
+};
+
+/**
+ * BillingDialog Component
+ * @param {Object} props
+ * @param {Object|null} props.dialog - Dialog from useBillingDialog
+ * @param {Function} props.onClose - Called with true (accepted) or false (cancelled)
+ */
+const BillingDialog = ({ dialog, onClose }) => {
+  useEffect(() => {
+    if (!dialog) return undefined;
+
+    // Capture phase so the keys never reach the fast billing shortcuts underneath
+    const handleKeyDown = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        e.stopPropagation();
+        onClose(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        onClose(false);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [dialog, onClose]);
+
+  if (!dialog) return null;
+
+  const style = TONE_STYLES[dialog.tone] || TONE_STYLES[DIALOG_TONES.INFO];
+  const isConfirm = dialog.type === 'confirm';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-30 flex items-center justify-center z-[60] p-4" role="alertdialog" aria-modal="true">
+      <div className={`bg-white rounded-lg shadow-2xl p-5 w-full max-w-sm border-2 ${style.border}`}>
+        <h3 className="font-bold text-gray-800 mb-2">{isConfirm ? 'Confirm' : style.title}</h3>
+        <p className="text-sm text-gray-700 whitespace-pre-line mb-4">{dialog.message}</p>
+        <div className="flex gap-2 justify-end">
+          {isConfirm && (
+            <button
+              onClick={() => onClose(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+            >
+              Cancel <span className="text-xs text-gray-400">Esc</span>
+            </button>
+          )}
+          <button
+            onClick={() => onClose(true)}
+            className={`px-4 py-2 text-white rounded-lg text-sm font-semibold ${style.button}`}
+          >
+            {isConfirm ? dialog.confirmLabel : 'OK'} <span className="text-xs opacity-75">Enter</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BillingDialog;
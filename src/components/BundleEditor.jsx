@@ -0,0 +1,139 @@
+/**
+ * Bundle Editor Component
+ * Owner screen to make a product a combo ("tea + bun", party packs) by
+ * listing the products and quantities it is made of. The combo keeps its
+ * own price; the preview shows how a sale's revenue is split across the
+ * components.
+ */
+
+import { useState } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { X, Trash2, Loader } from './icons';
+import {
+  getBundleComponents,
+  splitBundleRevenue,
+  validateBundleComponents,
+  saveBundleComponents
+} from '../utils/productBundles';
+
+/**
+ * BundleEditor Component
+ * @param {Object} props
+ * @param {Object} props.product - Product to edit as a combo
+ * @param {Array} props.products - All products (to pick components from)
+ * @param {Function} props.onSaved - Called after the components are saved
+ * @param {Function} props.onClose - Close without saving
+ */
+const BundleEditor = ({ product, products, onSaved, onClose }) => {
+  const [components, setComponents] = useState(getBundleComponents(product));
+  const [saving, setSaving] = useState(false);
+
+  const componentOptions = products.filter(p => p.product_id !== product.product_id && !p.is_bundle);
+
+  const updateComponent = (index, changes) => {
+    setComponents(components.map((component, i) => (i === index ? { ...component, ...changes } : component)));
+  };
+
+  const revenueSplit = splitBundleRevenue(
+    components
+      .filter(component => component.product_id && parseFloat(component.quantity) > 0)
+      .map(component => ({
+        ...component,
+        quantity: parseFloat(component.quantity),
+        price: products.find(p => p.product_id === component.product_id)?.price
+      })),
+    parseFloat(product.price)
+  );
+
+  const handleSave = async () => {
+    const validation = validateBundleComponents(product, components, products);
+    if (!validation.isValid) {
+      alert(validation.errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await saveBundleComponents(supabaseClient, product.product_id, components);
+    setSaving(false);
+
+    if (error) {
+      alert(error.message || 'Error saving combo. Please try again.');
+      return;
+    }
+    onSaved();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-bold text-blue-700">Combo: {product.name}</h2>
+          <button onClick={onClose} className="text-gray-600 hover:text-gray-800">
+            <X size={24} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Selling one combo (Rs. {parseFloat(product.price).toFixed(2)}) uses these products' stock, oldest batches first.
+          Remove every component to make it a normal product again.
+        </p>
+
+        <div className="flex-1 overflow-y-auto space-y-2 mb-4">
+          {components.length === 0 && (
+            <p className="text-xs text-gray-500 px-2">Not a combo - add the products it is made of.</p>
+          )}
+          {components.map((component, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <select
+                value={component.product_id || ''}
+                onChange={(e) => updateComponent(index, { product_id: parseInt(e.target.value, 10) || null })}
+                className="flex-1 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              >
+                <option value="">Choose product...</option>
+                {componentOptions.map(option => (
+                  <option key={option.product_id} value={option.product_id}>{option.name}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                value={component.quantity}
+                onChange={(e) => updateComponent(index, { quantity: e.target.value })}
+                title="Quantity in one combo"
+                className="w-20 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              <span className="w-24 text-right text-xs text-gray-500">
+                {revenueSplit.find(share => share.product_id === component.product_id) &&
+                  `Rs. ${revenueSplit.find(share => share.product_id === component.product_id).revenue.toFixed(2)}`}
+              </span>
+              <button
+                onClick={() => setComponents(components.filter((_, i) => i !== index))}
+                className="text-red-600 hover:text-red-800"
+                title="Remove"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => setComponents([...components, { product_id: null, quantity: 1 }])}
+            className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+          >
+            + Add component
+          </button>
+        </div>
+
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="w-full bg-gradient-to-r from-blue-600 to-blue-700 text-white py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition disabled:opacity-50 flex items-center justify-center gap-2"
+        >
+          {saving && <Loader />}
+          Save Combo
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BundleEditor;
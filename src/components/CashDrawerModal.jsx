@@ -0,0 +1,302 @@
+/**
+ * Cash Drawer Modal Component
+ *
+ * Shift management for the cashier:
+ * - Open a shift with a float
+ * - Record cash-ins and cash-outs (petty cash, supplier payments)
+ * - Print an X report mid-shift
+ * - Close the shift with a denomination count (expected vs counted cash)
+ *   and print the Z report
+ *
+ * @component
+ */
+
+import { useState, useEffect } from 'react';
+import { X, Loader } from './icons';
+import {
+  DENOMINATIONS,
+  CASH_MOVEMENT_TYPES,
+  calculateDenominationTotal,
+  renderShiftReportHtml
+} from '../utils/cashShifts';
+import { printHtmlDocument } from '../utils/printing';
+
+/**
+ * CashDrawerModal Component
+ * @param {Object} props
+ * @param {Object} props.currentUser - Logged in user
+ * @param {Object} props.shift - useCashShift() result
+ * @param {Function} props.onClose - Close the modal
+ */
+const CashDrawerModal = ({ currentUser, shift, onClose }) => {
+  const { currentShift, openShift, addCashMovement, getShiftReport, closeShift } = shift;
+
+  const [mode, setMode] = useState('movement'); // 'movement' | 'close'
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [movementType, setMovementType] = useState(CASH_MOVEMENT_TYPES.CASH_OUT);
+  const [movementAmount, setMovementAmount] = useState('');
+  const [movementReason, setMovementReason] = useState('');
+  const [denominationCounts, setDenominationCounts] = useState({});
+  const [closingNotes, setClosingNotes] = useState('');
+  const [xReport, setXReport] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const cashierName = `${currentUser?.first_name || ''} ${currentUser?.last_name || ''}`.trim() || currentUser?.username;
+  const countedCash = calculateDenominationTotal(denominationCounts);
+
+  // Refresh expected cash when the cashier starts counting
+  useEffect(() => {
+    if (mode !== 'close' || !currentShift) return;
+
+    const loadExpected = async () => {
+      const { data, error } = await getShiftReport(currentShift, 'X');
+      if (error) {
+        setMessage({ type: 'error', text: error.message });
+        return;
+      }
+      setXReport(data);
+    };
+    loadExpected();
+  }, [mode, currentShift, getShiftReport]);
+
+  const printReport = (report) => {
+    const printed = printHtmlDocument(renderShiftReportHtml(report, { cashierName }));
+    if (!printed) {
+      setMessage({ type: 'error', text: 'Could not open the print dialog' });
+    }
+  };
+
+  const run = async (operation) => {
+    setProcessing(true);
+    setMessage(null);
+    try {
+      await operation();
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleOpenShift = () => run(async () => {
+    const { error } = await openShift(openingFloat);
+    if (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+    setMessage({ type: 'success', text: 'Shift opened' });
+  });
+
+  const handleMovement = () => run(async () => {
+    const { error } = await addCashMovement(movementType, movementAmount, movementReason);
+    if (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+    setMovementAmount('');
+    setMovementReason('');
+    setMessage({
+      type: 'success',
+      text: `${movementType === CASH_MOVEMENT_TYPES.CASH_IN ? 'Cash in' : 'Cash out'} of Rs. ${parseFloat(movementAmount).toFixed(2)} recorded`
+    });
+  });
+
+  const handleXReport = () => run(async () => {
+    const { data, error } = await getShiftReport(currentShift, 'X');
+    if (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+    printReport(data);
+  });
+
+  const handleCloseShift = () => run(async () => {
+    const { data: zReport, error } = await closeShift(denominationCounts, closingNotes);
+    if (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+    printReport(zReport);
+    onClose();
+  });
+
+  const variance = xReport ? countedCash - xReport.expectedCash : null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">💵 Cash Drawer</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {currentShift
+                ? `Shift #${currentShift.id} • opened ${new Date(currentShift.opened_at).toLocaleString()} by ${currentShift.opener?.username || 'unknown'}`
+                : 'No shift is open'}
+            </p>
+          </div>
+          <button onClick={onClose} disabled={processing} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {message && (
+            <div className={`rounded-lg p-3 text-sm border-2 ${
+              message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'
+            }`}>
+              {message.text}
+            </div>
+          )}
+
+          {/* Open shift */}
+          {!currentShift && (
+            <div className="space-y-3">
+              <label className="block text-sm font-semibold">Opening float (cash in drawer)</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={openingFloat}
+                onChange={(e) => setOpeningFloat(e.target.value)}
+                placeholder="0.00"
+                className="w-full px-4 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-lg"
+              />
+              <button
+                onClick={handleOpenShift}
+                disabled={processing || openingFloat === ''}
+                className="w-full bg-green-600 text-white py-2 rounded-lg font-bold hover:bg-green-700 disabled:opacity-50 flex items-center justify-center gap-2"
+              >
+                {processing && <Loader />}
+                Open Shift
+              </button>
+            </div>
+          )}
+
+          {currentShift && (
+            <>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setMode('movement')}
+                  className={`flex-1 py-2 rounded-lg text-sm font-semibold ${mode === 'movement' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+                >
+                  Cash In / Out
+                </button>
+                <button
+                  onClick={() => setMode('close')}
+                  className={`flex-1 py-2 rounded-lg text-sm font-semibold ${mode === 'close' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+                >
+                  Close Shift
+                </button>
+              </div>
+
+              {mode === 'movement' && (
+                <div className="space-y-3">
+                  <div className="flex gap-2">
+                    {Object.values(CASH_MOVEMENT_TYPES).map(type => (
+                      <label key={type} className="flex items-center gap-2 text-sm">
+                        <input
+                          type="radio"
+                          checked={movementType === type}
+                          onChange={() => setMovementType(type)}
+                        />
+                        {type === CASH_MOVEMENT_TYPES.CASH_IN ? 'Cash in' : 'Cash out'}
+                      </label>
+                    ))}
+                  </div>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={movementAmount}
+                    onChange={(e) => setMovementAmount(e.target.value)}
+                    placeholder="Amount"
+                    className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                  <input
+                    type="text"
+                    value={movementReason}
+                    onChange={(e) => setMovementReason(e.target.value)}
+                    placeholder="Reason, e.g. Petty cash - milk, Supplier payment"
+                    className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+                  />
+                  <div className="flex gap-2">
+                    <button
+                      onClick={handleMovement}
+                      disabled={processing || !movementAmount || !movementReason.trim()}
+                      className="flex-1 bg-blue-600 text-white py-2 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Record
+                    </button>
+                    <button
+                      onClick={handleXReport}
+                      disabled={processing}
+                      className="flex-1 border border-blue-300 text-blue-700 py-2 rounded-lg font-semibold hover:bg-blue-50 disabled:opacity-50"
+                    >
+                      Print X Report
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {mode === 'close' && (
+                <div className="space-y-3">
+                  <div className="grid grid-cols-2 gap-2">
+                    {DENOMINATIONS.map(denomination => (
+                      <div key={denomination} className="flex items-center gap-2">
+                        <span className="w-16 text-right text-sm font-medium text-gray-700">{denomination} ×</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={denominationCounts[denomination] ?? ''}
+                          onChange={(e) => setDenominationCounts(prev => ({ ...prev, [denomination]: e.target.value }))}
+                          className="w-20 px-2 py-1 border-2 border-gray-300 rounded text-center text-sm focus:outline-none focus:border-blue-500"
+                        />
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="bg-gray-50 border-2 border-gray-200 rounded-lg p-3 space-y-1 text-sm">
+                    <div className="flex justify-between">
+                      <span>Expected cash</span>
+                      <span className="font-semibold">{xReport ? `Rs. ${xReport.expectedCash.toFixed(2)}` : '...'}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Counted cash</span>
+                      <span className="font-semibold">Rs. {countedCash.toFixed(2)}</span>
+                    </div>
+                    {variance !== null && (
+                      <div className={`flex justify-between font-bold ${variance < 0 ? 'text-red-700' : variance > 0 ? 'text-orange-700' : 'text-green-700'}`}>
+                        <span>{variance < 0 ? 'Short' : variance > 0 ? 'Over' : 'Balanced'}</span>
+                        <span>Rs. {variance.toFixed(2)}</span>
+                      </div>
+                    )}
+                  </div>
+
+                  <textarea
+                    value={closingNotes}
+                    onChange={(e) => setClosingNotes(e.target.value)}
+                    rows={2}
+                    placeholder="Notes (optional)"
+                    className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+                  />
+
+                  <button
+                    onClick={handleCloseShift}
+                    disabled={processing || !xReport}
+                    className="w-full bg-red-600 text-white py-2 rounded-lg font-bold hover:bg-red-700 disabled:opacity-50 flex items-center justify-center gap-2"
+                  >
+                    {processing && <Loader />}
+                    Close Shift & Print Z Report
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CashDrawerModal;
@@ -0,0 +1,109 @@
+/**
+ * Customer Return Modal Component
+ *
+ * Takes back goods a customer brings back to the counter:
+ * - Look up the original POS bill by the number on the receipt
+ * - Then choose lines, quantities and restock or waste in VoidBillModal
+ *
+ * @component
+ */
+
+import { useState } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { X, Loader } from './icons';
+import VoidBillModal from './VoidBillModal';
+import { fetchBillForReturn } from '../utils/billRefunds';
+
+/**
+ * CustomerReturnModal Component
+ * @param {Object} props
+ * @param {Function} props.onClose - Close the modal
+ * @param {Function} props.onRefunded - Called with the refund summary after success
+ */
+const CustomerReturnModal = ({ onClose, onRefunded }) => {
+  const [billNumber, setBillNumber] = useState('');
+  const [lookup, setLookup] = useState(null);
+  const [error, setError] = useState('');
+  const [searching, setSearching] = useState(false);
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    setSearching(true);
+    setError('');
+
+    const { data, error: lookupError } = await fetchBillForReturn(supabaseClient, billNumber);
+    setSearching(false);
+
+    if (lookupError) {
+      setError(lookupError.message || 'Failed to find the bill');
+      return;
+    }
+    setLookup(data);
+  };
+
+  if (lookup) {
+    return (
+      <VoidBillModal
+        bill={lookup.bill}
+        refundItems={lookup.refundItems}
+        refundPayments={lookup.refundPayments}
+        customerReturn
+        onClose={onClose}
+        onRefunded={onRefunded}
+      />
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-sm w-full">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-xl font-bold text-gray-900">Customer Return</h2>
+          <button onClick={onClose} disabled={searching} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <form onSubmit={handleLookup} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-semibold mb-1">Bill number *</label>
+            <input
+              type="text"
+              value={billNumber}
+              onChange={(e) => setBillNumber(e.target.value)}
+              placeholder="e.g. #1042"
+              autoFocus
+              disabled={searching}
+              className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+            />
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border-2 border-red-200 rounded-lg p-3 text-sm text-red-700">{error}</div>
+          )}
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={searching}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 font-medium disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={searching || !billNumber.trim()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-bold disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+            >
+              {searching && <Loader />}
+              Find Bill
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerReturnModal;
@@ -1,11 +1,17 @@
 import { useState, useEffect } from 'react';
 import { X, Loader, Search } from './icons';
-import { createBatch } from '../utils/batchTracking';
+import { useAuth } from '../context/AuthContext';
+import { recordProduction } from '../utils/ingredients';
+import { notifyLowIngredients } from '../utils/notifications';
+import { fetchProductionSuggestions, saveProductionPlan, toDateKey } from '../utils/productionPlanning';
 
 /**
  * DailyStockCheckIn Component
  * Modal for daily stock quantity updates
  * Creates inventory batches for batch-level tracking and FIFO logic
+ * and uses up the products' recipe ingredients (production)
+ * Suggests quantities from recent same-weekday sales, returns, leftovers and
+ * customer orders, and records the plan that was made
  * 
  * @param {Array} products - List of all products
  * @param {Function} onSave - Callback when save is clicked
@@ -17,6 +23,8 @@ const DailyStockCheckIn = ({ products, onSave, onSkip, onClose, supabaseClient }
   const [stockUpdates, setStockUpdates] = useState({});
   const [saving, setSaving] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(null);
+  const { currentUser } = useAuth();
 
   // Initialize stock updates with zeros (for new batch creation)
   useEffect(() => {
@@ -27,6 +35,45 @@ const DailyStockCheckIn = ({ products, onSave, onSkip, onClose, supabaseClient }
     setStockUpdates(initialStock);
   }, [products]);
 
+  // Load suggested quantities for today
+  useEffect(() => {
+    const loadSuggestions = async () => {
+      const { data } = await fetchProductionSuggestions(
+        supabaseClient,
+        products.filter(product => !product.is_bundle),
+        toDateKey(new Date())
+      );
+      // Without sales history to go on, quantities are entered by hand as before
+      setSuggestions(data || {});
+    };
+    loadSuggestions();
+  }, [products, supabaseClient]);
+
+  /**
+   * Fill every product's quantity with its suggestion
+   */
+  const handleUseSuggestions = () => {
+    setStockUpdates(prev => {
+      const updated = { ...prev };
+      Object.entries(suggestions).forEach(([productId, suggestion]) => {
+        updated[productId] = suggestion.suggested;
+      });
+      return updated;
+    });
+  };
+
+  /**
+   * Explain how a suggestion was worked out
+   */
+  const describeSuggestion = (suggestion, unit) => {
+    return [
+      `Avg sold: ${suggestion.averageSold} ${unit}`,
+      `Avg returned: ${suggestion.averageReturned} ${unit}`,
+      `On hand: ${suggestion.onHand} ${unit}`,
+      `Customer orders: ${suggestion.customerOrders} ${unit}`
+    ].join(' • ');
+  };
+
   /**
    * Handle stock quantity change for a product
    * Validates input and updates state
@@ -70,9 +117,9 @@ const DailyStockCheckIn = ({ products, onSave, onSkip, onClose, supabaseClient }
         return;
       }
 
-      // Create batches for each product
+      // Create batches for each product; each batch consumes its recipe ingredients
       const batchPromises = batchesToCreate.map(({ product_id, quantity }) =>
-        createBatch(supabaseClient, product_id, quantity, today)
+        recordProduction(supabaseClient, product_id, quantity, today, currentUser?.user_id)
       );
 
       const results = await Promise.all(batchPromises);
@@ -84,8 +131,33 @@ const DailyStockCheckIn = ({ products, onSave, onSkip, onClose, supabaseClient }
         throw new Error(`Failed to create batches for ${errors.length} products`);
       }
 
+      // Ingredients this production has run down to their reorder level
+      const lowIngredients = results.flatMap(result => result.data?.low_ingredients || []);
+      if (lowIngredients.length > 0) {
+        await notifyLowIngredients(lowIngredients);
+      }
+
+      // Record the plan (what was suggested vs what was made) for reporting
+      const planItems = products
+        .filter(product => !product.is_bundle)
+        .map(product => ({
+          product_id: product.product_id,
+          suggested_quantity: suggestions?.[product.product_id]?.suggested ?? null,
+          planned_quantity: parseFloat(stockUpdates[product.product_id]) || 0
+        }))
+        .filter(item => item.planned_quantity > 0 || item.suggested_quantity > 0);
+      const { error: planError } = await saveProductionPlan(supabaseClient, toDateKey(new Date()), planItems, currentUser?.user_id);
+      if (planError) {
+        console.warn('Production plan not recorded:', planError);
+      }
+
       const successCount = results.filter(r => r.data).length;
-      alert(`✅ Successfully created ${successCount} inventory batch${successCount !== 1 ? 'es' : ''}!`);
+      alert(
+        `✅ Successfully created ${successCount} inventory batch${successCount !== 1 ? 'es' : ''}!` +
+        (lowIngredients.length > 0
+          ? `\n\n⚠️ Running low: ${lowIngredients.map(ingredient => ingredient.name).join(', ')}`
+          : '')
+      );
       onSave(); // Trigger parent callback to reload products
     } catch (error) {
       console.error('Error creating batches:', error);
@@ -103,9 +175,9 @@ const DailyStockCheckIn = ({ products, onSave, onSkip, onClose, supabaseClient }
     return product.is_weight_based ? `${quantity} kg` : quantity.toString();
   };
 
-  // Filter products based on search query
+  // Filter products based on search query; combos are stocked through their components
   const filteredProducts = products.filter(product =>
-    product.name.toLowerCase().includes(searchQuery.toLowerCase())
+    !product.is_bundle && product.name.toLowerCase().includes(searchQuery.toLowerCase())
   );
 
   return (
@@ -129,8 +201,8 @@ const DailyStockCheckIn = ({ products, onSave, onSkip, onClose, supabaseClient }
         </div>
 
         {/* Search Bar */}
-        <div className="p-4 border-b border-gray-200">
-          <div className="relative">
+        <div className="p-4 border-b border-gray-200 flex items-center gap-3">
+          <div className="relative flex-1">
             <Search size={20} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
             <input
               type="text"
@@ -140,6 +212,14 @@ const DailyStockCheckIn = ({ products, onSave, onSkip, onClose, supabaseClient }
               className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
           </div>
+          <button
+            onClick={handleUseSuggestions}
+            disabled={!suggestions || Object.keys(suggestions).length === 0 || saving}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+            title="Fill in the suggested quantity for every product"
+          >
+            {suggestions ? 'Use Suggestions' : 'Loading suggestions...'}
+          </button>
         </div>
 
         {/* Product List - Scrollable */}
@@ -161,6 +241,16 @@ const DailyStockCheckIn = ({ products, onSave, onSkip, onClose, supabaseClient }
                       Current: {formatStockDisplay(product)}
                     </p>
                   </div>
+                  {suggestions?.[product.product_id] && (
+                    <button
+                      onClick={() => handleStockChange(product.product_id, String(suggestions[product.product_id].suggested))}
+                      disabled={saving}
+                      className="text-xs bg-green-50 text-green-700 border border-green-200 rounded px-2 py-1 hover:bg-green-100"
+                      title={describeSuggestion(suggestions[product.product_id], product.is_weight_based ? 'kg' : 'pcs')}
+                    >
+                      Suggested: {suggestions[product.product_id].suggested}
+                    </button>
+                  )}
                 </div>
 
                 <div className="flex items-center gap-2">
@@ -0,0 +1,627 @@
+/**
+ * Goods Receiving Page Component
+ *
+ * Deliveries from the central bakery and other suppliers:
+ * - Pick the supplier, enter the delivery note number and the lines with
+ *   quantity and unit cost; each line becomes a costed batch
+ * - Receive against a purchase order: its outstanding lines are prefilled
+ *   and the order is closed once fully received (or closed short)
+ * - Past deliveries with their lines
+ * - Reconcile a delivery against the supplier's invoice; short or over
+ *   deliveries and price differences are flagged
+ * - Supplier list
+ *
+ * @component
+ */
+
+import { useState, useEffect, Fragment } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { Loader } from './icons';
+import SuppliersPanel from './SuppliersPanel';
+import { fetchSuppliers } from '../utils/suppliers';
+import { PURCHASE_ORDER_STATUS, fetchPurchaseOrders, getOutstandingLines } from '../utils/purchaseOrders';
+import {
+  GOODS_RECEIPT_STATUS,
+  calculateLineTotal,
+  summarizeReceiptLines,
+  compareInvoiceLine,
+  reconcileReceipt,
+  receiveGoods,
+  fetchGoodsReceipts,
+  reconcileGoodsReceipt
+} from '../utils/goodsReceiving';
+
+const STATUS_STYLES = {
+  received: 'bg-yellow-100 text-yellow-800',
+  reconciled: 'bg-green-100 text-green-800',
+  discrepancy: 'bg-red-100 text-red-800'
+};
+
+const STATUS_LABELS = {
+  received: 'Awaiting invoice',
+  reconciled: 'Reconciled',
+  discrepancy: 'Discrepancy'
+};
+
+const DELIVERY_LABELS = {
+  short: 'Short',
+  over: 'Over',
+  match: 'OK'
+};
+
+const EMPTY_LINE = { product_id: '', quantity: '', unit_cost: '' };
+
+const formatMoney = (amount) => `Rs. ${(parseFloat(amount) || 0).toFixed(2)}`;
+
+const formatName = (user) => (user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : '-');
+
+/**
+ * Describe a compareInvoiceLine result, e.g. "Short 2, price differs"
+ */
+const describeComparison = (comparison) => {
+  if (!comparison) return '-';
+  const quantity = comparison.delivery !== 'match' ? ` ${Math.abs(comparison.quantityDifference)}` : '';
+  return `${DELIVERY_LABELS[comparison.delivery]}${quantity}${comparison.priceMismatch ? ', price differs' : ''}`;
+};
+
+const comparisonClass = (comparison) => {
+  if (!comparison) return 'text-gray-400';
+  return comparison.delivery === 'match' && !comparison.priceMismatch ? 'text-green-700' : 'text-red-600';
+};
+
+const GoodsReceivingPage = () => {
+  const { currentUser } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [delivery, setDelivery] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [invoiceNumber, setInvoiceNumber] = useState('');
+  const [invoiceLines, setInvoiceLines] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadPage();
+  }, []);
+
+  const loadPage = async () => {
+    setLoading(true);
+    const [{ data: productData, error: productsError }] = await Promise.all([
+      supabaseClient
+        .from('products')
+        .select('product_id, name, is_weight_based, is_bundle')
+        .eq('is_bundle', false)
+        .order('name', { ascending: true }),
+      loadSuppliers(),
+      loadReceipts(),
+      loadPurchaseOrders()
+    ]);
+    if (productsError) {
+      setError('Failed to load products');
+    }
+    setProducts(productData || []);
+    setLoading(false);
+  };
+
+  const loadSuppliers = async () => {
+    const { data, error: loadError } = await fetchSuppliers(supabaseClient);
+    if (loadError) {
+      setError('Failed to load suppliers');
+    }
+    setSuppliers(data);
+  };
+
+  const loadReceipts = async () => {
+    const { data, error: loadError } = await fetchGoodsReceipts(supabaseClient);
+    if (loadError) {
+      setError('Failed to load deliveries');
+    }
+    setReceipts(data);
+  };
+
+  const loadPurchaseOrders = async () => {
+    const { data, error: loadError } = await fetchPurchaseOrders(supabaseClient, { receivableOnly: true });
+    if (loadError) {
+      setError('Failed to load purchase orders');
+    }
+    setPurchaseOrders(data);
+  };
+
+  const startDelivery = () => {
+    setError('');
+    setDelivery({
+      supplierId: '',
+      deliveryNoteNumber: '',
+      receivedDate: new Date().toISOString().split('T')[0],
+      notes: '',
+      purchaseOrderId: '',
+      closePurchaseOrder: false,
+      lines: [{ ...EMPTY_LINE }]
+    });
+  };
+
+  /**
+   * Receive against a purchase order, starting from what is still to come
+   */
+  const selectPurchaseOrder = (orderId) => {
+    const order = purchaseOrders.find(po => po.id === parseInt(orderId));
+    const outstanding = order ? getOutstandingLines(order.purchase_order_items) : [];
+    updateDelivery({
+      purchaseOrderId: orderId,
+      closePurchaseOrder: false,
+      lines: outstanding.length > 0
+        ? outstanding.map(line => ({
+          product_id: String(line.product_id),
+          quantity: String(line.quantity),
+          unit_cost: line.unit_cost == null ? '' : String(parseFloat(line.unit_cost))
+        }))
+        : [{ ...EMPTY_LINE }]
+    });
+  };
+
+  const updateDelivery = (changes) => setDelivery(prev => ({ ...prev, ...changes }));
+
+  const updateLine = (index, changes) => {
+    setDelivery(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    }));
+  };
+
+  const removeLine = (index) => {
+    setDelivery(prev => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }));
+  };
+
+  const handleReceive = async () => {
+    setSaving(true);
+    setError('');
+    const { data, error: receiveError } = await receiveGoods(
+      supabaseClient,
+      {
+        ...delivery,
+        supplierId: parseInt(delivery.supplierId) || null,
+        purchaseOrderId: parseInt(delivery.purchaseOrderId) || null
+      },
+      currentUser?.user_id
+    );
+    setSaving(false);
+
+    if (receiveError) {
+      setError(receiveError.message || 'Failed to receive delivery');
+      return;
+    }
+    const orderNote = data.purchase_order_status === PURCHASE_ORDER_STATUS.CLOSED
+      ? ` Purchase order #${delivery.purchaseOrderId} closed.`
+      : data.purchase_order_status === PURCHASE_ORDER_STATUS.PARTIAL
+        ? ` Purchase order #${delivery.purchaseOrderId} partially received.`
+        : '';
+    alert(`✅ Delivery #${data.id} received. Batches added to stock.${orderNote}`);
+    setDelivery(null);
+    await Promise.all([loadReceipts(), loadPurchaseOrders()]);
+  };
+
+  /**
+   * Open a delivery; unreconciled ones start with the invoice lines
+   * prefilled from what was received
+   */
+  const toggleReceipt = (receipt) => {
+    if (expandedId === receipt.id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(receipt.id);
+    setInvoiceNumber(receipt.invoice_number || '');
+    setInvoiceLines(receipt.status === GOODS_RECEIPT_STATUS.RECEIVED
+      ? Object.fromEntries(receipt.goods_receipt_items.map(item => [
+        item.id,
+        { invoiced_quantity: String(parseFloat(item.quantity)), invoiced_unit_cost: String(parseFloat(item.unit_cost)) }
+      ]))
+      : null);
+  };
+
+  const updateInvoiceLine = (itemId, changes) => {
+    setInvoiceLines(prev => ({ ...prev, [itemId]: { ...prev[itemId], ...changes } }));
+  };
+
+  const handleReconcile = async (receipt) => {
+    setSaving(true);
+    setError('');
+    const { data, error: reconcileError } = await reconcileGoodsReceipt(
+      supabaseClient,
+      receipt.id,
+      invoiceNumber,
+      invoiceLines,
+      currentUser?.user_id
+    );
+    setSaving(false);
+
+    if (reconcileError) {
+      setError(reconcileError.message || 'Failed to reconcile delivery');
+      return;
+    }
+    if (data.status === GOODS_RECEIPT_STATUS.DISCREPANCY) {
+      alert(`⚠️ Delivery #${receipt.id} does not match invoice ${invoiceNumber.trim()}. It has been flagged for follow-up with the supplier.`);
+    }
+    setExpandedId(null);
+    await loadReceipts();
+  };
+
+  const deliverySummary = delivery ? summarizeReceiptLines(delivery.lines.filter(line => line.product_id)) : null;
+  const supplierOrders = delivery
+    ? purchaseOrders.filter(order => order.supplier_id === parseInt(delivery.supplierId))
+    : [];
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-blue-700">Goods Receiving</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">Receive supplier deliveries and check them against invoices</p>
+          </div>
+          {!delivery && (
+            <button
+              onClick={startDelivery}
+              disabled={loading}
+              className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm disabled:opacity-50"
+            >
+              + Receive Delivery
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm">{error}</div>
+        )}
+
+        {/* Delivery entry */}
+        {delivery && (
+          <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+            <h2 className="text-lg sm:text-xl font-bold text-blue-800 mb-4">Receive Delivery</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+              <select
+                value={delivery.supplierId}
+                onChange={(e) => updateDelivery({ supplierId: e.target.value, purchaseOrderId: '', closePurchaseOrder: false })}
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              >
+                <option value="">Select supplier</option>
+                {suppliers.filter(supplier => supplier.is_active).map(supplier => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                placeholder="Delivery note number"
+                value={delivery.deliveryNoteNumber}
+                onChange={(e) => updateDelivery({ deliveryNoteNumber: e.target.value })}
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              />
+              <input
+                type="date"
+                value={delivery.receivedDate}
+                max={new Date().toISOString().split('T')[0]}
+                onChange={(e) => updateDelivery({ receivedDate: e.target.value })}
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              />
+            </div>
+
+            {supplierOrders.length > 0 && (
+              <div className="flex flex-col sm:flex-row gap-3 sm:items-center mb-4">
+                <select
+                  value={delivery.purchaseOrderId}
+                  onChange={(e) => selectPurchaseOrder(e.target.value)}
+                  className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                >
+                  <option value="">No purchase order</option>
+                  {supplierOrders.map(order => (
+                    <option key={order.id} value={order.id}>
+                      PO #{order.id}
+                      {order.expected_date && ` for ${new Date(order.expected_date).toLocaleDateString()}`}
+                      {order.status === PURCHASE_ORDER_STATUS.PARTIAL && ' (partially received)'}
+                    </option>
+                  ))}
+                </select>
+                {delivery.purchaseOrderId && (
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={delivery.closePurchaseOrder}
+                      onChange={(e) => updateDelivery({ closePurchaseOrder: e.target.checked })}
+                    />
+                    Close the order even if items are still outstanding
+                  </label>
+                )}
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[560px]">
+                <thead className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+                  <tr>
+                    <th className="text-left p-2 text-sm">Product</th>
+                    <th className="text-right p-2 text-sm">Quantity</th>
+                    <th className="text-right p-2 text-sm">Unit Cost</th>
+                    <th className="text-right p-2 text-sm">Line Total</th>
+                    <th className="p-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {delivery.lines.map((line, index) => {
+                    const product = products.find(p => p.product_id === parseInt(line.product_id));
+                    return (
+                      <tr key={index} className="border-t border-blue-100">
+                        <td className="p-2">
+                          <select
+                            value={line.product_id}
+                            onChange={(e) => updateLine(index, { product_id: e.target.value })}
+                            className="w-full px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+                          >
+                            <option value="">Select product</option>
+                            {products.map(p => (
+                              <option key={p.product_id} value={p.product_id}>{p.name}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="text-right p-2 whitespace-nowrap">
+                          <input
+                            type="number"
+                            min="0"
+                            step={product?.is_weight_based ? '0.01' : '1'}
+                            value={line.quantity}
+                            onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                            className="w-24 px-2 py-1 border-2 border-blue-300 rounded text-sm text-right focus:outline-none focus:border-blue-500"
+                          />
+                          {product?.is_weight_based && <span className="text-xs text-gray-500 ml-1">kg</span>}
+                        </td>
+                        <td className="text-right p-2">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={line.unit_cost}
+                            onChange={(e) => updateLine(index, { unit_cost: e.target.value })}
+                            className="w-28 px-2 py-1 border-2 border-blue-300 rounded text-sm text-right focus:outline-none focus:border-blue-500"
+                          />
+                        </td>
+                        <td className="text-right p-2 text-sm">{formatMoney(calculateLineTotal(line.quantity, line.unit_cost))}</td>
+                        <td className="text-right p-2">
+                          {delivery.lines.length > 1 && (
+                            <button
+                              onClick={() => removeLine(index)}
+                              className="text-red-600 hover:text-red-800 text-sm font-medium"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <button
+              onClick={() => updateDelivery({ lines: [...delivery.lines, { ...EMPTY_LINE }] })}
+              className="mt-2 text-blue-600 hover:text-blue-800 text-sm font-medium"
+            >
+              + Add Line
+            </button>
+
+            <div className="mt-4 flex flex-col sm:flex-row gap-3 sm:items-center justify-between">
+              <p className="text-sm text-gray-700">
+                {deliverySummary.lineCount} line{deliverySummary.lineCount !== 1 ? 's' : ''} • Total cost {formatMoney(deliverySummary.totalCost)}
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Notes (optional)"
+                  value={delivery.notes}
+                  onChange={(e) => updateDelivery({ notes: e.target.value })}
+                  className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                />
+                <button
+                  onClick={() => setDelivery(null)}
+                  disabled={saving}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-sm font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleReceive}
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-bold disabled:opacity-50 flex items-center gap-2"
+                >
+                  {saving && <Loader />}
+                  Receive into Stock
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Past deliveries */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-bold text-blue-800 mb-4">Deliveries</h2>
+          {loading ? (
+            <div className="flex justify-center py-8"><Loader /></div>
+          ) : receipts.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">No deliveries received yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[720px]">
+                <thead className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+                  <tr>
+                    <th className="text-left p-2 text-sm">#</th>
+                    <th className="text-left p-2 text-sm">Received</th>
+                    <th className="text-left p-2 text-sm">Supplier</th>
+                    <th className="text-left p-2 text-sm">Delivery Note</th>
+                    <th className="text-left p-2 text-sm">Invoice</th>
+                    <th className="text-center p-2 text-sm">Status</th>
+                    <th className="text-right p-2 text-sm">Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receipts.map(receipt => {
+                    const summary = summarizeReceiptLines(receipt.goods_receipt_items);
+                    const expanded = expandedId === receipt.id;
+                    const reconciliation = expanded && invoiceLines
+                      ? reconcileReceipt(receipt.goods_receipt_items, invoiceLines)
+                      : null;
+                    return (
+                      <Fragment key={receipt.id}>
+                        <tr
+                          onClick={() => toggleReceipt(receipt)}
+                          className="border-t border-blue-100 hover:bg-blue-50 cursor-pointer"
+                        >
+                          <td className="p-2 text-sm">{receipt.id}</td>
+                          <td className="p-2 text-sm">{new Date(receipt.received_date).toLocaleDateString()}</td>
+                          <td className="p-2 text-sm">{receipt.suppliers?.name || '-'}</td>
+                          <td className="p-2 text-sm">
+                            {receipt.delivery_note_number}
+                            {receipt.purchase_order_id && <span className="text-xs text-gray-500 ml-1">(PO #{receipt.purchase_order_id})</span>}
+                          </td>
+                          <td className="p-2 text-sm">{receipt.invoice_number || '-'}</td>
+                          <td className="text-center p-2">
+                            <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[receipt.status]}`}>
+                              {STATUS_LABELS[receipt.status]}
+                            </span>
+                          </td>
+                          <td className="text-right p-2 text-sm font-semibold">{formatMoney(summary.totalCost)}</td>
+                        </tr>
+                        {expanded && (
+                          <tr className="bg-gray-50">
+                            <td colSpan="7" className="p-3">
+                              <p className="text-sm text-gray-600 mb-2">Received by {formatName(receipt.receiver)}</p>
+                              {receipt.notes && <p className="text-sm text-gray-600 mb-2">Notes: {receipt.notes}</p>}
+                              {receipt.status !== GOODS_RECEIPT_STATUS.RECEIVED && (
+                                <p className="text-sm text-gray-600 mb-2">
+                                  Invoice {receipt.invoice_number} for {formatMoney(receipt.invoice_total)} checked by {formatName(receipt.reconciler)}
+                                  {receipt.reconciled_at && ` on ${new Date(receipt.reconciled_at).toLocaleString()}`}
+                                </p>
+                              )}
+
+                              {reconciliation ? (
+                                // Reconcile against the supplier's invoice
+                                <>
+                                  <table className="w-full text-sm mb-3">
+                                    <thead>
+                                      <tr className="text-gray-600">
+                                        <th className="text-left py-1">Product</th>
+                                        <th className="text-right py-1">Received</th>
+                                        <th className="text-right py-1">Unit Cost</th>
+                                        <th className="text-right py-1">Invoiced Qty</th>
+                                        <th className="text-right py-1">Invoiced Cost</th>
+                                        <th className="text-center py-1">Delivery</th>
+                                      </tr>
+                                    </thead>
+                                    <tbody>
+                                      {reconciliation.lines.map(line => (
+                                        <tr key={line.id}>
+                                          <td className="py-1">{line.product_name}</td>
+                                          <td className="text-right py-1">{parseFloat(line.quantity)}</td>
+                                          <td className="text-right py-1">{formatMoney(line.unit_cost)}</td>
+                                          <td className="text-right py-1">
+                                            <input
+                                              type="number"
+                                              min="0"
+                                              step="0.01"
+                                              value={line.invoiced_quantity ?? ''}
+                                              onChange={(e) => updateInvoiceLine(line.id, { invoiced_quantity: e.target.value })}
+                                              className="w-20 px-2 py-1 border-2 border-blue-300 rounded text-sm text-right focus:outline-none focus:border-blue-500"
+                                            />
+                                          </td>
+                                          <td className="text-right py-1">
+                                            <input
+                                              type="number"
+                                              min="0"
+                                              step="0.01"
+                                              value={line.invoiced_unit_cost ?? ''}
+                                              onChange={(e) => updateInvoiceLine(line.id, { invoiced_unit_cost: e.target.value })}
+                                              className="w-24 px-2 py-1 border-2 border-blue-300 rounded text-sm text-right focus:outline-none focus:border-blue-500"
+                                            />
+                                          </td>
+                                          <td className={`text-center py-1 font-semibold ${comparisonClass(line.comparison)}`}>
+                                            {describeComparison(line.comparison)}
+                                          </td>
+                                        </tr>
+                                      ))}
+                                    </tbody>
+                                  </table>
+                                  <p className={`text-sm mb-2 ${reconciliation.hasDiscrepancy ? 'text-red-600 font-semibold' : 'text-gray-700'}`}>
+                                    Received {formatMoney(reconciliation.receivedTotal)} • Invoiced {formatMoney(reconciliation.invoiceTotal)} •
+                                    Difference {formatMoney(reconciliation.difference)}
+                                  </p>
+                                  <div className="flex flex-col sm:flex-row gap-2">
+                                    <input
+                                      type="text"
+                                      placeholder="Supplier invoice number"
+                                      value={invoiceNumber}
+                                      onChange={(e) => setInvoiceNumber(e.target.value)}
+                                      className="flex-1 px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                                    />
+                                    <button
+                                      onClick={() => handleReconcile(receipt)}
+                                      disabled={saving || !invoiceNumber.trim() || !reconciliation.complete}
+                                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-bold disabled:opacity-50"
+                                    >
+                                      {reconciliation.hasDiscrepancy ? 'Save with Discrepancy' : 'Mark Reconciled'}
+                                    </button>
+                                  </div>
+                                </>
+                              ) : (
+                                <table className="w-full text-sm">
+                                  <thead>
+                                    <tr className="text-gray-600">
+                                      <th className="text-left py-1">Product</th>
+                                      <th className="text-right py-1">Received</th>
+                                      <th className="text-right py-1">Unit Cost</th>
+                                      <th className="text-right py-1">Line Total</th>
+                                      <th className="text-right py-1">Invoiced</th>
+                                      <th className="text-center py-1">Delivery</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {receipt.goods_receipt_items.map(item => {
+                                      const comparison = compareInvoiceLine(item, item.invoiced_quantity, item.invoiced_unit_cost);
+                                      return (
+                                        <tr key={item.id}>
+                                          <td className="py-1">{item.product_name}</td>
+                                          <td className="text-right py-1">{parseFloat(item.quantity)}</td>
+                                          <td className="text-right py-1">{formatMoney(item.unit_cost)}</td>
+                                          <td className="text-right py-1">{formatMoney(item.line_total)}</td>
+                                          <td className="text-right py-1">
+                                            {parseFloat(item.invoiced_quantity)} × {formatMoney(item.invoiced_unit_cost)}
+                                          </td>
+                                          <td className={`text-center py-1 font-semibold ${comparisonClass(comparison)}`}>
+                                            {describeComparison(comparison)}
+                                          </td>
+                                        </tr>
+                                      );
+                                    })}
+                                  </tbody>
+                                </table>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <SuppliersPanel suppliers={suppliers} onSaved={loadSuppliers} />
+      </div>
+    </div>
+  );
+};
+
+export default GoodsReceivingPage;
@@ -0,0 +1,76 @@
+/**
+ * Hotkey Settings Component
+ * Lets the cashier choose which letter adds which product in fast
+ * billing mode. Keys are saved on this device only.
+ */
+
+import { useState } from 'react';
+import { X } from './icons';
+import { HOTKEY_KEYS, setProductHotkey } from '../utils/fastBilling';
+
+/**
+ * HotkeySettings Component
+ * @param {Object} props
+ * @param {Array} props.products - POS products, best sellers first
+ * @param {Object} props.hotkeys - Current map of key to product_id
+ * @param {Function} props.onSave - Called with the new map of key to product_id
+ * @param {Function} props.onReset - Go back to the default keys for the top products
+ * @param {Function} props.onClose - Close without saving
+ */
+const HotkeySettings = ({ products, hotkeys, onSave, onReset, onClose }) => {
+  const [draft, setDraft] = useState(hotkeys);
+
+  const keyFor = (productId) => Object.keys(draft).find(key => draft[key] === productId) || '';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-bold text-blue-700">⌨️ Product Hotkeys</h2>
+          <button onClick={onClose} className="text-gray-600 hover:text-gray-800">
+            <X size={24} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Press the key to add one, or type a quantity and <span className="font-mono">*</span> first (e.g. <span className="font-mono">3*Q</span>).
+          A key moves to the last product it was given to.
+        </p>
+
+        <div className="flex-1 overflow-y-auto space-y-1 mb-4">
+          {products.map(product => (
+            <div key={product.product_id} className="flex items-center gap-3 px-2 py-1 rounded hover:bg-gray-50">
+              <span className="flex-1 text-sm">{product.name}</span>
+              <select
+                value={keyFor(product.product_id)}
+                onChange={(e) => setDraft(setProductHotkey(draft, product.product_id, e.target.value))}
+                className="w-20 px-2 py-1 border-2 border-blue-300 rounded text-sm font-mono focus:outline-none focus:border-blue-500"
+              >
+                <option value="">-</option>
+                {HOTKEY_KEYS.map(key => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={onReset}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+          >
+            Use Defaults
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            className="flex-1 bg-gradient-to-r from-blue-600 to-blue-700 text-white py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition"
+          >
+            Save Hotkeys
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HotkeySettings;
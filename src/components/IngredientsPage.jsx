@@ -0,0 +1,352 @@
+/**
+ * Ingredients Page Component
+ *
+ * Raw ingredient stock (flour, eggs, butter) used in production:
+ * - Stock against reorder levels, with low/out flags
+ * - Days of stock left at the last two weeks' production
+ * - Purchases and stock count adjustments
+ * - Add/edit ingredients (owner only)
+ *
+ * Production in the Daily Stock Check-In uses ingredients up through
+ * product recipes (Products page → Recipe).
+ *
+ * @component
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { Loader } from './icons';
+import {
+  INGREDIENT_UNITS,
+  INGREDIENT_MOVEMENT_REASONS,
+  formatIngredientQuantity,
+  getIngredientStockStatus,
+  calculateDaysOfCover,
+  fetchIngredients,
+  saveIngredient,
+  adjustIngredientStock
+} from '../utils/ingredients';
+import { getStockStatusColors } from '../utils/inventory';
+
+const EMPTY_INGREDIENT = { name: '', unit: 'kg', stock_quantity: '', reorder_level: '', cost_per_unit: '' };
+
+const STATUS_LABELS = { out: 'Out', low: 'Reorder', adequate: 'OK' };
+
+const IngredientsPage = () => {
+  const { currentUser } = useAuth();
+  const [ingredients, setIngredients] = useState([]);
+  const [form, setForm] = useState(null);
+  const [adjusting, setAdjusting] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isOwner = currentUser?.role === 'owner';
+
+  useEffect(() => {
+    loadIngredients();
+  }, []);
+
+  const loadIngredients = async () => {
+    setLoading(true);
+    const { data, error: loadError } = await fetchIngredients(supabaseClient);
+    if (loadError) {
+      setError('Failed to load ingredients');
+    }
+    setIngredients(data);
+    setLoading(false);
+  };
+
+  const handleSaveIngredient = async () => {
+    setSaving(true);
+    setError('');
+    const { error: saveError } = await saveIngredient(supabaseClient, form);
+    setSaving(false);
+
+    if (saveError) {
+      setError(saveError.message || 'Failed to save ingredient');
+      return;
+    }
+    setForm(null);
+    await loadIngredients();
+  };
+
+  const handleAdjust = async () => {
+    const change = parseFloat(adjusting.change);
+    if (!change) {
+      setError('Enter the quantity to add or remove');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    const { error: adjustError } = await adjustIngredientStock(supabaseClient, {
+      ingredientId: adjusting.ingredient.id,
+      change,
+      reason: adjusting.reason,
+      notes: adjusting.notes,
+      userId: currentUser?.user_id
+    });
+    setSaving(false);
+
+    if (adjustError) {
+      setError(adjustError.message || 'Failed to update stock');
+      return;
+    }
+    setAdjusting(null);
+    await loadIngredients();
+  };
+
+  const activeIngredients = ingredients.filter(ingredient => ingredient.is_active !== false);
+  const reorderCount = activeIngredients.filter(ingredient => getIngredientStockStatus(ingredient) !== 'adequate').length;
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-blue-700">Ingredients</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">
+              Raw ingredient stock used by production
+              {reorderCount > 0 && (
+                <span className="ml-2 px-2 py-0.5 rounded bg-yellow-100 text-yellow-800 text-xs font-semibold">
+                  {reorderCount} to reorder
+                </span>
+              )}
+            </p>
+          </div>
+          {isOwner && !form && (
+            <button
+              onClick={() => { setError(''); setForm({ ...EMPTY_INGREDIENT }); }}
+              className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm"
+            >
+              + New Ingredient
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm">{error}</div>
+        )}
+
+        {/* Add / Edit Ingredient (owner only) */}
+        {form && (
+          <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+            <h2 className="text-lg sm:text-xl font-bold text-blue-800 mb-3">{form.id ? 'Edit Ingredient' : 'New Ingredient'}</h2>
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Name (e.g. Flour)"
+                className="col-span-2 px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+              />
+              <select
+                value={form.unit}
+                onChange={(e) => setForm({ ...form, unit: e.target.value })}
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+              >
+                {INGREDIENT_UNITS.map(unit => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+              {!form.id && (
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={form.stock_quantity}
+                  onChange={(e) => setForm({ ...form, stock_quantity: e.target.value })}
+                  placeholder="Opening stock"
+                  className="px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+                />
+              )}
+              <input
+                type="number"
+                step="0.001"
+                min="0"
+                value={form.reorder_level}
+                onChange={(e) => setForm({ ...form, reorder_level: e.target.value })}
+                placeholder="Reorder level"
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+              />
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={form.cost_per_unit ?? ''}
+                onChange={(e) => setForm({ ...form, cost_per_unit: e.target.value })}
+                placeholder={`Cost per ${form.unit} (optional)`}
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+              />
+            </div>
+            {form.id && (
+              <label className="flex items-center gap-2 text-sm mt-3">
+                <input
+                  type="checkbox"
+                  checked={form.is_active !== false}
+                  onChange={(e) => setForm({ ...form, is_active: e.target.checked })}
+                  className="w-4 h-4"
+                />
+                In use
+              </label>
+            )}
+            <div className="flex gap-2 mt-4">
+              <button
+                onClick={handleSaveIngredient}
+                disabled={saving}
+                className="bg-green-600 text-white px-4 py-2 rounded-lg font-bold hover:bg-green-700 text-sm disabled:opacity-50 flex items-center gap-2"
+              >
+                {saving && <Loader />}
+                Save
+              </button>
+              <button
+                onClick={() => setForm(null)}
+                className="bg-gray-500 text-white px-4 py-2 rounded-lg font-bold hover:bg-gray-600 text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Stock */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+          {loading ? (
+            <p className="text-center text-gray-600 py-8">Loading ingredients...</p>
+          ) : ingredients.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No ingredients yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[600px]">
+                <thead className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+                  <tr>
+                    <th className="text-left p-2 sm:p-3 text-sm">Ingredient</th>
+                    <th className="text-right p-2 sm:p-3 text-sm">Stock</th>
+                    <th className="text-right p-2 sm:p-3 text-sm">Reorder At</th>
+                    <th className="text-center p-2 sm:p-3 text-sm">Status</th>
+                    <th className="text-right p-2 sm:p-3 text-sm">Lasts</th>
+                    <th className="p-2 sm:p-3"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ingredients.map(ingredient => {
+                    const status = getIngredientStockStatus(ingredient);
+                    const daysOfCover = calculateDaysOfCover(ingredient, ingredient.ingredient_movements);
+                    return (
+                      <tr
+                        key={ingredient.id}
+                        className={`border-t border-blue-100 ${ingredient.is_active === false ? 'text-gray-400' : ''}`}
+                      >
+                        <td className="p-2 sm:p-3 text-sm font-medium">{ingredient.name}</td>
+                        <td className={`text-right p-2 sm:p-3 text-sm ${parseFloat(ingredient.stock_quantity) < 0 ? 'text-red-700 font-semibold' : ''}`}>
+                          {formatIngredientQuantity(ingredient.stock_quantity, ingredient.unit)}
+                          {parseFloat(ingredient.stock_quantity) < 0 && (
+                            <div className="text-xs font-normal">Recount needed</div>
+                          )}
+                        </td>
+                        <td className="text-right p-2 sm:p-3 text-sm">{formatIngredientQuantity(ingredient.reorder_level, ingredient.unit)}</td>
+                        <td className="text-center p-2 sm:p-3">
+                          <span className={`px-2 py-0.5 rounded text-xs font-semibold ${getStockStatusColors(status).badge}`}>
+                            {STATUS_LABELS[status]}
+                          </span>
+                        </td>
+                        <td className="text-right p-2 sm:p-3 text-sm text-gray-600">
+                          {daysOfCover === null ? '-' : `${daysOfCover} day${daysOfCover !== 1 ? 's' : ''}`}
+                        </td>
+                        <td className="text-right p-2 sm:p-3 whitespace-nowrap">
+                          <button
+                            onClick={() => {
+                              setError('');
+                              setAdjusting({ ingredient, change: '', reason: INGREDIENT_MOVEMENT_REASONS.PURCHASE, notes: '' });
+                            }}
+                            className="text-green-700 hover:text-green-900 px-2 py-1 text-sm font-medium"
+                          >
+                            Stock
+                          </button>
+                          {isOwner && (
+                            <button
+                              onClick={() => { setError(''); setForm({ ...ingredient }); }}
+                              className="text-blue-600 hover:text-blue-800 px-2 py-1 text-sm font-medium"
+                            >
+                              Edit
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Purchase / Adjustment */}
+        {adjusting && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-2xl p-6 w-full max-w-md">
+              <h2 className="text-xl font-bold text-blue-700 mb-1">{adjusting.ingredient.name}</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                In stock: {formatIngredientQuantity(adjusting.ingredient.stock_quantity, adjusting.ingredient.unit)}
+              </p>
+              <div className="flex gap-2 mb-3">
+                {[INGREDIENT_MOVEMENT_REASONS.PURCHASE, INGREDIENT_MOVEMENT_REASONS.ADJUSTMENT].map(reason => (
+                  <button
+                    key={reason}
+                    onClick={() => setAdjusting({ ...adjusting, reason })}
+                    className={`flex-1 py-2 rounded-lg text-sm font-semibold border-2 ${
+                      adjusting.reason === reason ? 'border-blue-600 bg-blue-50 text-blue-800' : 'border-gray-200 text-gray-600'
+                    }`}
+                  >
+                    {reason === INGREDIENT_MOVEMENT_REASONS.PURCHASE ? 'Purchase' : 'Count Adjustment'}
+                  </button>
+                ))}
+              </div>
+              <input
+                type="number"
+                step="0.001"
+                value={adjusting.change}
+                onChange={(e) => setAdjusting({ ...adjusting, change: e.target.value })}
+                placeholder={adjusting.reason === INGREDIENT_MOVEMENT_REASONS.PURCHASE
+                  ? `Quantity received (${adjusting.ingredient.unit})`
+                  : `Quantity to add, or negative to remove (${adjusting.ingredient.unit})`}
+                autoFocus
+                className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 mb-3"
+              />
+              <input
+                type="text"
+                value={adjusting.notes}
+                onChange={(e) => setAdjusting({ ...adjusting, notes: e.target.value })}
+                placeholder="Notes (supplier, invoice, count)"
+                maxLength={200}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm mb-4"
+              />
+              {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+              <div className="flex gap-2">
+                <button
+                  onClick={handleAdjust}
+                  disabled={saving}
+                  className="flex-1 bg-gradient-to-r from-blue-600 to-blue-700 text-white py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition disabled:opacity-50 flex items-center justify-center gap-2"
+                >
+                  {saving && <Loader />}
+                  Save
+                </button>
+                <button
+                  onClick={() => setAdjusting(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default IngredientsPage;
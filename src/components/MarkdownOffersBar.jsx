@@ -0,0 +1,40 @@
+/**
+ * Markdown Offers Bar Component
+ * Aged batches that can be sold at a markdown right now; tapping one adds
+ * a line sold from that batch at the reduced price
+ */
+
+/**
+ * MarkdownOffersBar Component
+ * @param {Object} props
+ * @param {Array} props.offers - getMarkdownOffers() entries
+ * @param {Function} props.onSelect - Add an offer to the cart (offer)
+ */
+const MarkdownOffersBar = ({ offers, onSelect }) => {
+  if (offers.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="text-xs font-semibold text-red-700 mb-1">🏷️ Markdowns</div>
+      <div className="flex flex-wrap gap-2 max-h-24 overflow-y-auto">
+        {offers.map(offer => (
+          <button
+            key={offer.batch.id}
+            onClick={() => onSelect(offer)}
+            title={`${offer.rule.name}: batch #${offer.batch.id}, ${parseFloat(offer.batch.quantity)} left`}
+            className="flex items-center gap-2 bg-red-50 border border-red-300 rounded-full px-3 py-1 text-sm hover:bg-red-100"
+          >
+            <span className="font-medium text-gray-900">{offer.product.name}</span>
+            <span className="text-xs text-gray-500">Day {offer.age} • {parseFloat(offer.batch.quantity)} left</span>
+            <span className="text-xs text-gray-400 line-through">{offer.product.price.toFixed(2)}</span>
+            <span className="font-bold text-red-700">
+              {offer.price.toFixed(2)}{offer.product.is_weight_based && '/kg'}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownOffersBar;
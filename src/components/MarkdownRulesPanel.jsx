@@ -0,0 +1,239 @@
+/**
+ * Markdown Rules Panel Component
+ * Owner management of markdown rules for aged stock, e.g. "day-old batches
+ * 30% off" or "after 6pm, cakes 20% off". Shown on the Promotions page.
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { Loader } from './icons';
+import { describeMarkdownTrigger, fetchMarkdownRules, saveMarkdownRule } from '../utils/markdowns';
+
+const EMPTY_RULE = {
+  name: '',
+  percent_off: '',
+  product_id: '',
+  category_id: '',
+  min_batch_age_days: '',
+  start_time: '',
+  is_active: true
+};
+
+/**
+ * MarkdownRulesPanel Component
+ * @param {Object} props
+ * @param {Array} props.products - POS products ({ product_id, name })
+ * @param {Array} props.categories - Product categories ({ category_id, name })
+ */
+const MarkdownRulesPanel = ({ products, categories }) => {
+  const [rules, setRules] = useState([]);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    setLoading(true);
+    const { data, error: loadError } = await fetchMarkdownRules(supabaseClient);
+    if (loadError) {
+      setError('Failed to load markdown rules');
+    }
+    setRules(data);
+    setLoading(false);
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const startEdit = (rule) => {
+    setError('');
+    setForm({
+      ...EMPTY_RULE,
+      ...rule,
+      product_id: rule.product_id || '',
+      category_id: rule.category_id || '',
+      min_batch_age_days: rule.min_batch_age_days ?? '',
+      start_time: rule.start_time?.slice(0, 5) || ''
+    });
+  };
+
+  const handleSave = async (rule) => {
+    setSaving(true);
+    setError('');
+    const { error: saveError } = await saveMarkdownRule(supabaseClient, rule);
+    setSaving(false);
+
+    if (saveError) {
+      setError(saveError.message || 'Failed to save markdown rule');
+      return;
+    }
+    setForm(null);
+    await loadRules();
+  };
+
+  const describeTarget = (rule) => {
+    if (rule.product_id) {
+      return products.find(p => p.product_id === rule.product_id)?.name || 'Unknown product';
+    }
+    if (rule.category_id) {
+      return categories.find(c => c.category_id === rule.category_id)?.name || 'Unknown category';
+    }
+    return 'All products';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+        <div>
+          <h2 className="text-lg sm:text-xl font-bold text-blue-800">Markdowns for Aged Stock ({rules.length})</h2>
+          <p className="text-xs text-gray-500">The POS offers qualifying batches at the reduced price and sells from that batch</p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => { setError(''); setForm({ ...EMPTY_RULE }); }}
+            className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm"
+          >
+            + New Markdown
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-4 text-sm">{error}</div>
+      )}
+
+      {form && (
+        <div className="border-2 border-blue-200 rounded-lg p-4 mb-4 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="text"
+              placeholder='Name, e.g. "Day-old buns"'
+              value={form.name}
+              onChange={(e) => updateForm({ name: e.target.value })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <input
+              type="number"
+              min="1"
+              max="99"
+              placeholder="% off"
+              value={form.percent_off}
+              onChange={(e) => updateForm({ percent_off: e.target.value })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <select
+              value={form.product_id}
+              onChange={(e) => updateForm({ product_id: e.target.value, category_id: '' })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            >
+              <option value="">Any product</option>
+              {products.map(product => (
+                <option key={product.product_id} value={product.product_id}>{product.name}</option>
+              ))}
+            </select>
+            <select
+              value={form.category_id}
+              onChange={(e) => updateForm({ category_id: e.target.value })}
+              disabled={!!form.product_id}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500 disabled:bg-gray-100"
+            >
+              <option value="">Any category</option>
+              {categories.map(category => (
+                <option key={category.category_id} value={category.category_id}>{category.name}</option>
+              ))}
+            </select>
+            <label className="text-sm text-gray-700">
+              Batches at least
+              <input
+                type="number"
+                min="0"
+                value={form.min_batch_age_days}
+                onChange={(e) => updateForm({ min_batch_age_days: e.target.value })}
+                className="mx-2 w-20 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              days old
+            </label>
+            <label className="text-sm text-gray-700">
+              From
+              <input
+                type="time"
+                value={form.start_time}
+                onChange={(e) => updateForm({ start_time: e.target.value })}
+                className="mx-2 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              until closing
+            </label>
+          </div>
+          <p className="text-xs text-gray-500">Set a batch age, a start time, or both. The best markdown a batch qualifies for is used.</p>
+          <div className="flex gap-2 justify-end">
+            <button
+              onClick={() => setForm(null)}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-sm font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => handleSave(form)}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-bold disabled:opacity-50 flex items-center gap-2"
+            >
+              {saving && <Loader />}
+              Save Markdown
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8"><Loader /></div>
+      ) : rules.length === 0 ? (
+        <p className="text-center py-8 text-gray-500">No markdowns yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="bg-blue-100 text-left">
+                <th className="px-3 py-2">Name</th>
+                <th className="px-3 py-2">Markdown</th>
+                <th className="px-3 py-2">Applies to</th>
+                <th className="px-3 py-2">When</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id} className={`border-b ${rule.is_active ? '' : 'opacity-50'}`}>
+                  <td className="px-3 py-2 font-semibold">{rule.name}</td>
+                  <td className="px-3 py-2">{parseFloat(rule.percent_off)}% off</td>
+                  <td className="px-3 py-2 text-gray-600">{describeTarget(rule)}</td>
+                  <td className="px-3 py-2 text-gray-600">{describeMarkdownTrigger(rule)}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-right">
+                    <button
+                      onClick={() => startEdit(rule)}
+                      className="text-blue-600 hover:text-blue-800 px-2 font-medium"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleSave({ ...rule, is_active: !rule.is_active })}
+                      disabled={saving}
+                      className={`px-2 font-medium ${rule.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}
+                    >
+                      {rule.is_active ? 'Disable' : 'Enable'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownRulesPanel;
@@ -0,0 +1,60 @@
+/**
+ * Numeric Keypad Component
+ * On-screen keypad for typing weights and cash paid on the till's
+ * touch screen, laid out like the keyboard number pad.
+ */
+
+import { applyKeypadKey } from '../utils/fastBilling';
+
+const KEYS = ['7', '8', '9', '4', '5', '6', '1', '2', '3', '.', '0', 'backspace'];
+
+/**
+ * NumericKeypad Component
+ * @param {Object} props
+ * @param {string} props.value - Current text
+ * @param {Function} props.onChange - Called with the new text
+ * @param {number} props.decimals - Decimal places allowed (default: 2)
+ * @param {Array<number>} props.quickAmounts - Optional one-tap amounts (e.g. notes)
+ */
+const NumericKeypad = ({ value, onChange, decimals = 2, quickAmounts = [] }) => {
+  const press = (key) => onChange(applyKeypadKey(value, key, decimals));
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-3 gap-2">
+        {KEYS.map(key => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => press(key)}
+            disabled={key === '.' && decimals === 0}
+            className="py-3 bg-gray-100 border border-gray-300 rounded-lg text-lg font-semibold hover:bg-gray-200 disabled:opacity-40"
+          >
+            {key === 'backspace' ? '⌫' : key}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        {quickAmounts.map(amount => (
+          <button
+            key={amount}
+            type="button"
+            onClick={() => onChange(String(amount))}
+            className="flex-1 py-2 bg-green-50 border border-green-300 rounded-lg text-sm font-semibold text-green-800 hover:bg-green-100"
+          >
+            {amount}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => press('clear')}
+          className="flex-1 py-2 bg-red-50 border border-red-300 rounded-lg text-sm font-semibold text-red-700 hover:bg-red-100"
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NumericKeypad;
@@ -0,0 +1,137 @@
+/**
+ * Offline Sync Review Component
+ * Modal listing POS bills captured offline: bills still waiting to sync and
+ * bills the server rejected (e.g. stock already gone) that need a decision
+ */
+
+import { X, Loader } from './icons';
+
+/**
+ * OfflineSyncReview Component
+ * @param {Object} props
+ * @param {boolean} props.isOnline - Browser connectivity state
+ * @param {boolean} props.syncing - Whether a sync is in progress
+ * @param {Array} props.pendingBills - Bills waiting to be synced
+ * @param {Array} props.conflictBills - Bills rejected during sync
+ * @param {Function} props.onSyncNow - Trigger a sync
+ * @param {Function} props.onRetry - Retry a conflicted bill (bill, cart)
+ * @param {Function} props.onDiscard - Discard a conflicted bill after confirming (localId)
+ * @param {Function} props.onClose - Close the modal
+ */
+const OfflineSyncReview = ({
+  isOnline,
+  syncing,
+  pendingBills,
+  conflictBills,
+  onSyncNow,
+  onRetry,
+  onDiscard,
+  onClose
+}) => {
+  const formatItems = (cart) => cart
+    .map(item => `${item.displayName || item.name} x${item.quantity}`)
+    .join(', ');
+
+  // Queued bills carry their discounted total
+  const billTotal = (bill) => (bill.total ?? bill.cart
+    .reduce((sum, item) => sum + (item.price * item.quantity), 0))
+    .toFixed(2);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">🔄 Offline Bills</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {isOnline ? 'Connected' : 'Offline'} • {pendingBills.length} waiting • {conflictBills.length} need review
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Conflicts */}
+          <div>
+            <h3 className="text-lg font-bold text-orange-700 mb-3">Needs Review ({conflictBills.length})</h3>
+            {conflictBills.length === 0 ? (
+              <p className="text-sm text-gray-500">No conflicts.</p>
+            ) : (
+              <div className="space-y-3">
+                {conflictBills.map(bill => (
+                  <div key={bill.local_id} className="border-2 border-orange-200 bg-orange-50 rounded-lg p-4">
+                    <div className="flex justify-between items-start gap-2 mb-1">
+                      <span className="text-xs text-gray-600">{new Date(bill.captured_at).toLocaleString()}</span>
+                      <span className="font-bold text-gray-900">Rs. {billTotal(bill)}</span>
+                    </div>
+                    <p className="text-sm text-gray-700 mb-2">{formatItems(bill.cart)}</p>
+                    <p className="text-sm text-red-700 mb-3">⚠️ {bill.error_message}</p>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => onRetry(bill)}
+                        disabled={!isOnline || syncing}
+                        className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Retry
+                      </button>
+                      <button
+                        onClick={() => onDiscard(bill.local_id)}
+                        disabled={syncing}
+                        className="px-3 py-1.5 border border-red-300 text-red-700 rounded-lg text-sm font-medium hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Pending */}
+          <div>
+            <h3 className="text-lg font-bold text-blue-700 mb-3">Waiting to Sync ({pendingBills.length})</h3>
+            {pendingBills.length === 0 ? (
+              <p className="text-sm text-gray-500">All bills are synced.</p>
+            ) : (
+              <div className="space-y-2">
+                {pendingBills.map(bill => (
+                  <div key={bill.local_id} className="bg-gray-50 border border-gray-200 rounded-lg p-3">
+                    <div className="flex justify-between items-start gap-2">
+                      <span className="text-xs text-gray-600">{new Date(bill.captured_at).toLocaleString()}</span>
+                      <span className="font-semibold text-gray-900 text-sm">Rs. {billTotal(bill)}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{formatItems(bill.cart)}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 font-medium transition-colors"
+          >
+            Close
+          </button>
+          <button
+            onClick={onSyncNow}
+            disabled={!isOnline || syncing || pendingBills.length === 0}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+          >
+            {syncing && <Loader />}
+            {syncing ? 'Syncing...' : 'Sync Now'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineSyncReview;
@@ -0,0 +1,82 @@
+/**
+ * Parked Bills Bar Component
+ * Park the current cart under a label and recall parked carts
+ * so the cashier can serve the next customer in the queue
+ */
+
+import { useState } from 'react';
+import { X } from './icons';
+import { getParkedBillTotal } from '../utils/parkedBills';
+
+/**
+ * ParkedBillsBar Component
+ * @param {Object} props
+ * @param {Array} props.parkedBills - Parked bills
+ * @param {boolean} props.canPark - Whether the current cart has items
+ * @param {Function} props.onPark - Park the current cart (label)
+ * @param {Function} props.onRecall - Recall a parked bill (id)
+ * @param {Function} props.onDiscard - Discard a parked bill (id); the caller confirms first
+ * @param {boolean} props.recalling - Whether a recall stock check is running
+ */
+const ParkedBillsBar = ({ parkedBills, canPark, onPark, onRecall, onDiscard, recalling = false }) => {
+  const [label, setLabel] = useState('');
+
+  const handlePark = (e) => {
+    e.preventDefault();
+    onPark(label);
+    setLabel('');
+  };
+
+  return (
+    <div className="mb-3 space-y-2">
+      {canPark && (
+        <form onSubmit={handlePark} className="flex gap-2">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder='Label, e.g. "table 3"'
+            maxLength={40}
+            className="flex-1 px-3 py-1.5 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 whitespace-nowrap"
+          >
+            Park Bill
+          </button>
+        </form>
+      )}
+
+      {parkedBills.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {parkedBills.map(bill => (
+            <div
+              key={bill.id}
+              className="flex items-center bg-orange-100 border border-orange-300 rounded-full text-sm"
+            >
+              <button
+                onClick={() => onRecall(bill.id)}
+                disabled={recalling}
+                title={`Parked ${new Date(bill.parked_at).toLocaleTimeString()} - click to recall`}
+                className="pl-3 pr-2 py-1 text-orange-900 font-medium hover:text-orange-700 disabled:opacity-50"
+              >
+                {bill.label} • Rs. {getParkedBillTotal(bill.cart).toFixed(2)}
+              </button>
+              <button
+                onClick={() => onDiscard(bill.id)}
+                disabled={recalling}
+                title="Discard parked bill"
+                className="pr-2 text-orange-700 hover:text-red-700 disabled:opacity-50"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParkedBillsBar;
@@ -0,0 +1,210 @@
+/**
+ * Product Options Editor Component
+ * Owner screen for a product's variants (sizes/options with their own
+ * price and stock use) and modifiers (add-ons). Options are switched off
+ * rather than deleted so past bills keep their lines.
+ */
+
+import { useState } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { X, Loader } from './icons';
+import {
+  saveVariant,
+  saveModifier,
+  setProductOptionActive,
+  validateProductOption
+} from '../utils/productVariants';
+
+const EMPTY_VARIANT = { name: '', price: '', stock_units: 1, sort_order: 0 };
+const EMPTY_MODIFIER = { name: '', price: 0, sort_order: 0 };
+
+const byDisplayOrder = (a, b) => (a.sort_order || 0) - (b.sort_order || 0) || a.id - b.id;
+
+/**
+ * ProductOptionsEditor Component
+ * @param {Object} props
+ * @param {Object} props.product - Product with product_variants and product_modifiers
+ * @param {Function} props.onChanged - Called after any option is saved
+ * @param {Function} props.onClose - Close the editor
+ */
+const ProductOptionsEditor = ({ product, onChanged, onClose }) => {
+  const [variants, setVariants] = useState([...(product.product_variants || [])].sort(byDisplayOrder));
+  const [modifiers, setModifiers] = useState([...(product.product_modifiers || [])].sort(byDisplayOrder));
+  const [variantDraft, setVariantDraft] = useState(EMPTY_VARIANT);
+  const [modifierDraft, setModifierDraft] = useState(EMPTY_MODIFIER);
+  const [saving, setSaving] = useState(false);
+
+  const replaceOption = (list, saved) => {
+    const exists = list.some(option => option.id === saved.id);
+    return (exists ? list.map(option => option.id === saved.id ? saved : option) : [...list, saved]).sort(byDisplayOrder);
+  };
+
+  const handleSave = async (kind) => {
+    const isVariant = kind === 'variant';
+    const draft = isVariant ? variantDraft : modifierDraft;
+    const validation = validateProductOption(draft, isVariant);
+    if (!validation.isValid) {
+      alert(validation.errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    const { data, error } = isVariant
+      ? await saveVariant(supabaseClient, product.product_id, draft)
+      : await saveModifier(supabaseClient, product.product_id, draft);
+    setSaving(false);
+
+    if (error) {
+      alert(error.message || 'Error saving option. Please try again.');
+      return;
+    }
+
+    if (isVariant) {
+      setVariants(replaceOption(variants, data));
+      setVariantDraft(EMPTY_VARIANT);
+    } else {
+      setModifiers(replaceOption(modifiers, data));
+      setModifierDraft(EMPTY_MODIFIER);
+    }
+    onChanged();
+  };
+
+  const handleToggle = async (kind, option) => {
+    setSaving(true);
+    const { data, error } = await setProductOptionActive(supabaseClient, kind, option.id, option.is_active === false);
+    setSaving(false);
+
+    if (error) {
+      alert('Error updating option. Please try again.');
+      return;
+    }
+
+    if (kind === 'variant') {
+      setVariants(replaceOption(variants, data));
+    } else {
+      setModifiers(replaceOption(modifiers, data));
+    }
+    onChanged();
+  };
+
+  const renderOption = (kind, option, onEdit) => (
+    <div
+      key={option.id}
+      className={`flex items-center gap-2 px-2 py-1 rounded text-sm ${option.is_active === false ? 'text-gray-400' : ''}`}
+    >
+      <span className="flex-1">{option.name}</span>
+      <span className="w-24 text-right">Rs. {parseFloat(option.price).toFixed(2)}</span>
+      {kind === 'variant' && (
+        <span className="w-20 text-right text-xs text-gray-500">{parseFloat(option.stock_units)} stock</span>
+      )}
+      <button onClick={onEdit} disabled={saving} className="text-blue-600 hover:text-blue-800 px-1 text-xs font-medium">
+        Edit
+      </button>
+      <button
+        onClick={() => handleToggle(kind, option)}
+        disabled={saving}
+        className="text-gray-600 hover:text-gray-800 px-1 text-xs font-medium w-14"
+      >
+        {option.is_active === false ? 'Enable' : 'Disable'}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-bold text-blue-700">Options: {product.name}</h2>
+          <button onClick={onClose} className="text-gray-600 hover:text-gray-800">
+            <X size={24} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Variants replace the product price. Stock units is how much of the product's stock one sale uses
+          (e.g. 0.25 for a quarter cake).
+        </p>
+
+        <div className="flex-1 overflow-y-auto space-y-4">
+          <div>
+            <h3 className="font-semibold text-sm mb-1">Variants</h3>
+            {variants.length === 0 && <p className="text-xs text-gray-500 px-2">No variants - sold at the product price.</p>}
+            {variants.map(variant => renderOption('variant', variant, () => setVariantDraft(variant)))}
+            <div className="flex gap-2 mt-2">
+              <input
+                type="text"
+                value={variantDraft.name}
+                onChange={(e) => setVariantDraft({ ...variantDraft, name: e.target.value })}
+                placeholder="e.g. Large"
+                className="flex-1 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={variantDraft.price}
+                onChange={(e) => setVariantDraft({ ...variantDraft, price: e.target.value })}
+                placeholder="Price"
+                className="w-24 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                value={variantDraft.stock_units}
+                onChange={(e) => setVariantDraft({ ...variantDraft, stock_units: e.target.value })}
+                title="Stock units used per sale"
+                className="w-20 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              <button
+                onClick={() => handleSave('variant')}
+                disabled={saving}
+                className="bg-blue-600 text-white px-3 py-1 rounded text-sm font-bold hover:bg-blue-700 disabled:opacity-50"
+              >
+                {variantDraft.id ? 'Save' : 'Add'}
+              </button>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="font-semibold text-sm mb-1">Modifiers</h3>
+            {modifiers.length === 0 && <p className="text-xs text-gray-500 px-2">No add-ons.</p>}
+            {modifiers.map(modifier => renderOption('modifier', modifier, () => setModifierDraft(modifier)))}
+            <div className="flex gap-2 mt-2">
+              <input
+                type="text"
+                value={modifierDraft.name}
+                onChange={(e) => setModifierDraft({ ...modifierDraft, name: e.target.value })}
+                placeholder="e.g. Extra cheese"
+                className="flex-1 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={modifierDraft.price}
+                onChange={(e) => setModifierDraft({ ...modifierDraft, price: e.target.value })}
+                placeholder="+ Price"
+                className="w-24 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              <button
+                onClick={() => handleSave('modifier')}
+                disabled={saving}
+                className="bg-blue-600 text-white px-3 py-1 rounded text-sm font-bold hover:bg-blue-700 disabled:opacity-50"
+              >
+                {modifierDraft.id ? 'Save' : 'Add'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {saving && (
+          <div className="flex items-center gap-2 text-sm text-gray-500 mt-3">
+            <Loader /> Saving...
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductOptionsEditor;
@@ -6,6 +6,10 @@
  * - Stock management
  * - Product sorting configuration (owner only)
  * - Bulk stock updates
+ * - Variants and modifiers (owner only)
+ * - Combo / bundle components (owner only)
+ * - Recipes: ingredients used per unit produced (owner only)
+ * - Stock card: every stock movement with its running balance
  * 
  * Accessible to owners and cashiers
  * 
@@ -22,8 +26,25 @@ import StockBadge from './StockBadge';
 import SalesBadge from './SalesBadge';
 import SortConfigPanel from './SortConfigPanel';
 import DailyStockCheckIn from './DailyStockCheckIn';
+import ProductOptionsEditor from './ProductOptionsEditor';
+import BundleEditor from './BundleEditor';
+import RecipeEditor from './RecipeEditor';
+import StockCard from './StockCard';
 import { fetchSalesData, invalidateSalesCache } from '../utils/productSorting';
 import { getStockStatus } from '../utils/inventory';
+import { validateProductCodes } from '../utils/barcodes';
+import { PRODUCT_OPTIONS_SELECT, getActiveVariants } from '../utils/productVariants';
+import { PRODUCT_BUNDLE_SELECT, getBundleComponents, applyBundleStock } from '../utils/productBundles';
+
+// Unique index violations on barcode / plu_code
+const DUPLICATE_CODE_MESSAGE = 'That barcode or PLU is already used by another product.';
+
+// Empty shelf life / threshold inputs mean "not set"
+const parseOptionalDays = (value) => {
+  if (value === '' || value == null) return null;
+  const days = parseInt(value);
+  return isNaN(days) || days < 0 ? null : days;
+};
 
 const ProductsPage = () => {
   const { currentUser } = useAuth();
@@ -40,8 +61,16 @@ const ProductsPage = () => {
     lowStockThreshold: 5,
     originalPrice: '',
     salePrice: '',
-    defaultReturnPercentage: 20
+    defaultReturnPercentage: 20,
+    categoryId: '',
+    barcode: '',
+    pluCode: ''
   });
+  const [categories, setCategories] = useState([]);
+  const [optionsProductId, setOptionsProductId] = useState(null);
+  const [bundleProductId, setBundleProductId] = useState(null);
+  const [recipeProductId, setRecipeProductId] = useState(null);
+  const [stockCardProductId, setStockCardProductId] = useState(null);
 
   // Sort configuration hook
   const {
@@ -58,6 +87,10 @@ const ProductsPage = () => {
     showCheckInManually
   } = useStockCheckIn(currentUser?.role);
 
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
   useEffect(() => {
     loadProducts();
     if (currentUser?.role === 'owner') {
@@ -70,11 +103,11 @@ const ProductsPage = () => {
       setLoading(true);
       const { data, error } = await supabaseClient
         .from('products')
-        .select('product_id, name, price, is_weight_based, stock_quantity, low_stock_threshold, updated_time, original_price, sale_price, default_return_percentage')
+        .select(`product_id, name, price, is_weight_based, stock_quantity, low_stock_threshold, updated_time, original_price, sale_price, default_return_percentage, shelf_life_days, fresh_days, aging_days, expiry_action, category_id, barcode, plu_code, ${PRODUCT_OPTIONS_SELECT}, ${PRODUCT_BUNDLE_SELECT}`)
         .order('product_id', { ascending: true });
 
       if (error) throw error;
-      setProducts(data || []);
+      setProducts(applyBundleStock(data || []));
     } catch (error) {
       console.error('Error loading products:', error);
       alert('Error loading products. Please refresh the page.');
@@ -83,6 +116,20 @@ const ProductsPage = () => {
     }
   };
 
+  // Categories are shared with the online catalog and drive category promotions
+  const loadCategories = async () => {
+    const { data, error } = await supabaseClient
+      .from('product_categories')
+      .select('category_id, name')
+      .order('display_order', { ascending: true });
+
+    if (error) {
+      console.error('Error loading categories:', error);
+      return;
+    }
+    setCategories(data || []);
+  };
+
   const loadSalesData = async () => {
     try {
       setLoadingSalesData(true);
@@ -112,6 +159,13 @@ const ProductsPage = () => {
       }
     }
 
+    const codes = { barcode: newProduct.barcode.trim(), plu_code: newProduct.pluCode.trim() };
+    const codeValidation = validateProductCodes(codes, products);
+    if (!codeValidation.isValid) {
+      alert(codeValidation.errors.join('\n'));
+      return;
+    }
+
     try {
       const product = {
         product_id: Date.now(),
@@ -122,7 +176,10 @@ const ProductsPage = () => {
         low_stock_threshold: parseFloat(newProduct.lowStockThreshold) || 5,
         original_price: newProduct.originalPrice ? parseFloat(newProduct.originalPrice) : parseFloat(newProduct.price) * 0.85,
         sale_price: newProduct.salePrice ? parseFloat(newProduct.salePrice) : parseFloat(newProduct.price),
-        default_return_percentage: parseInt(newProduct.defaultReturnPercentage) || 20
+        default_return_percentage: parseInt(newProduct.defaultReturnPercentage) || 20,
+        category_id: newProduct.categoryId || null,
+        barcode: codes.barcode || null,
+        plu_code: codes.plu_code || null
       };
 
       const { error } = await supabaseClient
@@ -132,11 +189,11 @@ const ProductsPage = () => {
       if (error) throw error;
 
       await loadProducts();
-      setNewProduct({ name: '', price: '', isWeightBased: false, stockQuantity: 0, lowStockThreshold: 5, originalPrice: '', salePrice: '', defaultReturnPercentage: 20 });
+      setNewProduct({ name: '', price: '', isWeightBased: false, stockQuantity: 0, lowStockThreshold: 5, originalPrice: '', salePrice: '', defaultReturnPercentage: 20, categoryId: '', barcode: '', pluCode: '' });
       alert('Product added successfully!');
     } catch (error) {
       console.error('Error adding product:', error);
-      alert('Error adding product. Please try again.');
+      alert(error.code === '23505' ? DUPLICATE_CODE_MESSAGE : 'Error adding product. Please try again.');
     }
   };
 
@@ -175,10 +232,30 @@ const ProductsPage = () => {
         }
       }
 
+      const freshDays = parseOptionalDays(editingProduct.fresh_days);
+      const agingDays = parseOptionalDays(editingProduct.aging_days);
+      if (freshDays !== null && agingDays !== null && freshDays > agingDays) {
+        alert('Fresh days must be less than or equal to aging days');
+        return;
+      }
+
+      const codes = {
+        barcode: (editingProduct.barcode || '').trim(),
+        plu_code: (editingProduct.plu_code || '').trim()
+      };
+      const codeValidation = validateProductCodes(codes, products, editingProduct.product_id);
+      if (!codeValidation.isValid) {
+        alert(codeValidation.errors.join('\n'));
+        return;
+      }
+
       const updateData = {
         name: editingProduct.name,
         price: editingProduct.price,
-        is_weight_based: editingProduct.is_weight_based
+        is_weight_based: editingProduct.is_weight_based,
+        category_id: editingProduct.category_id || null,
+        barcode: codes.barcode || null,
+        plu_code: codes.plu_code || null
       };
 
       if (currentUser.role === 'owner') {
@@ -195,6 +272,12 @@ const ProductsPage = () => {
         if (editingProduct.default_return_percentage !== undefined) {
           updateData.default_return_percentage = parseInt(editingProduct.default_return_percentage);
         }
+
+        // Shelf life fields (empty = no expiry / default thresholds)
+        updateData.shelf_life_days = parseOptionalDays(editingProduct.shelf_life_days) || null;
+        updateData.fresh_days = freshDays;
+        updateData.aging_days = agingDays;
+        updateData.expiry_action = editingProduct.expiry_action || 'warn';
       }
 
       const { error } = await supabaseClient
@@ -209,7 +292,7 @@ const ProductsPage = () => {
       alert('Product updated successfully!');
     } catch (error) {
       console.error('Error updating product:', error);
-      alert('Error updating product. Please try again.');
+      alert(error.code === '23505' ? DUPLICATE_CODE_MESSAGE : 'Error updating product. Please try again.');
     }
   };
 
@@ -349,6 +432,32 @@ const ProductsPage = () => {
               </p>
             </div>
 
+            {/* Scanning Fields */}
+            <div className="border-t border-gray-300 pt-3 mt-3">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Scanning (Optional)</h4>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2 sm:gap-3">
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="Barcode (EAN/UPC)"
+                  value={newProduct.barcode}
+                  onChange={(e) => setNewProduct({ ...newProduct, barcode: e.target.value })}
+                  className="px-3 py-2 border-2 border-green-300 rounded-lg focus:outline-none focus:border-green-500 text-sm font-mono"
+                />
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  placeholder="PLU (scale item code)"
+                  value={newProduct.pluCode}
+                  onChange={(e) => setNewProduct({ ...newProduct, pluCode: e.target.value })}
+                  className="px-3 py-2 border-2 border-green-300 rounded-lg focus:outline-none focus:border-green-500 text-sm font-mono"
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Weight-based products are found on scale labels by their PLU
+              </p>
+            </div>
+
             <label className="flex items-center gap-2 text-sm">
               <input
                 type="checkbox"
@@ -358,6 +467,18 @@ const ProductsPage = () => {
               />
               <span>Weight-based pricing (price per kg)</span>
             </label>
+            {categories.length > 0 && (
+              <select
+                value={newProduct.categoryId}
+                onChange={(e) => setNewProduct({ ...newProduct, categoryId: e.target.value })}
+                className="w-full sm:w-64 px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+              >
+                <option value="">No category</option>
+                {categories.map(category => (
+                  <option key={category.category_id} value={category.category_id}>{category.name}</option>
+                ))}
+              </select>
+            )}
             <button
               onClick={showCheckInManually}
               className="w-full bg-gradient-to-r from-green-600 to-green-700 text-white px-4 py-2 rounded-lg hover:from-green-700 hover:to-green-800 transition text-sm font-bold flex items-center justify-center gap-2"
@@ -406,6 +527,38 @@ const ProductsPage = () => {
                           />
                           <span>Weight-based</span>
                         </label>
+                        {categories.length > 0 && (
+                          <select
+                            value={editingProduct.category_id || ''}
+                            onChange={(e) => setEditingProduct({ ...editingProduct, category_id: e.target.value })}
+                            className="w-full px-2 py-1 border-2 border-blue-300 rounded focus:outline-none focus:border-blue-500 text-xs"
+                          >
+                            <option value="">No category</option>
+                            {categories.map(category => (
+                              <option key={category.category_id} value={category.category_id}>{category.name}</option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+
+                      {/* Scanning Fields Row */}
+                      <div className="grid grid-cols-2 gap-2">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={editingProduct.barcode || ''}
+                          onChange={(e) => setEditingProduct({ ...editingProduct, barcode: e.target.value })}
+                          className="w-full px-2 py-1 border-2 border-green-300 rounded focus:outline-none focus:border-green-500 font-mono"
+                          placeholder="Barcode"
+                        />
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={editingProduct.plu_code || ''}
+                          onChange={(e) => setEditingProduct({ ...editingProduct, plu_code: e.target.value })}
+                          className="w-full px-2 py-1 border-2 border-green-300 rounded focus:outline-none focus:border-green-500 font-mono"
+                          placeholder="PLU"
+                        />
                       </div>
 
                       {/* Stock Fields Row */}
@@ -461,6 +614,51 @@ const ProductsPage = () => {
                               </select>
                             </div>
                           </div>
+
+                          {/* Shelf Life Fields Row */}
+                          {!editingProduct.is_bundle && (
+                            <div className="border-t border-gray-300 pt-2 mt-2">
+                              <label className="text-xs font-semibold text-red-700 mb-1 block">Shelf Life (days):</label>
+                              <div className="grid grid-cols-4 gap-2">
+                                <input
+                                  type="number"
+                                  min="1"
+                                  value={editingProduct.shelf_life_days ?? ''}
+                                  onChange={(e) => setEditingProduct({ ...editingProduct, shelf_life_days: e.target.value })}
+                                  className="w-full px-2 py-1 border-2 border-red-300 rounded focus:outline-none focus:border-red-500 text-xs"
+                                  placeholder="Sell for"
+                                  title="A batch this many days old is expired. Leave empty for no expiry."
+                                />
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={editingProduct.fresh_days ?? ''}
+                                  onChange={(e) => setEditingProduct({ ...editingProduct, fresh_days: e.target.value })}
+                                  className="w-full px-2 py-1 border-2 border-red-300 rounded focus:outline-none focus:border-red-500 text-xs"
+                                  placeholder="Fresh to (2)"
+                                  title="Last day a batch is shown as fresh"
+                                />
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={editingProduct.aging_days ?? ''}
+                                  onChange={(e) => setEditingProduct({ ...editingProduct, aging_days: e.target.value })}
+                                  className="w-full px-2 py-1 border-2 border-red-300 rounded focus:outline-none focus:border-red-500 text-xs"
+                                  placeholder="Aging to (7)"
+                                  title="Last day a batch is shown as aging before it counts as old"
+                                />
+                                <select
+                                  value={editingProduct.expiry_action || 'warn'}
+                                  onChange={(e) => setEditingProduct({ ...editingProduct, expiry_action: e.target.value })}
+                                  className="w-full px-2 py-1 border-2 border-red-300 rounded focus:outline-none focus:border-red-500 text-xs"
+                                  title="What the POS does when only expired stock is left"
+                                >
+                                  <option value="warn">Expired: warn</option>
+                                  <option value="block">Expired: block</option>
+                                </select>
+                              </div>
+                            </div>
+                          )}
                         </>
                       )}
 
@@ -490,6 +688,28 @@ const ProductsPage = () => {
                               isMobile={true}
                             />
                           )}
+                          {product.is_bundle && (
+                            <span className="text-xs text-gray-500">
+                              Combo: {getBundleComponents(product)
+                                .map(component => `${component.quantity} × ${products.find(p => p.product_id === component.product_id)?.name || 'Unknown'}`)
+                                .join(' + ')}
+                            </span>
+                          )}
+                          {getActiveVariants(product).length > 0 && (
+                            <span className="text-xs text-gray-500">
+                              {getActiveVariants(product).map(variant => variant.name).join(' / ')}
+                            </span>
+                          )}
+                          {product.shelf_life_days && (
+                            <span className="text-xs text-gray-500">
+                              Sell within {product.shelf_life_days} day{product.shelf_life_days !== 1 ? 's' : ''}
+                            </span>
+                          )}
+                          {(product.barcode || product.plu_code) && (
+                            <span className="text-xs text-gray-500 font-mono">
+                              {[product.barcode, product.plu_code && `PLU ${product.plu_code}`].filter(Boolean).join(' · ')}
+                            </span>
+                          )}
                         </div>
                       </span>
                       <span className="w-28 font-bold text-blue-700 text-base">
@@ -508,6 +728,42 @@ const ProductsPage = () => {
                         >
                           Edit
                         </button>
+                        {!product.is_bundle && (
+                          <button
+                            onClick={() => setStockCardProductId(product.product_id)}
+                            className="text-blue-600 hover:text-blue-800 px-2 py-1 font-medium"
+                            title="Stock movements and running balance"
+                          >
+                            Stock Card
+                          </button>
+                        )}
+                        {currentUser.role === 'owner' && !product.is_bundle && (
+                          <button
+                            onClick={() => setRecipeProductId(product.product_id)}
+                            className="text-purple-600 hover:text-purple-800 px-2 py-1 font-medium"
+                            title="Ingredients used per unit produced"
+                          >
+                            Recipe
+                          </button>
+                        )}
+                        {currentUser.role === 'owner' && !product.is_weight_based && (
+                          <button
+                            onClick={() => setBundleProductId(product.product_id)}
+                            className="text-purple-600 hover:text-purple-800 px-2 py-1 font-medium"
+                            title="Combo components"
+                          >
+                            Combo
+                          </button>
+                        )}
+                        {currentUser.role === 'owner' && !product.is_weight_based && !product.is_bundle && (
+                          <button
+                            onClick={() => setOptionsProductId(product.product_id)}
+                            className="text-purple-600 hover:text-purple-800 px-2 py-1 font-medium"
+                            title="Variants and modifiers"
+                          >
+                            Options
+                          </button>
+                        )}
                         <button 
                           onClick={() => deleteProduct(product.product_id)} 
                           className="text-red-600 hover:text-red-800"
@@ -524,6 +780,44 @@ const ProductsPage = () => {
           </div>
         </div>
 
+        {/* Variants / Modifiers Editor */}
+        {optionsProductId && (
+          <ProductOptionsEditor
+            product={products.find(p => p.product_id === optionsProductId)}
+            onChanged={loadProducts}
+            onClose={() => setOptionsProductId(null)}
+          />
+        )}
+
+        {/* Combo Components Editor */}
+        {bundleProductId && (
+          <BundleEditor
+            product={products.find(p => p.product_id === bundleProductId)}
+            products={products}
+            onSaved={async () => {
+              setBundleProductId(null);
+              await loadProducts();
+            }}
+            onClose={() => setBundleProductId(null)}
+          />
+        )}
+
+        {/* Recipe Editor */}
+        {recipeProductId && (
+          <RecipeEditor
+            product={products.find(p => p.product_id === recipeProductId)}
+            onClose={() => setRecipeProductId(null)}
+          />
+        )}
+
+        {/* Stock Card */}
+        {stockCardProductId && (
+          <StockCard
+            product={products.find(p => p.product_id === stockCardProductId)}
+            onClose={() => setStockCardProductId(null)}
+          />
+        )}
+
         {/* Daily Stock Check-In Modal */}
         {shouldShowCheckIn && currentUser && (
           <DailyStockCheckIn
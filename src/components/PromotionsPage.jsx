@@ -0,0 +1,572 @@
+/**
+ * Promotions Page Component
+ *
+ * Owner-only management of discounts used by the POS and the customer portal:
+ * - Percentage / fixed discounts on products, categories or the whole bill
+ * - Buy X get Y
+ * - Happy-hour windows (days of week and time of day)
+ * - Coupon codes with usage limits
+ * - Markdowns for aged batches (MarkdownRulesPanel)
+ *
+ * @component
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { Loader } from './icons';
+import MarkdownRulesPanel from './MarkdownRulesPanel';
+import {
+  DISCOUNT_TYPES,
+  PROMOTION_SCOPES,
+  PROMOTION_CHANNELS,
+  DAY_LABELS,
+  describePromotion,
+  fetchPromotions,
+  savePromotion,
+  setPromotionActive
+} from '../utils/promotions';
+
+const EMPTY_PROMOTION = {
+  name: '',
+  description: '',
+  discount_type: DISCOUNT_TYPES.PERCENTAGE,
+  discount_value: '',
+  scope: PROMOTION_SCOPES.ITEM,
+  channel: PROMOTION_CHANNELS.BOTH,
+  pos_product_ids: [],
+  catalog_product_ids: [],
+  category_ids: [],
+  buy_quantity: 2,
+  get_quantity: 1,
+  get_discount_percentage: 100,
+  min_bill_amount: '',
+  starts_at: '',
+  ends_at: '',
+  days_of_week: [],
+  start_time: '',
+  end_time: '',
+  coupon_code: '',
+  usage_limit: '',
+  is_active: true
+};
+
+// datetime-local inputs need "YYYY-MM-DDTHH:MM" in local time
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const PromotionsPage = () => {
+  const { currentUser } = useAuth();
+  const [promotions, setPromotions] = useState([]);
+  const [posProducts, setPosProducts] = useState([]);
+  const [catalogProducts, setCatalogProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isOwner = currentUser?.role === 'owner';
+
+  useEffect(() => {
+    if (isOwner) {
+      loadData();
+    }
+  }, [isOwner]);
+
+  const loadData = async () => {
+    setLoading(true);
+    const [promotionResult, productResult, catalogResult, categoryResult] = await Promise.all([
+      fetchPromotions(supabaseClient),
+      supabaseClient.from('products').select('product_id, name').order('name'),
+      supabaseClient.from('product_catalog').select('product_id, name').order('name'),
+      supabaseClient.from('product_categories').select('category_id, name').order('display_order')
+    ]);
+
+    if (promotionResult.error) {
+      setError('Failed to load promotions');
+    }
+    setPromotions(promotionResult.data);
+    setPosProducts(productResult.data || []);
+    setCatalogProducts(catalogResult.data || []);
+    setCategories(categoryResult.data || []);
+    setLoading(false);
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggleInList = (field, value) => {
+    const list = form[field] || [];
+    updateForm({
+      [field]: list.includes(value) ? list.filter(item => item !== value) : [...list, value]
+    });
+  };
+
+  const startEdit = (promotion) => {
+    setError('');
+    setForm({
+      ...EMPTY_PROMOTION,
+      ...promotion,
+      description: promotion.description || '',
+      min_bill_amount: promotion.min_bill_amount || '',
+      starts_at: toLocalInput(promotion.starts_at),
+      ends_at: toLocalInput(promotion.ends_at),
+      start_time: promotion.start_time?.slice(0, 5) || '',
+      end_time: promotion.end_time?.slice(0, 5) || '',
+      coupon_code: promotion.coupon_code || '',
+      usage_limit: promotion.usage_limit || ''
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    const { error: saveError } = await savePromotion(supabaseClient, {
+      ...form,
+      starts_at: form.starts_at ? new Date(form.starts_at).toISOString() : null,
+      ends_at: form.ends_at ? new Date(form.ends_at).toISOString() : null
+    }, currentUser.user_id);
+
+    setSaving(false);
+    if (saveError) {
+      setError(saveError.message);
+      return;
+    }
+
+    setForm(null);
+    await loadData();
+  };
+
+  const handleToggleActive = async (promotion) => {
+    const { error: updateError } = await setPromotionActive(supabaseClient, promotion.id, !promotion.is_active);
+    if (updateError) {
+      setError('Failed to update promotion');
+      return;
+    }
+    await loadData();
+  };
+
+  const describeTargets = (promotion) => {
+    if (promotion.scope === PROMOTION_SCOPES.BILL) {
+      return promotion.min_bill_amount > 0 ? `Bills over Rs. ${parseFloat(promotion.min_bill_amount).toFixed(2)}` : 'Whole bill';
+    }
+    if (promotion.scope === PROMOTION_SCOPES.CATEGORY) {
+      return categories
+        .filter(category => promotion.category_ids.includes(category.category_id))
+        .map(category => category.name)
+        .join(', ');
+    }
+    return [
+      ...posProducts.filter(product => promotion.pos_product_ids.includes(product.product_id)),
+      ...catalogProducts.filter(product => promotion.catalog_product_ids.includes(product.product_id))
+    ].map(product => product.name).join(', ');
+  };
+
+  const describeWindow = (promotion) => {
+    const parts = [];
+    if (promotion.days_of_week?.length > 0) {
+      parts.push(promotion.days_of_week.map(day => DAY_LABELS[day]).join(', '));
+    }
+    if (promotion.start_time) {
+      parts.push(`${promotion.start_time.slice(0, 5)}-${promotion.end_time.slice(0, 5)}`);
+    }
+    if (promotion.ends_at) {
+      parts.push(`until ${new Date(promotion.ends_at).toLocaleDateString()}`);
+    }
+    return parts.join(' • ') || 'Always';
+  };
+
+  if (!isOwner) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-100">
+        <div className="bg-white rounded-lg shadow-lg p-8 max-w-md">
+          <h2 className="text-2xl font-bold text-red-700 mb-4">Access Denied</h2>
+          <p className="text-gray-700">You do not have permission to access this page.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-blue-700">Promotions</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">Discounts, happy hours and coupon codes for the POS and online orders</p>
+          </div>
+          {!form && (
+            <button
+              onClick={() => { setError(''); setForm({ ...EMPTY_PROMOTION }); }}
+              className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm"
+            >
+              + New Promotion
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm">{error}</div>
+        )}
+
+        {/* Promotion Form */}
+        {form && (
+          <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 space-y-4">
+            <h2 className="text-lg sm:text-xl font-bold text-blue-800">{form.id ? 'Edit Promotion' : 'New Promotion'}</h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                placeholder="Name, e.g. Happy Hour Pastries"
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+              />
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => updateForm({ description: e.target.value })}
+                placeholder="Description (optional)"
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+              />
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <label className="text-sm">
+                <span className="block font-semibold text-gray-700 mb-1">Discount</span>
+                <select
+                  value={form.discount_type}
+                  onChange={(e) => updateForm({
+                    discount_type: e.target.value,
+                    scope: e.target.value === DISCOUNT_TYPES.BUY_X_GET_Y && form.scope === PROMOTION_SCOPES.BILL
+                      ? PROMOTION_SCOPES.ITEM
+                      : form.scope
+                  })}
+                  className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                >
+                  <option value={DISCOUNT_TYPES.PERCENTAGE}>Percentage off</option>
+                  <option value={DISCOUNT_TYPES.FIXED_AMOUNT}>Fixed amount off</option>
+                  <option value={DISCOUNT_TYPES.BUY_X_GET_Y}>Buy X get Y</option>
+                </select>
+              </label>
+
+              {form.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y ? (
+                <>
+                  <label className="text-sm">
+                    <span className="block font-semibold text-gray-700 mb-1">Buy</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={form.buy_quantity}
+                      onChange={(e) => updateForm({ buy_quantity: e.target.value })}
+                      className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                    />
+                  </label>
+                  <label className="text-sm">
+                    <span className="block font-semibold text-gray-700 mb-1">Get</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={form.get_quantity}
+                      onChange={(e) => updateForm({ get_quantity: e.target.value })}
+                      className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                    />
+                  </label>
+                  <label className="text-sm">
+                    <span className="block font-semibold text-gray-700 mb-1">% off the extra</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="100"
+                      value={form.get_discount_percentage}
+                      onChange={(e) => updateForm({ get_discount_percentage: e.target.value })}
+                      className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                    />
+                  </label>
+                </>
+              ) : (
+                <label className="text-sm">
+                  <span className="block font-semibold text-gray-700 mb-1">
+                    {form.discount_type === DISCOUNT_TYPES.PERCENTAGE ? 'Percentage' : 'Amount (Rs.)'}
+                  </span>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={form.discount_value}
+                    onChange={(e) => updateForm({ discount_value: e.target.value })}
+                    className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                </label>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <label className="text-sm">
+                <span className="block font-semibold text-gray-700 mb-1">Applies to</span>
+                <select
+                  value={form.scope}
+                  onChange={(e) => updateForm({ scope: e.target.value })}
+                  className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                >
+                  <option value={PROMOTION_SCOPES.ITEM}>Products</option>
+                  <option value={PROMOTION_SCOPES.CATEGORY}>Categories</option>
+                  {form.discount_type !== DISCOUNT_TYPES.BUY_X_GET_Y && (
+                    <option value={PROMOTION_SCOPES.BILL}>Whole bill</option>
+                  )}
+                </select>
+              </label>
+              <label className="text-sm">
+                <span className="block font-semibold text-gray-700 mb-1">Channel</span>
+                <select
+                  value={form.channel}
+                  onChange={(e) => updateForm({ channel: e.target.value })}
+                  className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                >
+                  <option value={PROMOTION_CHANNELS.BOTH}>POS and online</option>
+                  <option value={PROMOTION_CHANNELS.POS}>POS only</option>
+                  <option value={PROMOTION_CHANNELS.ONLINE}>Online only</option>
+                </select>
+              </label>
+              <label className="text-sm">
+                <span className="block font-semibold text-gray-700 mb-1">Minimum bill (Rs.)</span>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.min_bill_amount}
+                  onChange={(e) => updateForm({ min_bill_amount: e.target.value })}
+                  placeholder="0.00"
+                  className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                />
+              </label>
+            </div>
+
+            {/* Targets */}
+            {form.scope === PROMOTION_SCOPES.ITEM && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {form.channel !== PROMOTION_CHANNELS.ONLINE && (
+                  <div>
+                    <p className="text-sm font-semibold text-gray-700 mb-1">POS products</p>
+                    <div className="max-h-40 overflow-y-auto border-2 border-gray-200 rounded-lg p-2 space-y-1">
+                      {posProducts.map(product => (
+                        <label key={product.product_id} className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={form.pos_product_ids.includes(product.product_id)}
+                            onChange={() => toggleInList('pos_product_ids', product.product_id)}
+                          />
+                          {product.name}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {form.channel !== PROMOTION_CHANNELS.POS && (
+                  <div>
+                    <p className="text-sm font-semibold text-gray-700 mb-1">Online catalog products</p>
+                    <div className="max-h-40 overflow-y-auto border-2 border-gray-200 rounded-lg p-2 space-y-1">
+                      {catalogProducts.map(product => (
+                        <label key={product.product_id} className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={form.catalog_product_ids.includes(product.product_id)}
+                            onChange={() => toggleInList('catalog_product_ids', product.product_id)}
+                          />
+                          {product.name}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {form.scope === PROMOTION_SCOPES.CATEGORY && (
+              <div className="flex flex-wrap gap-3">
+                {categories.map(category => (
+                  <label key={category.category_id} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={form.category_ids.includes(category.category_id)}
+                      onChange={() => toggleInList('category_ids', category.category_id)}
+                    />
+                    {category.name}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {/* Validity and happy hour */}
+            <div className="border-t border-gray-300 pt-3 space-y-3">
+              <h4 className="text-sm font-semibold text-gray-700">When it runs</h4>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <label className="text-sm">
+                  <span className="block text-gray-600 mb-1">Starts</span>
+                  <input
+                    type="datetime-local"
+                    value={form.starts_at}
+                    onChange={(e) => updateForm({ starts_at: e.target.value })}
+                    className="w-full px-2 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                </label>
+                <label className="text-sm">
+                  <span className="block text-gray-600 mb-1">Ends</span>
+                  <input
+                    type="datetime-local"
+                    value={form.ends_at}
+                    onChange={(e) => updateForm({ ends_at: e.target.value })}
+                    className="w-full px-2 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                </label>
+                <label className="text-sm">
+                  <span className="block text-gray-600 mb-1">Happy hour from</span>
+                  <input
+                    type="time"
+                    value={form.start_time}
+                    onChange={(e) => updateForm({ start_time: e.target.value })}
+                    className="w-full px-2 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                </label>
+                <label className="text-sm">
+                  <span className="block text-gray-600 mb-1">Happy hour to</span>
+                  <input
+                    type="time"
+                    value={form.end_time}
+                    onChange={(e) => updateForm({ end_time: e.target.value })}
+                    className="w-full px-2 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                  />
+                </label>
+              </div>
+              <div className="flex flex-wrap gap-3">
+                {DAY_LABELS.map((label, day) => (
+                  <label key={label} className="flex items-center gap-1 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={form.days_of_week.includes(day)}
+                      onChange={() => toggleInList('days_of_week', day)}
+                    />
+                    {label}
+                  </label>
+                ))}
+                <span className="text-xs text-gray-500 self-center">No days selected = every day</span>
+              </div>
+            </div>
+
+            {/* Coupon */}
+            <div className="border-t border-gray-300 pt-3 grid grid-cols-2 md:grid-cols-4 gap-3">
+              <label className="text-sm">
+                <span className="block font-semibold text-gray-700 mb-1">Coupon code (optional)</span>
+                <input
+                  type="text"
+                  value={form.coupon_code}
+                  onChange={(e) => updateForm({ coupon_code: e.target.value.toUpperCase() })}
+                  placeholder="e.g. WELCOME10"
+                  className="w-full px-3 py-2 border-2 border-purple-300 rounded-lg focus:outline-none focus:border-purple-500 uppercase"
+                />
+              </label>
+              <label className="text-sm">
+                <span className="block font-semibold text-gray-700 mb-1">Usage limit</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.usage_limit}
+                  onChange={(e) => updateForm({ usage_limit: e.target.value })}
+                  placeholder="Unlimited"
+                  className="w-full px-3 py-2 border-2 border-purple-300 rounded-lg focus:outline-none focus:border-purple-500"
+                />
+              </label>
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="flex-1 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 font-bold text-sm disabled:opacity-50 flex items-center justify-center gap-2"
+              >
+                {saving && <Loader />}
+                Save Promotion
+              </button>
+              <button
+                onClick={() => setForm(null)}
+                disabled={saving}
+                className="flex-1 bg-gray-500 text-white px-4 py-2 rounded-lg hover:bg-gray-600 font-bold text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Promotion List */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-bold text-blue-800 mb-4">All Promotions ({promotions.length})</h2>
+          {loading ? (
+            <div className="flex justify-center py-8"><Loader /></div>
+          ) : promotions.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">No promotions yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="bg-blue-100 text-left">
+                    <th className="px-3 py-2">Name</th>
+                    <th className="px-3 py-2">Discount</th>
+                    <th className="px-3 py-2">Applies to</th>
+                    <th className="px-3 py-2">When</th>
+                    <th className="px-3 py-2">Coupon</th>
+                    <th className="px-3 py-2">Channel</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {promotions.map(promotion => (
+                    <tr key={promotion.id} className={`border-b ${promotion.is_active ? '' : 'opacity-50'}`}>
+                      <td className="px-3 py-2 font-semibold">{promotion.name}</td>
+                      <td className="px-3 py-2">{describePromotion(promotion)}</td>
+                      <td className="px-3 py-2 text-gray-600">{describeTargets(promotion) || '-'}</td>
+                      <td className="px-3 py-2 text-gray-600">{describeWindow(promotion)}</td>
+                      <td className="px-3 py-2">
+                        {promotion.coupon_code ? (
+                          <span className="font-mono">
+                            {promotion.coupon_code} ({promotion.usage_count}{promotion.usage_limit ? `/${promotion.usage_limit}` : ''} used)
+                          </span>
+                        ) : '-'}
+                      </td>
+                      <td className="px-3 py-2 capitalize">{promotion.channel === PROMOTION_CHANNELS.BOTH ? 'POS & online' : promotion.channel}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-right">
+                        <button
+                          onClick={() => startEdit(promotion)}
+                          className="text-blue-600 hover:text-blue-800 px-2 font-medium"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleToggleActive(promotion)}
+                          className={`px-2 font-medium ${promotion.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}
+                        >
+                          {promotion.is_active ? 'Disable' : 'Enable'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Markdowns */}
+        {!loading && <MarkdownRulesPanel products={posProducts} categories={categories} />}
+      </div>
+    </div>
+  );
+};
+
+export default PromotionsPage;
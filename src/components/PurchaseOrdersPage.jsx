@@ -0,0 +1,468 @@
+/**
+ * Purchase Orders Page Component
+ *
+ * Orders to the central bakery and other suppliers:
+ * - Create an order per supplier with lines and an expected delivery date,
+ *   suggested from low stock and the production plan for that date
+ * - Print the order or email it to the supplier
+ * - Ordered against received per line; deliveries are received against
+ *   the order on the Receiving page
+ *
+ * @component
+ */
+
+import { useState, useEffect, Fragment } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { Loader } from './icons';
+import { fetchSuppliers } from '../utils/suppliers';
+import { printHtmlDocument } from '../utils/printing';
+import {
+  PURCHASE_ORDER_STATUS,
+  summarizePurchaseOrder,
+  renderPurchaseOrderHtml,
+  fetchPurchaseOrderSuggestions,
+  createPurchaseOrder,
+  fetchPurchaseOrders,
+  emailPurchaseOrder,
+  cancelPurchaseOrder
+} from '../utils/purchaseOrders';
+
+const STATUS_STYLES = {
+  open: 'bg-blue-100 text-blue-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  closed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-200 text-gray-700'
+};
+
+const STATUS_LABELS = {
+  open: 'Open',
+  partial: 'Partially received',
+  closed: 'Closed',
+  cancelled: 'Cancelled'
+};
+
+const EMPTY_LINE = { product_id: '', quantity: '', unit_cost: '' };
+
+const formatMoney = (amount) => `Rs. ${(parseFloat(amount) || 0).toFixed(2)}`;
+
+const formatName = (user) => (user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : '-');
+
+const PurchaseOrdersPage = () => {
+  const { currentUser } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [suggesting, setSuggesting] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadPage();
+  }, []);
+
+  const loadPage = async () => {
+    setLoading(true);
+    const [{ data: productData, error: productsError }, { data: supplierData, error: suppliersError }] = await Promise.all([
+      supabaseClient
+        .from('products')
+        .select('product_id, name, is_weight_based')
+        .eq('is_bundle', false)
+        .order('name', { ascending: true }),
+      fetchSuppliers(supabaseClient, { activeOnly: true }),
+      loadOrders()
+    ]);
+    if (productsError || suppliersError) {
+      setError('Failed to load products and suppliers');
+    }
+    setProducts(productData || []);
+    setSuppliers(supplierData);
+    setLoading(false);
+  };
+
+  const loadOrders = async () => {
+    const { data, error: loadError } = await fetchPurchaseOrders(supabaseClient);
+    if (loadError) {
+      setError('Failed to load purchase orders');
+    }
+    setOrders(data);
+  };
+
+  const startOrder = () => {
+    setError('');
+    setDraft({ supplierId: '', expectedDate: '', notes: '', lines: [{ ...EMPTY_LINE }] });
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateLine = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    }));
+  };
+
+  const removeLine = (index) => {
+    setDraft(prev => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }));
+  };
+
+  /**
+   * Replace the lines with products at or below their low stock level or
+   * short of the production plan for the expected date
+   */
+  const suggestLines = async () => {
+    setSuggesting(true);
+    setError('');
+    const { data, error: suggestError } = await fetchPurchaseOrderSuggestions(supabaseClient, draft.expectedDate || null);
+    setSuggesting(false);
+
+    if (suggestError) {
+      setError('Failed to suggest order lines');
+      return;
+    }
+    if (data.length === 0) {
+      alert('Nothing is below its low stock level.');
+      return;
+    }
+    updateDraft({
+      lines: data.map(line => ({
+        product_id: String(line.product_id),
+        quantity: String(line.quantity),
+        unit_cost: '',
+        hint: `On hand ${line.on_hand}, low at ${line.threshold}${line.planned ? `, planned ${line.planned}` : ''}`
+      }))
+    });
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError('');
+    const { data, error: createError } = await createPurchaseOrder(
+      supabaseClient,
+      { ...draft, supplierId: parseInt(draft.supplierId) || null },
+      currentUser?.user_id
+    );
+    setSaving(false);
+
+    if (createError) {
+      setError(createError.message || 'Failed to create purchase order');
+      return;
+    }
+    setDraft(null);
+    await loadOrders();
+    setExpandedId(data.id);
+  };
+
+  const handleEmail = async (order) => {
+    setSaving(true);
+    setError('');
+    const { error: emailError } = await emailPurchaseOrder(supabaseClient, order);
+    setSaving(false);
+
+    if (emailError) {
+      setError(emailError.message || 'Failed to email purchase order');
+      return;
+    }
+    alert(`✅ Purchase order #${order.id} emailed to ${order.suppliers.email}`);
+    await loadOrders();
+  };
+
+  const handleCancel = async (order) => {
+    if (!confirm(`Cancel purchase order #${order.id}?`)) return;
+
+    setSaving(true);
+    setError('');
+    const { error: cancelError } = await cancelPurchaseOrder(supabaseClient, order.id);
+    setSaving(false);
+
+    if (cancelError) {
+      setError(cancelError.message || 'Failed to cancel purchase order');
+      return;
+    }
+    await loadOrders();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-blue-700">Purchase Orders</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">Order from suppliers and track what has been delivered</p>
+          </div>
+          {!draft && (
+            <button
+              onClick={startOrder}
+              disabled={loading}
+              className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm disabled:opacity-50"
+            >
+              + New Purchase Order
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm">{error}</div>
+        )}
+
+        {/* New order */}
+        {draft && (
+          <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+              <h2 className="text-lg sm:text-xl font-bold text-blue-800">New Purchase Order</h2>
+              <button
+                onClick={suggestLines}
+                disabled={suggesting}
+                className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 text-sm font-medium disabled:opacity-50 flex items-center gap-2"
+              >
+                {suggesting && <Loader />}
+                Suggest from Low Stock
+              </button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+              <select
+                value={draft.supplierId}
+                onChange={(e) => updateDraft({ supplierId: e.target.value })}
+                className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              >
+                <option value="">Select supplier</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                ))}
+              </select>
+              <label className="text-sm text-gray-700 flex items-center gap-2">
+                Deliver on
+                <input
+                  type="date"
+                  value={draft.expectedDate}
+                  min={new Date().toISOString().split('T')[0]}
+                  onChange={(e) => updateDraft({ expectedDate: e.target.value })}
+                  className="flex-1 px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                />
+              </label>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[560px]">
+                <thead className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+                  <tr>
+                    <th className="text-left p-2 text-sm">Product</th>
+                    <th className="text-right p-2 text-sm">Quantity</th>
+                    <th className="text-right p-2 text-sm">Agreed Cost (optional)</th>
+                    <th className="p-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {draft.lines.map((line, index) => {
+                    const product = products.find(p => p.product_id === parseInt(line.product_id));
+                    return (
+                      <tr key={index} className="border-t border-blue-100">
+                        <td className="p-2">
+                          <select
+                            value={line.product_id}
+                            onChange={(e) => updateLine(index, { product_id: e.target.value, hint: '' })}
+                            className="w-full px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+                          >
+                            <option value="">Select product</option>
+                            {products.map(p => (
+                              <option key={p.product_id} value={p.product_id}>{p.name}</option>
+                            ))}
+                          </select>
+                          {line.hint && <p className="text-xs text-gray-500 mt-1">{line.hint}</p>}
+                        </td>
+                        <td className="text-right p-2 whitespace-nowrap">
+                          <input
+                            type="number"
+                            min="0"
+                            step={product?.is_weight_based ? '0.1' : '1'}
+                            value={line.quantity}
+                            onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                            className="w-24 px-2 py-1 border-2 border-blue-300 rounded text-sm text-right focus:outline-none focus:border-blue-500"
+                          />
+                          {product?.is_weight_based && <span className="text-xs text-gray-500 ml-1">kg</span>}
+                        </td>
+                        <td className="text-right p-2">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={line.unit_cost}
+                            onChange={(e) => updateLine(index, { unit_cost: e.target.value })}
+                            className="w-28 px-2 py-1 border-2 border-blue-300 rounded text-sm text-right focus:outline-none focus:border-blue-500"
+                          />
+                        </td>
+                        <td className="text-right p-2">
+                          {draft.lines.length > 1 && (
+                            <button
+                              onClick={() => removeLine(index)}
+                              className="text-red-600 hover:text-red-800 text-sm font-medium"
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <button
+              onClick={() => updateDraft({ lines: [...draft.lines, { ...EMPTY_LINE }] })}
+              className="mt-2 text-blue-600 hover:text-blue-800 text-sm font-medium"
+            >
+              + Add Line
+            </button>
+
+            <div className="mt-4 flex flex-col sm:flex-row gap-2 sm:justify-end">
+              <input
+                type="text"
+                placeholder="Notes for the supplier (optional)"
+                value={draft.notes}
+                onChange={(e) => updateDraft({ notes: e.target.value })}
+                className="flex-1 px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              />
+              <button
+                onClick={() => setDraft(null)}
+                disabled={saving}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-sm font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={saving}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-bold disabled:opacity-50 flex items-center gap-2"
+              >
+                {saving && <Loader />}
+                Create Order
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Orders */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-bold text-blue-800 mb-4">Orders</h2>
+          {loading ? (
+            <div className="flex justify-center py-8"><Loader /></div>
+          ) : orders.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">No purchase orders yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[720px]">
+                <thead className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+                  <tr>
+                    <th className="text-left p-2 text-sm">#</th>
+                    <th className="text-left p-2 text-sm">Ordered</th>
+                    <th className="text-left p-2 text-sm">Supplier</th>
+                    <th className="text-left p-2 text-sm">Deliver On</th>
+                    <th className="text-center p-2 text-sm">Status</th>
+                    <th className="text-right p-2 text-sm">Received</th>
+                    <th className="text-left p-2 text-sm">Sent</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {orders.map(order => {
+                    const summary = summarizePurchaseOrder(order.purchase_order_items);
+                    const expanded = expandedId === order.id;
+                    return (
+                      <Fragment key={order.id}>
+                        <tr
+                          onClick={() => setExpandedId(expanded ? null : order.id)}
+                          className="border-t border-blue-100 hover:bg-blue-50 cursor-pointer"
+                        >
+                          <td className="p-2 text-sm">{order.id}</td>
+                          <td className="p-2 text-sm">{new Date(order.created_at).toLocaleDateString()}</td>
+                          <td className="p-2 text-sm">{order.suppliers?.name || '-'}</td>
+                          <td className="p-2 text-sm">{order.expected_date ? new Date(order.expected_date).toLocaleDateString() : '-'}</td>
+                          <td className="text-center p-2">
+                            <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[order.status]}`}>
+                              {STATUS_LABELS[order.status]}
+                            </span>
+                          </td>
+                          <td className="text-right p-2 text-sm">{summary.received} / {summary.ordered}</td>
+                          <td className="p-2 text-sm">{order.sent_at ? new Date(order.sent_at).toLocaleString() : '-'}</td>
+                        </tr>
+                        {expanded && (
+                          <tr className="bg-gray-50">
+                            <td colSpan="7" className="p-3">
+                              <p className="text-sm text-gray-600 mb-2">Ordered by {formatName(order.creator)}</p>
+                              {order.notes && <p className="text-sm text-gray-600 mb-2">Notes: {order.notes}</p>}
+                              <table className="w-full text-sm mb-3">
+                                <thead>
+                                  <tr className="text-gray-600">
+                                    <th className="text-left py-1">Product</th>
+                                    <th className="text-right py-1">Ordered</th>
+                                    <th className="text-right py-1">Received</th>
+                                    <th className="text-right py-1">Outstanding</th>
+                                    <th className="text-right py-1">Agreed Cost</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {order.purchase_order_items.map(item => {
+                                    const outstanding = Math.max(0, parseFloat(item.quantity) - parseFloat(item.received_quantity));
+                                    return (
+                                      <tr key={item.id}>
+                                        <td className="py-1">{item.product_name}</td>
+                                        <td className="text-right py-1">{parseFloat(item.quantity)}</td>
+                                        <td className="text-right py-1">{parseFloat(item.received_quantity)}</td>
+                                        <td className={`text-right py-1 font-semibold ${outstanding > 0 ? 'text-orange-600' : 'text-green-700'}`}>
+                                          {Math.round(outstanding * 100) / 100}
+                                        </td>
+                                        <td className="text-right py-1">{item.unit_cost != null ? formatMoney(item.unit_cost) : '-'}</td>
+                                      </tr>
+                                    );
+                                  })}
+                                </tbody>
+                              </table>
+                              {summary.value > 0 && (
+                                <p className="text-xs text-gray-500 mb-2">Value at agreed costs {formatMoney(summary.value)}</p>
+                              )}
+                              <div className="flex flex-wrap gap-2">
+                                <button
+                                  onClick={() => printHtmlDocument(renderPurchaseOrderHtml(order))}
+                                  className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 text-sm font-medium"
+                                >
+                                  🖨️ Print
+                                </button>
+                                {(order.status === PURCHASE_ORDER_STATUS.OPEN || order.status === PURCHASE_ORDER_STATUS.PARTIAL) && (
+                                  <button
+                                    onClick={() => handleEmail(order)}
+                                    disabled={saving}
+                                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium disabled:opacity-50"
+                                  >
+                                    ✉️ {order.sent_at ? 'Email Again' : 'Email to Supplier'}
+                                  </button>
+                                )}
+                                {order.status === PURCHASE_ORDER_STATUS.OPEN && (
+                                  <button
+                                    onClick={() => handleCancel(order)}
+                                    disabled={saving}
+                                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-medium disabled:opacity-50"
+                                  >
+                                    Cancel Order
+                                  </button>
+                                )}
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrdersPage;
@@ -0,0 +1,159 @@
+/**
+ * Receipt Modal Component
+ * Shows a confirmed (or past) POS bill as it will appear on the receipt and
+ * prints it on the thermal printer, or through the browser as a fallback
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { X, Loader } from './icons';
+import { supabaseClient } from '../config/supabase';
+import {
+  PAPER_WIDTHS,
+  buildReceiptData,
+  connectSerialPrinter,
+  fetchShopDetails,
+  formatReceiptLines,
+  getPrinterSettings,
+  isSerialPrintingSupported,
+  printReceipt,
+  savePrinterSettings
+} from '../utils/receipts';
+
+/**
+ * ReceiptModal Component
+ * @param {Object} props
+ * @param {Object} props.bill - Bill with order_items, pos_bill_payments and applied_discounts
+ * @param {boolean} props.reprint - Mark the receipt as a reprint
+ * @param {boolean} props.autoPrint - Print as soon as the shop details are loaded
+ * @param {Function} props.onClose - Close the modal
+ */
+const ReceiptModal = ({ bill, reprint = false, autoPrint = false, onClose }) => {
+  const [shop, setShop] = useState(null);
+  const [settings, setSettings] = useState(getPrinterSettings);
+  const [printing, setPrinting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const receipt = useMemo(() => buildReceiptData(bill, { reprint }), [bill, reprint]);
+  const lines = useMemo(
+    () => (shop ? formatReceiptLines(receipt, shop, settings.paperWidth) : []),
+    [receipt, shop, settings.paperWidth]
+  );
+
+  useEffect(() => {
+    fetchShopDetails(supabaseClient).then(setShop);
+  }, []);
+
+  const handlePrint = async () => {
+    if (!shop) return;
+    setPrinting(true);
+    setMessage('');
+
+    const result = await printReceipt(receipt, shop, settings);
+    setMessage(
+      result === 'escpos' ? '✅ Sent to receipt printer'
+        : result === 'html' ? '🖨️ Opened browser print'
+          : '❌ Could not print the receipt'
+    );
+    setPrinting(false);
+  };
+
+  // Print once, when the shop details first arrive
+  useEffect(() => {
+    if (autoPrint && shop) {
+      handlePrint();
+    }
+  }, [autoPrint, shop]);
+
+  const handlePaperWidthChange = (paperWidth) => {
+    setSettings(savePrinterSettings({ paperWidth }));
+  };
+
+  const handleConnectPrinter = async () => {
+    const connected = await connectSerialPrinter();
+    setMessage(connected ? '✅ Receipt printer connected' : 'No printer selected');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">🧾 Receipt</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Bill #{receipt.billNumber} • Rs. {receipt.total.toFixed(2)}
+              {receipt.change > 0 && ` • Change Rs. ${receipt.change.toFixed(2)}`}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* Preview */}
+        <div className="flex-1 overflow-y-auto p-6 bg-gray-100">
+          {!shop ? (
+            <div className="flex justify-center py-8 text-gray-500">
+              <Loader />
+            </div>
+          ) : (
+            <div className="bg-white shadow mx-auto p-3 font-mono text-xs w-fit">
+              {lines.map((line, index) => (
+                <div
+                  key={index}
+                  className={`whitespace-pre ${line.align === 'center' ? 'text-center' : ''} ${line.bold ? 'font-bold' : ''} ${line.large ? 'text-sm' : ''}`}
+                >
+                  {line.text || ' '}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="p-6 border-t border-gray-200 space-y-3">
+          <div className="flex items-center gap-3">
+            <label className="text-sm font-medium text-gray-700">Paper</label>
+            <select
+              value={settings.paperWidth}
+              onChange={(e) => handlePaperWidthChange(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {Object.keys(PAPER_WIDTHS).map(width => (
+                <option key={width} value={width}>{width}</option>
+              ))}
+            </select>
+            {isSerialPrintingSupported() && (
+              <button
+                onClick={handleConnectPrinter}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Connect printer
+              </button>
+            )}
+          </div>
+
+          {message && <p className="text-sm text-gray-700">{message}</p>}
+
+          <div className="flex gap-3">
+            <button
+              onClick={handlePrint}
+              disabled={!shop || printing}
+              className="flex-1 bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+            >
+              {printing ? 'Printing...' : '🖨️ Print'}
+            </button>
+            <button
+              onClick={onClose}
+              className="flex-1 bg-gray-200 text-gray-800 py-3 rounded-lg font-semibold hover:bg-gray-300 transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReceiptModal;
@@ -0,0 +1,136 @@
+/**
+ * Recipe Editor Component
+ * Owner screen for a product's recipe: the ingredients used per unit (or kg)
+ * produced. Production in the Daily Stock Check-In uses these quantities.
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { X, Trash2, Loader } from './icons';
+import { fetchIngredients, fetchRecipe, saveRecipe, validateRecipe } from '../utils/ingredients';
+
+/**
+ * RecipeEditor Component
+ * @param {Object} props
+ * @param {Object} props.product - Product whose recipe is edited
+ * @param {Function} props.onClose - Close the editor
+ */
+const RecipeEditor = ({ product, onClose }) => {
+  const [ingredients, setIngredients] = useState([]);
+  const [lines, setLines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      const [ingredientResult, recipeResult] = await Promise.all([
+        fetchIngredients(supabaseClient),
+        fetchRecipe(supabaseClient, product.product_id)
+      ]);
+      setIngredients(ingredientResult.data.filter(ingredient => ingredient.is_active !== false));
+      setLines(recipeResult.data.map(line => ({ ingredient_id: line.ingredient_id, quantity: line.quantity })));
+      setLoading(false);
+    };
+    load();
+  }, [product.product_id]);
+
+  const updateLine = (index, changes) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  const unitFor = (ingredientId) => ingredients.find(ingredient => ingredient.id === ingredientId)?.unit || '';
+
+  const handleSave = async () => {
+    const validation = validateRecipe(lines);
+    if (!validation.isValid) {
+      alert(validation.errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await saveRecipe(supabaseClient, product.product_id, lines);
+    setSaving(false);
+
+    if (error) {
+      alert(error.message || 'Error saving recipe. Please try again.');
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-bold text-blue-700">Recipe: {product.name}</h2>
+          <button onClick={onClose} className="text-gray-600 hover:text-gray-800">
+            <X size={24} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Ingredients used to make one {product.is_weight_based ? 'kg' : 'unit'}. They are taken off ingredient
+          stock when production is entered in the Daily Stock Check-In.
+        </p>
+
+        {loading ? (
+          <div className="flex justify-center py-8"><Loader /></div>
+        ) : (
+          <div className="flex-1 overflow-y-auto space-y-2 mb-4">
+            {ingredients.length === 0 && (
+              <p className="text-xs text-gray-500 px-2">Add ingredients on the Ingredients page first.</p>
+            )}
+            {lines.map((line, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <select
+                  value={line.ingredient_id || ''}
+                  onChange={(e) => updateLine(index, { ingredient_id: parseInt(e.target.value, 10) || null })}
+                  className="flex-1 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+                >
+                  <option value="">Choose ingredient...</option>
+                  {ingredients.map(ingredient => (
+                    <option key={ingredient.id} value={ingredient.id}>{ingredient.name}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0.001"
+                  value={line.quantity}
+                  onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                  className="w-24 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+                />
+                <span className="w-8 text-xs text-gray-500">{unitFor(line.ingredient_id)}</span>
+                <button
+                  onClick={() => setLines(lines.filter((_, i) => i !== index))}
+                  className="text-red-600 hover:text-red-800"
+                  title="Remove"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+            {ingredients.length > 0 && (
+              <button
+                onClick={() => setLines([...lines, { ingredient_id: null, quantity: '' }])}
+                className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+              >
+                + Add ingredient
+              </button>
+            )}
+          </div>
+        )}
+
+        <button
+          onClick={handleSave}
+          disabled={saving || loading}
+          className="w-full bg-gradient-to-r from-blue-600 to-blue-700 text-white py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition disabled:opacity-50 flex items-center justify-center gap-2"
+        >
+          {saving && <Loader />}
+          Save Recipe
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecipeEditor;
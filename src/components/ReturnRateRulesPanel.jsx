@@ -0,0 +1,213 @@
+/**
+ * Return Rate Rules Panel Component
+ * Owner management of the supplier agreement's return rates, e.g. "50% at
+ * day 1, 20% at day 3, 0% from day 6", per product, category or for every
+ * product. Shown on the Returns page.
+ */
+
+import { useState } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { Loader } from './icons';
+import { saveReturnRateRule } from '../utils/returnRates';
+
+const EMPTY_RULE = {
+  name: '',
+  return_percentage: '',
+  product_id: '',
+  category_id: '',
+  min_batch_age_days: '',
+  is_active: true
+};
+
+/**
+ * ReturnRateRulesPanel Component
+ * @param {Object} props
+ * @param {Array} props.rules - Return rate rules
+ * @param {Array} props.products - POS products ({ product_id, name })
+ * @param {Array} props.categories - Product categories ({ category_id, name })
+ * @param {Function} props.onSaved - Called after a rule is saved
+ */
+const ReturnRateRulesPanel = ({ rules, products, categories, onSaved }) => {
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const startEdit = (rule) => {
+    setError('');
+    setForm({
+      ...EMPTY_RULE,
+      ...rule,
+      product_id: rule.product_id || '',
+      category_id: rule.category_id || ''
+    });
+  };
+
+  const handleSave = async (rule) => {
+    setSaving(true);
+    setError('');
+    const { error: saveError } = await saveReturnRateRule(supabaseClient, rule);
+    setSaving(false);
+
+    if (saveError) {
+      setError(saveError.message || 'Failed to save return rate');
+      return;
+    }
+    setForm(null);
+    await onSaved();
+  };
+
+  const describeTarget = (rule) => {
+    if (rule.product_id) {
+      return products.find(p => p.product_id === rule.product_id)?.name || 'Unknown product';
+    }
+    if (rule.category_id) {
+      return categories.find(c => c.category_id === rule.category_id)?.name || 'Unknown category';
+    }
+    return 'All products';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+        <div>
+          <h2 className="text-lg sm:text-xl font-bold text-blue-800">Return Rates ({rules.length})</h2>
+          <p className="text-xs text-gray-500">Percentage of the original price credited for returned batches, by age</p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => { setError(''); setForm({ ...EMPTY_RULE }); }}
+            className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm"
+          >
+            + New Return Rate
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-4 text-sm">{error}</div>
+      )}
+
+      {form && (
+        <div className="border-2 border-blue-200 rounded-lg p-4 mb-4 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="text"
+              placeholder='Name, e.g. "Day 3 buns"'
+              value={form.name}
+              onChange={(e) => updateForm({ name: e.target.value })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <input
+              type="number"
+              min="0"
+              max="100"
+              placeholder="Return %"
+              value={form.return_percentage}
+              onChange={(e) => updateForm({ return_percentage: e.target.value })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <select
+              value={form.product_id}
+              onChange={(e) => updateForm({ product_id: e.target.value, category_id: '' })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            >
+              <option value="">Any product</option>
+              {products.map(product => (
+                <option key={product.product_id} value={product.product_id}>{product.name}</option>
+              ))}
+            </select>
+            <select
+              value={form.category_id}
+              onChange={(e) => updateForm({ category_id: e.target.value })}
+              disabled={!!form.product_id}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500 disabled:bg-gray-100"
+            >
+              <option value="">Any category</option>
+              {categories.map(category => (
+                <option key={category.category_id} value={category.category_id}>{category.name}</option>
+              ))}
+            </select>
+            <label className="text-sm text-gray-700">
+              From day
+              <input
+                type="number"
+                min="0"
+                value={form.min_batch_age_days}
+                onChange={(e) => updateForm({ min_batch_age_days: e.target.value })}
+                className="mx-2 w-20 px-2 py-1 border-2 border-blue-300 rounded text-sm focus:outline-none focus:border-blue-500"
+              />
+              of the batch&apos;s age
+            </label>
+          </div>
+          <p className="text-xs text-gray-500">
+            A rate applies until a rule for an older age takes over. Product rates win over category rates, which win over rates for all products.
+          </p>
+          <div className="flex gap-2 justify-end">
+            <button
+              onClick={() => setForm(null)}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-sm font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => handleSave(form)}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-bold disabled:opacity-50 flex items-center gap-2"
+            >
+              {saving && <Loader />}
+              Save Return Rate
+            </button>
+          </div>
+        </div>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-center py-8 text-gray-500">No return rates yet - each product&apos;s default percentage is used</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="bg-blue-100 text-left">
+                <th className="px-3 py-2">Name</th>
+                <th className="px-3 py-2">Return %</th>
+                <th className="px-3 py-2">Applies to</th>
+                <th className="px-3 py-2">Batch Age</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id} className={`border-b ${rule.is_active ? '' : 'opacity-50'}`}>
+                  <td className="px-3 py-2 font-semibold">{rule.name}</td>
+                  <td className="px-3 py-2">{rule.return_percentage}%</td>
+                  <td className="px-3 py-2 text-gray-600">{describeTarget(rule)}</td>
+                  <td className="px-3 py-2 text-gray-600">From day {rule.min_batch_age_days}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-right">
+                    <button
+                      onClick={() => startEdit(rule)}
+                      className="text-blue-600 hover:text-blue-800 px-2 font-medium"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleSave({ ...rule, is_active: !rule.is_active })}
+                      disabled={saving}
+                      className={`px-2 font-medium ${rule.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}
+                    >
+                      {rule.is_active ? 'Disable' : 'Enable'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReturnRateRulesPanel;
@@ -6,6 +6,7 @@
  * - Detailed transaction view
  * - Analytics and reporting
  * - Export functionality
+ * - Supplier credits against returns, flagging returns still uncredited
  */
 
 import { useState, useEffect } from 'react';
@@ -13,7 +14,21 @@ import { supabaseClient } from '../config/supabase';
 import { useAuth } from '../context/AuthContext';
 import { X, Loader } from './icons';
 import BatchAgeIndicator from './BatchAgeIndicator';
+import SupplierCreditsPanel from './SupplierCreditsPanel';
 import { undoReturn } from '../utils/returns';
+import { CREDIT_OVERDUE_DAYS, CREDIT_STATUS, getCreditStatus, getOutstandingCredit, isCreditOverdue } from '../utils/supplierCredits';
+
+const CREDIT_STATUS_STYLES = {
+  [CREDIT_STATUS.UNCREDITED]: 'text-orange-600',
+  [CREDIT_STATUS.PARTIAL]: 'text-yellow-700',
+  [CREDIT_STATUS.CREDITED]: 'text-green-700'
+};
+
+const CREDIT_STATUS_LABELS = {
+  [CREDIT_STATUS.UNCREDITED]: 'Not credited',
+  [CREDIT_STATUS.PARTIAL]: 'Partly credited',
+  [CREDIT_STATUS.CREDITED]: 'Credited'
+};
 
 const ReturnedLog = ({ isOpen, onClose }) => {
   const { currentUser } = useAuth();
@@ -26,7 +41,7 @@ const ReturnedLog = ({ isOpen, onClose }) => {
   const [showUndoConfirm, setShowUndoConfirm] = useState(false);
   const [undoing, setUndoing] = useState(false);
   const [returnItems, setReturnItems] = useState([]);
-  const [activeTab, setActiveTab] = useState('history'); // 'history', 'trends', 'products'
+  const [activeTab, setActiveTab] = useState('history'); // 'history', 'trends', 'products', 'credits'
   const [productFilter, setProductFilter] = useState('');
   const [valueRangeFilter, setValueRangeFilter] = useState({ min: '', max: '' });
   const [showArchived, setShowArchived] = useState(false); // Show returns older than 1 month
@@ -167,6 +182,13 @@ const ReturnedLog = ({ isOpen, onClose }) => {
     await loadReturnDetails(returnId);
   };
 
+  // Credited values have changed, so the selected return is stale
+  const handleCredited = async () => {
+    setSelectedDate(null);
+    setSelectedReturn(null);
+    await loadReturns();
+  };
+
   const calculateAnalytics = () => {
     // Apply filters to items
     let filteredItems = returnItems;
@@ -277,7 +299,7 @@ const ReturnedLog = ({ isOpen, onClose }) => {
 
     setUndoing(true);
     try {
-      const result = await undoReturn(supabaseClient, selectedReturn.return.id);
+      const result = await undoReturn(supabaseClient, selectedReturn.return.id, currentUser?.user_id);
 
       if (result.error) {
         throw new Error(result.error);
@@ -710,6 +732,16 @@ const ReturnedLog = ({ isOpen, onClose }) => {
             >
               📦 Products
             </button>
+            <button
+              onClick={() => setActiveTab('credits')}
+              className={`px-4 py-3 font-medium text-sm border-b-2 transition-colors ${
+                activeTab === 'credits'
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              💳 Supplier Credits
+            </button>
           </div>
         </div>
 
@@ -745,6 +777,11 @@ const ReturnedLog = ({ isOpen, onClose }) => {
                       <div className="text-sm text-gray-600">
                         {dateData.transactions.length} transaction{dateData.transactions.length !== 1 ? 's' : ''}
                       </div>
+                      {dateData.transactions.some(ret => isCreditOverdue(ret)) && (
+                        <div className="text-xs font-semibold text-red-600 mt-1">
+                          ⚠️ No supplier credit after {CREDIT_OVERDUE_DAYS} days
+                        </div>
+                      )}
                       <div className="flex items-center justify-between mt-2">
                         <span className="text-xs text-gray-500">
                           {dateData.totalBatches} batches, {dateData.totalQuantity} units
@@ -801,7 +838,9 @@ const ReturnedLog = ({ isOpen, onClose }) => {
                         </h3>
                         <button
                           onClick={() => setShowUndoConfirm(true)}
-                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-medium transition-colors text-sm flex items-center gap-2"
+                          disabled={parseFloat(selectedReturn.return.credited_value) > 0}
+                          title={parseFloat(selectedReturn.return.credited_value) > 0 ? 'A supplier credit note has been recorded against this return' : undefined}
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-medium transition-colors text-sm flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
                         >
                           <span>🗑️</span>
                           <span>Undo Return</span>
@@ -820,6 +859,20 @@ const ReturnedLog = ({ isOpen, onClose }) => {
                             Rs. {parseFloat(selectedReturn.return.total_value).toFixed(2)}
                           </div>
                         </div>
+                        <div className={`p-3 rounded-lg col-span-2 ${isCreditOverdue(selectedReturn.return) ? 'bg-red-50 border-2 border-red-200' : 'bg-gray-50'}`}>
+                          <div className="text-sm text-gray-600">Supplier Credit</div>
+                          <div className={`font-semibold ${CREDIT_STATUS_STYLES[getCreditStatus(selectedReturn.return)]}`}>
+                            {CREDIT_STATUS_LABELS[getCreditStatus(selectedReturn.return)]}
+                            {getCreditStatus(selectedReturn.return) !== CREDIT_STATUS.CREDITED && (
+                              <span className="font-normal"> - Rs. {getOutstandingCredit(selectedReturn.return).toFixed(2)} outstanding</span>
+                            )}
+                          </div>
+                          {isCreditOverdue(selectedReturn.return) && (
+                            <div className="text-xs font-semibold text-red-600 mt-1">
+                              ⚠️ No credit received after {CREDIT_OVERDUE_DAYS} days
+                            </div>
+                          )}
+                        </div>
                       </div>
                     </div>
 
@@ -847,7 +900,14 @@ const ReturnedLog = ({ isOpen, onClose }) => {
                               </td>
                               <td className="py-3 px-2 text-right">Rs. {parseFloat(item.original_price).toFixed(2)}</td>
                               <td className="py-3 px-2 text-right">Rs. {parseFloat(item.sale_price).toFixed(2)}</td>
-                              <td className="py-3 px-2 text-center">{item.return_percentage}%</td>
+                              <td className="py-3 px-2 text-center">
+                                {item.return_percentage}%
+                                {item.is_override && (
+                                  <div className="text-xs font-semibold text-amber-700" title={item.override_reason}>
+                                    Override of {item.rule_percentage}%: {item.override_reason}
+                                  </div>
+                                )}
+                              </td>
                               <td className="py-3 px-2 text-right font-semibold text-green-700">
                                 Rs. {parseFloat(item.total_return_value).toFixed(2)}
                               </td>
@@ -959,6 +1019,10 @@ const ReturnedLog = ({ isOpen, onClose }) => {
                 )}
               </div>
             )}
+
+            {activeTab === 'credits' && (
+              <SupplierCreditsPanel returns={returns} dateRange={dateRange} onCredited={handleCredited} />
+            )}
           </div>
         </div>
 
@@ -4,13 +4,14 @@
  * Main interface for processing product returns to bakery
  * Features:
  * - Display all batches with stock > 0
- * - Color-coded age indicators (Green/Yellow/Red)
+ * - Color-coded age indicators using each product's thresholds and shelf life
+ * - Expiring today list: batches on their last day or past their shelf life
  * - Select batches to keep for tomorrow
- * - Override return percentage per batch
+ * - Return percentage per batch from the return rate rules; overrides need a reason
  * - Real-time return value calculation
  * - Process returns with confirmation
  * 
- * Accessible to owners and cashiers
+ * Accessible to owners and cashiers; owners also manage the return rates here
  * 
  * @component
  */
@@ -19,19 +20,31 @@ import { useState, useEffect, useMemo } from 'react';
 import { supabaseClient } from '../config/supabase';
 import { useAuth } from '../context/AuthContext';
 import { useBatches } from '../hooks/useBatches';
+import { getExpiringTodayBatches } from '../utils/batchTracking';
+import { fetchSuppliers } from '../utils/suppliers';
+import { getReturnRate, applyReturnRateOverride, fetchReturnRateRules } from '../utils/returnRates';
 import { Loader, Search } from './icons';
 import BatchAgeIndicator from './BatchAgeIndicator';
 import ReturnedLog from './ReturnedLog';
+import ReturnRateRulesPanel from './ReturnRateRulesPanel';
 
 const ReturnsPage = () => {
   const { currentUser } = useAuth();
   const [searchQuery, setSearchQuery] = useState('');
-  const [ageFilter, setAgeFilter] = useState('all'); // 'all', 'fresh', 'medium', 'old'
+  const [ageFilter, setAgeFilter] = useState('all'); // 'all', 'fresh', 'medium', 'old', 'expired', 'expiring'
   const [selectedBatches, setSelectedBatches] = useState({}); // batchId -> boolean (keep for tomorrow)
   const [returnPercentages, setReturnPercentages] = useState({}); // batchId -> percentage override
+  const [overrideReasons, setOverrideReasons] = useState({}); // batchId -> why the percentage was overridden
+  const [rateRules, setRateRules] = useState([]);
+  const [ruleProducts, setRuleProducts] = useState([]);
+  const [ruleCategories, setRuleCategories] = useState([]);
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const [processingReturn, setProcessingReturn] = useState(false);
   const [showReturnedLog, setShowReturnedLog] = useState(false);
+  const [suppliers, setSuppliers] = useState([]);
+  const [returnSupplierId, setReturnSupplierId] = useState('');
+
+  const isOwner = currentUser?.role === 'owner';
 
   // Use batches hook to fetch all batches
   const { batches, loading, error, fetchBatches } = useBatches({ enableRealtime: true });
@@ -41,6 +54,43 @@ const ReturnsPage = () => {
     fetchBatches();
   }, [fetchBatches]);
 
+  // Suppliers the goods can go back to; with only one it is preselected
+  useEffect(() => {
+    fetchSuppliers(supabaseClient, { activeOnly: true }).then(({ data }) => {
+      setSuppliers(data);
+      if (data.length === 1) setReturnSupplierId(String(data[0].id));
+    });
+    loadRateRules();
+  }, []);
+
+  // Products and categories the owner can target with return rates
+  useEffect(() => {
+    if (!isOwner) return;
+    Promise.all([
+      supabaseClient.from('products').select('product_id, name').order('name'),
+      supabaseClient.from('product_categories').select('category_id, name').order('display_order')
+    ]).then(([productResult, categoryResult]) => {
+      setRuleProducts(productResult.data || []);
+      setRuleCategories(categoryResult.data || []);
+    });
+  }, [isOwner]);
+
+  const loadRateRules = async () => {
+    const { data } = await fetchReturnRateRules(supabaseClient);
+    setRateRules(data);
+  };
+
+  /**
+   * Return percentage for a batch: the rules' rate unless overridden
+   */
+  const getBatchReturnRate = (batch) => {
+    const rate = getReturnRate(rateRules, batch.products || {}, batch.age);
+    return { rate, ...applyReturnRateOverride(rate, returnPercentages[batch.id]) };
+  };
+
+  // Batches that have to come off the shelf at closing
+  const expiringBatches = useMemo(() => getExpiringTodayBatches(batches), [batches]);
+
   /**
    * Filter batches based on search and age filter
    */
@@ -56,12 +106,15 @@ const ReturnsPage = () => {
     }
 
     // Filter by age
-    if (ageFilter !== 'all') {
+    if (ageFilter === 'expiring') {
+      const expiringIds = new Set(expiringBatches.map(batch => batch.id));
+      filtered = filtered.filter(batch => expiringIds.has(batch.id));
+    } else if (ageFilter !== 'all') {
       filtered = filtered.filter(batch => batch.ageCategory === ageFilter);
     }
 
     return filtered;
-  }, [batches, searchQuery, ageFilter]);
+  }, [batches, searchQuery, ageFilter, expiringBatches]);
 
   /**
    * Calculate return summary
@@ -71,8 +124,7 @@ const ReturnsPage = () => {
     
     const summary = batchesToReturn.reduce((acc, batch) => {
       const product = batch.products || {};
-      const overridePercentage = returnPercentages[batch.id];
-      const effectivePercentage = overridePercentage || product.default_return_percentage || 20;
+      const { percentage: effectivePercentage, isOverride } = getBatchReturnRate(batch);
       const originalPrice = product.original_price || 0;
       const returnValuePerUnit = originalPrice * (effectivePercentage / 100);
       const totalReturnValue = returnValuePerUnit * batch.quantity;
@@ -80,6 +132,9 @@ const ReturnsPage = () => {
       acc.totalBatches += 1;
       acc.totalQuantity += batch.quantity;
       acc.totalValue += totalReturnValue;
+      if (isOverride && !overrideReasons[batch.id]?.trim()) {
+        acc.overridesWithoutReason += 1;
+      }
 
       // Add to product breakdown
       const productId = batch.product_id;
@@ -100,11 +155,12 @@ const ReturnsPage = () => {
       totalBatches: 0,
       totalQuantity: 0,
       totalValue: 0,
+      overridesWithoutReason: 0,
       productBreakdown: {}
     });
 
     return summary;
-  }, [filteredBatches, selectedBatches, returnPercentages]);
+  }, [filteredBatches, selectedBatches, returnPercentages, overrideReasons, rateRules]);
 
   /**
    * Handle keeping a batch for tomorrow
@@ -122,7 +178,28 @@ const ReturnsPage = () => {
   const handlePercentageChange = (batchId, percentage) => {
     setReturnPercentages(prev => ({
       ...prev,
-      [batchId]: parseInt(percentage)
+      [batchId]: percentage
+    }));
+  };
+
+  /**
+   * Go back to the rules' percentage for a batch
+   */
+  const handlePercentageReset = (batchId) => {
+    setReturnPercentages(prev => {
+      const updated = { ...prev };
+      delete updated[batchId];
+      return updated;
+    });
+  };
+
+  /**
+   * Handle the reason for a percentage override
+   */
+  const handleOverrideReasonChange = (batchId, reason) => {
+    setOverrideReasons(prev => ({
+      ...prev,
+      [batchId]: reason
     }));
   };
 
@@ -138,16 +215,22 @@ const ReturnsPage = () => {
       // Get batches to return
       const batchesToReturn = filteredBatches
         .filter(batch => !selectedBatches[batch.id])
-        .map(batch => ({
-          batchId: batch.id,
-          productId: batch.product_id,
-          quantity: batch.quantity,
-          age: batch.age,
-          dateAdded: batch.date_added,
-          originalPrice: batch.products?.original_price || 0,
-          salePrice: batch.products?.sale_price || 0,
-          returnPercentage: returnPercentages[batch.id] || batch.products?.default_return_percentage || 20
-        }));
+        .map(batch => {
+          const { rate, percentage } = getBatchReturnRate(batch);
+          return {
+            batchId: batch.id,
+            productId: batch.product_id,
+            quantity: batch.quantity,
+            age: batch.age,
+            dateAdded: batch.date_added,
+            originalPrice: batch.products?.original_price || 0,
+            salePrice: batch.products?.sale_price || 0,
+            returnPercentage: percentage,
+            rulePercentage: rate.percentage,
+            returnRateRuleId: rate.rule?.id || null,
+            overrideReason: overrideReasons[batch.id] || ''
+          };
+        });
 
       // Get batches to keep
       const batchesToKeep = filteredBatches
@@ -157,7 +240,8 @@ const ReturnsPage = () => {
       // Process return
       const result = await processReturn(supabaseClient, currentUser.id, {
         batchesToReturn,
-        batchesToKeep
+        batchesToKeep,
+        supplierId: parseInt(returnSupplierId) || null
       });
 
       if (result.error) {
@@ -169,6 +253,7 @@ const ReturnsPage = () => {
       // Reset selections and reload
       setSelectedBatches({});
       setReturnPercentages({});
+      setOverrideReasons({});
       fetchBatches();
       setShowConfirmDialog(false);
     } catch (error) {
@@ -259,14 +344,43 @@ const ReturnsPage = () => {
                 className="w-full px-4 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
               >
                 <option value="all">All Ages</option>
-                <option value="fresh">Fresh (0-2 days)</option>
-                <option value="medium">Medium (3-7 days)</option>
-                <option value="old">Old (7+ days)</option>
+                <option value="expiring">Expiring Today</option>
+                <option value="fresh">Fresh</option>
+                <option value="medium">Medium</option>
+                <option value="old">Old</option>
+                <option value="expired">Expired</option>
               </select>
             </div>
           </div>
         </div>
 
+        {/* Expiring Today */}
+        {expiringBatches.length > 0 && (
+          <div className="bg-red-50 border-2 border-red-300 rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-3">
+              <div>
+                <h2 className="text-lg sm:text-xl font-bold text-red-800">⏰ Expiring Today ({expiringBatches.length})</h2>
+                <p className="text-sm text-red-700">Last day to sell or already past shelf life. Return these instead of keeping them.</p>
+              </div>
+              <button
+                onClick={() => setAgeFilter('expiring')}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-medium text-sm"
+              >
+                Show Only These
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {expiringBatches.map(batch => (
+                <div key={batch.id} className="flex items-center gap-2 bg-white rounded-lg px-3 py-2 border border-red-200 text-sm">
+                  <span className="font-medium text-gray-900">{batch.products?.name || 'Unknown Product'}</span>
+                  <span className="text-gray-600">× {batch.quantity}</span>
+                  <BatchAgeIndicator age={batch.age} product={batch.products} />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Returns Summary Footer (Sticky) */}
         {filteredBatches.length > 0 && (
           <div className="sticky bottom-0 bg-blue-600 text-white rounded-lg shadow-xl p-4 mb-6 z-10">
@@ -328,8 +442,7 @@ const ReturnsPage = () => {
                 <tbody>
                   {filteredBatches.map((batch) => {
                     const product = batch.products || {};
-                    const overridePercentage = returnPercentages[batch.id];
-                    const effectivePercentage = overridePercentage || product.default_return_percentage || 20;
+                    const { rate, percentage: effectivePercentage, isOverride } = getBatchReturnRate(batch);
                     const originalPrice = product.original_price || 0;
                     const returnValuePerUnit = originalPrice * (effectivePercentage / 100);
                     const totalReturnValue = returnValuePerUnit * batch.quantity;
@@ -362,7 +475,7 @@ const ReturnsPage = () => {
 
                         {/* Age Badge */}
                         <td className="py-3 px-2 text-center">
-                          <BatchAgeIndicator age={batch.age} />
+                          <BatchAgeIndicator age={batch.age} product={product} />
                         </td>
 
                         {/* Quantity */}
@@ -382,15 +495,42 @@ const ReturnsPage = () => {
 
                         {/* Return Percentage */}
                         <td className="py-3 px-2">
-                          <select
-                            value={effectivePercentage}
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={returnPercentages[batch.id] ?? effectivePercentage}
                             onChange={(e) => handlePercentageChange(batch.id, e.target.value)}
-                            className="w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
+                            className={`w-full px-2 py-1 border rounded text-sm focus:outline-none focus:border-blue-500 ${
+                              isOverride ? 'border-amber-400 bg-amber-50' : 'border-gray-300'
+                            }`}
                             disabled={isKept}
-                          >
-                            <option value="20">20%</option>
-                            <option value="100">100%</option>
-                          </select>
+                          />
+                          <div className="text-xs text-gray-500 mt-1">
+                            {rate.rule ? rate.rule.name : 'Product default'}
+                          </div>
+                          {isOverride && !isKept && (
+                            <div className="mt-1">
+                              <div className="text-xs font-semibold text-amber-700">
+                                Override of {rate.percentage}%{' '}
+                                <button
+                                  onClick={() => handlePercentageReset(batch.id)}
+                                  className="text-blue-600 hover:text-blue-800 font-medium"
+                                >
+                                  Reset
+                                </button>
+                              </div>
+                              <input
+                                type="text"
+                                placeholder="Reason (required)"
+                                value={overrideReasons[batch.id] || ''}
+                                onChange={(e) => handleOverrideReasonChange(batch.id, e.target.value)}
+                                className={`w-full mt-1 px-2 py-1 border rounded text-xs focus:outline-none focus:border-blue-500 ${
+                                  overrideReasons[batch.id]?.trim() ? 'border-gray-300' : 'border-red-400'
+                                }`}
+                              />
+                            </div>
+                          )}
                         </td>
 
                         {/* Return Value */}
@@ -428,6 +568,15 @@ const ReturnsPage = () => {
           </div>
         )}
 
+        {isOwner && (
+          <ReturnRateRulesPanel
+            rules={rateRules}
+            products={ruleProducts}
+            categories={ruleCategories}
+            onSaved={loadRateRules}
+          />
+        )}
+
         {/* Confirmation Dialog */}
         {showConfirmDialog && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -451,6 +600,26 @@ const ReturnsPage = () => {
                       </div>
                     </div>
                   </div>
+                  {suppliers.length > 0 && (
+                    <label className="block text-sm">
+                      <span className="text-gray-600">Returned to</span>
+                      <select
+                        value={returnSupplierId}
+                        onChange={(e) => setReturnSupplierId(e.target.value)}
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500"
+                      >
+                        <option value="">Not specified</option>
+                        {suppliers.map(supplier => (
+                          <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {returnSummary.overridesWithoutReason > 0 && (
+                    <p className="text-sm font-semibold text-red-600">
+                      ⚠️ {returnSummary.overridesWithoutReason} overridden return percentage{returnSummary.overridesWithoutReason !== 1 ? 's need' : ' needs'} a reason
+                    </p>
+                  )}
                   <p className="text-sm text-gray-600">
                     Items marked "Keep for tomorrow" will remain in inventory. An email notification will be sent to the owner.
                   </p>
@@ -466,7 +635,7 @@ const ReturnsPage = () => {
                   </button>
                   <button
                     onClick={handleProcessReturn}
-                    disabled={processingReturn}
+                    disabled={processingReturn || returnSummary.overridesWithoutReason > 0}
                     className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-bold transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
                   >
                     {processingReturn && <Loader className="w-4 h-4 animate-spin" />}
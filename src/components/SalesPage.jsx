@@ -4,20 +4,65 @@
  * Displays sales analytics and reports including:
  * - Today's sales summary
  * - Total sales summary
- * - Item-wise sales breakdown
+ * - Item-wise sales breakdown (with variants; combos split into their components)
  * - Recent bills history
+ * - Voids/refunds shown as negative sales
+ * - Takings by payment method
+ * - Discounts given by promotion
+ * - Shift X/Z reports
+ * - Production plan vs sold vs returned
  * 
  * Owner-only feature
  * 
  * @component
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Fragment } from 'react';
 import { supabaseClient } from '../config/supabase';
-import { TrendingUp, Trash2, X } from './icons';
+import { TrendingUp, X } from './icons';
+import VoidBillModal from './VoidBillModal';
+import ReceiptModal from './ReceiptModal';
+import { fetchBillRefunds, refundsToSalesEntries, describeRefundPayments } from '../utils/billRefunds';
+import { summarizePaymentsByMethod, TENDER_METHOD_LABELS } from '../utils/posPayments';
+import {
+  fetchShifts,
+  fetchShiftActivity,
+  buildShiftReport,
+  renderShiftReportHtml
+} from '../utils/cashShifts';
+import { printHtmlDocument } from '../utils/printing';
+import { fetchAppliedDiscounts, summarizeDiscountsByPromotion } from '../utils/promotions';
+import { fetchBillTaxes, summarizeTaxes, TAX_KINDS } from '../utils/taxes';
+import { summarizeSalesByVariant, describeLineOptions } from '../utils/productVariants';
+import { expandBundleSales } from '../utils/productBundles';
+import {
+  summarizeDailySales,
+  summarizeDailyReturns,
+  buildPlanReport,
+  fetchProductionPlans,
+  fetchReturnedItems,
+  toDateKey
+} from '../utils/productionPlanning';
+import { fetchMarkdownReport, summarizeMarkdownsVsReturns } from '../utils/markdowns';
+
+// Days of production plans shown against what sold and came back
+const PLAN_REPORT_DAYS = 14;
+
+// Days of markdown sales compared with returns
+const MARKDOWN_REPORT_DAYS = 30;
 
 const SalesPage = () => {
   const [bills, setBills] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  const [voidingBill, setVoidingBill] = useState(null);
+  const [reprintBill, setReprintBill] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  const [printingShiftId, setPrintingShiftId] = useState(null);
+  const [appliedDiscounts, setAppliedDiscounts] = useState([]);
+  const [billTaxes, setBillTaxes] = useState([]);
+  const [planItems, setPlanItems] = useState([]);
+  const [returnedItems, setReturnedItems] = useState([]);
+  const [markdownReport, setMarkdownReport] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -33,20 +78,71 @@ const SalesPage = () => {
           order_id,
           order_date,
           value,
+          discount_total,
+          tax_total,
+          service_charge,
+          status,
+          pos_bill_payments (
+            method,
+            amount,
+            tendered,
+            change_given,
+            reference
+          ),
           order_items (
             order_item_id,
             product_id,
             quantity,
+            stock_units,
             subtotal,
+            discount_amount,
+            tax_amount,
+            exclusive_tax_amount,
+            service_charge_amount,
+            variant_name,
+            modifiers,
             products (
               name
+            ),
+            order_item_components (
+              product_id,
+              quantity,
+              revenue,
+              products (
+                name
+              )
             )
+          ),
+          applied_discounts (
+            promotion_name,
+            amount
+          ),
+          bill_taxes (
+            kind,
+            name,
+            rate,
+            is_inclusive,
+            amount
           )
         `)
         .order('order_date', { ascending: false });
 
       if (error) throw error;
       setBills(data || []);
+      setRefunds(await fetchBillRefunds(supabaseClient));
+      setShifts(await fetchShifts(supabaseClient));
+      setAppliedDiscounts(await fetchAppliedDiscounts(supabaseClient));
+      setBillTaxes(await fetchBillTaxes(supabaseClient));
+
+      const planStart = new Date();
+      planStart.setDate(planStart.getDate() - PLAN_REPORT_DAYS);
+      setPlanItems((await fetchProductionPlans(supabaseClient, toDateKey(planStart))).data);
+      setReturnedItems((await fetchReturnedItems(supabaseClient, toDateKey(planStart))).data);
+
+      const markdownStart = new Date();
+      markdownStart.setDate(markdownStart.getDate() - MARKDOWN_REPORT_DAYS);
+      const { data: markdownData } = await fetchMarkdownReport(supabaseClient, toDateKey(markdownStart));
+      setMarkdownReport(summarizeMarkdownsVsReturns(markdownData.markdownLines, markdownData.returnItems));
     } catch (error) {
       console.error('Error loading bills:', error);
     } finally {
@@ -58,67 +154,101 @@ const SalesPage = () => {
     const now = new Date();
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
     const todayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999);
+    const isToday = (date) => date >= todayStart && date <= todayEnd;
     
-    const todayOrders = bills.filter(order => {
-      const orderDate = new Date(order.order_date);
-      return orderDate >= todayStart && orderDate <= todayEnd;
-    });
+    const todayOrders = bills.filter(order => isToday(new Date(order.order_date)));
+    const todayRefunds = refunds.filter(refund => isToday(new Date(refund.created_at)));
     
-    const total = todayOrders.reduce((sum, order) => sum + parseFloat(order.value), 0);
-    return { count: todayOrders.length, total: total.toFixed(2) };
+    // Voids and refunds are deducted on the day they happen
+    const total = todayOrders.reduce((sum, order) => sum + parseFloat(order.value), 0)
+      - todayRefunds.reduce((sum, refund) => sum + parseFloat(refund.total_amount), 0);
+    return { count: todayOrders.length, refunds: todayRefunds.length, total: total.toFixed(2) };
   };
 
   const getTotalSales = () => {
-    const total = bills.reduce((sum, order) => sum + parseFloat(order.value), 0);
-    return { count: bills.length, total: total.toFixed(2) };
+    const total = bills.reduce((sum, order) => sum + parseFloat(order.value), 0)
+      - refunds.reduce((sum, refund) => sum + parseFloat(refund.total_amount), 0);
+    return { count: bills.length, refunds: refunds.length, total: total.toFixed(2) };
+  };
+
+  const getPaymentBreakdown = () => {
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+    const todayBills = bills.filter(order => new Date(order.order_date) >= todayStart);
+    const today = summarizePaymentsByMethod(todayBills);
+
+    return summarizePaymentsByMethod(bills).map(entry => ({
+      ...entry,
+      todayAmount: today.find(t => t.method === entry.method)?.amount || 0
+    }));
+  };
+
+  const printShiftReport = async (shift) => {
+    try {
+      setPrintingShiftId(shift.id);
+      const { data: activity, error } = await fetchShiftActivity(supabaseClient, shift);
+      if (error) throw error;
+
+      const report = buildShiftReport(shift, activity, shift.status === 'open' ? 'X' : 'Z');
+      const cashierName = `${shift.opener?.first_name || ''} ${shift.opener?.last_name || ''}`.trim() || shift.opener?.username;
+      printHtmlDocument(renderShiftReportHtml(report, { cashierName }));
+    } catch (error) {
+      console.error('Error printing shift report:', error);
+      alert('Error generating shift report. Please try again.');
+    } finally {
+      setPrintingShiftId(null);
+    }
   };
 
+  // Combo revenue is counted under the products the combo is made of
   const getItemWiseSales = () => {
-    const itemSales = {};
-    bills.forEach(order => {
-      if (order.order_items && order.order_items.length > 0) {
-        order.order_items.forEach(item => {
-          const productName = item.products?.name || 'Unknown';
-          if (!itemSales[productName]) {
-            itemSales[productName] = { quantity: 0, revenue: 0 };
-          }
-          itemSales[productName].quantity += parseFloat(item.quantity);
-          itemSales[productName].revenue += parseFloat(item.subtotal);
-        });
-      }
-    });
-    return Object.entries(itemSales).map(([name, data]) => ({
-      name,
-      ...data
-    })).sort((a, b) => b.revenue - a.revenue);
+    const expanded = expandBundleSales(bills, refunds);
+    return summarizeSalesByVariant(expanded.bills, expanded.refunds);
+  };
+
+  const getPlanReport = () => {
+    return buildPlanReport(planItems, summarizeDailySales(bills, refunds), summarizeDailyReturns(returnedItems));
   };
 
   const getUniqueBills = () => {
-    return bills.map(order => ({
+    const billEntries = bills.map(order => ({
       id: order.order_id,
+      orderId: order.order_id,
+      timestamp: new Date(order.order_date),
       date: new Date(order.order_date).toLocaleString(),
       total: parseFloat(order.value),
-      items: order.order_items || []
+      status: order.status || 'completed',
+      isRefund: false,
+      items: order.order_items || [],
+      payments: order.pos_bill_payments || []
     }));
-  };
 
-  const deleteBill = async (orderId) => {
-    if (!window.confirm('Are you sure you want to delete this order?')) return;
+    const refundEntries = refundsToSalesEntries(refunds).map(entry => ({
+      ...entry,
+      timestamp: new Date(entry.date),
+      date: new Date(entry.date).toLocaleString(),
+      isRefund: true
+    }));
 
-    try {
-      const { error } = await supabaseClient
-        .from('orders')
-        .delete()
-        .eq('order_id', orderId);
+    return [...billEntries, ...refundEntries].sort((a, b) => b.timestamp - a.timestamp);
+  };
 
-      if (error) throw error;
+  const getRefundItemsForBill = (orderId) => {
+    return refunds
+      .filter(refund => refund.order_id === orderId)
+      .flatMap(refund => refund.pos_refund_items || []);
+  };
 
-      await loadBills();
-      alert('Order deleted successfully!');
-    } catch (error) {
-      console.error('Error deleting order:', error);
-      alert('Error deleting order. Please try again.');
-    }
+  const getRefundPaymentsForBill = (orderId) => {
+    return refunds
+      .filter(refund => refund.order_id === orderId)
+      .flatMap(refund => refund.pos_refund_payments || []);
+  };
+
+  const handleRefunded = async (refund) => {
+    setVoidingBill(null);
+    await loadBills();
+    alert(`✅ ${refund.refund_type === 'void' ? 'Bill voided' : 'Refund recorded'}: Rs. ${parseFloat(refund.total_amount).toFixed(2)}. Paid back: ${describeRefundPayments(refund.payments)}.`);
   };
 
   if (loading) {
@@ -150,12 +280,202 @@ const SalesPage = () => {
           <div className="bg-white p-4 sm:p-6 rounded-lg shadow-lg border-2 border-green-200">
             <h3 className="text-sm text-gray-600 mb-1">Today's Sales</h3>
             <p className="text-2xl sm:text-3xl font-bold text-green-700">Rs. {getDailySales().total}</p>
-            <p className="text-sm text-gray-500">{getDailySales().count} bills</p>
+            <p className="text-sm text-gray-500">
+              {getDailySales().count} bills{getDailySales().refunds > 0 && ` • ${getDailySales().refunds} voids/refunds`}
+            </p>
           </div>
           <div className="bg-white p-4 sm:p-6 rounded-lg shadow-lg border-2 border-blue-200">
             <h3 className="text-sm text-gray-600 mb-1">Total Sales</h3>
             <p className="text-2xl sm:text-3xl font-bold text-blue-700">Rs. {getTotalSales().total}</p>
-            <p className="text-sm text-gray-500">{getTotalSales().count} bills</p>
+            <p className="text-sm text-gray-500">
+              {getTotalSales().count} bills{getTotalSales().refunds > 0 && ` • ${getTotalSales().refunds} voids/refunds`}
+            </p>
+          </div>
+        </div>
+
+        {/* Takings by Payment Method */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h3 className="text-lg sm:text-xl font-bold text-green-800 mb-1">Takings by Payment Method</h3>
+          <p className="text-xs text-gray-500 mb-4">Amounts applied to bills (cash excludes change given), before voids/refunds</p>
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[400px]">
+              <thead className="bg-gradient-to-r from-green-600 to-green-700 text-white">
+                <tr>
+                  <th className="text-left p-2 sm:p-3 text-sm">Method</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Today</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Total</th>
+                  <th className="text-center p-2 sm:p-3 text-sm">Payments</th>
+                </tr>
+              </thead>
+              <tbody>
+                {getPaymentBreakdown().length === 0 ? (
+                  <tr>
+                    <td colSpan="4" className="text-center py-8 text-gray-500">
+                      No payment data available
+                    </td>
+                  </tr>
+                ) : (
+                  getPaymentBreakdown().map(entry => (
+                    <tr key={entry.method} className="border-t border-green-100 hover:bg-green-50">
+                      <td className="p-2 sm:p-3 text-sm">{entry.label}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm">Rs. {entry.todayAmount.toFixed(2)}</td>
+                      <td className="text-right p-2 sm:p-3 font-semibold text-sm">Rs. {entry.amount.toFixed(2)}</td>
+                      <td className="text-center p-2 sm:p-3 text-sm">{entry.count}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Discounts by Promotion */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h3 className="text-lg sm:text-xl font-bold text-green-800 mb-1">Discounts by Promotion</h3>
+          <p className="text-xs text-gray-500 mb-4">POS bills and online orders; sales figures above are already net of discounts</p>
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[480px]">
+              <thead className="bg-gradient-to-r from-green-600 to-green-700 text-white">
+                <tr>
+                  <th className="text-left p-2 sm:p-3 text-sm">Promotion</th>
+                  <th className="text-center p-2 sm:p-3 text-sm">Uses</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">POS</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Online</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {appliedDiscounts.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="text-center py-8 text-gray-500">
+                      No discounts given yet
+                    </td>
+                  </tr>
+                ) : (
+                  summarizeDiscountsByPromotion(appliedDiscounts).map(entry => (
+                    <tr key={entry.promotion_id ?? entry.promotion_name} className="border-t border-green-100 hover:bg-green-50">
+                      <td className="p-2 sm:p-3 text-sm">
+                        {entry.promotion_name}
+                        {entry.coupon_code && <span className="ml-2 font-mono text-xs text-purple-700">{entry.coupon_code}</span>}
+                      </td>
+                      <td className="text-center p-2 sm:p-3 text-sm">{entry.uses}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm">Rs. {entry.posAmount.toFixed(2)}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm">Rs. {entry.onlineAmount.toFixed(2)}</td>
+                      <td className="text-right p-2 sm:p-3 font-semibold text-sm">Rs. {entry.amount.toFixed(2)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Tax Summary */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h3 className="text-lg sm:text-xl font-bold text-green-800 mb-1">Tax Summary</h3>
+          <p className="text-xs text-gray-500 mb-4">Tax and service charge collected on POS bills and online orders; refunds pay back their share</p>
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[640px]">
+              <thead className="bg-gradient-to-r from-green-600 to-green-700 text-white">
+                <tr>
+                  <th className="text-left p-2 sm:p-3 text-sm">Tax</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Taxable</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">POS</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Online</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Refunded</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {billTaxes.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="text-center py-8 text-gray-500">
+                      No tax or service charge collected yet
+                    </td>
+                  </tr>
+                ) : (
+                  summarizeTaxes(billTaxes, bills, refunds).map(entry => (
+                    <tr key={entry.key} className="border-t border-green-100 hover:bg-green-50">
+                      <td className="p-2 sm:p-3 text-sm">
+                        {entry.name} {entry.rate}%
+                        <span className="ml-2 text-xs text-gray-500">
+                          {entry.kind === TAX_KINDS.SERVICE_CHARGE ? 'dine-in' : entry.is_inclusive ? 'included' : 'added'}
+                        </span>
+                      </td>
+                      <td className="text-right p-2 sm:p-3 text-sm">Rs. {entry.taxable.toFixed(2)}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm">Rs. {entry.posAmount.toFixed(2)}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm">Rs. {entry.onlineAmount.toFixed(2)}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm text-red-600">
+                        {entry.refunded > 0 ? `-Rs. ${entry.refunded.toFixed(2)}` : '-'}
+                      </td>
+                      <td className="text-right p-2 sm:p-3 font-semibold text-sm">Rs. {entry.net.toFixed(2)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Shift Reports */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h3 className="text-lg sm:text-xl font-bold text-green-800 mb-4">Shifts</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full min-w-[560px]">
+              <thead className="bg-gradient-to-r from-green-600 to-green-700 text-white">
+                <tr>
+                  <th className="text-left p-2 sm:p-3 text-sm">Shift</th>
+                  <th className="text-left p-2 sm:p-3 text-sm">Cashier</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Float</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Expected</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Counted</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Variance</th>
+                  <th className="text-center p-2 sm:p-3 text-sm">Report</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shifts.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="text-center py-8 text-gray-500">
+                      No shifts recorded
+                    </td>
+                  </tr>
+                ) : (
+                  shifts.map(shift => (
+                    <tr key={shift.id} className="border-t border-green-100 hover:bg-green-50">
+                      <td className="p-2 sm:p-3 text-sm">
+                        #{shift.id} • {new Date(shift.opened_at).toLocaleString()}
+                        {shift.status === 'open' && (
+                          <span className="ml-2 px-2 py-0.5 rounded bg-green-100 text-green-700 text-xs font-semibold">OPEN</span>
+                        )}
+                      </td>
+                      <td className="p-2 sm:p-3 text-sm">{shift.opener?.username || '-'}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm">{parseFloat(shift.opening_float).toFixed(2)}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm">
+                        {shift.expected_cash !== null ? parseFloat(shift.expected_cash).toFixed(2) : '-'}
+                      </td>
+                      <td className="text-right p-2 sm:p-3 text-sm">
+                        {shift.counted_cash !== null ? parseFloat(shift.counted_cash).toFixed(2) : '-'}
+                      </td>
+                      <td className={`text-right p-2 sm:p-3 text-sm font-semibold ${
+                        shift.cash_variance < 0 ? 'text-red-700' : shift.cash_variance > 0 ? 'text-orange-700' : 'text-green-700'
+                      }`}>
+                        {shift.cash_variance !== null ? parseFloat(shift.cash_variance).toFixed(2) : '-'}
+                      </td>
+                      <td className="text-center p-2 sm:p-3 text-sm">
+                        <button
+                          onClick={() => printShiftReport(shift)}
+                          disabled={printingShiftId === shift.id}
+                          className="px-3 py-1 border border-green-300 text-green-700 rounded hover:bg-green-50 disabled:opacity-50"
+                        >
+                          {shift.status === 'open' ? 'X Report' : 'Z Report'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
           </div>
         </div>
 
@@ -180,10 +500,63 @@ const SalesPage = () => {
                   </tr>
                 ) : (
                   getItemWiseSales().map((item, idx) => (
-                    <tr key={idx} className="border-t border-green-100 hover:bg-green-50">
-                      <td className="p-2 sm:p-3 text-sm">{item.name}</td>
-                      <td className="text-center p-2 sm:p-3 text-sm">{item.quantity.toFixed(2)}</td>
-                      <td className="text-right p-2 sm:p-3 font-semibold text-sm">Rs. {item.revenue.toFixed(2)}</td>
+                    <Fragment key={idx}>
+                      <tr className="border-t border-green-100 hover:bg-green-50">
+                        <td className="p-2 sm:p-3 text-sm">{item.name}</td>
+                        <td className="text-center p-2 sm:p-3 text-sm">{item.quantity.toFixed(2)}</td>
+                        <td className="text-right p-2 sm:p-3 font-semibold text-sm">Rs. {item.revenue.toFixed(2)}</td>
+                      </tr>
+                      {item.variants.map(variant => (
+                        <tr key={`${idx}-${variant.name}`} className="text-gray-500">
+                          <td className="py-1 pl-6 sm:pl-8 pr-2 text-xs">↳ {variant.name}</td>
+                          <td className="text-center py-1 px-2 text-xs">{variant.quantity.toFixed(2)}</td>
+                          <td className="text-right py-1 px-2 sm:px-3 text-xs">Rs. {variant.revenue.toFixed(2)}</td>
+                        </tr>
+                      ))}
+                    </Fragment>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Production Plan vs Actual */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h3 className="text-lg sm:text-xl font-bold text-green-800 mb-1">Production Plan vs Actual</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            Plans from the Daily Stock Check-In over the last {PLAN_REPORT_DAYS} days, against what sold (net of refunds) and what was returned that day
+          </p>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="w-full min-w-[560px]">
+              <thead className="bg-gradient-to-r from-green-600 to-green-700 text-white">
+                <tr>
+                  <th className="text-left p-2 sm:p-3 text-sm">Date</th>
+                  <th className="text-left p-2 sm:p-3 text-sm">Product</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Suggested</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Made</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Sold</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Returned</th>
+                </tr>
+              </thead>
+              <tbody>
+                {getPlanReport().length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="text-center py-8 text-gray-500">
+                      No production plans recorded
+                    </td>
+                  </tr>
+                ) : (
+                  getPlanReport().map(row => (
+                    <tr key={`${row.planDate}-${row.productId}`} className="border-t border-green-100 hover:bg-green-50">
+                      <td className="p-2 sm:p-3 text-sm">{row.planDate}</td>
+                      <td className="p-2 sm:p-3 text-sm">{row.name}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm text-gray-500">{row.suggested ?? '-'}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm font-semibold">{row.planned}</td>
+                      <td className="text-right p-2 sm:p-3 text-sm">{row.sold}</td>
+                      <td className={`text-right p-2 sm:p-3 text-sm ${row.returned > 0 ? 'text-orange-600 font-semibold' : ''}`}>
+                        {row.returned}
+                      </td>
                     </tr>
                   ))
                 )}
@@ -192,6 +565,61 @@ const SalesPage = () => {
           </div>
         </div>
 
+        {/* Markdowns vs Returns */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h3 className="text-lg sm:text-xl font-bold text-green-800 mb-1">Markdowns vs Returns</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            Last {MARKDOWN_REPORT_DAYS} days: what aged stock earned when sold at a markdown against what returning it to the bakery was worth. The better value per unit is highlighted.
+          </p>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="w-full min-w-[640px]">
+              <thead className="bg-gradient-to-r from-green-600 to-green-700 text-white">
+                <tr>
+                  <th className="text-left p-2 sm:p-3 text-sm">Product</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Marked Down</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Markdown Revenue</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Given Away</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Returned</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Returns Value</th>
+                  <th className="text-right p-2 sm:p-3 text-sm">Per Unit (Markdown / Return)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {markdownReport.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="text-center py-8 text-gray-500">
+                      No markdown sales or returns
+                    </td>
+                  </tr>
+                ) : (
+                  markdownReport.map(row => {
+                    const markdownBetter = row.markdownPerUnit !== null && (row.returnPerUnit === null || row.markdownPerUnit >= row.returnPerUnit);
+                    return (
+                      <tr key={row.product_id ?? row.name} className="border-t border-green-100 hover:bg-green-50">
+                        <td className="p-2 sm:p-3 text-sm">{row.name}</td>
+                        <td className="text-right p-2 sm:p-3 text-sm">{row.markdownQuantity}</td>
+                        <td className="text-right p-2 sm:p-3 text-sm font-semibold">Rs. {row.markdownRevenue.toFixed(2)}</td>
+                        <td className="text-right p-2 sm:p-3 text-sm text-gray-500">Rs. {row.markdownGiven.toFixed(2)}</td>
+                        <td className="text-right p-2 sm:p-3 text-sm">{row.returnQuantity}</td>
+                        <td className="text-right p-2 sm:p-3 text-sm font-semibold">Rs. {row.returnValue.toFixed(2)}</td>
+                        <td className="text-right p-2 sm:p-3 text-sm">
+                          <span className={markdownBetter ? 'text-green-700 font-bold' : ''}>
+                            {row.markdownPerUnit !== null ? row.markdownPerUnit.toFixed(2) : '-'}
+                          </span>
+                          {' / '}
+                          <span className={!markdownBetter && row.returnPerUnit !== null ? 'text-green-700 font-bold' : ''}>
+                            {row.returnPerUnit !== null ? row.returnPerUnit.toFixed(2) : '-'}
+                          </span>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
         {/* Recent Bills */}
         <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
           <h3 className="text-lg sm:text-xl font-bold text-green-800 mb-4">Recent Bills</h3>
@@ -199,32 +627,96 @@ const SalesPage = () => {
             {getUniqueBills().length === 0 ? (
               <p className="text-center py-8 text-gray-500">No bills found</p>
             ) : (
-              getUniqueBills().map(bill => (
+              getUniqueBills().map(bill => bill.isRefund ? (
+                <div key={bill.id} className="bg-red-50 p-3 sm:p-4 rounded-lg border border-red-200">
+                  <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 mb-2">
+                    <span className="text-xs sm:text-sm text-gray-600">
+                      {bill.date} • <span className="font-semibold text-red-700 uppercase">{bill.customerReturn ? 'customer return' : bill.refundType}</span> of bill #{bill.orderId}
+                    </span>
+                    <span className="font-bold text-red-700 text-sm sm:text-base">- Rs. {Math.abs(bill.total).toFixed(2)}</span>
+                  </div>
+                  <div className="text-xs sm:text-sm text-gray-500">
+                    {bill.items.map((item, idx) => 
+                      `${item.products?.name || 'Unknown'} x${item.quantity}${idx < bill.items.length - 1 ? ', ' : ''}`
+                    )}
+                    {' '}• Reason: {bill.reason}
+                  </div>
+                  {bill.payments.length > 0 && (
+                    <div className="text-xs text-gray-400 mt-1">Paid back: {describeRefundPayments(bill.payments)}</div>
+                  )}
+                </div>
+              ) : (
                 <div key={bill.id} className="bg-gray-50 p-3 sm:p-4 rounded-lg border border-green-200 hover:border-green-400 transition">
                   <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 mb-2">
-                    <span className="text-xs sm:text-sm text-gray-600">{bill.date}</span>
+                    <span className="text-xs sm:text-sm text-gray-600">
+                      #{bill.orderId} • {bill.date}
+                      {bill.status !== 'completed' && (
+                        <span className="ml-2 px-2 py-0.5 rounded bg-red-100 text-red-700 text-xs font-semibold">
+                          {bill.status === 'voided' ? 'VOIDED' : 'PARTLY REFUNDED'}
+                        </span>
+                      )}
+                    </span>
                     <div className="flex items-center gap-2">
-                      <span className="font-bold text-green-700 text-sm sm:text-base">Rs. {bill.total.toFixed(2)}</span>
+                      <span className={`font-bold text-sm sm:text-base ${bill.status === 'voided' ? 'text-gray-400 line-through' : 'text-green-700'}`}>
+                        Rs. {bill.total.toFixed(2)}
+                      </span>
                       <button
-                        onClick={() => deleteBill(bill.id)}
-                        className="text-red-600 hover:text-red-800 p-1"
-                        title="Delete bill"
+                        onClick={() => setReprintBill(bills.find(b => b.order_id === bill.orderId))}
+                        className="text-gray-600 hover:text-gray-800 p-1"
+                        title="Reprint receipt"
                       >
-                        <Trash2 size={16} />
+                        🖨️
                       </button>
+                      {bill.status !== 'voided' && (
+                        <button
+                          onClick={() => setVoidingBill(bills.find(b => b.order_id === bill.orderId))}
+                          className="text-red-600 hover:text-red-800 p-1"
+                          title="Void or refund bill"
+                        >
+                          <X size={16} />
+                        </button>
+                      )}
                     </div>
                   </div>
                   <div className="text-xs sm:text-sm text-gray-500">
-                    {bill.items.map((item, idx) => 
-                      `${item.products?.name || 'Unknown'} x${item.quantity}${idx < bill.items.length - 1 ? ', ' : ''}`
-                    )}
+                    {bill.items.map((item, idx) => {
+                      const options = describeLineOptions(item);
+                      return `${item.products?.name || 'Unknown'}${options ? ` (${options})` : ''} x${item.quantity}${idx < bill.items.length - 1 ? ', ' : ''}`;
+                    })}
                   </div>
+                  {bill.payments.length > 0 && (
+                    <div className="text-xs text-gray-400 mt-1">
+                      {bill.payments
+                        .map(payment => `${TENDER_METHOD_LABELS[payment.method] || payment.method} ${parseFloat(payment.amount).toFixed(2)}`)
+                        .join(' • ')}
+                    </div>
+                  )}
                 </div>
               ))
             )}
           </div>
         </div>
       </div>
+
+      {/* Void / Refund Modal */}
+      {voidingBill && (
+        <VoidBillModal
+          bill={voidingBill}
+          refundItems={getRefundItemsForBill(voidingBill.order_id)}
+          refundPayments={getRefundPaymentsForBill(voidingBill.order_id)}
+          onClose={() => setVoidingBill(null)}
+          onRefunded={handleRefunded}
+        />
+      )}
+
+      {/* Receipt Reprint Modal */}
+      {reprintBill && (
+        <ReceiptModal
+          bill={reprintBill}
+          reprint
+          onClose={() => setReprintBill(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,213 @@
+/**
+ * Shrinkage Page Component
+ *
+ * Stock lost without being sold, next to the sales reports:
+ * - Waste (damaged, expired, staff meals, samples) from the waste log
+ * - Returns to the supplier, valued at what the supplier did not credit
+ * - By week, by reason and by product for a chosen period
+ *
+ * @component
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { buildShrinkageReport, fetchShrinkageReport } from '../utils/waste';
+import { toDateKey } from '../utils/productionPlanning';
+
+// Periods the report can cover, in days
+const PERIODS = [7, 28, 91];
+
+const formatMoney = (amount) => `Rs. ${(parseFloat(amount) || 0).toFixed(2)}`;
+
+const ShrinkagePage = () => {
+  const [days, setDays] = useState(28);
+  const [report, setReport] = useState(() => buildShrinkageReport());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadReport(days);
+  }, [days]);
+
+  const loadReport = async (periodDays) => {
+    setLoading(true);
+    setError('');
+    const since = new Date();
+    since.setDate(since.getDate() - periodDays);
+    const { data, error: loadError } = await fetchShrinkageReport(supabaseClient, toDateKey(since));
+    if (loadError) {
+      setError('Failed to load shrinkage');
+    }
+    setReport(buildShrinkageReport(data.wasteEntries, data.returnItems));
+    setLoading(false);
+  };
+
+  const { totals, byProduct, byReason, byWeek } = report;
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-red-700">Shrinkage</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">Stock wasted or returned instead of sold</p>
+          </div>
+          <div className="flex gap-2">
+            {PERIODS.map(period => (
+              <button
+                key={period}
+                onClick={() => setDays(period)}
+                disabled={loading}
+                className={`px-3 py-2 rounded-lg text-sm font-semibold transition ${
+                  days === period ? 'bg-red-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {period} days
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="bg-white rounded-lg shadow-lg p-6">
+            <p className="text-center text-gray-600">Loading shrinkage...</p>
+          </div>
+        ) : (
+          <>
+            {/* Summary Cards */}
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 sm:gap-6 mb-6">
+              <div className="bg-white p-4 sm:p-6 rounded-lg shadow-lg border-2 border-red-200">
+                <h3 className="text-sm text-gray-600 mb-1">Wasted</h3>
+                <p className="text-2xl sm:text-3xl font-bold text-red-700">{formatMoney(totals.wasteValue)}</p>
+                <p className="text-sm text-gray-500">{totals.wasteQuantity} units</p>
+              </div>
+              <div className="bg-white p-4 sm:p-6 rounded-lg shadow-lg border-2 border-orange-200">
+                <h3 className="text-sm text-gray-600 mb-1">Lost on Returns</h3>
+                <p className="text-2xl sm:text-3xl font-bold text-orange-700">{formatMoney(totals.returnValue)}</p>
+                <p className="text-sm text-gray-500">{totals.returnQuantity} units returned</p>
+              </div>
+              <div className="bg-white p-4 sm:p-6 rounded-lg shadow-lg border-2 border-gray-300">
+                <h3 className="text-sm text-gray-600 mb-1">Total Shrinkage</h3>
+                <p className="text-2xl sm:text-3xl font-bold text-gray-800">{formatMoney(totals.totalValue)}</p>
+                <p className="text-sm text-gray-500">Last {days} days</p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6 mb-6">
+              {/* By Week */}
+              <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+                <h3 className="text-lg sm:text-xl font-bold text-red-800 mb-4">By Week</h3>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="bg-red-100 text-left">
+                        <th className="px-3 py-2">Week of</th>
+                        <th className="px-3 py-2 text-right">Wasted</th>
+                        <th className="px-3 py-2 text-right">Returns</th>
+                        <th className="px-3 py-2 text-right">Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {byWeek.length === 0 ? (
+                        <tr>
+                          <td colSpan="4" className="text-center py-8 text-gray-500">No waste or returns</td>
+                        </tr>
+                      ) : (
+                        byWeek.map(row => (
+                          <tr key={row.week} className="border-b">
+                            <td className="px-3 py-2">{row.week}</td>
+                            <td className="px-3 py-2 text-right">{formatMoney(row.wasteValue)}</td>
+                            <td className="px-3 py-2 text-right">{formatMoney(row.returnValue)}</td>
+                            <td className="px-3 py-2 text-right font-semibold">{formatMoney(row.totalValue)}</td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* By Reason */}
+              <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+                <h3 className="text-lg sm:text-xl font-bold text-red-800 mb-4">By Reason</h3>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="bg-red-100 text-left">
+                        <th className="px-3 py-2">Reason</th>
+                        <th className="px-3 py-2 text-right">Quantity</th>
+                        <th className="px-3 py-2 text-right">Value</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {byReason.length === 0 ? (
+                        <tr>
+                          <td colSpan="3" className="text-center py-8 text-gray-500">No waste or returns</td>
+                        </tr>
+                      ) : (
+                        byReason.map(row => (
+                          <tr key={row.reason} className="border-b">
+                            <td className="px-3 py-2">{row.label}</td>
+                            <td className="px-3 py-2 text-right">{row.quantity}</td>
+                            <td className="px-3 py-2 text-right font-semibold">{formatMoney(row.value)}</td>
+                          </tr>
+                        ))
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+
+            {/* By Product */}
+            <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+              <h3 className="text-lg sm:text-xl font-bold text-red-800 mb-1">By Product</h3>
+              <p className="text-xs text-gray-500 mb-4">
+                Waste is valued at the selling price; returns at the original price less what the supplier credited
+              </p>
+              <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                <table className="w-full text-sm min-w-[560px]">
+                  <thead>
+                    <tr className="bg-red-100 text-left">
+                      <th className="px-3 py-2">Product</th>
+                      <th className="px-3 py-2 text-right">Wasted</th>
+                      <th className="px-3 py-2 text-right">Waste Value</th>
+                      <th className="px-3 py-2 text-right">Returned</th>
+                      <th className="px-3 py-2 text-right">Lost on Returns</th>
+                      <th className="px-3 py-2 text-right">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {byProduct.length === 0 ? (
+                      <tr>
+                        <td colSpan="6" className="text-center py-8 text-gray-500">No waste or returns</td>
+                      </tr>
+                    ) : (
+                      byProduct.map(row => (
+                        <tr key={row.product_id ?? row.name} className="border-b">
+                          <td className="px-3 py-2 font-semibold">{row.name}</td>
+                          <td className="px-3 py-2 text-right">{row.wasteQuantity}</td>
+                          <td className="px-3 py-2 text-right">{formatMoney(row.wasteValue)}</td>
+                          <td className="px-3 py-2 text-right">{row.returnQuantity}</td>
+                          <td className="px-3 py-2 text-right">{formatMoney(row.returnValue)}</td>
+                          <td className="px-3 py-2 text-right font-semibold text-red-700">{formatMoney(row.totalValue)}</td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShrinkagePage;
@@ -44,6 +44,9 @@ const StockBadge = ({ product, showFullText = true }) => {
         <span className="mr-0.5 text-[10px]">⚠️</span>
       )}
       {status === 'out' ? 'Out of Stock' : formatStockDisplay()}
+      {status !== 'out' && product.expired_quantity > 0 && (
+        <span className="ml-1 text-red-700">({product.expired_quantity} expired)</span>
+      )}
     </span>
   );
 };
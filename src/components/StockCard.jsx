@@ -0,0 +1,121 @@
+/**
+ * Stock Card Component
+ * Every stock movement of a product (check-ins, sales, refunds, returns,
+ * keeps, adjustments and undos) with its running balance, checked against
+ * the stock in the product's batches so discrepancies can be investigated.
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { X, Loader } from './icons';
+import { getBatchesByProduct, getTotalStockForProduct } from '../utils/batchTracking';
+import {
+  STOCK_MOVEMENT_LABELS,
+  buildStockCard,
+  describeMovementReference,
+  fetchStockMovements
+} from '../utils/stockMovements';
+
+/**
+ * StockCard Component
+ * @param {Object} props
+ * @param {Object} props.product - Product whose movements are shown
+ * @param {Function} props.onClose - Close the stock card
+ */
+const StockCard = ({ product, onClose }) => {
+  const [card, setCard] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      const [{ data: movements }, batches] = await Promise.all([
+        fetchStockMovements(supabaseClient, product.product_id),
+        getBatchesByProduct(supabaseClient, product.product_id)
+      ]);
+      setCard(buildStockCard(movements, getTotalStockForProduct(batches)));
+    };
+    load();
+  }, [product.product_id]);
+
+  const unit = product.is_weight_based ? ' kg' : '';
+
+  const formatChange = (change) => {
+    const value = parseFloat(change);
+    return `${value > 0 ? '+' : ''}${value}${unit}`;
+  };
+
+  const formatUser = (user) => {
+    if (!user) return '-';
+    return `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.username;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-6 w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-bold text-blue-700">Stock Card: {product.name}</h2>
+          <button onClick={onClose} className="text-gray-600 hover:text-gray-800">
+            <X size={24} />
+          </button>
+        </div>
+
+        {!card ? (
+          <div className="flex justify-center py-8"><Loader /></div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-2">
+              Ledger balance: <span className="font-semibold">{card.ledgerBalance}{unit}</span>
+            </p>
+            {card.discrepancy !== 0 && (
+              <div className="bg-red-50 border-2 border-red-300 rounded-lg p-3 mb-3 text-sm text-red-700">
+                ⚠️ Batches hold {formatChange(card.discrepancy)} compared with the ledger. Check recent changes made outside the POS.
+              </div>
+            )}
+
+            <div className="flex-1 overflow-y-auto">
+              <table className="w-full min-w-[640px]">
+                <thead className="bg-gradient-to-r from-blue-600 to-blue-700 text-white sticky top-0">
+                  <tr>
+                    <th className="text-left p-2 text-sm">Date</th>
+                    <th className="text-left p-2 text-sm">Movement</th>
+                    <th className="text-left p-2 text-sm">Batch</th>
+                    <th className="text-left p-2 text-sm">Reference</th>
+                    <th className="text-left p-2 text-sm">By</th>
+                    <th className="text-right p-2 text-sm">Change</th>
+                    <th className="text-right p-2 text-sm">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {card.entries.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" className="text-center py-8 text-gray-500">
+                        No stock movements recorded
+                      </td>
+                    </tr>
+                  ) : (
+                    card.entries.map(entry => (
+                      <tr key={entry.id} className="border-t border-blue-100 hover:bg-blue-50">
+                        <td className="p-2 text-xs text-gray-600">{new Date(entry.created_at).toLocaleString()}</td>
+                        <td className="p-2 text-sm" title={entry.notes || ''}>
+                          {STOCK_MOVEMENT_LABELS[entry.movement_type] || entry.movement_type}
+                        </td>
+                        <td className="p-2 text-xs text-gray-500">{entry.batch_id ? `#${entry.batch_id}` : '-'}</td>
+                        <td className="p-2 text-xs text-gray-500">{describeMovementReference(entry) || '-'}</td>
+                        <td className="p-2 text-xs text-gray-500">{formatUser(entry.users)}</td>
+                        <td className={`text-right p-2 text-sm font-semibold ${parseFloat(entry.quantity_change) < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                          {formatChange(entry.quantity_change)}
+                        </td>
+                        <td className="text-right p-2 text-sm">{entry.balance}{unit}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockCard;
@@ -0,0 +1,366 @@
+/**
+ * Stock Take Page Component
+ *
+ * Physical stock counts at closing:
+ * - Print a count sheet or enter counted quantities per product
+ * - Variances against the batch totals in units and value
+ * - Owner approves (with a reason) or rejects submitted counts;
+ *   approval corrects batches oldest-first
+ * - Past stock takes
+ *
+ * @component
+ */
+
+import { useState, useEffect, Fragment } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { Loader } from './icons';
+import { calculateTotalStockByProduct } from '../utils/batchTracking';
+import { printHtmlDocument } from '../utils/printing';
+import {
+  STOCK_TAKE_STATUS,
+  buildStockTakeLines,
+  calculateVariance,
+  summarizeStockTake,
+  renderCountSheetHtml,
+  submitStockTake,
+  fetchStockTakes,
+  approveStockTake,
+  rejectStockTake
+} from '../utils/stockTakes';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-gray-200 text-gray-700'
+};
+
+const formatMoney = (amount) => `Rs. ${(parseFloat(amount) || 0).toFixed(2)}`;
+
+const formatName = (user) => (user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : '-');
+
+const StockTakePage = () => {
+  const { currentUser } = useAuth();
+  const [lines, setLines] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [notes, setNotes] = useState('');
+  const [stockTakes, setStockTakes] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [reviewReason, setReviewReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isOwner = currentUser?.role === 'owner';
+
+  useEffect(() => {
+    loadStockTakes();
+  }, []);
+
+  const loadStockTakes = async () => {
+    setLoading(true);
+    const { data, error: loadError } = await fetchStockTakes(supabaseClient);
+    if (loadError) {
+      setError('Failed to load stock takes');
+    }
+    setStockTakes(data);
+    setLoading(false);
+  };
+
+  /**
+   * Load products with their current batch totals to count against
+   */
+  const startCount = async () => {
+    setError('');
+    const [{ data: products, error: productsError }, { data: stockByProduct, error: stockError }] = await Promise.all([
+      supabaseClient.from('products').select('product_id, name, price, is_weight_based, is_bundle'),
+      calculateTotalStockByProduct(supabaseClient)
+    ]);
+
+    if (productsError || stockError) {
+      setError('Failed to load stock to count');
+      return;
+    }
+
+    setLines(buildStockTakeLines(products || [], stockByProduct));
+    setCounts({});
+    setNotes('');
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError('');
+    const { error: submitError } = await submitStockTake(supabaseClient, lines, counts, currentUser?.user_id, notes);
+    setSaving(false);
+
+    if (submitError) {
+      setError(submitError.message || 'Failed to submit stock take');
+      return;
+    }
+    setLines(null);
+    await loadStockTakes();
+  };
+
+  const handleReview = async (stockTake, approve) => {
+    setSaving(true);
+    setError('');
+    const review = approve ? approveStockTake : rejectStockTake;
+    const { data, error: reviewError } = await review(supabaseClient, stockTake.id, reviewReason, currentUser?.user_id);
+    setSaving(false);
+
+    if (reviewError) {
+      setError(reviewError.message || 'Failed to update stock take');
+      return;
+    }
+    if (approve) {
+      alert(`✅ Stock take #${stockTake.id} approved. ${data.products_adjusted} product${data.products_adjusted !== 1 ? 's' : ''} adjusted.`);
+    }
+    setReviewReason('');
+    await loadStockTakes();
+  };
+
+  // Live totals of what has been counted so far
+  const countSummary = lines
+    ? summarizeStockTake(lines
+      .map(line => calculateVariance(line, counts[line.product_id]))
+      .filter(Boolean)
+      .map(result => ({ variance: result.variance, variance_value: result.varianceValue })))
+    : null;
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-blue-700">Stock Take</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">Count the shelves and reconcile them with the system</p>
+          </div>
+          {!lines && (
+            <button
+              onClick={startCount}
+              className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm"
+            >
+              + New Stock Take
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm">{error}</div>
+        )}
+
+        {/* Count entry */}
+        {lines && (
+          <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+              <div>
+                <h2 className="text-lg sm:text-xl font-bold text-blue-800">Enter Counts</h2>
+                <p className="text-xs text-gray-500">Leave a product empty to skip it. Variances are against the batch totals loaded now.</p>
+              </div>
+              <button
+                onClick={() => printHtmlDocument(renderCountSheetHtml(lines))}
+                className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 text-sm font-medium"
+              >
+                🖨️ Print Count Sheet
+              </button>
+            </div>
+
+            <div className="overflow-x-auto max-h-[60vh] overflow-y-auto">
+              <table className="w-full min-w-[560px]">
+                <thead className="bg-gradient-to-r from-blue-600 to-blue-700 text-white sticky top-0">
+                  <tr>
+                    <th className="text-left p-2 text-sm">Product</th>
+                    <th className="text-right p-2 text-sm">System</th>
+                    <th className="text-right p-2 text-sm">Counted</th>
+                    <th className="text-right p-2 text-sm">Variance</th>
+                    <th className="text-right p-2 text-sm">Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.map(line => {
+                    const result = calculateVariance(line, counts[line.product_id]);
+                    return (
+                      <tr key={line.product_id} className="border-t border-blue-100">
+                        <td className="p-2 text-sm">{line.name}</td>
+                        <td className="text-right p-2 text-sm text-gray-600">
+                          {line.system_quantity}{line.is_weight_based && ' kg'}
+                        </td>
+                        <td className="text-right p-2">
+                          <input
+                            type="number"
+                            min="0"
+                            step={line.is_weight_based ? '0.01' : '1'}
+                            value={counts[line.product_id] ?? ''}
+                            onChange={(e) => setCounts({ ...counts, [line.product_id]: e.target.value })}
+                            className="w-24 px-2 py-1 border-2 border-blue-300 rounded text-sm text-right focus:outline-none focus:border-blue-500"
+                          />
+                        </td>
+                        <td className={`text-right p-2 text-sm font-semibold ${result?.variance < 0 ? 'text-red-600' : result?.variance > 0 ? 'text-green-700' : 'text-gray-400'}`}>
+                          {result ? result.variance : '-'}
+                        </td>
+                        <td className="text-right p-2 text-sm">{result ? formatMoney(result.varianceValue) : '-'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-4 flex flex-col sm:flex-row gap-3 sm:items-center justify-between">
+              <p className="text-sm text-gray-700">
+                {countSummary.productsCounted} counted • {countSummary.productsWithVariance} with variance •
+                Missing {formatMoney(countSummary.missingValue)} • Extra {formatMoney(countSummary.extraValue)}
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Notes (optional)"
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                />
+                <button
+                  onClick={() => setLines(null)}
+                  disabled={saving}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-sm font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSubmit}
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-bold disabled:opacity-50 flex items-center gap-2"
+                >
+                  {saving && <Loader />}
+                  Submit for Approval
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Past stock takes */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-bold text-blue-800 mb-4">Stock Takes</h2>
+          {loading ? (
+            <div className="flex justify-center py-8"><Loader /></div>
+          ) : stockTakes.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">No stock takes yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full min-w-[640px]">
+                <thead className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+                  <tr>
+                    <th className="text-left p-2 text-sm">#</th>
+                    <th className="text-left p-2 text-sm">Counted</th>
+                    <th className="text-left p-2 text-sm">By</th>
+                    <th className="text-center p-2 text-sm">Status</th>
+                    <th className="text-center p-2 text-sm">Variances</th>
+                    <th className="text-right p-2 text-sm">Net Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stockTakes.map(stockTake => {
+                    const summary = summarizeStockTake(stockTake.stock_take_items);
+                    const expanded = expandedId === stockTake.id;
+                    return (
+                      <Fragment key={stockTake.id}>
+                        <tr
+                          onClick={() => { setExpandedId(expanded ? null : stockTake.id); setReviewReason(''); }}
+                          className="border-t border-blue-100 hover:bg-blue-50 cursor-pointer"
+                        >
+                          <td className="p-2 text-sm">{stockTake.id}</td>
+                          <td className="p-2 text-sm">{new Date(stockTake.counted_at).toLocaleString()}</td>
+                          <td className="p-2 text-sm">{formatName(stockTake.counter)}</td>
+                          <td className="text-center p-2">
+                            <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[stockTake.status]}`}>
+                              {stockTake.status}
+                            </span>
+                          </td>
+                          <td className="text-center p-2 text-sm">{summary.productsWithVariance} / {summary.productsCounted}</td>
+                          <td className={`text-right p-2 text-sm font-semibold ${summary.netValue < 0 ? 'text-red-600' : ''}`}>
+                            {formatMoney(summary.netValue)}
+                          </td>
+                        </tr>
+                        {expanded && (
+                          <tr className="bg-gray-50">
+                            <td colSpan="6" className="p-3">
+                              {stockTake.notes && <p className="text-sm text-gray-600 mb-2">Notes: {stockTake.notes}</p>}
+                              {stockTake.status !== STOCK_TAKE_STATUS.PENDING && (
+                                <p className="text-sm text-gray-600 mb-2">
+                                  {stockTake.status === STOCK_TAKE_STATUS.APPROVED ? 'Approved' : 'Rejected'} by {formatName(stockTake.reviewer)}
+                                  {stockTake.reviewed_at && ` on ${new Date(stockTake.reviewed_at).toLocaleString()}`}: {stockTake.reason}
+                                </p>
+                              )}
+                              <table className="w-full text-sm mb-3">
+                                <thead>
+                                  <tr className="text-gray-600">
+                                    <th className="text-left py-1">Product</th>
+                                    <th className="text-right py-1">System</th>
+                                    <th className="text-right py-1">Counted</th>
+                                    <th className="text-right py-1">Variance</th>
+                                    <th className="text-right py-1">Value</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {stockTake.stock_take_items.map(item => (
+                                    <tr key={item.id} className={parseFloat(item.variance) === 0 ? 'text-gray-400' : ''}>
+                                      <td className="py-1">{item.product_name}</td>
+                                      <td className="text-right py-1">{parseFloat(item.system_quantity)}</td>
+                                      <td className="text-right py-1">{parseFloat(item.counted_quantity)}</td>
+                                      <td className={`text-right py-1 font-semibold ${parseFloat(item.variance) < 0 ? 'text-red-600' : parseFloat(item.variance) > 0 ? 'text-green-700' : ''}`}>
+                                        {parseFloat(item.variance)}
+                                      </td>
+                                      <td className="text-right py-1">{formatMoney(item.variance_value)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                              <p className="text-xs text-gray-500 mb-2">
+                                Missing {formatMoney(summary.missingValue)} • Extra {formatMoney(summary.extraValue)}
+                              </p>
+
+                              {/* Owner review */}
+                              {isOwner && stockTake.status === STOCK_TAKE_STATUS.PENDING && (
+                                <div className="flex flex-col sm:flex-row gap-2">
+                                  <input
+                                    type="text"
+                                    placeholder="Reason (required), e.g. breakage, miscount at check-in"
+                                    value={reviewReason}
+                                    onChange={(e) => setReviewReason(e.target.value)}
+                                    className="flex-1 px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+                                  />
+                                  <button
+                                    onClick={() => handleReview(stockTake, true)}
+                                    disabled={saving || !reviewReason.trim()}
+                                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-bold disabled:opacity-50"
+                                  >
+                                    Approve Adjustments
+                                  </button>
+                                  <button
+                                    onClick={() => handleReview(stockTake, false)}
+                                    disabled={saving || !reviewReason.trim()}
+                                    className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 text-sm font-bold disabled:opacity-50"
+                                  >
+                                    Reject
+                                  </button>
+                                </div>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockTakePage;
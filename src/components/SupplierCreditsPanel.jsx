@@ -0,0 +1,370 @@
+/**
+ * Supplier Credits Panel Component
+ * Supplier credit notes for returned goods, shown as a tab of the Returned
+ * Log: outstanding against credited per supplier, recording a credit note
+ * against one or more returns, and a per-supplier statement for the log's
+ * date range.
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { Loader } from './icons';
+import { fetchSuppliers } from '../utils/suppliers';
+import { printHtmlDocument } from '../utils/printing';
+import {
+  CREDIT_OVERDUE_DAYS,
+  getOutstandingCredit,
+  isCreditOverdue,
+  summarizeSupplierBalances,
+  buildSupplierStatement,
+  renderSupplierStatementHtml,
+  fetchUncreditedReturns,
+  fetchSupplierStatement,
+  recordSupplierCreditNote
+} from '../utils/supplierCredits';
+
+const formatMoney = (amount) => `Rs. ${(parseFloat(amount) || 0).toFixed(2)}`;
+
+/**
+ * SupplierCreditsPanel Component
+ * @param {Object} props
+ * @param {Array} props.returns - Returns in the log's date range
+ * @param {Object} props.dateRange - { start, end } of the log (YYYY-MM-DD or null)
+ * @param {Function} props.onCredited - Called after a credit note is recorded
+ */
+const SupplierCreditsPanel = ({ returns, dateRange, onCredited }) => {
+  const { currentUser } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [uncredited, setUncredited] = useState([]);
+  const [form, setForm] = useState(null);
+  const [statementSupplierId, setStatementSupplierId] = useState('');
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadPanel();
+  }, []);
+
+  useEffect(() => {
+    setStatement(null);
+  }, [statementSupplierId, dateRange]);
+
+  const loadPanel = async () => {
+    setLoading(true);
+    const [{ data: supplierData, error: suppliersError }, { data: returnData, error: returnsError }] = await Promise.all([
+      fetchSuppliers(supabaseClient),
+      fetchUncreditedReturns(supabaseClient)
+    ]);
+    if (suppliersError || returnsError) {
+      setError('Failed to load supplier credits');
+    }
+    setSuppliers(supplierData);
+    setUncredited(returnData);
+    setLoading(false);
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggleAllocation = (returnRecord, checked) => {
+    const allocations = { ...form.allocations };
+    if (checked) {
+      allocations[returnRecord.id] = String(getOutstandingCredit(returnRecord));
+    } else {
+      delete allocations[returnRecord.id];
+    }
+    updateForm({ allocations });
+  };
+
+  const handleRecord = async () => {
+    setSaving(true);
+    setError('');
+    const { data, error: recordError } = await recordSupplierCreditNote(
+      supabaseClient,
+      { ...form, supplierId: parseInt(form.supplierId) || null },
+      currentUser?.user_id
+    );
+    setSaving(false);
+
+    if (recordError) {
+      setError(recordError.message || 'Failed to record credit note');
+      return;
+    }
+    alert(`✅ Credit note ${form.creditNoteNumber.trim()} recorded for ${formatMoney(data.amount)}`);
+    setForm(null);
+    await Promise.all([loadPanel(), onCredited()]);
+  };
+
+  const loadStatement = async () => {
+    setError('');
+    const { data, error: statementError } = await fetchSupplierStatement(
+      supabaseClient,
+      parseInt(statementSupplierId),
+      dateRange.start,
+      dateRange.end
+    );
+    if (statementError) {
+      setError('Failed to load supplier statement');
+      return;
+    }
+    setStatement(buildSupplierStatement(data.returns, data.creditNotes));
+  };
+
+  const balances = summarizeSupplierBalances(returns, suppliers);
+  const statementSupplier = suppliers.find(supplier => supplier.id === parseInt(statementSupplierId));
+  // Returns a credit note from the selected supplier can cover
+  const creditableReturns = form
+    ? uncredited.filter(returnRecord => !returnRecord.supplier_id || returnRecord.supplier_id === parseInt(form.supplierId))
+    : [];
+  const allocatedTotal = form
+    ? Object.values(form.allocations).reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0)
+    : 0;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader className="w-6 h-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+      )}
+
+      {/* Balances */}
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-xl font-bold text-gray-900">💳 Supplier Credits</h3>
+          {!form && (
+            <button
+              onClick={() => { setError(''); setForm({ supplierId: '', creditNoteNumber: '', creditDate: '', notes: '', allocations: {} }); }}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium text-sm"
+            >
+              + Record Credit Note
+            </button>
+          )}
+        </div>
+        {balances.length === 0 ? (
+          <p className="text-center py-4 text-gray-500">No returns in this period</p>
+        ) : (
+          <table className="w-full">
+            <thead>
+              <tr className="border-b-2 border-gray-200">
+                <th className="text-left py-2 px-2 text-sm font-semibold">Supplier</th>
+                <th className="text-right py-2 px-2 text-sm font-semibold">Returned</th>
+                <th className="text-right py-2 px-2 text-sm font-semibold">Credited</th>
+                <th className="text-right py-2 px-2 text-sm font-semibold">Outstanding</th>
+                <th className="text-center py-2 px-2 text-sm font-semibold">Over {CREDIT_OVERDUE_DAYS} Days</th>
+              </tr>
+            </thead>
+            <tbody>
+              {balances.map(balance => (
+                <tr key={balance.supplier_id ?? 'none'} className="border-b border-gray-200">
+                  <td className="py-2 px-2 font-medium">{balance.name}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(balance.returned)}</td>
+                  <td className="py-2 px-2 text-right text-green-700">{formatMoney(balance.credited)}</td>
+                  <td className={`py-2 px-2 text-right font-semibold ${balance.outstanding > 0 ? 'text-orange-600' : ''}`}>
+                    {formatMoney(balance.outstanding)}
+                  </td>
+                  <td className={`py-2 px-2 text-center ${balance.overdueCount > 0 ? 'text-red-600 font-bold' : 'text-gray-400'}`}>
+                    {balance.overdueCount}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Record a credit note */}
+      {form && (
+        <div className="border-2 border-blue-200 rounded-lg p-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <select
+              value={form.supplierId}
+              onChange={(e) => updateForm({ supplierId: e.target.value, allocations: {} })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+            >
+              <option value="">Select supplier</option>
+              {suppliers.map(supplier => (
+                <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Credit note number"
+              value={form.creditNoteNumber}
+              onChange={(e) => updateForm({ creditNoteNumber: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+            />
+            <input
+              type="date"
+              value={form.creditDate}
+              onChange={(e) => updateForm({ creditDate: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+            />
+          </div>
+
+          {form.supplierId && (
+            creditableReturns.length === 0 ? (
+              <p className="text-sm text-gray-500">No returns are waiting for credit from this supplier</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-600 border-b border-gray-200">
+                    <th className="py-1 w-8"></th>
+                    <th className="text-left py-1">Return</th>
+                    <th className="text-left py-1">Date</th>
+                    <th className="text-right py-1">Value</th>
+                    <th className="text-right py-1">Outstanding</th>
+                    <th className="text-right py-1">Credit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {creditableReturns.map(returnRecord => {
+                    const selected = form.allocations[returnRecord.id] !== undefined;
+                    return (
+                      <tr key={returnRecord.id} className={isCreditOverdue(returnRecord) ? 'text-red-700' : ''}>
+                        <td className="py-1">
+                          <input
+                            type="checkbox"
+                            checked={selected}
+                            onChange={(e) => toggleAllocation(returnRecord, e.target.checked)}
+                          />
+                        </td>
+                        <td className="py-1">#{returnRecord.id}{!returnRecord.supplier_id && <span className="text-xs text-gray-500 ml-1">(no supplier)</span>}</td>
+                        <td className="py-1">{new Date(returnRecord.return_date).toLocaleDateString()}</td>
+                        <td className="py-1 text-right">{formatMoney(returnRecord.total_value)}</td>
+                        <td className="py-1 text-right">{formatMoney(getOutstandingCredit(returnRecord))}</td>
+                        <td className="py-1 text-right">
+                          {selected && (
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={form.allocations[returnRecord.id]}
+                              onChange={(e) => updateForm({ allocations: { ...form.allocations, [returnRecord.id]: e.target.value } })}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded text-sm text-right focus:outline-none focus:border-blue-500"
+                            />
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )
+          )}
+
+          <div className="flex flex-col md:flex-row gap-2 md:items-center justify-between">
+            <span className="text-sm font-semibold text-gray-700">Credit note total {formatMoney(allocatedTotal)}</span>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                placeholder="Notes (optional)"
+                value={form.notes}
+                onChange={(e) => updateForm({ notes: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+              />
+              <button
+                onClick={() => setForm(null)}
+                disabled={saving}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 font-medium text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRecord}
+                disabled={saving}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-bold text-sm disabled:opacity-50 flex items-center gap-2"
+              >
+                {saving && <Loader className="w-4 h-4 animate-spin" />}
+                Save Credit Note
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Statement */}
+      <div>
+        <h3 className="text-lg font-bold text-gray-900 mb-3">Supplier Statement</h3>
+        <div className="flex flex-col md:flex-row gap-2 mb-3">
+          <select
+            value={statementSupplierId}
+            onChange={(e) => setStatementSupplierId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+          >
+            <option value="">Select supplier</option>
+            {suppliers.map(supplier => (
+              <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadStatement}
+            disabled={!statementSupplierId}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium text-sm disabled:opacity-50"
+          >
+            Show Statement
+          </button>
+          {statement && (
+            <button
+              onClick={() => printHtmlDocument(renderSupplierStatementHtml(statementSupplier?.name || '', statement, {
+                startDate: dateRange.start,
+                endDate: dateRange.end
+              }))}
+              className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 font-medium text-sm"
+            >
+              🖨️ Print
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-gray-500 mb-2">Covers the date range set above ({dateRange.start || 'start'} to {dateRange.end || 'today'})</p>
+
+        {statement && (
+          statement.entries.length === 0 ? (
+            <p className="text-center py-4 text-gray-500">No returns or credit notes in this period</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b-2 border-gray-200">
+                  <th className="text-left py-2 px-2 font-semibold">Date</th>
+                  <th className="text-left py-2 px-2 font-semibold">Reference</th>
+                  <th className="text-right py-2 px-2 font-semibold">Returned</th>
+                  <th className="text-right py-2 px-2 font-semibold">Credited</th>
+                  <th className="text-right py-2 px-2 font-semibold">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statement.entries.map((entry, idx) => (
+                  <tr key={idx} className="border-b border-gray-200">
+                    <td className="py-2 px-2">{new Date(entry.date).toLocaleDateString()}</td>
+                    <td className="py-2 px-2">{entry.reference}</td>
+                    <td className="py-2 px-2 text-right">{entry.returned ? formatMoney(entry.returned) : ''}</td>
+                    <td className="py-2 px-2 text-right text-green-700">{entry.credited ? formatMoney(entry.credited) : ''}</td>
+                    <td className="py-2 px-2 text-right font-semibold">{formatMoney(entry.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="font-bold">
+                  <td className="py-2 px-2" colSpan="2">Total</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(statement.returned)}</td>
+                  <td className="py-2 px-2 text-right text-green-700">{formatMoney(statement.credited)}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(statement.balance)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SupplierCreditsPanel;
@@ -0,0 +1,174 @@
+/**
+ * Suppliers Panel Component
+ * List and edit the suppliers deliveries are received from. Shown on the
+ * Receiving page, which loads the list and offers it on the delivery form.
+ */
+
+import { useState } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { Loader } from './icons';
+import { saveSupplier } from '../utils/suppliers';
+
+const EMPTY_SUPPLIER = {
+  name: '',
+  contact_name: '',
+  phone: '',
+  email: '',
+  is_active: true
+};
+
+/**
+ * SuppliersPanel Component
+ * @param {Object} props
+ * @param {Array} props.suppliers - Suppliers to list
+ * @param {Function} props.onSaved - Called after a supplier is saved so the list can be reloaded
+ */
+const SuppliersPanel = ({ suppliers, onSaved }) => {
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const startEdit = (supplier) => {
+    setError('');
+    setForm({
+      ...EMPTY_SUPPLIER,
+      ...supplier,
+      contact_name: supplier.contact_name || '',
+      phone: supplier.phone || '',
+      email: supplier.email || ''
+    });
+  };
+
+  const handleSave = async (supplier) => {
+    setSaving(true);
+    setError('');
+    const { error: saveError } = await saveSupplier(supabaseClient, supplier);
+    setSaving(false);
+
+    if (saveError) {
+      setError(saveError.message || 'Failed to save supplier');
+      return;
+    }
+    setForm(null);
+    await onSaved();
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mt-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+        <h2 className="text-lg sm:text-xl font-bold text-blue-800">Suppliers ({suppliers.length})</h2>
+        {!form && (
+          <button
+            onClick={() => { setError(''); setForm({ ...EMPTY_SUPPLIER }); }}
+            className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm"
+          >
+            + New Supplier
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-4 text-sm">{error}</div>
+      )}
+
+      {form && (
+        <div className="border-2 border-blue-200 rounded-lg p-4 mb-4 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="text"
+              placeholder='Name, e.g. "Central Bakery"'
+              value={form.name}
+              onChange={(e) => updateForm({ name: e.target.value })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <input
+              type="text"
+              placeholder="Contact person"
+              value={form.contact_name}
+              onChange={(e) => updateForm({ contact_name: e.target.value })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <input
+              type="tel"
+              placeholder="Phone"
+              value={form.phone}
+              onChange={(e) => updateForm({ phone: e.target.value })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+            <input
+              type="email"
+              placeholder="Email"
+              value={form.email}
+              onChange={(e) => updateForm({ email: e.target.value })}
+              className="px-3 py-2 border-2 border-blue-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+            />
+          </div>
+          <div className="flex gap-2 justify-end">
+            <button
+              onClick={() => setForm(null)}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 text-sm font-medium"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => handleSave(form)}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-bold disabled:opacity-50 flex items-center gap-2"
+            >
+              {saving && <Loader />}
+              Save Supplier
+            </button>
+          </div>
+        </div>
+      )}
+
+      {suppliers.length === 0 ? (
+        <p className="text-center py-8 text-gray-500">No suppliers yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="bg-blue-100 text-left">
+                <th className="px-3 py-2">Name</th>
+                <th className="px-3 py-2">Contact</th>
+                <th className="px-3 py-2">Phone</th>
+                <th className="px-3 py-2">Email</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {suppliers.map(supplier => (
+                <tr key={supplier.id} className={`border-b ${supplier.is_active ? '' : 'opacity-50'}`}>
+                  <td className="px-3 py-2 font-semibold">{supplier.name}</td>
+                  <td className="px-3 py-2 text-gray-600">{supplier.contact_name || '-'}</td>
+                  <td className="px-3 py-2 text-gray-600">{supplier.phone || '-'}</td>
+                  <td className="px-3 py-2 text-gray-600">{supplier.email || '-'}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-right">
+                    <button
+                      onClick={() => startEdit(supplier)}
+                      className="text-blue-600 hover:text-blue-800 px-2 font-medium"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleSave({ ...supplier, is_active: !supplier.is_active })}
+                      disabled={saving}
+                      className={`px-2 font-medium ${supplier.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}
+                    >
+                      {supplier.is_active ? 'Disable' : 'Enable'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SuppliersPanel;
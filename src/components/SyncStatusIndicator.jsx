@@ -0,0 +1,64 @@
+/**
+ * Sync Status Indicator Component
+ * Header badge showing online/offline state and the number of POS bills
+ * waiting to be synced
+ */
+
+import { Loader } from './icons';
+
+/**
+ * SyncStatusIndicator Component
+ * @param {Object} props
+ * @param {boolean} props.isOnline - Browser connectivity state
+ * @param {boolean} props.syncing - Whether a sync is in progress
+ * @param {number} props.pendingCount - Bills waiting to be synced
+ * @param {number} props.conflictCount - Bills rejected during sync
+ * @param {Function} props.onClick - Opens the sync review screen
+ */
+const SyncStatusIndicator = ({ isOnline, syncing, pendingCount, conflictCount, onClick }) => {
+  let colors = 'bg-green-100 text-green-800 border-green-300';
+  let dot = 'bg-green-500';
+  let label = 'Online';
+
+  if (!isOnline) {
+    colors = 'bg-red-100 text-red-800 border-red-300';
+    dot = 'bg-red-500';
+    label = 'Offline';
+  } else if (conflictCount > 0) {
+    colors = 'bg-orange-100 text-orange-800 border-orange-300';
+    dot = 'bg-orange-500';
+    label = 'Review';
+  } else if (pendingCount > 0 || syncing) {
+    colors = 'bg-yellow-100 text-yellow-800 border-yellow-300';
+    dot = 'bg-yellow-500';
+    label = 'Syncing';
+  }
+
+  const title = [
+    isOnline ? 'Connected' : 'No internet connection - bills are saved on this device',
+    pendingCount > 0 ? `${pendingCount} bill${pendingCount !== 1 ? 's' : ''} waiting to sync` : null,
+    conflictCount > 0 ? `${conflictCount} bill${conflictCount !== 1 ? 's' : ''} need review` : null
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <button
+      onClick={onClick}
+      title={title}
+      className={`flex items-center gap-2 px-3 py-2 rounded-lg border-2 text-sm font-medium transition ${colors}`}
+    >
+      {syncing ? (
+        <Loader />
+      ) : (
+        <span className={`w-2 h-2 rounded-full ${dot}`}></span>
+      )}
+      <span className="hidden sm:inline">{label}</span>
+      {(pendingCount > 0 || conflictCount > 0) && (
+        <span className="bg-white bg-opacity-70 px-1.5 rounded text-xs font-bold">
+          {pendingCount + conflictCount}
+        </span>
+      )}
+    </button>
+  );
+};
+
+export default SyncStatusIndicator;
@@ -0,0 +1,366 @@
+/**
+ * Tax Settings Page Component
+ *
+ * Owner-only configuration of what is charged on top of (or included in)
+ * prices on POS bills and online orders:
+ * - Tax rates (VAT, SSCL, ...) for every product or selected products/categories
+ * - Tax-inclusive or tax-exclusive pricing per rate
+ * - The service charge added to dine-in POS bills
+ *
+ * @component
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { Loader } from './icons';
+import {
+  describeTaxRate,
+  fetchTaxRates,
+  saveTaxRate,
+  setTaxRateActive,
+  fetchServiceChargeRate,
+  saveServiceChargeRate
+} from '../utils/taxes';
+
+const EMPTY_TAX_RATE = {
+  name: '',
+  rate: '',
+  is_inclusive: true,
+  applies_to_all: true,
+  pos_product_ids: [],
+  catalog_product_ids: [],
+  category_ids: [],
+  is_active: true
+};
+
+const TaxSettingsPage = () => {
+  const { currentUser } = useAuth();
+  const [taxRates, setTaxRates] = useState([]);
+  const [posProducts, setPosProducts] = useState([]);
+  const [catalogProducts, setCatalogProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [serviceCharge, setServiceCharge] = useState('');
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const isOwner = currentUser?.role === 'owner';
+
+  useEffect(() => {
+    if (isOwner) {
+      loadData();
+    }
+  }, [isOwner]);
+
+  const loadData = async () => {
+    setLoading(true);
+    const [taxRateResult, serviceChargeResult, productResult, catalogResult, categoryResult] = await Promise.all([
+      fetchTaxRates(supabaseClient, { activeOnly: false }),
+      fetchServiceChargeRate(supabaseClient),
+      supabaseClient.from('products').select('product_id, name').order('name'),
+      supabaseClient.from('product_catalog').select('product_id, name').order('name'),
+      supabaseClient.from('product_categories').select('category_id, name').order('display_order')
+    ]);
+
+    if (taxRateResult.error) {
+      setError('Failed to load tax rates');
+    }
+    setTaxRates(taxRateResult.data);
+    setServiceCharge(String(serviceChargeResult.data));
+    setPosProducts(productResult.data || []);
+    setCatalogProducts(catalogResult.data || []);
+    setCategories(categoryResult.data || []);
+    setLoading(false);
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toggleInList = (field, value) => {
+    const list = form[field] || [];
+    updateForm({
+      [field]: list.includes(value) ? list.filter(item => item !== value) : [...list, value]
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    const { error: saveError } = await saveTaxRate(supabaseClient, form, currentUser.user_id);
+
+    setSaving(false);
+    if (saveError) {
+      setError(saveError.message);
+      return;
+    }
+
+    setForm(null);
+    await loadData();
+  };
+
+  const handleToggleActive = async (taxRate) => {
+    const { error: updateError } = await setTaxRateActive(supabaseClient, taxRate.id, !taxRate.is_active);
+    if (updateError) {
+      setError('Failed to update tax rate');
+      return;
+    }
+    await loadData();
+  };
+
+  const handleSaveServiceCharge = async () => {
+    setError('');
+    setMessage('');
+
+    const { error: saveError } = await saveServiceChargeRate(supabaseClient, serviceCharge, currentUser.user_id);
+    if (saveError) {
+      setError(saveError.message);
+      return;
+    }
+    setMessage('Service charge saved');
+  };
+
+  const describeTargets = (taxRate) => {
+    if (taxRate.applies_to_all) {
+      return 'All products';
+    }
+    return [
+      ...categories.filter(category => taxRate.category_ids.includes(category.category_id)),
+      ...posProducts.filter(product => taxRate.pos_product_ids.includes(product.product_id)),
+      ...catalogProducts.filter(product => taxRate.catalog_product_ids.includes(product.product_id))
+    ].map(target => target.name).join(', ');
+  };
+
+  if (!isOwner) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-100">
+        <div className="bg-white rounded-lg shadow-lg p-8 max-w-md">
+          <h2 className="text-2xl font-bold text-red-700 mb-4">Access Denied</h2>
+          <p className="text-gray-700">You do not have permission to access this page.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-blue-700">Taxes & Service Charge</h1>
+            <p className="text-sm sm:text-base text-gray-600 mt-1">Tax rates for the POS and online orders, and the dine-in service charge</p>
+          </div>
+          {!form && (
+            <button
+              onClick={() => { setError(''); setForm({ ...EMPTY_TAX_RATE }); }}
+              className="w-full sm:w-auto bg-gradient-to-r from-blue-600 to-blue-700 text-white px-4 py-2 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition text-sm"
+            >
+              + New Tax Rate
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm">{error}</div>
+        )}
+
+        {/* Service Charge */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h2 className="text-lg sm:text-xl font-bold text-blue-800 mb-1">Service Charge</h2>
+          <p className="text-xs text-gray-500 mb-3">Added to POS bills marked as dine-in, on the amount after discounts. Set to 0 to turn it off.</p>
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              value={serviceCharge}
+              onChange={(e) => { setServiceCharge(e.target.value); setMessage(''); }}
+              className="w-28 px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+            />
+            <span className="text-sm text-gray-600">%</span>
+            <button
+              onClick={handleSaveServiceCharge}
+              disabled={loading}
+              className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 font-bold text-sm disabled:opacity-50"
+            >
+              Save
+            </button>
+            {message && <span className="text-sm text-green-700">{message}</span>}
+          </div>
+        </div>
+
+        {/* Tax Rate Form */}
+        {form && (
+          <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6 space-y-4">
+            <h2 className="text-lg sm:text-xl font-bold text-blue-800">{form.id ? 'Edit Tax Rate' : 'New Tax Rate'}</h2>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <label className="text-sm col-span-2">
+                <span className="block font-semibold text-gray-700 mb-1">Name</span>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => updateForm({ name: e.target.value })}
+                  placeholder="e.g. VAT"
+                  className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                />
+              </label>
+              <label className="text-sm">
+                <span className="block font-semibold text-gray-700 mb-1">Rate (%)</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={form.rate}
+                  onChange={(e) => updateForm({ rate: e.target.value })}
+                  className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                />
+              </label>
+              <label className="text-sm">
+                <span className="block font-semibold text-gray-700 mb-1">Pricing</span>
+                <select
+                  value={form.is_inclusive ? 'inclusive' : 'exclusive'}
+                  onChange={(e) => updateForm({ is_inclusive: e.target.value === 'inclusive' })}
+                  className="w-full px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500"
+                >
+                  <option value="inclusive">Included in prices</option>
+                  <option value="exclusive">Added on top of prices</option>
+                </select>
+              </label>
+            </div>
+
+            {/* Targets */}
+            <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.applies_to_all}
+                onChange={(e) => updateForm({ applies_to_all: e.target.checked })}
+              />
+              Applies to all products
+            </label>
+
+            {!form.applies_to_all && (
+              <div className="space-y-3">
+                <div className="flex flex-wrap gap-3">
+                  {categories.map(category => (
+                    <label key={category.category_id} className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={form.category_ids.includes(category.category_id)}
+                        onChange={() => toggleInList('category_ids', category.category_id)}
+                      />
+                      {category.name}
+                    </label>
+                  ))}
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <p className="text-sm font-semibold text-gray-700 mb-1">POS products</p>
+                    <div className="max-h-40 overflow-y-auto border-2 border-gray-200 rounded-lg p-2 space-y-1">
+                      {posProducts.map(product => (
+                        <label key={product.product_id} className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={form.pos_product_ids.includes(product.product_id)}
+                            onChange={() => toggleInList('pos_product_ids', product.product_id)}
+                          />
+                          {product.name}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <div>
+                    <p className="text-sm font-semibold text-gray-700 mb-1">Online catalog products</p>
+                    <div className="max-h-40 overflow-y-auto border-2 border-gray-200 rounded-lg p-2 space-y-1">
+                      {catalogProducts.map(product => (
+                        <label key={product.product_id} className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={form.catalog_product_ids.includes(product.product_id)}
+                            onChange={() => toggleInList('catalog_product_ids', product.product_id)}
+                          />
+                          {product.name}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="flex-1 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 font-bold text-sm disabled:opacity-50 flex items-center justify-center gap-2"
+              >
+                {saving && <Loader />}
+                Save Tax Rate
+              </button>
+              <button
+                onClick={() => setForm(null)}
+                disabled={saving}
+                className="flex-1 bg-gray-500 text-white px-4 py-2 rounded-lg hover:bg-gray-600 font-bold text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Tax Rate List */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-bold text-blue-800 mb-4">Tax Rates ({taxRates.length})</h2>
+          {loading ? (
+            <div className="flex justify-center py-8"><Loader /></div>
+          ) : taxRates.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">No tax rates yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="bg-blue-100 text-left">
+                    <th className="px-3 py-2">Tax</th>
+                    <th className="px-3 py-2">Pricing</th>
+                    <th className="px-3 py-2">Applies to</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {taxRates.map(taxRate => (
+                    <tr key={taxRate.id} className={`border-b ${taxRate.is_active ? '' : 'opacity-50'}`}>
+                      <td className="px-3 py-2 font-semibold">{describeTaxRate(taxRate)}</td>
+                      <td className="px-3 py-2">{taxRate.is_inclusive ? 'Included in prices' : 'Added on top'}</td>
+                      <td className="px-3 py-2 text-gray-600">{describeTargets(taxRate) || '-'}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-right">
+                        <button
+                          onClick={() => { setError(''); setForm({ ...EMPTY_TAX_RATE, ...taxRate }); }}
+                          className="text-blue-600 hover:text-blue-800 px-2 font-medium"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleToggleActive(taxRate)}
+                          className={`px-2 font-medium ${taxRate.is_active ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`}
+                        >
+                          {taxRate.is_active ? 'Disable' : 'Enable'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaxSettingsPage;
@@ -0,0 +1,112 @@
+/**
+ * Tender Entry Component
+ * Takes a POS bill as cash + card + bank transfer/QR in any combination.
+ * Non-cash tenders are applied first; change is only calculated on cash.
+ */
+
+import {
+  TENDER_METHODS,
+  TENDER_METHOD_LABELS,
+  calculatePaymentSummary,
+  hasNoTenders
+} from '../utils/posPayments';
+import NumericKeypad from './NumericKeypad';
+
+// Sri Lankan notes customers usually hand over
+const CASH_QUICK_AMOUNTS = [500, 1000, 5000];
+
+/**
+ * TenderEntry Component
+ * @param {Object} props
+ * @param {number} props.total - Bill total
+ * @param {Object} props.tenders - Map of method to entered amount
+ * @param {Object} props.references - Map of method to slip/transfer reference
+ * @param {Function} props.onTenderChange - Called with (method, amount)
+ * @param {Function} props.onReferenceChange - Called with (method, reference)
+ * @param {boolean} props.fastMode - Focus cash paid and show the keypad for it
+ */
+const TenderEntry = ({ total, tenders, references, onTenderChange, onReferenceChange, fastMode = false }) => {
+  const summary = calculatePaymentSummary(total, tenders);
+  const noTenders = hasNoTenders(tenders);
+
+  // Fill a non-cash tender with whatever is still due
+  const fillRemaining = (method) => {
+    const otherNonCash = summary.nonCashTotal - (parseFloat(tenders[method]) || 0);
+    const due = Math.max(0, total - otherNonCash);
+    onTenderChange(method, due.toFixed(2));
+  };
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-semibold">Payment:</label>
+      {Object.values(TENDER_METHODS).map(method => (
+        <div key={method} className="flex items-center gap-2">
+          <span className="w-28 text-sm font-medium text-gray-700">{TENDER_METHOD_LABELS[method]}</span>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={tenders[method] ?? ''}
+            onChange={(e) => onTenderChange(method, e.target.value)}
+            placeholder="0.00"
+            autoFocus={fastMode && method === TENDER_METHODS.CASH}
+            className={`flex-1 px-3 py-2 border-2 border-blue-300 rounded-lg focus:outline-none focus:border-blue-500 ${
+              method === TENDER_METHODS.CASH ? 'text-lg' : 'text-base'
+            }`}
+          />
+          {method !== TENDER_METHODS.CASH && (
+            <>
+              <input
+                type="text"
+                value={references[method] ?? ''}
+                onChange={(e) => onReferenceChange(method, e.target.value)}
+                placeholder="Ref"
+                maxLength={100}
+                className="w-24 px-2 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              />
+              <button
+                type="button"
+                onClick={() => fillRemaining(method)}
+                className="px-2 py-2 text-xs border border-blue-300 text-blue-700 rounded-lg hover:bg-blue-50 whitespace-nowrap"
+                title="Pay the remaining amount with this method"
+              >
+                Rest
+              </button>
+            </>
+          )}
+        </div>
+      ))}
+
+      {fastMode && (
+        <NumericKeypad
+          value={tenders[TENDER_METHODS.CASH] ?? ''}
+          onChange={(amount) => onTenderChange(TENDER_METHODS.CASH, amount)}
+          quickAmounts={CASH_QUICK_AMOUNTS}
+        />
+      )}
+
+      {noTenders ? (
+        <p className="text-xs text-gray-500">Leave empty if the customer pays the exact amount in cash.</p>
+      ) : (
+        <div className="bg-green-50 border-2 border-green-300 rounded-lg p-3 space-y-1">
+          {summary.remaining > 0 ? (
+            <div className="flex justify-between text-lg font-bold">
+              <span>Still Due:</span>
+              <span className="text-red-700">Rs. {summary.remaining.toFixed(2)}</span>
+            </div>
+          ) : (
+            <div className="flex justify-between text-lg font-bold">
+              <span>Change (cash):</span>
+              <span className="text-green-700">Rs. {summary.change.toFixed(2)}</span>
+            </div>
+          )}
+          {summary.nonCashTotal > total && (
+            <p className="text-sm text-red-700">Card, transfer and QR payments cannot exceed the bill total.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TenderEntry;
@@ -0,0 +1,131 @@
+/**
+ * Variant Picker Component
+ * Shown when a product with variants or modifiers is tapped at the POS.
+ * The cashier picks the size/option and any add-ons; the line is priced
+ * at the variant price plus the modifiers.
+ *
+ * Keys: 1-9 pick a variant, Enter adds to the cart, Escape cancels.
+ */
+
+import { useState, useEffect } from 'react';
+import { X } from './icons';
+import {
+  getActiveVariants,
+  getActiveModifiers,
+  buildVariantCartItem
+} from '../utils/productVariants';
+
+/**
+ * VariantPicker Component
+ * @param {Object} props
+ * @param {Object} props.product - Product with product_variants and product_modifiers
+ * @param {number} props.quantity - Quantity to add (from a fast billing multiplier)
+ * @param {Function} props.onAdd - Called with the cart item
+ * @param {Function} props.onClose - Close without adding
+ */
+const VariantPicker = ({ product, quantity = 1, onAdd, onClose }) => {
+  const variants = getActiveVariants(product);
+  const modifiers = getActiveModifiers(product);
+  const [variantId, setVariantId] = useState(variants[0]?.id || null);
+  const [modifierIds, setModifierIds] = useState([]);
+
+  const selectedVariant = variants.find(variant => variant.id === variantId) || null;
+  const selectedModifiers = modifiers.filter(modifier => modifierIds.includes(modifier.id));
+  const cartItem = buildVariantCartItem(product, selectedVariant, selectedModifiers, quantity);
+
+  const toggleModifier = (modifierId) => {
+    setModifierIds(prev => prev.includes(modifierId)
+      ? prev.filter(id => id !== modifierId)
+      : [...prev, modifierId]);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onClose();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        onAdd(cartItem);
+      } else if (/^[1-9]$/.test(e.key) && variants[Number(e.key) - 1]) {
+        e.preventDefault();
+        setVariantId(variants[Number(e.key) - 1].id);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [cartItem, variants, onAdd, onClose]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl p-6 w-full max-w-md">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold text-blue-700">{product.name}</h2>
+          <button onClick={onClose} className="text-gray-600 hover:text-gray-800">
+            <X size={24} />
+          </button>
+        </div>
+
+        {variants.length > 0 && (
+          <div className="mb-4">
+            <label className="block text-sm font-semibold mb-2">Size / Option:</label>
+            <div className="grid grid-cols-2 gap-2">
+              {variants.map((variant, index) => (
+                <button
+                  key={variant.id}
+                  type="button"
+                  onClick={() => setVariantId(variant.id)}
+                  className={`p-3 rounded-lg border-2 text-left transition ${
+                    variant.id === variantId
+                      ? 'border-blue-600 bg-blue-50'
+                      : 'border-gray-200 hover:border-blue-300'
+                  }`}
+                >
+                  <div className="flex justify-between items-center gap-2">
+                    <span className="font-semibold text-sm">{variant.name}</span>
+                    {index < 9 && <span className="text-xs text-gray-400 font-mono">{index + 1}</span>}
+                  </div>
+                  <div className="text-sm text-gray-700">Rs. {parseFloat(variant.price).toFixed(2)}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {modifiers.length > 0 && (
+          <div className="mb-4">
+            <label className="block text-sm font-semibold mb-2">Add-ons:</label>
+            <div className="space-y-1">
+              {modifiers.map(modifier => (
+                <label key={modifier.id} className="flex items-center justify-between gap-2 px-2 py-1 rounded hover:bg-gray-50 text-sm">
+                  <span className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={modifierIds.includes(modifier.id)}
+                      onChange={() => toggleModifier(modifier.id)}
+                      className="w-4 h-4"
+                    />
+                    {modifier.name}
+                  </span>
+                  {parseFloat(modifier.price) > 0 && (
+                    <span className="text-gray-600">+ {parseFloat(modifier.price).toFixed(2)}</span>
+                  )}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <button
+          onClick={() => onAdd(cartItem)}
+          className="w-full bg-gradient-to-r from-blue-600 to-blue-700 text-white py-3 rounded-lg font-bold hover:from-blue-700 hover:to-blue-800 transition"
+        >
+          Add {quantity > 1 ? `${quantity} × ` : ''}Rs. {cartItem.price.toFixed(2)}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VariantPicker;
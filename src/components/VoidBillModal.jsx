@@ -0,0 +1,276 @@
+/**
+ * Void Bill Modal Component
+ *
+ * Voids a whole POS bill or refunds selected lines:
+ * - Choose lines and quantities (defaults to the full remaining bill)
+ * - Reason is mandatory
+ * - Cashiers need an owner's username and password to approve
+ * - Refunded quantities go back into inventory batches
+ * - In customer return mode nothing is preselected and each line is either
+ *   put back into stock or wasted
+ * - The refund is paid back on the bill's original tenders
+ *
+ * @component
+ */
+
+import { useState, useMemo } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { X, Loader } from './icons';
+import {
+  getRefundableItems,
+  calculateRefundTotal,
+  validateRefundSelection,
+  verifyOwnerApproval,
+  refundPosBill,
+  allocateRefundToTenders,
+  describeRefundPayments
+} from '../utils/billRefunds';
+import { logBillRefund } from '../utils/auditLog';
+import { describeLineOptions } from '../utils/productVariants';
+
+/**
+ * VoidBillModal Component
+ * @param {Object} props
+ * @param {Object} props.bill - Order with order_items (and pos_bill_payments)
+ * @param {Array} props.refundItems - Lines already refunded for this bill
+ * @param {Array} props.refundPayments - Earlier refunds' payments for this bill
+ * @param {boolean} props.customerReturn - Goods brought back by the customer
+ * @param {Function} props.onClose - Close the modal
+ * @param {Function} props.onRefunded - Called with the refund summary after success
+ */
+const VoidBillModal = ({ bill, refundItems = [], refundPayments = [], customerReturn = false, onClose, onRefunded }) => {
+  const { currentUser } = useAuth();
+  const refundableItems = useMemo(() => getRefundableItems(bill, refundItems), [bill, refundItems]);
+
+  // Default to voiding everything that is still refundable; customer
+  // returns start empty as customers rarely bring the whole bill back
+  const [quantities, setQuantities] = useState(() => {
+    const initial = {};
+    refundableItems.forEach(item => {
+      initial[item.order_item_id] = customerReturn ? '' : item.refundable_quantity;
+    });
+    return initial;
+  });
+  // Returned goods are wasted unless they can be sold again
+  const [restock, setRestock] = useState(() => {
+    const initial = {};
+    refundableItems.forEach(item => {
+      initial[item.order_item_id] = !customerReturn;
+    });
+    return initial;
+  });
+  const [reason, setReason] = useState('');
+  const [ownerUsername, setOwnerUsername] = useState('');
+  const [ownerPassword, setOwnerPassword] = useState('');
+  const [errors, setErrors] = useState([]);
+  const [processing, setProcessing] = useState(false);
+
+  const needsApproval = currentUser?.role !== 'owner';
+  const refundTotal = calculateRefundTotal(refundableItems, quantities);
+  const tenderAllocation = allocateRefundToTenders(bill.pos_bill_payments, refundPayments, refundTotal);
+
+  const handleQuantityChange = (orderItemId, value) => {
+    setQuantities(prev => ({ ...prev, [orderItemId]: value === '' ? '' : parseFloat(value) }));
+  };
+
+  const handleSubmit = async () => {
+    const validation = validateRefundSelection(refundableItems, quantities, reason);
+    if (needsApproval && (!ownerUsername || !ownerPassword)) {
+      validation.errors.push('Owner approval is required for cashiers');
+      validation.isValid = false;
+    }
+
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    setProcessing(true);
+    setErrors([]);
+
+    try {
+      let approver = currentUser;
+      if (needsApproval) {
+        const { data: owner, error: approvalError } = await verifyOwnerApproval(
+          supabaseClient,
+          ownerUsername,
+          ownerPassword
+        );
+        if (approvalError) throw approvalError;
+        approver = owner;
+      }
+
+      const items = refundableItems
+        .filter(item => parseFloat(quantities[item.order_item_id]) > 0)
+        .map(item => ({
+          order_item_id: item.order_item_id,
+          quantity: parseFloat(quantities[item.order_item_id]),
+          restock: restock[item.order_item_id]
+        }));
+
+      const { data: refund, error } = await refundPosBill(supabaseClient, {
+        orderId: bill.order_id,
+        items,
+        reason,
+        requestedBy: currentUser.user_id,
+        approvedBy: approver.user_id,
+        customerReturn
+      });
+
+      if (error) throw error;
+
+      await logBillRefund(refund, currentUser.user_id, currentUser.username, {
+        reason: reason.trim(),
+        approved_by: approver.user_id,
+        approved_by_username: approver.username,
+        items
+      });
+
+      onRefunded(refund);
+    } catch (error) {
+      console.error('Error voiding bill:', error);
+      setErrors([error.message || `Failed to ${customerReturn ? 'take the return' : 'void bill'}. Please try again.`]);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">
+              {customerReturn ? 'Customer Return' : 'Void / Refund'} - Bill #{bill.order_id}
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">{new Date(bill.order_date).toLocaleString()}</p>
+          </div>
+          <button onClick={onClose} disabled={processing} className="text-gray-400 hover:text-gray-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {/* Lines */}
+          <div className="space-y-2">
+            {refundableItems.map(item => (
+              <div key={item.order_item_id} className="flex items-center justify-between gap-3 p-2 bg-gray-50 rounded border border-gray-200">
+                <div className="flex-1">
+                  <div className="font-medium text-sm text-gray-900">
+                    {item.products?.name || 'Unknown'}
+                    {describeLineOptions(item) && (
+                      <span className="ml-1 font-normal text-gray-600">({describeLineOptions(item)})</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    Sold {item.quantity} • Rs. {parseFloat(item.subtotal).toFixed(2)}
+                    {item.refunded_quantity > 0 && ` • ${item.refunded_quantity} already refunded`}
+                  </div>
+                </div>
+                <input
+                  type="number"
+                  min="0"
+                  max={item.refundable_quantity}
+                  step="any"
+                  value={quantities[item.order_item_id] ?? ''}
+                  onChange={(e) => handleQuantityChange(item.order_item_id, e.target.value)}
+                  disabled={processing || item.refundable_quantity === 0}
+                  className="w-20 px-2 py-1 border-2 border-gray-300 rounded text-center text-sm focus:outline-none focus:border-blue-500"
+                />
+                {customerReturn && (
+                  <select
+                    value={restock[item.order_item_id] ? 'restock' : 'waste'}
+                    onChange={(e) => setRestock(prev => ({ ...prev, [item.order_item_id]: e.target.value === 'restock' }))}
+                    disabled={processing || item.refundable_quantity === 0}
+                    className="px-2 py-1 border-2 border-gray-300 rounded text-sm focus:outline-none focus:border-blue-500"
+                  >
+                    <option value="waste">Wasted</option>
+                    <option value="restock">Back to stock</option>
+                  </select>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Reason */}
+          <div>
+            <label className="block text-sm font-semibold mb-1">Reason *</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              placeholder={customerReturn ? 'e.g. Stale, wrong flavour' : 'e.g. Wrong item billed, customer cancelled'}
+              disabled={processing}
+              className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-blue-500 text-sm"
+            />
+          </div>
+
+          {/* Tenders */}
+          {refundTotal > 0 && (
+            <div className="bg-blue-50 border-2 border-blue-200 rounded-lg p-3 text-sm">
+              <span className="font-semibold text-blue-800">Refund by original tender: </span>
+              <span className="text-blue-900">{describeRefundPayments(tenderAllocation)}</span>
+            </div>
+          )}
+
+          {/* Owner approval */}
+          {needsApproval && (
+            <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-3 space-y-2">
+              <p className="text-sm font-semibold text-yellow-800">Owner approval required</p>
+              <input
+                type="text"
+                value={ownerUsername}
+                onChange={(e) => setOwnerUsername(e.target.value)}
+                placeholder="Owner username"
+                autoComplete="off"
+                disabled={processing}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              />
+              <input
+                type="password"
+                value={ownerPassword}
+                onChange={(e) => setOwnerPassword(e.target.value)}
+                placeholder="Owner password"
+                autoComplete="new-password"
+                disabled={processing}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:border-blue-500"
+              />
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <div className="bg-red-50 border-2 border-red-200 rounded-lg p-3 text-sm text-red-700 space-y-1">
+              {errors.map((message, idx) => <p key={idx}>{message}</p>)}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-gray-200 flex items-center justify-between gap-4">
+          <div className="text-lg font-bold text-red-700">- Rs. {refundTotal.toFixed(2)}</div>
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              disabled={processing}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 font-medium disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={processing || refundTotal <= 0}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-bold disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+            >
+              {processing && <Loader />}
+              {processing ? 'Processing...' : 'Confirm Refund'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VoidBillModal;
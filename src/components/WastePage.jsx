@@ -0,0 +1,242 @@
+/**
+ * Waste Page Component
+ *
+ * Write off stock that was dropped, burnt, eaten by staff, given away as a
+ * sample or expired without being returned:
+ * - Choose product, batch, quantity and reason
+ * - The quantity is taken out of the batch and recorded as a waste movement
+ * - Recent waste with who recorded it
+ *
+ * @component
+ */
+
+import { useState, useEffect } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { useAuth } from '../context/AuthContext';
+import { Loader } from './icons';
+import { calculateBatchAge, getBatchesByProduct } from '../utils/batchTracking';
+import { WASTE_REASONS, WASTE_REASON_LABELS, recordWaste, fetchWasteEntries } from '../utils/waste';
+import { toDateKey } from '../utils/productionPlanning';
+
+// Days of waste shown in the log
+const WASTE_LOG_DAYS = 14;
+
+const EMPTY_WASTE = {
+  product_id: '',
+  batch_id: '',
+  quantity: '',
+  reason: WASTE_REASONS.DAMAGED,
+  notes: ''
+};
+
+const formatName = (user) => (user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : '-');
+
+const WastePage = () => {
+  const { currentUser } = useAuth();
+  const [products, setProducts] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(EMPTY_WASTE);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadPage();
+  }, []);
+
+  const loadEntries = async () => {
+    const since = new Date();
+    since.setDate(since.getDate() - WASTE_LOG_DAYS);
+    const { data, error: loadError } = await fetchWasteEntries(supabaseClient, toDateKey(since));
+    if (loadError) {
+      setError('Failed to load the waste log');
+    }
+    setEntries(data);
+  };
+
+  const loadPage = async () => {
+    setLoading(true);
+    const { data, error: productsError } = await supabaseClient
+      .from('products')
+      .select('product_id, name, price, is_bundle')
+      .order('name');
+
+    if (productsError) {
+      setError('Failed to load products');
+    }
+    setProducts((data || []).filter(product => !product.is_bundle));
+    await loadEntries();
+    setLoading(false);
+  };
+
+  const handleProductChange = async (productId) => {
+    setForm(prev => ({ ...prev, product_id: productId, batch_id: '' }));
+    setBatches(productId ? await getBatchesByProduct(supabaseClient, parseInt(productId)) : []);
+  };
+
+  const selectedBatch = batches.find(batch => String(batch.id) === String(form.batch_id));
+  const selectedProduct = products.find(product => String(product.product_id) === String(form.product_id));
+  const wasteValue = selectedProduct && parseFloat(form.quantity) > 0
+    ? parseFloat(form.quantity) * parseFloat(selectedProduct.price)
+    : 0;
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError('');
+    const { data, error: saveError } = await recordWaste(supabaseClient, {
+      batchId: form.batch_id ? parseInt(form.batch_id) : null,
+      quantity: form.quantity,
+      reason: form.reason,
+      recordedBy: currentUser?.user_id,
+      notes: form.notes
+    });
+    setSaving(false);
+
+    if (saveError) {
+      setError(saveError.message || 'Failed to record waste');
+      return;
+    }
+
+    alert(`✅ Wasted ${data.quantity} ${data.product_name} (Rs. ${parseFloat(data.waste_value).toFixed(2)})`);
+    setForm({ ...EMPTY_WASTE, reason: form.reason });
+    setBatches([]);
+    await loadEntries();
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4 sm:p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h1 className="text-2xl sm:text-3xl font-bold text-red-700">Waste Log</h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">Write off stock that was dropped, burnt, eaten, given away or expired</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border-2 border-red-200 text-red-700 rounded-lg p-3 mb-6 text-sm">{error}</div>
+        )}
+
+        {/* Record Waste */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6 mb-6">
+          <h2 className="text-lg sm:text-xl font-bold text-red-800 mb-4">Record Waste</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            <select
+              value={form.product_id}
+              onChange={(e) => handleProductChange(e.target.value)}
+              disabled={saving || loading}
+              className="px-3 py-2 border-2 border-red-200 rounded-lg text-sm focus:outline-none focus:border-red-500"
+            >
+              <option value="">Choose product</option>
+              {products.map(product => (
+                <option key={product.product_id} value={product.product_id}>{product.name}</option>
+              ))}
+            </select>
+            <select
+              value={form.batch_id}
+              onChange={(e) => setForm(prev => ({ ...prev, batch_id: e.target.value }))}
+              disabled={saving || !form.product_id}
+              className="px-3 py-2 border-2 border-red-200 rounded-lg text-sm focus:outline-none focus:border-red-500 disabled:bg-gray-100"
+            >
+              <option value="">{form.product_id && batches.length === 0 ? 'No stock in any batch' : 'Choose batch'}</option>
+              {batches.map(batch => (
+                <option key={batch.id} value={batch.id}>
+                  {batch.date_added} • {calculateBatchAge(batch.date_added)} days old • {batch.quantity} left
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              max={selectedBatch?.quantity}
+              step="any"
+              placeholder="Quantity"
+              value={form.quantity}
+              onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))}
+              disabled={saving}
+              className="px-3 py-2 border-2 border-red-200 rounded-lg text-sm focus:outline-none focus:border-red-500"
+            />
+            <select
+              value={form.reason}
+              onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+              disabled={saving}
+              className="px-3 py-2 border-2 border-red-200 rounded-lg text-sm focus:outline-none focus:border-red-500"
+            >
+              {Object.values(WASTE_REASONS).map(reason => (
+                <option key={reason} value={reason}>{WASTE_REASON_LABELS[reason]}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-3 mt-3">
+            <input
+              type="text"
+              placeholder='Notes, e.g. "Dropped tray"'
+              value={form.notes}
+              onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+              disabled={saving}
+              className="flex-1 px-3 py-2 border-2 border-red-200 rounded-lg text-sm focus:outline-none focus:border-red-500"
+            />
+            <div className="flex items-center gap-3">
+              {wasteValue > 0 && (
+                <span className="text-sm font-semibold text-red-700">Rs. {wasteValue.toFixed(2)}</span>
+              )}
+              <button
+                onClick={handleSubmit}
+                disabled={saving || !form.batch_id || !form.quantity}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm font-bold disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+              >
+                {saving && <Loader />}
+                Record Waste
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Recent Waste */}
+        <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+          <h2 className="text-lg sm:text-xl font-bold text-red-800 mb-1">Recent Waste</h2>
+          <p className="text-xs text-gray-500 mb-4">Last {WASTE_LOG_DAYS} days</p>
+          {loading ? (
+            <p className="text-center py-8 text-gray-600">Loading waste log...</p>
+          ) : entries.length === 0 ? (
+            <p className="text-center py-8 text-gray-500">No waste recorded</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm min-w-[640px]">
+                <thead>
+                  <tr className="bg-red-100 text-left">
+                    <th className="px-3 py-2">When</th>
+                    <th className="px-3 py-2">Product</th>
+                    <th className="px-3 py-2">Batch</th>
+                    <th className="px-3 py-2 text-right">Quantity</th>
+                    <th className="px-3 py-2 text-right">Value</th>
+                    <th className="px-3 py-2">Reason</th>
+                    <th className="px-3 py-2">Recorded by</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => (
+                    <tr key={entry.id} className="border-b">
+                      <td className="px-3 py-2 text-gray-600">{new Date(entry.created_at).toLocaleString()}</td>
+                      <td className="px-3 py-2 font-semibold">{entry.product_name}</td>
+                      <td className="px-3 py-2 text-gray-600">{entry.batch_date}</td>
+                      <td className="px-3 py-2 text-right">{parseFloat(entry.quantity)}</td>
+                      <td className="px-3 py-2 text-right">Rs. {parseFloat(entry.waste_value).toFixed(2)}</td>
+                      <td className="px-3 py-2">
+                        {WASTE_REASON_LABELS[entry.reason] || entry.reason}
+                        {entry.notes && <span className="block text-xs text-gray-500">{entry.notes}</span>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">{formatName(entry.recorder)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WastePage;
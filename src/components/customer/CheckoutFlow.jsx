@@ -4,7 +4,7 @@
  * Multi-step checkout process for customer orders:
  * 1. Pickup date and time selection
  * 2. Special instructions (optional)
- * 3. Order summary review
+ * 3. Order summary review (with promotions and coupon codes)
  * 4. Payment method selection
  * 5. Terms and conditions acceptance
  * 6. Order placement
@@ -19,7 +19,9 @@ import { useCustomerAuth } from '../../context/CustomerAuthContext';
 import { useCustomerOrder } from '../../context/CustomerOrderContext';
 import { supabaseClient } from '../../config/supabase';
 import { validatePickupDate, getBlockedDates } from '../../utils/orderHolds';
-import { createCustomerOrder, validateOrderData } from '../../utils/customerOrders';
+import { createCustomerOrder, validateOrderData, calculateOrderTotals } from '../../utils/customerOrders';
+import { applyPromotions, fetchActivePromotions, PROMOTION_CHANNELS } from '../../utils/promotions';
+import { applyTaxes, fetchTaxRates, describeTaxRate } from '../../utils/taxes';
 import { Loader } from '../icons';
 
 // Icons
@@ -78,7 +80,7 @@ const BankIcon = ({ size = 20 }) => (
  */
 const CheckoutFlow = ({ onBack, onOrderComplete }) => {
   const { currentCustomer } = useCustomerAuth();
-  const { cartItems, calculateCartTotals, clearCart } = useCustomerOrder();
+  const { cartItems, clearCart } = useCustomerOrder();
 
   // Configuration state
   const [config, setConfig] = useState({
@@ -96,6 +98,13 @@ const CheckoutFlow = ({ onBack, onOrderComplete }) => {
   const [paymentMethod, setPaymentMethod] = useState(''); // 'online' or 'bank_transfer'
   const [termsAccepted, setTermsAccepted] = useState(false);
 
+  // Promotion state
+  const [promotions, setPromotions] = useState([]);
+  const [taxRates, setTaxRates] = useState([]);
+  const [productCategories, setProductCategories] = useState({});
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+
   // Validation state
   const [dateError, setDateError] = useState('');
   const [blockedDates, setBlockedDates] = useState([]);
@@ -111,8 +120,53 @@ const CheckoutFlow = ({ onBack, onOrderComplete }) => {
   useEffect(() => {
     fetchSystemConfig();
     fetchBlockedDates();
+    fetchPromotions();
+    fetchTaxes();
   }, []);
 
+  /**
+   * Load category mappings for the products in the cart (category promotions)
+   */
+  useEffect(() => {
+    const productIds = [...new Set(cartItems.map((item) => item.product_id).filter(Boolean))];
+    if (productIds.length === 0) return;
+
+    const fetchProductCategories = async () => {
+      const { data, error } = await supabaseClient
+        .from('product_category_mappings')
+        .select('product_id, category_id')
+        .in('product_id', productIds);
+
+      if (error) {
+        console.error('[Checkout] Error fetching product categories:', error);
+        return;
+      }
+
+      const map = {};
+      data.forEach((mapping) => {
+        map[mapping.product_id] = [...(map[mapping.product_id] || []), mapping.category_id];
+      });
+      setProductCategories(map);
+    };
+    fetchProductCategories();
+  }, [cartItems]);
+
+  /**
+   * Fetch promotions available online
+   */
+  const fetchPromotions = async () => {
+    const { data } = await fetchActivePromotions(supabaseClient, PROMOTION_CHANNELS.ONLINE);
+    setPromotions(data);
+  };
+
+  /**
+   * Fetch tax rates applied to online orders
+   */
+  const fetchTaxes = async () => {
+    const { data } = await fetchTaxRates(supabaseClient);
+    setTaxRates(data);
+  };
+
   /**
    * Fetch system configuration from database
    */
@@ -247,6 +301,24 @@ const CheckoutFlow = ({ onBack, onOrderComplete }) => {
     return `Rs. ${amount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
   };
 
+  /**
+   * Price the cart with any promotions and the entered coupon, then add taxes
+   */
+  const getPricing = () => applyTaxes(
+    applyPromotions(
+      cartItems.map((item) => ({
+        product_id: item.product_id,
+        category_ids: productCategories[item.product_id] || [],
+        quantity: item.quantity,
+        unit_price: item.price,
+      })),
+      promotions,
+      { channel: PROMOTION_CHANNELS.ONLINE, couponCode }
+    ),
+    taxRates,
+    { channel: PROMOTION_CHANNELS.ONLINE }
+  );
+
   /**
    * Validate form before submission
    */
@@ -302,7 +374,7 @@ const CheckoutFlow = ({ onBack, onOrderComplete }) => {
       }
 
       // Prepare order data
-      const totals = calculateCartTotals();
+      const pricing = getPricing();
       const orderData = {
         customer_id: currentCustomer.customer_id,
         pickup_date: pickupDate,
@@ -318,6 +390,8 @@ const CheckoutFlow = ({ onBack, onOrderComplete }) => {
           product_name: item.product_name,
           weight_option: item.weight_option,
         })),
+        applied_discounts: pricing.applied,
+        taxes: pricing.taxes,
       };
 
       // Validate order data
@@ -365,7 +439,8 @@ const CheckoutFlow = ({ onBack, onOrderComplete }) => {
   };
 
   // Calculate totals
-  const totals = calculateCartTotals();
+  const pricing = getPricing();
+  const totals = calculateOrderTotals(pricing.subtotal, config.depositPercentage, pricing.discountTotal, pricing.exclusiveTaxTotal);
 
   // Loading state
   if (loadingConfig) {
@@ -620,20 +695,72 @@ const CheckoutFlow = ({ onBack, onOrderComplete }) => {
                   <span>Subtotal</span>
                   <span className="font-semibold">{formatPrice(totals.subtotal)}</span>
                 </div>
+                {pricing.applied.map((discount, index) => (
+                  <div key={index} className="flex justify-between text-sm text-pink-700">
+                    <span>{discount.promotion_name}</span>
+                    <span className="font-semibold">-{formatPrice(discount.amount)}</span>
+                  </div>
+                ))}
+                {pricing.taxes.map((tax) => (
+                  <div key={tax.tax_rate_id} className="flex justify-between text-sm text-gray-600">
+                    <span>{tax.is_inclusive ? `Includes ${describeTaxRate(tax)}` : describeTaxRate(tax)}</span>
+                    <span className="font-semibold">{formatPrice(tax.amount)}</span>
+                  </div>
+                ))}
                 <div className="flex justify-between text-green-700">
                   <span>Deposit ({config.depositPercentage}%)</span>
                   <span className="font-semibold">{formatPrice(totals.depositAmount)}</span>
                 </div>
                 <div className="flex justify-between text-blue-700">
                   <span>Balance at Pickup</span>
-                  <span className="font-semibold">{formatPrice(totals.balanceAmount)}</span>
+                  <span className="font-semibold">{formatPrice(totals.remainingBalance)}</span>
                 </div>
               </div>
 
               {/* Total */}
               <div className="flex justify-between items-center mb-6">
                 <span className="text-lg font-bold text-gray-800">Total</span>
-                <span className="text-2xl font-bold text-purple-600">{formatPrice(totals.subtotal)}</span>
+                <span className="text-2xl font-bold text-purple-600">{formatPrice(totals.totalAmount)}</span>
+              </div>
+
+              {/* Coupon Code */}
+              <div className="mb-6">
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={couponInput}
+                    onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                    placeholder="Coupon code"
+                    className="flex-1 min-w-0 px-3 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:border-purple-500 text-sm uppercase"
+                  />
+                  {couponCode ? (
+                    <button
+                      type="button"
+                      onClick={() => { setCouponCode(''); setCouponInput(''); }}
+                      className="px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-700 hover:border-purple-300"
+                    >
+                      Remove
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => setCouponCode(couponInput.trim())}
+                      disabled={!couponInput.trim()}
+                      className="px-3 py-2 bg-purple-600 text-white rounded-lg text-sm font-medium hover:bg-purple-700 disabled:opacity-50"
+                    >
+                      Apply
+                    </button>
+                  )}
+                </div>
+                {couponCode && pricing.couponError && (
+                  <p className="mt-2 text-sm text-red-600 flex items-center gap-1">
+                    <AlertIcon size={14} />
+                    {pricing.couponError}
+                  </p>
+                )}
+                {couponCode && !pricing.couponError && (
+                  <p className="mt-2 text-sm text-green-700">Coupon {couponCode} applied</p>
+                )}
               </div>
 
               {/* Submit Button */}
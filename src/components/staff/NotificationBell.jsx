@@ -8,13 +8,15 @@
  * - Show unread count badge
  * - Animate when new notification arrives
  * - Toggle notification panel
+ *
+ * @param {Function} onNavigate - Opens a staff app view (setCurrentView)
  */
 
 import { useState } from 'react';
 import { useNotifications } from '../../hooks/useNotifications';
 import NotificationPanel from './NotificationPanel';
 
-const NotificationBell = () => {
+const NotificationBell = ({ onNavigate }) => {
   const { unreadCount, hasNewNotification } = useNotifications();
   const [showPanel, setShowPanel] = useState(false);
 
@@ -66,7 +68,7 @@ const NotificationBell = () => {
 
       {/* Notification Panel */}
       {showPanel && (
-        <NotificationPanel onClose={handleClosePanel} />
+        <NotificationPanel onClose={handleClosePanel} onNavigate={onNavigate} />
       )}
     </div>
   );
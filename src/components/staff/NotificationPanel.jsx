@@ -14,17 +14,15 @@
  * - Loading and empty states
  */
 
-import { useNavigate } from 'react-router-dom';
 import { useNotifications } from '../../hooks/useNotifications';
 import {
   getNotificationColor,
   formatTimeAgo,
-  getNotificationPath,
+  getNotificationView,
 } from '../../utils/notifications';
 import { Loader } from '../icons';
 
-const NotificationPanel = ({ onClose }) => {
-  const navigate = useNavigate();
+const NotificationPanel = ({ onClose, onNavigate }) => {
   const {
     notifications,
     loading,
@@ -41,10 +39,10 @@ const NotificationPanel = ({ onClose }) => {
         await markAsRead(notification.notification_id);
       }
 
-      // Navigate to related item
-      const path = getNotificationPath(notification);
-      if (path) {
-        navigate(path);
+      // Open the view for the related item
+      const view = getNotificationView(notification);
+      if (view && onNavigate) {
+        onNavigate(view);
       }
 
       // Close panel
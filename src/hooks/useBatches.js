@@ -54,7 +54,11 @@ export const useBatches = (options = {}) => {
             original_price,
             sale_price,
             default_return_percentage,
-            is_weight_based
+            category_id,
+            is_weight_based,
+            shelf_life_days,
+            fresh_days,
+            aging_days
           )
         `)
         .gt('quantity', 0);
@@ -71,11 +75,11 @@ export const useBatches = (options = {}) => {
 
       if (fetchError) throw fetchError;
 
-      // Add calculated age to each batch
+      // Add calculated age to each batch (categories use the product's own thresholds)
       const batchesWithAge = (data || []).map(batch => ({
         ...batch,
         age: calculateBatchAge(batch.date_added),
-        ageCategory: getBatchAgeCategory(calculateBatchAge(batch.date_added))
+        ageCategory: getBatchAgeCategory(calculateBatchAge(batch.date_added), batch.products)
       }));
 
       setBatches(batchesWithAge);
@@ -0,0 +1,78 @@
+/**
+ * useBillingDialog Hook
+ *
+ * Non-blocking replacement for window.alert / window.confirm on the
+ * cashier screen. Dialogs are queued and shown one at a time by
+ * BillingDialog, and can be dismissed from the keyboard so the cashier
+ * never has to reach for the mouse mid-bill.
+ *
+ * @module hooks/useBillingDialog
+ */
+
+import { useState, useCallback, useRef } from 'react';
+
+/**
+ * Dialog tones (colour and heading)
+ */
+export const DIALOG_TONES = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  SUCCESS: 'success',
+  INFO: 'info'
+};
+
+/**
+ * Custom hook for queued billing dialogs
+ *
+ * @returns {Object} Dialog state and functions
+ * @returns {Object|null} dialog - Dialog currently shown
+ * @returns {Function} showMessage - (message, tone) => Promise resolved when dismissed
+ * @returns {Function} askConfirm - (message, options) => Promise<boolean>
+ * @returns {Function} closeDialog - (result) => void, used by BillingDialog
+ *
+ * @example
+ * const { dialog, showMessage, askConfirm, closeDialog } = useBillingDialog();
+ *
+ * if (await askConfirm('Clear the cart?')) {
+ *   setCart([]);
+ * }
+ *
+ * return <BillingDialog dialog={dialog} onClose={closeDialog} />;
+ */
+const useBillingDialog = () => {
+  const [queue, setQueue] = useState([]);
+  const nextId = useRef(1);
+
+  const openDialog = useCallback((dialog) => new Promise(resolve => {
+    const id = nextId.current++;
+    setQueue(prev => [...prev, { ...dialog, id, resolve }]);
+  }), []);
+
+  const showMessage = useCallback(
+    (message, tone = DIALOG_TONES.ERROR) => openDialog({ type: 'message', message, tone }),
+    [openDialog]
+  );
+
+  const askConfirm = useCallback(
+    (message, { confirmLabel = 'OK', tone = DIALOG_TONES.WARNING } = {}) =>
+      openDialog({ type: 'confirm', message, tone, confirmLabel }),
+    [openDialog]
+  );
+
+  const dialog = queue[0] || null;
+
+  const closeDialog = useCallback((result) => {
+    if (!dialog) return;
+    dialog.resolve(dialog.type === 'confirm' ? Boolean(result) : undefined);
+    setQueue(prev => prev.filter(item => item.id !== dialog.id));
+  }, [dialog]);
+
+  return {
+    dialog,
+    showMessage,
+    askConfirm,
+    closeDialog
+  };
+};
+
+export default useBillingDialog;
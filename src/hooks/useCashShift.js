@@ -0,0 +1,125 @@
+/**
+ * useCashShift Hook
+ * Tracks the open cash drawer shift for the POS screen and wraps
+ * opening, cash-ins/cash-outs and closing with a denomination count
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabaseClient } from '../config/supabase';
+import {
+  getCurrentShift,
+  openShift as openShiftRecord,
+  recordCashMovement,
+  fetchShiftActivity,
+  buildShiftReport,
+  closeShift as closeShiftRecord
+} from '../utils/cashShifts';
+import { logShiftEvent } from '../utils/auditLog';
+
+/**
+ * Custom hook for cash drawer shifts
+ * @param {Object} currentUser - Logged in user from AuthContext
+ * @returns {Object} Shift state and methods
+ */
+export const useCashShift = (currentUser) => {
+  const [currentShift, setCurrentShift] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reload the open shift
+   */
+  const refreshShift = useCallback(async () => {
+    setLoading(true);
+    const { data, error: fetchError } = await getCurrentShift(supabaseClient);
+    setCurrentShift(data);
+    setError(fetchError ? fetchError.message : null);
+    setLoading(false);
+    return data;
+  }, []);
+
+  useEffect(() => {
+    if (currentUser) {
+      refreshShift();
+    } else {
+      setCurrentShift(null);
+    }
+  }, [currentUser, refreshShift]);
+
+  /**
+   * Open a shift for the logged in user
+   */
+  const openShift = useCallback(async (openingFloat) => {
+    const { data, error: openError } = await openShiftRecord(supabaseClient, currentUser.user_id, openingFloat);
+    if (openError) return { data: null, error: openError };
+
+    await logShiftEvent('shift_opened', data, currentUser.user_id, currentUser.username);
+    await refreshShift();
+    return { data, error: null };
+  }, [currentUser, refreshShift]);
+
+  /**
+   * Record a cash-in or cash-out on the open shift
+   */
+  const addCashMovement = useCallback(async (type, amount, reason) => {
+    if (!currentShift) {
+      return { data: null, error: new Error('No shift is open') };
+    }
+
+    return await recordCashMovement(supabaseClient, {
+      shiftId: currentShift.id,
+      type,
+      amount,
+      reason,
+      userId: currentUser.user_id
+    });
+  }, [currentShift, currentUser]);
+
+  /**
+   * Build an X (mid-shift) or Z (closed shift) report
+   */
+  const getShiftReport = useCallback(async (shift, reportType) => {
+    const { data: activity, error: activityError } = await fetchShiftActivity(supabaseClient, shift);
+    if (activityError) return { data: null, error: activityError };
+
+    return { data: buildShiftReport(shift, activity, reportType), error: null };
+  }, []);
+
+  /**
+   * Close the open shift with a denomination count and return its Z report
+   */
+  const closeShift = useCallback(async (denominationCounts, notes = '') => {
+    if (!currentShift) {
+      return { data: null, error: new Error('No shift is open') };
+    }
+
+    const { data: xReport, error: reportError } = await getShiftReport(currentShift, 'X');
+    if (reportError) return { data: null, error: reportError };
+
+    const { data: closed, error: closeError } = await closeShiftRecord(supabaseClient, currentShift, {
+      userId: currentUser.user_id,
+      denominationCounts,
+      expectedCash: xReport.expectedCash,
+      notes
+    });
+    if (closeError) return { data: null, error: closeError };
+
+    await logShiftEvent('shift_closed', closed, currentUser.user_id, currentUser.username);
+    setCurrentShift(null);
+
+    return await getShiftReport(closed, 'Z');
+  }, [currentShift, currentUser, getShiftReport]);
+
+  return {
+    currentShift,
+    loading,
+    error,
+    refreshShift,
+    openShift,
+    addCashMovement,
+    getShiftReport,
+    closeShift
+  };
+};
+
+export default useCashShift;
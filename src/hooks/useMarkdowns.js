@@ -0,0 +1,67 @@
+/**
+ * useMarkdowns Hook
+ * Loads active markdown rules and the batches on hand for the POS screen
+ * and works out which batches can be sold at a markdown right now
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { supabaseClient } from '../config/supabase';
+import { fetchMarkdownRules, getMarkdownOffers } from '../utils/markdowns';
+
+// Time-of-day rules start while the screen is open
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Custom hook for markdown offers
+ * @param {Array} products - POS products (batches are reloaded whenever they change)
+ * @returns {Object} { offers, reloadMarkdowns }
+ */
+export const useMarkdowns = (products) => {
+  const [rules, setRules] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [now, setNow] = useState(() => new Date());
+
+  /**
+   * Reload rules and batches; offline the last loaded ones are kept
+   */
+  const reloadMarkdowns = useCallback(async () => {
+    const { data: ruleData, error: ruleError } = await fetchMarkdownRules(supabaseClient, { activeOnly: true });
+    if (ruleError) return;
+
+    setRules(ruleData);
+    if (ruleData.length === 0) {
+      setBatches([]);
+      return;
+    }
+
+    const { data: batchData, error: batchError } = await supabaseClient
+      .from('inventory_batches')
+      .select('id, product_id, quantity, date_added')
+      .gt('quantity', 0);
+
+    if (batchError) {
+      console.error('Error loading batches for markdowns:', batchError);
+      return;
+    }
+    setBatches(batchData || []);
+  }, []);
+
+  // Stock changes reload the product list, so reload batches with it
+  useEffect(() => {
+    reloadMarkdowns();
+  }, [products, reloadMarkdowns]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const offers = useMemo(
+    () => getMarkdownOffers(products, batches, rules, now),
+    [products, batches, rules, now]
+  );
+
+  return { offers, reloadMarkdowns };
+};
+
+export default useMarkdowns;
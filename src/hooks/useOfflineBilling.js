@@ -0,0 +1,138 @@
+/**
+ * useOfflineBilling Hook
+ * Tracks connectivity and the offline bill queue for the POS screen
+ * Automatically syncs queued bills when the browser comes back online
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { supabaseClient } from '../config/supabase';
+import {
+  QUEUED_BILL_STATUS,
+  enqueueBill,
+  getQueuedBills,
+  syncQueuedBills,
+  removeQueuedBill,
+  requeueBill
+} from '../utils/offlineBillQueue';
+
+/**
+ * Custom hook for offline POS billing
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onSynced - Called after bills were synced (e.g. reload products)
+ * @returns {Object} Connectivity state, queue state and methods
+ */
+export const useOfflineBilling = ({ onSynced } = {}) => {
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [queuedBills, setQueuedBills] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const onSyncedRef = useRef(onSynced);
+
+  useEffect(() => {
+    onSyncedRef.current = onSynced;
+  }, [onSynced]);
+
+  /**
+   * Reload queue contents from IndexedDB
+   */
+  const refreshQueue = useCallback(async () => {
+    const bills = await getQueuedBills();
+    setQueuedBills(bills);
+    return bills;
+  }, []);
+
+  /**
+   * Sync pending bills in capture order
+   */
+  const syncNow = useCallback(async () => {
+    if (syncingRef.current) return null;
+
+    syncingRef.current = true;
+    setSyncing(true);
+
+    try {
+      const result = await syncQueuedBills(supabaseClient);
+      await refreshQueue();
+
+      if (result.synced.length > 0 && onSyncedRef.current) {
+        await onSyncedRef.current(result);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error syncing offline bills:', error);
+      return null;
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  }, [refreshQueue]);
+
+  /**
+   * Add a bill to the offline queue
+   */
+  const queueBill = useCallback(async (cart, meta = {}) => {
+    const result = await enqueueBill(cart, meta);
+    await refreshQueue();
+    return result;
+  }, [refreshQueue]);
+
+  /**
+   * Retry a conflicted bill, optionally with an adjusted cart
+   */
+  const retryBill = useCallback(async (bill, cart = null) => {
+    await requeueBill(bill, cart);
+    await refreshQueue();
+    if (navigator.onLine) {
+      await syncNow();
+    }
+  }, [refreshQueue, syncNow]);
+
+  /**
+   * Discard a conflicted bill
+   */
+  const discardBill = useCallback(async (localId) => {
+    await removeQueuedBill(localId);
+    await refreshQueue();
+  }, [refreshQueue]);
+
+  // Track connectivity and sync on reconnect
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    refreshQueue().then(bills => {
+      if (navigator.onLine && bills.some(b => b.status === QUEUED_BILL_STATUS.PENDING)) {
+        syncNow();
+      }
+    });
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [refreshQueue, syncNow]);
+
+  const pendingBills = queuedBills.filter(b => b.status === QUEUED_BILL_STATUS.PENDING);
+  const conflictBills = queuedBills.filter(b => b.status === QUEUED_BILL_STATUS.CONFLICT);
+
+  return {
+    isOnline,
+    syncing,
+    pendingBills,
+    conflictBills,
+    queueBill,
+    syncNow,
+    retryBill,
+    discardBill,
+    refreshQueue
+  };
+};
+
+export default useOfflineBilling;
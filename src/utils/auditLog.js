@@ -9,6 +9,8 @@
  * - password_change, password_reset_requested, password_reset_completed
  * - user_created, user_updated, user_deactivated, user_activated
  * - session_expired
+ * - bill_voided, bill_refunded, customer_return
+ * - shift_opened, shift_closed
  */
 
 import { supabaseClient } from '../config/supabase';
@@ -82,7 +84,12 @@ export const logAuditEvent = async (
       'user_updated',
       'user_deactivated',
       'user_activated',
-      'session_expired'
+      'session_expired',
+      'bill_voided',
+      'bill_refunded',
+      'customer_return',
+      'shift_opened',
+      'shift_closed'
     ];
 
     if (!validActions.includes(action)) {
@@ -437,3 +444,54 @@ export const logUserActivated = async (
   );
 };
 
+/**
+ * Logs a POS bill void, refund or customer return.
+ * 
+ * @param {Object} refund - The refund returned by refund_pos_bill().
+ * @param {string} userId - The UUID of the user who requested the refund.
+ * @param {string} username - The username of the requester.
+ * @param {Object} details - Additional details (e.g., reason, approved_by, items).
+ * @returns {Promise<boolean>} True if logging succeeded.
+ */
+export const logBillRefund = async (refund, userId, username, details = {}) => {
+  let action = refund.refund_type === 'void' ? 'bill_voided' : 'bill_refunded';
+  if (refund.customer_return) {
+    action = 'customer_return';
+  }
+
+  return await logAuditEvent(
+    action,
+    userId,
+    username,
+    null,
+    null,
+    'success',
+    {
+      order_id: refund.order_id,
+      refund_id: refund.refund_id,
+      total_amount: refund.total_amount,
+      payments: refund.payments,
+      ...details
+    }
+  );
+};
+
+/**
+ * Logs a cash drawer shift being opened or closed.
+ * 
+ * @param {string} action - 'shift_opened' or 'shift_closed'.
+ * @param {Object} shift - The cash_shifts row.
+ * @param {string} userId - The UUID of the user opening/closing the shift.
+ * @param {string} username - The username of that user.
+ * @returns {Promise<boolean>} True if logging succeeded.
+ */
+export const logShiftEvent = async (action, shift, userId, username) => {
+  const details = { shift_id: shift.id, opening_float: shift.opening_float };
+  if (action === 'shift_closed') {
+    details.expected_cash = shift.expected_cash;
+    details.counted_cash = shift.counted_cash;
+    details.cash_variance = shift.cash_variance;
+  }
+
+  return await logAuditEvent(action, userId, username, null, null, 'success', details);
+};
@@ -0,0 +1,195 @@
+/**
+ * Barcode Utilities
+ * Resolves what the cashier scans or types into the POS scan box:
+ * - Product barcodes (EAN-8 / EAN-13 / UPC) printed on packaged items
+ * - PLU codes typed by hand
+ * - EAN-13 labels from the scale with the weight or price embedded (prefix 2x)
+ *
+ * Scale labels are laid out as 2P IIIII VVVVV C: a two digit prefix, the
+ * 5 digit item code (the product's PLU), a 5 digit value and the check digit.
+ * Which prefixes carry a weight and which a price depends on how the scale
+ * is programmed, so it is saved per device like the receipt printer.
+ */
+
+const SCALE_SETTINGS_KEY = 'ayubo_scale_barcode_settings';
+
+export const EMBEDDED_BARCODE_TYPES = {
+  WEIGHT: 'weight',
+  PRICE: 'price'
+};
+
+const DEFAULT_SCALE_SETTINGS = {
+  weightPrefixes: ['20', '21', '22', '23', '24'],
+  pricePrefixes: ['25', '26', '27', '28', '29'],
+  // Embedded price in whole rupees; a 5 digit value in cents would stop at Rs. 999.99
+  priceDecimals: 0
+};
+
+// Bill quantities are stored to 2 decimals, so weights are billed to the nearest 10 g
+const roundWeight = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the scale label layout saved on this device
+ * @returns {Object} { weightPrefixes, pricePrefixes, priceDecimals }
+ */
+export const getScaleBarcodeSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SCALE_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_SCALE_SETTINGS, ...stored };
+  } catch {
+    return { ...DEFAULT_SCALE_SETTINGS };
+  }
+};
+
+/**
+ * Save the scale label layout for this device
+ * @param {Object} settings - Partial settings to merge
+ */
+export const saveScaleBarcodeSettings = (settings) => {
+  localStorage.setItem(
+    SCALE_SETTINGS_KEY,
+    JSON.stringify({ ...getScaleBarcodeSettings(), ...settings })
+  );
+};
+
+/**
+ * Calculate the EAN/UPC check digit for the digits before it
+ * @param {string} digits - Barcode without its check digit
+ * @returns {number} Check digit
+ */
+export const calculateCheckDigit = (digits) => {
+  const sum = digits
+    .split('')
+    .reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check the length and check digit of an EAN-8, UPC-A, EAN-13 or GTIN-14 code
+ * @param {string} code - Scanned code
+ * @returns {boolean} True if valid
+ */
+export const isValidBarcode = (code) => {
+  if (!/^(\d{8}|\d{12,14})$/.test(code || '')) return false;
+  return calculateCheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+};
+
+/**
+ * Decode a scale label with an embedded weight or price
+ * @param {string} code - Scanned code
+ * @param {Object} settings - Scale label layout
+ * @returns {Object|null} { type, pluCode, weight } or { type, pluCode, price }, null if not a scale label
+ */
+export const decodeEmbeddedBarcode = (code, settings = getScaleBarcodeSettings()) => {
+  if (!/^2\d{12}$/.test(code || '') || !isValidBarcode(code)) return null;
+
+  const prefix = code.slice(0, 2);
+  const pluCode = code.slice(2, 7);
+  const value = parseInt(code.slice(7, 12), 10);
+
+  if (settings.weightPrefixes.includes(prefix)) {
+    // Scales print the weight in grams
+    return { type: EMBEDDED_BARCODE_TYPES.WEIGHT, pluCode, weight: value / 1000 };
+  }
+
+  if (settings.pricePrefixes.includes(prefix)) {
+    return {
+      type: EMBEDDED_BARCODE_TYPES.PRICE,
+      pluCode,
+      price: value / Math.pow(10, settings.priceDecimals)
+    };
+  }
+
+  return null;
+};
+
+const findByPlu = (products, pluCode) => {
+  const plu = parseInt(pluCode, 10);
+  return products.find(product => product.plu_code && parseInt(product.plu_code, 10) === plu);
+};
+
+/**
+ * Resolve a scanned or typed code to a product.
+ * Product barcodes win over scale labels so packaged items with a 2x
+ * in-store barcode still scan as themselves.
+ * @param {Array} products - POS products with barcode and plu_code
+ * @param {string} input - Scanned or typed code
+ * @param {Object} settings - Scale label layout
+ * @returns {Object} { product, weight } (weight only for scale labels) or { error }
+ */
+export const resolveScannedCode = (products, input, settings = getScaleBarcodeSettings()) => {
+  const code = String(input || '').trim();
+
+  if (!/^\d+$/.test(code)) {
+    return { error: 'Scan a barcode or type a PLU' };
+  }
+
+  const byBarcode = products.find(product => product.barcode === code);
+  if (byBarcode) {
+    return { product: byBarcode };
+  }
+
+  const embedded = decodeEmbeddedBarcode(code, settings);
+  if (embedded) {
+    const product = findByPlu(products, embedded.pluCode);
+    if (!product) {
+      return { error: `No product with PLU ${parseInt(embedded.pluCode, 10)}` };
+    }
+    if (!product.is_weight_based) {
+      return { error: `${product.name} is not sold by weight` };
+    }
+
+    // A price label is billed at the till price for the weight it stands for
+    const weight = roundWeight(
+      embedded.type === EMBEDDED_BARCODE_TYPES.WEIGHT
+        ? embedded.weight
+        : embedded.price / product.price
+    );
+    if (weight <= 0) {
+      return { error: 'The label weight is zero' };
+    }
+
+    return { product, weight };
+  }
+
+  if (code.length <= 5) {
+    const product = findByPlu(products, code);
+    if (product) {
+      return { product };
+    }
+    return { error: `No product with PLU ${parseInt(code, 10)}` };
+  }
+
+  return { error: `No product with barcode ${code}` };
+};
+
+/**
+ * Validate the barcode and PLU entered for a product
+ * @param {Object} codes - { barcode, plu_code }
+ * @param {Array} products - Existing products
+ * @param {number} productId - Product being edited (skipped in the duplicate check)
+ * @returns {Object} { isValid, errors }
+ */
+export const validateProductCodes = ({ barcode, plu_code }, products = [], productId = null) => {
+  const errors = [];
+  const others = products.filter(product => product.product_id !== productId);
+
+  if (barcode) {
+    if (!isValidBarcode(barcode)) {
+      errors.push('Barcode must be a valid EAN-8, EAN-13 or UPC code');
+    } else if (others.some(product => product.barcode === barcode)) {
+      errors.push('That barcode is already used by another product');
+    }
+  }
+
+  if (plu_code) {
+    if (!/^\d{1,5}$/.test(plu_code)) {
+      errors.push('PLU must be 1 to 5 digits');
+    } else if (findByPlu(others, plu_code)) {
+      errors.push('That PLU is already used by another product');
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
@@ -1,6 +1,10 @@
 /**
  * Batch Tracking Utilities
  * Handles batch-level inventory management, FIFO logic, and age calculations
+ *
+ * Batch changes made here are recorded in the stock movement ledger by a
+ * database trigger: new batches as check-ins, date changes as keeps and
+ * quantity changes as manual adjustments (see stockMovements.js).
  */
 
 /**
@@ -26,15 +30,64 @@ export const calculateBatchAge = (dateAdded) => {
   return Math.max(0, diffDays); // Never return negative
 };
 
+/** Age thresholds used when a product does not set its own */
+export const DEFAULT_AGE_THRESHOLDS = {
+  freshDays: 2,
+  agingDays: 7
+};
+
+/**
+ * Get a product's batch age thresholds and shelf life
+ * @param {Object} product - Product with optional fresh_days, aging_days and shelf_life_days
+ * @returns {Object} { freshDays, agingDays, shelfLifeDays } (shelfLifeDays is null without expiry)
+ */
+export const getShelfLifeSettings = (product = null) => {
+  const freshDays = product?.fresh_days ?? DEFAULT_AGE_THRESHOLDS.freshDays;
+  const agingDays = product?.aging_days ?? Math.max(DEFAULT_AGE_THRESHOLDS.agingDays, freshDays);
+
+  return {
+    freshDays,
+    agingDays,
+    shelfLifeDays: product?.shelf_life_days || null
+  };
+};
+
+/**
+ * Days left to sell a batch
+ * @param {number} ageInDays - Age of the batch in days
+ * @param {Object} product - Product with optional shelf_life_days
+ * @returns {number|null} 1 on its last day, 0 or less once expired, null without a shelf life
+ */
+export const getDaysUntilExpiry = (ageInDays, product = null) => {
+  const { shelfLifeDays } = getShelfLifeSettings(product);
+  return shelfLifeDays ? shelfLifeDays - ageInDays : null;
+};
+
+/**
+ * Check whether a batch is past its product's shelf life
+ * @param {number} ageInDays - Age of the batch in days
+ * @param {Object} product - Product with optional shelf_life_days
+ * @returns {boolean} True if expired
+ */
+export const isBatchExpired = (ageInDays, product = null) => {
+  const daysLeft = getDaysUntilExpiry(ageInDays, product);
+  return daysLeft !== null && daysLeft <= 0;
+};
+
 /**
  * Get batch age category for color-coding
  * @param {number} ageInDays - Age of the batch in days
- * @returns {string} 'fresh' (0-2 days), 'medium' (3-7 days), or 'old' (7+ days)
+ * @param {Object} product - Product with optional thresholds (defaults: fresh 0-2 days, medium to 7)
+ * @returns {string} 'fresh', 'medium', 'old', or 'expired' past the product's shelf life
  */
-export const getBatchAgeCategory = (ageInDays) => {
-  if (ageInDays <= 2) {
+export const getBatchAgeCategory = (ageInDays, product = null) => {
+  const { freshDays, agingDays } = getShelfLifeSettings(product);
+
+  if (isBatchExpired(ageInDays, product)) {
+    return 'expired';
+  } else if (ageInDays <= freshDays) {
     return 'fresh';
-  } else if (ageInDays <= 7) {
+  } else if (ageInDays <= agingDays) {
     return 'medium';
   } else {
     return 'old';
@@ -44,10 +97,11 @@ export const getBatchAgeCategory = (ageInDays) => {
 /**
  * Get color classes for batch age badge
  * @param {number} ageInDays - Age of the batch in days
+ * @param {Object} product - Product with optional thresholds and shelf life
  * @returns {Object} Color classes for the age category
  */
-export const getBatchAgeColors = (ageInDays) => {
-  const category = getBatchAgeCategory(ageInDays);
+export const getBatchAgeColors = (ageInDays, product = null) => {
+  const category = getBatchAgeCategory(ageInDays, product);
   
   switch (category) {
     case 'fresh':
@@ -71,6 +125,13 @@ export const getBatchAgeColors = (ageInDays) => {
         border: 'border-red-300',
         badge: 'bg-red-500'
       };
+    case 'expired':
+      return {
+        bg: 'bg-gray-800',
+        text: 'text-white',
+        border: 'border-gray-900',
+        badge: 'bg-red-500'
+      };
     default:
       return {
         bg: 'bg-gray-100',
@@ -81,6 +142,19 @@ export const getBatchAgeColors = (ageInDays) => {
   }
 };
 
+/**
+ * Batches that must come off the shelf at closing: their last day to sell
+ * is today, or they are already past their shelf life
+ * @param {Array} batches - Batches with age and products (shelf_life_days)
+ * @returns {Array} Matching batches with daysLeft, expired ones first
+ */
+export const getExpiringTodayBatches = (batches = []) => {
+  return batches
+    .map(batch => ({ ...batch, daysLeft: getDaysUntilExpiry(batch.age, batch.products) }))
+    .filter(batch => batch.daysLeft !== null && batch.daysLeft <= 1)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+};
+
 /**
  * Sort batches by age (oldest first for FIFO)
  * @param {Array} batches - Array of batch objects with date_added
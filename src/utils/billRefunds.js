@@ -0,0 +1,347 @@
+/**
+ * POS Bill Refund Utilities
+ * Handles voiding and refunding POS bills and customer returns with stock
+ * reversal or waste, owner approval, payback on the original tenders and
+ * sales report adjustments
+ */
+
+import { comparePassword } from './auth';
+import { TENDER_METHODS, TENDER_METHOD_LABELS } from './posPayments';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Calculate how much of each bill line can still be refunded
+ * @param {Object} order - Order with order_items
+ * @param {Array} refundItems - Previously refunded lines ({order_item_id, quantity})
+ * @returns {Array} Order items with refunded_quantity, refundable_quantity and unit_price
+ */
+export const getRefundableItems = (order, refundItems = []) => {
+  if (!order || !Array.isArray(order.order_items)) {
+    return [];
+  }
+
+  return order.order_items.map(item => {
+    const quantity = parseFloat(item.quantity);
+    const refundedQuantity = refundItems
+      .filter(r => r.order_item_id === item.order_item_id)
+      .reduce((sum, r) => sum + parseFloat(r.quantity), 0);
+
+    return {
+      ...item,
+      unit_price: quantity > 0 ? parseFloat(item.subtotal) / quantity : 0,
+      refunded_quantity: refundedQuantity,
+      refundable_quantity: Math.max(0, quantity - refundedQuantity)
+    };
+  });
+};
+
+/**
+ * Calculate the refund amount for the selected lines
+ * @param {Array} refundableItems - Result of getRefundableItems()
+ * @param {Object} quantities - Map of order_item_id to quantity to refund
+ * @returns {number} Refund total rounded to 2 decimals
+ */
+export const calculateRefundTotal = (refundableItems, quantities) => {
+  const total = refundableItems.reduce((sum, item) => {
+    const quantity = parseFloat(quantities[item.order_item_id]) || 0;
+    return sum + Math.round(item.unit_price * quantity * 100) / 100;
+  }, 0);
+
+  return Math.round(total * 100) / 100;
+};
+
+/**
+ * Validate a refund selection before sending it to the database
+ * @param {Array} refundableItems - Result of getRefundableItems()
+ * @param {Object} quantities - Map of order_item_id to quantity to refund
+ * @param {string} reason - Refund reason
+ * @returns {Object} { isValid: boolean, errors: Array }
+ */
+export const validateRefundSelection = (refundableItems, quantities, reason) => {
+  const errors = [];
+
+  if (!reason || !reason.trim()) {
+    errors.push('A reason is required');
+  }
+
+  const selected = refundableItems.filter(item => parseFloat(quantities[item.order_item_id]) > 0);
+  if (selected.length === 0) {
+    errors.push('Select at least one item to refund');
+  }
+
+  selected.forEach(item => {
+    if (parseFloat(quantities[item.order_item_id]) > item.refundable_quantity) {
+      errors.push(`Cannot refund more than ${item.refundable_quantity} of ${item.products?.name || 'item'}`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Split a refund across the bill's original tenders, as refund_pos_bill does:
+ * non-cash tenders first, up to what each has left after earlier refunds,
+ * then cash for the rest
+ * @param {Array} payments - The bill's pos_bill_payments ({method, amount})
+ * @param {Array} refundPayments - Earlier refunds' pos_refund_payments ({method, amount})
+ * @param {number} amount - Amount to refund
+ * @returns {Array} [{ method, amount }]
+ */
+export const allocateRefundToTenders = (payments = [], refundPayments = [], amount) => {
+  const sumByMethod = (lines, method) => lines
+    .filter(line => line.method === method)
+    .reduce((sum, line) => sum + parseFloat(line.amount), 0);
+
+  const methods = [...new Set(payments.map(payment => payment.method))]
+    .filter(method => method !== TENDER_METHODS.CASH)
+    .sort();
+
+  let remaining = roundAmount(parseFloat(amount) || 0);
+  const allocation = [];
+
+  methods.forEach(method => {
+    const refundable = roundAmount(sumByMethod(payments, method) - sumByMethod(refundPayments, method));
+    const portion = roundAmount(Math.min(remaining, refundable));
+    if (portion > 0) {
+      allocation.push({ method, amount: portion });
+      remaining = roundAmount(remaining - portion);
+    }
+  });
+
+  if (remaining > 0) {
+    allocation.push({ method: TENDER_METHODS.CASH, amount: remaining });
+  }
+
+  return allocation;
+};
+
+/**
+ * Describe how a refund is paid back
+ * @param {Array} refundPayments - [{ method, amount }]
+ * @returns {string} e.g. "Card 150.00 • Cash 60.00"
+ */
+export const describeRefundPayments = (refundPayments = []) => {
+  return refundPayments
+    .map(payment => `${TENDER_METHOD_LABELS[payment.method] || payment.method} ${parseFloat(payment.amount).toFixed(2)}`)
+    .join(' • ');
+};
+
+/**
+ * Verify owner credentials so a cashier's void/refund can be approved
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} username - Owner username
+ * @param {string} password - Owner password
+ * @returns {Promise<Object>} Approving owner or error
+ */
+export const verifyOwnerApproval = async (supabaseClient, username, password) => {
+  try {
+    if (!username || !password) {
+      throw new Error('Owner username and password are required');
+    }
+
+    const { data: owner, error } = await supabaseClient
+      .from('users')
+      .select('user_id, username, first_name, last_name, role, is_active, password_hash')
+      .eq('username', username.trim())
+      .single();
+
+    if (error || !owner || owner.role !== 'owner' || !owner.is_active) {
+      throw new Error('Owner approval failed: invalid owner credentials');
+    }
+
+    const isMatch = await comparePassword(password, owner.password_hash);
+    if (!isMatch) {
+      throw new Error('Owner approval failed: invalid owner credentials');
+    }
+
+    const { password_hash, ...ownerWithoutPassword } = owner;
+    return { data: ownerWithoutPassword, error: null };
+  } catch (error) {
+    console.error('Error verifying owner approval:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Void or refund POS bill lines in a single transaction
+ * Restocked lines recreate inventory batches dated on the original sale;
+ * other lines are wasted. The refund is paid back on the original tenders.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} options - Refund options
+ * @param {number} options.orderId - Order ID
+ * @param {Array} options.items - Lines to refund ({order_item_id, quantity, restock})
+ * @param {string} options.reason - Refund reason
+ * @param {string} options.requestedBy - User ID of the cashier/owner doing the refund
+ * @param {string} options.approvedBy - User ID of the approving owner
+ * @param {boolean} options.customerReturn - Goods brought back by the customer
+ * @returns {Promise<Object>} Refund summary (with payments) or error
+ */
+export const refundPosBill = async (supabaseClient, { orderId, items, reason, requestedBy, approvedBy = null, customerReturn = false }) => {
+  try {
+    if (!orderId) {
+      throw new Error('Order ID is required');
+    }
+
+    if (!items || items.length === 0) {
+      throw new Error('Select at least one item to refund');
+    }
+
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required');
+    }
+
+    const { data, error } = await supabaseClient.rpc('refund_pos_bill', {
+      p_order_id: orderId,
+      p_items: items.map(item => ({
+        order_item_id: item.order_item_id,
+        quantity: parseFloat(item.quantity),
+        restock: item.restock !== false
+      })),
+      p_reason: reason.trim(),
+      p_requested_by: requestedBy,
+      p_approved_by: approvedBy,
+      p_customer_return: !!customerReturn
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error refunding bill:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch all POS refunds with their lines
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Array>} Refunds (newest first)
+ */
+export const fetchBillRefunds = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('pos_refunds')
+      .select(`
+        *,
+        pos_refund_items (
+          id,
+          order_item_id,
+          product_id,
+          quantity,
+          amount,
+          restocked,
+          products (
+            name
+          )
+        ),
+        pos_refund_payments (
+          method,
+          amount
+        )
+      `)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    return [];
+  }
+};
+
+/**
+ * Fetch a POS bill for a customer return, with what has already been refunded
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number|string} orderId - Bill number
+ * @returns {Promise<Object>} { bill, refundItems, refundPayments } or error
+ */
+export const fetchBillForReturn = async (supabaseClient, orderId) => {
+  try {
+    const billNumber = parseInt(String(orderId).replace('#', '').trim());
+    if (!billNumber) {
+      throw new Error('Enter the bill number from the receipt');
+    }
+
+    const [billResult, refundsResult] = await Promise.all([
+      supabaseClient
+        .from('orders')
+        .select(`
+          order_id,
+          order_date,
+          value,
+          status,
+          order_items (
+            order_item_id,
+            product_id,
+            quantity,
+            subtotal,
+            variant_name,
+            modifiers,
+            products (
+              name
+            )
+          ),
+          pos_bill_payments (
+            method,
+            amount
+          )
+        `)
+        .eq('order_id', billNumber)
+        .maybeSingle(),
+      supabaseClient
+        .from('pos_refunds')
+        .select('id, pos_refund_items (order_item_id, quantity), pos_refund_payments (method, amount)')
+        .eq('order_id', billNumber)
+    ]);
+
+    if (billResult.error) throw billResult.error;
+    if (refundsResult.error) throw refundsResult.error;
+    if (!billResult.data) {
+      throw new Error(`Bill #${billNumber} not found`);
+    }
+    if (billResult.data.status === 'voided') {
+      throw new Error(`Bill #${billNumber} has already been fully refunded`);
+    }
+
+    const refunds = refundsResult.data || [];
+    return {
+      data: {
+        bill: billResult.data,
+        refundItems: refunds.flatMap(refund => refund.pos_refund_items || []),
+        refundPayments: refunds.flatMap(refund => refund.pos_refund_payments || [])
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error fetching bill for return:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Convert refunds into negative entries for sales reports
+ * @param {Array} refunds - Refunds with pos_refund_items and pos_refund_payments
+ * @returns {Array} Entries with {id, orderId, date, total (negative), refundType, customerReturn, reason, items, payments}
+ */
+export const refundsToSalesEntries = (refunds) => {
+  if (!Array.isArray(refunds)) {
+    return [];
+  }
+
+  return refunds.map(refund => ({
+    id: `refund-${refund.id}`,
+    orderId: refund.order_id,
+    date: refund.created_at,
+    total: -parseFloat(refund.total_amount),
+    refundType: refund.refund_type,
+    customerReturn: !!refund.is_customer_return,
+    reason: refund.reason,
+    items: refund.pos_refund_items || [],
+    payments: refund.pos_refund_payments || []
+  }));
+};
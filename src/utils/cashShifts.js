@@ -0,0 +1,387 @@
+/**
+ * Cash Shift Utilities
+ * Cashier shifts on the POS cash drawer: opening float, cash-ins/cash-outs,
+ * denomination count on close and X (mid-shift) / Z (end-of-day) reports
+ */
+
+import { summarizePaymentsByMethod, TENDER_METHODS } from './posPayments';
+import { escapeHtml } from './printing';
+
+/**
+ * Sri Lankan rupee notes and coins used for the closing count
+ */
+export const DENOMINATIONS = [5000, 2000, 1000, 500, 100, 50, 20, 10, 5, 2, 1];
+
+/**
+ * Cash movement types
+ */
+export const CASH_MOVEMENT_TYPES = {
+  CASH_IN: 'cash_in',
+  CASH_OUT: 'cash_out'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Total cash from a denomination count
+ * @param {Object} counts - Map of denomination to number of notes/coins
+ * @returns {number} Counted cash
+ */
+export const calculateDenominationTotal = (counts = {}) => {
+  return roundAmount(
+    Object.entries(counts).reduce((sum, [denomination, count]) => {
+      return sum + (parseFloat(denomination) * (parseInt(count, 10) || 0));
+    }, 0)
+  );
+};
+
+/**
+ * Get the currently open shift, if any
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} Open shift (or null) or error
+ */
+export const getCurrentShift = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('cash_shifts')
+      .select('*, opener:users!fk_cash_shifts_opened_by(username, first_name, last_name)')
+      .eq('status', 'open')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error fetching current shift:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Open a shift with a float
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} userId - User opening the shift
+ * @param {number} openingFloat - Cash in the drawer at the start of the shift
+ * @returns {Promise<Object>} Created shift or error
+ */
+export const openShift = async (supabaseClient, userId, openingFloat) => {
+  try {
+    const float = parseFloat(openingFloat);
+    if (!Number.isFinite(float) || float < 0) {
+      throw new Error('Opening float must be 0 or more');
+    }
+
+    const { data, error } = await supabaseClient
+      .from('cash_shifts')
+      .insert({
+        opened_by: userId,
+        opening_float: roundAmount(float)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // idx_cash_shifts_single_open
+      if (error.code === '23505') {
+        throw new Error('A shift is already open. Close it before opening a new one.');
+      }
+      throw error;
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error opening shift:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Record cash put into or taken out of the drawer
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} movement - { shiftId, type, amount, reason, userId }
+ * @returns {Promise<Object>} Created movement or error
+ */
+export const recordCashMovement = async (supabaseClient, { shiftId, type, amount, reason, userId }) => {
+  try {
+    if (!Object.values(CASH_MOVEMENT_TYPES).includes(type)) {
+      throw new Error(`Invalid cash movement type: ${type}`);
+    }
+
+    const value = parseFloat(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('Amount must be greater than 0');
+    }
+
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required');
+    }
+
+    const { data, error } = await supabaseClient
+      .from('cash_movements')
+      .insert({
+        shift_id: shiftId,
+        movement_type: type,
+        amount: roundAmount(value),
+        reason: reason.trim(),
+        created_by: userId
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error recording cash movement:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch the POS bills, refunds and cash movements of a shift
+ * Bills and refunds are those created between opening and closing the shift.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} shift - cash_shifts row
+ * @returns {Promise<Object>} { orders, refunds, movements } or error
+ */
+export const fetchShiftActivity = async (supabaseClient, shift) => {
+  try {
+    const from = shift.opened_at;
+    const to = shift.closed_at || new Date().toISOString();
+
+    const [ordersResult, refundsResult, movementsResult] = await Promise.all([
+      supabaseClient
+        .from('orders')
+        .select(`
+          order_id,
+          order_date,
+          value,
+          pos_bill_payments (method, amount, tendered, change_given),
+          order_items (quantity, subtotal, products (name))
+        `)
+        .gte('order_date', from)
+        .lte('order_date', to)
+        .order('order_date', { ascending: true }),
+      supabaseClient
+        .from('pos_refunds')
+        .select('id, order_id, refund_type, total_amount, created_at, pos_refund_payments (method, amount)')
+        .gte('created_at', from)
+        .lte('created_at', to),
+      supabaseClient
+        .from('cash_movements')
+        .select('*')
+        .eq('shift_id', shift.id)
+        .order('created_at', { ascending: true })
+    ]);
+
+    if (ordersResult.error) throw ordersResult.error;
+    if (refundsResult.error) throw refundsResult.error;
+    if (movementsResult.error) throw movementsResult.error;
+
+    return {
+      data: {
+        orders: ordersResult.data || [],
+        refunds: refundsResult.data || [],
+        movements: movementsResult.data || []
+      },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error fetching shift activity:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Build an X or Z report for a shift
+ * Only refunds paid back in cash reduce the expected drawer cash.
+ * @param {Object} shift - cash_shifts row
+ * @param {Object} activity - Result of fetchShiftActivity()
+ * @param {string} reportType - 'X' (mid-shift) or 'Z' (end of day)
+ * @returns {Object} Report totals
+ */
+export const buildShiftReport = (shift, { orders = [], refunds = [], movements = [] } = {}, reportType = 'X') => {
+  const grossSales = roundAmount(orders.reduce((sum, order) => sum + parseFloat(order.value), 0));
+  const refundsTotal = roundAmount(refunds.reduce((sum, refund) => sum + parseFloat(refund.total_amount), 0));
+  // Refunds without payment lines predate refunds on the original tenders and were paid in cash
+  const cashRefunds = roundAmount(refunds.reduce((sum, refund) => {
+    if (!refund.pos_refund_payments) return sum + parseFloat(refund.total_amount);
+    return sum + refund.pos_refund_payments
+      .filter(payment => payment.method === TENDER_METHODS.CASH)
+      .reduce((cash, payment) => cash + parseFloat(payment.amount), 0);
+  }, 0));
+  const payments = summarizePaymentsByMethod(orders);
+  const cashSales = payments.find(p => p.method === TENDER_METHODS.CASH)?.amount || 0;
+
+  const sumMovements = (type) => roundAmount(
+    movements
+      .filter(movement => movement.movement_type === type)
+      .reduce((sum, movement) => sum + parseFloat(movement.amount), 0)
+  );
+  const cashIn = sumMovements(CASH_MOVEMENT_TYPES.CASH_IN);
+  const cashOut = sumMovements(CASH_MOVEMENT_TYPES.CASH_OUT);
+
+  const openingFloat = parseFloat(shift.opening_float) || 0;
+  // A closed shift keeps the expected cash it was counted against
+  const expectedCash = shift.status === 'closed' && shift.expected_cash !== null && shift.expected_cash !== undefined
+    ? parseFloat(shift.expected_cash)
+    : roundAmount(openingFloat + cashSales + cashIn - cashOut - cashRefunds);
+  const countedCash = shift.counted_cash !== null && shift.counted_cash !== undefined
+    ? parseFloat(shift.counted_cash)
+    : null;
+
+  return {
+    reportType,
+    shiftId: shift.id,
+    openedAt: shift.opened_at,
+    closedAt: shift.closed_at || null,
+    generatedAt: new Date().toISOString(),
+    billCount: orders.length,
+    refundCount: refunds.length,
+    grossSales,
+    refundsTotal,
+    netSales: roundAmount(grossSales - refundsTotal),
+    payments,
+    openingFloat,
+    cashSales,
+    cashIn,
+    cashOut,
+    cashRefunds,
+    expectedCash,
+    countedCash,
+    variance: countedCash === null ? null : roundAmount(countedCash - expectedCash),
+    movements
+  };
+};
+
+/**
+ * Close the open shift with a denomination count
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} shift - Open cash_shifts row
+ * @param {Object} options - { userId, denominationCounts, expectedCash, notes }
+ * @returns {Promise<Object>} Closed shift or error
+ */
+export const closeShift = async (supabaseClient, shift, { userId, denominationCounts, expectedCash, notes = '' }) => {
+  try {
+    const countedCash = calculateDenominationTotal(denominationCounts);
+
+    const { data, error } = await supabaseClient
+      .from('cash_shifts')
+      .update({
+        status: 'closed',
+        closed_by: userId,
+        closed_at: new Date().toISOString(),
+        expected_cash: expectedCash,
+        counted_cash: countedCash,
+        cash_variance: roundAmount(countedCash - expectedCash),
+        denomination_counts: denominationCounts,
+        closing_notes: notes.trim() || null
+      })
+      .eq('id', shift.id)
+      .eq('status', 'open')
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error closing shift:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch recent shifts (newest first)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} limit - Maximum number of shifts
+ * @returns {Promise<Array>} Shifts with opener/closer usernames
+ */
+export const fetchShifts = async (supabaseClient, limit = 30) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('cash_shifts')
+      .select(`
+        *,
+        opener:users!fk_cash_shifts_opened_by(username, first_name, last_name),
+        closer:users!fk_cash_shifts_closed_by(username, first_name, last_name)
+      `)
+      .order('opened_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching shifts:', error);
+    return [];
+  }
+};
+
+/**
+ * Render an X/Z report as a printable HTML document
+ * @param {Object} report - Result of buildShiftReport()
+ * @param {Object} options - { shopName, cashierName }
+ * @returns {string} HTML document
+ */
+export const renderShiftReportHtml = (report, { shopName = 'Ayubo Cafe', cashierName = '' } = {}) => {
+  const money = (amount) => `Rs. ${(parseFloat(amount) || 0).toFixed(2)}`;
+  const row = (label, value) => `<tr><td>${escapeHtml(label)}</td><td class="r">${escapeHtml(value)}</td></tr>`;
+  const title = report.reportType === 'Z' ? 'Z REPORT (End of Day)' : 'X REPORT (Mid-Shift)';
+
+  const paymentRows = report.payments.map(p => row(p.label, money(p.amount))).join('');
+  const movementRows = report.movements
+    .map(m => row(`${m.movement_type === CASH_MOVEMENT_TYPES.CASH_IN ? 'In' : 'Out'}: ${m.reason}`, money(m.amount)))
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: monospace; font-size: 12px; width: 280px; margin: 0 auto; }
+  h1, h2 { text-align: center; margin: 4px 0; }
+  h1 { font-size: 16px; } h2 { font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 2px 0; } .r { text-align: right; }
+  .sep { border-top: 1px dashed #000; margin: 6px 0; }
+  .b td { font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(shopName)}</h1>
+<h2>${escapeHtml(title)}</h2>
+<table>
+${row('Shift', `#${report.shiftId}`)}
+${cashierName ? row('Cashier', cashierName) : ''}
+${row('Opened', new Date(report.openedAt).toLocaleString())}
+${report.closedAt ? row('Closed', new Date(report.closedAt).toLocaleString()) : ''}
+${row('Printed', new Date(report.generatedAt).toLocaleString())}
+</table>
+<div class="sep"></div>
+<table>
+${row('Bills', report.billCount)}
+${row('Gross sales', money(report.grossSales))}
+${row(`Voids/refunds (${report.refundCount})`, `-${money(report.refundsTotal)}`)}
+<tr class="b"><td>Net sales</td><td class="r">${money(report.netSales)}</td></tr>
+</table>
+<div class="sep"></div>
+<table>
+${paymentRows || row('No payments', '')}
+</table>
+<div class="sep"></div>
+<table>
+${row('Opening float', money(report.openingFloat))}
+${row('Cash sales', money(report.cashSales))}
+${row('Cash in', money(report.cashIn))}
+${row('Cash out', `-${money(report.cashOut)}`)}
+${row('Cash refunds', `-${money(report.cashRefunds)}`)}
+<tr class="b"><td>Expected cash</td><td class="r">${money(report.expectedCash)}</td></tr>
+${report.countedCash !== null ? row('Counted cash', money(report.countedCash)) : ''}
+${report.variance !== null ? `<tr class="b"><td>Variance</td><td class="r">${money(report.variance)}</td></tr>` : ''}
+</table>
+${movementRows ? `<div class="sep"></div><table>${movementRows}</table>` : ''}
+</body>
+</html>`;
+};
@@ -25,6 +25,8 @@ import { logAuditEvent } from './auditLog';
  * @param {string} orderData.special_instructions - Special instructions (optional)
  * @param {Array} orderData.items - Array of order items
  * @param {number} orderData.deposit_percentage - Deposit percentage (default 40)
+ * @param {Array} orderData.applied_discounts - Promotions applied at checkout (optional)
+ * @param {Array} orderData.taxes - Tax breakdown from applyTaxes() (optional)
  * @returns {Promise<Object>} Result with order ID and order number
  */
 export const createCustomerOrder = async (orderData) => {
@@ -37,6 +39,8 @@ export const createCustomerOrder = async (orderData) => {
       special_instructions = null,
       items = [],
       deposit_percentage = 40,
+      applied_discounts = [],
+      taxes = [],
     } = orderData;
 
     // Validate required fields
@@ -103,6 +107,8 @@ export const createCustomerOrder = async (orderData) => {
       p_special_instructions: special_instructions,
       p_order_items: orderItems,
       p_deposit_percentage: deposit_percentage,
+      p_applied_discounts: applied_discounts.length > 0 ? applied_discounts : null,
+      p_taxes: taxes.length > 0 ? taxes : null,
     });
 
     if (error) {
@@ -630,20 +636,26 @@ export const getAllOrders = async (filters = {}) => {
 /**
  * Calculate order totals
  * Helper function to calculate deposit and balance
+ * The deposit is taken on the total after discounts and exclusive taxes
  * 
  * @param {number} subtotal - Order subtotal
  * @param {number} depositPercentage - Deposit percentage (default 40)
+ * @param {number} discountTotal - Promotion discounts (default 0)
+ * @param {number} exclusiveTaxTotal - Taxes added on top of prices (default 0)
  * @returns {Object} Calculated totals
  */
-export const calculateOrderTotals = (subtotal, depositPercentage = 40) => {
-  const deposit = parseFloat((subtotal * depositPercentage / 100).toFixed(2));
-  const remaining = parseFloat((subtotal - deposit).toFixed(2));
+export const calculateOrderTotals = (subtotal, depositPercentage = 40, discountTotal = 0, exclusiveTaxTotal = 0) => {
+  const total = parseFloat((subtotal - discountTotal + exclusiveTaxTotal).toFixed(2));
+  const deposit = parseFloat((total * depositPercentage / 100).toFixed(2));
+  const remaining = parseFloat((total - deposit).toFixed(2));
 
   return {
     subtotal: parseFloat(subtotal.toFixed(2)),
+    discountTotal: parseFloat(discountTotal.toFixed(2)),
+    exclusiveTaxTotal: parseFloat(exclusiveTaxTotal.toFixed(2)),
     depositAmount: deposit,
     remainingBalance: remaining,
-    totalAmount: parseFloat(subtotal.toFixed(2)),
+    totalAmount: total,
   };
 };
 
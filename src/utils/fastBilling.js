@@ -0,0 +1,149 @@
+/**
+ * Fast Billing Utilities
+ * Keyboard mode for the cashier screen during the rush:
+ * - Letter hotkeys for the top products (saved per device)
+ * - Quantity multipliers typed as "3*" before a product key
+ * - Numeric keypad entry for weights and cash paid
+ */
+
+const FAST_BILLING_SETTINGS_KEY = 'ayubo_fast_billing_settings';
+
+/** Keys a product can be bound to */
+export const HOTKEY_KEYS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+/** Keys handed to the top products until the cashier picks their own */
+export const DEFAULT_HOTKEY_ORDER = 'QWERTYUIOP'.split('');
+
+export const MAX_MULTIPLIER = 999;
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  // null until customised - the top products get the default keys
+  hotkeys: null
+};
+
+/**
+ * Get the fast billing settings saved on this device
+ * @returns {Object} { enabled, hotkeys } with hotkeys as a map of key to product_id (or null)
+ */
+export const getFastBillingSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FAST_BILLING_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Save fast billing settings for this device
+ * @param {Object} settings - Partial settings to merge
+ */
+export const saveFastBillingSettings = (settings) => {
+  localStorage.setItem(
+    FAST_BILLING_SETTINGS_KEY,
+    JSON.stringify({ ...getFastBillingSettings(), ...settings })
+  );
+};
+
+/**
+ * Give the default keys to the first products (already sorted best sellers first)
+ * @param {Array} products - Sorted POS products
+ * @returns {Object} Map of key to product_id
+ */
+export const assignDefaultHotkeys = (products) => {
+  return DEFAULT_HOTKEY_ORDER.reduce((hotkeys, key, index) => {
+    if (products[index]) {
+      hotkeys[key] = products[index].product_id;
+    }
+    return hotkeys;
+  }, {});
+};
+
+/**
+ * Work out which product each key adds
+ * @param {Object|null} savedHotkeys - Saved map of key to product_id, null for the defaults
+ * @param {Array} products - Sorted POS products
+ * @returns {Object} Map of key to product, without products that no longer exist
+ */
+export const resolveHotkeys = (savedHotkeys, products) => {
+  const hotkeys = savedHotkeys || assignDefaultHotkeys(products);
+
+  return Object.entries(hotkeys).reduce((resolved, [key, productId]) => {
+    const product = products.find(item => item.product_id === productId);
+    if (product) {
+      resolved[key] = product;
+    }
+    return resolved;
+  }, {});
+};
+
+/**
+ * Find the key bound to a product
+ * @param {Object} hotkeys - Map of key to product
+ * @param {number} productId - Product ID
+ * @returns {string|null} Key or null
+ */
+export const getProductHotkey = (hotkeys, productId) => {
+  const entry = Object.entries(hotkeys).find(([, product]) => product.product_id === productId);
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Bind a key to a product. The product loses its old key and the key
+ * is taken from any product that had it. An empty key unbinds the product.
+ * @param {Object} hotkeys - Map of key to product_id
+ * @param {number} productId - Product ID
+ * @param {string} key - Letter to bind, or '' to unbind
+ * @returns {Object} New map of key to product_id
+ */
+export const setProductHotkey = (hotkeys, productId, key) => {
+  const updated = Object.fromEntries(
+    Object.entries(hotkeys).filter(([, id]) => id !== productId)
+  );
+  const normalized = (key || '').toUpperCase();
+
+  if (HOTKEY_KEYS.includes(normalized)) {
+    updated[normalized] = productId;
+  }
+
+  return updated;
+};
+
+/**
+ * Read a typed multiplier such as "3" (from "3*")
+ * @param {string} buffer - Digits typed before "*"
+ * @returns {number|null} Whole quantity 1-999 or null if not a multiplier
+ */
+export const parseMultiplier = (buffer) => {
+  if (!/^\d{1,3}$/.test((buffer || '').trim())) return null;
+  const quantity = parseInt(buffer, 10);
+  return quantity >= 1 && quantity <= MAX_MULTIPLIER ? quantity : null;
+};
+
+/**
+ * Apply a keypad key to an amount being typed
+ * @param {string} value - Current text
+ * @param {string} key - Digit, '.', 'backspace' or 'clear'
+ * @param {number} decimals - Decimal places allowed
+ * @returns {string} New text
+ */
+export const applyKeypadKey = (value, key, decimals = 2) => {
+  const current = String(value ?? '');
+
+  if (key === 'clear') return '';
+  if (key === 'backspace') return current.slice(0, -1);
+
+  if (key === '.') {
+    if (decimals === 0 || current.includes('.')) return current;
+    return current === '' ? '0.' : `${current}.`;
+  }
+
+  if (!/^\d$/.test(key)) return current;
+
+  const [, fraction] = current.split('.');
+  if (fraction !== undefined && fraction.length >= decimals) return current;
+
+  // No leading zeros on whole numbers
+  return current === '0' ? key : `${current}${key}`;
+};
@@ -0,0 +1,257 @@
+/**
+ * Goods Receiving Utilities
+ * Deliveries from the central bakery and other suppliers. receive_goods
+ * records the delivery note, creates a batch with its unit cost for each
+ * line and updates the purchase order being delivered.
+ * reconcile_goods_receipt later checks the delivery against the supplier's
+ * invoice and flags short or over deliveries.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** Goods receipt statuses */
+export const GOODS_RECEIPT_STATUS = {
+  RECEIVED: 'received',
+  RECONCILED: 'reconciled',
+  DISCREPANCY: 'discrepancy'
+};
+
+/**
+ * Cost of a delivery line
+ * @param {number|string} quantity - Quantity received
+ * @param {number|string} unitCost - Cost per unit
+ * @returns {number} Line total rounded to 2 decimals (matches goods_receipt_items.line_total)
+ */
+export const calculateLineTotal = (quantity, unitCost) => {
+  return round2((parseFloat(quantity) || 0) * (parseFloat(unitCost) || 0));
+};
+
+/**
+ * Totals of a delivery's lines
+ * @param {Array} lines - [{ quantity, unit_cost }]
+ * @returns {Object} { lineCount, totalQuantity, totalCost }
+ */
+export const summarizeReceiptLines = (lines = []) => {
+  return lines.reduce((summary, line) => ({
+    lineCount: summary.lineCount + 1,
+    totalQuantity: round2(summary.totalQuantity + (parseFloat(line.quantity) || 0)),
+    totalCost: round2(summary.totalCost + calculateLineTotal(line.quantity, line.unit_cost))
+  }), { lineCount: 0, totalQuantity: 0, totalCost: 0 });
+};
+
+/**
+ * Compare a received line with what the invoice charges for it
+ * @param {Object} item - Receipt line with quantity and unit_cost
+ * @param {number|string} invoicedQuantity - Quantity on the invoice
+ * @param {number|string} invoicedUnitCost - Unit cost on the invoice
+ * @returns {Object} { quantityDifference, costDifference, valueDifference, delivery, priceMismatch }
+ *   quantityDifference is received minus invoiced; delivery is 'short', 'over' or 'match'
+ */
+export const compareInvoiceLine = (item, invoicedQuantity, invoicedUnitCost) => {
+  const quantityDifference = round2(parseFloat(item.quantity) - (parseFloat(invoicedQuantity) || 0));
+  const costDifference = round2((parseFloat(invoicedUnitCost) || 0) - parseFloat(item.unit_cost));
+  const valueDifference = round2(
+    calculateLineTotal(invoicedQuantity, invoicedUnitCost) - calculateLineTotal(item.quantity, item.unit_cost)
+  );
+
+  let delivery = 'match';
+  if (quantityDifference < 0) delivery = 'short';
+  if (quantityDifference > 0) delivery = 'over';
+
+  return { quantityDifference, costDifference, valueDifference, delivery, priceMismatch: costDifference !== 0 };
+};
+
+/**
+ * Reconcile a delivery's lines against the supplier's invoice
+ * @param {Array} items - Receipt lines with id, quantity and unit_cost
+ * @param {Object} invoiceLines - { [item id]: { invoiced_quantity, invoiced_unit_cost } }
+ * @returns {Object} { lines, receivedTotal, invoiceTotal, difference, hasDiscrepancy, complete }
+ */
+export const reconcileReceipt = (items = [], invoiceLines = {}) => {
+  const lines = items.map(item => {
+    const entry = invoiceLines[item.id] || {};
+    const entered = entry.invoiced_quantity !== '' && entry.invoiced_quantity != null
+      && entry.invoiced_unit_cost !== '' && entry.invoiced_unit_cost != null;
+
+    return {
+      ...item,
+      invoiced_quantity: entry.invoiced_quantity,
+      invoiced_unit_cost: entry.invoiced_unit_cost,
+      entered,
+      comparison: entered ? compareInvoiceLine(item, entry.invoiced_quantity, entry.invoiced_unit_cost) : null
+    };
+  });
+
+  const receivedTotal = round2(items.reduce((sum, item) => sum + calculateLineTotal(item.quantity, item.unit_cost), 0));
+  const invoiceTotal = round2(lines.reduce(
+    (sum, line) => sum + (line.entered ? calculateLineTotal(line.invoiced_quantity, line.invoiced_unit_cost) : 0),
+    0
+  ));
+
+  return {
+    lines,
+    receivedTotal,
+    invoiceTotal,
+    difference: round2(invoiceTotal - receivedTotal),
+    hasDiscrepancy: lines.some(line => line.comparison && (line.comparison.delivery !== 'match' || line.comparison.priceMismatch)),
+    complete: lines.every(line => line.entered)
+  };
+};
+
+/**
+ * Record a delivery and create a costed batch for each line
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} delivery
+ * @param {number} delivery.supplierId - Supplier
+ * @param {string} delivery.deliveryNoteNumber - Number on the supplier's delivery note
+ * @param {Array} delivery.lines - [{ product_id, quantity, unit_cost }]
+ * @param {string} delivery.receivedDate - Date the goods arrived (YYYY-MM-DD), defaults to today
+ * @param {string} delivery.notes - Optional notes
+ * @param {number} delivery.purchaseOrderId - Purchase order being delivered, if any
+ * @param {boolean} delivery.closePurchaseOrder - Close the order even if lines are still outstanding
+ * @param {string} userId - User receiving the goods
+ * @returns {Promise<Object>} { id, purchase_order_status } or error
+ */
+export const receiveGoods = async (supabaseClient, delivery, userId = null) => {
+  try {
+    const {
+      supplierId,
+      deliveryNoteNumber,
+      lines = [],
+      receivedDate = null,
+      notes = '',
+      purchaseOrderId = null,
+      closePurchaseOrder = false
+    } = delivery;
+
+    if (!supplierId) {
+      throw new Error('Select a supplier');
+    }
+    if (!deliveryNoteNumber || !deliveryNoteNumber.trim()) {
+      throw new Error('Delivery note number is required');
+    }
+
+    const items = lines
+      .filter(line => line.product_id)
+      .map(line => ({
+        product_id: parseInt(line.product_id),
+        quantity: parseFloat(line.quantity),
+        unit_cost: parseFloat(line.unit_cost)
+      }));
+
+    if (items.length === 0) {
+      throw new Error('Add at least one product to the delivery');
+    }
+    if (items.some(item => !(item.quantity > 0))) {
+      throw new Error('Quantities must be greater than 0');
+    }
+    if (items.some(item => !(item.unit_cost >= 0))) {
+      throw new Error('Enter a unit cost for every line');
+    }
+
+    const { data, error } = await supabaseClient.rpc('receive_goods', {
+      p_supplier_id: supplierId,
+      p_delivery_note_number: deliveryNoteNumber.trim(),
+      p_items: items,
+      p_received_date: receivedDate || null,
+      p_notes: notes,
+      p_received_by: userId,
+      p_purchase_order_id: purchaseOrderId || null,
+      p_close_purchase_order: !!closePurchaseOrder
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error receiving goods:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch goods receipts with their supplier and lines, newest first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} Goods receipts or error
+ */
+export const fetchGoodsReceipts = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('goods_receipts')
+      .select(`
+        *,
+        suppliers (
+          name
+        ),
+        receiver:received_by (
+          first_name,
+          last_name
+        ),
+        reconciler:reconciled_by (
+          first_name,
+          last_name
+        ),
+        goods_receipt_items (
+          id,
+          product_id,
+          product_name,
+          quantity,
+          unit_cost,
+          line_total,
+          batch_id,
+          invoiced_quantity,
+          invoiced_unit_cost
+        )
+      `)
+      .order('received_date', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching goods receipts:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Record the supplier's invoice against a delivery
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} receiptId - Goods receipt ID
+ * @param {string} invoiceNumber - Supplier invoice number
+ * @param {Object} invoiceLines - { [item id]: { invoiced_quantity, invoiced_unit_cost } }
+ * @param {string} userId - User reconciling
+ * @returns {Promise<Object>} { id, status, invoice_total } or error
+ */
+export const reconcileGoodsReceipt = async (supabaseClient, receiptId, invoiceNumber, invoiceLines, userId = null) => {
+  try {
+    if (!invoiceNumber || !invoiceNumber.trim()) {
+      throw new Error('Invoice number is required');
+    }
+
+    const items = Object.entries(invoiceLines).map(([id, line]) => ({
+      id: parseInt(id),
+      invoiced_quantity: parseFloat(line.invoiced_quantity),
+      invoiced_unit_cost: parseFloat(line.invoiced_unit_cost)
+    }));
+
+    if (items.some(item => !(item.invoiced_quantity >= 0) || !(item.invoiced_unit_cost >= 0))) {
+      throw new Error('Enter the invoiced quantity and cost for every line');
+    }
+
+    const { data, error } = await supabaseClient.rpc('reconcile_goods_receipt', {
+      p_receipt_id: receiptId,
+      p_invoice_number: invoiceNumber.trim(),
+      p_items: items,
+      p_reconciled_by: userId
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error reconciling goods receipt:', error);
+    return { data: null, error };
+  }
+};
@@ -0,0 +1,348 @@
+/**
+ * Ingredient Utilities
+ * Raw ingredient stock (flour, eggs, butter), recipes giving the ingredients
+ * used per unit of a product, and production that consumes them.
+ *
+ * Production is recorded with record_production, which creates the batch and
+ * takes the recipe's ingredients off stock in one transaction.
+ */
+
+const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+/** Units an ingredient can be counted in */
+export const INGREDIENT_UNITS = ['kg', 'g', 'l', 'ml', 'pcs'];
+
+/** Reasons for an ingredient stock change */
+export const INGREDIENT_MOVEMENT_REASONS = {
+  PRODUCTION: 'production',
+  PURCHASE: 'purchase',
+  ADJUSTMENT: 'adjustment'
+};
+
+/** Days of production used to estimate how long stock will last */
+export const USAGE_WINDOW_DAYS = 14;
+
+/**
+ * Format an ingredient quantity with its unit
+ * @param {number} quantity - Quantity
+ * @param {string} unit - Ingredient unit
+ * @returns {string} e.g. "2.5 kg"
+ */
+export const formatIngredientQuantity = (quantity, unit) => {
+  return `${roundQuantity(parseFloat(quantity) || 0)} ${unit}`;
+};
+
+/**
+ * Stock status of an ingredient against its reorder level
+ * @param {Object} ingredient - Ingredient with stock_quantity and reorder_level
+ * @returns {string} 'out' | 'low' | 'adequate'
+ */
+export const getIngredientStockStatus = (ingredient) => {
+  const stock = parseFloat(ingredient?.stock_quantity) || 0;
+  if (stock <= 0) {
+    return 'out';
+  }
+  if (stock <= (parseFloat(ingredient.reorder_level) || 0)) {
+    return 'low';
+  }
+  return 'adequate';
+};
+
+/**
+ * Ingredients needed to produce a quantity of a product
+ * @param {Array} recipe - Recipe lines [{ ingredient_id, quantity, ingredients: { name, unit } }]
+ * @param {number} quantity - Units (or kg) produced
+ * @returns {Array} [{ ingredient_id, name, unit, quantity }]
+ */
+export const calculateIngredientUsage = (recipe = [], quantity) => {
+  return recipe.map(line => ({
+    ingredient_id: line.ingredient_id,
+    name: line.ingredients?.name,
+    unit: line.ingredients?.unit,
+    quantity: roundQuantity(parseFloat(line.quantity) * parseFloat(quantity))
+  }));
+};
+
+/**
+ * Estimate how many days an ingredient will last at its recent production use
+ * @param {Object} ingredient - Ingredient with stock_quantity
+ * @param {Array} movements - The ingredient's movements ({ change, reason, created_at })
+ * @param {Date} now - Current time
+ * @returns {number|null} Days of stock left, or null if it has not been used recently
+ */
+export const calculateDaysOfCover = (ingredient, movements = [], now = new Date()) => {
+  const since = new Date(now);
+  since.setDate(since.getDate() - USAGE_WINDOW_DAYS);
+
+  const used = movements
+    .filter(movement => movement.reason === INGREDIENT_MOVEMENT_REASONS.PRODUCTION)
+    .filter(movement => new Date(movement.created_at) >= since)
+    .reduce((sum, movement) => sum - parseFloat(movement.change), 0);
+
+  if (used <= 0) {
+    return null;
+  }
+
+  const stock = Math.max(0, parseFloat(ingredient.stock_quantity) || 0);
+  return Math.floor(stock / (used / USAGE_WINDOW_DAYS));
+};
+
+/**
+ * Validate an ingredient before saving
+ * @param {Object} ingredient - { name, unit, reorder_level, cost_per_unit }
+ * @returns {Object} { isValid, errors }
+ */
+export const validateIngredient = (ingredient) => {
+  const errors = [];
+
+  if (!ingredient.name || !ingredient.name.trim()) {
+    errors.push('Name is required');
+  }
+
+  if (!INGREDIENT_UNITS.includes(ingredient.unit)) {
+    errors.push('Choose a unit');
+  }
+
+  if (!(parseFloat(ingredient.reorder_level) >= 0)) {
+    errors.push('Reorder level must be 0 or more');
+  }
+
+  if (ingredient.cost_per_unit !== '' && ingredient.cost_per_unit != null && !(parseFloat(ingredient.cost_per_unit) >= 0)) {
+    errors.push('Cost must be 0 or more');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Validate recipe lines before saving
+ * @param {Array} lines - [{ ingredient_id, quantity }]
+ * @returns {Object} { isValid, errors }
+ */
+export const validateRecipe = (lines) => {
+  const errors = [];
+  const seen = new Set();
+
+  lines.forEach(line => {
+    if (!line.ingredient_id) {
+      errors.push('Choose an ingredient for every line');
+      return;
+    }
+    if (seen.has(line.ingredient_id)) {
+      errors.push('Each ingredient can only be listed once');
+    }
+    seen.add(line.ingredient_id);
+    if (!(parseFloat(line.quantity) > 0)) {
+      errors.push('Ingredient quantities must be more than 0');
+    }
+  });
+
+  return { isValid: errors.length === 0, errors: [...new Set(errors)] };
+};
+
+/**
+ * Fetch ingredients with their recent movements
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} Ingredients by name or error
+ */
+export const fetchIngredients = async (supabaseClient) => {
+  try {
+    const since = new Date();
+    since.setDate(since.getDate() - USAGE_WINDOW_DAYS);
+
+    const { data, error } = await supabaseClient
+      .from('ingredients')
+      .select('*, ingredient_movements (change, reason, created_at)')
+      .gte('ingredient_movements.created_at', since.toISOString())
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching ingredients:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Create or update an ingredient. Stock is only set when the ingredient is
+ * created; after that it changes through purchases, adjustments and production.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} ingredient - { id?, name, unit, reorder_level, cost_per_unit, stock_quantity?, is_active }
+ * @returns {Promise<Object>} Saved ingredient or error
+ */
+export const saveIngredient = async (supabaseClient, ingredient) => {
+  try {
+    const validation = validateIngredient(ingredient);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const record = {
+      name: ingredient.name.trim(),
+      unit: ingredient.unit,
+      reorder_level: parseFloat(ingredient.reorder_level) || 0,
+      cost_per_unit: ingredient.cost_per_unit === '' || ingredient.cost_per_unit == null
+        ? null
+        : parseFloat(ingredient.cost_per_unit),
+      is_active: ingredient.is_active !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    let query;
+    if (ingredient.id) {
+      // Raising stock above a lowered reorder level ends the current shortage
+      if ((parseFloat(ingredient.stock_quantity) || 0) > record.reorder_level) {
+        record.low_stock_notified_at = null;
+      }
+      query = supabaseClient.from('ingredients').update(record).eq('id', ingredient.id);
+    } else {
+      query = supabaseClient.from('ingredients').insert({
+        ...record,
+        stock_quantity: parseFloat(ingredient.stock_quantity) || 0
+      });
+    }
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`An ingredient called "${record.name}" already exists`);
+      }
+      throw error;
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving ingredient:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Record a purchase or stock count adjustment
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} options
+ * @param {number} options.ingredientId - Ingredient ID
+ * @param {number} options.change - Quantity to add (negative to remove)
+ * @param {string} options.reason - 'purchase' or 'adjustment'
+ * @param {string} options.notes - Supplier, invoice or count notes
+ * @param {string} options.userId - User recording the change
+ * @returns {Promise<Object>} Updated ingredient or error
+ */
+export const adjustIngredientStock = async (supabaseClient, { ingredientId, change, reason, notes = '', userId = null }) => {
+  try {
+    const { data, error } = await supabaseClient.rpc('adjust_ingredient_stock', {
+      p_ingredient_id: ingredientId,
+      p_change: parseFloat(change),
+      p_reason: reason,
+      p_notes: notes,
+      p_created_by: userId
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error adjusting ingredient stock:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch a product's recipe
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} productId - Product ID
+ * @returns {Promise<Object>} Recipe lines with ingredient name and unit, or error
+ */
+export const fetchRecipe = async (supabaseClient, productId) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('product_recipes')
+      .select('id, ingredient_id, quantity, ingredients (name, unit)')
+      .eq('product_id', productId)
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Replace a product's recipe
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} productId - Product ID
+ * @param {Array} lines - [{ ingredient_id, quantity }] per unit produced
+ * @returns {Promise<Object>} Saved lines or error
+ */
+export const saveRecipe = async (supabaseClient, productId, lines) => {
+  try {
+    const validation = validateRecipe(lines);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const { error: deleteError } = await supabaseClient
+      .from('product_recipes')
+      .delete()
+      .eq('product_id', productId);
+
+    if (deleteError) throw deleteError;
+
+    if (lines.length === 0) {
+      return { data: [], error: null };
+    }
+
+    const { data, error } = await supabaseClient
+      .from('product_recipes')
+      .insert(lines.map(line => ({
+        product_id: productId,
+        ingredient_id: line.ingredient_id,
+        quantity: parseFloat(line.quantity)
+      })))
+      .select();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving recipe:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Record production: create the product's batch and consume its recipe
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} productId - Product ID
+ * @param {number} quantity - Quantity produced
+ * @param {string} dateAdded - Batch date (defaults to today)
+ * @param {string} userId - User recording the production
+ * @returns {Promise<Object>} { data: { batch, low_ingredients }, error }
+ */
+export const recordProduction = async (supabaseClient, productId, quantity, dateAdded = null, userId = null) => {
+  try {
+    if (!productId || !(parseFloat(quantity) > 0)) {
+      throw new Error('Invalid product ID or quantity');
+    }
+
+    const { data, error } = await supabaseClient.rpc('record_production', {
+      p_product_id: productId,
+      p_quantity: parseFloat(quantity),
+      p_date_added: dateAdded,
+      p_created_by: userId
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error recording production:', error);
+    return { data: null, error };
+  }
+};
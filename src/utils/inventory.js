@@ -4,7 +4,8 @@
  * Now supports batch-based inventory tracking
  */
 
-import { getBatchesByProduct, getTotalStockForProduct } from './batchTracking';
+import { getBatchesByProduct, getTotalStockForProduct, calculateBatchAge, isBatchExpired } from './batchTracking';
+import { getStockDemand, applyBundleStock } from './productBundles';
 
 /**
  * Get total stock quantity for a product from batches
@@ -33,13 +34,17 @@ export const getProductStockFromBatches = async (supabaseClient, productId) => {
 export const validateStock = async (cart, products, supabaseClient = null) => {
   const insufficientItems = [];
 
-  for (const cartItem of cart) {
-    const product = products.find(p => p.product_id === cartItem.product_id);
+  // Lines of the same product (e.g. a small and a large tea, or a tea inside
+  // a combo) share its stock; combos are checked by their components
+  const requestedByProduct = getStockDemand(cart, products);
+
+  for (const [productId, { name, requested }] of requestedByProduct) {
+    const product = products.find(p => p.product_id === productId);
     
     if (!product) {
       insufficientItems.push({
-        name: cartItem.name,
-        requested: cartItem.quantity,
+        name,
+        requested,
         available: 0
       });
       continue;
@@ -56,10 +61,10 @@ export const validateStock = async (cart, products, supabaseClient = null) => {
     }
 
     // Check if requested quantity exceeds available stock
-    if (cartItem.quantity > availableStock) {
+    if (requested > availableStock) {
       insufficientItems.push({
         name: product.name,
-        requested: cartItem.quantity,
+        requested,
         available: availableStock
       });
     }
@@ -73,13 +78,15 @@ export const validateStock = async (cart, products, supabaseClient = null) => {
 
 /**
  * Calculates how much stock to deduct for each product in the cart
+ * Combo lines are deducted from their components
  * @param {Array} cart - Array of cart items
+ * @param {Array} products - Array of all products (to expand combos)
  * @returns {Array} Array of {product_id, deductAmount}
  */
-export const calculateStockDeductions = (cart) => {
-  return cart.map(item => ({
-    product_id: item.product_id,
-    deductAmount: item.quantity
+export const calculateStockDeductions = (cart, products = []) => {
+  return Array.from(getStockDemand(cart, products), ([productId, { requested }]) => ({
+    product_id: productId,
+    deductAmount: requested
   }));
 };
 
@@ -202,23 +209,70 @@ export const getAllProductStockFromBatches = async (supabaseClient) => {
   }
 };
 
+/**
+ * Total and expired stock per product from its batches
+ * @param {Array} batches - Batches with product_id, quantity and date_added
+ * @param {Array} products - Products with optional shelf_life_days
+ * @returns {Object} { stockByProduct, expiredByProduct } maps of product_id to quantity
+ */
+export const summarizeBatchStock = (batches = [], products = []) => {
+  const stockByProduct = {};
+  const expiredByProduct = {};
+
+  batches.forEach(batch => {
+    const productId = batch.product_id;
+    const quantity = parseFloat(batch.quantity) || 0;
+    const product = products.find(p => p.product_id === productId);
+
+    stockByProduct[productId] = (stockByProduct[productId] || 0) + quantity;
+    if (isBatchExpired(calculateBatchAge(batch.date_added), product)) {
+      expiredByProduct[productId] = (expiredByProduct[productId] || 0) + quantity;
+    }
+  });
+
+  return { stockByProduct, expiredByProduct };
+};
+
+/**
+ * Products behind a cart line whose only remaining stock is past its shelf life
+ * Combos are checked by their components
+ * @param {Object} cartItem - Line being added (product_id, quantity)
+ * @param {Array} products - All products with stock_quantity and expired_quantity
+ * @returns {Array} Products that only have expired stock left
+ */
+export const getExpiredOnlyProducts = (cartItem, products = []) => {
+  return Array.from(getStockDemand([cartItem], products).keys())
+    .map(productId => products.find(p => p.product_id === productId))
+    .filter(product => product
+      && (product.stock_quantity || 0) > 0
+      && (product.expired_quantity || 0) >= product.stock_quantity);
+};
+
 /**
  * Enrich products with batch-based stock quantities
  * @param {Array} products - Array of products
  * @param {Object} supabaseClient - Supabase client instance
- * @returns {Promise<Array>} Products with updated stock_quantity from batches
+ * @returns {Promise<Array>} Products with stock_quantity and expired_quantity from batches
  */
 export const enrichProductsWithBatchStock = async (products, supabaseClient) => {
   try {
-    const stockByProduct = await getAllProductStockFromBatches(supabaseClient);
+    const { data: batches, error } = await supabaseClient
+      .from('inventory_batches')
+      .select('product_id, quantity, date_added')
+      .gt('quantity', 0);
+
+    if (error) throw error;
+
+    const { stockByProduct, expiredByProduct } = summarizeBatchStock(batches || [], products);
     
-    return products.map(product => ({
+    // Combos have no batches; their stock is what the components allow
+    return applyBundleStock(products.map(product => ({
       ...product,
-      stock_quantity: stockByProduct[product.product_id] || 0
-    }));
+      stock_quantity: stockByProduct[product.product_id] || 0,
+      expired_quantity: expiredByProduct[product.product_id] || 0
+    })));
   } catch (error) {
     console.error('Error enriching products with batch stock:', error);
     return products;
   }
 };
-
@@ -0,0 +1,291 @@
+/**
+ * Markdown Utilities
+ * Reduced prices for aged stock: rules like "day-old batches 30% off" or
+ * "after 6pm, cakes 20% off". The POS offers each qualifying batch at the
+ * best applicable markdown; create_pos_bill deducts that batch and records
+ * the markdown on the line.
+ */
+
+import { calculateBatchAge, isBatchExpired } from './batchTracking';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert 'HH:MM' or 'HH:MM:SS' to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes or null if not set
+ */
+const toMinutes = (time) => {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Marked-down unit price
+ * @param {number} price - List price
+ * @param {number} percentOff - Markdown percentage
+ * @returns {number} Price rounded to 2 decimals (matches create_pos_bill)
+ */
+export const calculateMarkdownPrice = (price, percentOff) => {
+  return round2(parseFloat(price) * (100 - parseFloat(percentOff)) / 100);
+};
+
+/**
+ * Check whether a rule applies to a batch of a product right now
+ * @param {Object} rule - Markdown rule
+ * @param {Object} product - Product with product_id and category_id
+ * @param {number} batchAge - Batch age in days
+ * @param {Date} now - Time of sale
+ * @returns {boolean} True if the batch can be sold at the rule's price
+ */
+export const markdownRuleApplies = (rule, product, batchAge, now = new Date()) => {
+  if (!rule.is_active || product.is_bundle) return false;
+  if (rule.product_id && rule.product_id !== product.product_id) return false;
+  if (rule.category_id && rule.category_id !== product.category_id) return false;
+  if (rule.min_batch_age_days != null && batchAge < rule.min_batch_age_days) return false;
+
+  const startMinutes = toMinutes(rule.start_time);
+  if (startMinutes !== null && now.getHours() * 60 + now.getMinutes() < startMinutes) return false;
+
+  return true;
+};
+
+/**
+ * Batches that can be sold at a markdown now, each at its best rule.
+ * Batches past their shelf life are never offered.
+ * @param {Array} products - POS products
+ * @param {Array} batches - Batches with id, product_id, quantity and date_added
+ * @param {Array} rules - Markdown rules
+ * @param {Date} now - Time of sale
+ * @returns {Array} [{ product, batch, rule, age, price }] oldest batches first
+ */
+export const getMarkdownOffers = (products = [], batches = [], rules = [], now = new Date()) => {
+  return batches
+    .map(batch => {
+      const product = products.find(p => p.product_id === batch.product_id);
+      if (!product || !(parseFloat(batch.quantity) > 0)) return null;
+
+      const age = calculateBatchAge(batch.date_added);
+      if (isBatchExpired(age, product)) return null;
+
+      const rule = rules
+        .filter(candidate => markdownRuleApplies(candidate, product, age, now))
+        .sort((a, b) => parseFloat(b.percent_off) - parseFloat(a.percent_off))[0];
+
+      return rule
+        ? { product, batch, rule, age, price: calculateMarkdownPrice(product.price, rule.percent_off) }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.age - a.age || a.batch.id - b.batch.id);
+};
+
+/**
+ * Cart line for a marked-down batch
+ * @param {Object} offer - getMarkdownOffers() entry
+ * @param {number} quantity - Quantity (kg for weight-based products)
+ * @returns {Object} Cart item sold from the offer's batch
+ */
+export const buildMarkdownCartItem = (offer, quantity = 1) => {
+  const { product, batch, rule, age, price } = offer;
+  const markdownLabel = `Day ${age}, -${parseFloat(rule.percent_off)}%`;
+  return {
+    ...product,
+    price,
+    list_price: product.price,
+    quantity,
+    batch_id: batch.id,
+    batch_quantity: parseFloat(batch.quantity),
+    markdown_rule_id: rule.id,
+    markdown_label: markdownLabel,
+    displayName: `${product.name} (${markdownLabel})`
+  };
+};
+
+/**
+ * Quantity of a batch already in the cart as marked-down lines
+ * @param {Array} cart - Cart items
+ * @param {number} batchId - Batch ID
+ * @returns {number} Quantity in the cart
+ */
+export const getBatchCartUsage = (cart, batchId) => {
+  return round2(cart
+    .filter(item => item.batch_id === batchId)
+    .reduce((sum, item) => sum + parseFloat(item.quantity), 0));
+};
+
+/**
+ * Compare what marked-down stock earned with what returned stock was credited
+ * @param {Array} markdownLines - Marked-down order_items with product_id, quantity, subtotal, markdown_amount and products.name
+ * @param {Array} returnItems - return_items with product_id, product_name, quantity, total_return_value
+ * @returns {Array} Per product: { product_id, name, markdownQuantity, markdownRevenue, markdownGiven, returnQuantity, returnValue, markdownPerUnit, returnPerUnit } by name
+ */
+export const summarizeMarkdownsVsReturns = (markdownLines = [], returnItems = []) => {
+  const byProduct = new Map();
+  const entryFor = (productId, name) => {
+    if (!byProduct.has(productId)) {
+      byProduct.set(productId, {
+        product_id: productId,
+        name: name || 'Unknown',
+        markdownQuantity: 0,
+        markdownRevenue: 0,
+        markdownGiven: 0,
+        returnQuantity: 0,
+        returnValue: 0
+      });
+    }
+    return byProduct.get(productId);
+  };
+
+  markdownLines.forEach(line => {
+    const entry = entryFor(line.product_id, line.products?.name);
+    entry.markdownQuantity = round2(entry.markdownQuantity + parseFloat(line.quantity));
+    entry.markdownRevenue = round2(entry.markdownRevenue + parseFloat(line.subtotal));
+    entry.markdownGiven = round2(entry.markdownGiven + (parseFloat(line.markdown_amount) || 0));
+  });
+
+  returnItems.forEach(item => {
+    const entry = entryFor(item.product_id, item.product_name);
+    entry.returnQuantity = round2(entry.returnQuantity + parseFloat(item.quantity));
+    entry.returnValue = round2(entry.returnValue + parseFloat(item.total_return_value));
+  });
+
+  return Array.from(byProduct.values())
+    .map(entry => ({
+      ...entry,
+      markdownPerUnit: entry.markdownQuantity > 0 ? round2(entry.markdownRevenue / entry.markdownQuantity) : null,
+      returnPerUnit: entry.returnQuantity > 0 ? round2(entry.returnValue / entry.returnQuantity) : null
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Describe when a rule applies
+ * @param {Object} rule - Markdown rule
+ * @returns {string} e.g. "Batches 1+ days old, after 18:00"
+ */
+export const describeMarkdownTrigger = (rule) => {
+  const parts = [];
+  if (rule.min_batch_age_days != null) {
+    parts.push(`Batches ${rule.min_batch_age_days}+ day${rule.min_batch_age_days !== 1 ? 's' : ''} old`);
+  }
+  if (rule.start_time) {
+    parts.push(`after ${rule.start_time.slice(0, 5)}`);
+  }
+  return parts.join(', ');
+};
+
+/**
+ * Fetch markdown rules
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Only rules in use
+ * @returns {Promise<Object>} Rules or error
+ */
+export const fetchMarkdownRules = async (supabaseClient, { activeOnly = false } = {}) => {
+  try {
+    let query = supabaseClient
+      .from('markdown_rules')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching markdown rules:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Create or update a markdown rule
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} rule - Rule with name, percent_off, product_id/category_id, min_batch_age_days and/or start_time
+ * @returns {Promise<Object>} Saved rule or error
+ */
+export const saveMarkdownRule = async (supabaseClient, rule) => {
+  try {
+    const percentOff = parseFloat(rule.percent_off);
+    const minAge = rule.min_batch_age_days === '' || rule.min_batch_age_days == null
+      ? null
+      : parseInt(rule.min_batch_age_days);
+
+    if (!rule.name || !rule.name.trim()) {
+      throw new Error('Markdown name is required');
+    }
+    if (!(percentOff > 0 && percentOff < 100)) {
+      throw new Error('Markdown must be between 0 and 100 percent off');
+    }
+    if (minAge === null && !rule.start_time) {
+      throw new Error('Set a minimum batch age, a start time, or both');
+    }
+    if (minAge !== null && !(minAge >= 0)) {
+      throw new Error('Minimum batch age must be 0 or more days');
+    }
+
+    const row = {
+      name: rule.name.trim(),
+      percent_off: percentOff,
+      product_id: rule.product_id ? parseInt(rule.product_id) : null,
+      category_id: rule.product_id ? null : (rule.category_id || null),
+      min_batch_age_days: minAge,
+      start_time: rule.start_time || null,
+      is_active: rule.is_active !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = rule.id
+      ? supabaseClient.from('markdown_rules').update(row).eq('id', rule.id)
+      : supabaseClient.from('markdown_rules').insert([row]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving markdown rule:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch marked-down bill lines and returned items since a date
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} since - ISO date to report from
+ * @returns {Promise<Object>} { markdownLines, returnItems } or error
+ */
+export const fetchMarkdownReport = async (supabaseClient, since) => {
+  try {
+    const [markdownResult, returnResult] = await Promise.all([
+      supabaseClient
+        .from('order_items')
+        .select('product_id, quantity, subtotal, markdown_amount, products (name), orders!inner (order_date)')
+        .not('markdown_rule_id', 'is', null)
+        .gte('orders.order_date', since),
+      supabaseClient
+        .from('return_items')
+        .select('product_id, product_name, quantity, total_return_value')
+        .gte('created_at', since)
+    ]);
+
+    if (markdownResult.error) throw markdownResult.error;
+    if (returnResult.error) throw returnResult.error;
+
+    return {
+      data: { markdownLines: markdownResult.data || [], returnItems: returnResult.data || [] },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error fetching markdown report:', error);
+    return { data: { markdownLines: [], returnItems: [] }, error };
+  }
+};
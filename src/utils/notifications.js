@@ -9,6 +9,7 @@
  * - Mark as read
  * - Delete notifications
  * - Notification types and formatting
+ * - Low ingredient stock alerts
  */
 
 import { supabaseClient } from '../config/supabase';
@@ -26,6 +27,7 @@ export const NOTIFICATION_TYPES = {
   ORDER_STATUS_CHANGED: 'order_status_changed',
   PAYMENT_VERIFIED: 'payment_verified',
   PAYMENT_REJECTED: 'payment_rejected',
+  INGREDIENT_LOW: 'ingredient_low',
 };
 
 /**
@@ -130,6 +132,33 @@ export const createStaffNotification = async (notificationData) => {
   }
 };
 
+/**
+ * Tell staff that ingredients have fallen to their reorder level
+ * @param {Array} ingredients - Ingredients ({ id, name, unit, stock_quantity, reorder_level })
+ * @returns {Promise<number>} Number of notifications created
+ */
+export const notifyLowIngredients = async (ingredients = []) => {
+  let created = 0;
+
+  for (const ingredient of ingredients) {
+    try {
+      await createStaffNotification({
+        notification_type: NOTIFICATION_TYPES.INGREDIENT_LOW,
+        title: `Low stock: ${ingredient.name}`,
+        message: `${ingredient.name} is down to ${parseFloat(ingredient.stock_quantity)} ${ingredient.unit} (reorder at ${parseFloat(ingredient.reorder_level)} ${ingredient.unit}).`,
+        related_type: 'ingredient',
+        related_id: String(ingredient.id),
+      });
+      created += 1;
+    } catch (error) {
+      // Keep going - one failed alert should not hide the others
+      console.error('[Notifications] Error creating low ingredient alert:', ingredient.name, error);
+    }
+  }
+
+  return created;
+};
+
 /**
  * Mark notification as read
  * @param {string} notificationId - Notification ID
@@ -283,6 +312,8 @@ export const getNotificationIcon = (type) => {
       return 'check';
     case NOTIFICATION_TYPES.PAYMENT_REJECTED:
       return 'x';
+    case NOTIFICATION_TYPES.INGREDIENT_LOW:
+      return 'alert-triangle';
     default:
       return 'bell';
   }
@@ -311,6 +342,8 @@ export const getNotificationColor = (type) => {
       return 'bg-green-100 text-green-600';
     case NOTIFICATION_TYPES.PAYMENT_REJECTED:
       return 'bg-red-100 text-red-600';
+    case NOTIFICATION_TYPES.INGREDIENT_LOW:
+      return 'bg-orange-100 text-orange-600';
     default:
       return 'bg-gray-100 text-gray-600';
   }
@@ -375,3 +408,18 @@ export const getNotificationPath = (notification) => {
   }
 };
 
+/**
+ * Get the staff app view a notification opens
+ * The staff app switches views in state rather than by URL
+ * @param {Object} notification - Notification object
+ * @returns {string|null} View name for setCurrentView, or null when it has none
+ */
+export const getNotificationView = (notification) => {
+  switch (notification.related_type) {
+    case 'ingredient':
+      return 'ingredients';
+    default:
+      return null;
+  }
+};
+
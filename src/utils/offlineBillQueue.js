@@ -0,0 +1,307 @@
+/**
+ * Offline Bill Queue Utilities
+ * Captures POS bills in IndexedDB while the shop is offline and syncs them
+ * to the database, in capture order, once connectivity returns
+ */
+
+import { createPosBill, createClientBillId } from './posBilling';
+import { getStockDemand, applyBundleStock } from './productBundles';
+
+const DB_NAME = 'ayubo-pos';
+const DB_VERSION = 1;
+const BILL_STORE = 'pendingBills';
+const PRODUCT_CACHE_KEY = 'ayubo_pos_product_cache';
+
+/**
+ * Status values for queued bills
+ * pending  - waiting to be synced
+ * conflict - rejected by the server (e.g. stock already gone), needs review
+ */
+export const QUEUED_BILL_STATUS = {
+  PENDING: 'pending',
+  CONFLICT: 'conflict'
+};
+
+/**
+ * Open (and upgrade if needed) the POS IndexedDB database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+const openDatabase = () => {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(BILL_STORE)) {
+        db.createObjectStore(BILL_STORE, { keyPath: 'local_id', autoIncrement: true });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Run a single request against the bill store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+const withBillStore = async (mode, operation) => {
+  const db = await openDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(BILL_STORE, mode);
+      const request = operation(transaction.objectStore(BILL_STORE));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Check whether an error was caused by lost connectivity rather than
+ * being rejected by the database
+ * @param {Object} error - Error returned by Supabase or fetch
+ * @returns {boolean} True if the bill should stay queued and be retried later
+ */
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true;
+  }
+
+  if (!error) {
+    return false;
+  }
+
+  const message = `${error.message || ''} ${error.details || ''}`;
+  return /failed to fetch|networkerror|network request failed|load failed|fetch failed/i.test(message);
+};
+
+/**
+ * Add a bill to the offline queue
+ * @param {Array} cart - Cart items at the time of sale
+ * @param {Object} meta - Extra data stored with the bill (e.g. total, payments, pricing, user,
+ *   and the clientBillId of an online attempt that may have reached the server)
+ * @returns {Promise<Object>} Queued bill or error
+ */
+export const enqueueBill = async (cart, meta = {}) => {
+  try {
+    if (!Array.isArray(cart) || cart.length === 0) {
+      throw new Error('Cart is empty');
+    }
+
+    const bill = {
+      ...meta,
+      // Syncing sends it with the bill, so a bill is only created once however often it is sent
+      clientBillId: meta.clientBillId || createClientBillId(),
+      cart,
+      captured_at: new Date().toISOString(),
+      status: QUEUED_BILL_STATUS.PENDING,
+      error_message: null
+    };
+
+    const localId = await withBillStore('readwrite', store => store.add(bill));
+    return { data: { ...bill, local_id: localId }, error: null };
+  } catch (error) {
+    console.error('Error queuing offline bill:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Get all queued bills, oldest first
+ * @returns {Promise<Array>} Queued bills
+ */
+export const getQueuedBills = async () => {
+  try {
+    const bills = await withBillStore('readonly', store => store.getAll());
+    return sortQueuedBills(bills || []);
+  } catch (error) {
+    console.error('Error reading offline bills:', error);
+    return [];
+  }
+};
+
+/**
+ * Update a queued bill
+ * @param {Object} bill - Bill with local_id
+ * @returns {Promise<boolean>} Success status
+ */
+export const updateQueuedBill = async (bill) => {
+  try {
+    await withBillStore('readwrite', store => store.put(bill));
+    return true;
+  } catch (error) {
+    console.error('Error updating offline bill:', error);
+    return false;
+  }
+};
+
+/**
+ * Remove a bill from the queue (after sync or when discarded)
+ * @param {number} localId - Local queue ID
+ * @returns {Promise<boolean>} Success status
+ */
+export const removeQueuedBill = async (localId) => {
+  try {
+    await withBillStore('readwrite', store => store.delete(localId));
+    return true;
+  } catch (error) {
+    console.error('Error removing offline bill:', error);
+    return false;
+  }
+};
+
+/**
+ * Sort queued bills in capture order
+ * @param {Array} bills - Queued bills
+ * @returns {Array} Bills sorted oldest first
+ */
+export const sortQueuedBills = (bills) => {
+  return [...bills].sort((a, b) => {
+    const diff = new Date(a.captured_at) - new Date(b.captured_at);
+    return diff !== 0 ? diff : (a.local_id || 0) - (b.local_id || 0);
+  });
+};
+
+/**
+ * Push pending bills to the database in capture order
+ * Stops at the first connectivity failure so ordering is preserved;
+ * bills rejected by the database are marked as conflicts and skipped
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Array} bills - Queued bills
+ * @returns {Promise<Object>} { synced: Array, conflicts: Array, offline: boolean }
+ */
+export const processSyncQueue = async (supabaseClient, bills) => {
+  const synced = [];
+  const conflicts = [];
+  let offline = false;
+
+  const pending = sortQueuedBills(bills).filter(bill => bill.status === QUEUED_BILL_STATUS.PENDING);
+
+  for (const bill of pending) {
+    const { data, error } = await createPosBill(supabaseClient, bill.cart, {
+      orderDate: bill.captured_at,
+      payments: bill.payments,
+      pricing: bill.pricing,
+      userId: bill.userId,
+      clientBillId: bill.clientBillId
+    });
+
+    if (error) {
+      if (isNetworkError(error)) {
+        offline = true;
+        break;
+      }
+
+      conflicts.push({
+        ...bill,
+        status: QUEUED_BILL_STATUS.CONFLICT,
+        error_message: error.message || 'Bill was rejected by the server'
+      });
+      continue;
+    }
+
+    synced.push({ ...bill, order: data });
+  }
+
+  return { synced, conflicts, offline };
+};
+
+/**
+ * Sync all pending bills from IndexedDB
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} { synced: Array, conflicts: Array, offline: boolean }
+ */
+export const syncQueuedBills = async (supabaseClient) => {
+  const bills = await getQueuedBills();
+  const result = await processSyncQueue(supabaseClient, bills);
+
+  await Promise.all(result.synced.map(bill => removeQueuedBill(bill.local_id)));
+  await Promise.all(result.conflicts.map(bill => updateQueuedBill(bill)));
+
+  if (result.synced.length > 0 || result.conflicts.length > 0) {
+    console.log(`[Offline Sync] Synced ${result.synced.length} bill(s), ${result.conflicts.length} conflict(s)`);
+  }
+
+  return result;
+};
+
+/**
+ * Put a conflicted bill back in the queue for another attempt
+ * @param {Object} bill - Conflicted bill
+ * @param {Array} cart - Optionally adjusted cart (e.g. reduced quantities)
+ * @returns {Promise<boolean>} Success status
+ */
+export const requeueBill = async (bill, cart = null) => {
+  return updateQueuedBill({
+    ...bill,
+    cart: cart || bill.cart,
+    status: QUEUED_BILL_STATUS.PENDING,
+    error_message: null
+  });
+};
+
+/**
+ * Cache the last known product list (with batch stock) for offline billing
+ * @param {Array} products - Products with stock_quantity
+ */
+export const cacheProducts = (products) => {
+  try {
+    localStorage.setItem(PRODUCT_CACHE_KEY, JSON.stringify({
+      cached_at: new Date().toISOString(),
+      products
+    }));
+  } catch (error) {
+    console.error('Error caching products:', error);
+  }
+};
+
+/**
+ * Get the cached product list
+ * @returns {Array} Cached products (empty if none)
+ */
+export const getCachedProducts = () => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(PRODUCT_CACHE_KEY));
+    return cached?.products || [];
+  } catch (error) {
+    console.error('Error reading cached products:', error);
+    return [];
+  }
+};
+
+/**
+ * Reduce the locally known stock after an offline sale so the cashier
+ * cannot sell more than the last known batch stock
+ * @param {Array} products - Products with stock_quantity
+ * @param {Array} cart - Sold cart items
+ * @returns {Array} Products with adjusted stock_quantity
+ */
+export const applyLocalStockDeduction = (products, cart) => {
+  // Combos are deducted from their components and recalculated afterwards
+  const demand = getStockDemand(cart, products);
+
+  return applyBundleStock(products.map(product => {
+    const sold = demand.get(product.product_id)?.requested;
+    if (!sold) {
+      return product;
+    }
+    return {
+      ...product,
+      stock_quantity: Math.max(0, (parseFloat(product.stock_quantity) || 0) - sold)
+    };
+  }));
+};
@@ -0,0 +1,116 @@
+/**
+ * Parked Bill Utilities
+ * Lets the cashier park the current cart under a label, serve the next
+ * customer and recall the parked cart later. Parked carts are kept in
+ * localStorage so they survive a page refresh.
+ */
+
+const PARKED_BILLS_KEY = 'ayubo_pos_parked_bills';
+
+/**
+ * Get all parked bills, oldest first
+ * @returns {Array} Parked bills ({id, label, cart, parked_at, parked_by})
+ */
+export const getParkedBills = () => {
+  try {
+    const parked = JSON.parse(localStorage.getItem(PARKED_BILLS_KEY));
+    return Array.isArray(parked) ? parked : [];
+  } catch (error) {
+    console.error('Error reading parked bills:', error);
+    return [];
+  }
+};
+
+/**
+ * Persist the full list of parked bills
+ * @param {Array} parkedBills - Parked bills
+ * @returns {boolean} Success status
+ */
+const saveParkedBills = (parkedBills) => {
+  try {
+    localStorage.setItem(PARKED_BILLS_KEY, JSON.stringify(parkedBills));
+    return true;
+  } catch (error) {
+    console.error('Error saving parked bills:', error);
+    return false;
+  }
+};
+
+/**
+ * Default label for an unlabelled bill: "Bill N" with the first number from
+ * the count of parked bills that no parked bill is already labelled with
+ * @param {Array} parkedBills - Parked bills
+ * @returns {string} e.g. "Bill 3"
+ */
+const getDefaultLabel = (parkedBills) => {
+  const labels = new Set(parkedBills.map(bill => bill.label));
+  let number = parkedBills.length + 1;
+  while (labels.has(`Bill ${number}`)) {
+    number += 1;
+  }
+  return `Bill ${number}`;
+};
+
+/**
+ * Park a cart under a label
+ * @param {Array} cart - Cart items to park
+ * @param {string} label - Label shown to the cashier (e.g. "table 3")
+ * @param {Object} meta - Optional metadata ({parkedBy})
+ * @returns {Object} { data: parked bill, error }
+ */
+export const parkBill = (cart, label, { parkedBy = null } = {}) => {
+  if (!Array.isArray(cart) || cart.length === 0) {
+    return { data: null, error: new Error('Cannot park an empty cart') };
+  }
+
+  const parkedBills = getParkedBills();
+  const trimmedLabel = (label || '').trim() || getDefaultLabel(parkedBills);
+
+  const parkedBill = {
+    id: `parked-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    label: trimmedLabel,
+    cart,
+    parked_at: new Date().toISOString(),
+    parked_by: parkedBy
+  };
+
+  if (!saveParkedBills([...parkedBills, parkedBill])) {
+    return { data: null, error: new Error('Could not save the parked bill on this device') };
+  }
+  return { data: parkedBill, error: null };
+};
+
+/**
+ * Remove a parked bill
+ * @param {string} id - Parked bill ID
+ * @returns {Array} Remaining parked bills
+ */
+export const removeParkedBill = (id) => {
+  const remaining = getParkedBills().filter(bill => bill.id !== id);
+  saveParkedBills(remaining);
+  return remaining;
+};
+
+/**
+ * Take a parked bill out of the parked list
+ * @param {string} id - Parked bill ID
+ * @returns {Object|null} The recalled bill, or null if it no longer exists
+ */
+export const recallParkedBill = (id) => {
+  const parkedBill = getParkedBills().find(bill => bill.id === id);
+  if (!parkedBill) {
+    return null;
+  }
+
+  removeParkedBill(id);
+  return parkedBill;
+};
+
+/**
+ * Total value of a parked cart
+ * @param {Array} cart - Cart items
+ * @returns {number} Cart total
+ */
+export const getParkedBillTotal = (cart) => {
+  return (cart || []).reduce((sum, item) => sum + (item.price * item.quantity), 0);
+};
@@ -0,0 +1,144 @@
+/**
+ * POS Billing Utilities
+ * Builds bill payloads from the cashier cart and commits them atomically
+ * through the create_pos_bill() stored function
+ */
+
+/**
+ * Convert cart items into the line format expected by create_pos_bill()
+ * @param {Array} cart - Cart items with {product_id, quantity, price}
+ * @param {Object} pricing - applyPromotions() / applyTaxes() result for the same cart (optional)
+ * @returns {Array} Array of {product_id, quantity, unit_price} plus variant, modifiers, markdown batch, discount, tax and service charge amounts where set
+ */
+export const buildBillItems = (cart, pricing = null) => {
+  if (!Array.isArray(cart)) {
+    return [];
+  }
+
+  return cart.map((item, index) => {
+    const line = {
+      product_id: item.product_id,
+      quantity: parseFloat(item.quantity),
+      unit_price: parseFloat(item.price)
+    };
+
+    if (item.variant_id) {
+      line.variant_id = item.variant_id;
+    }
+    if (item.modifiers?.length > 0) {
+      line.modifier_ids = item.modifiers.map(modifier => modifier.id);
+    }
+    if (item.batch_id) {
+      // Marked-down line: sold from this batch at the rule's price
+      line.batch_id = item.batch_id;
+      line.markdown_rule_id = item.markdown_rule_id;
+    }
+
+    const priced = pricing?.lines?.[index];
+    if (priced?.discount > 0) {
+      line.discount_amount = priced.discount;
+    }
+    if (priced?.tax_amount > 0) {
+      line.tax_amount = priced.tax_amount;
+      line.exclusive_tax_amount = priced.exclusive_tax_amount || 0;
+    }
+    if (priced?.service_charge_amount > 0) {
+      line.service_charge_amount = priced.service_charge_amount;
+    }
+
+    return line;
+  });
+};
+
+/**
+ * Calculate the bill total for a cart
+ * @param {Array} cart - Cart items with {quantity, price}
+ * @returns {number} Total rounded to 2 decimals
+ */
+export const calculateBillTotal = (cart) => {
+  if (!Array.isArray(cart) || cart.length === 0) {
+    return 0;
+  }
+
+  const total = cart.reduce((sum, item) => {
+    return sum + (parseFloat(item.price) * parseFloat(item.quantity));
+  }, 0);
+
+  return Math.round(total * 100) / 100;
+};
+
+/**
+ * Generate the ID a bill carries from the till to the database, so a bill
+ * sent twice (e.g. its response was lost) is only created once
+ * @returns {string} UUID v4
+ */
+export const createClientBillId = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  // randomUUID is only available on secure (https) pages
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Commit a POS bill in a single database transaction
+ * Validates stock, inserts the order and its items, and deducts batches FIFO
+ * (marked-down lines from their own batch)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Array} cart - Cart items
+ * @param {Object} options - Bill options
+ * @param {string} options.orderDate - ISO timestamp of the sale (defaults to now, used when syncing offline bills)
+ * @param {Array} options.payments - Tender lines from buildPaymentLines() (defaults to exact cash)
+ * @param {Object} options.pricing - applyTaxes() result for the cart (line discounts, taxes and their breakdown)
+ * @param {string} options.userId - Cashier recorded against the bill's stock movements
+ * @param {string} options.clientBillId - createClientBillId() from when the bill was captured; a bill already created with it is returned instead
+ * @returns {Promise<Object>} Created bill (order with order_items, pos_bill_payments, applied_discounts and bill_taxes) or error
+ */
+export const createPosBill = async (supabaseClient, cart, { orderDate = null, payments = null, pricing = null, userId = null, clientBillId = null } = {}) => {
+  try {
+    const items = buildBillItems(cart, pricing);
+
+    if (items.length === 0) {
+      throw new Error('Cart is empty');
+    }
+
+    const invalidItem = items.find(item => !item.product_id || !(item.quantity > 0));
+    if (invalidItem) {
+      throw new Error('Invalid product ID or quantity in cart');
+    }
+
+    const params = { p_items: items };
+    if (orderDate) {
+      params.p_order_date = orderDate;
+    }
+    if (payments && payments.length > 0) {
+      params.p_payments = payments;
+    }
+    if (pricing?.applied?.length > 0) {
+      params.p_discounts = pricing.applied;
+    }
+    if (pricing?.taxes?.length > 0) {
+      params.p_taxes = pricing.taxes;
+    }
+    if (userId) {
+      params.p_created_by = userId;
+    }
+    if (clientBillId) {
+      params.p_client_bill_id = clientBillId;
+    }
+
+    const { data, error } = await supabaseClient.rpc('create_pos_bill', params);
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error creating POS bill:', error);
+    return { data: null, error };
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * POS Payment Utilities
+ * Splits a POS bill across cash, card, bank transfer and QR tenders.
+ * Change is only ever given on cash.
+ */
+
+/**
+ * Tender methods accepted at the POS
+ */
+export const TENDER_METHODS = {
+  CASH: 'cash',
+  CARD: 'card',
+  BANK_TRANSFER: 'bank_transfer',
+  QR: 'qr'
+};
+
+/**
+ * Display names for tender methods
+ */
+export const TENDER_METHOD_LABELS = {
+  [TENDER_METHODS.CASH]: 'Cash',
+  [TENDER_METHODS.CARD]: 'Card',
+  [TENDER_METHODS.BANK_TRANSFER]: 'Bank Transfer',
+  [TENDER_METHODS.QR]: 'QR'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const parseAmount = (value) => {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount : 0;
+};
+
+/**
+ * Work out how a bill is settled by the entered tenders
+ * Non-cash tenders are applied first; cash covers the rest and any excess is change.
+ * @param {number} total - Bill total
+ * @param {Object} tenders - Map of method to entered amount (e.g. { cash: '500', card: '200' })
+ * @returns {Object} { cashTendered, cashApplied, nonCashTotal, paidTotal, remaining, change }
+ */
+export const calculatePaymentSummary = (total, tenders = {}) => {
+  const billTotal = parseAmount(total);
+  const cashTendered = parseAmount(tenders[TENDER_METHODS.CASH]);
+  const nonCashTotal = roundAmount(
+    Object.entries(tenders)
+      .filter(([method]) => method !== TENDER_METHODS.CASH)
+      .reduce((sum, [, amount]) => sum + parseAmount(amount), 0)
+  );
+
+  const dueInCash = Math.max(0, roundAmount(billTotal - nonCashTotal));
+  const cashApplied = roundAmount(Math.min(cashTendered, dueInCash));
+
+  return {
+    cashTendered: roundAmount(cashTendered),
+    cashApplied,
+    nonCashTotal,
+    paidTotal: roundAmount(nonCashTotal + cashApplied),
+    remaining: Math.max(0, roundAmount(billTotal - nonCashTotal - cashApplied)),
+    change: roundAmount(cashTendered - cashApplied)
+  };
+};
+
+/**
+ * Check whether no tender has been entered (the bill is then paid in exact cash)
+ * @param {Object} tenders - Map of method to entered amount
+ * @returns {boolean} True when every tender is empty or zero
+ */
+export const hasNoTenders = (tenders = {}) => {
+  return Object.values(tenders).every(amount => parseAmount(amount) === 0);
+};
+
+/**
+ * Validate tenders against the bill total
+ * @param {number} total - Bill total
+ * @param {Object} tenders - Map of method to entered amount
+ * @returns {Object} { isValid: boolean, errors: Array }
+ */
+export const validatePayments = (total, tenders = {}) => {
+  const errors = [];
+
+  Object.entries(tenders).forEach(([method, amount]) => {
+    if (!Object.values(TENDER_METHODS).includes(method)) {
+      errors.push(`Unknown payment method: ${method}`);
+    } else if (parseAmount(amount) < 0) {
+      errors.push(`${TENDER_METHOD_LABELS[method]} amount cannot be negative`);
+    }
+  });
+
+  if (errors.length === 0 && !hasNoTenders(tenders)) {
+    const summary = calculatePaymentSummary(total, tenders);
+
+    if (summary.nonCashTotal > parseAmount(total)) {
+      errors.push('Card, transfer and QR payments cannot exceed the bill total (change is only given on cash)');
+    } else if (summary.remaining > 0) {
+      errors.push(`Rs. ${summary.remaining.toFixed(2)} still due`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Convert tenders into the payment lines expected by create_pos_bill()
+ * With no tenders entered the bill is treated as paid in exact cash.
+ * @param {number} total - Bill total
+ * @param {Object} tenders - Map of method to entered amount
+ * @param {Object} references - Optional map of method to slip/transfer reference
+ * @returns {Array} Array of {method, amount, tendered, reference}
+ */
+export const buildPaymentLines = (total, tenders = {}, references = {}) => {
+  const billTotal = roundAmount(parseAmount(total));
+
+  if (hasNoTenders(tenders)) {
+    return [{ method: TENDER_METHODS.CASH, amount: billTotal, tendered: billTotal, reference: null }];
+  }
+
+  const summary = calculatePaymentSummary(billTotal, tenders);
+  const lines = Object.values(TENDER_METHODS)
+    .filter(method => method !== TENDER_METHODS.CASH && parseAmount(tenders[method]) > 0)
+    .map(method => {
+      const amount = roundAmount(parseAmount(tenders[method]));
+      return { method, amount, tendered: amount, reference: references[method] || null };
+    });
+
+  if (summary.cashApplied > 0) {
+    lines.unshift({
+      method: TENDER_METHODS.CASH,
+      amount: summary.cashApplied,
+      tendered: summary.cashTendered,
+      reference: null
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Total takings per tender method across bills
+ * @param {Array} bills - Orders with pos_bill_payments
+ * @returns {Array} Array of {method, label, amount, count} sorted by amount
+ */
+export const summarizePaymentsByMethod = (bills = []) => {
+  const totals = {};
+
+  bills.forEach(bill => {
+    (bill.pos_bill_payments || []).forEach(payment => {
+      if (!totals[payment.method]) {
+        totals[payment.method] = { amount: 0, count: 0 };
+      }
+      totals[payment.method].amount += parseAmount(payment.amount);
+      totals[payment.method].count += 1;
+    });
+  });
+
+  return Object.entries(totals)
+    .map(([method, data]) => ({
+      method,
+      label: TENDER_METHOD_LABELS[method] || method,
+      amount: roundAmount(data.amount),
+      count: data.count
+    }))
+    .sort((a, b) => b.amount - a.amount);
+};
@@ -0,0 +1,52 @@
+/**
+ * Printing Utilities
+ * Prints generated HTML documents (reports, receipts) through a hidden iframe
+ * so the POS screen itself is never replaced or navigated away from
+ */
+
+/**
+ * Escape text for safe inclusion in generated HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Print an HTML document using the browser print dialog
+ * @param {string} html - Complete HTML document
+ * @returns {boolean} True if the print dialog was triggered
+ */
+export const printHtmlDocument = (html) => {
+  try {
+    const iframe = document.createElement('iframe');
+    iframe.style.position = 'fixed';
+    iframe.style.right = '0';
+    iframe.style.bottom = '0';
+    iframe.style.width = '0';
+    iframe.style.height = '0';
+    iframe.style.border = '0';
+    document.body.appendChild(iframe);
+
+    const doc = iframe.contentWindow.document;
+    doc.open();
+    doc.write(html);
+    doc.close();
+
+    iframe.contentWindow.focus();
+    iframe.contentWindow.print();
+
+    // Give the print dialog time to read the document before removing it
+    setTimeout(() => iframe.remove(), 1000);
+    return true;
+  } catch (error) {
+    console.error('Error printing document:', error);
+    return false;
+  }
+};
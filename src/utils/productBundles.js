@@ -0,0 +1,235 @@
+/**
+ * Product Bundle Utilities
+ * Combo products ("tea + bun", party packs) are sold at their own price but
+ * hold no stock of their own. Selling one uses its components' stock
+ * (deducted FIFO by create_pos_bill) and its revenue is split across the
+ * components by their list price.
+ */
+
+import { getStockUnits } from './productVariants';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/** Columns to select with products so combos can be expanded */
+export const PRODUCT_BUNDLE_SELECT = `
+  is_bundle,
+  product_bundle_items!fk_bundle_items_bundle (component_product_id, quantity)
+`;
+
+/**
+ * Get a combo's components
+ * @param {Object} product - Product with product_bundle_items
+ * @returns {Array} [{ product_id, quantity }] (empty for normal products)
+ */
+export const getBundleComponents = (product) => {
+  if (!product?.is_bundle) return [];
+  return (product.product_bundle_items || []).map(item => ({
+    product_id: item.component_product_id,
+    quantity: parseFloat(item.quantity)
+  }));
+};
+
+/**
+ * Stock needed per stocked product by cart lines. Variant lines use
+ * quantity x stock_units and combos are expanded into their components.
+ * @param {Array} cart - Cart items (or bill lines) with product_id and quantity
+ * @param {Array} products - All products, used to look up combo components
+ * @returns {Map} product_id to { name, requested }
+ */
+export const getStockDemand = (cart, products = []) => {
+  const demand = new Map();
+  const addDemand = (productId, name, quantity) => {
+    const previous = demand.get(productId);
+    demand.set(productId, {
+      name: previous?.name || name,
+      requested: roundAmount((previous?.requested || 0) + quantity)
+    });
+  };
+
+  cart.forEach(item => {
+    const quantity = parseFloat(item.quantity) * getStockUnits(item);
+    const product = products.find(p => p.product_id === item.product_id);
+    const components = getBundleComponents(product);
+
+    if (components.length === 0) {
+      addDemand(item.product_id, item.name, quantity);
+      return;
+    }
+
+    components.forEach(component => {
+      const componentProduct = products.find(p => p.product_id === component.product_id);
+      addDemand(component.product_id, componentProduct?.name || item.name, quantity * component.quantity);
+    });
+  });
+
+  return demand;
+};
+
+/**
+ * How many of a combo can be made from the components' stock
+ * @param {Object} bundle - Combo product
+ * @param {Array} products - All products with stock_quantity
+ * @returns {number} Whole combos available (0 if a component is missing)
+ */
+export const getBundleStock = (bundle, products) => {
+  const components = getBundleComponents(bundle);
+  if (components.length === 0) return 0;
+
+  return Math.min(...components.map(component => {
+    const product = products.find(p => p.product_id === component.product_id);
+    const stock = parseFloat(product?.stock_quantity) || 0;
+    // Round first so 0.1 + 0.2 style float errors don't lose a whole combo
+    return Math.floor(roundAmount(stock / component.quantity));
+  }));
+};
+
+/**
+ * Set each combo's stock_quantity to what its components allow
+ * @param {Array} products - All products with stock_quantity
+ * @returns {Array} Products with combo stock filled in
+ */
+export const applyBundleStock = (products) => {
+  return products.map(product => (
+    product.is_bundle
+      ? { ...product, stock_quantity: getBundleStock(product, products) }
+      : product
+  ));
+};
+
+/**
+ * Split a combo line's revenue across its components by list price.
+ * The last component takes the rounding difference so the shares add up.
+ * Mirrors the split create_pos_bill stores in order_item_components.
+ * @param {Array} components - [{ product_id, quantity, price }]
+ * @param {number} revenue - Line revenue
+ * @returns {Array} [{ product_id, quantity, revenue }]
+ */
+export const splitBundleRevenue = (components, revenue) => {
+  if (components.length === 0) return [];
+
+  const weights = components.map(component => (parseFloat(component.price) || 0) * component.quantity);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+
+  return components.map((component, index) => {
+    const share = index === components.length - 1
+      ? roundAmount(revenue - allocated)
+      : roundAmount(totalWeight > 0 ? revenue * weights[index] / totalWeight : revenue / components.length);
+    allocated = roundAmount(allocated + share);
+    return { product_id: component.product_id, quantity: component.quantity, revenue: share };
+  });
+};
+
+/**
+ * Replace sold combo lines with their components for item-wise sales.
+ * Components are listed under a variant named after the combo, and refunds
+ * of a combo line are split the same way as the sale.
+ * @param {Array} bills - Orders with order_items (order_item_components, products.name)
+ * @param {Array} refunds - Refunds with pos_refund_items (order_item_id)
+ * @returns {Object} { bills, refunds } with combo lines expanded
+ */
+export const expandBundleSales = (bills = [], refunds = []) => {
+  const bundleLines = {};
+
+  const expandedBills = bills.map(order => ({
+    ...order,
+    order_items: (order.order_items || []).flatMap(item => {
+      const components = item.order_item_components || [];
+      if (components.length === 0) return [item];
+
+      bundleLines[item.order_item_id] = item;
+      return components.map(component => ({
+        order_item_id: `${item.order_item_id}:${component.product_id}`,
+        product_id: component.product_id,
+        quantity: component.quantity,
+        subtotal: component.revenue,
+        variant_name: item.products?.name || 'Combo',
+        products: component.products
+      }));
+    })
+  }));
+
+  const expandedRefunds = refunds.map(refund => ({
+    ...refund,
+    pos_refund_items: (refund.pos_refund_items || []).flatMap(refundItem => {
+      const line = bundleLines[refundItem.order_item_id];
+      if (!line) return [refundItem];
+
+      const portion = parseFloat(refundItem.quantity) / parseFloat(line.quantity);
+      const components = line.order_item_components;
+      // Refunds are split in the same proportions as the sale
+      return splitBundleRevenue(
+        components.map(component => ({ product_id: component.product_id, quantity: 1, price: component.revenue })),
+        parseFloat(refundItem.amount)
+      ).map((share, index) => ({
+        order_item_id: `${line.order_item_id}:${share.product_id}`,
+        product_id: share.product_id,
+        quantity: roundAmount(parseFloat(components[index].quantity) * portion),
+        amount: share.revenue,
+        products: components[index].products
+      }));
+    })
+  }));
+
+  return { bills: expandedBills, refunds: expandedRefunds };
+};
+
+/**
+ * Validate a combo's components before saving
+ * @param {Object} bundle - Combo product
+ * @param {Array} components - [{ product_id, quantity }]
+ * @param {Array} products - All products
+ * @returns {Object} { isValid, errors }
+ */
+export const validateBundleComponents = (bundle, components, products) => {
+  const errors = [];
+  const seen = new Set();
+
+  components.forEach(component => {
+    const product = products.find(p => p.product_id === component.product_id);
+    if (!product) {
+      errors.push('Choose a product for every component');
+      return;
+    }
+    if (product.product_id === bundle.product_id) {
+      errors.push('A combo cannot contain itself');
+    } else if (product.is_bundle) {
+      errors.push(`${product.name} is a combo and cannot be part of another combo`);
+    }
+    if (seen.has(product.product_id)) {
+      errors.push(`${product.name} is listed more than once`);
+    }
+    seen.add(product.product_id);
+    if (!(parseFloat(component.quantity) > 0)) {
+      errors.push(`Quantity for ${product.name} must be more than 0`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Replace a combo's components. An empty list makes it a normal product again.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} bundleId - Combo product ID
+ * @param {Array} components - [{ product_id, quantity }]
+ * @returns {Promise<Object>} Saved components or error
+ */
+export const saveBundleComponents = async (supabaseClient, bundleId, components) => {
+  try {
+    const { data, error } = await supabaseClient.rpc('set_bundle_components', {
+      p_bundle_id: bundleId,
+      p_components: components.map(component => ({
+        product_id: component.product_id,
+        quantity: parseFloat(component.quantity)
+      }))
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving combo components:', error);
+    return { data: null, error };
+  }
+};
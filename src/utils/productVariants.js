@@ -0,0 +1,322 @@
+/**
+ * Product Variant Utilities
+ * Sizes/options (Tea: normal/ginger/large, cakes: slice/half/whole) with
+ * their own price on one POS product, plus add-on modifiers (extra cheese,
+ * no sugar) that may add to the price.
+ *
+ * A variant can use more or less than one unit of the product's stock
+ * (stock_units), e.g. a quarter cake uses 0.25 of a whole cake.
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const byDisplayOrder = (a, b) => (a.sort_order || 0) - (b.sort_order || 0) || a.id - b.id;
+
+/** Columns to select with products so the POS can show the picker */
+export const PRODUCT_OPTIONS_SELECT = `
+  product_variants (id, name, price, stock_units, sort_order, is_active),
+  product_modifiers (id, name, price, sort_order, is_active)
+`;
+
+/**
+ * Get the variants the POS can sell, in display order
+ * @param {Object} product - Product with product_variants
+ * @returns {Array} Active variants
+ */
+export const getActiveVariants = (product) => {
+  return (product?.product_variants || []).filter(variant => variant.is_active !== false).sort(byDisplayOrder);
+};
+
+/**
+ * Get the modifiers the POS can add, in display order
+ * @param {Object} product - Product with product_modifiers
+ * @returns {Array} Active modifiers
+ */
+export const getActiveModifiers = (product) => {
+  return (product?.product_modifiers || []).filter(modifier => modifier.is_active !== false).sort(byDisplayOrder);
+};
+
+/**
+ * Whether tapping the product should open the variant/modifier picker.
+ * Weight-based products are priced by weight and never have options.
+ * @param {Object} product - Product
+ * @returns {boolean} True if the product has options to pick
+ */
+export const hasProductOptions = (product) => {
+  if (!product || product.is_weight_based) return false;
+  return getActiveVariants(product).length > 0 || getActiveModifiers(product).length > 0;
+};
+
+/**
+ * Stock of the product used by one unit of a cart line
+ * @param {Object} item - Cart item or bill line
+ * @returns {number} Stock units (1 for plain products)
+ */
+export const getStockUnits = (item) => parseFloat(item?.stock_units) || 1;
+
+/**
+ * Build a cart line for a product with the chosen variant and modifiers
+ * @param {Object} product - Product
+ * @param {Object|null} variant - Chosen variant
+ * @param {Array} modifiers - Chosen modifiers
+ * @param {number} quantity - Quantity
+ * @returns {Object} Cart item priced at the variant price plus modifiers
+ */
+export const buildVariantCartItem = (product, variant = null, modifiers = [], quantity = 1) => {
+  const basePrice = variant ? parseFloat(variant.price) : parseFloat(product.price);
+  const modifierLines = modifiers.map(modifier => ({
+    id: modifier.id,
+    name: modifier.name,
+    price: parseFloat(modifier.price) || 0
+  }));
+  const price = roundAmount(basePrice + modifierLines.reduce((sum, modifier) => sum + modifier.price, 0));
+  const optionText = [
+    variant ? ` (${variant.name})` : '',
+    modifierLines.length > 0 ? ` + ${modifierLines.map(modifier => modifier.name).join(', ')}` : ''
+  ].join('');
+
+  return {
+    ...product,
+    price,
+    quantity,
+    variant_id: variant?.id || null,
+    variant_name: variant?.name || null,
+    modifiers: modifierLines,
+    stock_units: variant ? parseFloat(variant.stock_units) || 1 : 1,
+    displayName: `${product.name}${optionText}`
+  };
+};
+
+/**
+ * Identify cart lines that can be merged (same product, variant, modifiers
+ * and marked-down batch)
+ * @param {Object} item - Cart item
+ * @returns {string} Line key
+ */
+export const getCartLineKey = (item) => {
+  const modifierIds = (item.modifiers || []).map(modifier => modifier.id).sort((a, b) => a - b);
+  return `${item.product_id}:${item.variant_id || ''}:${modifierIds.join(',')}:${item.batch_id || ''}`;
+};
+
+/**
+ * Stock of a product already used by the cart
+ * @param {Array} cart - Cart items
+ * @param {number} productId - Product ID
+ * @returns {number} Stock units in the cart
+ */
+export const getCartStockUsage = (cart, productId) => {
+  return roundAmount(
+    cart
+      .filter(item => item.product_id === productId)
+      .reduce((sum, item) => sum + parseFloat(item.quantity) * getStockUnits(item), 0)
+  );
+};
+
+/**
+ * Describe a bill line's variant and modifiers for receipts and bill lists
+ * @param {Object} item - Bill line with variant_name and modifiers
+ * @returns {string} e.g. "Large + No sugar", or '' for a plain line
+ */
+export const describeLineOptions = (item) => {
+  const modifiers = (item?.modifiers || []).map(modifier => modifier.name);
+  return [item?.variant_name, modifiers.length > 0 ? `+ ${modifiers.join(', ')}` : null]
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Validate a variant or modifier before saving
+ * @param {Object} option - { name, price, stock_units }
+ * @param {boolean} isVariant - Variants also need stock units
+ * @returns {Object} { isValid, errors }
+ */
+export const validateProductOption = (option, isVariant = true) => {
+  const errors = [];
+  const price = parseFloat(option.price);
+
+  if (!option.name || !option.name.trim()) {
+    errors.push('Name is required');
+  }
+
+  if (!Number.isFinite(price) || price < 0) {
+    errors.push('Price must be 0 or more');
+  }
+
+  if (isVariant && !(parseFloat(option.stock_units) > 0)) {
+    errors.push('Stock units must be more than 0');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+const saveOption = async (supabaseClient, table, record, optionId) => {
+  const query = optionId
+    ? supabaseClient.from(table).update(record).eq('id', optionId)
+    : supabaseClient.from(table).insert(record);
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new Error(`This product already has an option called "${record.name}"`);
+    }
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Create or update a product variant
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} productId - Product ID
+ * @param {Object} variant - { id?, name, price, stock_units, sort_order, is_active }
+ * @returns {Promise<Object>} Saved variant or error
+ */
+export const saveVariant = async (supabaseClient, productId, variant) => {
+  try {
+    const validation = validateProductOption(variant, true);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const data = await saveOption(supabaseClient, 'product_variants', {
+      product_id: productId,
+      name: variant.name.trim(),
+      price: parseFloat(variant.price),
+      stock_units: parseFloat(variant.stock_units),
+      sort_order: parseInt(variant.sort_order, 10) || 0,
+      is_active: variant.is_active !== false,
+      updated_at: new Date().toISOString()
+    }, variant.id);
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving variant:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Create or update a product modifier
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} productId - Product ID
+ * @param {Object} modifier - { id?, name, price, sort_order, is_active }
+ * @returns {Promise<Object>} Saved modifier or error
+ */
+export const saveModifier = async (supabaseClient, productId, modifier) => {
+  try {
+    const validation = validateProductOption(modifier, false);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const data = await saveOption(supabaseClient, 'product_modifiers', {
+      product_id: productId,
+      name: modifier.name.trim(),
+      price: parseFloat(modifier.price),
+      sort_order: parseInt(modifier.sort_order, 10) || 0,
+      is_active: modifier.is_active !== false,
+      updated_at: new Date().toISOString()
+    }, modifier.id);
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving modifier:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Switch a variant or modifier on or off. Options are never deleted
+ * because past bill lines point at them.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} kind - 'variant' or 'modifier'
+ * @param {number} optionId - Variant or modifier ID
+ * @param {boolean} isActive - New state
+ * @returns {Promise<Object>} Updated option or error
+ */
+export const setProductOptionActive = async (supabaseClient, kind, optionId, isActive) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from(kind === 'modifier' ? 'product_modifiers' : 'product_variants')
+      .update({ is_active: isActive, updated_at: new Date().toISOString() })
+      .eq('id', optionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error updating product option:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Item-wise sales by product with a breakdown by variant.
+ * Refunds are taken off the product and variant of the refunded line.
+ * @param {Array} bills - Orders with order_items (variant_name, products.name)
+ * @param {Array} refunds - Refunds with pos_refund_items (order_item_id)
+ * @returns {Array} [{ name, quantity, revenue, variants: [{ name, quantity, revenue }] }] by revenue
+ */
+export const summarizeSalesByVariant = (bills = [], refunds = []) => {
+  const products = {};
+  const lineVariants = {};
+
+  const addSale = (productName, variantName, quantity, revenue) => {
+    if (!products[productName]) {
+      products[productName] = { name: productName, quantity: 0, revenue: 0, variants: {} };
+    }
+    const entry = products[productName];
+    entry.quantity += quantity;
+    entry.revenue += revenue;
+
+    const variantKey = variantName || '';
+    if (!entry.variants[variantKey]) {
+      entry.variants[variantKey] = { name: variantName, quantity: 0, revenue: 0 };
+    }
+    entry.variants[variantKey].quantity += quantity;
+    entry.variants[variantKey].revenue += revenue;
+  };
+
+  bills.forEach(order => {
+    (order.order_items || []).forEach(item => {
+      lineVariants[item.order_item_id] = item.variant_name || null;
+      addSale(item.products?.name || 'Unknown', item.variant_name, parseFloat(item.quantity), parseFloat(item.subtotal));
+    });
+  });
+
+  refunds.forEach(refund => {
+    (refund.pos_refund_items || []).forEach(item => {
+      addSale(
+        item.products?.name || 'Unknown',
+        lineVariants[item.order_item_id],
+        -parseFloat(item.quantity),
+        -parseFloat(item.amount)
+      );
+    });
+  });
+
+  return Object.values(products)
+    .map(entry => {
+      const variants = Object.values(entry.variants);
+      return {
+        name: entry.name,
+        quantity: roundAmount(entry.quantity),
+        revenue: roundAmount(entry.revenue),
+        // Plain products have a single unnamed entry and no breakdown
+        variants: variants.some(variant => variant.name)
+          ? variants
+            .map(variant => ({
+              name: variant.name || 'Standard',
+              quantity: roundAmount(variant.quantity),
+              revenue: roundAmount(variant.revenue)
+            }))
+            .sort((a, b) => b.revenue - a.revenue)
+          : []
+      };
+    })
+    .sort((a, b) => b.revenue - a.revenue);
+};
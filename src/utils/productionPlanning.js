@@ -0,0 +1,355 @@
+/**
+ * Production Planning Utilities
+ * Suggested daily production per product, from what sold on the same
+ * weekday in recent weeks, what was returned unsold, what is still on the
+ * shelf from yesterday and customer orders due for pickup.
+ *
+ * Suggestion = average sold + sell-out buffer + customer orders - on hand.
+ * The buffer is only added when the product has not been returned on those
+ * days: it probably sold out, so demand was higher than what sold.
+ */
+
+import { fetchBillRefunds } from './billRefunds';
+
+const roundQuantity = (quantity) => Math.round(quantity * 100) / 100;
+
+/** Number of previous same weekdays averaged */
+export const PLANNING_WEEKS = 4;
+
+/** Extra share made of products that did not come back as returns */
+export const SELL_OUT_BUFFER = 0.1;
+
+/** Customer order statuses that still need making for pickup */
+export const PLANNED_ORDER_STATUSES = ['payment_verified', 'confirmed', 'in_preparation'];
+
+/**
+ * Local calendar date of a date or timestamp
+ * @param {Date|string} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+export const toDateKey = (date) => {
+  const value = new Date(date);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * The same weekday in each of the previous weeks
+ * @param {string} planDate - Date being planned (YYYY-MM-DD)
+ * @param {number} weeks - Number of weeks to go back
+ * @returns {Array} Dates (YYYY-MM-DD), most recent first
+ */
+export const getSameWeekdayDates = (planDate, weeks = PLANNING_WEEKS) => {
+  const [year, month, day] = planDate.split('-').map(Number);
+  return Array.from({ length: weeks }, (_, index) => toDateKey(new Date(year, month - 1, day - 7 * (index + 1))));
+};
+
+/**
+ * Stock sold per day and product, net of voids and refunds. Combos count
+ * as their components and variants as the stock they use.
+ * @param {Array} bills - Orders with order_items (stock_units, order_item_components)
+ * @param {Array} refunds - Refunds with pos_refund_items (order_item_id, quantity)
+ * @returns {Object} { [date]: { [product_id]: quantity } }
+ */
+export const summarizeDailySales = (bills = [], refunds = []) => {
+  const days = {};
+  const lines = {};
+
+  const add = (date, productId, quantity) => {
+    days[date] = days[date] || {};
+    days[date][productId] = roundQuantity((days[date][productId] || 0) + quantity);
+  };
+
+  // Stock each unit of a line used, per product
+  const lineStock = (item) => {
+    const components = item.order_item_components || [];
+    if (components.length > 0) {
+      return components.map(component => ({
+        productId: component.product_id,
+        perUnit: parseFloat(component.quantity) / parseFloat(item.quantity)
+      }));
+    }
+    return [{ productId: item.product_id, perUnit: parseFloat(item.stock_units) || 1 }];
+  };
+
+  bills.forEach(order => {
+    const date = toDateKey(order.order_date);
+    (order.order_items || []).forEach(item => {
+      const stock = lineStock(item);
+      lines[item.order_item_id] = { date, stock };
+      stock.forEach(({ productId, perUnit }) => add(date, productId, parseFloat(item.quantity) * perUnit));
+    });
+  });
+
+  // Refunds are taken off the day the bill was sold, not the day of the refund
+  refunds.forEach(refund => {
+    (refund.pos_refund_items || []).forEach(refundItem => {
+      const line = lines[refundItem.order_item_id];
+      if (!line) return;
+      line.stock.forEach(({ productId, perUnit }) => add(line.date, productId, -parseFloat(refundItem.quantity) * perUnit));
+    });
+  });
+
+  return days;
+};
+
+/**
+ * Quantity returned unsold per day and product
+ * @param {Array} returns - Returns with return_date and return_items (product_id, quantity)
+ * @returns {Object} { [date]: { [product_id]: quantity } }
+ */
+export const summarizeDailyReturns = (returns = []) => {
+  const days = {};
+
+  returns.forEach(returnRecord => {
+    const date = returnRecord.return_date;
+    days[date] = days[date] || {};
+    (returnRecord.return_items || []).forEach(item => {
+      if (!item.product_id) return;
+      days[date][item.product_id] = roundQuantity((days[date][item.product_id] || 0) + parseFloat(item.quantity));
+    });
+  });
+
+  return days;
+};
+
+/**
+ * Customer order quantities per POS product. Online catalog items are linked
+ * to POS products by name; weight-based products are counted in kg.
+ * @param {Array} customerOrders - Orders with customer_order_items (product_name, quantity, product_pricing)
+ * @param {Array} products - POS products
+ * @returns {Object} { [product_id]: quantity }
+ */
+export const summarizeCustomerOrderDemand = (customerOrders = [], products = []) => {
+  const byName = {};
+  products.forEach(product => {
+    byName[product.name.trim().toLowerCase()] = product;
+  });
+
+  const demand = {};
+  customerOrders.forEach(order => {
+    (order.customer_order_items || []).forEach(item => {
+      if (item.item_type === 'custom') return;
+
+      const product = byName[(item.product_name || '').trim().toLowerCase()];
+      if (!product) return;
+
+      let quantity = parseFloat(item.quantity);
+      const pricing = item.product_pricing;
+      if (product.is_weight_based && pricing) {
+        const weight = parseFloat(pricing.weight_value);
+        quantity *= pricing.weight_unit === 'g' ? weight / 1000 : weight;
+      }
+      demand[product.product_id] = roundQuantity((demand[product.product_id] || 0) + quantity);
+    });
+  });
+
+  return demand;
+};
+
+/**
+ * Suggested production for each product
+ * @param {Object} options
+ * @param {Array} options.products - Products with stock_quantity (what is left on the shelf)
+ * @param {string} options.planDate - Date being planned (YYYY-MM-DD)
+ * @param {Object} options.dailySales - summarizeDailySales result
+ * @param {Object} options.dailyReturns - summarizeDailyReturns result
+ * @param {Object} options.customerDemand - summarizeCustomerOrderDemand result
+ * @returns {Object} { [product_id]: { averageSold, averageReturned, onHand, customerOrders, suggested } }
+ */
+export const calculateProductionSuggestions = ({ products, planDate, dailySales = {}, dailyReturns = {}, customerDemand = {} }) => {
+  // Days the shop was trading; closed days would drag the average down
+  const tradingDays = getSameWeekdayDates(planDate).filter(date => dailySales[date]);
+  const average = (days, productId) => tradingDays.length === 0
+    ? 0
+    : tradingDays.reduce((sum, date) => sum + (days[date]?.[productId] || 0), 0) / tradingDays.length;
+
+  const suggestions = {};
+  products.forEach(product => {
+    const averageSold = Math.max(0, average(dailySales, product.product_id));
+    const averageReturned = average(dailyReturns, product.product_id);
+    const onHand = Math.max(0, parseFloat(product.stock_quantity) || 0);
+    const customerOrders = customerDemand[product.product_id] || 0;
+
+    const buffer = averageReturned > 0 ? 0 : averageSold * SELL_OUT_BUFFER;
+    const needed = Math.max(0, roundQuantity(averageSold + buffer + customerOrders - onHand));
+
+    suggestions[product.product_id] = {
+      averageSold: roundQuantity(averageSold),
+      averageReturned: roundQuantity(averageReturned),
+      onHand,
+      customerOrders,
+      suggested: product.is_weight_based ? Math.ceil(needed * 10) / 10 : Math.ceil(needed)
+    };
+  });
+
+  return suggestions;
+};
+
+/**
+ * Production plan against what happened on the day
+ * @param {Array} planItems - production_plan_items rows with products (name, is_weight_based)
+ * @param {Object} dailySales - summarizeDailySales result
+ * @param {Object} dailyReturns - summarizeDailyReturns result
+ * @returns {Array} [{ planDate, productId, name, isWeightBased, suggested, planned, sold, returned }], latest first
+ */
+export const buildPlanReport = (planItems = [], dailySales = {}, dailyReturns = {}) => {
+  return planItems
+    .map(item => ({
+      planDate: item.plan_date,
+      productId: item.product_id,
+      name: item.products?.name || 'Unknown',
+      isWeightBased: !!item.products?.is_weight_based,
+      suggested: item.suggested_quantity == null ? null : parseFloat(item.suggested_quantity),
+      planned: parseFloat(item.planned_quantity),
+      sold: dailySales[item.plan_date]?.[item.product_id] || 0,
+      returned: dailyReturns[item.plan_date]?.[item.product_id] || 0
+    }))
+    .sort((a, b) => b.planDate.localeCompare(a.planDate) || a.name.localeCompare(b.name));
+};
+
+/**
+ * Fetch sales, returns and customer orders needed to plan a day's production
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Array} products - Products being planned
+ * @param {string} planDate - Date being planned (YYYY-MM-DD)
+ * @returns {Promise<Object>} Suggestions by product ID, or error
+ */
+export const fetchProductionSuggestions = async (supabaseClient, products, planDate) => {
+  try {
+    const dates = getSameWeekdayDates(planDate);
+    const earliest = dates[dates.length - 1];
+    const [year, month, day] = planDate.split('-').map(Number);
+
+    const [ordersResult, returnsResult, customerOrdersResult, refunds] = await Promise.all([
+      supabaseClient
+        .from('orders')
+        .select(`
+          order_date,
+          order_items (
+            order_item_id,
+            product_id,
+            quantity,
+            stock_units,
+            order_item_components (
+              product_id,
+              quantity
+            )
+          )
+        `)
+        .gte('order_date', new Date(year, month - 1, day - 7 * PLANNING_WEEKS).toISOString())
+        .lt('order_date', new Date(year, month - 1, day).toISOString()),
+      supabaseClient
+        .from('returns')
+        .select('return_date, return_items (product_id, quantity)')
+        .gte('return_date', earliest)
+        .lt('return_date', planDate),
+      supabaseClient
+        .from('customer_orders')
+        .select(`
+          order_id,
+          customer_order_items (
+            product_name,
+            item_type,
+            quantity,
+            product_pricing (
+              weight_value,
+              weight_unit
+            )
+          )
+        `)
+        .eq('pickup_date', planDate)
+        .in('status', PLANNED_ORDER_STATUSES),
+      fetchBillRefunds(supabaseClient)
+    ]);
+
+    if (ordersResult.error) throw ordersResult.error;
+    if (returnsResult.error) throw returnsResult.error;
+    if (customerOrdersResult.error) throw customerOrdersResult.error;
+
+    const data = calculateProductionSuggestions({
+      products,
+      planDate,
+      dailySales: summarizeDailySales(ordersResult.data || [], refunds),
+      dailyReturns: summarizeDailyReturns(returnsResult.data || []),
+      customerDemand: summarizeCustomerOrderDemand(customerOrdersResult.data || [], products)
+    });
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error fetching production suggestions:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Record the day's production plan. Running the check-in again on the same
+ * day adds to what was planned.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} planDate - Date planned (YYYY-MM-DD)
+ * @param {Array} items - [{ product_id, suggested_quantity, planned_quantity }]
+ * @param {string} userId - User recording the plan
+ * @returns {Promise<Object>} Recorded plan lines or error
+ */
+export const saveProductionPlan = async (supabaseClient, planDate, items, userId = null) => {
+  try {
+    const { data, error } = await supabaseClient.rpc('record_production_plan', {
+      p_plan_date: planDate,
+      p_items: items,
+      p_created_by: userId
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving production plan:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch unsold returns with their items
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} startDate - First return date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Returns with return_items (product_id, quantity), or error
+ */
+export const fetchReturnedItems = async (supabaseClient, startDate) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('returns')
+      .select('return_date, return_items (product_id, quantity)')
+      .gte('return_date', startDate);
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching returned items:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Fetch recorded production plans
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} startDate - First plan date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Plan lines with product name, or error
+ */
+export const fetchProductionPlans = async (supabaseClient, startDate) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('production_plan_items')
+      .select('plan_date, product_id, suggested_quantity, planned_quantity, products (name, is_weight_based)')
+      .gte('plan_date', startDate)
+      .order('plan_date', { ascending: false });
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching production plans:', error);
+    return { data: [], error };
+  }
+};
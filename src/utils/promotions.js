@@ -0,0 +1,574 @@
+/**
+ * Promotions Utilities
+ * Discount engine shared by the POS and the customer checkout:
+ * - Percentage or fixed discounts on items, categories or the whole bill
+ * - Buy X get Y on whole-unit items
+ * - Validity dates and happy-hour windows (days of week + time of day)
+ * - Coupon codes with usage limits
+ *
+ * Each line gets at most one item/category/buy-X-get-Y discount (the best
+ * one), then the best bill discount is spread across the lines so every
+ * line is stored net of its share.
+ */
+
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED_AMOUNT: 'fixed_amount',
+  BUY_X_GET_Y: 'buy_x_get_y'
+};
+
+export const PROMOTION_SCOPES = {
+  ITEM: 'item',
+  CATEGORY: 'category',
+  BILL: 'bill'
+};
+
+export const PROMOTION_CHANNELS = {
+  POS: 'pos',
+  ONLINE: 'online',
+  BOTH: 'both'
+};
+
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert 'HH:MM' or 'HH:MM:SS' to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes or null if not set
+ */
+const toMinutes = (time) => {
+  if (!time) return null;
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part, 10));
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * Check whether a promotion can be used right now on a channel
+ * @param {Object} promotion - Promotion row
+ * @param {Date} now - Current time
+ * @param {string} channel - 'pos' or 'online'
+ * @returns {boolean} True if active
+ */
+export const isPromotionActive = (promotion, now = new Date(), channel = PROMOTION_CHANNELS.POS) => {
+  if (!promotion || !promotion.is_active) return false;
+
+  if (promotion.channel && promotion.channel !== PROMOTION_CHANNELS.BOTH && promotion.channel !== channel) {
+    return false;
+  }
+
+  if (promotion.starts_at && now < new Date(promotion.starts_at)) return false;
+  if (promotion.ends_at && now > new Date(promotion.ends_at)) return false;
+
+  if (Array.isArray(promotion.days_of_week) && promotion.days_of_week.length > 0 &&
+      !promotion.days_of_week.map(Number).includes(now.getDay())) {
+    return false;
+  }
+
+  const start = toMinutes(promotion.start_time);
+  const end = toMinutes(promotion.end_time);
+  if (start !== null && end !== null) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    // A window such as 22:00-02:00 runs past midnight
+    const inWindow = start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+    if (!inWindow) return false;
+  }
+
+  if (promotion.usage_limit && (promotion.usage_count || 0) >= promotion.usage_limit) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Check whether an item/category promotion targets a line
+ * @param {Object} promotion - Promotion row
+ * @param {Object} line - Priced line
+ * @param {string} channel - 'pos' or 'online'
+ * @returns {boolean} True if the line is targeted
+ */
+export const promotionMatchesLine = (promotion, line, channel = PROMOTION_CHANNELS.POS) => {
+  if (promotion.scope === PROMOTION_SCOPES.CATEGORY) {
+    const categories = promotion.category_ids || [];
+    return (line.category_ids || []).some(categoryId => categories.includes(categoryId));
+  }
+
+  if (promotion.scope === PROMOTION_SCOPES.ITEM) {
+    const productIds = (channel === PROMOTION_CHANNELS.ONLINE
+      ? promotion.catalog_product_ids
+      : promotion.pos_product_ids) || [];
+    return productIds.map(String).includes(String(line.product_id));
+  }
+
+  return false;
+};
+
+/**
+ * Work out the discount a promotion gives on a single line
+ * @param {Object} promotion - Item or category promotion
+ * @param {Object} line - Line with {quantity, unit_price, gross}
+ * @returns {number} Discount amount (0 if none)
+ */
+export const calculateLineDiscount = (promotion, line) => {
+  const value = parseFloat(promotion.discount_value) || 0;
+  let discount = 0;
+
+  switch (promotion.discount_type) {
+    case DISCOUNT_TYPES.PERCENTAGE:
+      discount = line.gross * value / 100;
+      break;
+    case DISCOUNT_TYPES.FIXED_AMOUNT:
+      // Fixed amount off each unit (or each kg for weighed items)
+      discount = value * line.quantity;
+      break;
+    case DISCOUNT_TYPES.BUY_X_GET_Y: {
+      // Only whole units qualify; weighed quantities are never "free"
+      if (!Number.isInteger(line.quantity)) return 0;
+      const buy = parseInt(promotion.buy_quantity, 10) || 0;
+      const get = parseInt(promotion.get_quantity, 10) || 0;
+      if (buy <= 0 || get <= 0) return 0;
+
+      const freeUnits = Math.floor(line.quantity / (buy + get)) * get;
+      const percentage = parseFloat(promotion.get_discount_percentage ?? 100);
+      discount = freeUnits * line.unit_price * percentage / 100;
+      break;
+    }
+    default:
+      return 0;
+  }
+
+  return round2(Math.min(Math.max(discount, 0), line.gross));
+};
+
+/**
+ * Work out the discount a bill promotion gives on an amount
+ * @param {Object} promotion - Bill promotion
+ * @param {number} amount - Bill amount after line discounts
+ * @returns {number} Discount amount
+ */
+const calculateBillDiscount = (promotion, amount) => {
+  const value = parseFloat(promotion.discount_value) || 0;
+
+  if (promotion.discount_type === DISCOUNT_TYPES.PERCENTAGE) {
+    return round2(amount * value / 100);
+  }
+  if (promotion.discount_type === DISCOUNT_TYPES.FIXED_AMOUNT) {
+    return round2(Math.min(value, amount));
+  }
+  return 0;
+};
+
+/**
+ * Spread a bill discount across lines in proportion to their net amount
+ * The last line takes the rounding difference.
+ * @param {Array} lines - Priced lines
+ * @param {number} discount - Bill discount
+ * @returns {Array} Share per line
+ */
+const allocateBillDiscount = (lines, discount) => {
+  const base = lines.reduce((sum, line) => sum + line.net, 0);
+  let allocated = 0;
+
+  return lines.map((line, index) => {
+    if (index === lines.length - 1) {
+      return round2(discount - allocated);
+    }
+    const share = base > 0 ? round2(discount * line.net / base) : 0;
+    allocated = round2(allocated + share);
+    return share;
+  });
+};
+
+/**
+ * Apply promotions to a set of lines
+ * @param {Array} lines - Lines with {product_id, category_ids, quantity, unit_price}
+ * @param {Array} promotions - Promotion rows
+ * @param {Object} options - Pricing options
+ * @param {string} options.channel - 'pos' or 'online'
+ * @param {Date} options.now - Time of sale (happy hours)
+ * @param {string} options.couponCode - Coupon entered by the cashier/customer
+ * @returns {Object} { lines, applied, subtotal, discountTotal, total, couponError }
+ */
+export const applyPromotions = (lines, promotions = [], {
+  channel = PROMOTION_CHANNELS.POS,
+  now = new Date(),
+  couponCode = ''
+} = {}) => {
+  const code = (couponCode || '').trim().toUpperCase();
+
+  const priced = (lines || []).map(line => {
+    const quantity = parseFloat(line.quantity) || 0;
+    const unitPrice = parseFloat(line.unit_price) || 0;
+    const gross = round2(quantity * unitPrice);
+    return { ...line, quantity, unit_price: unitPrice, gross, discount: 0, net: gross, promotion_id: null };
+  });
+
+  const subtotal = round2(priced.reduce((sum, line) => sum + line.gross, 0));
+
+  let couponError = null;
+  const couponPromotion = code
+    ? promotions.find(promotion => (promotion.coupon_code || '').toUpperCase() === code)
+    : null;
+
+  if (code && !couponPromotion) {
+    couponError = 'Coupon code is not valid';
+  } else if (couponPromotion && !isPromotionActive(couponPromotion, now, channel)) {
+    couponError = couponPromotion.usage_limit && couponPromotion.usage_count >= couponPromotion.usage_limit
+      ? 'Coupon has reached its usage limit'
+      : 'Coupon is not valid at this time';
+  }
+
+  const eligible = promotions.filter(promotion => {
+    if (!isPromotionActive(promotion, now, channel)) return false;
+    if (promotion.coupon_code && promotion !== couponPromotion) return false;
+    return subtotal >= (parseFloat(promotion.min_bill_amount) || 0);
+  });
+
+  const applied = [];
+
+  // Best item / category / buy-X-get-Y discount per line
+  const linePromotions = eligible.filter(promotion => promotion.scope !== PROMOTION_SCOPES.BILL);
+  priced.forEach(line => {
+    let best = null;
+    linePromotions.forEach(promotion => {
+      if (!promotionMatchesLine(promotion, line, channel)) return;
+      const discount = calculateLineDiscount(promotion, line);
+      if (discount > 0 && (!best || discount > best.discount)) {
+        best = { promotion, discount };
+      }
+    });
+
+    if (best) {
+      line.discount = best.discount;
+      line.net = round2(line.gross - best.discount);
+      line.promotion_id = best.promotion.id;
+      applied.push({
+        promotion_id: best.promotion.id,
+        promotion_name: best.promotion.name,
+        coupon_code: best.promotion.coupon_code || null,
+        scope: best.promotion.scope,
+        product_ref: String(line.product_id),
+        amount: best.discount
+      });
+    }
+  });
+
+  // Best bill discount on what is left
+  const afterLineDiscounts = round2(priced.reduce((sum, line) => sum + line.net, 0));
+  let bestBill = null;
+  eligible
+    .filter(promotion => promotion.scope === PROMOTION_SCOPES.BILL)
+    .forEach(promotion => {
+      const discount = calculateBillDiscount(promotion, afterLineDiscounts);
+      if (discount > 0 && (!bestBill || discount > bestBill.discount)) {
+        bestBill = { promotion, discount };
+      }
+    });
+
+  if (bestBill) {
+    const shares = allocateBillDiscount(priced, bestBill.discount);
+    priced.forEach((line, index) => {
+      line.discount = round2(line.discount + shares[index]);
+      line.net = round2(line.gross - line.discount);
+    });
+    applied.push({
+      promotion_id: bestBill.promotion.id,
+      promotion_name: bestBill.promotion.name,
+      coupon_code: bestBill.promotion.coupon_code || null,
+      scope: PROMOTION_SCOPES.BILL,
+      product_ref: null,
+      amount: bestBill.discount
+    });
+  }
+
+  if (couponPromotion && !couponError && !applied.some(entry => entry.promotion_id === couponPromotion.id)) {
+    couponError = 'Coupon does not apply to this order';
+  }
+
+  const discountTotal = round2(applied.reduce((sum, entry) => sum + entry.amount, 0));
+
+  return {
+    lines: priced,
+    applied,
+    subtotal,
+    discountTotal,
+    total: round2(subtotal - discountTotal),
+    couponError
+  };
+};
+
+/**
+ * Convert POS cart items into promotion lines
+ * @param {Array} cart - Cart items with {product_id, category_id, quantity, price}
+ * @returns {Array} Promotion lines
+ */
+export const cartToPromotionLines = (cart) => {
+  if (!Array.isArray(cart)) return [];
+
+  return cart.map(item => ({
+    product_id: item.product_id,
+    category_ids: item.category_id ? [item.category_id] : [],
+    quantity: item.quantity,
+    unit_price: item.price
+  }));
+};
+
+/**
+ * Describe a promotion for lists and receipts
+ * @param {Object} promotion - Promotion row
+ * @returns {string} e.g. "10% off", "Rs. 50 off each", "Buy 2 get 1 free"
+ */
+export const describePromotion = (promotion) => {
+  const value = parseFloat(promotion.discount_value) || 0;
+
+  if (promotion.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y) {
+    const percentage = parseFloat(promotion.get_discount_percentage ?? 100);
+    const reward = percentage >= 100 ? 'free' : `${percentage}% off`;
+    return `Buy ${promotion.buy_quantity} get ${promotion.get_quantity} ${reward}`;
+  }
+
+  if (promotion.discount_type === DISCOUNT_TYPES.PERCENTAGE) {
+    return `${value}% off${promotion.scope === PROMOTION_SCOPES.BILL ? ' the bill' : ''}`;
+  }
+
+  return `Rs. ${value.toFixed(2)} off${promotion.scope === PROMOTION_SCOPES.BILL ? ' the bill' : ' each'}`;
+};
+
+/**
+ * Fetch promotions that may apply on a channel
+ * Time windows and coupons are checked when pricing, so the list can be cached.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} channel - 'pos' or 'online'
+ * @returns {Promise<Object>} Promotions or error
+ */
+export const fetchActivePromotions = async (supabaseClient, channel = PROMOTION_CHANNELS.POS) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('promotions')
+      .select('*')
+      .eq('is_active', true)
+      .in('channel', [channel, PROMOTION_CHANNELS.BOTH]);
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Fetch all promotions for the owner's Promotions page
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} Promotions or error
+ */
+export const fetchPromotions = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('promotions')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Validate a promotion before saving it
+ * @param {Object} promotion - Promotion form values
+ * @returns {Object} { isValid, errors }
+ */
+export const validatePromotion = (promotion) => {
+  const errors = [];
+  const value = parseFloat(promotion.discount_value);
+
+  if (!promotion.name || !promotion.name.trim()) {
+    errors.push('Name is required');
+  }
+
+  if (promotion.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y) {
+    if (promotion.scope === PROMOTION_SCOPES.BILL) {
+      errors.push('Buy X get Y must target items or categories');
+    }
+    if (!(parseInt(promotion.buy_quantity, 10) > 0) || !(parseInt(promotion.get_quantity, 10) > 0)) {
+      errors.push('Buy and get quantities must be at least 1');
+    }
+  } else if (!(value > 0)) {
+    errors.push('Discount value must be greater than 0');
+  } else if (promotion.discount_type === DISCOUNT_TYPES.PERCENTAGE && value > 100) {
+    errors.push('Percentage cannot be more than 100');
+  }
+
+  if (promotion.scope === PROMOTION_SCOPES.ITEM &&
+      !(promotion.pos_product_ids?.length) && !(promotion.catalog_product_ids?.length)) {
+    errors.push('Select at least one product');
+  }
+
+  if (promotion.scope === PROMOTION_SCOPES.CATEGORY && !(promotion.category_ids?.length)) {
+    errors.push('Select at least one category');
+  }
+
+  if (promotion.starts_at && promotion.ends_at && new Date(promotion.starts_at) >= new Date(promotion.ends_at)) {
+    errors.push('End date must be after the start date');
+  }
+
+  if (Boolean(promotion.start_time) !== Boolean(promotion.end_time)) {
+    errors.push('Set both a start and end time for happy hour');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Create or update a promotion
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} promotion - Promotion values (with id to update)
+ * @param {string} userId - Owner saving the promotion
+ * @returns {Promise<Object>} Saved promotion or error
+ */
+export const savePromotion = async (supabaseClient, promotion, userId) => {
+  try {
+    const validation = validatePromotion(promotion);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const record = {
+      name: promotion.name.trim(),
+      description: promotion.description?.trim() || null,
+      discount_type: promotion.discount_type,
+      discount_value: parseFloat(promotion.discount_value) || 0,
+      scope: promotion.scope,
+      channel: promotion.channel || PROMOTION_CHANNELS.BOTH,
+      pos_product_ids: promotion.pos_product_ids || [],
+      catalog_product_ids: promotion.catalog_product_ids || [],
+      category_ids: promotion.category_ids || [],
+      buy_quantity: promotion.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y ? parseInt(promotion.buy_quantity, 10) : null,
+      get_quantity: promotion.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y ? parseInt(promotion.get_quantity, 10) : null,
+      get_discount_percentage: parseFloat(promotion.get_discount_percentage) || 100,
+      min_bill_amount: parseFloat(promotion.min_bill_amount) || 0,
+      starts_at: promotion.starts_at || null,
+      ends_at: promotion.ends_at || null,
+      days_of_week: promotion.days_of_week || [],
+      start_time: promotion.start_time || null,
+      end_time: promotion.end_time || null,
+      coupon_code: promotion.coupon_code?.trim().toUpperCase() || null,
+      usage_limit: parseInt(promotion.usage_limit, 10) || null,
+      is_active: promotion.is_active !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = promotion.id
+      ? supabaseClient.from('promotions').update(record).eq('id', promotion.id)
+      : supabaseClient.from('promotions').insert({ ...record, created_by: userId });
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('That coupon code is already in use');
+      }
+      throw error;
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving promotion:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Switch a promotion on or off
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} promotionId - Promotion ID
+ * @param {boolean} isActive - New state
+ * @returns {Promise<Object>} Updated promotion or error
+ */
+export const setPromotionActive = async (supabaseClient, promotionId, isActive) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('promotions')
+      .update({ is_active: isActive, updated_at: new Date().toISOString() })
+      .eq('id', promotionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch applied discounts for reporting
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Array>} applied_discounts rows, newest first
+ */
+export const fetchAppliedDiscounts = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('applied_discounts')
+      .select('id, order_id, customer_order_id, promotion_id, promotion_name, coupon_code, scope, amount, created_at')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching applied discounts:', error);
+    return [];
+  }
+};
+
+/**
+ * Total applied discounts by promotion for reporting
+ * @param {Array} appliedDiscounts - applied_discounts rows
+ * @returns {Array} [{ promotion_name, coupon_code, uses, posAmount, onlineAmount, amount }] largest first
+ */
+export const summarizeDiscountsByPromotion = (appliedDiscounts) => {
+  const summary = {};
+
+  (appliedDiscounts || []).forEach(entry => {
+    const key = entry.promotion_id ?? entry.promotion_name;
+    if (!summary[key]) {
+      summary[key] = {
+        promotion_id: entry.promotion_id,
+        promotion_name: entry.promotion_name,
+        coupon_code: entry.coupon_code || null,
+        sales: new Set(),
+        posAmount: 0,
+        onlineAmount: 0,
+        amount: 0
+      };
+    }
+
+    const amount = parseFloat(entry.amount) || 0;
+    const row = summary[key];
+    // Several lines of one bill count as one use
+    row.sales.add(entry.order_id ? `pos-${entry.order_id}` : `online-${entry.customer_order_id}`);
+    if (entry.order_id) {
+      row.posAmount = round2(row.posAmount + amount);
+    } else {
+      row.onlineAmount = round2(row.onlineAmount + amount);
+    }
+    row.amount = round2(row.amount + amount);
+  });
+
+  return Object.values(summary)
+    .map(({ sales, ...entry }) => ({ ...entry, uses: sales.size }))
+    .sort((a, b) => b.amount - a.amount);
+};
@@ -0,0 +1,348 @@
+/**
+ * Purchase Order Utilities
+ * Orders placed with suppliers. Lines are suggested from products at or
+ * below their low_stock_threshold and from the production plan for the
+ * delivery date. Orders can be printed or emailed to the supplier, and
+ * receive_goods closes them, partially or fully, as deliveries arrive.
+ */
+
+import { escapeHtml } from './printing';
+import { sendEmail } from './emailClient';
+import { calculateTotalStockByProduct } from './batchTracking';
+
+const roundQuantity = (quantity) => Math.round(quantity * 100) / 100;
+
+/** Purchase order statuses */
+export const PURCHASE_ORDER_STATUS = {
+  OPEN: 'open',
+  PARTIAL: 'partial',
+  CLOSED: 'closed',
+  CANCELLED: 'cancelled'
+};
+
+/** Suggested orders top stock up to this many times the low stock threshold */
+export const REORDER_LEVEL_MULTIPLE = 2;
+
+/**
+ * Suggested purchase order lines
+ * @param {Array} products - Products with low_stock_threshold
+ * @param {Object} stockByProduct - calculateTotalStockByProduct result
+ * @param {Object} plannedByProduct - { [product_id]: quantity planned for the delivery date }
+ * @returns {Array} [{ product_id, name, is_weight_based, on_hand, threshold, planned, quantity }] by name
+ */
+export const suggestPurchaseOrderLines = (products = [], stockByProduct = {}, plannedByProduct = {}) => {
+  return products
+    .filter(product => !product.is_bundle)
+    .map(product => {
+      const onHand = roundQuantity(Math.max(0, stockByProduct[product.product_id] || 0));
+      const threshold = parseFloat(product.low_stock_threshold) || 0;
+      const planned = parseFloat(plannedByProduct[product.product_id]) || 0;
+
+      if (onHand > threshold && planned <= onHand) return null;
+
+      const needed = Math.max(threshold * REORDER_LEVEL_MULTIPLE, planned) - onHand;
+      const quantity = product.is_weight_based ? Math.ceil(needed * 10) / 10 : Math.ceil(needed);
+      if (!(quantity > 0)) return null;
+
+      return {
+        product_id: product.product_id,
+        name: product.name,
+        is_weight_based: !!product.is_weight_based,
+        on_hand: onHand,
+        threshold,
+        planned,
+        quantity
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * What is still to come on a purchase order
+ * @param {Array} items - purchase_order_items with quantity, received_quantity and unit_cost
+ * @returns {Array} [{ product_id, product_name, quantity, unit_cost }] with the outstanding quantity
+ */
+export const getOutstandingLines = (items = []) => {
+  return items
+    .map(item => ({
+      product_id: item.product_id,
+      product_name: item.product_name,
+      quantity: roundQuantity(parseFloat(item.quantity) - (parseFloat(item.received_quantity) || 0)),
+      unit_cost: item.unit_cost
+    }))
+    .filter(line => line.product_id && line.quantity > 0);
+};
+
+/**
+ * Ordered and received totals of a purchase order
+ * @param {Array} items - purchase_order_items
+ * @returns {Object} { ordered, received, outstanding, value } (value at the agreed costs)
+ */
+export const summarizePurchaseOrder = (items = []) => {
+  return items.reduce((summary, item) => {
+    const quantity = parseFloat(item.quantity) || 0;
+    const received = parseFloat(item.received_quantity) || 0;
+    return {
+      ordered: roundQuantity(summary.ordered + quantity),
+      received: roundQuantity(summary.received + received),
+      outstanding: roundQuantity(summary.outstanding + Math.max(0, quantity - received)),
+      value: roundQuantity(summary.value + quantity * (parseFloat(item.unit_cost) || 0))
+    };
+  }, { ordered: 0, received: 0, outstanding: 0, value: 0 });
+};
+
+/**
+ * Printable or emailable purchase order
+ * @param {Object} order - Purchase order with suppliers and purchase_order_items
+ * @param {Object} options
+ * @param {string} options.shopName - Shop name for the heading
+ * @returns {string} HTML document
+ */
+export const renderPurchaseOrderHtml = (order, { shopName = 'Ayubo Cafe' } = {}) => {
+  const hasCosts = order.purchase_order_items.some(item => item.unit_cost != null);
+  const rows = order.purchase_order_items.map(item => `<tr>
+  <td>${escapeHtml(item.product_name)}</td>
+  <td class="r">${escapeHtml(parseFloat(item.quantity))}</td>
+  ${hasCosts ? `<td class="r">${item.unit_cost != null ? escapeHtml(parseFloat(item.unit_cost).toFixed(2)) : ''}</td>` : ''}
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Purchase Order #${escapeHtml(order.id)}</title>
+<style>
+  body { font-family: sans-serif; font-size: 12px; margin: 16px; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  th, td { border: 1px solid #999; padding: 6px; text-align: left; }
+  .r { text-align: right; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(shopName)} - Purchase Order #${escapeHtml(order.id)}</h1>
+<div>To: ${escapeHtml(order.suppliers?.name || '')}</div>
+<div>Ordered: ${escapeHtml(new Date(order.created_at).toLocaleDateString())}</div>
+${order.expected_date ? `<div>Deliver on: ${escapeHtml(new Date(order.expected_date).toLocaleDateString())}</div>` : ''}
+${order.notes ? `<div>Notes: ${escapeHtml(order.notes)}</div>` : ''}
+<table>
+<thead><tr><th>Product</th><th class="r">Quantity</th>${hasCosts ? '<th class="r">Unit Cost (Rs.)</th>' : ''}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<p>Please quote purchase order #${escapeHtml(order.id)} on your delivery note.</p>
+</body>
+</html>`;
+};
+
+/**
+ * Suggest lines for a new purchase order
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} expectedDate - Delivery date (YYYY-MM-DD) whose production plan is included
+ * @returns {Promise<Object>} suggestPurchaseOrderLines result or error
+ */
+export const fetchPurchaseOrderSuggestions = async (supabaseClient, expectedDate = null) => {
+  try {
+    const [productsResult, stockResult, planResult] = await Promise.all([
+      supabaseClient
+        .from('products')
+        .select('product_id, name, is_weight_based, is_bundle, low_stock_threshold'),
+      calculateTotalStockByProduct(supabaseClient),
+      expectedDate
+        ? supabaseClient
+          .from('production_plan_items')
+          .select('product_id, planned_quantity')
+          .eq('plan_date', expectedDate)
+        : Promise.resolve({ data: [], error: null })
+    ]);
+
+    if (productsResult.error) throw productsResult.error;
+    if (stockResult.error) throw stockResult.error;
+    if (planResult.error) throw planResult.error;
+
+    const plannedByProduct = {};
+    (planResult.data || []).forEach(item => {
+      plannedByProduct[item.product_id] = roundQuantity(
+        (plannedByProduct[item.product_id] || 0) + parseFloat(item.planned_quantity)
+      );
+    });
+
+    return {
+      data: suggestPurchaseOrderLines(productsResult.data || [], stockResult.data, plannedByProduct),
+      error: null
+    };
+  } catch (error) {
+    console.error('Error fetching purchase order suggestions:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Create a purchase order
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} order
+ * @param {number} order.supplierId - Supplier
+ * @param {Array} order.lines - [{ product_id, quantity, unit_cost }] (unit_cost optional)
+ * @param {string} order.expectedDate - Expected delivery date (YYYY-MM-DD)
+ * @param {string} order.notes - Optional notes for the supplier
+ * @param {string} userId - User placing the order
+ * @returns {Promise<Object>} { id } of the purchase order or error
+ */
+export const createPurchaseOrder = async (supabaseClient, order, userId = null) => {
+  try {
+    const { supplierId, lines = [], expectedDate = null, notes = '' } = order;
+
+    if (!supplierId) {
+      throw new Error('Select a supplier');
+    }
+
+    const items = lines
+      .filter(line => line.product_id)
+      .map(line => ({
+        product_id: parseInt(line.product_id),
+        quantity: parseFloat(line.quantity),
+        unit_cost: line.unit_cost === '' || line.unit_cost == null ? null : parseFloat(line.unit_cost)
+      }));
+
+    if (items.length === 0) {
+      throw new Error('Add at least one product to the order');
+    }
+    if (items.some(item => !(item.quantity > 0))) {
+      throw new Error('Quantities must be greater than 0');
+    }
+    if (items.some(item => item.unit_cost !== null && !(item.unit_cost >= 0))) {
+      throw new Error('Unit costs must be 0 or more');
+    }
+
+    const { data, error } = await supabaseClient.rpc('create_purchase_order', {
+      p_supplier_id: supplierId,
+      p_items: items,
+      p_expected_date: expectedDate || null,
+      p_notes: notes,
+      p_created_by: userId
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch purchase orders with their supplier and lines, newest first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} options
+ * @param {boolean} options.receivableOnly - Only open and partially received orders
+ * @returns {Promise<Object>} Purchase orders or error
+ */
+export const fetchPurchaseOrders = async (supabaseClient, { receivableOnly = false } = {}) => {
+  try {
+    let query = supabaseClient
+      .from('purchase_orders')
+      .select(`
+        *,
+        suppliers (
+          name,
+          email
+        ),
+        creator:created_by (
+          first_name,
+          last_name
+        ),
+        purchase_order_items (
+          id,
+          product_id,
+          product_name,
+          quantity,
+          unit_cost,
+          received_quantity
+        )
+      `)
+      .order('created_at', { ascending: false });
+
+    if (receivableOnly) {
+      query = query.in('status', [PURCHASE_ORDER_STATUS.OPEN, PURCHASE_ORDER_STATUS.PARTIAL]);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Email a purchase order to its supplier and record when it was sent
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} order - Purchase order with suppliers (name, email) and purchase_order_items
+ * @returns {Promise<Object>} { sent_at } or error
+ */
+export const emailPurchaseOrder = async (supabaseClient, order) => {
+  try {
+    if (!order.suppliers?.email) {
+      throw new Error('Add an email address for this supplier first');
+    }
+
+    const result = await sendEmail({
+      to: order.suppliers.email,
+      subject: `Purchase Order #${order.id} - Ayubo Cafe`,
+      html: renderPurchaseOrderHtml(order),
+      type: 'purchase_order'
+    });
+
+    // In dev mode the email function only logs the email
+    if (result?.devMode) {
+      throw new Error('Email is not set up, so the purchase order was not sent');
+    }
+
+    const sentAt = new Date().toISOString();
+    const { error } = await supabaseClient
+      .from('purchase_orders')
+      .update({ sent_at: sentAt })
+      .eq('id', order.id);
+
+    if (error) throw error;
+
+    return { data: { sent_at: sentAt }, error: null };
+  } catch (error) {
+    console.error('Error emailing purchase order:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Cancel a purchase order that nothing has been received against
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} orderId - Purchase order ID
+ * @returns {Promise<Object>} Cancelled order or error
+ */
+export const cancelPurchaseOrder = async (supabaseClient, orderId) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('purchase_orders')
+      .update({ status: PURCHASE_ORDER_STATUS.CANCELLED, closed_at: new Date().toISOString() })
+      .eq('id', orderId)
+      .eq('status', PURCHASE_ORDER_STATUS.OPEN)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      throw new Error('Only orders with nothing received can be cancelled');
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    return { data: null, error };
+  }
+};
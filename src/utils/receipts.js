@@ -0,0 +1,438 @@
+/**
+ * Receipt Utilities
+ * Turns a confirmed POS bill into a customer receipt:
+ * - ESC/POS bytes for 58mm / 80mm thermal printers (sent over Web Serial)
+ * - An HTML document for the browser print dialog as a fallback
+ *
+ * Both outputs are rendered from the same list of receipt lines so a
+ * reprint from the Sales page looks exactly like the original.
+ */
+
+import { escapeHtml, printHtmlDocument } from './printing';
+import { TENDER_METHOD_LABELS } from './posPayments';
+import { describeLineOptions } from './productVariants';
+
+const SHOP_CACHE_KEY = 'ayubo_receipt_shop_details';
+const PRINTER_SETTINGS_KEY = 'ayubo_receipt_printer_settings';
+
+export const SHOP_NAME = 'Ayubo Cafe';
+
+/** Characters per line for the supported paper widths (Font A) */
+export const PAPER_WIDTHS = {
+  '58mm': 32,
+  '80mm': 48
+};
+
+const DEFAULT_PRINTER_SETTINGS = { paperWidth: '80mm', baudRate: 9600 };
+
+// ESC/POS commands
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+const COMMANDS = {
+  INIT: [ESC, 0x40],
+  ALIGN_LEFT: [ESC, 0x61, 0x00],
+  ALIGN_CENTER: [ESC, 0x61, 0x01],
+  BOLD_ON: [ESC, 0x45, 0x01],
+  BOLD_OFF: [ESC, 0x45, 0x00],
+  SIZE_NORMAL: [GS, 0x21, 0x00],
+  SIZE_DOUBLE_HEIGHT: [GS, 0x21, 0x01],
+  FEED_4: [ESC, 0x64, 0x04],
+  PARTIAL_CUT: [GS, 0x56, 0x42, 0x00]
+};
+
+const money = (value) => (parseFloat(value) || 0).toFixed(2);
+
+const formatQuantity = (quantity) => {
+  const value = parseFloat(quantity) || 0;
+  return Number.isInteger(value) ? String(value) : String(parseFloat(value.toFixed(3)));
+};
+
+/**
+ * Get printer settings saved on this device
+ * @returns {Object} { paperWidth, baudRate }
+ */
+export const getPrinterSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRINTER_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_PRINTER_SETTINGS, ...stored };
+  } catch {
+    return { ...DEFAULT_PRINTER_SETTINGS };
+  }
+};
+
+/**
+ * Save printer settings on this device
+ * @param {Object} settings - { paperWidth, baudRate }
+ * @returns {Object} Saved settings
+ */
+export const savePrinterSettings = (settings) => {
+  const merged = { ...getPrinterSettings(), ...settings };
+  localStorage.setItem(PRINTER_SETTINGS_KEY, JSON.stringify(merged));
+  return merged;
+};
+
+/**
+ * Load shop details for the receipt header from system_configuration
+ * The last known details are cached so receipts still print offline.
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} { name, phone, address }
+ */
+export const fetchShopDetails = async (supabaseClient) => {
+  const cached = (() => {
+    try {
+      return JSON.parse(localStorage.getItem(SHOP_CACHE_KEY) || 'null');
+    } catch {
+      return null;
+    }
+  })();
+
+  try {
+    const { data, error } = await supabaseClient
+      .from('system_configuration')
+      .select('config_key, config_value')
+      .in('config_key', ['contact_phone', 'business_address']);
+
+    if (error) throw error;
+
+    const config = Object.fromEntries((data || []).map(row => [row.config_key, row.config_value]));
+    const details = {
+      name: SHOP_NAME,
+      phone: config.contact_phone || '',
+      address: config.business_address || ''
+    };
+
+    localStorage.setItem(SHOP_CACHE_KEY, JSON.stringify(details));
+    return details;
+  } catch (error) {
+    console.error('Error fetching shop details:', error);
+    return cached || { name: SHOP_NAME, phone: '', address: '' };
+  }
+};
+
+/**
+ * Normalise a bill (create_pos_bill() result or an orders row with
+ * order_items, pos_bill_payments, applied_discounts and bill_taxes) for printing
+ * @param {Object} bill - POS bill
+ * @param {Object} options - { reprint }
+ * @returns {Object} Receipt data
+ */
+export const buildReceiptData = (bill, { reprint = false } = {}) => {
+  const items = (bill.order_items || []).map(item => {
+    const discount = parseFloat(item.discount_amount) || 0;
+    const amount = parseFloat(item.subtotal) || 0;
+    const quantity = parseFloat(item.quantity) || 0;
+    // Line subtotals include exclusive tax and service charge; print the shelf price
+    const added = (parseFloat(item.exclusive_tax_amount) || 0) + (parseFloat(item.service_charge_amount) || 0);
+    const gross = Math.round((amount + discount - added) * 100) / 100;
+    const options = describeLineOptions(item);
+
+    return {
+      name: options ? `${item.products?.name || 'Item'} ${options}` : (item.products?.name || 'Item'),
+      quantity,
+      unitPrice: quantity > 0 ? gross / quantity : 0,
+      gross,
+      discount,
+      amount
+    };
+  });
+
+  const payments = (bill.pos_bill_payments || []).map(payment => ({
+    method: payment.method,
+    label: TENDER_METHOD_LABELS[payment.method] || payment.method,
+    amount: parseFloat(payment.amount) || 0,
+    tendered: parseFloat(payment.tendered ?? payment.amount) || 0,
+    change: parseFloat(payment.change_given) || 0,
+    reference: payment.reference || null
+  }));
+
+  // A promotion is recorded once per discounted line; print it once per bill
+  const discounts = [];
+  (bill.applied_discounts || []).forEach(discount => {
+    const existing = discounts.find(entry => entry.name === discount.promotion_name);
+    const amount = parseFloat(discount.amount) || 0;
+    if (existing) {
+      existing.amount += amount;
+    } else {
+      discounts.push({ name: discount.promotion_name, amount });
+    }
+  });
+
+  const taxes = (bill.bill_taxes || []).map(tax => ({
+    name: `${tax.name} ${parseFloat(tax.rate) || 0}%`,
+    isInclusive: !!tax.is_inclusive,
+    amount: parseFloat(tax.amount) || 0
+  }));
+
+  const total = parseFloat(bill.value) || 0;
+  const discountTotal = parseFloat(bill.discount_total) || items.reduce((sum, item) => sum + item.discount, 0);
+
+  return {
+    billNumber: bill.order_id,
+    date: new Date(bill.order_date),
+    status: bill.status || 'completed',
+    items,
+    subtotal: items.reduce((sum, item) => sum + item.gross, 0),
+    discounts,
+    discountTotal,
+    addedTaxes: taxes.filter(tax => !tax.isInclusive),
+    includedTaxes: taxes.filter(tax => tax.isInclusive),
+    total,
+    payments,
+    change: payments.reduce((sum, payment) => sum + payment.change, 0),
+    reprint
+  };
+};
+
+/**
+ * Put text on the left and right of a fixed-width line
+ * @param {string} left - Left text (truncated if needed)
+ * @param {string} right - Right text
+ * @param {number} width - Characters per line
+ * @returns {string} Padded line
+ */
+export const padLine = (left, right, width) => {
+  const rightText = String(right);
+  const room = Math.max(width - rightText.length - 1, 0);
+  const leftText = String(left).slice(0, room);
+  return leftText + ' '.repeat(width - leftText.length - rightText.length) + rightText;
+};
+
+/**
+ * Break text into lines no wider than the paper
+ * @param {string} text - Text to wrap
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} Wrapped lines
+ */
+export const wrapText = (text, width) => {
+  const lines = [];
+  let current = '';
+
+  String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines;
+};
+
+/**
+ * Lay out a receipt as fixed-width lines
+ * @param {Object} receipt - buildReceiptData() result
+ * @param {Object} shop - { name, phone, address }
+ * @param {string} paperWidth - '58mm' or '80mm'
+ * @returns {Array<Object>} Lines of {text, align, bold, large}
+ */
+export const formatReceiptLines = (receipt, shop, paperWidth = '80mm') => {
+  const width = PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS['80mm'];
+  const lines = [];
+  const add = (text, style = {}) => lines.push({ text, align: 'left', bold: false, large: false, ...style });
+  const divider = () => add('-'.repeat(width));
+
+  add(shop?.name || SHOP_NAME, { align: 'center', bold: true, large: true });
+  wrapText(shop?.address, width).forEach(line => add(line, { align: 'center' }));
+  if (shop?.phone) add(`Tel: ${shop.phone}`, { align: 'center' });
+  divider();
+
+  add(padLine(`Bill #${receipt.billNumber}`, receipt.date.toLocaleDateString(), width));
+  add(padLine('', receipt.date.toLocaleTimeString(), width));
+  if (receipt.reprint) add('*** REPRINT ***', { align: 'center', bold: true });
+  if (receipt.status === 'voided') add('*** VOIDED ***', { align: 'center', bold: true });
+  divider();
+
+  receipt.items.forEach(item => {
+    wrapText(item.name, width).forEach(line => add(line));
+    add(padLine(`  ${formatQuantity(item.quantity)} x ${money(item.unitPrice)}`, money(item.gross), width));
+  });
+  divider();
+
+  if (receipt.discountTotal > 0 || receipt.addedTaxes.length > 0) {
+    add(padLine('Subtotal', money(receipt.subtotal), width));
+  }
+  if (receipt.discountTotal > 0) {
+    if (receipt.discounts.length > 0) {
+      receipt.discounts.forEach(discount => add(padLine(discount.name, `-${money(discount.amount)}`, width)));
+    } else {
+      add(padLine('Discount', `-${money(receipt.discountTotal)}`, width));
+    }
+  }
+  receipt.addedTaxes.forEach(tax => add(padLine(tax.name, money(tax.amount), width)));
+  add(padLine('TOTAL', `Rs. ${money(receipt.total)}`, width), { bold: true, large: true });
+  receipt.includedTaxes.forEach(tax => add(padLine(`  Incl. ${tax.name}`, money(tax.amount), width)));
+  divider();
+
+  receipt.payments.forEach(payment => {
+    add(padLine(payment.label, money(payment.amount), width));
+    if (payment.change > 0) {
+      add(padLine('  Tendered', money(payment.tendered), width));
+    }
+    if (payment.reference) {
+      add(`  Ref: ${payment.reference}`);
+    }
+  });
+  if (receipt.change > 0) {
+    add(padLine('CHANGE', money(receipt.change), width), { bold: true });
+  }
+  divider();
+
+  add('Thank you! Come again', { align: 'center' });
+  return lines;
+};
+
+/**
+ * Encode text for the printer's default code page (non-ASCII becomes '?')
+ * @param {string} text - Text to encode
+ * @returns {Array<number>} Bytes
+ */
+const encodeText = (text) => Array.from(String(text)).map(char => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 && code < 0x7f ? code : 0x3f;
+});
+
+/**
+ * Build ESC/POS bytes for a receipt
+ * @param {Object} receipt - buildReceiptData() result
+ * @param {Object} shop - { name, phone, address }
+ * @param {Object} options - { paperWidth }
+ * @returns {Uint8Array} Printer bytes (initialise, lines, feed and cut)
+ */
+export const buildEscPosReceipt = (receipt, shop, { paperWidth = '80mm' } = {}) => {
+  const bytes = [...COMMANDS.INIT];
+
+  formatReceiptLines(receipt, shop, paperWidth).forEach(line => {
+    bytes.push(...(line.align === 'center' ? COMMANDS.ALIGN_CENTER : COMMANDS.ALIGN_LEFT));
+    bytes.push(...(line.bold ? COMMANDS.BOLD_ON : COMMANDS.BOLD_OFF));
+    bytes.push(...(line.large ? COMMANDS.SIZE_DOUBLE_HEIGHT : COMMANDS.SIZE_NORMAL));
+    bytes.push(...encodeText(line.text), LF);
+  });
+
+  bytes.push(...COMMANDS.SIZE_NORMAL, ...COMMANDS.BOLD_OFF, ...COMMANDS.ALIGN_LEFT);
+  bytes.push(...COMMANDS.FEED_4, ...COMMANDS.PARTIAL_CUT);
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Render a receipt as an HTML document sized for the paper roll
+ * @param {Object} receipt - buildReceiptData() result
+ * @param {Object} shop - { name, phone, address }
+ * @param {Object} options - { paperWidth }
+ * @returns {string} HTML document
+ */
+export const renderReceiptHtml = (receipt, shop, { paperWidth = '80mm' } = {}) => {
+  const width = PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS['80mm'];
+  const lines = formatReceiptLines(receipt, shop, paperWidth)
+    .map(line => {
+      const classes = [line.align === 'center' ? 'c' : '', line.bold ? 'b' : '', line.large ? 'l' : '']
+        .filter(Boolean)
+        .join(' ');
+      return `<div${classes ? ` class="${classes}"` : ''}>${escapeHtml(line.text) || '&nbsp;'}</div>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt #${escapeHtml(receipt.billNumber)}</title>
+<style>
+  @page { size: ${paperWidth} auto; margin: 0; }
+  body { margin: 0; padding: 2mm; font-family: 'Courier New', monospace; font-size: 12px; }
+  .receipt { width: ${width}ch; white-space: pre; }
+  .c { text-align: center; }
+  .b { font-weight: bold; }
+  .l { font-size: 1.4em; }
+</style>
+</head>
+<body>
+<div class="receipt">
+${lines}
+</div>
+</body>
+</html>`;
+};
+
+/**
+ * Check whether this browser can talk to a serial thermal printer
+ * @returns {boolean} True if Web Serial is available
+ */
+export const isSerialPrintingSupported = () => {
+  return typeof navigator !== 'undefined' && !!navigator.serial;
+};
+
+/**
+ * Ask the cashier to pick the thermal printer's serial port
+ * The browser remembers the permission, so this is only needed once.
+ * @returns {Promise<boolean>} True if a port was granted
+ */
+export const connectSerialPrinter = async () => {
+  try {
+    if (!isSerialPrintingSupported()) return false;
+    await navigator.serial.requestPort();
+    return true;
+  } catch (error) {
+    console.error('Error connecting printer:', error);
+    return false;
+  }
+};
+
+/**
+ * Send ESC/POS bytes to a previously granted serial printer
+ * @param {Uint8Array} bytes - Printer bytes
+ * @param {Object} options - { baudRate }
+ * @returns {Promise<boolean>} True if the bytes were written
+ */
+export const sendToSerialPrinter = async (bytes, { baudRate = DEFAULT_PRINTER_SETTINGS.baudRate } = {}) => {
+  if (!isSerialPrintingSupported()) return false;
+
+  let port = null;
+  try {
+    const [grantedPort] = await navigator.serial.getPorts();
+    if (!grantedPort) return false;
+
+    port = grantedPort;
+    await port.open({ baudRate });
+    const writer = port.writable.getWriter();
+    await writer.write(bytes);
+    writer.releaseLock();
+    return true;
+  } catch (error) {
+    console.error('Error printing to serial printer:', error);
+    return false;
+  } finally {
+    if (port?.readable || port?.writable) {
+      await port.close().catch(() => {});
+    }
+  }
+};
+
+/**
+ * Print a receipt on the thermal printer, falling back to the browser
+ * print dialog when no printer is connected
+ * @param {Object} receipt - buildReceiptData() result
+ * @param {Object} shop - { name, phone, address }
+ * @param {Object} settings - Printer settings (defaults to this device's)
+ * @returns {Promise<string|null>} 'escpos', 'html' or null if nothing printed
+ */
+export const printReceipt = async (receipt, shop, settings = getPrinterSettings()) => {
+  const bytes = buildEscPosReceipt(receipt, shop, settings);
+  if (await sendToSerialPrinter(bytes, settings)) {
+    return 'escpos';
+  }
+
+  return printHtmlDocument(renderReceiptHtml(receipt, shop, settings)) ? 'html' : null;
+};
@@ -0,0 +1,147 @@
+/**
+ * Return Rate Utilities
+ * Return percentages from the supplier agreement, e.g. "50% at day 1, 20% at
+ * day 3, 0% from day 6", for one product, a category or every product.
+ * A batch gets the rate of its most specific matching rule for the highest
+ * age it has reached; without a rule the product's default applies.
+ */
+
+/** Used when neither a rule nor the product sets a percentage */
+export const DEFAULT_RETURN_PERCENTAGE = 20;
+
+/**
+ * How specific a rule's target is: product, then category, then all products
+ * @param {Object} rule - Return rate rule
+ * @returns {number} 2, 1 or 0
+ */
+const targetRank = (rule) => {
+  if (rule.product_id) return 2;
+  if (rule.category_id) return 1;
+  return 0;
+};
+
+/**
+ * Check whether a rule covers a batch of a product
+ * @param {Object} rule - Return rate rule
+ * @param {Object} product - Product with product_id and category_id
+ * @param {number} batchAge - Batch age in days
+ * @returns {boolean} True if the rule applies
+ */
+export const returnRateRuleApplies = (rule, product, batchAge) => {
+  if (!rule.is_active) return false;
+  if (rule.product_id && rule.product_id !== product.product_id) return false;
+  if (rule.category_id && rule.category_id !== product.category_id) return false;
+  return batchAge >= rule.min_batch_age_days;
+};
+
+/**
+ * Return percentage for a batch
+ * @param {Array} rules - Return rate rules
+ * @param {Object} product - Product with product_id, category_id and default_return_percentage
+ * @param {number} batchAge - Batch age in days
+ * @returns {Object} { percentage, rule } (rule is null when the product default applies)
+ */
+export const getReturnRate = (rules = [], product = {}, batchAge = 0) => {
+  const rule = rules
+    .filter(candidate => returnRateRuleApplies(candidate, product, batchAge))
+    .sort((a, b) => targetRank(b) - targetRank(a) || b.min_batch_age_days - a.min_batch_age_days)[0];
+
+  if (rule) {
+    return { percentage: rule.return_percentage, rule };
+  }
+  return { percentage: product.default_return_percentage ?? DEFAULT_RETURN_PERCENTAGE, rule: null };
+};
+
+/**
+ * Percentage actually used for a returned batch
+ * @param {Object} rate - getReturnRate() result
+ * @param {number|string} override - Percentage entered by hand, if any
+ * @returns {Object} { percentage, isOverride }
+ */
+export const applyReturnRateOverride = (rate, override) => {
+  const overridePercentage = override === '' || override == null ? null : parseInt(override);
+  if (overridePercentage === null || Number.isNaN(overridePercentage) || overridePercentage === rate.percentage) {
+    return { percentage: rate.percentage, isOverride: false };
+  }
+  return { percentage: overridePercentage, isOverride: true };
+};
+
+/**
+ * Fetch return rate rules, youngest age first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Only rules in use
+ * @returns {Promise<Object>} Rules or error
+ */
+export const fetchReturnRateRules = async (supabaseClient, { activeOnly = false } = {}) => {
+  try {
+    let query = supabaseClient
+      .from('return_rate_rules')
+      .select('*')
+      .order('min_batch_age_days', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching return rate rules:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Create or update a return rate rule
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} rule - Rule with name, return_percentage, product_id/category_id and min_batch_age_days
+ * @returns {Promise<Object>} Saved rule or error
+ */
+export const saveReturnRateRule = async (supabaseClient, rule) => {
+  try {
+    const percentage = rule.return_percentage === '' || rule.return_percentage == null
+      ? NaN
+      : Number(rule.return_percentage);
+    const minAge = rule.min_batch_age_days === '' || rule.min_batch_age_days == null
+      ? NaN
+      : Number(rule.min_batch_age_days);
+
+    if (!rule.name || !rule.name.trim()) {
+      throw new Error('Rule name is required');
+    }
+    if (!Number.isInteger(percentage) || percentage < 0 || percentage > 100) {
+      throw new Error('Return percentage must be a whole number from 0 to 100');
+    }
+    if (!Number.isInteger(minAge) || minAge < 0) {
+      throw new Error('Batch age must be 0 or more days');
+    }
+
+    const row = {
+      name: rule.name.trim(),
+      return_percentage: percentage,
+      product_id: rule.product_id ? parseInt(rule.product_id) : null,
+      category_id: rule.product_id ? null : (rule.category_id || null),
+      min_batch_age_days: minAge,
+      is_active: rule.is_active !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = rule.id
+      ? supabaseClient.from('return_rate_rules').update(row).eq('id', rule.id)
+      : supabaseClient.from('return_rate_rules').insert([row]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving return rate rule:', error);
+    return { data: null, error };
+  }
+};
@@ -3,18 +3,19 @@
  * Handles return processing, batch management, and notifications
  */
 
-import { incrementBatchAge, createBatch } from './batchTracking';
-
 /**
  * Process a return to the bakery
  * @param {Object} supabaseClient - Supabase client instance
  * @param {number} userId - User ID who is processing the return
  * @param {Object} options - Return options
- * @param {Array} options.batchesToReturn - Array of batches to return
+ * @param {Array} options.batchesToReturn - Array of batches to return. returnPercentage is the
+ *   percentage used; rulePercentage and returnRateRuleId are what the return rate rules gave, and a
+ *   different returnPercentage is recorded as an override that needs an overrideReason
  * @param {Array} options.batchesToKeep - Array of batch IDs to keep for tomorrow
+ * @param {number} options.supplierId - Supplier the goods go back to (optional)
  * @returns {Promise<Object>} Result with data or error
  */
-export const processReturn = async (supabaseClient, userId, { batchesToReturn, batchesToKeep }) => {
+export const processReturn = async (supabaseClient, userId, { batchesToReturn, batchesToKeep, supplierId = null }) => {
   const processStartTime = Date.now();
   
   try {
@@ -22,6 +23,13 @@ export const processReturn = async (supabaseClient, userId, { batchesToReturn, b
       throw new Error('No batches selected for return');
     }
 
+    const isOverride = (batch) => batch.rulePercentage != null
+      && parseInt(batch.returnPercentage) !== parseInt(batch.rulePercentage);
+
+    if (batchesToReturn.some(batch => isOverride(batch) && !batch.overrideReason?.trim())) {
+      throw new Error('Give a reason for every overridden return percentage');
+    }
+
     // Calculate totals
     const totalQuantity = batchesToReturn.reduce((sum, batch) => sum + parseFloat(batch.quantity), 0);
     const totalValue = batchesToReturn.reduce((sum, batch) => {
@@ -39,6 +47,7 @@ export const processReturn = async (supabaseClient, userId, { batchesToReturn, b
         total_value: totalValue,
         total_quantity: totalQuantity,
         total_batches: totalBatches,
+        supplier_id: supplierId,
         notification_sent: false
       }])
       .select()
@@ -66,7 +75,11 @@ export const processReturn = async (supabaseClient, userId, { batchesToReturn, b
         sale_price: batch.salePrice,
         return_percentage: batch.returnPercentage,
         return_value_per_unit: returnValuePerUnit,
-        total_return_value: totalReturnValue
+        total_return_value: totalReturnValue,
+        return_rate_rule_id: batch.returnRateRuleId || null,
+        rule_percentage: batch.rulePercentage ?? null,
+        is_override: isOverride(batch),
+        override_reason: isOverride(batch) ? batch.overrideReason.trim() : null
       };
     });
 
@@ -94,26 +107,15 @@ export const processReturn = async (supabaseClient, userId, { batchesToReturn, b
 
     if (itemsError) throw itemsError;
 
-    // Delete returned batches
-    const batchIdsToReturn = batchesToReturn.map(b => b.batchId);
-    const { error: deleteError } = await supabaseClient
-      .from('inventory_batches')
-      .delete()
-      .in('id', batchIdsToReturn);
-
-    if (deleteError) throw deleteError;
-
-    // Increment age for kept batches (update date_added)
-    const keepPromises = batchesToKeep.map(batchId =>
-      incrementBatchAge(supabaseClient, batchId)
-    );
-
-    const keepResults = await Promise.all(keepPromises);
-    const keepErrors = keepResults.filter(r => r.error);
-    
-    if (keepErrors.length > 0) {
-      console.warn('Some batches failed to increment age:', keepErrors);
-    }
+    // Remove returned batches and increment age for kept batches (stock movements are recorded)
+    const { error: stockError } = await supabaseClient.rpc('apply_return_stock', {
+      p_return_id: returnId,
+      p_return_batch_ids: batchesToReturn.map(b => b.batchId),
+      p_keep_batch_ids: batchesToKeep || [],
+      p_created_by: userId
+    });
+
+    if (stockError) throw stockError;
 
     // Send email notification
     const emailSent = await sendReturnNotification(supabaseClient, returnId, returnRecord);
@@ -365,66 +367,25 @@ const buildReturnEmailHTML = (returnRecord, returnItems, processor) => {
 
 /**
  * Undo/Delete a return transaction
- * Recreates batches from return_items to restore inventory
+ * Recreates batches from return_items to restore inventory and deletes the
+ * return in one transaction (recorded as undo stock movements)
  * @param {Object} supabaseClient - Supabase client instance
  * @param {number} returnId - Return ID to undo
+ * @param {string} userId - User undoing the return
  * @returns {Promise<Object>} Result with success status
  */
-export const undoReturn = async (supabaseClient, returnId) => {
+export const undoReturn = async (supabaseClient, returnId, userId = null) => {
   try {
-    // Fetch return items to restore
-    const { data: returnItems, error: itemsError } = await supabaseClient
-      .from('return_items')
-      .select('*')
-      .eq('return_id', returnId);
-
-    if (itemsError) throw itemsError;
-
-    if (!returnItems || returnItems.length === 0) {
-      throw new Error('No items found for this return');
-    }
-
-    // Recreate batches for each item
-    // Note: batch_id might be null if original batch was deleted
-    // In that case, create new batches with preserved data
-    const batchPromises = returnItems.map(async (item) => {
-      // Recreate batch with original data
-      const result = await createBatch(
-        supabaseClient,
-        item.product_id,
-        item.quantity,
-        item.date_batch_added // Preserve original date for age tracking
-      );
-      return result;
+    const { data, error } = await supabaseClient.rpc('undo_return', {
+      p_return_id: returnId,
+      p_created_by: userId
     });
 
-    const batchResults = await Promise.all(batchPromises);
-    const failedBatches = batchResults.filter(r => !r.success);
-    
-    if (failedBatches.length > 0) {
-      console.error('Some batches failed to recreate:', failedBatches);
-      throw new Error(`${failedBatches.length} batches failed to recreate`);
-    }
-
-    // Delete return_items (they cascade, but explicit is better)
-    const { error: deleteItemsError } = await supabaseClient
-      .from('return_items')
-      .delete()
-      .eq('return_id', returnId);
-
-    if (deleteItemsError) throw deleteItemsError;
-
-    // Delete return record
-    const { error: deleteReturnError } = await supabaseClient
-      .from('returns')
-      .delete()
-      .eq('id', returnId);
-
-    if (deleteReturnError) throw deleteReturnError;
+    if (error) throw error;
 
     return {
       success: true,
-      batchesRecreated: batchResults.length,
+      batchesRecreated: data.batches_recreated,
       error: null
     };
   } catch (error) {
@@ -0,0 +1,99 @@
+/**
+ * Stock Movement Utilities
+ * Read side of the stock movement ledger. Every inventory batch change is
+ * recorded in stock_movements by a database trigger; the functions that
+ * change stock (bills, refunds, returns, production, waste) record why.
+ */
+
+const roundQuantity = (quantity) => Math.round(quantity * 100) / 100;
+
+/** Labels for each movement type */
+export const STOCK_MOVEMENT_LABELS = {
+  opening: 'Opening balance',
+  check_in: 'Check-in',
+  sale: 'Sale',
+  refund: 'Refund',
+  return: 'Return',
+  keep: 'Kept for tomorrow',
+  adjustment: 'Manual adjustment',
+  undo: 'Return undone',
+  waste: 'Waste'
+};
+
+/**
+ * Describe what caused a movement
+ * @param {Object} movement - Movement with reference_type and reference_id
+ * @returns {string} e.g. "Bill #120", or '' without a reference
+ */
+export const describeMovementReference = (movement) => {
+  if (!movement.reference_id) return '';
+
+  switch (movement.reference_type) {
+    case 'order':
+      return `Bill #${movement.reference_id}`;
+    case 'refund':
+      return `Refund #${movement.reference_id}`;
+    case 'return':
+      return `Return #${movement.reference_id}`;
+    case 'stock_take':
+      return `Stock take #${movement.reference_id}`;
+    case 'goods_receipt':
+      return `Delivery #${movement.reference_id}`;
+    case 'waste':
+      return `Waste #${movement.reference_id}`;
+    default:
+      return `${movement.reference_type} #${movement.reference_id}`;
+  }
+};
+
+/**
+ * Build a product's stock card: its movements with the running balance
+ * @param {Array} movements - The product's movements, oldest first
+ * @param {number} currentStock - Stock in the product's batches now
+ * @returns {Object} { entries (newest first, with balance), ledgerBalance, discrepancy }
+ */
+export const buildStockCard = (movements = [], currentStock = 0) => {
+  let balance = 0;
+  const entries = movements.map(movement => {
+    balance = roundQuantity(balance + parseFloat(movement.quantity_change));
+    return { ...movement, balance };
+  });
+
+  return {
+    entries: entries.reverse(),
+    ledgerBalance: balance,
+    // Anything other than 0 means stock changed without going through the ledger
+    discrepancy: roundQuantity((parseFloat(currentStock) || 0) - balance)
+  };
+};
+
+/**
+ * Fetch a product's stock movements, oldest first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} productId - Product ID
+ * @returns {Promise<Object>} Movements with the user who made them, or error
+ */
+export const fetchStockMovements = async (supabaseClient, productId) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('stock_movements')
+      .select(`
+        *,
+        users:created_by (
+          first_name,
+          last_name,
+          username
+        )
+      `)
+      .eq('product_id', productId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    return { data: [], error };
+  }
+};
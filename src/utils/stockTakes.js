@@ -0,0 +1,251 @@
+/**
+ * Stock Take Utilities
+ * Physical shelf counts compared with the batch totals from
+ * calculateTotalStockByProduct. The owner approves the variances with a
+ * reason and approve_stock_take corrects the batches oldest-first.
+ */
+
+import { escapeHtml } from './printing';
+
+const roundQuantity = (quantity) => Math.round(quantity * 100) / 100;
+
+/** Stock take statuses */
+export const STOCK_TAKE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Lines to count: every product that holds its own stock, with its system quantity
+ * @param {Array} products - Products
+ * @param {Object} stockByProduct - calculateTotalStockByProduct result
+ * @returns {Array} [{ product_id, name, price, is_weight_based, system_quantity }] by name
+ */
+export const buildStockTakeLines = (products = [], stockByProduct = {}) => {
+  return products
+    .filter(product => !product.is_bundle)
+    .map(product => ({
+      product_id: product.product_id,
+      name: product.name,
+      price: parseFloat(product.price) || 0,
+      is_weight_based: !!product.is_weight_based,
+      system_quantity: roundQuantity(stockByProduct[product.product_id] || 0)
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Variance of a counted line in units and value
+ * @param {Object} line - { system_quantity, price }
+ * @param {number|string} counted - Counted quantity ('' when not counted)
+ * @returns {Object|null} { variance, varianceValue }, or null if not counted
+ */
+export const calculateVariance = (line, counted) => {
+  if (counted === '' || counted == null) return null;
+
+  const variance = roundQuantity(parseFloat(counted) - parseFloat(line.system_quantity));
+  return { variance, varianceValue: roundQuantity(variance * parseFloat(line.price)) };
+};
+
+/**
+ * Totals of a stock take's variances
+ * @param {Array} items - [{ variance, variance_value }]
+ * @returns {Object} { productsCounted, productsWithVariance, missingValue, extraValue, netValue }
+ */
+export const summarizeStockTake = (items = []) => {
+  return items.reduce((summary, item) => {
+    const variance = parseFloat(item.variance) || 0;
+    const value = parseFloat(item.variance_value) || 0;
+    return {
+      productsCounted: summary.productsCounted + 1,
+      productsWithVariance: summary.productsWithVariance + (variance !== 0 ? 1 : 0),
+      missingValue: roundQuantity(summary.missingValue + (value < 0 ? -value : 0)),
+      extraValue: roundQuantity(summary.extraValue + (value > 0 ? value : 0)),
+      netValue: roundQuantity(summary.netValue + value)
+    };
+  }, { productsCounted: 0, productsWithVariance: 0, missingValue: 0, extraValue: 0, netValue: 0 });
+};
+
+/**
+ * Printable count sheet with an empty column for the counted quantity
+ * @param {Array} lines - buildStockTakeLines result
+ * @param {Object} options
+ * @param {string} options.shopName - Shop name for the heading
+ * @param {boolean} options.showSystem - Print the system quantity (a blind count leaves it out)
+ * @returns {string} HTML document
+ */
+export const renderCountSheetHtml = (lines, { shopName = 'Ayubo Cafe', showSystem = false } = {}) => {
+  const rows = lines.map(line => `<tr>
+  <td>${escapeHtml(line.name)}</td>
+  ${showSystem ? `<td class="r">${escapeHtml(line.system_quantity)}</td>` : ''}
+  <td class="count">${line.is_weight_based ? 'kg' : ''}</td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Stock Count Sheet</title>
+<style>
+  body { font-family: sans-serif; font-size: 12px; margin: 16px; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  th, td { border: 1px solid #999; padding: 6px; text-align: left; }
+  .r { text-align: right; }
+  .count { width: 120px; text-align: right; color: #999; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(shopName)} - Stock Count Sheet</h1>
+<div>Date: ${escapeHtml(new Date().toLocaleString())} &nbsp; Counted by: ____________________</div>
+<table>
+<thead><tr><th>Product</th>${showSystem ? '<th class="r">System</th>' : ''}<th class="r">Counted</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>`;
+};
+
+/**
+ * Submit counted quantities for the owner to approve
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Array} lines - buildStockTakeLines result
+ * @param {Object} counts - { [product_id]: counted quantity } (uncounted products are left out)
+ * @param {string} userId - User who counted
+ * @param {string} notes - Optional notes
+ * @returns {Promise<Object>} { id } of the stock take or error
+ */
+export const submitStockTake = async (supabaseClient, lines, counts, userId = null, notes = '') => {
+  try {
+    const items = lines
+      .filter(line => counts[line.product_id] !== '' && counts[line.product_id] != null)
+      .map(line => ({
+        product_id: line.product_id,
+        system_quantity: line.system_quantity,
+        counted_quantity: parseFloat(counts[line.product_id])
+      }));
+
+    if (items.length === 0) {
+      throw new Error('Enter at least one counted quantity');
+    }
+
+    if (items.some(item => !(item.counted_quantity >= 0))) {
+      throw new Error('Counted quantities must be 0 or more');
+    }
+
+    const { data, error } = await supabaseClient.rpc('submit_stock_take', {
+      p_items: items,
+      p_counted_by: userId,
+      p_notes: notes
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error submitting stock take:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch past stock takes with their items, newest first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} Stock takes or error
+ */
+export const fetchStockTakes = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('stock_takes')
+      .select(`
+        *,
+        counter:counted_by (
+          first_name,
+          last_name
+        ),
+        reviewer:reviewed_by (
+          first_name,
+          last_name
+        ),
+        stock_take_items (
+          id,
+          product_id,
+          product_name,
+          unit_price,
+          system_quantity,
+          counted_quantity,
+          variance,
+          variance_value
+        )
+      `)
+      .order('counted_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching stock takes:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Approve a stock take's variances and correct the batches (owner only)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} stockTakeId - Stock take ID
+ * @param {string} reason - Why the variances are accepted
+ * @param {string} userId - Owner approving
+ * @returns {Promise<Object>} { id, products_adjusted } or error
+ */
+export const approveStockTake = async (supabaseClient, stockTakeId, reason, userId) => {
+  try {
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required to approve stock adjustments');
+    }
+
+    const { data, error } = await supabaseClient.rpc('approve_stock_take', {
+      p_stock_take_id: stockTakeId,
+      p_reason: reason.trim(),
+      p_approved_by: userId
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error approving stock take:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Reject a stock take without changing stock (owner only)
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} stockTakeId - Stock take ID
+ * @param {string} reason - Why the count is rejected (e.g. recount needed)
+ * @param {string} userId - Owner rejecting
+ * @returns {Promise<Object>} { id } or error
+ */
+export const rejectStockTake = async (supabaseClient, stockTakeId, reason, userId) => {
+  try {
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required to reject a stock take');
+    }
+
+    const { data, error } = await supabaseClient.rpc('reject_stock_take', {
+      p_stock_take_id: stockTakeId,
+      p_reason: reason.trim(),
+      p_rejected_by: userId
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error rejecting stock take:', error);
+    return { data: null, error };
+  }
+};
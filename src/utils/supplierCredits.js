@@ -0,0 +1,295 @@
+/**
+ * Supplier Credit Utilities
+ * Whether the bakery credited us for what was returned. Credit notes are
+ * recorded against one or more returns by record_supplier_credit_note,
+ * which keeps each return's credited_value; the rest is outstanding.
+ */
+
+import { escapeHtml } from './printing';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** Returns still not fully credited after this many days are flagged */
+export const CREDIT_OVERDUE_DAYS = 7;
+
+/** Credit statuses of a return */
+export const CREDIT_STATUS = {
+  UNCREDITED: 'uncredited',
+  PARTIAL: 'partial',
+  CREDITED: 'credited'
+};
+
+/**
+ * Value of a return still to be credited
+ * @param {Object} returnRecord - Return with total_value and credited_value
+ * @returns {number} Outstanding amount
+ */
+export const getOutstandingCredit = (returnRecord) => {
+  return Math.max(0, round2(parseFloat(returnRecord.total_value) - (parseFloat(returnRecord.credited_value) || 0)));
+};
+
+/**
+ * Credit status of a return
+ * @param {Object} returnRecord - Return with total_value and credited_value
+ * @returns {string} CREDIT_STATUS value
+ */
+export const getCreditStatus = (returnRecord) => {
+  if (getOutstandingCredit(returnRecord) === 0) return CREDIT_STATUS.CREDITED;
+  return (parseFloat(returnRecord.credited_value) || 0) > 0 ? CREDIT_STATUS.PARTIAL : CREDIT_STATUS.UNCREDITED;
+};
+
+/**
+ * Check whether a return has waited too long for its credit
+ * @param {Object} returnRecord - Return with return_date, total_value and credited_value
+ * @param {Date} today - Date to measure from
+ * @param {number} days - Days allowed for the credit to arrive
+ * @returns {boolean} True if something is still outstanding after the allowed days
+ */
+export const isCreditOverdue = (returnRecord, today = new Date(), days = CREDIT_OVERDUE_DAYS) => {
+  if (getOutstandingCredit(returnRecord) === 0) return false;
+
+  const [year, month, day] = returnRecord.return_date.split('-').map(Number);
+  const returned = new Date(year, month - 1, day);
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return Math.round((start - returned) / (1000 * 60 * 60 * 24)) >= days;
+};
+
+/**
+ * Returned, credited and outstanding value per supplier
+ * @param {Array} returns - Returns with supplier_id, return_date, total_value and credited_value
+ * @param {Array} suppliers - Suppliers ({ id, name })
+ * @param {Date} today - Date overdue credits are measured from
+ * @returns {Array} [{ supplier_id, name, returned, credited, outstanding, overdueCount }] by name,
+ *   returns without a supplier last as "Not assigned"
+ */
+export const summarizeSupplierBalances = (returns = [], suppliers = [], today = new Date()) => {
+  const bySupplier = new Map();
+
+  returns.forEach(returnRecord => {
+    const supplierId = returnRecord.supplier_id ?? null;
+    if (!bySupplier.has(supplierId)) {
+      bySupplier.set(supplierId, {
+        supplier_id: supplierId,
+        name: supplierId === null
+          ? 'Not assigned'
+          : suppliers.find(supplier => supplier.id === supplierId)?.name || 'Unknown',
+        returned: 0,
+        credited: 0,
+        outstanding: 0,
+        overdueCount: 0
+      });
+    }
+
+    const entry = bySupplier.get(supplierId);
+    entry.returned = round2(entry.returned + parseFloat(returnRecord.total_value));
+    entry.credited = round2(entry.credited + (parseFloat(returnRecord.credited_value) || 0));
+    entry.outstanding = round2(entry.outstanding + getOutstandingCredit(returnRecord));
+    if (isCreditOverdue(returnRecord, today)) entry.overdueCount += 1;
+  });
+
+  return Array.from(bySupplier.values())
+    .sort((a, b) => (a.supplier_id === null) - (b.supplier_id === null) || a.name.localeCompare(b.name));
+};
+
+/**
+ * A supplier's statement: returns owed to us and credit notes received, by date
+ * @param {Array} returns - The supplier's returns with id, return_date and total_value
+ * @param {Array} creditNotes - The supplier's credit notes with credit_note_number, credit_date and amount
+ * @returns {Object} { entries: [{ date, type, reference, returned, credited, balance }], returned, credited, balance }
+ */
+export const buildSupplierStatement = (returns = [], creditNotes = []) => {
+  // Returns come before credits on the same day
+  const lines = [
+    ...returns.map(returnRecord => ({
+      date: returnRecord.return_date,
+      type: 'return',
+      reference: `Return #${returnRecord.id}`,
+      returned: round2(parseFloat(returnRecord.total_value)),
+      credited: 0
+    })),
+    ...creditNotes.map(note => ({
+      date: note.credit_date,
+      type: 'credit',
+      reference: `Credit note ${note.credit_note_number}`,
+      returned: 0,
+      credited: round2(parseFloat(note.amount))
+    }))
+  ].sort((a, b) => a.date.localeCompare(b.date) || (a.type === 'credit') - (b.type === 'credit'));
+
+  let balance = 0;
+  const entries = lines.map(line => {
+    balance = round2(balance + line.returned - line.credited);
+    return { ...line, balance };
+  });
+
+  return {
+    entries,
+    returned: round2(lines.reduce((sum, line) => sum + line.returned, 0)),
+    credited: round2(lines.reduce((sum, line) => sum + line.credited, 0)),
+    balance
+  };
+};
+
+/**
+ * Printable supplier statement
+ * @param {string} supplierName - Supplier
+ * @param {Object} statement - buildSupplierStatement result
+ * @param {Object} options
+ * @param {string} options.startDate - First date covered (YYYY-MM-DD)
+ * @param {string} options.endDate - Last date covered (YYYY-MM-DD)
+ * @param {string} options.shopName - Shop name for the heading
+ * @returns {string} HTML document
+ */
+export const renderSupplierStatementHtml = (supplierName, statement, { startDate, endDate, shopName = 'Ayubo Cafe' } = {}) => {
+  const rows = statement.entries.map(entry => `<tr>
+  <td>${escapeHtml(entry.date)}</td>
+  <td>${escapeHtml(entry.reference)}</td>
+  <td class="r">${entry.returned ? entry.returned.toFixed(2) : ''}</td>
+  <td class="r">${entry.credited ? entry.credited.toFixed(2) : ''}</td>
+  <td class="r">${entry.balance.toFixed(2)}</td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Supplier Statement</title>
+<style>
+  body { font-family: sans-serif; font-size: 12px; margin: 16px; }
+  h1 { font-size: 16px; margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  th, td { border: 1px solid #999; padding: 6px; text-align: left; }
+  .r { text-align: right; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(shopName)} - Returns Statement for ${escapeHtml(supplierName)}</h1>
+<div>Period: ${escapeHtml(startDate || 'start')} to ${escapeHtml(endDate || 'today')}</div>
+<table>
+<thead><tr><th>Date</th><th>Reference</th><th class="r">Returned (Rs.)</th><th class="r">Credited (Rs.)</th><th class="r">Balance (Rs.)</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+<tfoot><tr><th colspan="2">Total</th><th class="r">${statement.returned.toFixed(2)}</th><th class="r">${statement.credited.toFixed(2)}</th><th class="r">${statement.balance.toFixed(2)}</th></tr></tfoot>
+</table>
+</body>
+</html>`;
+};
+
+/**
+ * Fetch returns with credit still outstanding, oldest first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} Returns or error
+ */
+export const fetchUncreditedReturns = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('returns')
+      .select('id, return_date, total_value, credited_value, supplier_id')
+      .order('return_date', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+
+    // PostgREST cannot compare two columns, so fully credited returns are dropped here
+    return { data: (data || []).filter(returnRecord => getOutstandingCredit(returnRecord) > 0), error: null };
+  } catch (error) {
+    console.error('Error fetching uncredited returns:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Fetch a supplier's returns and credit notes for a date range
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} supplierId - Supplier ID
+ * @param {string} startDate - First date (YYYY-MM-DD), or null for all
+ * @param {string} endDate - Last date (YYYY-MM-DD), or null for all
+ * @returns {Promise<Object>} { returns, creditNotes } or error
+ */
+export const fetchSupplierStatement = async (supabaseClient, supplierId, startDate = null, endDate = null) => {
+  try {
+    let returnsQuery = supabaseClient
+      .from('returns')
+      .select('id, return_date, total_value, credited_value')
+      .eq('supplier_id', supplierId);
+    let creditsQuery = supabaseClient
+      .from('supplier_credit_notes')
+      .select('id, credit_note_number, credit_date, amount, notes, supplier_credit_note_returns (return_id, amount)')
+      .eq('supplier_id', supplierId);
+
+    if (startDate) {
+      returnsQuery = returnsQuery.gte('return_date', startDate);
+      creditsQuery = creditsQuery.gte('credit_date', startDate);
+    }
+    if (endDate) {
+      returnsQuery = returnsQuery.lte('return_date', endDate);
+      creditsQuery = creditsQuery.lte('credit_date', endDate);
+    }
+
+    const [returnsResult, creditsResult] = await Promise.all([returnsQuery, creditsQuery]);
+
+    if (returnsResult.error) throw returnsResult.error;
+    if (creditsResult.error) throw creditsResult.error;
+
+    return {
+      data: { returns: returnsResult.data || [], creditNotes: creditsResult.data || [] },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error fetching supplier statement:', error);
+    return { data: { returns: [], creditNotes: [] }, error };
+  }
+};
+
+/**
+ * Record a supplier credit note against returns
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} creditNote
+ * @param {number} creditNote.supplierId - Supplier issuing the credit
+ * @param {string} creditNote.creditNoteNumber - Number on the supplier's credit note
+ * @param {string} creditNote.creditDate - Date of the credit note (YYYY-MM-DD), defaults to today
+ * @param {Object} creditNote.allocations - { [return id]: amount credited }
+ * @param {string} creditNote.notes - Optional notes
+ * @param {string} userId - User recording the credit
+ * @returns {Promise<Object>} { id, amount } or error
+ */
+export const recordSupplierCreditNote = async (supabaseClient, creditNote, userId = null) => {
+  try {
+    const { supplierId, creditNoteNumber, creditDate = null, allocations = {}, notes = '' } = creditNote;
+
+    if (!supplierId) {
+      throw new Error('Select a supplier');
+    }
+    if (!creditNoteNumber || !creditNoteNumber.trim()) {
+      throw new Error('Credit note number is required');
+    }
+
+    const items = Object.entries(allocations)
+      .filter(([, amount]) => amount !== '' && amount != null)
+      .map(([returnId, amount]) => ({ return_id: parseInt(returnId), amount: parseFloat(amount) }));
+
+    if (items.length === 0) {
+      throw new Error('Select at least one return to credit');
+    }
+    if (items.some(item => !(item.amount > 0))) {
+      throw new Error('Credited amounts must be greater than 0');
+    }
+
+    const { data, error } = await supabaseClient.rpc('record_supplier_credit_note', {
+      p_supplier_id: supplierId,
+      p_credit_note_number: creditNoteNumber.trim(),
+      p_allocations: items,
+      p_credit_date: creditDate || null,
+      p_notes: notes,
+      p_created_by: userId
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error recording supplier credit note:', error);
+    return { data: null, error };
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Supplier Utilities
+ * The central bakery and other suppliers that deliver stock.
+ */
+
+/**
+ * Fetch suppliers by name
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Only suppliers still in use
+ * @returns {Promise<Object>} Suppliers or error
+ */
+export const fetchSuppliers = async (supabaseClient, { activeOnly = false } = {}) => {
+  try {
+    let query = supabaseClient
+      .from('suppliers')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Create or update a supplier
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} supplier - Supplier with name and optional contact_name, phone, email
+ * @returns {Promise<Object>} Saved supplier or error
+ */
+export const saveSupplier = async (supabaseClient, supplier) => {
+  try {
+    if (!supplier.name || !supplier.name.trim()) {
+      throw new Error('Supplier name is required');
+    }
+
+    const email = supplier.email?.trim() || null;
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('Enter a valid email address');
+    }
+
+    const row = {
+      name: supplier.name.trim(),
+      contact_name: supplier.contact_name?.trim() || null,
+      phone: supplier.phone?.trim() || null,
+      email,
+      is_active: supplier.is_active !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = supplier.id
+      ? supabaseClient.from('suppliers').update(row).eq('id', supplier.id)
+      : supabaseClient.from('suppliers').insert([row]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('A supplier with this name already exists');
+      }
+      throw error;
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving supplier:', error);
+    return { data: null, error };
+  }
+};
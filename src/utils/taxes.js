@@ -0,0 +1,455 @@
+/**
+ * Tax Utilities
+ * Tax and service charge calculation shared by the POS and the customer
+ * checkout:
+ * - Tax rates apply to every product or to selected products/categories
+ * - Inclusive rates are already in the price; exclusive rates are added on top
+ * - An optional service charge is added to dine-in POS bills
+ *
+ * Taxes are worked out per line on the amount left after discounts
+ * (applyPromotions()). The service charge is a percentage of the same net
+ * amount and is not taxed. Lines keep their tax and service charge so the
+ * stored line subtotal is what the customer paid for it.
+ */
+
+import { PROMOTION_CHANNELS } from './promotions';
+
+export const TAX_KINDS = {
+  TAX: 'tax',
+  SERVICE_CHARGE: 'service_charge'
+};
+
+export const SERVICE_CHARGE_CONFIG_KEY = 'service_charge_percentage';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check whether a tax rate applies to a line
+ * @param {Object} taxRate - tax_rates row
+ * @param {Object} line - Line with {product_id, category_ids}
+ * @param {string} channel - 'pos' or 'online'
+ * @returns {boolean} True if the line is taxed at this rate
+ */
+export const taxRateMatchesLine = (taxRate, line, channel = PROMOTION_CHANNELS.POS) => {
+  if (!taxRate || !taxRate.is_active) return false;
+  if (taxRate.applies_to_all) return true;
+
+  const categories = taxRate.category_ids || [];
+  if ((line.category_ids || []).some(categoryId => categories.includes(categoryId))) {
+    return true;
+  }
+
+  const productIds = (channel === PROMOTION_CHANNELS.ONLINE
+    ? taxRate.catalog_product_ids
+    : taxRate.pos_product_ids) || [];
+  return productIds.map(String).includes(String(line.product_id));
+};
+
+/**
+ * Work out the taxes on one line
+ * Inclusive rates are taken out of the net amount together, so VAT and SSCL
+ * on the same item share one taxable base; exclusive rates use that base too.
+ * @param {number} net - Line amount after discounts
+ * @param {Array} taxRates - Rates that apply to the line
+ * @returns {Object} { taxable, entries: [{taxRate, amount}], inclusiveTax, exclusiveTax }
+ */
+export const calculateLineTaxes = (net, taxRates = []) => {
+  const inclusive = taxRates.filter(taxRate => taxRate.is_inclusive);
+  const exclusive = taxRates.filter(taxRate => !taxRate.is_inclusive);
+  const inclusiveRate = inclusive.reduce((sum, taxRate) => sum + (parseFloat(taxRate.rate) || 0), 0);
+
+  const taxable = round2(net / (1 + inclusiveRate / 100));
+  const entries = [];
+
+  // The last inclusive rate takes the rounding so base + tax = net
+  let inclusiveTax = 0;
+  inclusive.forEach((taxRate, index) => {
+    const amount = index === inclusive.length - 1
+      ? round2(net - taxable - inclusiveTax)
+      : round2(taxable * (parseFloat(taxRate.rate) || 0) / 100);
+    inclusiveTax = round2(inclusiveTax + amount);
+    entries.push({ taxRate, amount });
+  });
+
+  let exclusiveTax = 0;
+  exclusive.forEach(taxRate => {
+    const amount = round2(taxable * (parseFloat(taxRate.rate) || 0) / 100);
+    exclusiveTax = round2(exclusiveTax + amount);
+    entries.push({ taxRate, amount });
+  });
+
+  return { taxable, entries, inclusiveTax, exclusiveTax };
+};
+
+/**
+ * Add taxes and service charge to priced lines
+ * @param {Object} pricing - applyPromotions() result
+ * @param {Array} taxRates - tax_rates rows
+ * @param {Object} options - Tax options
+ * @param {string} options.channel - 'pos' or 'online'
+ * @param {number} options.serviceChargeRate - Service charge percentage (0 for none)
+ * @returns {Object} pricing plus { taxes, taxTotal, inclusiveTaxTotal, exclusiveTaxTotal, serviceCharge }
+ *   with tax_amount, exclusive_tax_amount and service_charge_amount on each line
+ *   and total including exclusive tax and service charge
+ */
+export const applyTaxes = (pricing, taxRates = [], {
+  channel = PROMOTION_CHANNELS.POS,
+  serviceChargeRate = 0
+} = {}) => {
+  const breakdown = {};
+  const serviceRate = parseFloat(serviceChargeRate) || 0;
+  let serviceTaxable = 0;
+
+  const lines = (pricing.lines || []).map(line => {
+    const net = line.net ?? line.gross ?? 0;
+    const matching = taxRates.filter(taxRate => taxRateMatchesLine(taxRate, line, channel));
+    const { taxable, entries, inclusiveTax, exclusiveTax } = calculateLineTaxes(net, matching);
+
+    entries.forEach(({ taxRate, amount }) => {
+      if (amount <= 0) return;
+      const entry = breakdown[taxRate.id] || (breakdown[taxRate.id] = {
+        kind: TAX_KINDS.TAX,
+        tax_rate_id: taxRate.id,
+        name: taxRate.name,
+        rate: parseFloat(taxRate.rate) || 0,
+        is_inclusive: !!taxRate.is_inclusive,
+        taxable_amount: 0,
+        amount: 0
+      });
+      entry.taxable_amount = round2(entry.taxable_amount + taxable);
+      entry.amount = round2(entry.amount + amount);
+    });
+
+    const serviceCharge = serviceRate > 0 ? round2(net * serviceRate / 100) : 0;
+    serviceTaxable = round2(serviceTaxable + net);
+
+    return {
+      ...line,
+      tax_amount: round2(inclusiveTax + exclusiveTax),
+      exclusive_tax_amount: exclusiveTax,
+      service_charge_amount: serviceCharge,
+      line_total: round2(net + exclusiveTax + serviceCharge)
+    };
+  });
+
+  const taxes = Object.values(breakdown);
+  const serviceCharge = round2(lines.reduce((sum, line) => sum + line.service_charge_amount, 0));
+  if (serviceCharge > 0) {
+    taxes.push({
+      kind: TAX_KINDS.SERVICE_CHARGE,
+      tax_rate_id: null,
+      name: 'Service Charge',
+      rate: serviceRate,
+      is_inclusive: false,
+      taxable_amount: serviceTaxable,
+      amount: serviceCharge
+    });
+  }
+
+  const taxTotal = round2(lines.reduce((sum, line) => sum + line.tax_amount, 0));
+  const exclusiveTaxTotal = round2(lines.reduce((sum, line) => sum + line.exclusive_tax_amount, 0));
+
+  return {
+    ...pricing,
+    lines,
+    taxes,
+    taxTotal,
+    inclusiveTaxTotal: round2(taxTotal - exclusiveTaxTotal),
+    exclusiveTaxTotal,
+    serviceCharge,
+    total: round2(pricing.total + exclusiveTaxTotal + serviceCharge)
+  };
+};
+
+/**
+ * Describe a tax rate for lists and receipts
+ * @param {Object} taxRate - tax_rates or bill_taxes row
+ * @returns {string} e.g. "VAT 18%"
+ */
+export const describeTaxRate = (taxRate) => {
+  return `${taxRate.name} ${parseFloat(taxRate.rate) || 0}%`;
+};
+
+/**
+ * Fetch tax rates
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} options - { activeOnly }
+ * @returns {Promise<Object>} Tax rates or error
+ */
+export const fetchTaxRates = async (supabaseClient, { activeOnly = true } = {}) => {
+  try {
+    let query = supabaseClient
+      .from('tax_rates')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching tax rates:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Validate a tax rate before saving it
+ * @param {Object} taxRate - Tax rate form values
+ * @returns {Object} { isValid, errors }
+ */
+export const validateTaxRate = (taxRate) => {
+  const errors = [];
+  const rate = parseFloat(taxRate.rate);
+
+  if (!taxRate.name || !taxRate.name.trim()) {
+    errors.push('Name is required');
+  }
+
+  if (!(rate > 0)) {
+    errors.push('Rate must be greater than 0');
+  } else if (rate > 100) {
+    errors.push('Rate cannot be more than 100');
+  }
+
+  if (!taxRate.applies_to_all &&
+      !(taxRate.pos_product_ids?.length) &&
+      !(taxRate.catalog_product_ids?.length) &&
+      !(taxRate.category_ids?.length)) {
+    errors.push('Select the products or categories this tax applies to');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Create or update a tax rate
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} taxRate - Tax rate values (with id to update)
+ * @param {string} userId - Owner saving the rate
+ * @returns {Promise<Object>} Saved tax rate or error
+ */
+export const saveTaxRate = async (supabaseClient, taxRate, userId) => {
+  try {
+    const validation = validateTaxRate(taxRate);
+    if (!validation.isValid) {
+      throw new Error(validation.errors.join(', '));
+    }
+
+    const record = {
+      name: taxRate.name.trim(),
+      rate: parseFloat(taxRate.rate),
+      is_inclusive: !!taxRate.is_inclusive,
+      applies_to_all: !!taxRate.applies_to_all,
+      pos_product_ids: taxRate.applies_to_all ? [] : (taxRate.pos_product_ids || []),
+      catalog_product_ids: taxRate.applies_to_all ? [] : (taxRate.catalog_product_ids || []),
+      category_ids: taxRate.applies_to_all ? [] : (taxRate.category_ids || []),
+      is_active: taxRate.is_active !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = taxRate.id
+      ? supabaseClient.from('tax_rates').update(record).eq('id', taxRate.id)
+      : supabaseClient.from('tax_rates').insert({ ...record, created_by: userId });
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving tax rate:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Switch a tax rate on or off
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} taxRateId - Tax rate ID
+ * @param {boolean} isActive - New state
+ * @returns {Promise<Object>} Updated tax rate or error
+ */
+export const setTaxRateActive = async (supabaseClient, taxRateId, isActive) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('tax_rates')
+      .update({ is_active: isActive, updated_at: new Date().toISOString() })
+      .eq('id', taxRateId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error updating tax rate:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch the dine-in service charge percentage
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Object>} Percentage or error
+ */
+export const fetchServiceChargeRate = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('system_configuration')
+      .select('config_value')
+      .eq('config_key', SERVICE_CHARGE_CONFIG_KEY)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return { data: parseFloat(data?.config_value) || 0, error: null };
+  } catch (error) {
+    console.error('Error fetching service charge:', error);
+    return { data: 0, error };
+  }
+};
+
+/**
+ * Save the dine-in service charge percentage
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {number} percentage - Service charge (0 turns it off)
+ * @param {string} userId - Owner saving the setting
+ * @returns {Promise<Object>} Saved percentage or error
+ */
+export const saveServiceChargeRate = async (supabaseClient, percentage, userId) => {
+  try {
+    const value = parseFloat(percentage);
+    if (!(value >= 0) || value > 100) {
+      throw new Error('Service charge must be between 0 and 100');
+    }
+
+    const { error } = await supabaseClient
+      .from('system_configuration')
+      .upsert({
+        config_key: SERVICE_CHARGE_CONFIG_KEY,
+        config_value: String(value),
+        data_type: 'number',
+        description: 'Service charge added to dine-in POS bills (%)',
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'config_key' });
+
+    if (error) throw error;
+
+    return { data: value, error: null };
+  } catch (error) {
+    console.error('Error saving service charge:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch tax breakdown rows for reporting
+ * @param {Object} supabaseClient - Supabase client instance
+ * @returns {Promise<Array>} bill_taxes rows, newest first
+ */
+export const fetchBillTaxes = async (supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('bill_taxes')
+      .select('id, order_id, customer_order_id, kind, tax_rate_id, name, rate, is_inclusive, taxable_amount, amount, created_at')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching bill taxes:', error);
+    return [];
+  }
+};
+
+/**
+ * Total taxes and service charge by rate for reporting
+ * POS refunds pay back a line with its tax, so the refunded share of each
+ * bill's tax is taken off (spread over the bill's rates by amount).
+ * @param {Array} billTaxes - bill_taxes rows
+ * @param {Array} bills - POS orders with order_items (order_item_id, subtotal, tax_amount, service_charge_amount)
+ * @param {Array} refunds - pos_refunds with pos_refund_items (order_item_id, amount)
+ * @returns {Array} [{ key, kind, name, rate, is_inclusive, taxable, posAmount, onlineAmount, refunded, net }]
+ */
+export const summarizeTaxes = (billTaxes, bills = [], refunds = []) => {
+  const orderItems = {};
+  (bills || []).forEach(bill => {
+    (bill.order_items || []).forEach(item => {
+      orderItems[item.order_item_id] = { ...item, order_id: bill.order_id };
+    });
+  });
+
+  // Refunded tax and service charge per bill
+  const refundedByOrder = {};
+  (refunds || []).forEach(refund => {
+    (refund.pos_refund_items || []).forEach(refundItem => {
+      const item = orderItems[refundItem.order_item_id];
+      const subtotal = parseFloat(item?.subtotal) || 0;
+      if (!item || subtotal <= 0) return;
+
+      const share = (parseFloat(refundItem.amount) || 0) / subtotal;
+      const entry = refundedByOrder[item.order_id] || (refundedByOrder[item.order_id] = { tax: 0, service_charge: 0 });
+      entry.tax += share * (parseFloat(item.tax_amount) || 0);
+      entry.service_charge += share * (parseFloat(item.service_charge_amount) || 0);
+    });
+  });
+
+  const taxByOrder = {};
+  (billTaxes || []).forEach(row => {
+    if (!row.order_id) return;
+    const entry = taxByOrder[row.order_id] || (taxByOrder[row.order_id] = { tax: 0, service_charge: 0 });
+    entry[row.kind] += parseFloat(row.amount) || 0;
+  });
+
+  const summary = {};
+  (billTaxes || []).forEach(row => {
+    const key = row.kind === TAX_KINDS.SERVICE_CHARGE
+      ? `service_charge:${row.rate}`
+      : `${row.tax_rate_id ?? row.name}:${row.rate}`;
+    const entry = summary[key] || (summary[key] = {
+      key,
+      kind: row.kind,
+      name: row.name,
+      rate: parseFloat(row.rate) || 0,
+      is_inclusive: !!row.is_inclusive,
+      taxable: 0,
+      posAmount: 0,
+      onlineAmount: 0,
+      refunded: 0,
+      net: 0
+    });
+
+    const amount = parseFloat(row.amount) || 0;
+    entry.taxable += parseFloat(row.taxable_amount) || 0;
+
+    if (row.order_id) {
+      entry.posAmount += amount;
+      const refunded = refundedByOrder[row.order_id]?.[row.kind] || 0;
+      const billTotal = taxByOrder[row.order_id][row.kind];
+      if (refunded > 0 && billTotal > 0) {
+        entry.refunded += refunded * amount / billTotal;
+      }
+    } else {
+      entry.onlineAmount += amount;
+    }
+  });
+
+  return Object.values(summary)
+    .map(entry => ({
+      ...entry,
+      taxable: round2(entry.taxable),
+      posAmount: round2(entry.posAmount),
+      onlineAmount: round2(entry.onlineAmount),
+      refunded: round2(entry.refunded),
+      net: round2(entry.posAmount + entry.onlineAmount - entry.refunded)
+    }))
+    .sort((a, b) => (a.kind === b.kind ? b.net - a.net : a.kind === TAX_KINDS.TAX ? -1 : 1));
+};
@@ -0,0 +1,255 @@
+/**
+ * Waste Utilities
+ * Stock written off without being sold or returned: dropped, burnt, eaten
+ * by staff, given away as samples or expired. record_waste deducts the
+ * batch and records a waste movement. The shrinkage report puts waste next
+ * to what was returned to the supplier.
+ */
+
+import { toDateKey } from './productionPlanning';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** Why stock was wasted */
+export const WASTE_REASONS = {
+  DAMAGED: 'damaged',
+  EXPIRED: 'expired',
+  STAFF_MEAL: 'staff_meal',
+  SAMPLE: 'sample'
+};
+
+/** Labels for each waste reason */
+export const WASTE_REASON_LABELS = {
+  damaged: 'Damaged',
+  expired: 'Expired',
+  staff_meal: 'Staff meal',
+  sample: 'Sample'
+};
+
+/** Reason key used for supplier returns in the shrinkage report */
+export const RETURNED_REASON = 'returned';
+
+/**
+ * Monday of the week a date falls in
+ * @param {Date|string} date - Date or timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+export const getWeekStart = (date) => {
+  const value = new Date(date);
+  const daysSinceMonday = (value.getDay() + 6) % 7;
+  return toDateKey(new Date(value.getFullYear(), value.getMonth(), value.getDate() - daysSinceMonday));
+};
+
+/**
+ * Value lost on a returned line: its value at the original price less what
+ * the supplier credited
+ * @param {Object} item - return_items row
+ * @returns {number} Value lost
+ */
+const getReturnLoss = (item) => {
+  return round2(parseFloat(item.quantity) * parseFloat(item.original_price) - parseFloat(item.total_return_value));
+};
+
+/**
+ * Combine waste and supplier returns into shrinkage by product, reason and week
+ * @param {Array} wasteEntries - waste_entries with product_id, product_name, quantity, waste_value, reason, created_at
+ * @param {Array} returnItems - return_items with product_id, product_name, quantity, original_price, total_return_value, created_at
+ * @returns {Object} { totals, byProduct (largest loss first), byReason, byWeek (oldest first) }
+ */
+export const buildShrinkageReport = (wasteEntries = [], returnItems = []) => {
+  const totals = { wasteQuantity: 0, wasteValue: 0, returnQuantity: 0, returnValue: 0, totalValue: 0 };
+  const byProduct = new Map();
+  const byReason = new Map();
+  const byWeek = new Map();
+
+  const productEntry = (productId, name) => {
+    const key = productId ?? name;
+    if (!byProduct.has(key)) {
+      byProduct.set(key, {
+        product_id: productId,
+        name: name || 'Unknown',
+        wasteQuantity: 0,
+        wasteValue: 0,
+        returnQuantity: 0,
+        returnValue: 0,
+        totalValue: 0
+      });
+    }
+    return byProduct.get(key);
+  };
+
+  const reasonEntry = (reason) => {
+    if (!byReason.has(reason)) {
+      byReason.set(reason, {
+        reason,
+        label: reason === RETURNED_REASON ? 'Returned to supplier' : WASTE_REASON_LABELS[reason] || reason,
+        quantity: 0,
+        value: 0
+      });
+    }
+    return byReason.get(reason);
+  };
+
+  const weekEntry = (date) => {
+    const week = getWeekStart(date);
+    if (!byWeek.has(week)) {
+      byWeek.set(week, { week, wasteValue: 0, returnValue: 0, totalValue: 0 });
+    }
+    return byWeek.get(week);
+  };
+
+  wasteEntries.forEach(entry => {
+    const quantity = parseFloat(entry.quantity);
+    const value = parseFloat(entry.waste_value);
+
+    const product = productEntry(entry.product_id, entry.product_name);
+    product.wasteQuantity = round2(product.wasteQuantity + quantity);
+    product.wasteValue = round2(product.wasteValue + value);
+
+    const reason = reasonEntry(entry.reason);
+    reason.quantity = round2(reason.quantity + quantity);
+    reason.value = round2(reason.value + value);
+
+    const week = weekEntry(entry.created_at);
+    week.wasteValue = round2(week.wasteValue + value);
+
+    totals.wasteQuantity = round2(totals.wasteQuantity + quantity);
+    totals.wasteValue = round2(totals.wasteValue + value);
+  });
+
+  returnItems.forEach(item => {
+    const quantity = parseFloat(item.quantity);
+    const value = getReturnLoss(item);
+
+    const product = productEntry(item.product_id, item.product_name);
+    product.returnQuantity = round2(product.returnQuantity + quantity);
+    product.returnValue = round2(product.returnValue + value);
+
+    const reason = reasonEntry(RETURNED_REASON);
+    reason.quantity = round2(reason.quantity + quantity);
+    reason.value = round2(reason.value + value);
+
+    const week = weekEntry(item.created_at);
+    week.returnValue = round2(week.returnValue + value);
+
+    totals.returnQuantity = round2(totals.returnQuantity + quantity);
+    totals.returnValue = round2(totals.returnValue + value);
+  });
+
+  totals.totalValue = round2(totals.wasteValue + totals.returnValue);
+
+  return {
+    totals,
+    byProduct: Array.from(byProduct.values())
+      .map(entry => ({ ...entry, totalValue: round2(entry.wasteValue + entry.returnValue) }))
+      .sort((a, b) => b.totalValue - a.totalValue || a.name.localeCompare(b.name)),
+    byReason: Array.from(byReason.values()).sort((a, b) => b.value - a.value),
+    byWeek: Array.from(byWeek.values())
+      .map(entry => ({ ...entry, totalValue: round2(entry.wasteValue + entry.returnValue) }))
+      .sort((a, b) => a.week.localeCompare(b.week))
+  };
+};
+
+/**
+ * Write off stock from a batch
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {Object} waste - Waste details
+ * @param {number} waste.batchId - Batch the stock is taken from
+ * @param {number|string} waste.quantity - Quantity wasted
+ * @param {string} waste.reason - One of WASTE_REASONS
+ * @param {string} waste.recordedBy - User recording the waste
+ * @param {string} waste.notes - Optional notes, e.g. "Dropped tray"
+ * @returns {Promise<Object>} { id, product_name, quantity, waste_value } or error
+ */
+export const recordWaste = async (supabaseClient, { batchId, quantity, reason, recordedBy, notes = '' }) => {
+  try {
+    if (!batchId) {
+      throw new Error('Choose the batch the stock came from');
+    }
+
+    const wastedQuantity = parseFloat(quantity);
+    if (!(wastedQuantity > 0)) {
+      throw new Error('Wasted quantity must be more than 0');
+    }
+
+    if (!Object.values(WASTE_REASONS).includes(reason)) {
+      throw new Error('Choose a waste reason');
+    }
+
+    const { data, error } = await supabaseClient.rpc('record_waste', {
+      p_batch_id: batchId,
+      p_quantity: wastedQuantity,
+      p_reason: reason,
+      p_recorded_by: recordedBy,
+      p_notes: notes
+    });
+
+    if (error) throw error;
+
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error recording waste:', error);
+    return { data: null, error };
+  }
+};
+
+/**
+ * Fetch waste entries since a date, newest first
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} since - ISO date to fetch from
+ * @returns {Promise<Object>} Waste entries (with recorder) or error
+ */
+export const fetchWasteEntries = async (supabaseClient, since) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('waste_entries')
+      .select(`
+        *,
+        recorder:recorded_by (
+          first_name,
+          last_name
+        )
+      `)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error fetching waste entries:', error);
+    return { data: [], error };
+  }
+};
+
+/**
+ * Fetch waste entries and returned items since a date for the shrinkage report
+ * @param {Object} supabaseClient - Supabase client instance
+ * @param {string} since - ISO date to report from
+ * @returns {Promise<Object>} { wasteEntries, returnItems } or error
+ */
+export const fetchShrinkageReport = async (supabaseClient, since) => {
+  try {
+    const [wasteResult, returnResult] = await Promise.all([
+      supabaseClient
+        .from('waste_entries')
+        .select('product_id, product_name, quantity, waste_value, reason, created_at')
+        .gte('created_at', since),
+      supabaseClient
+        .from('return_items')
+        .select('product_id, product_name, quantity, original_price, total_return_value, created_at')
+        .gte('created_at', since)
+    ]);
+
+    if (wasteResult.error) throw wasteResult.error;
+    if (returnResult.error) throw returnResult.error;
+
+    return {
+      data: { wasteEntries: wasteResult.data || [], returnItems: returnResult.data || [] },
+      error: null
+    };
+  } catch (error) {
+    console.error('Error fetching shrinkage report:', error);
+    return { data: { wasteEntries: [], returnItems: [] }, error };
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * Barcode Tests
+ *
+ * Tests for product barcodes, PLU codes and weight/price-embedded
+ * scale labels at the POS
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateCheckDigit,
+  isValidBarcode,
+  decodeEmbeddedBarcode,
+  resolveScannedCode,
+  validateProductCodes,
+  getScaleBarcodeSettings,
+  saveScaleBarcodeSettings
+} from '../../src/utils/barcodes';
+
+const withCheckDigit = (digits) => `${digits}${calculateCheckDigit(digits)}`;
+
+const products = [
+  { product_id: 1, name: 'Cashew Bar', price: 150, is_weight_based: false, barcode: '4006381333931', plu_code: null },
+  { product_id: 33, name: 'Butter Cake', price: 1000, is_weight_based: true, barcode: null, plu_code: '42' },
+  { product_id: 6, name: 'Fish Bun', price: 70, is_weight_based: false, barcode: null, plu_code: '7' }
+];
+
+describe('Barcodes', () => {
+  describe('isValidBarcode', () => {
+    it('should check the length and check digit', () => {
+      expect(isValidBarcode('4006381333931')).toBe(true);
+      expect(isValidBarcode('4006381333932')).toBe(false);
+      expect(isValidBarcode('96385074')).toBe(true);
+      expect(isValidBarcode('12345')).toBe(false);
+    });
+  });
+
+  describe('decodeEmbeddedBarcode', () => {
+    it('should read the PLU and weight in grams from a weight label', () => {
+      expect(decodeEmbeddedBarcode(withCheckDigit('210004200537'))).toEqual({
+        type: 'weight',
+        pluCode: '00042',
+        weight: 0.537
+      });
+    });
+
+    it('should read the price from a price label', () => {
+      expect(decodeEmbeddedBarcode(withCheckDigit('260004200640'))).toMatchObject({ type: 'price', price: 640 });
+    });
+
+    it('should ignore codes that are not scale labels', () => {
+      expect(decodeEmbeddedBarcode('4006381333931')).toBeNull();
+      expect(decodeEmbeddedBarcode('2100042005370')).toBeNull();
+    });
+
+    it('should follow the prefixes saved for this device', () => {
+      saveScaleBarcodeSettings({ weightPrefixes: ['28'], pricePrefixes: [] });
+
+      expect(getScaleBarcodeSettings().priceDecimals).toBe(0);
+      expect(decodeEmbeddedBarcode(withCheckDigit('280004201000')).weight).toBe(1);
+      expect(decodeEmbeddedBarcode(withCheckDigit('210004201000'))).toBeNull();
+    });
+  });
+
+  describe('resolveScannedCode', () => {
+    it('should find packaged items by barcode and others by PLU', () => {
+      expect(resolveScannedCode(products, '4006381333931').product.product_id).toBe(1);
+      expect(resolveScannedCode(products, ' 007 ')).toEqual({ product: products[2] });
+    });
+
+    it('should bill weight labels to the nearest 10 g', () => {
+      const result = resolveScannedCode(products, withCheckDigit('210004200537'));
+
+      expect(result.product.product_id).toBe(33);
+      expect(result.weight).toBe(0.54);
+    });
+
+    it('should turn a price label into the weight at the till price', () => {
+      expect(resolveScannedCode(products, withCheckDigit('260004200640')).weight).toBe(0.64);
+    });
+
+    it('should explain codes it cannot use', () => {
+      expect(resolveScannedCode(products, withCheckDigit('210009900500')).error).toBe('No product with PLU 99');
+      expect(resolveScannedCode(products, withCheckDigit('210000700500')).error).toBe('Fish Bun is not sold by weight');
+      expect(resolveScannedCode(products, '4796000999990').error).toContain('No product with barcode');
+      expect(resolveScannedCode(products, 'cake').error).toBe('Scan a barcode or type a PLU');
+    });
+  });
+
+  describe('validateProductCodes', () => {
+    it('should reject bad and duplicate codes', () => {
+      const result = validateProductCodes({ barcode: '4006381333932', plu_code: '042' }, products, 6);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Barcode must be a valid EAN-8, EAN-13 or UPC code');
+      expect(result.errors).toContain('That PLU is already used by another product');
+    });
+
+    it('should let a product keep its own codes', () => {
+      expect(validateProductCodes({ barcode: '', plu_code: '42' }, products, 33).isValid).toBe(true);
+    });
+  });
+});
@@ -23,8 +23,11 @@ import {
   getBatchAgeColors,
   sortBatchesByAge,
   getTotalStockForProduct,
-  isValidBatchQuantity
+  isValidBatchQuantity,
+  getShelfLifeSettings,
+  getExpiringTodayBatches
 } from '../../src/utils/batchTracking';
+import { summarizeBatchStock, getExpiredOnlyProducts } from '../../src/utils/inventory';
 
 describe('Batch Tracking Utilities', () => {
   
@@ -136,6 +139,57 @@ describe('Batch Tracking Utilities', () => {
     });
   });
 
+  describe('Per-product shelf life', () => {
+    const creamBun = { product_id: 19, name: 'Cream Bun', shelf_life_days: 2, fresh_days: 0, aging_days: 1 };
+
+    const daysAgo = (days) => {
+      const date = new Date();
+      date.setDate(date.getDate() - days);
+      return date.toISOString().split('T')[0];
+    };
+
+    it('should use the default thresholds when a product sets none', () => {
+      expect(getShelfLifeSettings({ product_id: 13 })).toEqual({ freshDays: 2, agingDays: 7, shelfLifeDays: null });
+      expect(getBatchAgeCategory(30, { product_id: 13 })).toBe('old');
+    });
+
+    it("should use the product's own thresholds and shelf life", () => {
+      expect(getBatchAgeCategory(0, creamBun)).toBe('fresh');
+      expect(getBatchAgeCategory(1, creamBun)).toBe('medium');
+      expect(getBatchAgeCategory(2, creamBun)).toBe('expired');
+      expect(getBatchAgeColors(2, creamBun).bg).toBe('bg-gray-800');
+    });
+
+    it('should list batches on their last day or past expiry, expired first', () => {
+      const batches = [
+        { id: 1, age: 0, products: creamBun },
+        { id: 2, age: 1, products: creamBun },
+        { id: 3, age: 3, products: creamBun },
+        { id: 4, age: 9, products: { product_id: 13 } }
+      ];
+
+      expect(getExpiringTodayBatches(batches).map(batch => [batch.id, batch.daysLeft])).toEqual([[3, -1], [2, 1]]);
+    });
+
+    it('should total expired stock and flag products with only expired stock left', () => {
+      const batches = [
+        { product_id: 19, quantity: 4, date_added: daysAgo(2) },
+        { product_id: 13, quantity: 6, date_added: daysAgo(20) }
+      ];
+      const { stockByProduct, expiredByProduct } = summarizeBatchStock(batches, [creamBun]);
+
+      expect(stockByProduct).toEqual({ 19: 4, 13: 6 });
+      expect(expiredByProduct).toEqual({ 19: 4 });
+
+      const products = [
+        { ...creamBun, stock_quantity: 4, expired_quantity: 4 },
+        { product_id: 13, name: 'Cashew Bar', stock_quantity: 6, expired_quantity: 0 }
+      ];
+      expect(getExpiredOnlyProducts({ product_id: 19, quantity: 1 }, products).map(p => p.name)).toEqual(['Cream Bun']);
+      expect(getExpiredOnlyProducts({ product_id: 13, quantity: 1 }, products)).toEqual([]);
+    });
+  });
+
   describe('getBatchAgeColors (7.3)', () => {
     it('should return green colors for fresh batches (0-2 days)', () => {
       const colors0 = getBatchAgeColors(0);
@@ -0,0 +1,320 @@
+/**
+ * Bill Refund Tests
+ *
+ * Tests for voiding/refunding POS bills: refundable quantities,
+ * refund totals, owner approval and sales report entries
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getRefundableItems,
+  calculateRefundTotal,
+  validateRefundSelection,
+  verifyOwnerApproval,
+  refundPosBill,
+  refundsToSalesEntries,
+  allocateRefundToTenders,
+  describeRefundPayments,
+  fetchBillForReturn
+} from '../../src/utils/billRefunds';
+import { comparePassword } from '../../src/utils/auth';
+
+vi.mock('../../src/utils/auth', () => ({
+  comparePassword: vi.fn()
+}));
+
+const order = {
+  order_id: 42,
+  order_date: '2025-11-03T10:00:00.000Z',
+  value: 210,
+  order_items: [
+    { order_item_id: 1, product_id: 1, quantity: 3, subtotal: 180, products: { name: 'Egg Bun' } },
+    { order_item_id: 2, product_id: 2, quantity: 0.5, subtotal: 30, products: { name: 'Butter Cake' } }
+  ]
+};
+
+const mockUsersQuery = (result) => {
+  const query = {
+    select: vi.fn().mockReturnThis(),
+    eq: vi.fn().mockReturnThis(),
+    single: vi.fn().mockResolvedValue(result)
+  };
+  return { from: vi.fn().mockReturnValue(query), query };
+};
+
+describe('Bill Refunds', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('getRefundableItems', () => {
+    it('should subtract quantities already refunded', () => {
+      const items = getRefundableItems(order, [{ order_item_id: 1, quantity: 1 }]);
+
+      expect(items[0].refunded_quantity).toBe(1);
+      expect(items[0].refundable_quantity).toBe(2);
+      expect(items[0].unit_price).toBe(60);
+      expect(items[1].refundable_quantity).toBe(0.5);
+    });
+
+    it('should return empty array for missing order', () => {
+      expect(getRefundableItems(null)).toEqual([]);
+    });
+  });
+
+  describe('calculateRefundTotal', () => {
+    it('should total selected quantities at the billed unit price', () => {
+      const items = getRefundableItems(order);
+      expect(calculateRefundTotal(items, { 1: 2, 2: 0.25 })).toBe(135);
+    });
+
+    it('should ignore empty quantities', () => {
+      const items = getRefundableItems(order);
+      expect(calculateRefundTotal(items, { 1: '' })).toBe(0);
+    });
+  });
+
+  describe('validateRefundSelection', () => {
+    it('should require a reason and at least one line', () => {
+      const result = validateRefundSelection(getRefundableItems(order), {}, '  ');
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('A reason is required');
+      expect(result.errors).toContain('Select at least one item to refund');
+    });
+
+    it('should reject quantities above what is refundable', () => {
+      const items = getRefundableItems(order, [{ order_item_id: 1, quantity: 2 }]);
+      const result = validateRefundSelection(items, { 1: 2 }, 'Wrong item');
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toContain('Cannot refund more than 1 of Egg Bun');
+    });
+
+    it('should accept a valid selection', () => {
+      const result = validateRefundSelection(getRefundableItems(order), { 1: 3, 2: 0.5 }, 'Customer cancelled');
+      expect(result.isValid).toBe(true);
+    });
+  });
+
+  describe('verifyOwnerApproval', () => {
+    it('should approve an active owner with the correct password', async () => {
+      const { from } = mockUsersQuery({
+        data: { user_id: 'owner-1', username: 'owner', role: 'owner', is_active: true, password_hash: 'hash' },
+        error: null
+      });
+      comparePassword.mockResolvedValue(true);
+
+      const result = await verifyOwnerApproval({ from }, 'owner', 'secret');
+
+      expect(result.error).toBeNull();
+      expect(result.data.user_id).toBe('owner-1');
+      expect(result.data.password_hash).toBeUndefined();
+    });
+
+    it('should reject cashiers', async () => {
+      const { from } = mockUsersQuery({
+        data: { user_id: 'cashier-1', username: 'cashier', role: 'cashier', is_active: true, password_hash: 'hash' },
+        error: null
+      });
+      comparePassword.mockResolvedValue(true);
+
+      const result = await verifyOwnerApproval({ from }, 'cashier', 'secret');
+
+      expect(result.data).toBeNull();
+      expect(result.error.message).toContain('Owner approval failed');
+    });
+
+    it('should reject a wrong password', async () => {
+      const { from } = mockUsersQuery({
+        data: { user_id: 'owner-1', username: 'owner', role: 'owner', is_active: true, password_hash: 'hash' },
+        error: null
+      });
+      comparePassword.mockResolvedValue(false);
+
+      const result = await verifyOwnerApproval({ from }, 'owner', 'wrong');
+
+      expect(result.data).toBeNull();
+      expect(result.error).toBeTruthy();
+    });
+  });
+
+  describe('refundPosBill', () => {
+    it('should call refund_pos_bill with restock defaulting to true', async () => {
+      const client = {
+        rpc: vi.fn().mockResolvedValue({
+          data: { refund_id: 7, order_id: 42, refund_type: 'refund', total_amount: 60, order_status: 'partially_refunded' },
+          error: null
+        })
+      };
+
+      const result = await refundPosBill(client, {
+        orderId: 42,
+        items: [{ order_item_id: 1, quantity: '1' }],
+        reason: ' Wrong item ',
+        requestedBy: 'cashier-1',
+        approvedBy: 'owner-1'
+      });
+
+      expect(result.error).toBeNull();
+      expect(result.data.refund_id).toBe(7);
+      expect(client.rpc).toHaveBeenCalledWith('refund_pos_bill', {
+        p_order_id: 42,
+        p_items: [{ order_item_id: 1, quantity: 1, restock: true }],
+        p_reason: 'Wrong item',
+        p_requested_by: 'cashier-1',
+        p_approved_by: 'owner-1',
+        p_customer_return: false
+      });
+    });
+
+    it('should mark customer returns and pass wasted lines through', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: { refund_id: 8 }, error: null }) };
+
+      await refundPosBill(client, {
+        orderId: 42,
+        items: [{ order_item_id: 2, quantity: 0.5, restock: false }],
+        reason: 'Cake was stale',
+        requestedBy: 'cashier-1',
+        customerReturn: true
+      });
+
+      expect(client.rpc.mock.calls[0][1]).toMatchObject({
+        p_items: [{ order_item_id: 2, quantity: 0.5, restock: false }],
+        p_customer_return: true
+      });
+    });
+
+    it('should not call the database without a reason', async () => {
+      const client = { rpc: vi.fn() };
+
+      const result = await refundPosBill(client, {
+        orderId: 42,
+        items: [{ order_item_id: 1, quantity: 1 }],
+        reason: ''
+      });
+
+      expect(client.rpc).not.toHaveBeenCalled();
+      expect(result.error.message).toBe('A reason is required');
+    });
+
+    it('should surface database errors', async () => {
+      const client = {
+        rpc: vi.fn().mockResolvedValue({ data: null, error: { message: 'Bill #42 has already been voided' } })
+      };
+
+      const result = await refundPosBill(client, {
+        orderId: 42,
+        items: [{ order_item_id: 1, quantity: 1 }],
+        reason: 'Duplicate'
+      });
+
+      expect(result.data).toBeNull();
+      expect(result.error.message).toContain('already been voided');
+    });
+  });
+
+  describe('refundsToSalesEntries', () => {
+    it('should turn refunds into negative sales entries', () => {
+      const entries = refundsToSalesEntries([
+        {
+          id: 7,
+          order_id: 42,
+          refund_type: 'void',
+          reason: 'Duplicate bill',
+          total_amount: '210.00',
+          created_at: '2025-11-03T11:00:00.000Z',
+          pos_refund_items: [{ order_item_id: 1, quantity: 3 }],
+          pos_refund_payments: [{ method: 'cash', amount: '210.00' }]
+        }
+      ]);
+
+      expect(entries).toEqual([{
+        id: 'refund-7',
+        orderId: 42,
+        date: '2025-11-03T11:00:00.000Z',
+        total: -210,
+        refundType: 'void',
+        customerReturn: false,
+        reason: 'Duplicate bill',
+        items: [{ order_item_id: 1, quantity: 3 }],
+        payments: [{ method: 'cash', amount: '210.00' }]
+      }]);
+    });
+  });
+
+  describe('allocateRefundToTenders', () => {
+    const payments = [
+      { method: 'cash', amount: '100.00' },
+      { method: 'card', amount: '150.00' },
+      { method: 'qr', amount: '50.00' }
+    ];
+
+    it('should pay back non-cash tenders first, then cash', () => {
+      expect(allocateRefundToTenders(payments, [], 180)).toEqual([
+        { method: 'card', amount: 150 },
+        { method: 'qr', amount: 30 }
+      ]);
+      expect(allocateRefundToTenders(payments, [], 260)).toEqual([
+        { method: 'card', amount: 150 },
+        { method: 'qr', amount: 50 },
+        { method: 'cash', amount: 60 }
+      ]);
+    });
+
+    it('should skip what earlier refunds already paid back', () => {
+      const earlier = [{ method: 'card', amount: '150.00' }, { method: 'qr', amount: '20.00' }];
+
+      expect(allocateRefundToTenders(payments, earlier, 70)).toEqual([
+        { method: 'qr', amount: 30 },
+        { method: 'cash', amount: 40 }
+      ]);
+      expect(describeRefundPayments(allocateRefundToTenders(payments, earlier, 70))).toBe('QR 30.00 • Cash 40.00');
+    });
+
+    it('should pay back in cash for bills without payment lines', () => {
+      expect(allocateRefundToTenders([], [], 45.5)).toEqual([{ method: 'cash', amount: 45.5 }]);
+    });
+  });
+
+  describe('fetchBillForReturn', () => {
+    const clientFor = (bill, refunds = []) => ({
+      from: vi.fn(table => {
+        const result = table === 'orders'
+          ? { data: bill, error: null }
+          : { data: refunds, error: null };
+        const query = {
+          select: () => query,
+          eq: () => query,
+          maybeSingle: () => Promise.resolve(result),
+          then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+        };
+        return query;
+      })
+    });
+
+    it('should return the bill with its earlier refunds', async () => {
+      const client = clientFor({ ...order, status: 'partially_refunded' }, [
+        { id: 7, pos_refund_items: [{ order_item_id: 1, quantity: 1 }], pos_refund_payments: [{ method: 'cash', amount: 60 }] }
+      ]);
+
+      const result = await fetchBillForReturn(client, '#42');
+
+      expect(result.error).toBeNull();
+      expect(result.data.bill.order_id).toBe(42);
+      expect(result.data.refundItems).toEqual([{ order_item_id: 1, quantity: 1 }]);
+      expect(result.data.refundPayments).toEqual([{ method: 'cash', amount: 60 }]);
+    });
+
+    it('should reject unknown and fully refunded bills', async () => {
+      const missing = await fetchBillForReturn(clientFor(null), '99');
+      expect(missing.error.message).toBe('Bill #99 not found');
+
+      const voided = await fetchBillForReturn(clientFor({ ...order, status: 'voided' }), 42);
+      expect(voided.error.message).toBe('Bill #42 has already been fully refunded');
+
+      const blank = await fetchBillForReturn(clientFor(order), ' ');
+      expect(blank.error.message).toBe('Enter the bill number from the receipt');
+    });
+  });
+});
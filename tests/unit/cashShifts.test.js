@@ -0,0 +1,196 @@
+/**
+ * Cash Shift Tests
+ *
+ * Tests for cash drawer shifts: denomination counts, cash movements,
+ * expected vs counted cash and X/Z report rendering
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  CASH_MOVEMENT_TYPES,
+  calculateDenominationTotal,
+  openShift,
+  recordCashMovement,
+  buildShiftReport,
+  closeShift,
+  renderShiftReportHtml
+} from '../../src/utils/cashShifts';
+
+const createInsertClient = (response) => {
+  const query = {
+    insert: vi.fn().mockReturnThis(),
+    update: vi.fn().mockReturnThis(),
+    eq: vi.fn().mockReturnThis(),
+    select: vi.fn().mockReturnThis(),
+    single: vi.fn().mockResolvedValue(response)
+  };
+  return { from: vi.fn().mockReturnValue(query), query };
+};
+
+const shift = {
+  id: 5,
+  status: 'open',
+  opened_at: '2025-11-05T08:00:00.000Z',
+  opening_float: '5000.00',
+  counted_cash: null
+};
+
+const activity = {
+  orders: [
+    { order_id: 1, value: '750.00', pos_bill_payments: [{ method: 'cash', amount: '350.00' }, { method: 'card', amount: '400.00' }] },
+    { order_id: 2, value: '1200.00', pos_bill_payments: [{ method: 'cash', amount: '1200.00' }] }
+  ],
+  refunds: [{ id: 1, total_amount: '200.00' }],
+  movements: [
+    { movement_type: 'cash_in', amount: '1000.00', reason: 'Change from bank' },
+    { movement_type: 'cash_out', amount: '450.00', reason: 'Supplier payment' }
+  ]
+};
+
+describe('Cash Shifts', () => {
+  describe('calculateDenominationTotal', () => {
+    it('should total notes and coins', () => {
+      expect(calculateDenominationTotal({ 5000: 1, 1000: '3', 100: 4, 5: 1 })).toBe(8405);
+    });
+
+    it('should ignore empty counts', () => {
+      expect(calculateDenominationTotal({ 1000: '', 500: undefined })).toBe(0);
+    });
+  });
+
+  describe('openShift', () => {
+    it('should open a shift for the user with the float', async () => {
+      const { from, query } = createInsertClient({ data: { id: 5 }, error: null });
+
+      const result = await openShift({ from }, 'user-1', '5000');
+
+      expect(from).toHaveBeenCalledWith('cash_shifts');
+      expect(query.insert).toHaveBeenCalledWith({ opened_by: 'user-1', opening_float: 5000 });
+      expect(result.data.id).toBe(5);
+    });
+
+    it('should explain when another shift is already open', async () => {
+      const { from } = createInsertClient({ data: null, error: { code: '23505', message: 'duplicate key' } });
+
+      const result = await openShift({ from }, 'user-1', 0);
+
+      expect(result.error.message).toContain('already open');
+    });
+
+    it('should reject a negative float', async () => {
+      const { from } = createInsertClient({ data: null, error: null });
+
+      const result = await openShift({ from }, 'user-1', -10);
+
+      expect(from).not.toHaveBeenCalled();
+      expect(result.error).toBeTruthy();
+    });
+  });
+
+  describe('recordCashMovement', () => {
+    it('should require a reason', async () => {
+      const { from } = createInsertClient({ data: null, error: null });
+
+      const result = await recordCashMovement({ from }, {
+        shiftId: 5, type: CASH_MOVEMENT_TYPES.CASH_OUT, amount: 100, reason: ' ', userId: 'user-1'
+      });
+
+      expect(from).not.toHaveBeenCalled();
+      expect(result.error.message).toBe('A reason is required');
+    });
+
+    it('should insert the movement', async () => {
+      const { from, query } = createInsertClient({ data: { id: 1 }, error: null });
+
+      await recordCashMovement({ from }, {
+        shiftId: 5, type: CASH_MOVEMENT_TYPES.CASH_OUT, amount: '450', reason: 'Supplier payment', userId: 'user-1'
+      });
+
+      expect(query.insert).toHaveBeenCalledWith({
+        shift_id: 5,
+        movement_type: 'cash_out',
+        amount: 450,
+        reason: 'Supplier payment',
+        created_by: 'user-1'
+      });
+    });
+  });
+
+  describe('buildShiftReport', () => {
+    it('should calculate expected cash from float, cash sales, movements and refunds', () => {
+      const report = buildShiftReport(shift, activity, 'X');
+
+      expect(report.billCount).toBe(2);
+      expect(report.grossSales).toBe(1950);
+      expect(report.netSales).toBe(1750);
+      expect(report.cashSales).toBe(1550);
+      expect(report.cashIn).toBe(1000);
+      expect(report.cashOut).toBe(450);
+      // 5000 + 1550 + 1000 - 450 - 200
+      expect(report.expectedCash).toBe(6900);
+      expect(report.variance).toBeNull();
+    });
+
+    it('should only take refunds paid back in cash out of the drawer', () => {
+      const report = buildShiftReport(shift, {
+        ...activity,
+        refunds: [
+          { id: 1, total_amount: '200.00', pos_refund_payments: [{ method: 'card', amount: '150.00' }, { method: 'cash', amount: '50.00' }] },
+          { id: 2, total_amount: '80.00', pos_refund_payments: [{ method: 'qr', amount: '80.00' }] }
+        ]
+      }, 'X');
+
+      expect(report.refundsTotal).toBe(280);
+      expect(report.cashRefunds).toBe(50);
+      // 5000 + 1550 + 1000 - 450 - 50
+      expect(report.expectedCash).toBe(7050);
+    });
+
+    it('should report variance for a closed shift against its stored expected cash', () => {
+      const closed = { ...shift, status: 'closed', expected_cash: '6900.00', counted_cash: '6850.00' };
+
+      const report = buildShiftReport(closed, activity, 'Z');
+
+      expect(report.expectedCash).toBe(6900);
+      expect(report.countedCash).toBe(6850);
+      expect(report.variance).toBe(-50);
+    });
+  });
+
+  describe('closeShift', () => {
+    it('should store the count, expected cash and variance', async () => {
+      const { from, query } = createInsertClient({ data: { id: 5, status: 'closed' }, error: null });
+
+      await closeShift({ from }, shift, {
+        userId: 'user-1',
+        denominationCounts: { 5000: 1, 1000: 1, 500: 1, 100: 3 },
+        expectedCash: 6900,
+        notes: ''
+      });
+
+      const update = query.update.mock.calls[0][0];
+      expect(update.status).toBe('closed');
+      expect(update.counted_cash).toBe(6800);
+      expect(update.cash_variance).toBe(-100);
+      expect(update.closing_notes).toBeNull();
+      expect(query.eq).toHaveBeenCalledWith('status', 'open');
+    });
+  });
+
+  describe('renderShiftReportHtml', () => {
+    it('should render a Z report with escaped text', () => {
+      const report = buildShiftReport(
+        { ...shift, status: 'closed', closed_at: '2025-11-05T18:00:00.000Z', expected_cash: 6900, counted_cash: 6900 },
+        { ...activity, movements: [{ movement_type: 'cash_out', amount: '50.00', reason: '<b>milk</b>' }] },
+        'Z'
+      );
+
+      const html = renderShiftReportHtml(report, { cashierName: 'Nimal' });
+
+      expect(html).toContain('Z REPORT');
+      expect(html).toContain('Nimal');
+      expect(html).toContain('&lt;b&gt;milk&lt;/b&gt;');
+      expect(html).not.toContain('<b>milk</b>');
+    });
+  });
+});
@@ -155,6 +155,25 @@ describe('Customer Orders Utility', () => {
       expect(result.depositAmount).toBe(400);
       expect(result.remainingBalance).toBe(600);
     });
+
+    it('should take the deposit on the discounted total', () => {
+      const result = calculateOrderTotals(5000, 40, 500);
+
+      expect(result.subtotal).toBe(5000);
+      expect(result.discountTotal).toBe(500);
+      expect(result.totalAmount).toBe(4500);
+      expect(result.depositAmount).toBe(1800);
+      expect(result.remainingBalance).toBe(2700);
+    });
+
+    it('should add exclusive tax before taking the deposit', () => {
+      const result = calculateOrderTotals(5000, 40, 500, 810);
+
+      expect(result.exclusiveTaxTotal).toBe(810);
+      expect(result.totalAmount).toBe(5310);
+      expect(result.depositAmount).toBe(2124);
+      expect(result.remainingBalance).toBe(3186);
+    });
   });
 
   describe('createCustomerOrder', () => {
@@ -0,0 +1,91 @@
+/**
+ * Fast Billing Tests
+ *
+ * Tests for product hotkeys, quantity multipliers and numeric keypad
+ * entry in the cashier's keyboard mode
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getFastBillingSettings,
+  saveFastBillingSettings,
+  assignDefaultHotkeys,
+  resolveHotkeys,
+  getProductHotkey,
+  setProductHotkey,
+  parseMultiplier,
+  applyKeypadKey
+} from '../../src/utils/fastBilling';
+
+const products = [
+  { product_id: 6, name: 'Fish Bun' },
+  { product_id: 1, name: 'Egg Pastry' },
+  { product_id: 23, name: 'Tea' }
+];
+
+describe('Fast Billing', () => {
+  describe('hotkeys', () => {
+    it('should give the default keys to the best sellers', () => {
+      expect(assignDefaultHotkeys(products)).toEqual({ Q: 6, W: 1, E: 23 });
+    });
+
+    it('should resolve saved keys and drop deleted products', () => {
+      const hotkeys = resolveHotkeys({ T: 23, Z: 999 }, products);
+
+      expect(hotkeys).toEqual({ T: products[2] });
+      expect(getProductHotkey(hotkeys, 23)).toBe('T');
+      expect(getProductHotkey(hotkeys, 6)).toBeNull();
+    });
+
+    it('should move a key to the product it was last given to', () => {
+      const hotkeys = setProductHotkey({ Q: 6, W: 1 }, 23, 'q');
+
+      expect(hotkeys).toEqual({ Q: 23, W: 1 });
+      expect(setProductHotkey(hotkeys, 1, 'A')).toEqual({ Q: 23, A: 1 });
+      expect(setProductHotkey(hotkeys, 1, '')).toEqual({ Q: 23 });
+    });
+
+    it('should remember settings on this device', () => {
+      expect(getFastBillingSettings()).toEqual({ enabled: false, hotkeys: null });
+
+      saveFastBillingSettings({ enabled: true });
+      saveFastBillingSettings({ hotkeys: { Q: 6 } });
+
+      expect(getFastBillingSettings()).toEqual({ enabled: true, hotkeys: { Q: 6 } });
+    });
+  });
+
+  describe('parseMultiplier', () => {
+    it('should accept whole quantities from 1 to 999', () => {
+      expect(parseMultiplier('3')).toBe(3);
+      expect(parseMultiplier('12')).toBe(12);
+      expect(parseMultiplier('0')).toBeNull();
+      expect(parseMultiplier('1000')).toBeNull();
+      expect(parseMultiplier('')).toBeNull();
+      expect(parseMultiplier('2.5')).toBeNull();
+    });
+  });
+
+  describe('applyKeypadKey', () => {
+    it('should build amounts with a single decimal point', () => {
+      let value = '';
+      ['1', '.', '2', '.', '5', '7'].forEach(key => { value = applyKeypadKey(value, key); });
+
+      expect(value).toBe('1.25');
+    });
+
+    it('should start decimals with a zero and drop leading zeros', () => {
+      expect(applyKeypadKey('', '.')).toBe('0.');
+      expect(applyKeypadKey('0', '5')).toBe('5');
+    });
+
+    it('should delete and clear', () => {
+      expect(applyKeypadKey('1000', 'backspace')).toBe('100');
+      expect(applyKeypadKey('1000', 'clear')).toBe('');
+    });
+
+    it('should refuse a decimal point for whole amounts', () => {
+      expect(applyKeypadKey('5', '.', 0)).toBe('5');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Goods Receiving Tests
+ *
+ * Tests for delivery line costs, reconciling deliveries against supplier
+ * invoices and receiving deliveries
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  calculateLineTotal,
+  summarizeReceiptLines,
+  compareInvoiceLine,
+  reconcileReceipt,
+  receiveGoods,
+  reconcileGoodsReceipt
+} from '../../src/utils/goodsReceiving';
+
+const items = [
+  { id: 1, product_name: 'Tea Bun', quantity: '40', unit_cost: '30.00' },
+  { id: 2, product_name: 'Butter Cake', quantity: '2.5', unit_cost: '800.00' }
+];
+
+describe('Goods Receiving', () => {
+  describe('calculateLineTotal', () => {
+    it('should multiply quantity by unit cost', () => {
+      expect(calculateLineTotal('40', '30')).toBe(1200);
+      expect(calculateLineTotal(1.25, 333.33)).toBe(416.66);
+      expect(calculateLineTotal('', '30')).toBe(0);
+    });
+  });
+
+  describe('summarizeReceiptLines', () => {
+    it('should total the delivery cost', () => {
+      expect(summarizeReceiptLines(items)).toEqual({ lineCount: 2, totalQuantity: 42.5, totalCost: 3200 });
+    });
+  });
+
+  describe('compareInvoiceLine', () => {
+    it('should flag a short delivery', () => {
+      expect(compareInvoiceLine(items[0], 45, 30)).toEqual({
+        quantityDifference: -5,
+        costDifference: 0,
+        valueDifference: 150,
+        delivery: 'short',
+        priceMismatch: false
+      });
+    });
+
+    it('should flag an over delivery and a price difference', () => {
+      const comparison = compareInvoiceLine(items[1], '2', '850');
+
+      expect(comparison.delivery).toBe('over');
+      expect(comparison.quantityDifference).toBe(0.5);
+      expect(comparison.priceMismatch).toBe(true);
+    });
+  });
+
+  describe('reconcileReceipt', () => {
+    it('should match an invoice that agrees with the delivery', () => {
+      const result = reconcileReceipt(items, {
+        1: { invoiced_quantity: '40', invoiced_unit_cost: '30' },
+        2: { invoiced_quantity: '2.5', invoiced_unit_cost: '800' }
+      });
+
+      expect(result.hasDiscrepancy).toBe(false);
+      expect(result.complete).toBe(true);
+      expect(result.invoiceTotal).toBe(3200);
+      expect(result.difference).toBe(0);
+    });
+
+    it('should report a discrepancy and incomplete lines', () => {
+      const result = reconcileReceipt(items, {
+        1: { invoiced_quantity: '45', invoiced_unit_cost: '30' },
+        2: { invoiced_quantity: '', invoiced_unit_cost: '800' }
+      });
+
+      expect(result.hasDiscrepancy).toBe(true);
+      expect(result.complete).toBe(false);
+      expect(result.lines[1].comparison).toBeNull();
+      expect(result.invoiceTotal).toBe(1350);
+    });
+  });
+
+  describe('receiveGoods', () => {
+    it('should send the delivery lines to receive_goods', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: { id: 9 }, error: null }) };
+
+      const { data } = await receiveGoods(client, {
+        supplierId: 2,
+        deliveryNoteNumber: ' DN-1001 ',
+        receivedDate: '2025-11-17',
+        lines: [{ product_id: '18', quantity: '40', unit_cost: '30' }, { product_id: '', quantity: '', unit_cost: '' }]
+      }, 'user-1');
+
+      expect(data).toEqual({ id: 9 });
+      expect(client.rpc).toHaveBeenCalledWith('receive_goods', {
+        p_supplier_id: 2,
+        p_delivery_note_number: 'DN-1001',
+        p_items: [{ product_id: 18, quantity: 40, unit_cost: 30 }],
+        p_received_date: '2025-11-17',
+        p_notes: '',
+        p_received_by: 'user-1',
+        p_purchase_order_id: null,
+        p_close_purchase_order: false
+      });
+    });
+
+    it('should require a delivery note number and unit costs', async () => {
+      const client = { rpc: vi.fn() };
+      const lines = [{ product_id: 18, quantity: 40, unit_cost: '' }];
+
+      expect((await receiveGoods(client, { supplierId: 2, deliveryNoteNumber: '', lines })).error.message)
+        .toBe('Delivery note number is required');
+      expect((await receiveGoods(client, { supplierId: 2, deliveryNoteNumber: 'DN-1', lines })).error.message)
+        .toBe('Enter a unit cost for every line');
+      expect(client.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcileGoodsReceipt', () => {
+    it('should send the invoiced quantities and costs', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: { id: 9, status: 'discrepancy' }, error: null }) };
+
+      await reconcileGoodsReceipt(client, 9, 'INV-55', { 1: { invoiced_quantity: '45', invoiced_unit_cost: '30' } }, 'owner-1');
+
+      expect(client.rpc).toHaveBeenCalledWith('reconcile_goods_receipt', {
+        p_receipt_id: 9,
+        p_invoice_number: 'INV-55',
+        p_items: [{ id: 1, invoiced_quantity: 45, invoiced_unit_cost: 30 }],
+        p_reconciled_by: 'owner-1'
+      });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Ingredient Tests
+ *
+ * Tests for ingredient stock status, recipe usage, days of cover,
+ * validation and recording production
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getIngredientStockStatus,
+  calculateIngredientUsage,
+  calculateDaysOfCover,
+  validateIngredient,
+  validateRecipe,
+  recordProduction
+} from '../../src/utils/ingredients';
+
+describe('Ingredients', () => {
+  describe('getIngredientStockStatus', () => {
+    it('should compare stock with the reorder level', () => {
+      expect(getIngredientStockStatus({ stock_quantity: 10, reorder_level: 5 })).toBe('adequate');
+      expect(getIngredientStockStatus({ stock_quantity: 5, reorder_level: 5 })).toBe('low');
+      expect(getIngredientStockStatus({ stock_quantity: 0, reorder_level: 5 })).toBe('out');
+      expect(getIngredientStockStatus({ stock_quantity: -1.5, reorder_level: 0 })).toBe('out');
+    });
+  });
+
+  describe('calculateIngredientUsage', () => {
+    it('should scale the recipe by the quantity produced', () => {
+      const recipe = [
+        { ingredient_id: 1, quantity: 0.05, ingredients: { name: 'Flour', unit: 'kg' } },
+        { ingredient_id: 2, quantity: 1, ingredients: { name: 'Eggs', unit: 'pcs' } }
+      ];
+
+      expect(calculateIngredientUsage(recipe, 30)).toEqual([
+        { ingredient_id: 1, name: 'Flour', unit: 'kg', quantity: 1.5 },
+        { ingredient_id: 2, name: 'Eggs', unit: 'pcs', quantity: 30 }
+      ]);
+    });
+  });
+
+  describe('calculateDaysOfCover', () => {
+    const now = new Date('2025-11-15T12:00:00');
+
+    it('should divide stock by recent daily production use', () => {
+      const movements = [
+        { change: -10, reason: 'production', created_at: '2025-11-14T08:00:00' },
+        { change: -18, reason: 'production', created_at: '2025-11-05T08:00:00' },
+        { change: 50, reason: 'purchase', created_at: '2025-11-10T08:00:00' },
+        { change: -100, reason: 'production', created_at: '2025-10-01T08:00:00' }
+      ];
+
+      // 28 used over 14 days = 2 a day
+      expect(calculateDaysOfCover({ stock_quantity: 9 }, movements, now)).toBe(4);
+    });
+
+    it('should return null without recent production', () => {
+      expect(calculateDaysOfCover({ stock_quantity: 9 }, [], now)).toBeNull();
+    });
+  });
+
+  describe('validation', () => {
+    it('should require a name, unit and reorder level', () => {
+      expect(validateIngredient({ name: 'Flour', unit: 'kg', reorder_level: 5, cost_per_unit: '' }).isValid).toBe(true);
+
+      const result = validateIngredient({ name: ' ', unit: 'cups', reorder_level: -1, cost_per_unit: -2 });
+      expect(result.errors).toEqual([
+        'Name is required',
+        'Choose a unit',
+        'Reorder level must be 0 or more',
+        'Cost must be 0 or more'
+      ]);
+    });
+
+    it('should reject duplicate ingredients and empty quantities in a recipe', () => {
+      expect(validateRecipe([{ ingredient_id: 1, quantity: 0.5 }]).isValid).toBe(true);
+
+      const result = validateRecipe([
+        { ingredient_id: 1, quantity: 0.5 },
+        { ingredient_id: 1, quantity: 0 },
+        { ingredient_id: 2, quantity: '' },
+        { ingredient_id: null, quantity: 1 }
+      ]);
+      expect(result.errors).toEqual([
+        'Each ingredient can only be listed once',
+        'Ingredient quantities must be more than 0',
+        'Choose an ingredient for every line'
+      ]);
+    });
+  });
+
+  describe('recordProduction', () => {
+    it('should record production through the RPC', async () => {
+      const result = { batch: { id: 7 }, low_ingredients: [] };
+      const client = { rpc: vi.fn().mockResolvedValue({ data: result, error: null }) };
+
+      const { data, error } = await recordProduction(client, 18, '30', '2025-11-15', 'user-1');
+
+      expect(error).toBeNull();
+      expect(data).toBe(result);
+      expect(client.rpc).toHaveBeenCalledWith('record_production', {
+        p_product_id: 18,
+        p_quantity: 30,
+        p_date_added: '2025-11-15',
+        p_created_by: 'user-1'
+      });
+    });
+
+    it('should reject a zero quantity without calling the server', async () => {
+      const client = { rpc: vi.fn() };
+
+      const { error } = await recordProduction(client, 18, 0);
+
+      expect(error.message).toBe('Invalid product ID or quantity');
+      expect(client.rpc).not.toHaveBeenCalled();
+    });
+  });
+});
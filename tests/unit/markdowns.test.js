@@ -0,0 +1,129 @@
+/**
+ * Markdown Tests
+ *
+ * Tests for markdown rules on aged batches, POS offers and the
+ * markdowns vs returns comparison
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  calculateMarkdownPrice,
+  markdownRuleApplies,
+  getMarkdownOffers,
+  buildMarkdownCartItem,
+  getBatchCartUsage,
+  summarizeMarkdownsVsReturns,
+  saveMarkdownRule
+} from '../../src/utils/markdowns';
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+};
+
+const creamBun = { product_id: 19, name: 'Cream Bun', price: 60, category_id: 'buns', shelf_life_days: 3 };
+const butterCake = { product_id: 33, name: 'Butter Cake', price: 1000, category_id: 'cakes', is_weight_based: true };
+
+const dayOld = { id: 1, name: 'Day-old', percent_off: '30', min_batch_age_days: 1, start_time: null, is_active: true };
+const eveningCakes = { id: 2, name: 'Evening cakes', percent_off: '20', category_id: 'cakes', min_batch_age_days: null, start_time: '18:00:00', is_active: true };
+
+describe('Markdowns', () => {
+  describe('calculateMarkdownPrice', () => {
+    it('should take the percentage off the list price', () => {
+      expect(calculateMarkdownPrice(60, 30)).toBe(42);
+      expect(calculateMarkdownPrice(155, 15)).toBe(131.75);
+    });
+  });
+
+  describe('markdownRuleApplies', () => {
+    const evening = new Date(2025, 10, 16, 18, 30);
+    const afternoon = new Date(2025, 10, 16, 15, 0);
+
+    it('should apply age rules to batches old enough', () => {
+      expect(markdownRuleApplies(dayOld, creamBun, 1, afternoon)).toBe(true);
+      expect(markdownRuleApplies(dayOld, creamBun, 0, afternoon)).toBe(false);
+    });
+
+    it('should apply time rules from their start time to their category', () => {
+      expect(markdownRuleApplies(eveningCakes, butterCake, 0, evening)).toBe(true);
+      expect(markdownRuleApplies(eveningCakes, butterCake, 0, afternoon)).toBe(false);
+      expect(markdownRuleApplies(eveningCakes, creamBun, 0, evening)).toBe(false);
+    });
+
+    it('should never apply inactive rules or combos', () => {
+      expect(markdownRuleApplies({ ...dayOld, is_active: false }, creamBun, 2, afternoon)).toBe(false);
+      expect(markdownRuleApplies(dayOld, { ...creamBun, is_bundle: true }, 2, afternoon)).toBe(false);
+    });
+  });
+
+  describe('getMarkdownOffers', () => {
+    it('should offer qualifying batches at their best markdown, oldest first, skipping expired ones', () => {
+      const evening = new Date();
+      evening.setHours(19, 0, 0, 0);
+      const batches = [
+        { id: 10, product_id: 19, quantity: 5, date_added: daysAgo(0) },
+        { id: 11, product_id: 19, quantity: 4, date_added: daysAgo(1) },
+        { id: 12, product_id: 19, quantity: 2, date_added: daysAgo(3) },
+        { id: 13, product_id: 33, quantity: 1.5, date_added: daysAgo(2) }
+      ];
+
+      const offers = getMarkdownOffers([creamBun, butterCake], batches, [dayOld, eveningCakes], evening);
+
+      expect(offers.map(offer => [offer.batch.id, offer.rule.id, offer.price])).toEqual([
+        [13, 1, 700],
+        [11, 1, 42]
+      ]);
+    });
+  });
+
+  describe('buildMarkdownCartItem', () => {
+    it('should build a line sold from the batch at the markdown price', () => {
+      const offer = { product: creamBun, batch: { id: 11, quantity: 4 }, rule: dayOld, age: 1, price: 42 };
+      const item = buildMarkdownCartItem(offer, 2);
+
+      expect(item).toMatchObject({
+        product_id: 19,
+        price: 42,
+        list_price: 60,
+        quantity: 2,
+        batch_id: 11,
+        batch_quantity: 4,
+        markdown_rule_id: 1,
+        displayName: 'Cream Bun (Day 1, -30%)'
+      });
+      expect(getBatchCartUsage([item, { product_id: 19, quantity: 3 }], 11)).toBe(2);
+    });
+  });
+
+  describe('summarizeMarkdownsVsReturns', () => {
+    it('should compare markdown revenue with returns value per product', () => {
+      const report = summarizeMarkdownsVsReturns(
+        [
+          { product_id: 19, quantity: 4, subtotal: 168, markdown_amount: 72, products: { name: 'Cream Bun' } },
+          { product_id: 19, quantity: 2, subtotal: 84, markdown_amount: 36, products: { name: 'Cream Bun' } }
+        ],
+        [
+          { product_id: 19, product_name: 'Cream Bun', quantity: 5, total_return_value: 50 },
+          { product_id: 13, product_name: 'Cashew Bar', quantity: 2, total_return_value: 60 }
+        ]
+      );
+
+      expect(report).toEqual([
+        { product_id: 13, name: 'Cashew Bar', markdownQuantity: 0, markdownRevenue: 0, markdownGiven: 0, returnQuantity: 2, returnValue: 60, markdownPerUnit: null, returnPerUnit: 30 },
+        { product_id: 19, name: 'Cream Bun', markdownQuantity: 6, markdownRevenue: 252, markdownGiven: 108, returnQuantity: 5, returnValue: 50, markdownPerUnit: 42, returnPerUnit: 10 }
+      ]);
+    });
+  });
+
+  describe('saveMarkdownRule', () => {
+    it('should require a batch age or a start time', async () => {
+      const client = { from: vi.fn() };
+
+      const { error } = await saveMarkdownRule(client, { name: 'Any time', percent_off: 10 });
+
+      expect(error.message).toBe('Set a minimum batch age, a start time, or both');
+      expect(client.from).not.toHaveBeenCalled();
+    });
+  });
+});
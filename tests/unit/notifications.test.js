@@ -6,6 +6,42 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Columns of customer_notifications as the migrations leave them
+ * (006 creates the table, 033 adds the staff columns)
+ * @returns {Object} { columns, required } - all columns, and NOT NULL columns without a default
+ */
+const readNotificationColumns = () => {
+  const readMigration = (name) =>
+    readFileSync(resolve(__dirname, '../../database/migrations', name), 'utf8');
+
+  const columns = new Set();
+  const required = new Set();
+
+  const createTable = readMigration('006_customer_ordering_schema.sql')
+    .match(/CREATE TABLE IF NOT EXISTS customer_notifications \(([\s\S]*?)\n\);/)[1];
+  createTable.split('\n').forEach(line => {
+    const column = line.match(/^\s+(\w+)\s/);
+    if (!column) return;
+    columns.add(column[1]);
+    if (/NOT NULL/.test(line) && !/DEFAULT|PRIMARY KEY/.test(line)) {
+      required.add(column[1]);
+    }
+  });
+
+  const staffColumns = readMigration('033_staff_notifications.sql');
+  for (const [, column] of staffColumns.matchAll(/ADD COLUMN IF NOT EXISTS (\w+)/g)) {
+    columns.add(column);
+  }
+  for (const [, column] of staffColumns.matchAll(/ALTER COLUMN (\w+) (?:DROP NOT NULL|SET DEFAULT)/g)) {
+    required.delete(column);
+  }
+
+  return { columns, required };
+};
 
 // Mock Supabase
 vi.mock('../../src/config/supabase', () => ({
@@ -292,6 +328,84 @@ describe('Notification Utilities', () => {
     });
   });
 
+  describe('notifyLowIngredients', () => {
+    it('should create one staff alert per low ingredient', async () => {
+      const inserted = [];
+      supabaseMock.from.mockReturnValue({
+        insert: vi.fn().mockImplementation((data) => {
+          inserted.push(data[0]);
+          return {
+            select: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({ data: { notification_id: 'n1' }, error: null }),
+            }),
+          };
+        }),
+      });
+
+      const count = await notifications.notifyLowIngredients([
+        { id: 3, name: 'Flour', unit: 'kg', stock_quantity: '4.500', reorder_level: '10.000' },
+        { id: 7, name: 'Eggs', unit: 'pcs', stock_quantity: '12.000', reorder_level: '30.000' },
+      ]);
+
+      expect(count).toBe(2);
+      expect(inserted[0]).toMatchObject({
+        customer_id: null,
+        notification_type: 'ingredient_low',
+        title: 'Low stock: Flour',
+        message: 'Flour is down to 4.5 kg (reorder at 10 kg).',
+        related_type: 'ingredient',
+        related_id: '3',
+      });
+    });
+
+    it('should only insert columns the notifications table has', async () => {
+      const inserted = [];
+      supabaseMock.from.mockReturnValue({
+        insert: vi.fn().mockImplementation((data) => {
+          inserted.push(data[0]);
+          return {
+            select: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({ data: { notification_id: 'n1' }, error: null }),
+            }),
+          };
+        }),
+      });
+
+      await notifications.notifyLowIngredients([
+        { id: 3, name: 'Flour', unit: 'kg', stock_quantity: '4.500', reorder_level: '10.000' },
+      ]);
+
+      const { columns, required } = readNotificationColumns();
+      expect(Object.keys(inserted[0]).filter(key => !columns.has(key))).toEqual([]);
+      expect([...required].filter(column => inserted[0][column] == null)).toEqual([]);
+    });
+
+    it('should log failed alerts and keep creating the rest', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const single = vi.fn()
+        .mockResolvedValueOnce({ data: null, error: { message: 'Database error' } })
+        .mockResolvedValueOnce({ data: { notification_id: 'n2' }, error: null });
+      supabaseMock.from.mockReturnValue({
+        insert: vi.fn().mockReturnValue({
+          select: vi.fn().mockReturnValue({ single }),
+        }),
+      });
+
+      const count = await notifications.notifyLowIngredients([
+        { id: 3, name: 'Flour', unit: 'kg', stock_quantity: '4.500', reorder_level: '10.000' },
+        { id: 7, name: 'Eggs', unit: 'pcs', stock_quantity: '12.000', reorder_level: '30.000' },
+      ]);
+
+      expect(count).toBe(1);
+      expect(consoleSpy).toHaveBeenCalledWith(
+        '[Notifications] Error creating low ingredient alert:',
+        'Flour',
+        expect.anything()
+      );
+      consoleSpy.mockRestore();
+    });
+  });
+
   describe('markAsRead', () => {
     it('should mark notification as read', async () => {
       const notificationId = 'notif-123';
@@ -599,6 +713,26 @@ describe('Notification Utilities', () => {
         expect(path).toBeNull();
       });
     });
+
+    describe('getNotificationView', () => {
+      it('should open the Ingredients view for ingredient alerts', () => {
+        const notification = {
+          related_type: 'ingredient',
+          related_id: '3',
+        };
+
+        expect(notifications.getNotificationView(notification)).toBe('ingredients');
+      });
+
+      it('should return null for items without a staff view', () => {
+        const notification = {
+          related_type: 'customer_order',
+          related_id: 'order-123',
+        };
+
+        expect(notifications.getNotificationView(notification)).toBeNull();
+      });
+    });
   });
 });
 
@@ -0,0 +1,200 @@
+/**
+ * Offline Bill Queue Tests
+ *
+ * Tests for offline POS billing: sync ordering, conflict handling
+ * and local stock tracking
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  QUEUED_BILL_STATUS,
+  isNetworkError,
+  sortQueuedBills,
+  processSyncQueue,
+  applyLocalStockDeduction,
+  cacheProducts,
+  getCachedProducts
+} from '../../src/utils/offlineBillQueue';
+
+const makeBill = (localId, capturedAt, cart, status = QUEUED_BILL_STATUS.PENDING) => ({
+  local_id: localId,
+  captured_at: capturedAt,
+  cart,
+  status,
+  error_message: null
+});
+
+describe('Offline Bill Queue', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('isNetworkError', () => {
+    it('should detect fetch failures', () => {
+      expect(isNetworkError({ message: 'TypeError: Failed to fetch' })).toBe(true);
+      expect(isNetworkError({ message: 'NetworkError when attempting to fetch resource.' })).toBe(true);
+    });
+
+    it('should not treat database errors as network errors', () => {
+      expect(isNetworkError({ message: 'Insufficient stock for Egg Bun. Requested: 3, Available: 1' })).toBe(false);
+      expect(isNetworkError(null)).toBe(false);
+    });
+
+    it('should treat any error as network error while the browser is offline', () => {
+      vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      expect(isNetworkError({ message: 'anything' })).toBe(true);
+    });
+  });
+
+  describe('sortQueuedBills', () => {
+    it('should sort bills oldest first', () => {
+      const bills = [
+        makeBill(2, '2025-11-03T10:05:00.000Z', []),
+        makeBill(1, '2025-11-03T10:00:00.000Z', []),
+        makeBill(3, '2025-11-03T10:05:00.000Z', [])
+      ];
+
+      expect(sortQueuedBills(bills).map(b => b.local_id)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('processSyncQueue', () => {
+    const cart = [{ product_id: 1, price: 60, quantity: 2 }];
+
+    it('should sync pending bills in capture order with their original time', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: { order_id: 1 }, error: null }) };
+      const bills = [
+        makeBill(2, '2025-11-03T10:05:00.000Z', cart),
+        makeBill(1, '2025-11-03T10:00:00.000Z', cart)
+      ];
+
+      const result = await processSyncQueue(client, bills);
+
+      expect(result.synced.map(b => b.local_id)).toEqual([1, 2]);
+      expect(result.conflicts).toHaveLength(0);
+      expect(result.offline).toBe(false);
+      expect(client.rpc.mock.calls[0][1].p_order_date).toBe('2025-11-03T10:00:00.000Z');
+    });
+
+    it('should mark rejected bills as conflicts and continue', async () => {
+      const client = {
+        rpc: vi.fn()
+          .mockResolvedValueOnce({ data: null, error: { message: 'Insufficient stock for Egg Bun. Requested: 2, Available: 0' } })
+          .mockResolvedValueOnce({ data: { order_id: 2 }, error: null })
+      };
+      const bills = [
+        makeBill(1, '2025-11-03T10:00:00.000Z', cart),
+        makeBill(2, '2025-11-03T10:05:00.000Z', cart)
+      ];
+
+      const result = await processSyncQueue(client, bills);
+
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.conflicts[0].status).toBe(QUEUED_BILL_STATUS.CONFLICT);
+      expect(result.conflicts[0].error_message).toContain('Insufficient stock');
+      expect(result.synced.map(b => b.local_id)).toEqual([2]);
+    });
+
+    it('should stop at the first network failure to preserve order', async () => {
+      const client = {
+        rpc: vi.fn().mockResolvedValue({ data: null, error: { message: 'Failed to fetch' } })
+      };
+      const bills = [
+        makeBill(1, '2025-11-03T10:00:00.000Z', cart),
+        makeBill(2, '2025-11-03T10:05:00.000Z', cart)
+      ];
+
+      const result = await processSyncQueue(client, bills);
+
+      expect(client.rpc).toHaveBeenCalledTimes(1);
+      expect(result.offline).toBe(true);
+      expect(result.synced).toHaveLength(0);
+      expect(result.conflicts).toHaveLength(0);
+    });
+
+    it('should create only one order when the same queued bill is replayed', async () => {
+      // create_pos_bill returns the existing order for a client bill ID it has seen
+      const orders = new Map();
+      const createBill = (params) => {
+        if (!orders.has(params.p_client_bill_id)) {
+          orders.set(params.p_client_bill_id, { order_id: orders.size + 1 });
+        }
+        return orders.get(params.p_client_bill_id);
+      };
+      const client = {
+        rpc: vi.fn()
+          // The first sync commits but its response never arrives
+          .mockImplementationOnce(async (name, params) => {
+            createBill(params);
+            return { data: null, error: { message: 'TypeError: Failed to fetch' } };
+          })
+          .mockImplementation(async (name, params) => ({ data: createBill(params), error: null }))
+      };
+      const bill = { ...makeBill(1, '2025-11-03T10:00:00.000Z', cart), clientBillId: 'bill-uuid-1' };
+
+      const firstAttempt = await processSyncQueue(client, [bill]);
+      const replay = await processSyncQueue(client, [bill]);
+
+      expect(firstAttempt.offline).toBe(true);
+      expect(replay.synced.map(b => b.order.order_id)).toEqual([1]);
+      expect(client.rpc.mock.calls.map(call => call[1].p_client_bill_id)).toEqual(['bill-uuid-1', 'bill-uuid-1']);
+      expect(orders.size).toBe(1);
+    });
+
+    it('should skip bills already in conflict', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: { order_id: 1 }, error: null }) };
+      const bills = [makeBill(1, '2025-11-03T10:00:00.000Z', cart, QUEUED_BILL_STATUS.CONFLICT)];
+
+      const result = await processSyncQueue(client, bills);
+
+      expect(client.rpc).not.toHaveBeenCalled();
+      expect(result.synced).toHaveLength(0);
+    });
+  });
+
+  describe('applyLocalStockDeduction', () => {
+    it('should reduce stock for sold products only', () => {
+      const products = [
+        { product_id: 1, name: 'Egg Bun', stock_quantity: 10 },
+        { product_id: 2, name: 'Fish Bun', stock_quantity: 5 }
+      ];
+      const cart = [
+        { product_id: 1, quantity: 3 },
+        { product_id: 1, quantity: 2 }
+      ];
+
+      const result = applyLocalStockDeduction(products, cart);
+
+      expect(result[0].stock_quantity).toBe(5);
+      expect(result[1]).toBe(products[1]);
+    });
+
+    it('should deduct the stock units used by variants', () => {
+      const result = applyLocalStockDeduction(
+        [{ product_id: 14, stock_quantity: 2 }],
+        [{ product_id: 14, quantity: 3, stock_units: 0.25 }, { product_id: 14, quantity: 1 }]
+      );
+      expect(result[0].stock_quantity).toBe(0.25);
+    });
+
+    it('should never go below zero', () => {
+      const result = applyLocalStockDeduction(
+        [{ product_id: 1, stock_quantity: 1 }],
+        [{ product_id: 1, quantity: 4 }]
+      );
+      expect(result[0].stock_quantity).toBe(0);
+    });
+  });
+
+  describe('product cache', () => {
+    it('should round-trip cached products', () => {
+      const products = [{ product_id: 1, name: 'Egg Bun', stock_quantity: 4 }];
+      cacheProducts(products);
+      expect(getCachedProducts()).toEqual(products);
+    });
+
+    it('should return empty array when nothing is cached', () => {
+      expect(getCachedProducts()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Parked Bill Tests
+ *
+ * Tests for parking, recalling and discarding POS carts
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getParkedBills,
+  parkBill,
+  recallParkedBill,
+  removeParkedBill,
+  getParkedBillTotal
+} from '../../src/utils/parkedBills';
+
+const cart = [
+  { product_id: 1, name: 'Egg Bun', price: 60, quantity: 2, is_weight_based: false },
+  { product_id: 2, name: 'Butter Cake', price: 1200, quantity: 0.25, is_weight_based: true }
+];
+
+describe('Parked Bills', () => {
+  describe('parkBill', () => {
+    it('should persist the cart under its label', () => {
+      const { data, error } = parkBill(cart, '  table 3 ', { parkedBy: 'cashier-1' });
+
+      expect(error).toBeNull();
+      expect(data.label).toBe('table 3');
+      expect(data.parked_by).toBe('cashier-1');
+      expect(getParkedBills()).toEqual([data]);
+    });
+
+    it('should give unlabelled bills a default label', () => {
+      parkBill(cart, 'table 3');
+      const { data } = parkBill(cart, '');
+
+      expect(data.label).toBe('Bill 2');
+    });
+
+    it('should not repeat a default label still in use', () => {
+      const { data: first } = parkBill(cart, '');
+      parkBill(cart, '');
+      recallParkedBill(first.id);
+
+      const { data } = parkBill(cart, '');
+
+      expect(data.label).toBe('Bill 3');
+      expect(getParkedBills().map(bill => bill.label)).toEqual(['Bill 2', 'Bill 3']);
+    });
+
+    it('should not park an empty cart', () => {
+      const { data, error } = parkBill([], 'table 3');
+
+      expect(data).toBeNull();
+      expect(error.message).toBe('Cannot park an empty cart');
+      expect(getParkedBills()).toEqual([]);
+    });
+  });
+
+  describe('recallParkedBill', () => {
+    it('should return the cart and remove it from the parked list', () => {
+      const { data: first } = parkBill(cart, 'table 3');
+      const { data: second } = parkBill(cart, 'lady in blue');
+
+      const recalled = recallParkedBill(first.id);
+
+      expect(recalled.cart).toEqual(cart);
+      expect(getParkedBills().map(b => b.id)).toEqual([second.id]);
+    });
+
+    it('should return null for an unknown bill', () => {
+      expect(recallParkedBill('missing')).toBeNull();
+    });
+  });
+
+  describe('removeParkedBill', () => {
+    it('should return the remaining bills', () => {
+      const { data } = parkBill(cart, 'table 3');
+      expect(removeParkedBill(data.id)).toEqual([]);
+    });
+  });
+
+  describe('getParkedBills', () => {
+    it('should ignore corrupt storage', () => {
+      localStorage.setItem('ayubo_pos_parked_bills', '{not json');
+      expect(getParkedBills()).toEqual([]);
+    });
+  });
+
+  describe('getParkedBillTotal', () => {
+    it('should total unit and weight-based lines', () => {
+      expect(getParkedBillTotal(cart)).toBe(420);
+    });
+  });
+});
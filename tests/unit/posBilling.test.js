@@ -0,0 +1,212 @@
+/**
+ * POS Billing Tests
+ *
+ * Tests for the atomic POS bill commit (create_pos_bill RPC wrapper)
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildBillItems,
+  calculateBillTotal,
+  createClientBillId,
+  createPosBill
+} from '../../src/utils/posBilling';
+
+const createMockClient = (response) => ({
+  rpc: vi.fn().mockResolvedValue(response)
+});
+
+describe('POS Billing Utilities', () => {
+
+  describe('buildBillItems', () => {
+    it('should map cart items to bill lines', () => {
+      const cart = [
+        { product_id: 1, name: 'Egg Pastry', price: 110, quantity: 2 },
+        { product_id: 33, name: 'Butter Cake', price: 1000, quantity: 0.5, weight: 0.5 }
+      ];
+
+      expect(buildBillItems(cart)).toEqual([
+        { product_id: 1, quantity: 2, unit_price: 110 },
+        { product_id: 33, quantity: 0.5, unit_price: 1000 }
+      ]);
+    });
+
+    it('should pass the chosen variant and modifiers', () => {
+      const cart = [{
+        product_id: 21,
+        price: 60,
+        quantity: 1,
+        variant_id: 2,
+        modifiers: [{ id: 5, name: 'Extra ginger', price: 10 }]
+      }];
+
+      expect(buildBillItems(cart)).toEqual([
+        { product_id: 21, quantity: 1, unit_price: 60, variant_id: 2, modifier_ids: [5] }
+      ]);
+    });
+
+    it('should pass the batch and rule of a marked-down line', () => {
+      const cart = [{ product_id: 19, price: 42, quantity: 2, batch_id: 88, markdown_rule_id: 3 }];
+
+      expect(buildBillItems(cart)).toEqual([
+        { product_id: 19, quantity: 2, unit_price: 42, batch_id: 88, markdown_rule_id: 3 }
+      ]);
+    });
+
+    it('should return empty array for invalid input', () => {
+      expect(buildBillItems(null)).toEqual([]);
+      expect(buildBillItems(undefined)).toEqual([]);
+    });
+  });
+
+  describe('calculateBillTotal', () => {
+    it('should sum price times quantity', () => {
+      const cart = [
+        { price: 110, quantity: 2 },
+        { price: 1000, quantity: 0.25 }
+      ];
+      expect(calculateBillTotal(cart)).toBe(470);
+    });
+
+    it('should round to 2 decimals', () => {
+      expect(calculateBillTotal([{ price: 1250, quantity: 0.333 }])).toBe(416.25);
+    });
+
+    it('should return 0 for empty cart', () => {
+      expect(calculateBillTotal([])).toBe(0);
+    });
+  });
+
+  describe('createPosBill', () => {
+    it('should call create_pos_bill with bill lines', async () => {
+      const bill = { order_id: 10, value: 220, order_items: [] };
+      const client = createMockClient({ data: bill, error: null });
+
+      const result = await createPosBill(client, [
+        { product_id: 1, price: 110, quantity: 2 }
+      ]);
+
+      expect(client.rpc).toHaveBeenCalledWith('create_pos_bill', {
+        p_items: [{ product_id: 1, quantity: 2, unit_price: 110 }]
+      });
+      expect(result.data).toEqual(bill);
+      expect(result.error).toBeNull();
+    });
+
+    it('should record the cashier against the bill\'s stock movements', async () => {
+      const client = createMockClient({ data: { order_id: 11 }, error: null });
+
+      await createPosBill(client, [{ product_id: 1, price: 110, quantity: 1 }], { userId: 'user-1' });
+
+      expect(client.rpc).toHaveBeenCalledWith('create_pos_bill', {
+        p_items: [{ product_id: 1, quantity: 1, unit_price: 110 }],
+        p_created_by: 'user-1'
+      });
+    });
+
+    it('should send the client bill ID so a bill is only created once', async () => {
+      const client = createMockClient({ data: { order_id: 12 }, error: null });
+      const clientBillId = createClientBillId();
+
+      await createPosBill(client, [{ product_id: 1, price: 110, quantity: 1 }], { clientBillId });
+
+      expect(clientBillId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(createClientBillId()).not.toBe(clientBillId);
+      expect(client.rpc.mock.calls[0][1].p_client_bill_id).toBe(clientBillId);
+    });
+
+    it('should return database errors such as insufficient stock', async () => {
+      const client = createMockClient({
+        data: null,
+        error: { message: 'Insufficient stock for Egg Pastry. Requested: 5, Available: 2' }
+      });
+
+      const result = await createPosBill(client, [
+        { product_id: 1, price: 110, quantity: 5 }
+      ]);
+
+      expect(result.data).toBeNull();
+      expect(result.error.message).toContain('Insufficient stock');
+    });
+
+    it('should reject an empty cart without calling the database', async () => {
+      const client = createMockClient({ data: null, error: null });
+
+      const result = await createPosBill(client, []);
+
+      expect(client.rpc).not.toHaveBeenCalled();
+      expect(result.error.message).toBe('Cart is empty');
+    });
+
+    it('should reject lines with invalid quantity', async () => {
+      const client = createMockClient({ data: null, error: null });
+
+      const result = await createPosBill(client, [
+        { product_id: 1, price: 110, quantity: 0 }
+      ]);
+
+      expect(client.rpc).not.toHaveBeenCalled();
+      expect(result.error).toBeTruthy();
+    });
+
+    it('should pass tender lines when given', async () => {
+      const client = createMockClient({ data: { order_id: 11 }, error: null });
+      const payments = [
+        { method: 'cash', amount: 120, tendered: 200, reference: null },
+        { method: 'card', amount: 100, tendered: 100, reference: '4821' }
+      ];
+
+      await createPosBill(client, [{ product_id: 1, price: 110, quantity: 2 }], { payments });
+
+      expect(client.rpc.mock.calls[0][1].p_payments).toEqual(payments);
+    });
+
+    it('should pass line discounts and applied promotions when priced', async () => {
+      const client = createMockClient({ data: { order_id: 12 }, error: null });
+      const pricing = {
+        lines: [{ discount: 22 }, { discount: 0 }],
+        applied: [{ promotion_id: 3, promotion_name: 'Pastry 10%', scope: 'item', product_ref: '1', amount: 22 }]
+      };
+
+      await createPosBill(client, [
+        { product_id: 1, price: 110, quantity: 2 },
+        { product_id: 2, price: 50, quantity: 1 }
+      ], { pricing });
+
+      const params = client.rpc.mock.calls[0][1];
+      expect(params.p_items).toEqual([
+        { product_id: 1, quantity: 2, unit_price: 110, discount_amount: 22 },
+        { product_id: 2, quantity: 1, unit_price: 50 }
+      ]);
+      expect(params.p_discounts).toEqual(pricing.applied);
+    });
+
+    it('should pass line taxes, service charge and the tax breakdown when taxed', async () => {
+      const client = createMockClient({ data: { order_id: 13 }, error: null });
+      const pricing = {
+        lines: [
+          { discount: 0, tax_amount: 39.6, exclusive_tax_amount: 39.6, service_charge_amount: 22 },
+          { discount: 0, tax_amount: 0, exclusive_tax_amount: 0, service_charge_amount: 5 }
+        ],
+        applied: [],
+        taxes: [
+          { kind: 'tax', tax_rate_id: 1, name: 'VAT', rate: 18, is_inclusive: false, taxable_amount: 220, amount: 39.6 },
+          { kind: 'service_charge', tax_rate_id: null, name: 'Service Charge', rate: 10, is_inclusive: false, taxable_amount: 270, amount: 27 }
+        ]
+      };
+
+      await createPosBill(client, [
+        { product_id: 1, price: 110, quantity: 2 },
+        { product_id: 2, price: 50, quantity: 1 }
+      ], { pricing });
+
+      const params = client.rpc.mock.calls[0][1];
+      expect(params.p_items).toEqual([
+        { product_id: 1, quantity: 2, unit_price: 110, tax_amount: 39.6, exclusive_tax_amount: 39.6, service_charge_amount: 22 },
+        { product_id: 2, quantity: 1, unit_price: 50, service_charge_amount: 5 }
+      ]);
+      expect(params.p_discounts).toBeUndefined();
+      expect(params.p_taxes).toEqual(pricing.taxes);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * POS Payment Tests
+ *
+ * Tests for split tenders: cash change, validation against the bill total,
+ * payment lines for create_pos_bill and takings by method
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TENDER_METHODS,
+  calculatePaymentSummary,
+  hasNoTenders,
+  validatePayments,
+  buildPaymentLines,
+  summarizePaymentsByMethod
+} from '../../src/utils/posPayments';
+
+describe('POS Payments', () => {
+  describe('calculatePaymentSummary', () => {
+    it('should give change on cash only', () => {
+      const summary = calculatePaymentSummary(750, { cash: '1000' });
+
+      expect(summary.cashApplied).toBe(750);
+      expect(summary.change).toBe(250);
+      expect(summary.remaining).toBe(0);
+    });
+
+    it('should apply non-cash tenders before cash', () => {
+      const summary = calculatePaymentSummary(750, { cash: '500', card: '400' });
+
+      expect(summary.nonCashTotal).toBe(400);
+      expect(summary.cashApplied).toBe(350);
+      expect(summary.change).toBe(150);
+      expect(summary.paidTotal).toBe(750);
+    });
+
+    it('should report the amount still due', () => {
+      const summary = calculatePaymentSummary(750, { card: '300', qr: '200' });
+
+      expect(summary.remaining).toBe(250);
+      expect(summary.change).toBe(0);
+    });
+  });
+
+  describe('hasNoTenders', () => {
+    it('should treat empty and zero amounts as no tender', () => {
+      expect(hasNoTenders({})).toBe(true);
+      expect(hasNoTenders({ cash: '', card: '0' })).toBe(true);
+      expect(hasNoTenders({ cash: '10' })).toBe(false);
+    });
+  });
+
+  describe('validatePayments', () => {
+    it('should accept an exact split', () => {
+      expect(validatePayments(750, { cash: '250', bank_transfer: '500' }).isValid).toBe(true);
+    });
+
+    it('should accept no tenders (exact cash)', () => {
+      expect(validatePayments(750, {}).isValid).toBe(true);
+    });
+
+    it('should reject non-cash tenders above the total', () => {
+      const result = validatePayments(750, { card: '800' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toContain('cannot exceed the bill total');
+    });
+
+    it('should reject underpayment', () => {
+      const result = validatePayments(750, { cash: '700' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(['Rs. 50.00 still due']);
+    });
+
+    it('should reject negative amounts', () => {
+      expect(validatePayments(750, { cash: '-5', card: '755' }).isValid).toBe(false);
+    });
+  });
+
+  describe('buildPaymentLines', () => {
+    it('should default to exact cash when nothing was entered', () => {
+      expect(buildPaymentLines(420, {})).toEqual([
+        { method: TENDER_METHODS.CASH, amount: 420, tendered: 420, reference: null }
+      ]);
+    });
+
+    it('should record cash tendered and non-cash references', () => {
+      const lines = buildPaymentLines(750, { cash: '500', card: '400', qr: '' }, { card: '4821' });
+
+      expect(lines).toEqual([
+        { method: 'cash', amount: 350, tendered: 500, reference: null },
+        { method: 'card', amount: 400, tendered: 400, reference: '4821' }
+      ]);
+    });
+
+    it('should omit cash when non-cash covers the bill', () => {
+      const lines = buildPaymentLines(750, { cash: '', qr: '750' });
+      expect(lines.map(l => l.method)).toEqual(['qr']);
+    });
+  });
+
+  describe('summarizePaymentsByMethod', () => {
+    it('should total amounts per method across bills', () => {
+      const bills = [
+        { pos_bill_payments: [{ method: 'cash', amount: '350.00' }, { method: 'card', amount: '400.00' }] },
+        { pos_bill_payments: [{ method: 'cash', amount: '120.50' }] },
+        { order_id: 3 }
+      ];
+
+      expect(summarizePaymentsByMethod(bills)).toEqual([
+        { method: 'cash', label: 'Cash', amount: 470.5, count: 2 },
+        { method: 'card', label: 'Card', amount: 400, count: 1 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Product Bundle Tests
+ *
+ * Tests for combo stock (by component), stock checks, revenue split and
+ * item-wise sales of combos
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getStockDemand,
+  getBundleStock,
+  applyBundleStock,
+  splitBundleRevenue,
+  expandBundleSales,
+  validateBundleComponents
+} from '../../src/utils/productBundles';
+import { validateStock, calculateStockDeductions } from '../../src/utils/inventory';
+
+const products = [
+  { product_id: 18, name: 'Tea Bun', price: 50, stock_quantity: 7 },
+  { product_id: 23, name: 'Tea', price: 100, stock_quantity: 4 },
+  {
+    product_id: 40,
+    name: 'Tea + Bun',
+    price: 130,
+    stock_quantity: 0,
+    is_bundle: true,
+    product_bundle_items: [
+      { component_product_id: 23, quantity: 1 },
+      { component_product_id: 18, quantity: 2 }
+    ]
+  }
+];
+
+describe('Product Bundles', () => {
+  describe('combo stock', () => {
+    it('should make as many combos as the scarcest component allows', () => {
+      expect(getBundleStock(products[2], products)).toBe(3);
+      expect(applyBundleStock(products)[2].stock_quantity).toBe(3);
+      expect(applyBundleStock(products)[0]).toBe(products[0]);
+    });
+
+    it('should have no stock when a component is missing', () => {
+      expect(getBundleStock(products[2], [products[0], products[2]])).toBe(0);
+    });
+  });
+
+  describe('getStockDemand', () => {
+    it('should expand combos into components and share stock with plain lines', () => {
+      const demand = getStockDemand([
+        { product_id: 40, name: 'Tea + Bun', quantity: 2 },
+        { product_id: 23, name: 'Tea', quantity: 1 }
+      ], products);
+
+      expect(Object.fromEntries(demand)).toEqual({
+        23: { name: 'Tea', requested: 3 },
+        18: { name: 'Tea Bun', requested: 4 }
+      });
+    });
+  });
+
+  describe('validateStock', () => {
+    it('should check combo components', async () => {
+      const result = await validateStock([
+        { product_id: 40, name: 'Tea + Bun', quantity: 3 },
+        { product_id: 18, name: 'Tea Bun', quantity: 2 }
+      ], products);
+
+      expect(result.isValid).toBe(false);
+      expect(result.insufficientItems).toEqual([{ name: 'Tea Bun', requested: 8, available: 7 }]);
+    });
+
+    it('should deduct combo lines from their components', () => {
+      expect(calculateStockDeductions([{ product_id: 40, quantity: 1 }], products)).toEqual([
+        { product_id: 23, deductAmount: 1 },
+        { product_id: 18, deductAmount: 2 }
+      ]);
+    });
+  });
+
+  describe('splitBundleRevenue', () => {
+    it('should split by list price and give the rounding to the last component', () => {
+      const split = splitBundleRevenue([
+        { product_id: 23, quantity: 1, price: 100 },
+        { product_id: 18, quantity: 2, price: 50 },
+        { product_id: 5, quantity: 1, price: 100 }
+      ], 100);
+
+      expect(split.map(share => share.revenue)).toEqual([33.33, 33.33, 33.34]);
+    });
+
+    it('should split evenly when components have no price', () => {
+      expect(splitBundleRevenue([{ product_id: 1, quantity: 1, price: 0 }, { product_id: 2, quantity: 1 }], 10)
+        .map(share => share.revenue)).toEqual([5, 5]);
+    });
+  });
+
+  describe('expandBundleSales', () => {
+    it('should replace combo lines and their refunds with the components', () => {
+      const bills = [{
+        order_items: [
+          { order_item_id: 1, quantity: 2, subtotal: 200, products: { name: 'Tea' } },
+          {
+            order_item_id: 2,
+            quantity: 2,
+            subtotal: 260,
+            products: { name: 'Tea + Bun' },
+            order_item_components: [
+              { product_id: 23, quantity: 2, revenue: 130, products: { name: 'Tea' } },
+              { product_id: 18, quantity: 4, revenue: 130, products: { name: 'Tea Bun' } }
+            ]
+          }
+        ]
+      }];
+      const refunds = [{ pos_refund_items: [{ order_item_id: 2, quantity: 1, amount: 130 }] }];
+
+      const expanded = expandBundleSales(bills, refunds);
+
+      expect(expanded.bills[0].order_items).toEqual([
+        bills[0].order_items[0],
+        { order_item_id: '2:23', product_id: 23, quantity: 2, subtotal: 130, variant_name: 'Tea + Bun', products: { name: 'Tea' } },
+        { order_item_id: '2:18', product_id: 18, quantity: 4, subtotal: 130, variant_name: 'Tea + Bun', products: { name: 'Tea Bun' } }
+      ]);
+      expect(expanded.refunds[0].pos_refund_items).toEqual([
+        { order_item_id: '2:23', product_id: 23, quantity: 1, amount: 65, products: { name: 'Tea' } },
+        { order_item_id: '2:18', product_id: 18, quantity: 2, amount: 65, products: { name: 'Tea Bun' } }
+      ]);
+    });
+  });
+
+  describe('validateBundleComponents', () => {
+    it('should reject the combo itself, other combos, duplicates and bad quantities', () => {
+      const partyPack = { product_id: 41, name: 'Party Pack', price: 1000 };
+      const errors = validateBundleComponents(partyPack, [
+        { product_id: 41, quantity: 1 },
+        { product_id: 40, quantity: 1 },
+        { product_id: 23, quantity: 1 },
+        { product_id: 23, quantity: 0 }
+      ], [...products, partyPack]).errors;
+
+      expect(errors).toEqual([
+        'A combo cannot contain itself',
+        'Tea + Bun is a combo and cannot be part of another combo',
+        'Tea is listed more than once',
+        'Quantity for Tea must be more than 0'
+      ]);
+    });
+  });
+});
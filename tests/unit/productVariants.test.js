@@ -0,0 +1,130 @@
+/**
+ * Product Variant Tests
+ *
+ * Tests for variant/modifier pricing, cart line merging, stock use
+ * and item-wise sales by variant
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  hasProductOptions,
+  buildVariantCartItem,
+  getCartLineKey,
+  getCartStockUsage,
+  describeLineOptions,
+  validateProductOption,
+  summarizeSalesByVariant
+} from '../../src/utils/productVariants';
+
+const tea = {
+  product_id: 21,
+  name: 'Plane Tea',
+  price: 40,
+  stock_quantity: 10,
+  product_variants: [
+    { id: 2, name: 'Ginger', price: 50, stock_units: 1, sort_order: 2 },
+    { id: 1, name: 'Normal', price: 40, stock_units: 1, sort_order: 1 },
+    { id: 3, name: 'Old', price: 30, stock_units: 1, sort_order: 3, is_active: false }
+  ],
+  product_modifiers: [{ id: 7, name: 'No sugar', price: 0 }, { id: 8, name: 'Extra milk', price: 15 }]
+};
+
+describe('Product Variants', () => {
+  describe('hasProductOptions', () => {
+    it('should open the picker only for unit products with active options', () => {
+      expect(hasProductOptions(tea)).toBe(true);
+      expect(hasProductOptions({ ...tea, is_weight_based: true })).toBe(false);
+      expect(hasProductOptions({ product_id: 1, product_variants: [{ id: 1, is_active: false }] })).toBe(false);
+    });
+  });
+
+  describe('buildVariantCartItem', () => {
+    it('should price the line at the variant price plus modifiers', () => {
+      const item = buildVariantCartItem(tea, tea.product_variants[0], tea.product_modifiers, 2);
+
+      expect(item).toMatchObject({
+        product_id: 21,
+        price: 65,
+        quantity: 2,
+        variant_id: 2,
+        variant_name: 'Ginger',
+        stock_units: 1,
+        displayName: 'Plane Tea (Ginger) + No sugar, Extra milk'
+      });
+      expect(item.modifiers).toEqual([
+        { id: 7, name: 'No sugar', price: 0 },
+        { id: 8, name: 'Extra milk', price: 15 }
+      ]);
+      expect(describeLineOptions(item)).toBe('Ginger + No sugar, Extra milk');
+    });
+
+    it('should use the product price when only modifiers are chosen', () => {
+      const item = buildVariantCartItem(tea, null, [tea.product_modifiers[1]]);
+
+      expect(item.price).toBe(55);
+      expect(item.variant_id).toBeNull();
+      expect(item.displayName).toBe('Plane Tea + Extra milk');
+    });
+  });
+
+  describe('cart lines', () => {
+    it('should merge lines with the same variant and modifiers in any order', () => {
+      const a = buildVariantCartItem(tea, tea.product_variants[0], tea.product_modifiers);
+      const b = buildVariantCartItem(tea, tea.product_variants[0], [...tea.product_modifiers].reverse());
+      const c = buildVariantCartItem(tea, tea.product_variants[1], tea.product_modifiers);
+
+      expect(getCartLineKey(a)).toBe(getCartLineKey(b));
+      expect(getCartLineKey(a)).not.toBe(getCartLineKey(c));
+    });
+
+    it('should count stock units used by every line of a product', () => {
+      const cart = [
+        { product_id: 14, quantity: 3, stock_units: 0.25 },
+        { product_id: 14, quantity: 1 },
+        { product_id: 6, quantity: 5 }
+      ];
+
+      expect(getCartStockUsage(cart, 14)).toBe(1.75);
+    });
+  });
+
+  describe('validateProductOption', () => {
+    it('should require a name, a price and stock units for variants', () => {
+      expect(validateProductOption({ name: 'Large', price: 80, stock_units: 1 }).isValid).toBe(true);
+      expect(validateProductOption({ name: ' ', price: -1, stock_units: 0 }).errors).toEqual([
+        'Name is required',
+        'Price must be 0 or more',
+        'Stock units must be more than 0'
+      ]);
+      expect(validateProductOption({ name: 'No sugar', price: 0 }, false).isValid).toBe(true);
+    });
+  });
+
+  describe('summarizeSalesByVariant', () => {
+    it('should break products down by variant and take refunds off the refunded variant', () => {
+      const bills = [{
+        order_items: [
+          { order_item_id: 1, quantity: 2, subtotal: 100, variant_name: 'Ginger', products: { name: 'Plane Tea' } },
+          { order_item_id: 2, quantity: 1, subtotal: 40, variant_name: null, products: { name: 'Plane Tea' } },
+          { order_item_id: 3, quantity: 3, subtotal: 210, products: { name: 'Fish Bun' } }
+        ]
+      }];
+      const refunds = [{
+        pos_refund_items: [{ order_item_id: 1, quantity: 1, amount: 50, products: { name: 'Plane Tea' } }]
+      }];
+
+      expect(summarizeSalesByVariant(bills, refunds)).toEqual([
+        { name: 'Fish Bun', quantity: 3, revenue: 210, variants: [] },
+        {
+          name: 'Plane Tea',
+          quantity: 2,
+          revenue: 90,
+          variants: [
+            { name: 'Ginger', quantity: 1, revenue: 50 },
+            { name: 'Standard', quantity: 1, revenue: 40 }
+          ]
+        }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Production Planning Tests
+ *
+ * Tests for same-weekday sales history, returns, customer order demand,
+ * suggested quantities and the plan vs actual report
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getSameWeekdayDates,
+  summarizeDailySales,
+  summarizeDailyReturns,
+  summarizeCustomerOrderDemand,
+  calculateProductionSuggestions,
+  buildPlanReport
+} from '../../src/utils/productionPlanning';
+
+const products = [
+  { product_id: 18, name: 'Tea Bun', stock_quantity: 2 },
+  { product_id: 30, name: 'Butter Cake', stock_quantity: 0, is_weight_based: true },
+  { product_id: 31, name: 'Fish Bun', stock_quantity: 0 }
+];
+
+describe('Production Planning', () => {
+  describe('getSameWeekdayDates', () => {
+    it('should go back a week at a time', () => {
+      expect(getSameWeekdayDates('2025-11-14', 3)).toEqual(['2025-11-07', '2025-10-31', '2025-10-24']);
+    });
+  });
+
+  describe('summarizeDailySales', () => {
+    it('should count stock sold per day, including combos, variants and refunds', () => {
+      const bills = [
+        {
+          order_date: '2025-11-07T09:00:00',
+          order_items: [
+            { order_item_id: 1, product_id: 18, quantity: 10, stock_units: 1 },
+            { order_item_id: 2, product_id: 30, quantity: 2, stock_units: 0.5 },
+            {
+              order_item_id: 3,
+              product_id: 40,
+              quantity: 2,
+              order_item_components: [{ product_id: 18, quantity: 4 }]
+            }
+          ]
+        },
+        { order_date: '2025-11-08T09:00:00', order_items: [{ order_item_id: 4, product_id: 18, quantity: 3 }] }
+      ];
+      const refunds = [{ pos_refund_items: [{ order_item_id: 1, quantity: 2 }, { order_item_id: 3, quantity: 1 }] }];
+
+      expect(summarizeDailySales(bills, refunds)).toEqual({
+        '2025-11-07': { 18: 10 - 2 + 4 - 2, 30: 1 },
+        '2025-11-08': { 18: 3 }
+      });
+    });
+  });
+
+  describe('summarizeCustomerOrderDemand', () => {
+    it('should link catalog items to POS products by name and weigh cakes in kg', () => {
+      const orders = [{
+        customer_order_items: [
+          { product_name: 'tea bun ', item_type: 'pre-made', quantity: 12 },
+          { product_name: 'Butter Cake', item_type: 'pre-made', quantity: 2, product_pricing: { weight_value: 500, weight_unit: 'g' } },
+          { product_name: 'Butter Cake', item_type: 'custom', quantity: 1 },
+          { product_name: 'Wedding Cake', item_type: 'pre-made', quantity: 1 }
+        ]
+      }];
+
+      expect(summarizeCustomerOrderDemand(orders, products)).toEqual({ 18: 12, 30: 1 });
+    });
+  });
+
+  describe('calculateProductionSuggestions', () => {
+    const dailySales = {
+      '2025-11-07': { 18: 20, 30: 1.5 },
+      '2025-10-31': { 18: 30, 30: 2.5 }
+    };
+
+    it('should average trading days and take off what is on hand', () => {
+      const suggestions = calculateProductionSuggestions({
+        products,
+        planDate: '2025-11-14',
+        dailySales,
+        dailyReturns: { '2025-11-07': { 18: 4 } },
+        customerDemand: { 30: 1 }
+      });
+
+      // 25 sold on average, returned so no buffer, 2 left over
+      expect(suggestions[18]).toEqual({ averageSold: 25, averageReturned: 2, onHand: 2, customerOrders: 0, suggested: 23 });
+      // 2 kg sold, never returned: 10% buffer plus a 1 kg customer order
+      expect(suggestions[30].suggested).toBe(3.2);
+      expect(suggestions[31].suggested).toBe(0);
+    });
+
+    it('should suggest only customer orders without sales history', () => {
+      const suggestions = calculateProductionSuggestions({
+        products,
+        planDate: '2025-11-14',
+        customerDemand: { 31: 6 }
+      });
+
+      expect(suggestions[31].suggested).toBe(6);
+      expect(suggestions[18].suggested).toBe(0);
+    });
+  });
+
+  describe('buildPlanReport', () => {
+    it('should show plan against sold and returned for the day', () => {
+      const planItems = [
+        { plan_date: '2025-11-13', product_id: 18, suggested_quantity: '20', planned_quantity: '25', products: { name: 'Tea Bun' } },
+        { plan_date: '2025-11-14', product_id: 31, suggested_quantity: null, planned_quantity: '10', products: { name: 'Fish Bun' } }
+      ];
+      const report = buildPlanReport(
+        planItems,
+        { '2025-11-13': { 18: 21 } },
+        summarizeDailyReturns([{ return_date: '2025-11-13', return_items: [{ product_id: 18, quantity: 4 }] }])
+      );
+
+      expect(report).toEqual([
+        { planDate: '2025-11-14', productId: 31, name: 'Fish Bun', isWeightBased: false, suggested: null, planned: 10, sold: 0, returned: 0 },
+        { planDate: '2025-11-13', productId: 18, name: 'Tea Bun', isWeightBased: false, suggested: 20, planned: 25, sold: 21, returned: 4 }
+      ]);
+    });
+  });
+});
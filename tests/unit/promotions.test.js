@@ -0,0 +1,214 @@
+/**
+ * Promotions Tests
+ *
+ * Tests for the discount engine: item, category and bill discounts,
+ * buy X get Y, happy-hour windows, coupon codes and reporting
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isPromotionActive,
+  calculateLineDiscount,
+  applyPromotions,
+  cartToPromotionLines,
+  validatePromotion,
+  describePromotion,
+  summarizeDiscountsByPromotion
+} from '../../src/utils/promotions';
+
+const promotion = (overrides) => ({
+  id: 1,
+  name: 'Promo',
+  discount_type: 'percentage',
+  discount_value: 10,
+  scope: 'item',
+  channel: 'both',
+  pos_product_ids: [],
+  catalog_product_ids: [],
+  category_ids: [],
+  min_bill_amount: 0,
+  days_of_week: [],
+  usage_count: 0,
+  is_active: true,
+  ...overrides
+});
+
+// Wednesday 5 Nov 2025, 16:30 local time
+const wednesdayAfternoon = new Date(2025, 10, 5, 16, 30);
+
+const lines = [
+  { product_id: 1, category_ids: ['pastries'], quantity: 3, unit_price: 110 },
+  { product_id: 33, category_ids: ['cakes'], quantity: 0.5, unit_price: 1000 }
+];
+
+describe('Promotions', () => {
+  describe('isPromotionActive', () => {
+    it('should respect the channel', () => {
+      expect(isPromotionActive(promotion({ channel: 'online' }), wednesdayAfternoon, 'pos')).toBe(false);
+      expect(isPromotionActive(promotion({ channel: 'online' }), wednesdayAfternoon, 'online')).toBe(true);
+    });
+
+    it('should respect happy-hour days and times', () => {
+      const happyHour = promotion({ days_of_week: [1, 2, 3, 4, 5], start_time: '16:00:00', end_time: '18:00:00' });
+
+      expect(isPromotionActive(happyHour, wednesdayAfternoon)).toBe(true);
+      expect(isPromotionActive(happyHour, new Date(2025, 10, 5, 18, 0))).toBe(false);
+      expect(isPromotionActive(happyHour, new Date(2025, 10, 8, 16, 30))).toBe(false); // Saturday
+    });
+
+    it('should handle windows that pass midnight', () => {
+      const lateNight = promotion({ start_time: '22:00', end_time: '02:00' });
+
+      expect(isPromotionActive(lateNight, new Date(2025, 10, 5, 23, 15))).toBe(true);
+      expect(isPromotionActive(lateNight, new Date(2025, 10, 6, 1, 0))).toBe(true);
+      expect(isPromotionActive(lateNight, wednesdayAfternoon)).toBe(false);
+    });
+
+    it('should expire used-up coupons and out-of-date promotions', () => {
+      expect(isPromotionActive(promotion({ usage_limit: 5, usage_count: 5 }), wednesdayAfternoon)).toBe(false);
+      expect(isPromotionActive(promotion({ ends_at: '2025-11-01T00:00:00Z' }), wednesdayAfternoon)).toBe(false);
+    });
+  });
+
+  describe('calculateLineDiscount', () => {
+    it('should give buy 2 get 1 free on whole units only', () => {
+      const bogo = promotion({ discount_type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 });
+
+      expect(calculateLineDiscount(bogo, { quantity: 7, unit_price: 110, gross: 770 })).toBe(220);
+      expect(calculateLineDiscount(bogo, { quantity: 2.5, unit_price: 100, gross: 250 })).toBe(0);
+    });
+
+    it('should never discount more than the line', () => {
+      const fixed = promotion({ discount_type: 'fixed_amount', discount_value: 200 });
+
+      expect(calculateLineDiscount(fixed, { quantity: 2, unit_price: 110, gross: 220 })).toBe(220);
+    });
+  });
+
+  describe('applyPromotions', () => {
+    it('should return the plain total without promotions', () => {
+      const result = applyPromotions(lines, [], { now: wednesdayAfternoon });
+
+      expect(result.subtotal).toBe(830);
+      expect(result.discountTotal).toBe(0);
+      expect(result.total).toBe(830);
+      expect(result.applied).toEqual([]);
+    });
+
+    it('should apply the best line discount per item', () => {
+      const result = applyPromotions(lines, [
+        promotion({ id: 1, name: 'Pastry 10%', pos_product_ids: [1] }),
+        promotion({ id: 2, name: 'Pastries Rs. 20 off', discount_type: 'fixed_amount', discount_value: 20, scope: 'category', category_ids: ['pastries'] })
+      ], { now: wednesdayAfternoon });
+
+      expect(result.lines[0].discount).toBe(60);
+      expect(result.lines[0].promotion_id).toBe(2);
+      expect(result.lines[1].discount).toBe(0);
+      expect(result.total).toBe(770);
+      expect(result.applied).toEqual([
+        { promotion_id: 2, promotion_name: 'Pastries Rs. 20 off', coupon_code: null, scope: 'category', product_ref: '1', amount: 60 }
+      ]);
+    });
+
+    it('should spread a bill discount across lines after line discounts', () => {
+      const result = applyPromotions(lines, [
+        promotion({ id: 1, name: 'Cake 20%', discount_value: 20, scope: 'category', category_ids: ['cakes'] }),
+        promotion({ id: 2, name: 'Bill Rs. 100 off', discount_type: 'fixed_amount', discount_value: 100, scope: 'bill', min_bill_amount: 500 })
+      ], { now: wednesdayAfternoon });
+
+      // 830 - 100 (cake) - 100 (bill)
+      expect(result.total).toBe(630);
+      expect(result.discountTotal).toBe(200);
+      const lineDiscounts = result.lines.reduce((sum, line) => sum + line.discount, 0);
+      expect(lineDiscounts).toBeCloseTo(200, 2);
+      expect(result.lines[1].net).toBeCloseTo(400 - 100 * 400 / 730, 1);
+    });
+
+    it('should skip bill discounts below the minimum bill', () => {
+      const result = applyPromotions(lines, [
+        promotion({ scope: 'bill', min_bill_amount: 1000 })
+      ], { now: wednesdayAfternoon });
+
+      expect(result.discountTotal).toBe(0);
+    });
+
+    it('should only apply coupon promotions when the code is entered', () => {
+      const coupon = promotion({ id: 9, name: 'Welcome', scope: 'bill', coupon_code: 'WELCOME10' });
+
+      expect(applyPromotions(lines, [coupon], { now: wednesdayAfternoon }).discountTotal).toBe(0);
+
+      const result = applyPromotions(lines, [coupon], { now: wednesdayAfternoon, couponCode: ' welcome10 ' });
+      expect(result.discountTotal).toBe(83);
+      expect(result.applied[0].coupon_code).toBe('WELCOME10');
+      expect(result.couponError).toBeNull();
+    });
+
+    it('should explain why a coupon was not applied', () => {
+      const used = promotion({ scope: 'bill', coupon_code: 'ONCE', usage_limit: 1, usage_count: 1 });
+      const otherItem = promotion({ id: 2, coupon_code: 'CAKE', pos_product_ids: [99] });
+
+      expect(applyPromotions(lines, [used], { couponCode: 'NOPE' }).couponError).toBe('Coupon code is not valid');
+      expect(applyPromotions(lines, [used], { couponCode: 'once' }).couponError).toBe('Coupon has reached its usage limit');
+      expect(applyPromotions(lines, [otherItem], { couponCode: 'CAKE' }).couponError).toBe('Coupon does not apply to this order');
+    });
+
+    it('should target catalog products on the online channel', () => {
+      const online = promotion({ pos_product_ids: [1], catalog_product_ids: ['uuid-cake'] });
+
+      const result = applyPromotions(
+        [{ product_id: 'uuid-cake', quantity: 1, unit_price: 4500 }],
+        [online],
+        { channel: 'online', now: wednesdayAfternoon }
+      );
+
+      expect(result.discountTotal).toBe(450);
+    });
+  });
+
+  describe('cartToPromotionLines', () => {
+    it('should map POS cart items with their category', () => {
+      expect(cartToPromotionLines([{ product_id: 1, price: 110, quantity: 2, category_id: 'pastries' }])).toEqual([
+        { product_id: 1, category_ids: ['pastries'], quantity: 2, unit_price: 110 }
+      ]);
+    });
+  });
+
+  describe('validatePromotion', () => {
+    it('should require targets and a sensible value', () => {
+      const result = validatePromotion(promotion({ name: ' ', discount_value: 150 }));
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Name is required');
+      expect(result.errors).toContain('Percentage cannot be more than 100');
+      expect(result.errors).toContain('Select at least one product');
+    });
+
+    it('should not allow buy X get Y on the whole bill', () => {
+      const result = validatePromotion(promotion({ discount_type: 'buy_x_get_y', scope: 'bill', buy_quantity: 2, get_quantity: 1 }));
+
+      expect(result.errors).toContain('Buy X get Y must target items or categories');
+    });
+  });
+
+  describe('describePromotion', () => {
+    it('should describe each discount type', () => {
+      expect(describePromotion(promotion({ scope: 'bill' }))).toBe('10% off the bill');
+      expect(describePromotion(promotion({ discount_type: 'fixed_amount', discount_value: 50 }))).toBe('Rs. 50.00 off each');
+      expect(describePromotion(promotion({ discount_type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 }))).toBe('Buy 2 get 1 free');
+    });
+  });
+
+  describe('summarizeDiscountsByPromotion', () => {
+    it('should total by promotion and count each bill once', () => {
+      const summary = summarizeDiscountsByPromotion([
+        { promotion_id: 1, promotion_name: 'Pastry 10%', order_id: 10, amount: '22.00' },
+        { promotion_id: 1, promotion_name: 'Pastry 10%', order_id: 10, amount: '11.00' },
+        { promotion_id: 1, promotion_name: 'Pastry 10%', customer_order_id: 'abc', amount: '45.00' },
+        { promotion_id: 2, promotion_name: 'Welcome', coupon_code: 'WELCOME10', order_id: 11, amount: '100.00' }
+      ]);
+
+      expect(summary[0]).toMatchObject({ promotion_name: 'Welcome', uses: 1, amount: 100 });
+      expect(summary[1]).toMatchObject({ promotion_name: 'Pastry 10%', uses: 2, posAmount: 33, onlineAmount: 45, amount: 78 });
+    });
+  });
+});
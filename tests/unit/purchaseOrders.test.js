@@ -0,0 +1,143 @@
+/**
+ * Purchase Order Tests
+ *
+ * Tests for suggested order lines, outstanding quantities, order totals,
+ * the printable order and creating orders
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/utils/emailClient', () => ({
+  sendEmail: vi.fn()
+}));
+
+import {
+  suggestPurchaseOrderLines,
+  getOutstandingLines,
+  summarizePurchaseOrder,
+  renderPurchaseOrderHtml,
+  createPurchaseOrder,
+  emailPurchaseOrder
+} from '../../src/utils/purchaseOrders';
+import { sendEmail } from '../../src/utils/emailClient';
+
+const products = [
+  { product_id: 18, name: 'Tea Bun', low_stock_threshold: 10 },
+  { product_id: 30, name: 'Butter Cake', low_stock_threshold: 1, is_weight_based: true },
+  { product_id: 31, name: 'Fish Bun', low_stock_threshold: 5 },
+  { product_id: 40, name: 'Tea + Bun', low_stock_threshold: 5, is_bundle: true }
+];
+
+const items = [
+  { id: 1, product_id: 18, product_name: 'Tea Bun', quantity: '20', received_quantity: '12', unit_cost: '30' },
+  { id: 2, product_id: 31, product_name: 'Fish Bun', quantity: '10', received_quantity: '10', unit_cost: null }
+];
+
+describe('Purchase Orders', () => {
+  describe('suggestPurchaseOrderLines', () => {
+    it('should top up products at or below their low stock level', () => {
+      expect(suggestPurchaseOrderLines(products, { 18: 4, 30: 0.35, 31: 9 })).toEqual([
+        { product_id: 30, name: 'Butter Cake', is_weight_based: true, on_hand: 0.35, threshold: 1, planned: 0, quantity: 1.7 },
+        { product_id: 18, name: 'Tea Bun', is_weight_based: false, on_hand: 4, threshold: 10, planned: 0, quantity: 16 }
+      ]);
+    });
+
+    it('should cover the production plan for the delivery date', () => {
+      const lines = suggestPurchaseOrderLines(products, { 18: 40, 30: 5, 31: 9 }, { 31: 30 });
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0]).toMatchObject({ product_id: 31, planned: 30, quantity: 21 });
+    });
+  });
+
+  describe('getOutstandingLines', () => {
+    it('should list only what is still to come', () => {
+      expect(getOutstandingLines(items)).toEqual([
+        { product_id: 18, product_name: 'Tea Bun', quantity: 8, unit_cost: '30' }
+      ]);
+    });
+  });
+
+  describe('summarizePurchaseOrder', () => {
+    it('should total ordered, received and outstanding quantities', () => {
+      expect(summarizePurchaseOrder(items)).toEqual({ ordered: 30, received: 22, outstanding: 8, value: 600 });
+    });
+  });
+
+  describe('renderPurchaseOrderHtml', () => {
+    it('should escape supplier and product names', () => {
+      const html = renderPurchaseOrderHtml({
+        id: 7,
+        created_at: '2025-11-18T08:00:00Z',
+        suppliers: { name: 'Central <Bakery>' },
+        purchase_order_items: items
+      });
+
+      expect(html).toContain('Purchase Order #7');
+      expect(html).toContain('Central &lt;Bakery&gt;');
+      expect(html).toContain('30.00');
+    });
+  });
+
+  describe('createPurchaseOrder', () => {
+    it('should send the order lines to create_purchase_order', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: { id: 7 }, error: null }) };
+
+      await createPurchaseOrder(client, {
+        supplierId: 2,
+        expectedDate: '2025-11-20',
+        lines: [{ product_id: '18', quantity: '16', unit_cost: '' }, { product_id: '', quantity: '' }]
+      }, 'owner-1');
+
+      expect(client.rpc).toHaveBeenCalledWith('create_purchase_order', {
+        p_supplier_id: 2,
+        p_items: [{ product_id: 18, quantity: 16, unit_cost: null }],
+        p_expected_date: '2025-11-20',
+        p_notes: '',
+        p_created_by: 'owner-1'
+      });
+    });
+  });
+
+  describe('emailPurchaseOrder', () => {
+    it('should need a supplier email address', async () => {
+      const { error } = await emailPurchaseOrder({}, { id: 7, suppliers: { name: 'Central Bakery' }, purchase_order_items: [] });
+
+      expect(error.message).toBe('Add an email address for this supplier first');
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should not mark the order sent when the email was not sent', async () => {
+      sendEmail.mockResolvedValueOnce({ success: true, devMode: true });
+      const client = { from: vi.fn() };
+
+      const { data, error } = await emailPurchaseOrder(client, {
+        id: 7,
+        suppliers: { name: 'Central Bakery', email: 'orders@centralbakery.lk' },
+        purchase_order_items: []
+      });
+
+      expect(data).toBeNull();
+      expect(error.message).toBe('Email is not set up, so the purchase order was not sent');
+      expect(client.from).not.toHaveBeenCalled();
+    });
+
+    it('should record when the order was sent', async () => {
+      sendEmail.mockResolvedValueOnce({ success: true });
+      const eq = vi.fn().mockResolvedValue({ error: null });
+      const update = vi.fn().mockReturnValue({ eq });
+      const client = { from: vi.fn().mockReturnValue({ update }) };
+
+      const { data, error } = await emailPurchaseOrder(client, {
+        id: 7,
+        suppliers: { name: 'Central Bakery', email: 'orders@centralbakery.lk' },
+        purchase_order_items: []
+      });
+
+      expect(error).toBeNull();
+      expect(client.from).toHaveBeenCalledWith('purchase_orders');
+      expect(update).toHaveBeenCalledWith({ sent_at: data.sent_at });
+      expect(eq).toHaveBeenCalledWith('id', 7);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Receipt Tests
+ *
+ * Tests for receipt layout, ESC/POS output for 58mm/80mm printers
+ * and the HTML print fallback
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildReceiptData,
+  formatReceiptLines,
+  buildEscPosReceipt,
+  renderReceiptHtml,
+  fetchShopDetails,
+  padLine,
+  wrapText,
+  getPrinterSettings,
+  savePrinterSettings
+} from '../../src/utils/receipts';
+
+const shop = { name: 'Ayubo Cafe', phone: '+94112345678', address: 'Ayubo Cafe, Colombo, Sri Lanka' };
+
+const bill = {
+  order_id: 1042,
+  order_date: '2025-11-07T09:15:00Z',
+  value: '590.00',
+  discount_total: '30.00',
+  status: 'completed',
+  order_items: [
+    { order_item_id: 1, quantity: 3, subtotal: '300.00', discount_amount: '30.00', products: { name: 'Fish Bun' } },
+    { order_item_id: 2, quantity: 0.5, subtotal: '290.00', discount_amount: '0.00', products: { name: 'Chocolate Cake' } }
+  ],
+  pos_bill_payments: [
+    { method: 'card', amount: '90.00', tendered: '90.00', change_given: '0.00', reference: '4321' },
+    { method: 'cash', amount: '500.00', tendered: '1000.00', change_given: '500.00', reference: null }
+  ],
+  applied_discounts: [
+    { promotion_name: 'Bun Day', amount: '20.00' },
+    { promotion_name: 'Bun Day', amount: '10.00' }
+  ]
+};
+
+const receiptText = (lines) => lines.map(line => line.text).join('\n');
+
+describe('Receipts', () => {
+  describe('buildReceiptData', () => {
+    it('should show gross prices with discounts, tenders and change', () => {
+      const receipt = buildReceiptData(bill);
+
+      expect(receipt.billNumber).toBe(1042);
+      expect(receipt.items[0]).toMatchObject({ name: 'Fish Bun', unitPrice: 110, gross: 330, amount: 300 });
+      expect(receipt.items[1]).toMatchObject({ unitPrice: 580, gross: 290 });
+      expect(receipt.subtotal).toBe(620);
+      expect(receipt.total).toBe(590);
+      expect(receipt.discounts).toEqual([{ name: 'Bun Day', amount: 30 }]);
+      expect(receipt.change).toBe(500);
+      expect(receipt.payments[1]).toMatchObject({ label: 'Cash', tendered: 1000, change: 500 });
+    });
+  });
+
+  describe('formatReceiptLines', () => {
+    it('should keep every line within the paper width', () => {
+      const receipt = buildReceiptData(bill, { reprint: true });
+
+      formatReceiptLines(receipt, shop, '58mm').forEach(line => expect(line.text.length).toBeLessThanOrEqual(32));
+      formatReceiptLines(receipt, shop, '80mm').forEach(line => expect(line.text.length).toBeLessThanOrEqual(48));
+    });
+
+    it('should carry shop details, bill number, items, tenders and change', () => {
+      const text = receiptText(formatReceiptLines(buildReceiptData(bill, { reprint: true }), shop, '80mm'));
+
+      expect(text).toContain('Ayubo Cafe');
+      expect(text).toContain('Tel: +94112345678');
+      expect(text).toContain('Bill #1042');
+      expect(text).toContain('*** REPRINT ***');
+      expect(text).toContain('Fish Bun');
+      expect(text).toContain('  3 x 110.00');
+      expect(text).toContain('  0.5 x 580.00');
+      expect(text).toMatch(/Bun Day\s+-30\.00/);
+      expect(text).toMatch(/TOTAL\s+Rs\. 590\.00/);
+      expect(text).toContain('Ref: 4321');
+      expect(text).toMatch(/Tendered\s+1000\.00/);
+      expect(text).toMatch(/CHANGE\s+500\.00/);
+    });
+
+    it('should print added taxes before the total and included taxes after it', () => {
+      const taxed = {
+        ...bill,
+        value: '1100.00',
+        discount_total: '0',
+        applied_discounts: [],
+        order_items: [
+          { order_item_id: 3, quantity: 1, subtotal: '1100.00', discount_amount: '0', exclusive_tax_amount: '0', service_charge_amount: '100.00', tax_amount: '152.54', products: { name: 'Lunch Set' } }
+        ],
+        bill_taxes: [
+          { kind: 'tax', name: 'VAT', rate: '18.00', is_inclusive: true, amount: '152.54' },
+          { kind: 'service_charge', name: 'Service Charge', rate: '10.00', is_inclusive: false, amount: '100.00' }
+        ]
+      };
+      const lines = formatReceiptLines(buildReceiptData(taxed), shop).map(line => line.text);
+      const total = lines.findIndex(line => line.startsWith('TOTAL'));
+
+      expect(lines).toContain(padLine('  1 x 1000.00', '1000.00', 48));
+      expect(lines).toContain(padLine('Subtotal', '1000.00', 48));
+      expect(lines.findIndex(line => line.startsWith('Service Charge 10%'))).toBe(total - 1);
+      expect(lines[total + 1]).toBe(padLine('  Incl. VAT 18%', '152.54', 48));
+    });
+
+    it('should leave out the subtotal when nothing was discounted', () => {
+      const plain = { ...bill, discount_total: '0', applied_discounts: [], order_items: [bill.order_items[1]] };
+      const text = receiptText(formatReceiptLines(buildReceiptData(plain), shop));
+
+      expect(text).not.toContain('Subtotal');
+      expect(text).not.toContain('REPRINT');
+    });
+  });
+
+  describe('padLine / wrapText', () => {
+    it('should right-align amounts and truncate long labels', () => {
+      expect(padLine('Tea', '80.00', 12)).toBe('Tea    80.00');
+      expect(padLine('Very long product name', '80.00', 12)).toBe('Very l 80.00');
+    });
+
+    it('should wrap on words and split overlong words', () => {
+      expect(wrapText('Ayubo Cafe, Colombo, Sri Lanka', 12)).toEqual(['Ayubo Cafe,', 'Colombo, Sri', 'Lanka']);
+      expect(wrapText('ABCDEFGHIJ', 4)).toEqual(['ABCD', 'EFGH', 'IJ']);
+    });
+  });
+
+  describe('buildEscPosReceipt', () => {
+    it('should initialise the printer, print each line and cut', () => {
+      const bytes = Array.from(buildEscPosReceipt(buildReceiptData(bill), shop, { paperWidth: '58mm' }));
+
+      expect(bytes.slice(0, 2)).toEqual([0x1b, 0x40]);
+      expect(bytes.slice(-4)).toEqual([0x1d, 0x56, 0x42, 0x00]);
+      expect(String.fromCharCode(...bytes)).toContain('Bill #1042');
+      expect(bytes.filter(byte => byte === 0x0a).length).toBe(
+        formatReceiptLines(buildReceiptData(bill), shop, '58mm').length
+      );
+    });
+
+    it('should replace characters the printer cannot show', () => {
+      const bytes = buildEscPosReceipt(buildReceiptData(bill), { ...shop, name: 'Café' });
+
+      expect(String.fromCharCode(...bytes)).toContain('Caf?');
+    });
+  });
+
+  describe('renderReceiptHtml', () => {
+    it('should size the page for the paper and escape text', () => {
+      const html = renderReceiptHtml(buildReceiptData(bill), { ...shop, name: '<Ayubo>' }, { paperWidth: '58mm' });
+
+      expect(html).toContain('size: 58mm auto');
+      expect(html).toContain('width: 32ch');
+      expect(html).toContain('&lt;Ayubo&gt;');
+      expect(html).not.toContain('<Ayubo>');
+    });
+  });
+
+  describe('fetchShopDetails', () => {
+    const clientReturning = (result) => ({
+      from: vi.fn(() => ({
+        select: vi.fn(() => ({
+          in: vi.fn(() => Promise.resolve(result))
+        }))
+      }))
+    });
+
+    it('should read contact details from system configuration', async () => {
+      const details = await fetchShopDetails(clientReturning({
+        data: [
+          { config_key: 'contact_phone', config_value: '+94112345678' },
+          { config_key: 'business_address', config_value: 'Colombo' }
+        ],
+        error: null
+      }));
+
+      expect(details).toEqual({ name: 'Ayubo Cafe', phone: '+94112345678', address: 'Colombo' });
+    });
+
+    it('should fall back to the last known details when offline', async () => {
+      await fetchShopDetails(clientReturning({
+        data: [{ config_key: 'contact_phone', config_value: '+94112345678' }],
+        error: null
+      }));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const details = await fetchShopDetails(clientReturning({ data: null, error: new Error('Failed to fetch') }));
+
+      expect(details.phone).toBe('+94112345678');
+    });
+  });
+
+  describe('printer settings', () => {
+    it('should default to 80mm and remember the chosen width', () => {
+      expect(getPrinterSettings().paperWidth).toBe('80mm');
+
+      savePrinterSettings({ paperWidth: '58mm' });
+
+      expect(getPrinterSettings().paperWidth).toBe('58mm');
+    });
+  });
+});
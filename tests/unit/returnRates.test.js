@@ -0,0 +1,113 @@
+/**
+ * Return Rate Tests
+ *
+ * Tests for choosing the return rate rule for a batch, overrides and
+ * saving rules
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DEFAULT_RETURN_PERCENTAGE,
+  getReturnRate,
+  applyReturnRateOverride,
+  saveReturnRateRule
+} from '../../src/utils/returnRates';
+
+const rules = [
+  { id: 1, name: 'Day 1', return_percentage: 50, min_batch_age_days: 1, is_active: true },
+  { id: 2, name: 'Day 3', return_percentage: 20, min_batch_age_days: 3, is_active: true },
+  { id: 3, name: 'Day 6', return_percentage: 0, min_batch_age_days: 6, is_active: true },
+  { id: 4, name: 'Cakes day 2', return_percentage: 80, category_id: 'cakes', min_batch_age_days: 2, is_active: true },
+  { id: 5, name: 'Fish bun day 1', return_percentage: 30, product_id: 31, min_batch_age_days: 1, is_active: true },
+  { id: 6, name: 'Old rate', return_percentage: 100, min_batch_age_days: 4, is_active: false }
+];
+
+const bun = { product_id: 18, category_id: 'buns', default_return_percentage: 100 };
+
+describe('Return Rates', () => {
+  describe('getReturnRate', () => {
+    it('should use the rule for the highest age the batch has reached', () => {
+      expect(getReturnRate(rules, bun, 1)).toEqual({ percentage: 50, rule: rules[0] });
+      expect(getReturnRate(rules, bun, 2).rule.id).toBe(1);
+      expect(getReturnRate(rules, bun, 4)).toEqual({ percentage: 20, rule: rules[1] });
+      expect(getReturnRate(rules, bun, 9)).toEqual({ percentage: 0, rule: rules[2] });
+    });
+
+    it('should prefer product rules, then category rules, over rules for all products', () => {
+      expect(getReturnRate(rules, { product_id: 31, category_id: 'cakes' }, 7).rule.id).toBe(5);
+      expect(getReturnRate(rules, { product_id: 40, category_id: 'cakes' }, 7).rule.id).toBe(4);
+      expect(getReturnRate(rules, { product_id: 40, category_id: 'cakes' }, 1).rule.id).toBe(1);
+    });
+
+    it('should fall back to the product default without a matching rule', () => {
+      expect(getReturnRate(rules, bun, 0)).toEqual({ percentage: 100, rule: null });
+    });
+
+    it('should fall back to the default percentage without rules or a product default', () => {
+      expect(getReturnRate([], { product_id: 18 }, 3)).toEqual({ percentage: DEFAULT_RETURN_PERCENTAGE, rule: null });
+    });
+  });
+
+  describe('applyReturnRateOverride', () => {
+    const rate = { percentage: 20, rule: rules[1] };
+
+    it('should keep the rule percentage without an override', () => {
+      expect(applyReturnRateOverride(rate, undefined)).toEqual({ percentage: 20, isOverride: false });
+      expect(applyReturnRateOverride(rate, '')).toEqual({ percentage: 20, isOverride: false });
+    });
+
+    it('should not flag an override equal to the rule percentage', () => {
+      expect(applyReturnRateOverride(rate, '20')).toEqual({ percentage: 20, isOverride: false });
+    });
+
+    it('should flag percentages that differ from the rules', () => {
+      expect(applyReturnRateOverride(rate, '0')).toEqual({ percentage: 0, isOverride: true });
+      expect(applyReturnRateOverride(rate, 100)).toEqual({ percentage: 100, isOverride: true });
+    });
+  });
+
+  describe('saveReturnRateRule', () => {
+    it('should reject percentages outside 0 to 100', async () => {
+      const client = { from: vi.fn() };
+
+      const badPercentage = await saveReturnRateRule(client, { name: 'Day 1', return_percentage: '120', min_batch_age_days: '1' });
+
+      expect(badPercentage.error.message).toBe('Return percentage must be a whole number from 0 to 100');
+      expect(client.from).not.toHaveBeenCalled();
+    });
+
+    it('should require a batch age', async () => {
+      const client = { from: vi.fn() };
+
+      const noAge = await saveReturnRateRule(client, { name: 'Day 1', return_percentage: '50', min_batch_age_days: '' });
+
+      expect(noAge.error.message).toBe('Batch age must be 0 or more days');
+      expect(client.from).not.toHaveBeenCalled();
+    });
+
+    it('should insert a rule for a product without its category', async () => {
+      const single = vi.fn().mockResolvedValue({ data: { id: 7 }, error: null });
+      const insert = vi.fn(() => ({ select: () => ({ single }) }));
+      const client = { from: vi.fn(() => ({ insert })) };
+
+      const result = await saveReturnRateRule(client, {
+        name: ' Fish bun day 3 ',
+        return_percentage: '0',
+        product_id: '31',
+        category_id: 'buns',
+        min_batch_age_days: '3'
+      });
+
+      expect(result).toEqual({ data: { id: 7 }, error: null });
+      expect(client.from).toHaveBeenCalledWith('return_rate_rules');
+      expect(insert.mock.calls[0][0][0]).toMatchObject({
+        name: 'Fish bun day 3',
+        return_percentage: 0,
+        product_id: 31,
+        category_id: null,
+        min_batch_age_days: 3,
+        is_active: true
+      });
+    });
+  });
+});
@@ -126,6 +126,21 @@ describe('Returns Management Utilities - Return Value Calculations (7.8)', () =>
       expect(result.success).toBe(false);
       expect(result.error).toContain('No batches selected');
     });
+
+    it('should reject overridden percentages without a reason', async () => {
+      mockSupabase.from.mockClear();
+
+      const result = await processReturn(mockSupabase, 'user-1', {
+        batchesToReturn: [
+          { batchId: 1, productId: 1, quantity: 4, originalPrice: 100, returnPercentage: 100, rulePercentage: 50, overrideReason: ' ' }
+        ],
+        batchesToKeep: []
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('reason');
+      expect(mockSupabase.from).not.toHaveBeenCalled();
+    });
   });
 
   describe('Multiple Batch Calculations (7.11)', () => {
@@ -0,0 +1,52 @@
+/**
+ * Stock Movement Tests
+ *
+ * Tests for stock card running balances, discrepancies and references
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildStockCard, describeMovementReference } from '../../src/utils/stockMovements';
+
+const movements = [
+  { id: 1, movement_type: 'opening', quantity_change: '5' },
+  { id: 2, movement_type: 'check_in', quantity_change: '20' },
+  { id: 3, movement_type: 'sale', quantity_change: '-3', reference_type: 'order', reference_id: 120 },
+  { id: 4, movement_type: 'keep', quantity_change: '0', reference_type: 'return', reference_id: 7 },
+  { id: 5, movement_type: 'return', quantity_change: '-4.5', reference_type: 'return', reference_id: 7 }
+];
+
+describe('Stock Movements', () => {
+  describe('buildStockCard', () => {
+    it('should list movements newest first with running balances', () => {
+      const card = buildStockCard(movements, 17.5);
+
+      expect(card.entries.map(entry => [entry.id, entry.balance])).toEqual([
+        [5, 17.5],
+        [4, 22],
+        [3, 22],
+        [2, 25],
+        [1, 5]
+      ]);
+      expect(card.ledgerBalance).toBe(17.5);
+      expect(card.discrepancy).toBe(0);
+    });
+
+    it('should report stock that does not match the ledger', () => {
+      expect(buildStockCard(movements, 15).discrepancy).toBe(-2.5);
+      expect(buildStockCard([], 3).discrepancy).toBe(3);
+    });
+  });
+
+  describe('describeMovementReference', () => {
+    it('should name the bill, refund or return behind a movement', () => {
+      expect(describeMovementReference(movements[2])).toBe('Bill #120');
+      expect(describeMovementReference({ reference_type: 'refund', reference_id: 3 })).toBe('Refund #3');
+      expect(describeMovementReference(movements[4])).toBe('Return #7');
+      expect(describeMovementReference(movements[1])).toBe('');
+    });
+
+    it('should name the delivery behind a check-in', () => {
+      expect(describeMovementReference({ reference_type: 'goods_receipt', reference_id: 9 })).toBe('Delivery #9');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Stock Take Tests
+ *
+ * Tests for count lines, variances in units and value, stock take totals
+ * and submitting counts
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildStockTakeLines,
+  calculateVariance,
+  summarizeStockTake,
+  renderCountSheetHtml,
+  submitStockTake,
+  approveStockTake
+} from '../../src/utils/stockTakes';
+
+const products = [
+  { product_id: 18, name: 'Tea Bun', price: 50 },
+  { product_id: 30, name: 'Butter Cake', price: 1200, is_weight_based: true },
+  { product_id: 40, name: 'Tea + Bun', price: 130, is_bundle: true }
+];
+
+describe('Stock Takes', () => {
+  describe('buildStockTakeLines', () => {
+    it('should list products that hold their own stock with their batch totals', () => {
+      expect(buildStockTakeLines(products, { 18: 12, 30: 1.25 })).toEqual([
+        { product_id: 30, name: 'Butter Cake', price: 1200, is_weight_based: true, system_quantity: 1.25 },
+        { product_id: 18, name: 'Tea Bun', price: 50, is_weight_based: false, system_quantity: 12 }
+      ]);
+    });
+  });
+
+  describe('calculateVariance', () => {
+    const line = { system_quantity: 12, price: 50 };
+
+    it('should give the variance in units and value', () => {
+      expect(calculateVariance(line, '9')).toEqual({ variance: -3, varianceValue: -150 });
+      expect(calculateVariance(line, 13)).toEqual({ variance: 1, varianceValue: 50 });
+    });
+
+    it('should skip products that were not counted', () => {
+      expect(calculateVariance(line, '')).toBeNull();
+      expect(calculateVariance(line, undefined)).toBeNull();
+    });
+  });
+
+  describe('summarizeStockTake', () => {
+    it('should total missing and extra stock separately', () => {
+      expect(summarizeStockTake([
+        { variance: '-3', variance_value: '-150' },
+        { variance: '0.25', variance_value: '300' },
+        { variance: '0', variance_value: '0' }
+      ])).toEqual({ productsCounted: 3, productsWithVariance: 2, missingValue: 150, extraValue: 300, netValue: 150 });
+    });
+  });
+
+  describe('renderCountSheetHtml', () => {
+    it('should leave the system quantity off a blind count sheet', () => {
+      const lines = buildStockTakeLines(products, { 18: 12 });
+
+      expect(renderCountSheetHtml(lines)).toContain('Tea Bun');
+      expect(renderCountSheetHtml(lines)).not.toContain('System');
+      expect(renderCountSheetHtml(lines, { showSystem: true })).toContain('System');
+    });
+  });
+
+  describe('submitStockTake', () => {
+    it('should submit only counted products', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: { id: 4 }, error: null }) };
+      const lines = buildStockTakeLines(products, { 18: 12, 30: 1 });
+
+      const { data } = await submitStockTake(client, lines, { 18: '10', 30: '' }, 'user-1', 'Closing count');
+
+      expect(data).toEqual({ id: 4 });
+      expect(client.rpc).toHaveBeenCalledWith('submit_stock_take', {
+        p_items: [{ product_id: 18, system_quantity: 12, counted_quantity: 10 }],
+        p_counted_by: 'user-1',
+        p_notes: 'Closing count'
+      });
+    });
+
+    it('should reject a stock take with nothing counted', async () => {
+      const client = { rpc: vi.fn() };
+
+      const { error } = await submitStockTake(client, buildStockTakeLines(products), {});
+
+      expect(error.message).toBe('Enter at least one counted quantity');
+      expect(client.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('approveStockTake', () => {
+    it('should require a reason', async () => {
+      const client = { rpc: vi.fn() };
+
+      const { error } = await approveStockTake(client, 4, '  ', 'owner-1');
+
+      expect(error.message).toBe('A reason is required to approve stock adjustments');
+      expect(client.rpc).not.toHaveBeenCalled();
+    });
+  });
+});
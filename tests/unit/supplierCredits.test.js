@@ -0,0 +1,142 @@
+/**
+ * Supplier Credit Tests
+ *
+ * Tests for outstanding credit, overdue returns, supplier balances,
+ * supplier statements and recording credit notes
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  CREDIT_STATUS,
+  getOutstandingCredit,
+  getCreditStatus,
+  isCreditOverdue,
+  summarizeSupplierBalances,
+  buildSupplierStatement,
+  recordSupplierCreditNote
+} from '../../src/utils/supplierCredits';
+
+const today = new Date(2025, 10, 19);
+
+describe('Supplier Credits', () => {
+  describe('getOutstandingCredit', () => {
+    it('should return the whole value when nothing is credited', () => {
+      expect(getOutstandingCredit({ total_value: '450.00', credited_value: '0' })).toBe(450);
+    });
+
+    it('should return what is still to be credited', () => {
+      expect(getOutstandingCredit({ total_value: '450.00', credited_value: '200.50' })).toBe(249.5);
+    });
+
+    it('should return 0 when fully credited', () => {
+      expect(getOutstandingCredit({ total_value: '450.00', credited_value: '450.00' })).toBe(0);
+    });
+  });
+
+  describe('getCreditStatus', () => {
+    it('should be uncredited when nothing is credited', () => {
+      expect(getCreditStatus({ total_value: '450.00', credited_value: '0' })).toBe(CREDIT_STATUS.UNCREDITED);
+    });
+
+    it('should be partial when some is credited', () => {
+      expect(getCreditStatus({ total_value: '450.00', credited_value: '200.50' })).toBe(CREDIT_STATUS.PARTIAL);
+    });
+
+    it('should be credited when fully credited', () => {
+      expect(getCreditStatus({ total_value: '450.00', credited_value: '450.00' })).toBe(CREDIT_STATUS.CREDITED);
+    });
+  });
+
+  describe('isCreditOverdue', () => {
+    it('should flag uncredited returns after the allowed days', () => {
+      expect(isCreditOverdue({ return_date: '2025-11-12', total_value: 100, credited_value: 0 }, today)).toBe(true);
+      expect(isCreditOverdue({ return_date: '2025-11-13', total_value: 100, credited_value: 0 }, today)).toBe(false);
+    });
+
+    it('should flag partly credited returns but not fully credited ones', () => {
+      expect(isCreditOverdue({ return_date: '2025-11-01', total_value: 100, credited_value: 40 }, today)).toBe(true);
+      expect(isCreditOverdue({ return_date: '2025-11-01', total_value: 100, credited_value: 100 }, today)).toBe(false);
+    });
+
+    it('should use the allowed days given', () => {
+      expect(isCreditOverdue({ return_date: '2025-11-17', total_value: 100, credited_value: 0 }, today, 2)).toBe(true);
+    });
+  });
+
+  describe('summarizeSupplierBalances', () => {
+    it('should total returns per supplier with unassigned returns last', () => {
+      const returns = [
+        { supplier_id: 2, return_date: '2025-11-01', total_value: '300', credited_value: '300' },
+        { supplier_id: 2, return_date: '2025-11-05', total_value: '150', credited_value: '0' },
+        { supplier_id: null, return_date: '2025-11-18', total_value: '80', credited_value: '0' },
+        { supplier_id: 1, return_date: '2025-11-18', total_value: '120.25', credited_value: '20' }
+      ];
+      const suppliers = [{ id: 1, name: 'Kandy Flour Mills' }, { id: 2, name: 'Central Bakery' }];
+
+      expect(summarizeSupplierBalances(returns, suppliers, today)).toEqual([
+        { supplier_id: 2, name: 'Central Bakery', returned: 450, credited: 300, outstanding: 150, overdueCount: 1 },
+        { supplier_id: 1, name: 'Kandy Flour Mills', returned: 120.25, credited: 20, outstanding: 100.25, overdueCount: 0 },
+        { supplier_id: null, name: 'Not assigned', returned: 80, credited: 0, outstanding: 80, overdueCount: 0 }
+      ]);
+    });
+  });
+
+  describe('buildSupplierStatement', () => {
+    it('should list returns and credit notes by date with a running balance', () => {
+      const statement = buildSupplierStatement(
+        [
+          { id: 12, return_date: '2025-11-10', total_value: '200' },
+          { id: 9, return_date: '2025-11-03', total_value: '150.50' }
+        ],
+        [{ credit_note_number: 'CN-77', credit_date: '2025-11-10', amount: '150.50' }]
+      );
+
+      expect(statement.entries.map(entry => [entry.date, entry.reference, entry.balance])).toEqual([
+        ['2025-11-03', 'Return #9', 150.5],
+        ['2025-11-10', 'Return #12', 350.5],
+        ['2025-11-10', 'Credit note CN-77', 200]
+      ]);
+      expect(statement).toMatchObject({ returned: 350.5, credited: 150.5, balance: 200 });
+    });
+  });
+
+  describe('recordSupplierCreditNote', () => {
+    it('should send the selected allocations to the RPC', async () => {
+      const rpc = vi.fn().mockResolvedValue({ data: { id: 4, amount: 250 }, error: null });
+
+      const result = await recordSupplierCreditNote(
+        { rpc },
+        { supplierId: 2, creditNoteNumber: ' CN-80 ', creditDate: '2025-11-19', allocations: { 12: '200', 15: '50' } },
+        'user-1'
+      );
+
+      expect(result).toEqual({ data: { id: 4, amount: 250 }, error: null });
+      expect(rpc).toHaveBeenCalledWith('record_supplier_credit_note', {
+        p_supplier_id: 2,
+        p_credit_note_number: 'CN-80',
+        p_allocations: [{ return_id: 12, amount: 200 }, { return_id: 15, amount: 50 }],
+        p_credit_date: '2025-11-19',
+        p_notes: '',
+        p_created_by: 'user-1'
+      });
+    });
+
+    it('should reject credit notes without returns', async () => {
+      const rpc = vi.fn();
+
+      const empty = await recordSupplierCreditNote({ rpc }, { supplierId: 2, creditNoteNumber: 'CN-81', allocations: {} });
+
+      expect(empty.error.message).toBe('Select at least one return to credit');
+      expect(rpc).not.toHaveBeenCalled();
+    });
+
+    it('should reject non-positive amounts', async () => {
+      const rpc = vi.fn();
+
+      const zero = await recordSupplierCreditNote({ rpc }, { supplierId: 2, creditNoteNumber: 'CN-81', allocations: { 12: '0' } });
+
+      expect(zero.error.message).toBe('Credited amounts must be greater than 0');
+      expect(rpc).not.toHaveBeenCalled();
+    });
+  });
+});
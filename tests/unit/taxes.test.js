@@ -0,0 +1,151 @@
+/**
+ * Tax Tests
+ *
+ * Tests for tax-inclusive and tax-exclusive rates, product/category
+ * targeting, the dine-in service charge and the tax summary report
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  taxRateMatchesLine,
+  calculateLineTaxes,
+  applyTaxes,
+  validateTaxRate,
+  summarizeTaxes
+} from '../../src/utils/taxes';
+import { applyPromotions } from '../../src/utils/promotions';
+
+const taxRate = (overrides) => ({
+  id: 1,
+  name: 'VAT',
+  rate: 18,
+  is_inclusive: false,
+  applies_to_all: true,
+  pos_product_ids: [],
+  catalog_product_ids: [],
+  category_ids: [],
+  is_active: true,
+  ...overrides
+});
+
+const pricing = (lines) => applyPromotions(lines, []);
+
+describe('Taxes', () => {
+  describe('taxRateMatchesLine', () => {
+    const line = { product_id: 1, category_ids: ['cakes'] };
+
+    it('should match products, categories or everything', () => {
+      expect(taxRateMatchesLine(taxRate(), line)).toBe(true);
+      expect(taxRateMatchesLine(taxRate({ applies_to_all: false, category_ids: ['cakes'] }), line)).toBe(true);
+      expect(taxRateMatchesLine(taxRate({ applies_to_all: false, pos_product_ids: [1] }), line)).toBe(true);
+      expect(taxRateMatchesLine(taxRate({ applies_to_all: false, pos_product_ids: [2] }), line)).toBe(false);
+    });
+
+    it('should use catalog products online and skip disabled rates', () => {
+      const online = taxRate({ applies_to_all: false, pos_product_ids: [1], catalog_product_ids: ['uuid-cake'] });
+
+      expect(taxRateMatchesLine(online, { product_id: 'uuid-cake' }, 'online')).toBe(true);
+      expect(taxRateMatchesLine(online, { product_id: 1 }, 'online')).toBe(false);
+      expect(taxRateMatchesLine(taxRate({ is_active: false }), line)).toBe(false);
+    });
+  });
+
+  describe('calculateLineTaxes', () => {
+    it('should add exclusive tax on top of the net amount', () => {
+      expect(calculateLineTaxes(1000, [taxRate()])).toMatchObject({ taxable: 1000, inclusiveTax: 0, exclusiveTax: 180 });
+    });
+
+    it('should take inclusive taxes out of the price together', () => {
+      const result = calculateLineTaxes(1200, [
+        taxRate({ id: 1, rate: 18, is_inclusive: true }),
+        taxRate({ id: 2, name: 'SSCL', rate: 2.5, is_inclusive: true })
+      ]);
+
+      expect(result.taxable).toBe(995.85);
+      expect(result.entries.map(entry => entry.amount)).toEqual([179.25, 24.9]);
+      expect(result.taxable + result.inclusiveTax).toBeCloseTo(1200, 2);
+      expect(result.exclusiveTax).toBe(0);
+    });
+  });
+
+  describe('applyTaxes', () => {
+    it('should leave the total alone when only inclusive taxes apply', () => {
+      const result = applyTaxes(
+        pricing([{ product_id: 1, quantity: 2, unit_price: 590 }]),
+        [taxRate({ is_inclusive: true })]
+      );
+
+      expect(result.total).toBe(1180);
+      expect(result.taxTotal).toBe(180);
+      expect(result.inclusiveTaxTotal).toBe(180);
+      expect(result.lines[0]).toMatchObject({ tax_amount: 180, exclusive_tax_amount: 0, service_charge_amount: 0 });
+      expect(result.taxes).toEqual([
+        { kind: 'tax', tax_rate_id: 1, name: 'VAT', rate: 18, is_inclusive: true, taxable_amount: 1000, amount: 180 }
+      ]);
+    });
+
+    it('should tax only matching lines after discounts and add a service charge', () => {
+      const discounted = applyPromotions(
+        [
+          { product_id: 1, category_ids: ['drinks'], quantity: 1, unit_price: 500 },
+          { product_id: 2, category_ids: ['cakes'], quantity: 1, unit_price: 1000 }
+        ],
+        [{ id: 9, name: 'Cake 10%', discount_type: 'percentage', discount_value: 10, scope: 'category', category_ids: ['cakes'], is_active: true }]
+      );
+
+      const result = applyTaxes(
+        discounted,
+        [taxRate({ applies_to_all: false, category_ids: ['cakes'] })],
+        { serviceChargeRate: 10 }
+      );
+
+      // Cake: 1000 - 100 = 900, VAT 162; service charge 10% of 500 + 900
+      expect(result.lines[1]).toMatchObject({ tax_amount: 162, exclusive_tax_amount: 162, service_charge_amount: 90, line_total: 1152 });
+      expect(result.lines[0]).toMatchObject({ tax_amount: 0, service_charge_amount: 50, line_total: 550 });
+      expect(result.serviceCharge).toBe(140);
+      expect(result.total).toBe(1400 + 162 + 140);
+      expect(result.taxes[1]).toMatchObject({ kind: 'service_charge', tax_rate_id: null, rate: 10, taxable_amount: 1400, amount: 140 });
+    });
+
+    it('should not add a service charge when the rate is 0', () => {
+      const result = applyTaxes(pricing([{ product_id: 1, quantity: 1, unit_price: 100 }]), []);
+
+      expect(result.taxes).toEqual([]);
+      expect(result.total).toBe(100);
+    });
+  });
+
+  describe('validateTaxRate', () => {
+    it('should require a name, a sensible rate and a target', () => {
+      const result = validateTaxRate(taxRate({ name: '', rate: 120, applies_to_all: false }));
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Name is required');
+      expect(result.errors).toContain('Rate cannot be more than 100');
+      expect(result.errors).toContain('Select the products or categories this tax applies to');
+    });
+  });
+
+  describe('summarizeTaxes', () => {
+    it('should total by rate and take off the refunded share', () => {
+      const billTaxes = [
+        { order_id: 10, kind: 'tax', tax_rate_id: 1, name: 'VAT', rate: '18.00', is_inclusive: false, taxable_amount: '1000.00', amount: '180.00' },
+        { order_id: 10, kind: 'service_charge', tax_rate_id: null, name: 'Service Charge', rate: '10.00', taxable_amount: '1000.00', amount: '100.00' },
+        { customer_order_id: 'abc', kind: 'tax', tax_rate_id: 1, name: 'VAT', rate: '18.00', is_inclusive: false, taxable_amount: '500.00', amount: '90.00' }
+      ];
+      const bills = [{
+        order_id: 10,
+        order_items: [
+          { order_item_id: 1, subtotal: '640.00', tax_amount: '90.00', service_charge_amount: '50.00' },
+          { order_item_id: 2, subtotal: '640.00', tax_amount: '90.00', service_charge_amount: '50.00' }
+        ]
+      }];
+      const refunds = [{ pos_refund_items: [{ order_item_id: 2, amount: '320.00' }] }];
+
+      const [vat, serviceCharge] = summarizeTaxes(billTaxes, bills, refunds);
+
+      expect(vat).toMatchObject({ name: 'VAT', taxable: 1500, posAmount: 180, onlineAmount: 90, refunded: 45, net: 225 });
+      expect(serviceCharge).toMatchObject({ kind: 'service_charge', posAmount: 100, refunded: 25, net: 75 });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Waste Tests
+ *
+ * Tests for recording waste and the shrinkage report combining waste with
+ * supplier returns
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  WASTE_REASONS,
+  getWeekStart,
+  buildShrinkageReport,
+  recordWaste
+} from '../../src/utils/waste';
+
+const wasteEntries = [
+  { product_id: 18, product_name: 'Fish Bun', quantity: '4', waste_value: '400.00', reason: 'damaged', created_at: '2025-11-18T09:00:00' },
+  { product_id: 18, product_name: 'Fish Bun', quantity: '2', waste_value: '200.00', reason: 'staff_meal', created_at: '2025-11-22T13:00:00' },
+  { product_id: 31, product_name: 'Chocolate Cake', quantity: '1', waste_value: '1500.00', reason: 'expired', created_at: '2025-11-24T18:00:00' }
+];
+
+const returnItems = [
+  // 10 x 100 less 200 credited
+  { product_id: 18, product_name: 'Fish Bun', quantity: '10', original_price: '100.00', total_return_value: '200.00', created_at: '2025-11-19T20:00:00' },
+  { product_id: 40, product_name: 'Tea Bun', quantity: '5', original_price: '60.00', total_return_value: '300.00', created_at: '2025-11-25T20:00:00' }
+];
+
+describe('Waste', () => {
+  describe('getWeekStart', () => {
+    it('should return the Monday of the week', () => {
+      expect(getWeekStart('2025-11-19T10:00:00')).toBe('2025-11-17');
+    });
+
+    it('should return the same day for a Monday', () => {
+      expect(getWeekStart('2025-11-17T00:30:00')).toBe('2025-11-17');
+    });
+
+    it('should count Sunday as the end of the week', () => {
+      expect(getWeekStart('2025-11-23T23:00:00')).toBe('2025-11-17');
+    });
+  });
+
+  describe('buildShrinkageReport', () => {
+    it('should total waste and what returns lost', () => {
+      const { totals } = buildShrinkageReport(wasteEntries, returnItems);
+
+      expect(totals).toEqual({
+        wasteQuantity: 7,
+        wasteValue: 2100,
+        returnQuantity: 15,
+        returnValue: 800,
+        totalValue: 2900
+      });
+    });
+
+    it('should group by product, largest loss first', () => {
+      const { byProduct } = buildShrinkageReport(wasteEntries, returnItems);
+
+      expect(byProduct.map(row => row.name)).toEqual(['Chocolate Cake', 'Fish Bun', 'Tea Bun']);
+      expect(byProduct[1]).toMatchObject({ wasteQuantity: 6, wasteValue: 600, returnQuantity: 10, returnValue: 800, totalValue: 1400 });
+    });
+
+    it('should group by reason with returns as their own reason', () => {
+      const { byReason } = buildShrinkageReport(wasteEntries, returnItems);
+
+      expect(byReason.map(row => [row.label, row.value])).toEqual([
+        ['Expired', 1500],
+        ['Returned to supplier', 800],
+        ['Damaged', 400],
+        ['Staff meal', 200]
+      ]);
+    });
+
+    it('should group by week, oldest first', () => {
+      const { byWeek } = buildShrinkageReport(wasteEntries, returnItems);
+
+      expect(byWeek).toEqual([
+        { week: '2025-11-17', wasteValue: 600, returnValue: 800, totalValue: 1400 },
+        { week: '2025-11-24', wasteValue: 1500, returnValue: 0, totalValue: 1500 }
+      ]);
+    });
+
+    it('should handle no data', () => {
+      const report = buildShrinkageReport();
+
+      expect(report.totals.totalValue).toBe(0);
+      expect(report.byProduct).toEqual([]);
+    });
+  });
+
+  describe('recordWaste', () => {
+    it('should require a batch', async () => {
+      const client = { rpc: vi.fn() };
+
+      const noBatch = await recordWaste(client, { batchId: null, quantity: 2, reason: WASTE_REASONS.DAMAGED });
+
+      expect(noBatch.error.message).toBe('Choose the batch the stock came from');
+      expect(client.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should require a quantity above 0', async () => {
+      const client = { rpc: vi.fn() };
+
+      const noQuantity = await recordWaste(client, { batchId: 7, quantity: '0', reason: WASTE_REASONS.DAMAGED });
+
+      expect(noQuantity.error.message).toBe('Wasted quantity must be more than 0');
+      expect(client.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown reasons', async () => {
+      const client = { rpc: vi.fn() };
+
+      const badReason = await recordWaste(client, { batchId: 7, quantity: 2, reason: 'stolen' });
+
+      expect(badReason.error.message).toBe('Choose a waste reason');
+      expect(client.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should deduct the batch through record_waste', async () => {
+      const client = { rpc: vi.fn().mockResolvedValue({ data: { id: 3 }, error: null }) };
+
+      const result = await recordWaste(client, {
+        batchId: 7,
+        quantity: '2.5',
+        reason: WASTE_REASONS.SAMPLE,
+        recordedBy: 'user-1',
+        notes: 'Tasting'
+      });
+
+      expect(result).toEqual({ data: { id: 3 }, error: null });
+      expect(client.rpc).toHaveBeenCalledWith('record_waste', {
+        p_batch_id: 7,
+        p_quantity: 2.5,
+        p_reason: 'sample',
+        p_recorded_by: 'user-1',
+        p_notes: 'Tasting'
+      });
+    });
+  });
+});